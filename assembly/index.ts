@@ -9,7 +9,7 @@
  * 
  * The adapter decides what initial conditions to pass in.
  * 
- * INPUT BUFFER (20 f64 values):
+ * INPUT BUFFER (64 f64 values):
  * [0] initialDebt - amount owed at t=0
  * [1] initialBalance - cash/assets at t=0
  * [2] monthlyPayment - fixed debt payment per month
@@ -20,32 +20,347 @@
  * [7] growth - expected annual return
  * [8] inflation - inflation rate
  * [9] marginCallLTV - debt/assets ratio threshold for failure
- * [10] simulationCount - number of Monte Carlo runs
- * [11-19] (unused, reserved)
- * 
- * OUTPUT BUFFER:
- * [0] status (0 = success)
- * [1] months (calculated from years)
- * [2] survivalRate (percent)
- * [3] medianWealth (real dollars)
- * [4] p90Wealth (real dollars)
- * [5] expectedWealth (real dollars)
- * [6] finalDebt (remaining debt at end of schedule)
- * [7] totalDeposits (sum of deposits over period)
- * [8] numSurvived (count of non-failed simulations)
- * [9 to 9+months] depositPath[] - T=0 initial capital, then monthly deposits (months+1 elements)
- * [9+months+1 to 9+2*months+1] debtPath[] - T=0 initial debt, then monthly balances (months+1 elements)
- * [9+2*months+2 onward] wealthArray[] - final wealth of survivors
- */
-
-import { randn, simulateMonthlyReturn, calculateAmortizedPayment } from './math';
+ * [10] simulationCount - number of Monte Carlo runs (the most run when [19] is set)
+ * [11] seed - PRNG seed (integer 0 to 2^32-1); the same seed replays the same paths
+ * [12] returnModel - 0 = lognormal GBM, 1 = Student-t shocks, 2 = Merton jump-diffusion,
+ *      3 = regime switching, 4 = historical bootstrap (see allocReturnSeries)
+ * [13] degreesOfFreedom - Student-t degrees of freedom (> 2), model 1 only
+ * [14] jumpIntensity - expected jumps per year, model 2 only
+ * [15] jumpMean - mean log jump size (e.g., -0.08), model 2 only
+ * [16] jumpStdDev - standard deviation of log jump size, model 2 only
+ * [17] regimeCount - number of Markov regimes (2 or 3), model 3 only
+ * [18] blockLength - bootstrap block length in months (1 = i.i.d. sampling), model 4 only
+ * [19] samplingTolerance - 0 = run every path; otherwise stop at the first batch boundary where the
+ *      survival interval's half-width is at most this (fraction, e.g. 0.001 = 0.1 percentage points)
+ * [20-22] regimeGrowth[] - expected annual return per regime
+ * [23-25] regimeVolatility[] - annual volatility per regime
+ * [26-34] regimeTransition[][] - monthly transition probabilities, row-major (row = current regime)
+ * [35] rateModel - 0 = fixed monthlyRate, 1 = Vasicek, 2 = CIR (short rate starts at monthlyRate * 12)
+ * [36] rateMeanReversion - speed of pull toward the long-run rate (per year)
+ * [37] rateLongRunMean - long-run annual rate
+ * [38] rateVolatility - annual volatility of the short rate (CIR: coefficient on sqrt(rate))
+ * [39] rateCorrelation - correlation between rate shocks and equity shocks (-1 to 1)
+ * [40] inflationModel - 0 = constant inflation, 1 = AR(1) around inflation (per-path deflator)
+ * [41] inflationPersistence - annual AR(1) coefficient (0 = shocks fade within a year, 1 = permanent)
+ * [42] inflationVolatility - long-run standard deviation of the annual inflation rate (at persistence 1,
+ *      a random walk, its standard deviation after one year)
+ * [43] inflationCorrelation - correlation between inflation shocks and equity shocks (-1 to 1)
+ * [44] marginCallMode - 0 = a breach ruins the path, 1 = forced deleverage (sell down to [45] and continue)
+ * [45] deleverageTargetLTV - LTV restored by a forced sale (below marginCallLTV), mode 1 only
+ * [46] cashReserve - emergency savings outside the account, used to repay debt on a margin call
+ * [47] cureMonths - months a margin call may stay open before it is enforced (0 = immediately)
+ * [48] assetCount - 0 = single asset from [6]/[7], 2 to MAX_ASSETS = multi-asset portfolio (see allocAssetTable)
+ * [49] rebalanceMonths - months between rebalances back to target weights (0 = never), multi-asset only
+ * [50] taxMode - 0 = pre-tax only, 1 = taxable account (adds the after-tax block below)
+ * [51] capitalGainsTaxRate - tax on realized gains (decimal), tax mode 1 only
+ * [52] interestDeductionRate - marginal rate at which loan interest is deductible (0 = not deductible)
+ * [53] warningLTV - LTV above which a month counts toward monthsAboveWarning (reporting only)
+ * [54] samplingBatchSize - paths between convergence checks, samplingTolerance > 0 only
+ * [55] pathStreams - 0 = one random stream for the whole run, 1 = each path draws from its own stream
+ *      derived from (seed, path), so path s sees the same market in every run with this seed
+ *      whatever happened on earlier paths: the run can be split into path ranges, and runs that
+ *      share a seed see common random numbers (runs with different seeds stay independent)
+ * [56] antithetic - 1 = paths run in pairs sharing one stream, the second with every normal shock
+ *      and bootstrap block start mirrored (implies pathStreams)
+ * [57] samplingMethod - 0 = pseudo-random, 1 = scrambled Sobol (quasi-Monte Carlo) equity shocks;
+ *      Sobol needs the lognormal single-asset model and at most MAX_SOBOL_MONTHS months
+ * [58] interimPaths - 0 = one output at the end; otherwise also a provisional output after every
+ *      interimPaths paths (see INTERIM RESULTS)
+ * [59] pathStart - first path of this run (0 = from the first path, see PATH RANGES)
+ * [60] pathEnd - path after the last one of this run (0 = simulationCount)
+ * [61] pathWealth - 1 = also output each path's final wealth (section 16), for pairing with
+ *      another run on the same paths
+ * [62-63] (unused, reserved)
+ * 
+ * OUTPUT PROTOCOL (version 1):
+ * Every output is a header, a section table, then the section data. JS finds each block through
+ * the table by section id, never by position, so a section can grow or be added without
+ * misaligning the others. Any change to a section's contents bumps PROTOCOL_VERSION.
+ * [0] magic - PROTOCOL_MAGIC (0x4D43534D, "MCSM"), marks the buffer as a simulation output
+ * [1] version - PROTOCOL_VERSION
+ * [2] status (0 = success, see STATUS CODES)
+ * [3] sectionCount - entries in the section table (0 when the run failed)
+ * [4 onward] section table: sectionCount entries of SECTION_ENTRY_SIZE values each,
+ *      id, offset (from [0]) and length of the section
+ * 
+ * SECTIONS (id name - contents):
+ * 1 stats:
+ *      [+0] months (calculated from years)
+ *      [+1] survivalRate (percent)
+ *      [+2] medianWealth (real dollars, each path deflated by its own inflation under model 1)
+ *      [+3] p90Wealth (real dollars)
+ *      [+4] expectedWealth (real dollars)
+ *      [+5] finalDebt (median remaining debt at end of schedule)
+ *      [+6] totalDeposits (sum of deposits over period)
+ *      [+7] numSurvived (count of non-failed simulations)
+ * 2 depositPath - T=0 initial capital, then monthly deposits (months+1 values)
+ * 3 debtBands - p5, p25, p50, p75, p95 of debt per month, each months+1 values (5*(months+1)
+ *      total), over paths not yet margin-called; NaN once none are left
+ * 4 wealth - final wealth of survivors (sorted)
+ * 5 liquidation (zeros unless marginCallMode = 1):
+ *      [+0] liquidationEvents - forced sales across all paths
+ *      [+1] liquidatedPaths - paths with at least one forced sale
+ *      [+2] amountSold - collateral sold in forced sales (real dollars at time of sale)
+ *      [+3] realizedLoss - forced-sale proceeds below cost basis (real dollars at time of sale)
+ *      [+4] liquidatedSurvivors - survivors that had at least one forced sale
+ * 6 liquidatedWealth - final wealth of the liquidated survivors (sorted)
+ * 7 reserve:
+ *      [+0] reserveUsedPaths - paths that drew on the emergency reserve
+ *      [+1] reserveDrawn - total drawn across paths (real dollars at time of draw)
+ *      [+2] reserveDepletedPaths - paths that used the whole reserve
+ *      [+3] marginCallsOpened - margin calls across all paths
+ *      [+4] marginCallsCured - calls closed by the reserve or a recovery within the cure window
+ * 8 tax (zeros unless taxMode = 1):
+ *      [+0] afterTaxCount - survivors with an after-tax wealth (survivor count under tax mode 1)
+ *      [+1] medianAfterTaxWealth, [+2] p90AfterTaxWealth, [+3] expectedAfterTaxWealth (real dollars)
+ *      [+4] salesTax - capital gains tax on sales before the horizon, all paths (real dollars when paid)
+ *      [+5] interestTaxSavings - tax saved by deducting interest, all paths (real dollars when saved)
+ *      [+6] horizonTax - tax on gains still unrealized at the horizon, survivors (real dollars)
+ * 9 afterTaxWealth - survivors' final wealth after tax (sorted)
+ * 10-12 fan chart bands, each p5, p25, p50, p75, p95 per month (5*(months+1) values):
+ *      10 balanceBands - account balance (real dollars); a margin-called path counts as 0 from then on
+ *      11 equityBands - balance minus debt (real dollars); margin-called paths count as 0
+ *      12 ltvBands - debt / balance, over paths not yet margin-called (NaN once none are left)
+ * 13 ruinMonths - paths ruined by a margin call in month 1..months (months values)
+ * 14 risk, over survivors:
+ *      [+0] warningPaths - survivors that spent at least one month above warningLTV
+ *      [+1 to +6] maxDrawdown - worst peak-to-trough fall in net equity (balance - debt, 0 to 1)
+ *      [+7 to +12] peakLTV - highest month-end debt / balance, before any margin call action
+ *      [+13 to +18] monthsAboveWarning - months with LTV above warningLTV
+ *      each as mean, then p50, p75, p90, p95, p99 (RISK_PERCENTILES)
+ * 15 confidence, 95% intervals for the headline statistics:
+ *      [+0] survivalLow, [+1] survivalHigh - Wilson score interval for survivalRate (percent)
+ *      [+2] medianLow, [+3] medianHigh - order-statistic interval for medianWealth
+ *      [+4] p90Low, [+5] p90High - order-statistic interval for p90Wealth
+ *      [+6] expectedStdError - standard error of expectedWealth
+ *      [+7] pathsRun - paths actually simulated; every count and rate above is out of this
+ * 16 pathWealth - final real wealth of each path in path order (0 if margin-called), for pairing
+ *      with another run on the same paths; empty unless input [61] pathWealth is set
+ * 17 riskSamples - path range runs only: survivors' maxDrawdown, peakLTV and monthsAboveWarning,
+ *      each sorted, numSurvived values apiece (the raw values behind the risk section)
+ * 
+ * Money totals summed over paths (amountSold, realizedLoss, reserveDrawn and the three tax
+ * totals) are added up in whole cents, so they come to the same value in any order.
+ * 
+ * A margin call draws on the reserve first. If that does not restore marginCallLTV the call
+ * stays open for up to cureMonths; a recovery closes it, otherwise marginCallMode applies.
+ * Reserve cash earns nothing, and final wealth is net of the amount drawn (it came from savings).
+ * 
+ * Under forced deleverage a path is only ruined when a breach finds equity already wiped out
+ * (balance <= debt); otherwise just enough collateral is sold to repay debt down to the target.
+ * 
+ * Taxes are settled from outside the account, so they never change balances, margin calls or
+ * the pre-tax figures. Sales (final payoff and forced deleverage) realize gains against the
+ * average cost basis; net losses carry forward against later gains. At the horizon the
+ * remaining unrealized gain is taxed as if the account were cashed out. After-tax wealth is
+ * pre-tax real wealth minus those taxes plus the interest deductions, each in today's dollars.
+ * 
+ * Adaptive sampling runs the same paths as a fixed run with simulationCount = pathsRun, so a
+ * seed still replays exactly; it only decides where to stop.
+ * 
+ * Under Sobol sampling path s takes point s of the sequence (antithetic pairs share a point) and
+ * month t its coordinate t, through the inverse normal; rate and inflation shocks still come from
+ * the seeded generator. Each seed applies its own digital shift, so separate seeds are
+ * independent replicates of the estimate.
+ * 
+ * Debt is carried per path: with a fixed rate every band equals the deterministic schedule,
+ * with a stochastic rate the payment stays fixed and interest floats. depositPath is the
+ * schedule at the starting rate. All per-month bands are taken from the first BAND_PATHS paths.
+ * 
+ * RETURN SERIES (model 4 only):
+ * JS calls allocReturnSeries(n) and writes n simple monthly returns (0.01 = +1%)
+ * at the returned pointer before calling runSimulation().
+ * 
+ * ASSET TABLE (assetCount > 0 only):
+ * JS calls allocAssetTable(n) and writes n * (n + 3) values at the returned pointer:
+ *      [0 to n-1] weight[] - target share of the portfolio per asset (normalized by the engine)
+ *      [n to 2n-1] growth[] - expected annual return per asset
+ *      [2n to 3n-1] volatility[] - annual volatility per asset
+ *      [3n onward] correlation[][] - n x n correlation matrix of asset returns, row-major
+ * Each asset follows lognormal GBM; the correlated shocks come from the Cholesky factor of
+ * the matrix. The portfolio replaces the return model, and asset 0 supplies the equity shock
+ * that rate and inflation shocks are correlated with. Weights drift with returns, deposits buy
+ * at target weights, sales come out pro rata, and every rebalanceMonths the mix is reset.
+ * 
+ * BATCH RUNS:
+ * JS calls allocStrategyTable(n) and writes n rows of INPUT_SIZE values at the returned pointer,
+ * each laid out exactly like the input buffer, then calls runBatch(). Every row is copied into
+ * the input buffer and run through runSimulation() in order; the return series and asset table
+ * are shared by all rows. runBatch() returns the batch output size, read from getBatchOutputPtr():
+ *      [0] strategyCount
+ *      [1 to strategyCount] outputSize[] - length of each strategy's output
+ *      [strategyCount+1 onward] each strategy's output, back to back, in row order
+ * A row that fails only sets its own status; the remaining rows still run.
+ * 
+ * PROGRESS:
+ * The engine calls the imported env.reportProgress(row, pathsDone, pathsTotal) every
+ * PROGRESS_INTERVAL paths, where row is the batch row (0 outside runBatch()) and pathsTotal is
+ * simulationCount, the most that can run. A final call with pathsDone = pathsTotal = pathsRun
+ * marks the row finished, including when adaptive sampling stopped early.
+ * 
+ * INTERIM RESULTS:
+ * With interimPaths set, paths run in chunks of that many. After every chunk but the last the
+ * engine writes the full output for the paths finished so far (pathsRun = paths so far) into the
+ * output buffer and calls the imported env.reportInterim(row, outputSize), so JS can copy it
+ * while the run continues. The next chunk overwrites it; the last chunk's output is the result.
+ * Chunking never changes the paths: the final output is identical to a run without interims.
+ * 
+ * PATH RANGES:
+ * With pathStart or pathEnd set, the run simulates only paths pathStart to pathEnd - 1 of a
+ * simulationCount-path run, so one strategy can be spread over several workers. Each path
+ * is the same as in the full run, and every count, sum and array in the output covers the
+ * range alone (pathsRun = its path count, pathWealth starts at pathStart). Merging the ranges
+ * in order reproduces the full run: add the counts and totals, merge the sorted arrays and the
+ * riskSamples, then recompute each percentile, mean and interval from the merged values.
+ * The per-month bands and finalDebt come from the range that starts at 0.
+ * A range needs per-path streams (pathStreams or antithetic) and a fixed path count
+ * (samplingTolerance 0). It must not cut the band paths: it starts at 0 and holds at least the
+ * first BAND_PATHS paths (or all of them), or starts at BAND_PATHS or later.
+ * Progress counts the range's own paths.
+ * 
+ * OUTPUT SIZE:
+ * Before running, the engine computes the largest output the inputs can produce (every
+ * survivor-sized array at simulationCount, or at the range's path count for a path range; the
+ * liquidation array only under marginCallMode 1, the after-tax array only under taxMode 1,
+ * path wealth only with pathWealth, riskSamples only for a path range) and grows the
+ * output buffer to fit, so nothing is ever truncated. The returned size is the part written.
+ * A failed run writes only the header, with its status and no sections, and returns HEADER_SIZE.
+ * 
+ * STATUS CODES:
+ * 1 = bootstrap model selected but no return series supplied
+ * 2 = deleverage target LTV not below the margin call LTV
+ * 3 = asset table missing or its correlation matrix not positive definite
+ * 4 = Sobol sampling with a return model other than single-asset lognormal, or too many months
+ * 5 = output too large: the requested paths and months need more than MAX_OUTPUT_SIZE values
+ * 6 = invalid input: simulationCount below 1, or years shorter than one month (or not a number)
+ * 7 = invalid path range (see PATH RANGES)
+ */
+
+import {
+    randn,
+    seedRandom,
+    streamSeed,
+    setMirrorNormals,
+    simulateMonthlyReturn,
+    monthlyReturnFromShock,
+    initSobol,
+    seekSobol,
+    nextSobolPoint,
+    sobolNormal,
+    simulateMonthlyReturnStudentT,
+    simulateMonthlyReturnJump,
+    simulateShortRateStep,
+    simulateInflationStep,
+    nextRandom,
+    calculateAmortizedPayment,
+    choleskyDecompose
+} from './math';
+
+// Return model codes (input [12])
+const MODEL_LOGNORMAL: i32 = 0;
+const MODEL_STUDENT_T: i32 = 1;
+const MODEL_JUMP_DIFFUSION: i32 = 2;
+const MODEL_REGIME_SWITCHING: i32 = 3;
+const MODEL_BOOTSTRAP: i32 = 4;
+
+// Regime-switching block layout (input [17] and [20-34])
+const MAX_REGIMES: i32 = 3;
+const REGIME_GROWTH_OFFSET: i32 = 20;
+const REGIME_VOLATILITY_OFFSET: i32 = 23;
+const REGIME_TRANSITION_OFFSET: i32 = 26;
+
+// Short-rate models (input [35])
+const RATE_FIXED: i32 = 0;
+const RATE_VASICEK: i32 = 1;
+const RATE_CIR: i32 = 2;
+
+// Per-month bands (debt and fan chart): percentiles reported and how many paths they are sampled from
+const BAND_PATHS: i32 = 1000;
+const BAND_COUNT: i32 = 5;
+const BAND_PERCENTILES: StaticArray<f64> = [0.05, 0.25, 0.5, 0.75, 0.95];
+
+// Margin call handling (input [44])
+const CALL_RUIN: i32 = 0;
+const CALL_DELEVERAGE: i32 = 1;
+
+// Inflation models (input [40])
+const INFLATION_CONSTANT: i32 = 0;
+const INFLATION_AR1: i32 = 1;
+
+// Sampling methods (input [57]); one Sobol dimension per month
+const SAMPLING_PSEUDO_RANDOM: i32 = 0;
+const SAMPLING_SOBOL: i32 = 1;
+const MAX_SOBOL_MONTHS: i32 = 1200; // dimensions covered by assembly/sobol-table.ts (SAMPLING_DEFAULTS in config.js)
+
+// Multi-asset portfolio (input [48]; table layout documented above)
+const MAX_ASSETS: i32 = 4;
+
+// Output protocol (see OUTPUT PROTOCOL above)
+const PROTOCOL_MAGIC: f64 = <f64>0x4D43534D; // "MCSM"
+const PROTOCOL_VERSION: f64 = 1.0;
+const HEADER_SIZE: i32 = 4;
+const SECTION_ENTRY_SIZE: i32 = 3;
+
+// Output section ids, in the order they are written
+const SECTION_STATS: i32 = 1;
+const SECTION_DEPOSIT_PATH: i32 = 2;
+const SECTION_DEBT_BANDS: i32 = 3;
+const SECTION_WEALTH: i32 = 4;
+const SECTION_LIQUIDATION: i32 = 5;
+const SECTION_LIQUIDATED_WEALTH: i32 = 6;
+const SECTION_RESERVE: i32 = 7;
+const SECTION_TAX: i32 = 8;
+const SECTION_AFTER_TAX_WEALTH: i32 = 9;
+const SECTION_BALANCE_BANDS: i32 = 10;
+const SECTION_EQUITY_BANDS: i32 = 11;
+const SECTION_LTV_BANDS: i32 = 12;
+const SECTION_RUIN_MONTHS: i32 = 13;
+const SECTION_RISK: i32 = 14;
+const SECTION_CONFIDENCE: i32 = 15;
+const SECTION_PATH_WEALTH: i32 = 16;
+const SECTION_RISK_SAMPLES: i32 = 17;
+const SECTION_COUNT: i32 = 16;      // sections of a full run
+const PART_SECTION_COUNT: i32 = 17; // sections of a path range run (adds riskSamples)
+
+// Largest output a run may request, in f64 values (256 MB); larger runs fail with status 5
+const MAX_OUTPUT_SIZE: f64 = 33554432.0;
+
+// Two-sided 95% normal quantile for the confidence block
+const CONFIDENCE_Z: f64 = 1.959963984540054;
+
+// Risk metric summaries: percentiles written after the mean
+const RISK_PERCENTILES: StaticArray<f64> = [0.5, 0.75, 0.9, 0.95, 0.99];
+
+// Tax layer (input [50])
+const TAX_NONE: i32 = 0;
+const TAX_TAXABLE: i32 = 1;
+
+// Progress callback into JS (see PROGRESS above)
+@external("env", "reportProgress")
+declare function reportProgress(row: i32, pathsDone: i32, pathsTotal: i32): void;
+const PROGRESS_INTERVAL: i32 = 500;
+
+// Provisional output callback into JS (see INTERIM RESULTS above)
+@external("env", "reportInterim")
+declare function reportInterim(row: i32, outputSize: i32): void;
 
 // Input buffer: per-strategy parameters
-let inputBuffer: StaticArray<f64> = new StaticArray<f64>(20);
+const INPUT_SIZE: i32 = 64;
+let inputBuffer: StaticArray<f64> = new StaticArray<f64>(INPUT_SIZE);
+
+// Batch runs: one input row per strategy, and every strategy's output back to back
+let strategyTable: StaticArray<f64> = new StaticArray<f64>(0);
+let batchOutput: StaticArray<f64> = new StaticArray<f64>(0);
+let batchRow: i32 = 0; // row being run, for progress reports
+
+// Historical monthly returns for the bootstrap model (written by JS)
+let returnSeries: StaticArray<f64> = new StaticArray<f64>(0);
+
+// Weights, growth, volatility and correlations of the collateral assets (written by JS)
+let assetTable: StaticArray<f64> = new StaticArray<f64>(0);
 
-// Output buffer: results + schedules + wealth array
-// Max size: 2 + 6 + 480 + 480 + 100000 = ~101k f64 values
-let outputBuffer: StaticArray<f64> = new StaticArray<f64>(1000000);
+// Output buffer: results + schedules + wealth arrays, grown by reserveOutput() to fit each run
+let outputBuffer: StaticArray<f64> = new StaticArray<f64>(HEADER_SIZE);
 
 /**
  * Get pointer to input buffer for JS to write to
@@ -56,11 +371,342 @@ export function getInputPtr(): usize {
 
 /**
  * Get pointer to output buffer for JS to read from
+ * Call after each run: a run may reallocate the buffer (and grow memory) to fit its output
  */
 export function getOutputPtr(): usize {
     return changetype<usize>(outputBuffer);
 }
 
+/**
+ * Allocate the bootstrap return series and return its pointer for JS to fill
+ * Must be called before getInputPtr()/getOutputPtr() views are created: it may grow memory
+ */
+export function allocReturnSeries(length: i32): usize {
+    returnSeries = new StaticArray<f64>(length);
+    return changetype<usize>(returnSeries);
+}
+
+/**
+ * Allocate the multi-asset table (assetCount * (assetCount + 3) values) and return its pointer
+ * Must be called before getInputPtr()/getOutputPtr() views are created: it may grow memory
+ */
+export function allocAssetTable(assetCount: i32): usize {
+    assetTable = new StaticArray<f64>(assetCount * (assetCount + 3));
+    return changetype<usize>(assetTable);
+}
+
+/**
+ * Allocate the strategy table (strategyCount rows of INPUT_SIZE values) and return its pointer
+ * Must be called before getInputPtr()/getOutputPtr() views are created: it may grow memory
+ */
+export function allocStrategyTable(strategyCount: i32): usize {
+    strategyTable = new StaticArray<f64>(strategyCount * INPUT_SIZE);
+    return changetype<usize>(strategyTable);
+}
+
+/**
+ * Get pointer to the batch output for JS to read from (valid until the next runBatch())
+ */
+export function getBatchOutputPtr(): usize {
+    return changetype<usize>(batchOutput);
+}
+
+/**
+ * Run every strategy in the strategy table and collect their outputs into the batch output
+ * Returns the batch output size
+ */
+export function runBatch(): i32 {
+    const strategyCount = strategyTable.length / INPUT_SIZE;
+    let totalSize = 1 + strategyCount;
+    reserveBatchOutput(totalSize, 0);
+    batchOutput[0] = f64(strategyCount);
+    
+    for (let i = 0; i < strategyCount; i++) {
+        batchRow = i;
+        memory.copy(
+            changetype<usize>(inputBuffer),
+            changetype<usize>(strategyTable) + (<usize>(i * INPUT_SIZE) << alignof<f64>()),
+            <usize>INPUT_SIZE << alignof<f64>()
+        );
+        const outputSize = runSimulation();
+        reserveBatchOutput(totalSize + outputSize, totalSize);
+        batchOutput[1 + i] = f64(outputSize);
+        memory.copy(
+            changetype<usize>(batchOutput) + (<usize>totalSize << alignof<f64>()),
+            changetype<usize>(outputBuffer),
+            <usize>outputSize << alignof<f64>()
+        );
+        totalSize += outputSize;
+    }
+    batchRow = 0;
+    
+    return totalSize;
+}
+
+/**
+ * Make room for `size` values in the batch output, keeping the first `used` already written
+ * Grows by at least half again so a batch of small rows does not reallocate per row
+ */
+function reserveBatchOutput(size: i32, used: i32): void {
+    if (batchOutput.length >= size) return;
+    let grown = new StaticArray<f64>(max(size, batchOutput.length + (batchOutput.length >> 1)));
+    memory.copy(changetype<usize>(grown), changetype<usize>(batchOutput), <usize>used << alignof<f64>());
+    batchOutput = grown;
+}
+
+/**
+ * Sample the next regime from row `current` of the transition matrix
+ */
+function sampleRegimeTransition(current: i32, regimeCount: i32): i32 {
+    const rowOffset = REGIME_TRANSITION_OFFSET + current * MAX_REGIMES;
+    const u = nextRandom();
+    let cumulative: f64 = 0.0;
+    for (let r = 0; r < regimeCount - 1; r++) {
+        cumulative += inputBuffer[rowOffset + r];
+        if (u < cumulative) return r;
+    }
+    return regimeCount - 1;
+}
+
+/**
+ * Long-run share of time spent in each regime (power iteration on the transition matrix)
+ * Paths start from this distribution so there is no bias toward any starting regime
+ */
+function stationaryRegimeDistribution(regimeCount: i32): StaticArray<f64> {
+    let dist = new StaticArray<f64>(MAX_REGIMES);
+    let next = new StaticArray<f64>(MAX_REGIMES);
+    for (let r = 0; r < regimeCount; r++) dist[r] = 1.0 / f64(regimeCount);
+    
+    for (let iter = 0; iter < 1000; iter++) {
+        for (let to = 0; to < regimeCount; to++) {
+            let p: f64 = 0.0;
+            for (let from = 0; from < regimeCount; from++) {
+                p += dist[from] * inputBuffer[REGIME_TRANSITION_OFFSET + from * MAX_REGIMES + to];
+            }
+            next[to] = p;
+        }
+        for (let r = 0; r < regimeCount; r++) dist[r] = next[r];
+    }
+    return dist;
+}
+
+/**
+ * Price level at month t relative to today, for valuing mid-path cash flows in real dollars
+ */
+function priceLevel(inflationModel: i32, logDeflator: f64, inflation: f64, t: i32): f64 {
+    return inflationModel === INFLATION_AR1
+        ? Math.exp(logDeflator)
+        : Math.pow(1.0 + inflation, f64(t) / 12.0);
+}
+
+/**
+ * Express a monthly return factor as a standard normal shock on the lognormal scale
+ * Exact for the lognormal model; for the other models it is the month's surprise
+ * relative to the same drift and volatility, which rate and inflation shocks are correlated with
+ */
+function standardizedShock(ret: f64, logMean: f64, logStdDev: f64): f64 {
+    if (logStdDev <= 0.0) return 0.0;
+    return (Math.log(ret) - logMean) / logStdDev;
+}
+
+/**
+ * Percentile bands per month from sampled per-path values
+ * samples holds pathCount rows of months+1 values; NaN entries (paths no longer counted) are skipped
+ */
+function calculatePercentileBands(samples: StaticArray<f64>, pathCount: i32, months: i32): StaticArray<f64> {
+    const stride = months + 1;
+    let bands = new StaticArray<f64>(BAND_COUNT * stride);
+    let column = new StaticArray<f64>(pathCount);
+    
+    for (let t = 0; t <= months; t++) {
+        let alive = 0;
+        for (let s = 0; s < pathCount; s++) {
+            const debt = samples[s * stride + t];
+            if (!isNaN(debt)) column[alive++] = debt;
+        }
+        
+        let sorted = column.slice<StaticArray<f64>>(0, alive);
+        sorted.sort();
+        for (let b = 0; b < BAND_COUNT; b++) {
+            const idx = i32(f64(alive) * BAND_PERCENTILES[b]);
+            bands[b * stride + t] = alive > 0 ? sorted[idx < alive ? idx : alive - 1] : NaN;
+        }
+    }
+    return bands;
+}
+
+/**
+ * Capital gains tax due once a path's net realized gain reaches newNetGain
+ * Gains up to taxedGain were already taxed, so a net loss carries forward until it is recouped
+ */
+function capitalGainsTax(newNetGain: f64, taxedGain: f64, taxRate: f64): f64 {
+    return newNetGain > taxedGain ? taxRate * (newNetGain - taxedGain) : 0.0;
+}
+
+/**
+ * Value at fraction p of an ascending array (same indexing as the wealth percentiles)
+ */
+function percentileOfSorted(sorted: StaticArray<f64>, p: f64): f64 {
+    const count = sorted.length;
+    if (count === 0) return 0.0;
+    const idx = i32(f64(count) * p);
+    return sorted[idx < count ? idx : count - 1];
+}
+
+/**
+ * Wilson score interval for a binomial proportion successes / trials, as [low, high] fractions
+ * Stays inside [0, 1] and behaves at survival rates near 100%, unlike the normal approximation
+ */
+function wilsonInterval(successes: i32, trials: i32): StaticArray<f64> {
+    let interval = new StaticArray<f64>(2);
+    if (trials <= 0) return interval;
+    const n = f64(trials);
+    const p = f64(successes) / n;
+    const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+    const center = (p + z2 / (2.0 * n)) / (1.0 + z2 / n);
+    const halfWidth = CONFIDENCE_Z * Math.sqrt(p * (1.0 - p) / n + z2 / (4.0 * n * n)) / (1.0 + z2 / n);
+    interval[0] = Math.max(center - halfWidth, 0.0);
+    interval[1] = Math.min(center + halfWidth, 1.0);
+    return interval;
+}
+
+/**
+ * Distribution-free interval for the q-quantile of an ascending array, as [low, high] values
+ * The ranks bracketing n*q by z binomial standard deviations (normal approximation to the
+ * binomial count of values below the true quantile)
+ */
+function quantileInterval(sorted: StaticArray<f64>, q: f64): StaticArray<f64> {
+    let interval = new StaticArray<f64>(2);
+    const count = sorted.length;
+    if (count === 0) return interval;
+    const center = f64(count) * q;
+    const spread = CONFIDENCE_Z * Math.sqrt(f64(count) * q * (1.0 - q));
+    const lowRank = i32(Math.max(Math.floor(center - spread), 0.0));
+    const highRank = i32(Math.min(Math.ceil(center + spread), f64(count - 1)));
+    interval[0] = sorted[lowRank];
+    interval[1] = sorted[highRank];
+    return interval;
+}
+
+/**
+ * Dollars as a whole number of cents, for money totals that must add up the same in any order
+ */
+function toCents(dollars: f64): i64 {
+    return i64(Math.round(dollars * 100.0));
+}
+
+function fromCents(cents: i64): f64 {
+    return f64(cents) / 100.0;
+}
+
+/**
+ * Write values[0..count) in ascending order at outputIdx; returns the next index
+ */
+function writeSorted(values: StaticArray<f64>, count: i32, outputIdx: i32): i32 {
+    let sorted = values.slice<StaticArray<f64>>(0, count);
+    sorted.sort();
+    for (let i = 0; i < count; i++) {
+        outputBuffer[outputIdx++] = sorted[i];
+    }
+    return outputIdx;
+}
+
+/**
+ * Write the mean and RISK_PERCENTILES of values[0..count) at outputIdx; returns the next index
+ */
+function writeDistributionSummary(values: StaticArray<f64>, count: i32, outputIdx: i32): i32 {
+    let sorted = values.slice<StaticArray<f64>>(0, count);
+    sorted.sort();
+    let sum: f64 = 0.0;
+    for (let i = 0; i < count; i++) sum += sorted[i];
+    outputBuffer[outputIdx++] = count > 0 ? sum / f64(count) : 0.0;
+    for (let p = 0; p < RISK_PERCENTILES.length; p++) {
+        outputBuffer[outputIdx++] = percentileOfSorted(sorted, RISK_PERCENTILES[p]);
+    }
+    return outputIdx;
+}
+
+// Section being written: its table entry and where its data starts
+let sectionEntry: i32 = 0;
+let sectionStart: i32 = 0;
+
+/**
+ * Write the output header and return where the first section's data starts
+ */
+function beginOutput(status: i32, sectionCount: i32): i32 {
+    outputBuffer[0] = PROTOCOL_MAGIC;
+    outputBuffer[1] = PROTOCOL_VERSION;
+    outputBuffer[2] = f64(status);
+    outputBuffer[3] = f64(sectionCount);
+    sectionEntry = HEADER_SIZE;
+    return HEADER_SIZE + sectionCount * SECTION_ENTRY_SIZE;
+}
+
+/**
+ * Start a section at outputIdx: records its id and offset in the next table entry
+ */
+function beginSection(id: i32, outputIdx: i32): void {
+    outputBuffer[sectionEntry] = f64(id);
+    outputBuffer[sectionEntry + 1] = f64(outputIdx);
+    sectionStart = outputIdx;
+}
+
+/**
+ * Close the current section, which ends just before outputIdx
+ */
+function endSection(outputIdx: i32): void {
+    outputBuffer[sectionEntry + 2] = f64(outputIdx - sectionStart);
+    sectionEntry += SECTION_ENTRY_SIZE;
+}
+
+/**
+ * Write the first count values of an array as one section; returns the next output index
+ */
+function writeSection(id: i32, values: StaticArray<f64>, count: i32, outputIdx: i32): i32 {
+    beginSection(id, outputIdx);
+    for (let i = 0; i < count; i++) {
+        outputBuffer[outputIdx++] = values[i];
+    }
+    endSection(outputIdx);
+    return outputIdx;
+}
+
+/**
+ * Output of a run that failed before simulating: the header alone
+ */
+function failRun(status: i32): i32 {
+    return beginOutput(status, 0);
+}
+
+/**
+ * Most values a run can write (see OUTPUT SIZE above): header, section table and every
+ * section, each survivor-sized one at its largest, i.e. as if no path were margin-called
+ * simulationCount is the paths this run simulates (the range's count for a path range)
+ */
+function requiredOutputSize(simulationCount: f64, months: f64, liquidations: bool, taxable: bool, pathWealth: bool, part: bool): f64 {
+    const bandSize = 5.0 * (months + 1.0);
+    return f64(HEADER_SIZE + (part ? PART_SECTION_COUNT : SECTION_COUNT) * SECTION_ENTRY_SIZE)
+        + 8.0 + (months + 1.0) + bandSize     // stats, depositPath, debtBands
+        + simulationCount                     // wealth
+        + 5.0 + (liquidations ? simulationCount : 0.0)
+        + 5.0                                 // reserve
+        + 7.0 + (taxable ? simulationCount : 0.0)
+        + 3.0 * bandSize + months             // fan chart bands, ruinMonths
+        + 19.0 + 8.0                          // risk and confidence
+        + (pathWealth ? simulationCount : 0.0)
+        + (part ? 3.0 * simulationCount : 0.0); // riskSamples
+}
+
+/**
+ * Make the output buffer hold at least size values; it only ever grows, so repeated runs of
+ * the same size reuse it
+ */
+function reserveOutput(size: i32): void {
+    if (outputBuffer.length < size) {
+        outputBuffer = new StaticArray<f64>(size);
+    }
+}
+
 /**
  * Main simulation - generic, knows nothing about strategy types
  * Just takes initial conditions and runs the numbers
@@ -78,16 +724,126 @@ export function runSimulation(): i32 {
     const inflation = inputBuffer[8];
     const marginCallLTV = inputBuffer[9];
     const simulationCount = i32(inputBuffer[10]);
+    const seed = u32(i64(inputBuffer[11]));
+    const returnModel = i32(inputBuffer[12]);
+    const degreesOfFreedom = inputBuffer[13];
+    const jumpIntensity = inputBuffer[14];
+    const jumpMean = inputBuffer[15];
+    const jumpStdDev = inputBuffer[16];
+    const regimeCount = i32(inputBuffer[17]);
+    const blockLength = i32(inputBuffer[18]) > 1 ? i32(inputBuffer[18]) : 1;
+    const seriesLength = returnSeries.length;
+    const rateModel = i32(inputBuffer[35]);
+    const rateMeanReversion = inputBuffer[36];
+    const rateLongRunMean = inputBuffer[37];
+    const rateVolatility = inputBuffer[38];
+    const rateCorrelation = inputBuffer[39];
+    const rateIndependentWeight = Math.sqrt(Math.max(1.0 - rateCorrelation * rateCorrelation, 0.0));
+    const inflationModel = i32(inputBuffer[40]);
+    const inflationCorrelation = inputBuffer[43];
+    const inflationIndependentWeight = Math.sqrt(Math.max(1.0 - inflationCorrelation * inflationCorrelation, 0.0));
+    const needsEquityShock = rateModel !== RATE_FIXED || inflationModel !== INFLATION_CONSTANT;
+    
+    // Monthly AR(1) coefficient from the annual one; shocks sized so the long-run spread matches input [42]
+    // (at persistence 1 there is no long run, so a year of shocks spreads inflation by input [42])
+    const inflationPersistence = Math.pow(Math.max(inputBuffer[41], 0.0), 1.0 / 12.0);
+    const inflationShockScale = inflationPersistence < 1.0
+        ? inputBuffer[42] * Math.sqrt(1.0 - inflationPersistence * inflationPersistence)
+        : inputBuffer[42] * Math.sqrt(1.0 / 12.0);
+    const constantDeflator = Math.pow(1.0 + inflation, years);
+    const marginCallMode = i32(inputBuffer[44]);
+    const deleverageTargetLTV = inputBuffer[45];
+    const cashReserve = Math.max(inputBuffer[46], 0.0);
+    const cureMonths = i32(inputBuffer[47]);
+    const assetCount = i32(inputBuffer[48]);
+    const rebalanceMonths = i32(inputBuffer[49]);
+    const taxMode = i32(inputBuffer[50]);
+    const capitalGainsTaxRate = inputBuffer[51];
+    const interestDeductionRate = inputBuffer[52];
+    const warningLTV = inputBuffer[53];
+    const samplingTolerance = inputBuffer[19];
+    const samplingBatchSize = i32(inputBuffer[54]) > 1 ? i32(inputBuffer[54]) : 1;
+    const interimPaths = i32(inputBuffer[58]) > 0 ? i32(inputBuffer[58]) : 0;
+    const antithetic = i32(inputBuffer[56]) !== 0;
+    const pathStreams = i32(inputBuffer[55]) !== 0 || antithetic;
+    const keepPathWealth = i32(inputBuffer[61]) !== 0;
+    const quasiRandom = i32(inputBuffer[57]) === SAMPLING_SOBOL;
+    
+    if (!(inputBuffer[10] >= 1.0) || !(years * 12.0 >= 1.0)) {
+        return failRun(6); // status: need at least one path and one month
+    }
+    
+    if (marginCallMode === CALL_DELEVERAGE && !(deleverageTargetLTV >= 0.0 && deleverageTargetLTV < marginCallLTV)) {
+        return failRun(2); // status: deleverage target must be below the margin call LTV
+    }
+    
+    if (quasiRandom && (returnModel !== MODEL_LOGNORMAL || assetCount > 0 || i32(years * 12.0) > MAX_SOBOL_MONTHS)) {
+        return failRun(4); // status: Sobol sampling only drives single-asset lognormal returns
+    }
+    
+    if (returnModel === MODEL_BOOTSTRAP && seriesLength === 0) {
+        return failRun(1); // status: no return series supplied
+    }
+    
+    // Path range of this run (see PATH RANGES); the whole run unless [59]/[60] are set
+    const rangeStart = i32(inputBuffer[59]);
+    const rangeEnd = inputBuffer[60] > 0.0 ? i32(inputBuffer[60]) : simulationCount;
+    const isPart = rangeStart !== 0 || rangeEnd !== simulationCount;
+    if (isPart) {
+        const bandPathsCovered = rangeStart === 0
+            ? rangeEnd >= min(simulationCount, BAND_PATHS)
+            : rangeStart >= BAND_PATHS;
+        if (!(rangeStart >= 0 && rangeStart < rangeEnd && rangeEnd <= simulationCount && bandPathsCovered) ||
+            !pathStreams || samplingTolerance > 0.0) {
+            return failRun(7); // status: paths outside this range would change the ones inside it
+        }
+    }
+    const rangeCount = rangeEnd - rangeStart;
+    
+    const outputSize = requiredOutputSize(
+        f64(rangeCount), Math.floor(years * 12.0),
+        marginCallMode === CALL_DELEVERAGE, taxMode === TAX_TAXABLE, keepPathWealth, isPart
+    );
+    if (outputSize > MAX_OUTPUT_SIZE) {
+        return failRun(5); // status: output would not fit in MAX_OUTPUT_SIZE
+    }
+    reserveOutput(i32(outputSize));
+    
+    // Multi-asset portfolio: normalized target weights, monthly lognormal parameters, Cholesky factor
+    let targetWeights = new StaticArray<f64>(MAX_ASSETS);
+    let assetLogMean = new StaticArray<f64>(MAX_ASSETS);
+    let assetLogStdDev = new StaticArray<f64>(MAX_ASSETS);
+    let assetCholesky = new StaticArray<f64>(0);
+    if (assetCount > 0) {
+        let correlation = new StaticArray<f64>(assetCount * assetCount);
+        let weightTotal: f64 = 0.0;
+        const tableValid = assetCount <= MAX_ASSETS && assetTable.length === assetCount * (assetCount + 3);
+        if (tableValid) {
+            for (let a = 0; a < assetCount; a++) weightTotal += assetTable[a];
+            for (let i = 0; i < correlation.length; i++) correlation[i] = assetTable[3 * assetCount + i];
+            assetCholesky = choleskyDecompose(correlation, assetCount);
+        }
+        if (!tableValid || !(weightTotal > 0.0) || assetCholesky.length === 0) {
+            return failRun(3); // status: invalid asset table
+        }
+        for (let a = 0; a < assetCount; a++) {
+            const assetGrowth = assetTable[assetCount + a];
+            const assetVolatility = assetTable[2 * assetCount + a];
+            targetWeights[a] = assetTable[a] / weightTotal;
+            assetLogMean[a] = (assetGrowth - 0.5 * assetVolatility * assetVolatility) / 12.0;
+            assetLogStdDev[a] = assetVolatility * Math.sqrt(1.0 / 12.0);
+        }
+    }
+    let assetWeights = new StaticArray<f64>(MAX_ASSETS);   // this path's current mix (sums to 1)
+    let independentShocks = new StaticArray<f64>(MAX_ASSETS);
     
     const months = i32(years * 12.0);
     
-    // Calculate the schedule internally (delayed annuity: T=0 is initial capital, T=1..months are monthly flows)
+    // Calculate the deposit schedule at the starting rate (delayed annuity: T=0 is initial capital, T=1..months are monthly flows)
     let depositPath = new StaticArray<f64>(months + 1);
-    let debtPath = new StaticArray<f64>(months + 1);
     
     // T=0: Initial capital injection
     depositPath[0] = initialBalance;
-    debtPath[0] = initialDebt;
     
     let currentDebt = initialDebt;
     for (let t = 1; t <= months; t++) {
@@ -110,100 +866,555 @@ export function runSimulation(): i32 {
             // Debt already paid off
             depositPath[t] = monthlyBudget;
         }
-        
-        debtPath[t] = currentDebt >= 0 ? currentDebt : 0;
     }
     
-    // Run simulations
+    // Lognormal-scale mean and volatility of a monthly return, for correlating rate and inflation shocks
+    const monthStdDev = Math.sqrt(1.0 / 12.0);
+    let logMean = (growth - 0.5 * volatility * volatility) / 12.0;
+    let logStdDev = volatility * monthStdDev;
+    if (returnModel === MODEL_BOOTSTRAP && needsEquityShock) {
+        let sum: f64 = 0.0;
+        let sumSquares: f64 = 0.0;
+        for (let i = 0; i < seriesLength; i++) {
+            const logReturn = Math.log(1.0 + returnSeries[i]);
+            sum += logReturn;
+            sumSquares += logReturn * logReturn;
+        }
+        logMean = sum / f64(seriesLength);
+        logStdDev = Math.sqrt(Math.max(sumSquares / f64(seriesLength) - logMean * logMean, 0.0));
+    }
+    
+    // Per-path debt, balance, equity and LTV for the first BAND_PATHS paths (debt and LTV NaN once margin-called);
+    // a range starting past them has none
+    const bandPaths = rangeStart > 0 ? 0 : min(rangeCount, BAND_PATHS);
+    let debtSamples = new StaticArray<f64>(bandPaths * (months + 1));
+    let balanceSamples = new StaticArray<f64>(bandPaths * (months + 1));
+    let equitySamples = new StaticArray<f64>(bandPaths * (months + 1));
+    let ltvSamples = new StaticArray<f64>(bandPaths * (months + 1));
+    for (let i = 0; i < debtSamples.length; i++) {
+        debtSamples[i] = NaN;
+        ltvSamples[i] = NaN;
+    }
+    
+    const regimeStart = returnModel === MODEL_REGIME_SWITCHING
+        ? stationaryRegimeDistribution(regimeCount)
+        : new StaticArray<f64>(MAX_REGIMES);
+    
+    // Run simulations (reseed so identical inputs give identical results)
+    seedRandom(seed);
+    setMirrorNormals(false);
+    if (quasiRandom) {
+        // A range starts at its first path's point (antithetic pairs share one, so a range
+        // starting on a pair's second path loads the pair's point up front)
+        initSobol(months, seed);
+        seekSobol(u32(antithetic ? rangeStart >> 1 : rangeStart));
+        if (antithetic && (rangeStart & 1) === 1) nextSobolPoint();
+    }
     let survivorCount = 0;
-    let wealthResults = new StaticArray<f64>(simulationCount);
+    let wealthResults = new StaticArray<f64>(rangeCount);
     
-    for (let s = 0; s < simulationCount; s++) {
-        let balance = depositPath[0]; // Start with T=0 initial capital
-        let ruined = false;
-        
-        for (let t = 1; t <= months; t++) {
-            const ret = simulateMonthlyReturn(growth, volatility);
-            balance = (balance * ret) + depositPath[t];
+    // Forced deleverage bookkeeping
+    let liquidationEvents = 0;
+    let liquidatedPaths = 0;
+    let amountSoldCents: i64 = 0;
+    let realizedLossCents: i64 = 0;
+    let liquidatedSurvivorCount = 0;
+    let liquidatedSurvivorWealth = new StaticArray<f64>(rangeCount);
+    
+    // Emergency reserve bookkeeping
+    let reserveUsedPaths = 0;
+    let reserveDrawnCents: i64 = 0;
+    let reserveDepletedPaths = 0;
+    let marginCallsOpened = 0;
+    let marginCallsCured = 0;
+    
+    // Month each ruined path was margin-called (index 1..months)
+    let ruinMonths = new StaticArray<i32>(months + 1);
+    
+    // Risk metrics of surviving paths
+    let survivorMaxDrawdown = new StaticArray<f64>(rangeCount);
+    let survivorPeakLTV = new StaticArray<f64>(rangeCount);
+    let survivorMonthsAboveWarning = new StaticArray<f64>(rangeCount);
+    let warningPaths = 0;
+    
+    // Tax bookkeeping
+    let afterTaxWealth = new StaticArray<f64>(taxMode === TAX_TAXABLE ? rangeCount : 0);
+    let salesTaxCents: i64 = 0;
+    let interestTaxSavingsCents: i64 = 0;
+    let horizonTaxCents: i64 = 0;
+    
+    let pathsRun = 0;          // paths of this run finished so far
+    let stoppedEarly = false;  // adaptive sampling reached its tolerance
+    let outputIdx = 0;
+    let pathWealth = new StaticArray<f64>(keepPathWealth ? rangeCount : 0);
+    
+    // Paths run in chunks of interimPaths (one chunk when 0); every chunk but the last ends with
+    // a provisional output of the paths so far (see INTERIM RESULTS)
+    while (true) {
+        const chunkEnd = interimPaths > 0 ? min(pathsRun + interimPaths, rangeCount) : rangeCount;
+        for (let i = pathsRun; i < chunkEnd; i++) {
+            const s = rangeStart + i; // path number within the full run
+            // Antithetic pairs share a stream; the second path of each pair mirrors its normal shocks
+            // and its bootstrap block starts
+            const mirrored = antithetic && (s & 1) === 1;
+            if (pathStreams) {
+                seedRandom(streamSeed(seed, u32(antithetic ? s >> 1 : s)));
+                setMirrorNormals(mirrored);
+            }
+            if (quasiRandom && (!antithetic || (s & 1) === 0)) nextSobolPoint();
+            
+            let balance = depositPath[0]; // Start with T=0 initial capital
+            let debt = initialDebt;
+            let shortRate = monthlyRate * 12.0;
+            let pathRate = monthlyRate;
+            let inflationRate = inflation;
+            let logDeflator: f64 = 0.0; // sum of monthly log price growth along this path
+            let costBasis = balance;    // purchase cost of the collateral still held
+            let pathLiquidations = 0;
+            let reserve = cashReserve;
+            let pathReserveDrawn: f64 = 0.0;
+            let callOpenMonth = -1;     // month the current margin call opened, -1 = none open
+            let netRealizedGain: f64 = 0.0; // gains minus losses realized by sales so far
+            let taxedGain: f64 = 0.0;       // the part of those gains already taxed
+            let pathTax: f64 = 0.0;         // real dollars
+            let pathInterestSavings: f64 = 0.0;
+            let peakEquity = balance - debt;
+            let maxDrawdown: f64 = 0.0;
+            let peakLTV = debt / balance;
+            let monthsAboveWarning = 0;
+            let ruined = false;
+            for (let a = 0; a < assetCount; a++) assetWeights[a] = targetWeights[a];
+            const sampleRow = s < bandPaths ? s * (months + 1) : -1;
+            if (sampleRow >= 0) {
+                debtSamples[sampleRow] = debt;
+                balanceSamples[sampleRow] = balance;
+                equitySamples[sampleRow] = balance - debt;
+                ltvSamples[sampleRow] = debt / balance;
+            }
+            
+            // Circular block bootstrap position (blockLength 1 = i.i.d. months)
+            let seriesPos = 0;
+            let blockRemaining = 0;
+            
+            // Per-path market regime, drawn from the long-run distribution
+            let regime = 0;
+            if (returnModel === MODEL_REGIME_SWITCHING) {
+                const u = nextRandom();
+                let cumulative: f64 = 0.0;
+                regime = regimeCount - 1;
+                for (let r = 0; r < regimeCount - 1; r++) {
+                    cumulative += regimeStart[r];
+                    if (u < cumulative) {
+                        regime = r;
+                        break;
+                    }
+                }
+            }
+            
+            for (let t = 1; t <= months; t++) {
+                let ret: f64;
+                let shockMean = logMean;
+                let shockStdDev = logStdDev;
+                if (assetCount > 0) {
+                    // Correlated asset returns; weights drift with them (sum of grown weights = portfolio return)
+                    for (let a = 0; a < assetCount; a++) independentShocks[a] = randn();
+                    ret = 0.0;
+                    for (let a = 0; a < assetCount; a++) {
+                        let shock: f64 = 0.0;
+                        for (let b = 0; b <= a; b++) {
+                            shock += assetCholesky[a * assetCount + b] * independentShocks[b];
+                        }
+                        assetWeights[a] *= Math.exp(assetLogMean[a] + assetLogStdDev[a] * shock);
+                        ret += assetWeights[a];
+                    }
+                    for (let a = 0; a < assetCount; a++) assetWeights[a] /= ret;
+                } else if (returnModel === MODEL_BOOTSTRAP) {
+                    if (blockRemaining === 0) {
+                        const blockStart = i32(nextRandom() * f64(seriesLength));
+                        seriesPos = mirrored ? seriesLength - 1 - blockStart : blockStart;
+                        blockRemaining = blockLength;
+                    }
+                    ret = 1.0 + returnSeries[seriesPos];
+                    seriesPos = (seriesPos + 1) % seriesLength;
+                    blockRemaining--;
+                } else if (returnModel === MODEL_REGIME_SWITCHING) {
+                    const regimeGrowth = inputBuffer[REGIME_GROWTH_OFFSET + regime];
+                    const regimeVolatility = inputBuffer[REGIME_VOLATILITY_OFFSET + regime];
+                    ret = simulateMonthlyReturn(regimeGrowth, regimeVolatility);
+                    shockMean = (regimeGrowth - 0.5 * regimeVolatility * regimeVolatility) / 12.0;
+                    shockStdDev = regimeVolatility * monthStdDev;
+                    regime = sampleRegimeTransition(regime, regimeCount);
+                } else if (returnModel === MODEL_STUDENT_T) {
+                    ret = simulateMonthlyReturnStudentT(growth, volatility, degreesOfFreedom);
+                } else if (returnModel === MODEL_JUMP_DIFFUSION) {
+                    ret = simulateMonthlyReturnJump(growth, volatility, jumpIntensity, jumpMean, jumpStdDev);
+                } else if (quasiRandom) {
+                    ret = monthlyReturnFromShock(growth, volatility, sobolNormal(t - 1));
+                } else {
+                    ret = simulateMonthlyReturn(growth, volatility);
+                }
+                
+                // Multi-asset: asset 0's own shock (the first Cholesky row is the identity)
+                let equityShock: f64 = 0.0;
+                if (needsEquityShock) {
+                    equityShock = assetCount > 0 ? independentShocks[0] : standardizedShock(ret, shockMean, shockStdDev);
+                }
+                
+                // Floating rate: this month's interest accrues at the rate after its shock
+                if (rateModel !== RATE_FIXED) {
+                    const shock = rateCorrelation * equityShock + rateIndependentWeight * randn();
+                    shortRate = simulateShortRateStep(
+                        shortRate, rateMeanReversion, rateLongRunMean, rateVolatility, shock, rateModel === RATE_CIR
+                    );
+                    pathRate = Math.max(shortRate, 0.0) / 12.0;
+                }
+                
+                // Stochastic inflation: accumulate this path's price level (floored to keep it positive)
+                if (inflationModel === INFLATION_AR1) {
+                    const shock = inflationCorrelation * equityShock + inflationIndependentWeight * randn();
+                    inflationRate = simulateInflationStep(
+                        inflationRate, inflation, inflationPersistence, inflationShockScale, shock
+                    );
+                    logDeflator += Math.log1p(Math.max(inflationRate, -0.99)) / 12.0;
+                }
+                
+                // Same amortization rules as the schedule above, at this path's rate
+                let deposit: f64;
+                if (debt > 0) {
+                    const interest = debt * pathRate;
+                    if (taxMode === TAX_TAXABLE && interestDeductionRate > 0.0) {
+                        pathInterestSavings += interestDeductionRate * interest / priceLevel(inflationModel, logDeflator, inflation, t);
+                    }
+                    const principalReduction = monthlyPayment - interest;
+                    if (t === months || principalReduction >= debt) {
+                        deposit = monthlyBudget - (debt + interest);
+                        debt = 0;
+                    } else {
+                        debt -= principalReduction; // grows when a rate spike pushes interest above the payment
+                        deposit = monthlyBudget - monthlyPayment;
+                    }
+                } else {
+                    deposit = monthlyBudget;
+                }
+                
+                // Deposits buy at cost; a negative deposit (final payoff) sells a pro-rata slice
+                const grown = balance * ret;
+                if (deposit >= 0.0) {
+                    costBasis += deposit;
+                } else if (grown > 0.0) {
+                    const retained = Math.max(1.0 + deposit / grown, 0.0);
+                    if (taxMode === TAX_TAXABLE) {
+                        netRealizedGain += -deposit - costBasis * (1.0 - retained);
+                        const tax = capitalGainsTax(netRealizedGain, taxedGain, capitalGainsTaxRate);
+                        if (tax > 0.0) {
+                            pathTax += tax / priceLevel(inflationModel, logDeflator, inflation, t);
+                            taxedGain = netRealizedGain;
+                        }
+                    }
+                    costBasis *= retained;
+                }
+                balance = grown + deposit;
+                
+                if (assetCount > 0) {
+                    if (deposit > 0.0 && balance > 0.0) {
+                        for (let a = 0; a < assetCount; a++) {
+                            assetWeights[a] = (assetWeights[a] * grown + targetWeights[a] * deposit) / balance;
+                        }
+                    }
+                    if (rebalanceMonths > 0 && t % rebalanceMonths === 0) {
+                        for (let a = 0; a < assetCount; a++) assetWeights[a] = targetWeights[a];
+                    }
+                }
+                
+                // Check margin call: the emergency reserve repays just enough debt to get back
+                // under the threshold; whatever it can't cover stays open for the cure window
+                const ltv = debt / balance;
+                if (ltv > peakLTV) peakLTV = ltv;
+                if (debt > 0 && ltv > warningLTV) monthsAboveWarning++;
+                let inBreach = debt > 0 && ltv > marginCallLTV;
+                if (inBreach) {
+                    if (callOpenMonth < 0) {
+                        callOpenMonth = t;
+                        marginCallsOpened++;
+                    }
+                    if (reserve > 0.0) {
+                        const needed = Math.min(debt - marginCallLTV * balance, debt);
+                        const draw = Math.min(needed, reserve);
+                        reserve -= draw;
+                        debt -= draw;
+                        pathReserveDrawn += draw;
+                        reserveDrawnCents += toCents(draw / priceLevel(inflationModel, logDeflator, inflation, t));
+                        inBreach = draw < needed;
+                    }
+                }
+                
+                if (callOpenMonth >= 0) {
+                    if (!inBreach) {
+                        callOpenMonth = -1;
+                        marginCallsCured++;
+                    } else if (t - callOpenMonth >= cureMonths) {
+                        callOpenMonth = -1;
+                        if (marginCallMode !== CALL_DELEVERAGE || balance <= debt) {
+                            ruined = true;
+                            ruinMonths[t]++;
+                            // The account is liquidated: nothing left to chart from this month on
+                            if (sampleRow >= 0) {
+                                for (let rest = t; rest <= months; rest++) {
+                                    balanceSamples[sampleRow + rest] = 0.0;
+                                    equitySamples[sampleRow + rest] = 0.0;
+                                }
+                            }
+                            break;
+                        }
+                        
+                        // Sell x so that (debt - x) / (balance - x) = target, and repay debt with it
+                        const sale = (debt - deleverageTargetLTV * balance) / (1.0 - deleverageTargetLTV);
+                        const basisSold = costBasis * (sale / balance);
+                        const level = priceLevel(inflationModel, logDeflator, inflation, t);
+                        amountSoldCents += toCents(sale / level);
+                        if (basisSold > sale) realizedLossCents += toCents((basisSold - sale) / level);
+                        if (taxMode === TAX_TAXABLE) {
+                            netRealizedGain += sale - basisSold;
+                            const tax = capitalGainsTax(netRealizedGain, taxedGain, capitalGainsTaxRate);
+                            if (tax > 0.0) {
+                                pathTax += tax / level;
+                                taxedGain = netRealizedGain;
+                            }
+                        }
+                        costBasis -= basisSold;
+                        balance -= sale;
+                        debt -= sale;
+                        liquidationEvents++;
+                        pathLiquidations++;
+                    }
+                }
+                const equity = balance - debt;
+                if (equity > peakEquity) {
+                    peakEquity = equity;
+                } else if (peakEquity > 0.0) {
+                    const drawdown = Math.min((peakEquity - equity) / peakEquity, 1.0);
+                    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+                }
+                if (sampleRow >= 0) {
+                    const level = priceLevel(inflationModel, logDeflator, inflation, t);
+                    debtSamples[sampleRow + t] = debt;
+                    balanceSamples[sampleRow + t] = balance / level;
+                    equitySamples[sampleRow + t] = (balance - debt) / level;
+                    ltvSamples[sampleRow + t] = debt / balance;
+                }
+            }
+            
+            salesTaxCents += toCents(pathTax);
+            interestTaxSavingsCents += toCents(pathInterestSavings);
+            if (pathLiquidations > 0) liquidatedPaths++;
+            if (pathReserveDrawn > 0.0) reserveUsedPaths++;
+            if (cashReserve > 0.0 && reserve <= 0.0) reserveDepletedPaths++;
+            
+            if (!ruined) {
+                const nominalWealth = balance - debt - pathReserveDrawn;
+                const deflator = inflationModel === INFLATION_AR1 ? Math.exp(logDeflator) : constantDeflator;
+                const realWealth = nominalWealth / deflator;
+                wealthResults[survivorCount] = realWealth;
+                survivorMaxDrawdown[survivorCount] = maxDrawdown;
+                survivorPeakLTV[survivorCount] = peakLTV;
+                survivorMonthsAboveWarning[survivorCount] = f64(monthsAboveWarning);
+                if (monthsAboveWarning > 0) warningPaths++;
+                if (taxMode === TAX_TAXABLE) {
+                    // Cash out at the horizon: tax whatever net gain is still untaxed
+                    const pathHorizonTax = capitalGainsTax(
+                        netRealizedGain + balance - costBasis, taxedGain, capitalGainsTaxRate
+                    ) / deflator;
+                    horizonTaxCents += toCents(pathHorizonTax);
+                    afterTaxWealth[survivorCount] = realWealth - pathTax - pathHorizonTax + pathInterestSavings;
+                }
+                survivorCount++;
+                if (keepPathWealth) pathWealth[i] = realWealth;
+                if (pathLiquidations > 0) {
+                    liquidatedSurvivorWealth[liquidatedSurvivorCount] = realWealth;
+                    liquidatedSurvivorCount++;
+                }
+            }
+            
+            // Adaptive sampling: stop at a batch boundary once survival is pinned down
+            if (samplingTolerance > 0.0 && (i + 1) % samplingBatchSize === 0 && i + 1 < rangeCount) {
+                const interval = wilsonInterval(survivorCount, i + 1);
+                if ((interval[1] - interval[0]) * 0.5 <= samplingTolerance) {
+                    pathsRun = i + 1;
+                    stoppedEarly = true;
+                    break;
+                }
+            }
             
-            // Check margin call
-            if (debtPath[t] > 0 && debtPath[t] / balance > marginCallLTV) {
-                ruined = true;
-                break;
+            if ((i + 1) % PROGRESS_INTERVAL === 0 && i + 1 < rangeCount) {
+                reportProgress(batchRow, i + 1, rangeCount);
             }
         }
+        if (!stoppedEarly) pathsRun = chunkEnd;
+        const finished = stoppedEarly || pathsRun >= rangeCount;
         
-        if (!ruined) {
-            const finalDebt = debtPath[months];
-            const nominalWealth = balance - finalDebt;
-            const realWealth = nominalWealth / Math.pow(1.0 + inflation, years);
-            wealthResults[survivorCount] = realWealth;
-            survivorCount++;
-        }
-    }
-    
-    // Calculate statistics
-    let outputIdx = 0;
-    outputBuffer[outputIdx++] = 0.0; // status: success
-    outputBuffer[outputIdx++] = f64(months);
-    
-    if (survivorCount > 0) {
-        // Sort for percentiles
-        wealthResults.sort();
+        // Calculate statistics (band rows past pathsRun were never simulated)
+        const bandPathsRun = pathsRun < bandPaths ? pathsRun : bandPaths;
+        const debtBands = calculatePercentileBands(debtSamples, bandPathsRun, months);
+        const balanceBands = calculatePercentileBands(balanceSamples, bandPathsRun, months);
+        const equityBands = calculatePercentileBands(equitySamples, bandPathsRun, months);
+        const ltvBands = calculatePercentileBands(ltvSamples, bandPathsRun, months);
+        const medianFinalDebt = debtBands[2 * (months + 1) + months];
         
-        const medianIdx = i32(f64(survivorCount) * 0.5);
-        const median = wealthResults[medianIdx < survivorCount ? medianIdx : survivorCount - 1];
+        outputIdx = beginOutput(0, isPart ? PART_SECTION_COUNT : SECTION_COUNT);
+        beginSection(SECTION_STATS, outputIdx);
+        outputBuffer[outputIdx++] = f64(months);
         
-        const p90Idx = i32(f64(survivorCount) * 0.9);
-        const p90 = wealthResults[p90Idx < survivorCount ? p90Idx : survivorCount - 1];
+        // Sort copies for percentiles (only the survivor slots): later chunks keep filling the originals
+        const sortedWealth = wealthResults.slice<StaticArray<f64>>(0, survivorCount);
+        sortedWealth.sort();
         
-        let sum: f64 = 0.0;
-        for (let i = 0; i < survivorCount; i++) {
-            sum += wealthResults[i];
+        if (survivorCount > 0) {
+            const medianIdx = i32(f64(survivorCount) * 0.5);
+            const median = sortedWealth[medianIdx < survivorCount ? medianIdx : survivorCount - 1];
+            
+            const p90Idx = i32(f64(survivorCount) * 0.9);
+            const p90 = sortedWealth[p90Idx < survivorCount ? p90Idx : survivorCount - 1];
+            
+            let sum: f64 = 0.0;
+            for (let i = 0; i < survivorCount; i++) {
+                sum += sortedWealth[i];
+            }
+            const expected = sum / f64(survivorCount);
+            
+            const survivalRate = (f64(survivorCount) / f64(pathsRun)) * 100.0;
+            
+            // Write statistics
+            outputBuffer[outputIdx++] = survivalRate;
+            outputBuffer[outputIdx++] = median;
+            outputBuffer[outputIdx++] = p90;
+            outputBuffer[outputIdx++] = expected;
+            outputBuffer[outputIdx++] = isNaN(medianFinalDebt) ? 0.0 : medianFinalDebt;
+            outputBuffer[outputIdx++] = 0.0; // totalDeposits (not calculated)
+            outputBuffer[outputIdx++] = f64(survivorCount);
+        } else {
+            // No survivors
+            outputBuffer[outputIdx++] = 0.0; // survivalRate
+            outputBuffer[outputIdx++] = 0.0; // median
+            outputBuffer[outputIdx++] = 0.0; // p90
+            outputBuffer[outputIdx++] = 0.0; // expected
+            outputBuffer[outputIdx++] = isNaN(medianFinalDebt) ? 0.0 : medianFinalDebt;
+            outputBuffer[outputIdx++] = 0.0; // totalDeposits
+            outputBuffer[outputIdx++] = 0.0; // survivorCount
         }
-        const expected = sum / f64(survivorCount);
-        
-        const survivalRate = (f64(survivorCount) / f64(simulationCount)) * 100.0;
-        
-        // Write statistics
-        outputBuffer[outputIdx++] = survivalRate;
-        outputBuffer[outputIdx++] = median;
-        outputBuffer[outputIdx++] = p90;
-        outputBuffer[outputIdx++] = expected;
-        outputBuffer[outputIdx++] = debtPath[months];
-        outputBuffer[outputIdx++] = 0.0; // totalDeposits (not calculated)
-        outputBuffer[outputIdx++] = f64(survivorCount);
+        endSection(outputIdx);
         
         // Write schedule (includes T=0, so months+1 elements)
-        for (let t = 0; t <= months && outputIdx < 1000000; t++) {
+        beginSection(SECTION_DEPOSIT_PATH, outputIdx);
+        for (let t = 0; t <= months; t++) {
             outputBuffer[outputIdx++] = depositPath[t];
         }
-        for (let t = 0; t <= months && outputIdx < 1000000; t++) {
-            outputBuffer[outputIdx++] = debtPath[t];
-        }
+        endSection(outputIdx);
+        outputIdx = writeSection(SECTION_DEBT_BANDS, debtBands, debtBands.length, outputIdx);
         
         // Write wealth array
-        for (let i = 0; i < survivorCount && outputIdx < 1000000; i++) {
-            outputBuffer[outputIdx++] = wealthResults[i];
+        outputIdx = writeSection(SECTION_WEALTH, sortedWealth, survivorCount, outputIdx);
+        
+        // Write liquidation block
+        const sortedLiquidatedWealth = liquidatedSurvivorWealth.slice<StaticArray<f64>>(0, liquidatedSurvivorCount);
+        sortedLiquidatedWealth.sort();
+        beginSection(SECTION_LIQUIDATION, outputIdx);
+        outputBuffer[outputIdx++] = f64(liquidationEvents);
+        outputBuffer[outputIdx++] = f64(liquidatedPaths);
+        outputBuffer[outputIdx++] = fromCents(amountSoldCents);
+        outputBuffer[outputIdx++] = fromCents(realizedLossCents);
+        outputBuffer[outputIdx++] = f64(liquidatedSurvivorCount);
+        endSection(outputIdx);
+        outputIdx = writeSection(SECTION_LIQUIDATED_WEALTH, sortedLiquidatedWealth, liquidatedSurvivorCount, outputIdx);
+        
+        // Write reserve block
+        beginSection(SECTION_RESERVE, outputIdx);
+        outputBuffer[outputIdx++] = f64(reserveUsedPaths);
+        outputBuffer[outputIdx++] = fromCents(reserveDrawnCents);
+        outputBuffer[outputIdx++] = f64(reserveDepletedPaths);
+        outputBuffer[outputIdx++] = f64(marginCallsOpened);
+        outputBuffer[outputIdx++] = f64(marginCallsCured);
+        endSection(outputIdx);
+        
+        // Write tax block
+        const afterTaxCount = taxMode === TAX_TAXABLE ? survivorCount : 0;
+        const sortedAfterTaxWealth = afterTaxWealth.slice<StaticArray<f64>>(0, afterTaxCount);
+        sortedAfterTaxWealth.sort();
+        let afterTaxSum: f64 = 0.0;
+        for (let i = 0; i < afterTaxCount; i++) afterTaxSum += sortedAfterTaxWealth[i];
+        beginSection(SECTION_TAX, outputIdx);
+        outputBuffer[outputIdx++] = f64(afterTaxCount);
+        outputBuffer[outputIdx++] = percentileOfSorted(sortedAfterTaxWealth, 0.5);
+        outputBuffer[outputIdx++] = percentileOfSorted(sortedAfterTaxWealth, 0.9);
+        outputBuffer[outputIdx++] = afterTaxCount > 0 ? afterTaxSum / f64(afterTaxCount) : 0.0;
+        outputBuffer[outputIdx++] = fromCents(salesTaxCents);
+        outputBuffer[outputIdx++] = fromCents(interestTaxSavingsCents);
+        outputBuffer[outputIdx++] = fromCents(horizonTaxCents);
+        endSection(outputIdx);
+        outputIdx = writeSection(SECTION_AFTER_TAX_WEALTH, sortedAfterTaxWealth, afterTaxCount, outputIdx);
+        
+        // Write fan chart bands
+        outputIdx = writeSection(SECTION_BALANCE_BANDS, balanceBands, balanceBands.length, outputIdx);
+        outputIdx = writeSection(SECTION_EQUITY_BANDS, equityBands, equityBands.length, outputIdx);
+        outputIdx = writeSection(SECTION_LTV_BANDS, ltvBands, ltvBands.length, outputIdx);
+        
+        // Write ruin month histogram
+        beginSection(SECTION_RUIN_MONTHS, outputIdx);
+        for (let t = 1; t <= months; t++) {
+            outputBuffer[outputIdx++] = f64(ruinMonths[t]);
         }
-    } else {
-        // No survivors
-        outputBuffer[outputIdx++] = 0.0; // survivalRate
-        outputBuffer[outputIdx++] = 0.0; // median
-        outputBuffer[outputIdx++] = 0.0; // p90
-        outputBuffer[outputIdx++] = 0.0; // expected
-        outputBuffer[outputIdx++] = debtPath[months];
-        outputBuffer[outputIdx++] = 0.0; // totalDeposits
-        outputBuffer[outputIdx++] = 0.0; // survivorCount
+        endSection(outputIdx);
         
-        // Write schedule (includes T=0, so months+1 elements)
-        for (let t = 0; t <= months && outputIdx < 1000000; t++) {
-            outputBuffer[outputIdx++] = depositPath[t];
+        // Write risk block
+        beginSection(SECTION_RISK, outputIdx);
+        outputBuffer[outputIdx++] = f64(warningPaths);
+        outputIdx = writeDistributionSummary(survivorMaxDrawdown, survivorCount, outputIdx);
+        outputIdx = writeDistributionSummary(survivorPeakLTV, survivorCount, outputIdx);
+        outputIdx = writeDistributionSummary(survivorMonthsAboveWarning, survivorCount, outputIdx);
+        endSection(outputIdx);
+        
+        // Write confidence block
+        const survivalInterval = wilsonInterval(survivorCount, pathsRun);
+        const medianInterval = quantileInterval(sortedWealth, 0.5);
+        const p90Interval = quantileInterval(sortedWealth, 0.9);
+        let wealthMean: f64 = 0.0;
+        let wealthSquares: f64 = 0.0;
+        for (let i = 0; i < survivorCount; i++) wealthMean += sortedWealth[i];
+        wealthMean = survivorCount > 0 ? wealthMean / f64(survivorCount) : 0.0;
+        for (let i = 0; i < survivorCount; i++) {
+            const deviation = sortedWealth[i] - wealthMean;
+            wealthSquares += deviation * deviation;
         }
-        for (let t = 0; t <= months && outputIdx < 1000000; t++) {
-            outputBuffer[outputIdx++] = debtPath[t];
+        const expectedStdError = survivorCount > 1
+            ? Math.sqrt(wealthSquares / f64(survivorCount - 1) / f64(survivorCount))
+            : 0.0;
+        beginSection(SECTION_CONFIDENCE, outputIdx);
+        outputBuffer[outputIdx++] = survivalInterval[0] * 100.0;
+        outputBuffer[outputIdx++] = survivalInterval[1] * 100.0;
+        outputBuffer[outputIdx++] = medianInterval[0];
+        outputBuffer[outputIdx++] = medianInterval[1];
+        outputBuffer[outputIdx++] = p90Interval[0];
+        outputBuffer[outputIdx++] = p90Interval[1];
+        outputBuffer[outputIdx++] = expectedStdError;
+        outputBuffer[outputIdx++] = f64(pathsRun);
+        endSection(outputIdx);
+        
+        // Write path wealth block (margin-called paths stay 0)
+        outputIdx = writeSection(SECTION_PATH_WEALTH, pathWealth, keepPathWealth ? pathsRun : 0, outputIdx);
+        
+        // Write the raw risk values a path range is merged from
+        if (isPart) {
+            beginSection(SECTION_RISK_SAMPLES, outputIdx);
+            outputIdx = writeSorted(survivorMaxDrawdown, survivorCount, outputIdx);
+            outputIdx = writeSorted(survivorPeakLTV, survivorCount, outputIdx);
+            outputIdx = writeSorted(survivorMonthsAboveWarning, survivorCount, outputIdx);
+            endSection(outputIdx);
         }
+        
+        if (finished) break;
+        reportInterim(batchRow, outputIdx);
     }
+    reportProgress(batchRow, pathsRun, pathsRun);
+    setMirrorNormals(false);
     
     return outputIdx;
 }
@@ -3,6 +3,95 @@
  * AssemblyScript implementation
  */
 
+import { SOBOL_POLYNOMIALS, SOBOL_INITIAL_NUMBERS } from './sobol-table';
+
+// xoshiro128** generator state (four 32-bit words)
+// 32-bit arithmetic only, so scripts/fallback-engine.js can mirror it bit-for-bit with Math.imul
+let rngState0: u32 = 0;
+let rngState1: u32 = 0;
+let rngState2: u32 = 0;
+let rngState3: u32 = 0;
+let splitMixState: u32 = 0;
+
+// Antithetic sampling: when set, randn() and sobolNormal() return the mirror image of each draw
+let mirrorNormals: bool = false;
+
+// Sobol low-discrepancy sequence (quasi-Monte Carlo): one dimension per month of a path
+// Direction numbers are built on first use from the published Joe-Kuo primitive polynomials and
+// initial values (assembly/sobol-table.ts). A random digital shift per seed makes every run an
+// independent randomized-QMC replicate.
+// Points become monthly shocks through a Brownian bridge: coordinate 0 sets the path's total
+// shock, the next ones its midpoints, so the best-spread coordinates decide final wealth.
+const SOBOL_BITS: i32 = 32;
+let sobolDimensions: i32 = 0;
+let sobolDirections: StaticArray<u32> = new StaticArray<u32>(0); // SOBOL_BITS per dimension
+let sobolPoint: StaticArray<u32> = new StaticArray<u32>(0);
+let sobolShift: StaticArray<u32> = new StaticArray<u32>(0);
+let sobolIndex: u32 = 0;
+let sobolShocks: StaticArray<f64> = new StaticArray<f64>(0); // current point as monthly shocks
+
+// Brownian bridge construction order over unit time steps (step i fills month bridgeMonth[i])
+let bridgeMonth: StaticArray<i32> = new StaticArray<i32>(0);
+let bridgeLeft: StaticArray<i32> = new StaticArray<i32>(0);
+let bridgeRight: StaticArray<i32> = new StaticArray<i32>(0);
+let bridgeLeftWeight: StaticArray<f64> = new StaticArray<f64>(0);
+let bridgeRightWeight: StaticArray<f64> = new StaticArray<f64>(0);
+let bridgeStdDev: StaticArray<f64> = new StaticArray<f64>(0);
+
+// SplitMix32 step used to expand a single seed into the xoshiro state
+function splitMix32(): u32 {
+    splitMixState += 0x9E3779B9;
+    let z = splitMixState;
+    z = (z ^ (z >>> 16)) * 0x85EBCA6B;
+    z = (z ^ (z >>> 13)) * 0xC2B2AE35;
+    return z ^ (z >>> 16);
+}
+
+// Reset the generator so the same seed always replays the same sequence
+export function seedRandom(seed: u32): void {
+    splitMixState = seed;
+    rngState0 = splitMix32();
+    rngState1 = splitMix32();
+    rngState2 = splitMix32();
+    rngState3 = splitMix32();
+}
+
+// Seed of an independent stream `stream` derived from a run seed (murmur3 finalizer of the pair)
+// Hashing keeps nearby streams from sharing SplitMix32 states the way seed + stream would
+export function streamSeed(seed: u32, stream: u32): u32 {
+    let z = seed ^ (stream * 0x9E3779B9 + 0x7F4A7C15);
+    z = (z ^ (z >>> 16)) * 0x85EBCA6B;
+    z = (z ^ (z >>> 13)) * 0xC2B2AE35;
+    return z ^ (z >>> 16);
+}
+
+// Mirror (negate) every normal draw until switched off
+export function setMirrorNormals(mirror: bool): void {
+    mirrorNormals = mirror;
+}
+
+// Next raw 32-bit output of xoshiro128**
+function nextUint32(): u32 {
+    const result = rotl<u32>(rngState1 * 5, 7) * 9;
+    const t = rngState1 << 9;
+    
+    rngState2 ^= rngState0;
+    rngState3 ^= rngState1;
+    rngState1 ^= rngState2;
+    rngState0 ^= rngState3;
+    rngState2 ^= t;
+    rngState3 = rotl<u32>(rngState3, 11);
+    
+    return result;
+}
+
+// Uniform random number in [0, 1) with 53 bits of precision (two 32-bit draws)
+export function nextRandom(): f64 {
+    const hi = f64(nextUint32() >>> 5);
+    const lo = f64(nextUint32() >>> 6);
+    return (hi * 67108864.0 + lo) / 9007199254740992.0;
+}
+
 // Box-Muller transform for generating normal random variables
 // Returns a standard normal random variable (mean=0, stddev=1)
 export function randn(): f64 {
@@ -10,10 +99,211 @@ export function randn(): f64 {
     let v: f64 = 0.0;
     
     // Ensure we don't get exactly 0 (would cause log(0) = -infinity)
-    while (u === 0.0) u = Math.random();
-    while (v === 0.0) v = Math.random();
+    while (u === 0.0) u = nextRandom();
+    while (v === 0.0) v = nextRandom();
+    
+    const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    return mirrorNormals ? -z : z;
+}
+
+// Standard normal quantile for p in (0, 1): Acklam's rational approximation (relative error
+// below 1.2e-9), central region plus a tail formula on each side
+export function inverseNormal(p: f64): f64 {
+    const low: f64 = 0.02425;
+    if (p < low) {
+        const q = Math.sqrt(-2.0 * Math.log(p));
+        return (((((-7.784894002430293e-03 * q - 3.223964580411365e-01) * q - 2.400758277161838e+00) * q
+            - 2.549732539343734e+00) * q + 4.374664141464968e+00) * q + 2.938163982698783e+00)
+            / ((((7.784695709041462e-03 * q + 3.224671290700398e-01) * q + 2.445134137142996e+00) * q
+            + 3.754408661907416e+00) * q + 1.0);
+    }
+    if (p > 1.0 - low) {
+        return -inverseNormal(1.0 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((-3.969683028665376e+01 * r + 2.209460984245205e+02) * r - 2.759285104469687e+02) * r
+        + 1.383577518672690e+02) * r - 3.066479806614716e+01) * r + 2.506628277459239e+00) * q
+        / (((((-5.447609879822406e+01 * r + 1.615858368580409e+02) * r - 1.556989798598866e+02) * r
+        + 6.680131188771972e+01) * r - 1.328068155288572e+01) * r + 1.0);
+}
+
+// Direction numbers for the first `dimensions` Sobol dimensions (dimension 0 is van der Corput)
+function buildSobolDirections(dimensions: i32): void {
+    sobolDirections = new StaticArray<u32>(dimensions * SOBOL_BITS);
+    for (let k = 0; k < SOBOL_BITS; k++) {
+        sobolDirections[k] = <u32>1 << (31 - k);
+    }
     
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    let initial = 0; // first initial value of the current polynomial in SOBOL_INITIAL_NUMBERS
+    for (let dimension = 1; dimension < dimensions; dimension++) {
+        const poly = u32(SOBOL_POLYNOMIALS[dimension - 1]);
+        const degree = 31 - i32(clz(poly));
+        const base = dimension * SOBOL_BITS;
+        for (let k = 0; k < SOBOL_BITS; k++) {
+            let v: u32;
+            if (k < degree) {
+                v = u32(SOBOL_INITIAL_NUMBERS[initial + k]) << (31 - k);
+            } else {
+                // v_k = v_(k-d) ^ (v_(k-d) >> d) ^ sum of a_i * v_(k-i), a_i = coefficient of x^(d-i)
+                v = sobolDirections[base + k - degree] ^ (sobolDirections[base + k - degree] >>> degree);
+                for (let i = 1; i < degree; i++) {
+                    if (((poly >>> (degree - i)) & 1) !== 0) v ^= sobolDirections[base + k - i];
+                }
+            }
+            sobolDirections[base + k] = v;
+        }
+        initial += degree;
+    }
+    sobolDimensions = dimensions;
+}
+
+// Brownian bridge schedule for `steps` unit time steps: the end point first, then repeatedly the
+// middle of the widest unfilled gap, each conditioned on its filled neighbours
+function buildBrownianBridge(steps: i32): void {
+    bridgeMonth = new StaticArray<i32>(steps);
+    bridgeLeft = new StaticArray<i32>(steps);
+    bridgeRight = new StaticArray<i32>(steps);
+    bridgeLeftWeight = new StaticArray<f64>(steps);
+    bridgeRightWeight = new StaticArray<f64>(steps);
+    bridgeStdDev = new StaticArray<f64>(steps);
+    let filled = new StaticArray<bool>(steps);
+    
+    // Cumulative shock at month m (0-based) has variance m + 1
+    filled[steps - 1] = true;
+    bridgeMonth[0] = steps - 1;
+    bridgeStdDev[0] = Math.sqrt(f64(steps));
+    
+    let gapStart = 0;
+    for (let i = 1; i < steps; i++) {
+        while (filled[gapStart]) gapStart++;
+        let gapEnd = gapStart;
+        while (!filled[gapEnd]) gapEnd++;
+        
+        // Fill the middle of [gapStart, gapEnd) between the known points gapStart - 1 and gapEnd
+        const month = gapStart + ((gapEnd - 1 - gapStart) >> 1);
+        const leftTime = f64(gapStart);         // time of month gapStart - 1 (0 = start of path)
+        const rightTime = f64(gapEnd + 1);
+        const time = f64(month + 1);
+        filled[month] = true;
+        bridgeMonth[i] = month;
+        bridgeLeft[i] = gapStart - 1;
+        bridgeRight[i] = gapEnd;
+        bridgeLeftWeight[i] = (rightTime - time) / (rightTime - leftTime);
+        bridgeRightWeight[i] = (time - leftTime) / (rightTime - leftTime);
+        bridgeStdDev[i] = Math.sqrt((time - leftTime) * (rightTime - time) / (rightTime - leftTime));
+        
+        gapStart = gapEnd + 1;
+        if (gapStart >= steps) gapStart = 0;
+    }
+}
+
+// Restart the Sobol sequence at its first point, with a digital shift drawn from the seed
+export function initSobol(dimensions: i32, seed: u32): void {
+    if (dimensions > sobolDimensions) buildSobolDirections(dimensions);
+    if (bridgeMonth.length !== dimensions) buildBrownianBridge(dimensions);
+    sobolPoint = new StaticArray<u32>(dimensions);
+    sobolShift = new StaticArray<u32>(dimensions);
+    sobolShocks = new StaticArray<f64>(dimensions);
+    for (let d = 0; d < dimensions; d++) {
+        sobolShift[d] = streamSeed(~seed, u32(d));
+    }
+    sobolIndex = 0;
+}
+
+// Jump so that the next nextSobolPoint() returns point `index` (0-based), as if the earlier
+// points had been drawn: in Gray-code order point k - 1 is the XOR of the directions for the
+// set bits of gray(k - 1)
+export function seekSobol(index: u32): void {
+    const gray = index > 0 ? (index - 1) ^ ((index - 1) >> 1) : 0;
+    for (let d = 0; d < sobolPoint.length; d++) {
+        let point: u32 = 0;
+        for (let bit = 0; bit < SOBOL_BITS; bit++) {
+            if (((gray >> u32(bit)) & 1) !== 0) point ^= sobolDirections[d * SOBOL_BITS + bit];
+        }
+        sobolPoint[d] = point;
+    }
+    sobolIndex = index;
+}
+
+// Move to the next Sobol point (Gray-code order: one XOR per dimension) and turn it into
+// monthly standard normal shocks
+export function nextSobolPoint(): void {
+    const steps = sobolPoint.length;
+    if (sobolIndex > 0) {
+        const bit = i32(ctz<u32>(~(sobolIndex - 1)));
+        for (let d = 0; d < steps; d++) {
+            sobolPoint[d] ^= sobolDirections[d * SOBOL_BITS + bit];
+        }
+    }
+    sobolIndex++;
+    
+    // Cumulative shocks along the bridge, then differenced into monthly shocks
+    for (let i = 0; i < steps; i++) {
+        const u = (f64(sobolPoint[i] ^ sobolShift[i]) + 0.5) / 4294967296.0;
+        const z = bridgeStdDev[i] * inverseNormal(u);
+        const month = bridgeMonth[i];
+        if (i === 0) {
+            sobolShocks[month] = z;
+            continue;
+        }
+        const left = bridgeLeft[i] >= 0 ? sobolShocks[bridgeLeft[i]] : 0.0;
+        sobolShocks[month] = bridgeLeftWeight[i] * left + bridgeRightWeight[i] * sobolShocks[bridgeRight[i]] + z;
+    }
+    for (let m = steps - 1; m > 0; m--) {
+        sobolShocks[m] -= sobolShocks[m - 1];
+    }
+}
+
+// Standard normal shock for month `month` (0-based) of the current Sobol path
+export function sobolNormal(month: i32): f64 {
+    const z = sobolShocks[month];
+    return mirrorNormals ? -z : z;
+}
+
+// Gamma(shape, 1) variate via Marsaglia-Tsang squeeze method
+// Shapes below 1 are boosted: Gamma(k) = Gamma(k + 1) * U^(1/k)
+export function randGamma(shape: f64): f64 {
+    if (shape < 1.0) {
+        let u: f64 = 0.0;
+        while (u === 0.0) u = nextRandom();
+        return randGamma(shape + 1.0) * Math.pow(u, 1.0 / shape);
+    }
+    
+    const d = shape - 1.0 / 3.0;
+    const c = 1.0 / Math.sqrt(9.0 * d);
+    while (true) {
+        const x = randn();
+        let v = 1.0 + c * x;
+        if (v <= 0.0) continue;
+        v = v * v * v;
+        const u = nextRandom();
+        if (u < 1.0 - 0.0331 * x * x * x * x) return d * v;
+        if (u > 0.0 && Math.log(u) < 0.5 * x * x + d * (1.0 - v + Math.log(v))) return d * v;
+    }
+    return 0.0; // unreachable
+}
+
+// Student-t variate rescaled to unit variance (requires degreesOfFreedom > 2)
+// so the volatility input keeps its meaning while the tails get fatter
+export function randStudentT(degreesOfFreedom: f64): f64 {
+    const chiSquared = 2.0 * randGamma(0.5 * degreesOfFreedom);
+    const t = randn() / Math.sqrt(chiSquared / degreesOfFreedom);
+    return t * Math.sqrt((degreesOfFreedom - 2.0) / degreesOfFreedom);
+}
+
+// Poisson variate via Knuth's multiplication method (fine for small monthly means)
+export function randPoisson(mean: f64): i32 {
+    if (mean <= 0.0) return 0;
+    
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = nextRandom();
+    while (product > limit) {
+        count++;
+        product *= nextRandom();
+    }
+    return count;
 }
 
 // Calculate amortized payment using present value of annuity formula
@@ -38,10 +328,107 @@ export function calculateAmortizedPayment(
 export function simulateMonthlyReturn(
     growthRate: f64,
     volatility: f64
+): f64 {
+    return monthlyReturnFromShock(growthRate, volatility, randn());
+}
+
+// One month of geometric Brownian motion driven by a given standard normal shock
+export function monthlyReturnFromShock(
+    growthRate: f64,
+    volatility: f64,
+    shock: f64
 ): f64 {
     const dt = 1.0 / 12.0; // Monthly time step
     const drift = (growthRate - 0.5 * volatility * volatility) * dt;
-    const diffusion = volatility * Math.sqrt(dt) * randn();
+    const diffusion = volatility * Math.sqrt(dt) * shock;
     
     return Math.exp(drift + diffusion);
 }
+
+// Geometric Brownian motion with Student-t shocks for one month
+// Same drift and variance as simulateMonthlyReturn(), fatter tails
+export function simulateMonthlyReturnStudentT(
+    growthRate: f64,
+    volatility: f64,
+    degreesOfFreedom: f64
+): f64 {
+    const dt = 1.0 / 12.0;
+    const drift = (growthRate - 0.5 * volatility * volatility) * dt;
+    const diffusion = volatility * Math.sqrt(dt) * randStudentT(degreesOfFreedom);
+    
+    return Math.exp(drift + diffusion);
+}
+
+// Merton jump-diffusion for one month
+// Jumps arrive as a Poisson process (jumpIntensity per year) with lognormal sizes;
+// the drift is compensated so the expected annual return stays at growthRate
+export function simulateMonthlyReturnJump(
+    growthRate: f64,
+    volatility: f64,
+    jumpIntensity: f64,
+    jumpMean: f64,
+    jumpStdDev: f64
+): f64 {
+    const dt = 1.0 / 12.0;
+    const expectedJump = Math.exp(jumpMean + 0.5 * jumpStdDev * jumpStdDev) - 1.0;
+    const drift = (growthRate - 0.5 * volatility * volatility - jumpIntensity * expectedJump) * dt;
+    const diffusion = volatility * Math.sqrt(dt) * randn();
+    
+    let jumps: f64 = 0.0;
+    const jumpCount = randPoisson(jumpIntensity * dt);
+    for (let j = 0; j < jumpCount; j++) {
+        jumps += jumpMean + jumpStdDev * randn();
+    }
+    
+    return Math.exp(drift + diffusion + jumps);
+}
+
+// One monthly step of a mean-reverting short rate (annual decimal)
+// Vasicek: dr = a(b - r)dt + sigma dW; CIR scales the shock by sqrt(r) so the rate stays near
+// or above zero (full truncation: a negative rate gets no diffusion and drifts back up)
+export function simulateShortRateStep(
+    rate: f64,
+    meanReversion: f64,
+    longRunRate: f64,
+    volatility: f64,
+    shock: f64,
+    squareRootDiffusion: bool
+): f64 {
+    const dt = 1.0 / 12.0;
+    const scale = squareRootDiffusion ? Math.sqrt(Math.max(rate, 0.0)) : 1.0;
+    return rate + meanReversion * (longRunRate - rate) * dt + volatility * scale * Math.sqrt(dt) * shock;
+}
+
+// One monthly step of AR(1) inflation (annual rate, decimal) around its long-run mean
+// persistence is the monthly AR coefficient; shockScale the monthly shock size
+export function simulateInflationStep(
+    rate: f64,
+    mean: f64,
+    persistence: f64,
+    shockScale: f64,
+    shock: f64
+): f64 {
+    return mean + persistence * (rate - mean) + shockScale * shock;
+}
+
+// Cholesky factor of a symmetric n x n matrix (row-major): lower-triangular L with L * L^T = matrix
+// Multiplying independent standard normals by L gives normals with the matrix as their correlation
+// Returns an empty array when the matrix is not positive definite
+export function choleskyDecompose(matrix: StaticArray<f64>, n: i32): StaticArray<f64> {
+    let lower = new StaticArray<f64>(n * n);
+    for (let row = 0; row < n; row++) {
+        for (let col = 0; col <= row; col++) {
+            let sum = matrix[row * n + col];
+            for (let k = 0; k < col; k++) {
+                sum -= lower[row * n + k] * lower[col * n + k];
+            }
+            if (row === col) {
+                if (!(sum > 0.0)) return new StaticArray<f64>(0);
+                lower[row * n + col] = Math.sqrt(sum);
+            } else {
+                lower[row * n + col] = sum / lower[col * n + col];
+            }
+        }
+    }
+    return lower;
+}
@@ -10,6 +10,34 @@ export declare function getInputPtr(): number;
  * @returns `usize`
  */
 export declare function getOutputPtr(): number;
+/**
+ * assembly/index/allocReturnSeries
+ * @param length `i32`
+ * @returns `usize`
+ */
+export declare function allocReturnSeries(length: number): number;
+/**
+ * assembly/index/allocAssetTable
+ * @param assetCount `i32`
+ * @returns `usize`
+ */
+export declare function allocAssetTable(assetCount: number): number;
+/**
+ * assembly/index/allocStrategyTable
+ * @param strategyCount `i32`
+ * @returns `usize`
+ */
+export declare function allocStrategyTable(strategyCount: number): number;
+/**
+ * assembly/index/getBatchOutputPtr
+ * @returns `usize`
+ */
+export declare function getBatchOutputPtr(): number;
+/**
+ * assembly/index/runBatch
+ * @returns `i32`
+ */
+export declare function runBatch(): number;
 /**
  * assembly/index/runSimulation
  * @returns `i32`
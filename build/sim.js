@@ -12,13 +12,6 @@ async function instantiate(module, imports = {}) {
           throw Error(`${message} in ${fileName}:${lineNumber}:${columnNumber}`);
         })();
       },
-      seed() {
-        // ~lib/builtins/seed() => f64
-        return (() => {
-          // @external.js
-          return Date.now() * Math.random();
-        })();
-      },
     }),
   };
   const { exports } = await WebAssembly.instantiate(module, adaptedImports);
@@ -32,6 +25,22 @@ async function instantiate(module, imports = {}) {
       // assembly/index/getOutputPtr() => usize
       return exports.getOutputPtr() >>> 0;
     },
+    allocReturnSeries(length) {
+      // assembly/index/allocReturnSeries(i32) => usize
+      return exports.allocReturnSeries(length) >>> 0;
+    },
+    allocAssetTable(assetCount) {
+      // assembly/index/allocAssetTable(i32) => usize
+      return exports.allocAssetTable(assetCount) >>> 0;
+    },
+    allocStrategyTable(strategyCount) {
+      // assembly/index/allocStrategyTable(i32) => usize
+      return exports.allocStrategyTable(strategyCount) >>> 0;
+    },
+    getBatchOutputPtr() {
+      // assembly/index/getBatchOutputPtr() => usize
+      return exports.getBatchOutputPtr() >>> 0;
+    },
   }, exports);
   function __liftString(pointer) {
     if (!pointer) return null;
@@ -50,6 +59,11 @@ export const {
   memory,
   getInputPtr,
   getOutputPtr,
+  allocReturnSeries,
+  allocAssetTable,
+  allocStrategyTable,
+  getBatchOutputPtr,
+  runBatch,
   runSimulation,
 } = await (async url => instantiate(
   await (async () => {
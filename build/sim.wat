@@ -1,23 +1,38 @@
 (module
  (type $0 (func (param f64 f64) (result i32)))
- (type $1 (func (result i32)))
- (type $2 (func))
- (type $3 (func (param i32)))
- (type $4 (func (param i32 i32)))
- (type $5 (func (param i32 i32 i32 i32)))
- (type $6 (func (param i32 i32) (result i32)))
- (type $7 (func (result f64)))
- (type $8 (func (param f64) (result f64)))
- (type $9 (func (param i32 i32 i64)))
- (type $10 (func (param i64) (result i32)))
- (type $11 (func (param f64 f64) (result f64)))
- (type $12 (func (param i32 i32 i32) (result i32)))
- (type $13 (func (param i32 i32 i32 i32 i32)))
- (type $14 (func (param i32 i32) (result f64)))
- (type $15 (func (param i32 i32 f64)))
- (type $16 (func (param i32) (result i32)))
+ (type $1 (func (param i32 i32) (result i32)))
+ (type $2 (func (param i32)))
+ (type $3 (func (param i32 i32)))
+ (type $4 (func (result i32)))
+ (type $5 (func (param i32) (result i32)))
+ (type $6 (func (param f64) (result f64)))
+ (type $7 (func))
+ (type $8 (func (param i32 i32 i32)))
+ (type $9 (func (param i32 i32 i32) (result i32)))
+ (type $10 (func (result f64)))
+ (type $11 (func (param i32 i32 i32 i32) (result i32)))
+ (type $12 (func (param i32 i32 i32 i32)))
+ (type $13 (func (param i32 i32 i64)))
+ (type $14 (func (param f64 f64) (result f64)))
+ (type $15 (func (param i64) (result i32)))
+ (type $16 (func (param f64 f64 f64) (result f64)))
+ (type $17 (func (param i32 f64 f64 i32) (result f64)))
+ (type $18 (func (param i32 i32 i32 i32 i32)))
+ (type $19 (func (param i32 i32 i32 i32 i32 i32)))
+ (type $20 (func (param i32 i32 f64)))
+ (type $21 (func (param i32 i32) (result f64)))
+ (type $22 (func (param i32 f64) (result f64)))
+ (type $23 (func (param i32 f64) (result i32)))
  (import "env" "abort" (func $~lib/builtins/abort (param i32 i32 i32 i32)))
- (import "env" "seed" (func $~lib/builtins/seed (result f64)))
+ (import "env" "reportProgress" (func $assembly/index/reportProgress (param i32 i32 i32)))
+ (import "env" "reportInterim" (func $assembly/index/reportInterim (param i32 i32)))
+ (global $assembly/math/rngState0 (mut i32) (i32.const 0))
+ (global $assembly/math/rngState1 (mut i32) (i32.const 0))
+ (global $assembly/math/rngState2 (mut i32) (i32.const 0))
+ (global $assembly/math/rngState3 (mut i32) (i32.const 0))
+ (global $assembly/math/splitMixState (mut i32) (i32.const 0))
+ (global $assembly/math/mirrorNormals (mut i32) (i32.const 0))
+ (global $assembly/math/sobolDimensions (mut i32) (i32.const 0))
  (global $~lib/rt/itcms/total (mut i32) (i32.const 0))
  (global $~lib/rt/itcms/threshold (mut i32) (i32.const 0))
  (global $~lib/rt/itcms/state (mut i32) (i32.const 0))
@@ -28,194 +43,316 @@
  (global $~lib/rt/itcms/white (mut i32) (i32.const 0))
  (global $~lib/rt/itcms/fromSpace (mut i32) (i32.const 0))
  (global $~lib/rt/tlsf/ROOT (mut i32) (i32.const 0))
+ (global $assembly/math/sobolDirections (mut i32) (i32.const 0))
+ (global $assembly/math/sobolPoint (mut i32) (i32.const 0))
+ (global $assembly/math/sobolShift (mut i32) (i32.const 0))
+ (global $assembly/math/sobolIndex (mut i32) (i32.const 0))
+ (global $assembly/math/sobolShocks (mut i32) (i32.const 0))
+ (global $assembly/math/bridgeMonth (mut i32) (i32.const 0))
+ (global $assembly/math/bridgeLeft (mut i32) (i32.const 0))
+ (global $assembly/math/bridgeRight (mut i32) (i32.const 0))
+ (global $assembly/math/bridgeLeftWeight (mut i32) (i32.const 0))
+ (global $assembly/math/bridgeRightWeight (mut i32) (i32.const 0))
+ (global $assembly/math/bridgeStdDev (mut i32) (i32.const 0))
  (global $assembly/index/inputBuffer (mut i32) (i32.const 0))
+ (global $assembly/index/strategyTable (mut i32) (i32.const 0))
+ (global $assembly/index/batchOutput (mut i32) (i32.const 0))
+ (global $assembly/index/batchRow (mut i32) (i32.const 0))
+ (global $assembly/index/returnSeries (mut i32) (i32.const 0))
+ (global $assembly/index/assetTable (mut i32) (i32.const 0))
  (global $assembly/index/outputBuffer (mut i32) (i32.const 0))
- (global $~lib/math/random_seeded (mut i32) (i32.const 0))
- (global $~lib/math/random_state0_64 (mut i64) (i64.const 0))
- (global $~lib/math/random_state1_64 (mut i64) (i64.const 0))
+ (global $assembly/index/sectionEntry (mut i32) (i32.const 0))
+ (global $assembly/index/sectionStart (mut i32) (i32.const 0))
+ (global $~lib/util/math/log_tail (mut f64) (f64.const 0))
  (global $~lib/math/rempio2_y0 (mut f64) (f64.const 0))
  (global $~lib/math/rempio2_y1 (mut f64) (f64.const 0))
  (global $~lib/math/res128_hi (mut i64) (i64.const 0))
- (global $~lib/util/math/log_tail (mut f64) (f64.const 0))
- (global $~lib/memory/__stack_pointer (mut i32) (i32.const 44828))
- (memory $0 1)
- (data $0 (i32.const 1036) ",")
- (data $0.1 (i32.const 1048) "\02\00\00\00\1c\00\00\00I\00n\00v\00a\00l\00i\00d\00 \00l\00e\00n\00g\00t\00h")
- (data $1 (i32.const 1084) "<")
- (data $1.1 (i32.const 1096) "\02\00\00\00&\00\00\00~\00l\00i\00b\00/\00s\00t\00a\00t\00i\00c\00a\00r\00r\00a\00y\00.\00t\00s")
- (data $2 (i32.const 1148) "<")
- (data $2.1 (i32.const 1160) "\02\00\00\00(\00\00\00A\00l\00l\00o\00c\00a\00t\00i\00o\00n\00 \00t\00o\00o\00 \00l\00a\00r\00g\00e")
- (data $3 (i32.const 1212) "<")
- (data $3.1 (i32.const 1224) "\02\00\00\00 \00\00\00~\00l\00i\00b\00/\00r\00t\00/\00i\00t\00c\00m\00s\00.\00t\00s")
- (data $6 (i32.const 1340) "<")
- (data $6.1 (i32.const 1352) "\02\00\00\00$\00\00\00I\00n\00d\00e\00x\00 \00o\00u\00t\00 \00o\00f\00 \00r\00a\00n\00g\00e")
- (data $7 (i32.const 1404) ",")
- (data $7.1 (i32.const 1416) "\02\00\00\00\14\00\00\00~\00l\00i\00b\00/\00r\00t\00.\00t\00s")
- (data $9 (i32.const 1484) "<")
- (data $9.1 (i32.const 1496) "\02\00\00\00\1e\00\00\00~\00l\00i\00b\00/\00r\00t\00/\00t\00l\00s\00f\00.\00t\00s")
- (data $10 (i32.const 1552) "\9f\de\e0\c3\f04\f7?\00\90\e6y\7f\cc\d7\bf\1f\e9,jx\13\f7?\00\00\r\c2\eeo\d7\bf\a0\b5\fa\08`\f2\f6?\00\e0Q\13\e3\13\d7\bf}\8c\13\1f\a6\d1\f6?\00x(8[\b8\d6\bf\d1\b4\c5\0bI\b1\f6?\00x\80\90U]\d6\bf\ba\0c/3G\91\f6?\00\00\18v\d0\02\d6\bf#B\"\18\9fq\f6?\00\90\90\86\ca\a8\d5\bf\d9\1e\a5\99OR\f6?\00P\03VCO\d5\bf\c4$\8f\aaV3\f6?\00@k\c37\f6\d4\bf\14\dc\9dk\b3\14\f6?\00P\a8\fd\a7\9d\d4\bfL\\\c6Rd\f6\f5?\00\a8\899\92E\d4\bfO,\91\b5g\d8\f5?\00\b8\b09\f4\ed\d3\bf\de\90[\cb\bc\ba\f5?\00p\8fD\ce\96\d3\bfx\1a\d9\f2a\9d\f5?\00\a0\bd\17\1e@\d3\bf\87VF\12V\80\f5?\00\80F\ef\e2\e9\d2\bf\d3k\e7\ce\97c\f5?\00\e008\1b\94\d2\bf\93\7f\a7\e2%G\f5?\00\88\da\8c\c5>\d2\bf\83E\06B\ff*\f5?\00\90\')\e1\e9\d1\bf\df\bd\b2\db\"\0f\f5?\00\f8H+m\95\d1\bf\d7\de4G\8f\f3\f4?\00\f8\b9\9agA\d1\bf@(\de\cfC\d8\f4?\00\98\ef\94\d0\ed\d0\bf\c8\a3x\c0>\bd\f4?\00\10\db\18\a5\9a\d0\bf\8a%\e0\c3\7f\a2\f4?\00\b8cR\e6G\d0\bf4\84\d4$\05\88\f4?\00\f0\86E\"\eb\cf\bf\0b-\19\1b\cem\f4?\00\b0\17uJG\cf\bfT\189\d3\d9S\f4?\000\10=D\a4\ce\bfZ\84\b4D\':\f4?\00\b0\e9D\r\02\ce\bf\fb\f8\15A\b5 \f4?\00\f0w)\a2`\cd\bf\b1\f4>\da\82\07\f4?\00\90\95\04\01\c0\cc\bf\8f\feW]\8f\ee\f3?\00\10\89V) \cc\bf\e9L\0b\a0\d9\d5\f3?\00\10\81\8d\17\81\cb\bf+\c1\10\c0`\bd\f3?\00\d0\d3\cc\c9\e2\ca\bf\b8\dau+$\a5\f3?\00\90\12.@E\ca\bf\02\d0\9f\cd\"\8d\f3?\00\f0\1dhw\a8\c9\bf\1cz\84\c5[u\f3?\000Him\0c\c9\bf\e26\adI\ce]\f3?\00\c0E\a6 q\c8\bf@\d4M\98yF\f3?\000\14\b4\8f\d6\c7\bf$\cb\ff\ce\\/\f3?\00pb<\b8<\c7\bfI\r\a1uw\18\f3?\00`7\9b\9a\a3\c6\bf\909>7\c8\01\f3?\00\a0\b7T1\0b\c6\bfA\f8\95\bbN\eb\f2?\000$v}s\c5\bf\d1\a9\19\02\n\d5\f2?\000\c2\8f{\dc\c4\bf*\fd\b7\a8\f9\be\f2?\00\00\d2Q,F\c4\bf\ab\1b\0cz\1c\a9\f2?\00\00\83\bc\8a\b0\c3\bf0\b5\14`r\93\f2?\00\00Ik\99\1b\c3\bf\f5\a1WW\fa}\f2?\00@\a4\90T\87\c2\bf\bf;\1d\9b\b3h\f2?\00\a0y\f8\b9\f3\c1\bf\bd\f5\8f\83\9dS\f2?\00\a0,%\c8`\c1\bf;\08\c9\aa\b7>\f2?\00 \f7W\7f\ce\c0\bf\b6@\a9+\01*\f2?\00\a0\feI\dc<\c0\bf2A\cc\96y\15\f2?\00\80K\bc\bdW\bf\bf\9b\fc\d2\1d \01\f2?\00@@\96\087\be\bf\0bHMI\f4\ec\f1?\00@\f9>\98\17\bd\bfie\8fR\f5\d8\f1?\00\a0\d8Ng\f9\bb\bf|~W\11#\c5\f1?\00`/ y\dc\ba\bf\e9&\cbt|\b1\f1?\00\80(\e7\c3\c0\b9\bf\b6\1a,\0c\01\9e\f1?\00\c0r\b3F\a6\b8\bf\bdp\b6{\b0\8a\f1?\00\00\ac\b3\01\8d\b7\bf\b6\bc\ef%\8aw\f1?\00\008E\f1t\b6\bf\da1L5\8dd\f1?\00\80\87m\0e^\b5\bf\dd_\'\90\b9Q\f1?\00\e0\a1\de\\H\b4\bfL\d22\a4\0e?\f1?\00\a0jM\d93\b3\bf\da\f9\10r\8b,\f1?\00`\c5\f8y \b2\bf1\b5\ec(0\1a\f1?\00 b\98F\0e\b1\bf\af4\84\da\fb\07\f1?\00\00\d2jl\fa\af\bf\b3kN\0f\ee\f5\f0?\00@wJ\8d\da\ad\bf\ce\9f*]\06\e4\f0?\00\00\85\e4\ec\bc\ab\bf!\a5,cD\d2\f0?\00\c0\12@\89\a1\a9\bf\1a\98\e2|\a7\c0\f0?\00\c0\023X\88\a7\bf\d16\c6\83/\af\f0?\00\80\d6g^q\a5\bf9\13\a0\98\db\9d\f0?\00\80eI\8a\\\a3\bf\df\e7R\af\ab\8c\f0?\00@\15d\e3I\a1\bf\fb(N/\9f{\f0?\00\80\eb\82\c0r\9e\bf\19\8f5\8c\b5j\f0?\00\80RR\f1U\9a\bf,\f9\ec\a5\eeY\f0?\00\80\81\cfb=\96\bf\90,\d1\cdII\f0?\00\00\aa\8c\fb(\92\bf\a9\ad\f0\c6\c68\f0?\00\00\f9 {1\8c\bf\a92y\13e(\f0?\00\00\aa]5\19\84\bfHs\ea\'$\18\f0?\00\00\ec\c2\03\12x\bf\95\b1\14\06\04\08\f0?\00\00$y\t\04`\bf\1a\fa&\f7\1f\e0\ef?\00\00\90\84\f3\efo?t\eaa\c2\1c\a1\ef?\00\00=5A\dc\87?.\99\81\b0\10c\ef?\00\80\c2\c4\a3\ce\93?\cd\ad\ee<\f6%\ef?\00\00\89\14\c1\9f\9b?\e7\13\91\03\c8\e9\ee?\00\00\11\ce\d8\b0\a1?\ab\b1\cbx\80\ae\ee?\00\c0\01\d0[\8a\a5?\9b\0c\9d\a2\1at\ee?\00\80\d8@\83\\\a9?\b5\99\n\83\91:\ee?\00\80W\efj\'\ad?V\9a`\t\e0\01\ee?\00\c0\98\e5\98u\b0?\98\bbw\e5\01\ca\ed?\00 \r\e3\f5S\b2?\03\91|\0b\f2\92\ed?\00\008\8b\dd.\b4?\ce\\\fbf\ac\\\ed?\00\c0W\87Y\06\b6?\9d\de^\aa,\'\ed?\00\00j5v\da\b7?\cd,k>n\f2\ec?\00`\1cNC\ab\b9?\02y\a7\a2m\be\ec?\00`\r\bb\c7x\bb?m\087m&\8b\ec?\00 \e72\13C\bd?\04X]\bd\94X\ec?\00`\deq1\n\bf?\8c\9f\bb3\b5&\ec?\00@\91+\15g\c0??\e7\ec\ee\83\f5\eb?\00\b0\92\82\85G\c1?\c1\96\dbu\fd\c4\eb?\000\ca\cdn&\c2?(J\86\0c\1e\95\eb?\00P\c5\a6\d7\03\c3?,>\ef\c5\e2e\eb?\00\103<\c3\df\c3?\8b\88\c9gH7\eb?\00\80zk6\ba\c4?J0\1d!K\t\eb?\00\f0\d1(9\93\c5?~\ef\f2\85\e8\db\ea?\00\f0\18$\cdj\c6?\a2=`1\1d\af\ea?\00\90f\ec\f8@\c7?\a7X\d3?\e6\82\ea?\00\f0\1a\f5\c0\15\c8?\8bs\t\ef@W\ea?\00\80\f6T)\e9\c8?\'K\ab\90*,\ea?\00@\f8\026\bb\c9?\d1\f2\93\13\a0\01\ea?\00\00,\1c\ed\8b\ca?\1b<\db$\9f\d7\e9?\00\d0\01\\Q[\cb?\90\b1\c7\05%\ae\e9?\00\c0\bc\ccg)\cc?/\ce\97\f2.\85\e9?\00`H\d55\f6\cc?uK\a4\ee\ba\\\e9?\00\c0F4\bd\c1\cd?8H\e7\9d\c64\e9?\00\e0\cf\b8\01\8c\ce?\e6Rg/O\r\e9?\00\90\17\c0\tU\cf?\9d\d7\ff\8eR\e6\e8?\00\b8\1f\12l\0e\d0?|\00\cc\9f\ce\bf\e8?\00\d0\93\0e\b8q\d0?\0e\c3\be\da\c0\99\e8?\00p\86\9ek\d4\d0?\fb\17#\aa\'t\e8?\00\d0K3\876\d1?\08\9a\b3\ac\00O\e8?\00H#g\r\98\d1?U>e\e8I*\e8?\00\80\cc\e0\ff\f8\d1?`\02\f4\95\01\06\e8?\00hc\d7_Y\d2?)\a3\e0c%\e2\e7?\00\a8\14\t0\b9\d2?\ad\b5\dcw\b3\be\e7?\00`C\10r\18\d3?\c2%\97g\aa\9b\e7?\00\18\ecm&w\d3?W\06\17\f2\07y\e7?\000\af\fbO\d5\d3?\0c\13\d6\db\caV\e7?\00\e0/\e3\ee2\d4?")
- (data $11 (i32.const 3600) "k\b6O\01\00\10\e6?<[B\91l\02~<\95\b4M\03\000\e6?A]\00H\ea\bf\8d<x\d4\94\r\00P\e6?\b7\a5\d6\86\a7\7f\8e<\adoN\07\00p\e6?L%Tk\ea\fca<\ae\0f\df\fe\ff\8f\e6?\fd\0eYL\'~|\bc\bc\c5c\07\00\b0\e6?\01\da\dcHh\c1\8a\bc\f6\c1\\\1e\00\d0\e6?\11\93I\9d\1c?\83<>\f6\05\eb\ff\ef\e6?S-\e2\1a\04\80~\bc\80\97\86\0e\00\10\e7?Ry\tqf\ff{<\12\e9g\fc\ff/\e7?$\87\bd&\e2\00\8c<j\11\81\df\ffO\e7?\d2\01\f1n\91\02n\bc\90\9cg\0f\00p\e7?t\9cT\cdq\fcg\bc5\c8~\fa\ff\8f\e7?\83\04\f5\9e\c1\be\81<\e6\c2 \fe\ff\af\e7?ed\cc)\17~p\bc\00\c9?\ed\ff\cf\e7?\1c\8b{\08r\80\80\bcv\1a&\e9\ff\ef\e7?\ae\f9\9dm(\c0\8d<\e8\a3\9c\04\00\10\e8?3L\e5Q\d2\7f\89<\8f,\93\17\000\e8?\81\f30\b6\e9\fe\8a\bc\9cs3\06\00P\e8?\bc5ek\bf\bf\89<\c6\89B \00p\e8?u{\11\f3e\bf\8b\bc\04y\f5\eb\ff\8f\e8?W\cb=\a2n\00\89\bc\df\04\bc\"\00\b0\e8?\nK\e08\df\00}\bc\8a\1b\0c\e5\ff\cf\e8?\05\9f\ffFq\00\88\bcC\8e\91\fc\ff\ef\e8?8pz\d0{\81\83<\c7_\fa\1e\00\10\e9?\03\b4\dfv\91>\89<\b9{F\13\000\e9?v\02\98KN\80\7f<o\07\ee\e6\ffO\e9?.b\ff\d9\f0~\8f\bc\d1\12<\de\ffo\e9?\ba8&\96\aa\82p\bc\r\8aE\f4\ff\8f\e9?\ef\a8d\91\1b\80\87\bc>.\98\dd\ff\af\e9?7\93Z\8a\e0@\87\bcf\fbI\ed\ff\cf\e9?\00\e0\9b\c1\08\ce?<Q\9c\f1 \00\f0\e9?\n[\88\'\aa?\8a\bc\06\b0E\11\00\10\ea?V\daX\99H\fft<\fa\f6\bb\07\000\ea?\18m+\8a\ab\be\8c<y\1d\97\10\00P\ea?0yx\dd\ca\fe\88<H.\f5\1d\00p\ea?\db\ab\d8=vA\8f\bcR3Y\1c\00\90\ea?\12v\c2\84\02\bf\8e\bcK>O*\00\b0\ea?_?\ff<\04\fdi\bc\d1\1e\ae\d7\ff\cf\ea?\b4p\90\12\e7>\82\bcx\04Q\ee\ff\ef\ea?\a3\de\0e\e0>\06j<[\re\db\ff\0f\eb?\b9\n\1f8\c8\06Z<W\ca\aa\fe\ff/\eb?\1d<#t\1e\01y\bc\dc\ba\95\d9\ffO\eb?\9f*\86h\10\ffy\bc\9ce\9e$\00p\eb?>O\86\d0E\ff\8a<@\16\87\f9\ff\8f\eb?\f9\c3\c2\96w\fe|<O\cb\04\d2\ff\af\eb?\c4+\f2\ee\'\ffc\bcE\\A\d2\ff\cf\eb?!\ea;\ee\b7\ffl\bc\df\tc\f8\ff\ef\eb?\\\0b.\97\03A\81\bcSv\b5\e1\ff\0f\ec?\19j\b7\94d\c1\8b<\e3W\fa\f1\ff/\ec?\ed\c60\8d\ef\fed\bc$\e4\bf\dc\ffO\ec?uG\ec\bch?\84\bc\f7\b9T\ed\ffo\ec?\ec\e0S\f0\a3~\84<\d5\8f\99\eb\ff\8f\ec?\f1\92\f9\8d\06\83s<\9a!%!\00\b0\ec?\04\0e\18d\8e\fdh\bc\9cF\94\dd\ff\cf\ec?r\ea\c7\1c\be~\8e<v\c4\fd\ea\ff\ef\ec?\fe\88\9f\ad9\be\8e<+\f8\9a\16\00\10\ed?qZ\b9\a8\91}u<\1d\f7\0f\r\000\ed?\da\c7pi\90\c1\89<\c4\0fy\ea\ffO\ed?\0c\feX\c57\0eX\bc\e5\87\dc.\00p\ed?D\0f\c1M\d6\80\7f\bc\aa\82\dc!\00\90\ed?\\\\\fd\94\8f|t\bc\83\02k\d8\ff\af\ed?~a!\c5\1d\7f\8c<9Gl)\00\d0\ed?S\b1\ff\b2\9e\01\88<\f5\90D\e5\ff\ef\ed?\89\ccR\c6\d2\00n<\94\f6\ab\cd\ff\0f\ee?\d2i- @\83\7f\bc\dd\c8R\db\ff/\ee?d\08\1b\ca\c1\00{<\ef\16B\f2\ffO\ee?Q\ab\94\b0\a8\ffr<\11^\8a\e8\ffo\ee?Y\be\ef\b1s\f6W\bc\r\ff\9e\11\00\90\ee?\01\c8\0b^\8d\80\84\bcD\17\a5\df\ff\af\ee?\b5 C\d5\06\00x<\a1\7f\12\1a\00\d0\ee?\92\\V`\f8\02P\bc\c4\bc\ba\07\00\f0\ee?\11\e65]D@\85\bc\02\8dz\f5\ff\0f\ef?\05\91\ef91\fbO\bc\c7\8a\e5\1e\000\ef?U\11s\f2\ac\81\8a<\944\82\f5\ffO\ef?C\c7\d7\d4A?\8a<kL\a9\fc\ffo\ef?ux\98\1c\f4\02b\bcA\c4\f9\e1\ff\8f\ef?K\e7w\f4\d1}w<~\e3\e0\d2\ff\af\ef?1\a3|\9a\19\01o\bc\9e\e4w\1c\00\d0\ef?\b1\ac\ceK\ee\81q<1\c3\e0\f7\ff\ef\ef?Z\87p\017\05n\bcn`e\f4\ff\0f\f0?\da\n\1cI\ad~\8a\bcXz\86\f3\ff/\f0?\e0\b2\fc\c3i\7f\97\bc\17\r\fc\fd\ffO\f0?[\94\cb4\fe\bf\97<\82M\cd\03\00p\f0?\cbV\e4\c0\83\00\82<\e8\cb\f2\f9\ff\8f\f0?\1au7\be\df\ffm\bce\da\0c\01\00\b0\f0?\eb&\e6\ae\7f?\91\bc8\d3\a4\01\00\d0\f0?\f7\9fHy\fa}\80<\fd\fd\da\fa\ff\ef\f0?\c0k\d6p\05\04w\bc\96\fd\ba\0b\00\10\f1?b\0bm\84\d4\80\8e<]\f4\e5\fa\ff/\f1?\ef6\fdd\fa\bf\9d<\d9\9a\d5\r\00P\f1?\aeP\12pw\00\9a<\9aU!\0f\00p\f1?\ee\de\e3\e2\f9\fd\8d<&T\'\fc\ff\8f\f1?sr;\dc0\00\91<Y<=\12\00\b0\f1?\88\01\03\80y\7f\99<\b7\9e)\f8\ff\cf\f1?g\8c\9f\ab2\f9e\bc\00\d4\8a\f4\ff\ef\f1?\eb[\a7\9d\bf\7f\93<\a4\86\8b\0c\00\10\f2?\"[\fd\91k\80\9f<\03C\85\03\000\f2?3\bf\9f\eb\c2\ff\93<\84\f6\bc\ff\ffO\f2?r..~\e7\01v<\d9!)\f5\ffo\f2?a\0c\7fv\bb\fc\7f<<:\93\14\00\90\f2?+A\02<\ca\02r\bc\13cU\14\00\b0\f2?\02\1f\f23\82\80\92\bc;R\fe\eb\ff\cf\f2?\f2\dcO8~\ff\88\bc\96\ad\b8\0b\00\f0\f2?\c5A0PQ\ff\85\bc\af\e2z\fb\ff\0f\f3?\9d(^\88q\00\81\bc\7f_\ac\fe\ff/\f3?\15\b7\b7?]\ff\91\bcVg\a6\0c\00P\f3?\bd\82\8b\"\82\7f\95<!\f7\fb\11\00p\f3?\cc\d5\r\c4\ba\00\80<\b9/Y\f9\ff\8f\f3?Q\a7\b2-\9d?\94\bcB\d2\dd\04\00\b0\f3?\e18vpk\7f\85<W\c9\b2\f5\ff\cf\f3?1\12\bf\10:\02z<\18\b4\b0\ea\ff\ef\f3?\b0R\b1fm\7f\98<\f4\af2\15\00\10\f4?$\85\19_7\f8g<)\8bG\17\000\f4?CQ\dcr\e6\01\83<c\b4\95\e7\ffO\f4?Z\89\b2\b8i\ff\89<\e0u\04\e8\ffo\f4?T\f2\c2\9b\b1\c0\95\bc\e7\c1o\ef\ff\8f\f4?r*:\f2\t@\9b<\04\a7\be\e5\ff\af\f4?E}\r\bf\b7\ff\94\bc\de\'\10\17\00\d0\f4?=j\dcqd\c0\99\bc\e2>\f0\0f\00\f0\f4?\1cS\85\0b\89\7f\97<\d1K\dc\12\00\10\f5?6\a4fqe\04`<z\'\05\16\000\f5?\t2#\ce\ce\bf\96\bcLp\db\ec\ffO\f5?\d7\a1\05\05r\02\89\bc\a9T_\ef\ffo\f5?\12d\c9\0e\e6\bf\9b<\12\10\e6\17\00\90\f5?\90\ef\af\81\c5~\88<\92>\c9\03\00\b0\f5?\c0\0c\bf\n\08A\9f\bc\bc\19I\1d\00\d0\f5?)G%\fb*\81\98\bc\89z\b8\e7\ff\ef\f5?\04i\ed\80\b7~\94\bc")
- (data $12 (i32.const 5648) "n\83\f9\a2\00\00\00\00\d1W\'\fc)\15DN\99\95b\db\c0\dd4\f5\abcQ\feA\90C<:n$\b7a\c5\bb\de\ea.I\06\e0\d2MB\1c\eb\1d\fe\1c\92\d1\t\f55\82\e8>\a7)\b1&p\9c\e9\84D\bb.9\d6\919A~_\b4\8b_\84\9c\f49S\83\ff\97\f8\1f;(\f9\bd\8b\11/\ef\0f\98\05\de\cf~6m\1fm\nZf?FO\b7\t\cb\'\c7\ba\'u-\ea_\9e\f79\07={\f1\e5\eb\b1_\fbk\ea\92R\8aF0\03V\08]\8d\1f \bc\cf\f0\abk{\fca\91\e3\a9\1d6\f4\9a_\85\99e\08\1b\e6^\80\d8\ff\8d@h\a0\14W\15\06\061\'sM")
- (data $13 (i32.const 5854) "\f0?n\bf\88\1aO;\9b<53\fb\a9=\f6\ef?]\dc\d8\9c\13`q\bca\80w>\9a\ec\ef?\d1f\87\10z^\90\bc\85\7fn\e8\15\e3\ef?\13\f6g5R\d2\8c<t\85\15\d3\b0\d9\ef?\fa\8e\f9#\80\ce\8b\bc\de\f6\dd)k\d0\ef?a\c8\e6aN\f7`<\c8\9bu\18E\c7\ef?\99\d33[\e4\a3\90<\83\f3\c6\ca>\be\ef?m{\83]\a6\9a\97<\0f\89\f9lX\b5\ef?\fc\ef\fd\92\1a\b5\8e<\f7Gr+\92\ac\ef?\d1\9c/p=\be><\a2\d1\d32\ec\a3\ef?\0bn\90\894\03j\bc\1b\d3\fe\aff\9b\ef?\0e\bd/*RV\95\bcQ[\12\d0\01\93\ef?U\eaN\8c\ef\80P\bc\cc1l\c0\bd\8a\ef?\16\f4\d5\b9#\c9\91\bc\e0-\a9\ae\9a\82\ef?\afU\\\e9\e3\d3\80<Q\8e\a5\c8\98z\ef?H\93\a5\ea\15\1b\80\bc{Q}<\b8r\ef?=2\deU\f0\1f\8f\bc\ea\8d\8c8\f9j\ef?\bfS\13?\8c\89\8b<u\cbo\eb[c\ef?&\eb\11v\9c\d9\96\bc\d4\\\04\84\e0[\ef?`/:>\f7\ec\9a<\aa\b9h1\87T\ef?\9d8\86\cb\82\e7\8f\bc\1d\d9\fc\"PM\ef?\8d\c3\a6DAo\8a<\d6\8cb\88;F\ef?}\04\e4\b0\05z\80<\96\dc}\91I?\ef?\94\a8\a8\e3\fd\8e\96<8bunz8\ef?}Ht\f2\18^\87<?\a6\b2O\ce1\ef?\f2\e7\1f\98+G\80<\dd|\e2eE+\ef?^\08q?{\b8\96\bc\81c\f5\e1\df$\ef?1\ab\tm\e1\f7\82<\e1\de\1f\f5\9d\1e\ef?\fa\bfo\1a\9b!=\bc\90\d9\da\d0\7f\18\ef?\b4\n\0cr\827\8b<\0b\03\e4\a6\85\12\ef?\8f\cb\ce\89\92\14n<V/>\a9\af\0c\ef?\b6\ab\b0MuM\83<\15\b71\n\fe\06\ef?Lt\ac\e2\01B\86<1\d8L\fcp\01\ef?J\f8\d3]9\dd\8f<\ff\16d\b2\08\fc\ee?\04[\8e;\80\a3\86\bc\f1\9f\92_\c5\f6\ee?hPK\cc\edJ\92\bc\cb\a9:7\a7\f1\ee?\8e-Q\1b\f8\07\99\bcf\d8\05m\ae\ec\ee?\d26\94>\e8\d1q\bc\f7\9f\e54\db\e7\ee?\15\1b\ce\b3\19\19\99\bc\e5\a8\13\c3-\e3\ee?mL*\a7H\9f\85<\"4\12L\a6\de\ee?\8ai(z`\12\93\bc\1c\80\ac\04E\da\ee?[\89\17H\8f\a7X\bc*.\f7!\n\d6\ee?\1b\9aIg\9b,|\bc\97\a8P\d9\f5\d1\ee?\11\ac\c2`\edcC<-\89a`\08\ce\ee?\efd\06;\tf\96<W\00\1d\edA\ca\ee?y\03\a1\da\e1\ccn<\d0<\c1\b5\a2\c6\ee?0\12\0f?\8e\ff\93<\de\d3\d7\f0*\c3\ee?\b0\afz\bb\ce\90v<\'*6\d5\da\bf\ee?w\e0T\eb\bd\1d\93<\r\dd\fd\99\b2\bc\ee?\8e\a3q\004\94\8f\bc\a7,\9dv\b2\b9\ee?I\a3\93\dc\cc\de\87\bcBf\cf\a2\da\b6\ee?_8\0f\bd\c6\dex\bc\82O\9dV+\b4\ee?\f6\\{\ecF\12\86\bc\0f\92]\ca\a4\b1\ee?\8e\d7\fd\18\055\93<\da\'\b56G\af\ee?\05\9b\8a/\b7\98{<\fd\c7\97\d4\12\ad\ee?\tT\1c\e2\e1c\90<)TH\dd\07\ab\ee?\ea\c6\19P\85\c74<\b7FY\8a&\a9\ee?5\c0d+\e62\94<H!\ad\15o\a7\ee?\9fv\99aJ\e4\8c\bc\t\dcv\b9\e1\a5\ee?\a8M\ef;\c53\8c\bc\85U:\b0~\a4\ee?\ae\e9+\89xS\84\bc \c3\cc4F\a3\ee?XXVx\dd\ce\93\bc%\"U\828\a2\ee?d\19~\80\aa\10W<s\a9L\d4U\a1\ee?(\"^\bf\ef\b3\93\bc\cd;\7ff\9e\a0\ee?\82\b94\87\ad\12j\bc\bf\da\0bu\12\a0\ee?\ee\a9m\b8\efgc\bc/\1ae<\b2\9f\ee?Q\88\e0T=\dc\80\bc\84\94Q\f9}\9f\ee?\cf>Z~d\1fx\bct_\ec\e8u\9f\ee?\b0}\8b\c0J\ee\86\bct\81\a5H\9a\9f\ee?\8a\e6U\1e2\19\86\bc\c9gBV\eb\9f\ee?\d3\d4\t^\cb\9c\90<?]\deOi\a0\ee?\1d\a5M\b9\dc2{\bc\87\01\ebs\14\a1\ee?k\c0gT\fd\ec\94<2\c10\01\ed\a1\ee?Ul\d6\ab\e1\ebe<bN\cf6\f3\a2\ee?B\cf\b3/\c5\a1\88\bc\12\1a>T\'\a4\ee?47;\f1\b6i\93\bc\13\ceL\99\89\a5\ee?\1e\ff\19:\84^\80\bc\ad\c7#F\1a\a7\ee?nWr\d8P\d4\94\bc\ed\92D\9b\d9\a8\ee?\00\8a\0e[g\ad\90<\99f\8a\d9\c7\aa\ee?\b4\ea\f0\c1/\b7\8d<\db\a0*B\e5\ac\ee?\ff\e7\c5\9c`\b6e\bc\8cD\b5\162\af\ee?D_\f3Y\83\f6{<6w\15\99\ae\b1\ee?\83=\1e\a7\1f\t\93\bc\c6\ff\91\0b[\b4\ee?)\1el\8b\b8\a9]\bc\e5\c5\cd\b07\b7\ee?Y\b9\90|\f9#l\bc\0fR\c8\cbD\ba\ee?\aa\f9\f4\"CC\92\bcPN\de\9f\82\bd\ee?K\8ef\d7l\ca\85\bc\ba\07\cap\f1\c0\ee?\'\ce\91+\fc\afq<\90\f0\a3\82\91\c4\ee?\bbs\n\e15\d2m<##\e3\19c\c8\ee?c\"b\"\04\c5\87\bce\e5]{f\cc\ee?\d51\e2\e3\86\1c\8b<3-J\ec\9b\d0\ee?\15\bb\bc\d3\d1\bb\91\bc]%>\b2\03\d5\ee?\d21\ee\9c1\cc\90<X\b30\13\9e\d9\ee?\b3Zsn\84i\84<\bf\fdyUk\de\ee?\b4\9d\8e\97\cd\df\82\bcz\f3\d3\bfk\e3\ee?\873\cb\92w\1a\8c<\ad\d3Z\99\9f\e8\ee?\fa\d9\d1J\8f{\90\bcf\b6\8d)\07\ee\ee?\ba\ae\dcV\d9\c3U\bc\fb\15O\b8\a2\f3\ee?@\f6\a6=\0e\a4\90\bc:Y\e5\8dr\f9\ee?4\93\ad8\f4\d6h\bcG^\fb\f2v\ff\ee?5\8aXk\e2\ee\91\bcJ\06\a10\b0\05\ef?\cd\dd_\n\d7\fft<\d2\c1K\90\1e\0c\ef?\ac\98\92\fa\fb\bd\91\bc\t\1e\d7[\c2\12\ef?\b3\0c\af0\aens<\9cR\85\dd\9b\19\ef?\94\fd\9f\\2\e3\8e<z\d0\ff_\ab \ef?\acY\t\d1\8f\e0\84<K\d1W.\f1\'\ef?g\1aN8\af\cdc<\b5\e7\06\94m/\ef?h\19\92l,kg<i\90\ef\dc 7\ef?\d2\b5\cc\83\18\8a\80\bc\fa\c3]U\0b?\ef?o\fa\ff?]\ad\8f\bc|\89\07J-G\ef?I\a9u8\ae\r\90\bc\f2\89\r\08\87O\ef?\a7\07=\a6\85\a3t<\87\a4\fb\dc\18X\ef?\0f\"@ \9e\91\82\bc\98\83\c9\16\e3`\ef?\ac\92\c1\d5PZ\8e<\852\db\03\e6i\ef?Kk\01\acY:\84<`\b4\01\f3!s\ef?\1f>\b4\07!\d5\82\bc_\9b{3\97|\ef?\c9\rG;\b9*\89\bc)\a1\f5\14F\86\ef?\d3\88:`\04\b6t<\f6?\8b\e7.\90\ef?qr\9dQ\ec\c5\83<\83L\c7\fbQ\9a\ef?\f0\91\d3\8f\12\f7\8f\bc\da\90\a4\a2\af\a4\ef?}t#\e2\98\ae\8d\bc\f1g\8e-H\af\ef?\08 \aaA\bc\c3\8e<\'Za\ee\1b\ba\ef?2\eb\a9\c3\94+\84<\97\bak7+\c5\ef?\ee\85\d11\a9d\8a<@En[v\d0\ef?\ed\e3;\e4\ba7\8e\bc\14\be\9c\ad\fd\db\ef?\9d\cd\91M;\89w<\d8\90\9e\81\c1\e7\ef?\89\cc`A\c1\05S<\f1q\8f+\c2\f3\ef?")
- (data $14 (i32.const 7893) "\a0\f6?")
- (data $14.1 (i32.const 7905) "\c8\b9\f2\82,\d6\bf\80V7($\b4\fa<\00\00\00\00\00\80\f6?")
- (data $14.2 (i32.const 7937) "\08X\bf\bd\d1\d5\bf \f7\e0\d8\08\a5\1c\bd\00\00\00\00\00`\f6?")
- (data $14.3 (i32.const 7969) "XE\17wv\d5\bfmP\b6\d5\a4b#\bd\00\00\00\00\00@\f6?")
- (data $14.4 (i32.const 8001) "\f8-\87\ad\1a\d5\bf\d5g\b0\9e\e4\84\e6\bc\00\00\00\00\00 \f6?")
- (data $14.5 (i32.const 8033) "xw\95_\be\d4\bf\e0>)\93i\1b\04\bd\00\00\00\00\00\00\f6?")
- (data $14.6 (i32.const 8065) "`\1c\c2\8ba\d4\bf\cc\84LH/\d8\13=\00\00\00\00\00\e0\f5?")
- (data $14.7 (i32.const 8097) "\a8\86\860\04\d4\bf:\0b\82\ed\f3B\dc<\00\00\00\00\00\c0\f5?")
- (data $14.8 (i32.const 8129) "HiUL\a6\d3\bf`\94Q\86\c6\b1 =\00\00\00\00\00\a0\f5?")
- (data $14.9 (i32.const 8161) "\80\98\9a\ddG\d3\bf\92\80\c5\d4MY%=\00\00\00\00\00\80\f5?")
- (data $14.10 (i32.const 8193) " \e1\ba\e2\e8\d2\bf\d8+\b7\99\1e{&=\00\00\00\00\00`\f5?")
- (data $14.11 (i32.const 8225) "\88\de\13Z\89\d2\bf?\b0\cf\b6\14\ca\15=\00\00\00\00\00`\f5?")
- (data $14.12 (i32.const 8257) "\88\de\13Z\89\d2\bf?\b0\cf\b6\14\ca\15=\00\00\00\00\00@\f5?")
- (data $14.13 (i32.const 8289) "x\cf\fbA)\d2\bfv\daS($Z\16\bd\00\00\00\00\00 \f5?")
- (data $14.14 (i32.const 8321) "\98i\c1\98\c8\d1\bf\04T\e7h\bc\af\1f\bd\00\00\00\00\00\00\f5?")
- (data $14.15 (i32.const 8353) "\a8\ab\ab\\g\d1\bf\f0\a8\823\c6\1f\1f=\00\00\00\00\00\e0\f4?")
- (data $14.16 (i32.const 8385) "H\ae\f9\8b\05\d1\bffZ\05\fd\c4\a8&\bd\00\00\00\00\00\c0\f4?")
- (data $14.17 (i32.const 8417) "\90s\e2$\a3\d0\bf\0e\03\f4~\eek\0c\bd\00\00\00\00\00\a0\f4?")
- (data $14.18 (i32.const 8449) "\d0\b4\94%@\d0\bf\7f-\f4\9e\b86\f0\bc\00\00\00\00\00\a0\f4?")
- (data $14.19 (i32.const 8481) "\d0\b4\94%@\d0\bf\7f-\f4\9e\b86\f0\bc\00\00\00\00\00\80\f4?")
- (data $14.20 (i32.const 8513) "@^m\18\b9\cf\bf\87<\99\ab*W\r=\00\00\00\00\00`\f4?")
- (data $14.21 (i32.const 8545) "`\dc\cb\ad\f0\ce\bf$\af\86\9c\b7&+=\00\00\00\00\00@\f4?")
- (data $14.22 (i32.const 8577) "\f0*n\07\'\ce\bf\10\ff?TO/\17\bd\00\00\00\00\00 \f4?")
- (data $14.23 (i32.const 8609) "\c0Ok!\\\cd\bf\1bh\ca\bb\91\ba!=\00\00\00\00\00\00\f4?")
- (data $14.24 (i32.const 8641) "\a0\9a\c7\f7\8f\cc\bf4\84\9fhOy\'=\00\00\00\00\00\00\f4?")
- (data $14.25 (i32.const 8673) "\a0\9a\c7\f7\8f\cc\bf4\84\9fhOy\'=\00\00\00\00\00\e0\f3?")
- (data $14.26 (i32.const 8705) "\90-t\86\c2\cb\bf\8f\b7\8b1\b0N\19=\00\00\00\00\00\c0\f3?")
- (data $14.27 (i32.const 8737) "\c0\80N\c9\f3\ca\bff\90\cd?cN\ba<\00\00\00\00\00\a0\f3?")
- (data $14.28 (i32.const 8769) "\b0\e2\1f\bc#\ca\bf\ea\c1F\dcd\8c%\bd\00\00\00\00\00\a0\f3?")
- (data $14.29 (i32.const 8801) "\b0\e2\1f\bc#\ca\bf\ea\c1F\dcd\8c%\bd\00\00\00\00\00\80\f3?")
- (data $14.30 (i32.const 8833) "P\f4\9cZR\c9\bf\e3\d4\c1\04\d9\d1*\bd\00\00\00\00\00`\f3?")
- (data $14.31 (i32.const 8865) "\d0 e\a0\7f\c8\bf\t\fa\db\7f\bf\bd+=\00\00\00\00\00@\f3?")
- (data $14.32 (i32.const 8897) "\e0\10\02\89\ab\c7\bfXJSr\90\db+=\00\00\00\00\00@\f3?")
- (data $14.33 (i32.const 8929) "\e0\10\02\89\ab\c7\bfXJSr\90\db+=\00\00\00\00\00 \f3?")
- (data $14.34 (i32.const 8961) "\d0\19\e7\0f\d6\c6\bff\e2\b2\a3j\e4\10\bd\00\00\00\00\00\00\f3?")
- (data $14.35 (i32.const 8993) "\90\a7p0\ff\c5\bf9P\10\9fC\9e\1e\bd\00\00\00\00\00\00\f3?")
- (data $14.36 (i32.const 9025) "\90\a7p0\ff\c5\bf9P\10\9fC\9e\1e\bd\00\00\00\00\00\e0\f2?")
- (data $14.37 (i32.const 9057) "\b0\a1\e3\e5&\c5\bf\8f[\07\90\8b\de \bd\00\00\00\00\00\c0\f2?")
- (data $14.38 (i32.const 9089) "\80\cbl+M\c4\bf<x5a\c1\0c\17=\00\00\00\00\00\c0\f2?")
- (data $14.39 (i32.const 9121) "\80\cbl+M\c4\bf<x5a\c1\0c\17=\00\00\00\00\00\a0\f2?")
- (data $14.40 (i32.const 9153) "\90\1e \fcq\c3\bf:T\'M\86x\f1<\00\00\00\00\00\80\f2?")
- (data $14.41 (i32.const 9185) "\f0\1f\f8R\95\c2\bf\08\c4q\170\8d$\bd\00\00\00\00\00`\f2?")
- (data $14.42 (i32.const 9217) "`/\d5*\b7\c1\bf\96\a3\11\18\a4\80.\bd\00\00\00\00\00`\f2?")
- (data $14.43 (i32.const 9249) "`/\d5*\b7\c1\bf\96\a3\11\18\a4\80.\bd\00\00\00\00\00@\f2?")
- (data $14.44 (i32.const 9281) "\90\d0|~\d7\c0\bf\f4[\e8\88\96i\n=\00\00\00\00\00@\f2?")
- (data $14.45 (i32.const 9313) "\90\d0|~\d7\c0\bf\f4[\e8\88\96i\n=\00\00\00\00\00 \f2?")
- (data $14.46 (i32.const 9345) "\e0\db1\91\ec\bf\bf\f23\a3\\Tu%\bd\00\00\00\00\00\00\f2?")
- (data $14.47 (i32.const 9378) "+n\07\'\be\bf<\00\f0*,4*=\00\00\00\00\00\00\f2?")
- (data $14.48 (i32.const 9410) "+n\07\'\be\bf<\00\f0*,4*=\00\00\00\00\00\e0\f1?")
- (data $14.49 (i32.const 9441) "\c0[\8fT^\bc\bf\06\be_XW\0c\1d\bd\00\00\00\00\00\c0\f1?")
- (data $14.50 (i32.const 9473) "\e0J:m\92\ba\bf\c8\aa[\e859%=\00\00\00\00\00\c0\f1?")
- (data $14.51 (i32.const 9505) "\e0J:m\92\ba\bf\c8\aa[\e859%=\00\00\00\00\00\a0\f1?")
- (data $14.52 (i32.const 9537) "\a01\d6E\c3\b8\bfhV/M)|\13=\00\00\00\00\00\a0\f1?")
- (data $14.53 (i32.const 9569) "\a01\d6E\c3\b8\bfhV/M)|\13=\00\00\00\00\00\80\f1?")
- (data $14.54 (i32.const 9601) "`\e5\8a\d2\f0\b6\bf\das3\c97\97&\bd\00\00\00\00\00`\f1?")
- (data $14.55 (i32.const 9633) " \06?\07\1b\b5\bfW^\c6a[\02\1f=\00\00\00\00\00`\f1?")
- (data $14.56 (i32.const 9665) " \06?\07\1b\b5\bfW^\c6a[\02\1f=\00\00\00\00\00@\f1?")
- (data $14.57 (i32.const 9697) "\e0\1b\96\d7A\b3\bf\df\13\f9\cc\da^,=\00\00\00\00\00@\f1?")
- (data $14.58 (i32.const 9729) "\e0\1b\96\d7A\b3\bf\df\13\f9\cc\da^,=\00\00\00\00\00 \f1?")
- (data $14.59 (i32.const 9761) "\80\a3\ee6e\b1\bf\t\a3\8fv^|\14=\00\00\00\00\00\00\f1?")
- (data $14.60 (i32.const 9793) "\80\11\c00\n\af\bf\91\8e6\83\9eY-=\00\00\00\00\00\00\f1?")
- (data $14.61 (i32.const 9825) "\80\11\c00\n\af\bf\91\8e6\83\9eY-=\00\00\00\00\00\e0\f0?")
- (data $14.62 (i32.const 9857) "\80\19q\ddB\ab\bfLp\d6\e5z\82\1c=\00\00\00\00\00\e0\f0?")
- (data $14.63 (i32.const 9889) "\80\19q\ddB\ab\bfLp\d6\e5z\82\1c=\00\00\00\00\00\c0\f0?")
- (data $14.64 (i32.const 9921) "\c02\f6Xt\a7\bf\ee\a1\f24F\fc,\bd\00\00\00\00\00\c0\f0?")
- (data $14.65 (i32.const 9953) "\c02\f6Xt\a7\bf\ee\a1\f24F\fc,\bd\00\00\00\00\00\a0\f0?")
- (data $14.66 (i32.const 9985) "\c0\fe\b9\87\9e\a3\bf\aa\fe&\f5\b7\02\f5<\00\00\00\00\00\a0\f0?")
- (data $14.67 (i32.const 10017) "\c0\fe\b9\87\9e\a3\bf\aa\fe&\f5\b7\02\f5<\00\00\00\00\00\80\f0?")
- (data $14.68 (i32.const 10050) "x\0e\9b\82\9f\bf\e4\t~|&\80)\bd\00\00\00\00\00\80\f0?")
- (data $14.69 (i32.const 10082) "x\0e\9b\82\9f\bf\e4\t~|&\80)\bd\00\00\00\00\00`\f0?")
- (data $14.70 (i32.const 10113) "\80\d5\07\1b\b9\97\bf9\a6\fa\93T\8d(\bd\00\00\00\00\00@\f0?")
- (data $14.71 (i32.const 10146) "\fc\b0\a8\c0\8f\bf\9c\a6\d3\f6|\1e\df\bc\00\00\00\00\00@\f0?")
- (data $14.72 (i32.const 10178) "\fc\b0\a8\c0\8f\bf\9c\a6\d3\f6|\1e\df\bc\00\00\00\00\00 \f0?")
- (data $14.73 (i32.const 10210) "\10k*\e0\7f\bf\e4@\da\r?\e2\19\bd\00\00\00\00\00 \f0?")
- (data $14.74 (i32.const 10242) "\10k*\e0\7f\bf\e4@\da\r?\e2\19\bd\00\00\00\00\00\00\f0?")
- (data $14.75 (i32.const 10294) "\f0?")
- (data $14.76 (i32.const 10325) "\c0\ef?")
- (data $14.77 (i32.const 10338) "\89u\15\10\80?\e8+\9d\99k\c7\10\bd\00\00\00\00\00\80\ef?")
- (data $14.78 (i32.const 10369) "\80\93XV \90?\d2\f7\e2\06[\dc#\bd\00\00\00\00\00@\ef?")
- (data $14.79 (i32.const 10402) "\c9(%I\98?4\0cZ2\ba\a0*\bd\00\00\00\00\00\00\ef?")
- (data $14.80 (i32.const 10433) "@\e7\89]A\a0?S\d7\f1\\\c0\11\01=\00\00\00\00\00\c0\ee?")
- (data $14.81 (i32.const 10466) ".\d4\aef\a4?(\fd\bdus\16,\bd\00\00\00\00\00\80\ee?")
- (data $14.82 (i32.const 10497) "\c0\9f\14\aa\94\a8?}&Z\d0\95y\19\bd\00\00\00\00\00@\ee?")
- (data $14.83 (i32.const 10529) "\c0\dd\cds\cb\ac?\07(\d8G\f2h\1a\bd\00\00\00\00\00 \ee?")
- (data $14.84 (i32.const 10561) "\c0\06\c01\ea\ae?{;\c9O>\11\0e\bd\00\00\00\00\00\e0\ed?")
- (data $14.85 (i32.const 10593) "`F\d1;\97\b1?\9b\9e\rV]2%\bd\00\00\00\00\00\a0\ed?")
- (data $14.86 (i32.const 10625) "\e0\d1\a7\f5\bd\b3?\d7N\db\a5^\c8,=\00\00\00\00\00`\ed?")
- (data $14.87 (i32.const 10657) "\a0\97MZ\e9\b5?\1e\1d]<\06i,\bd\00\00\00\00\00@\ed?")
- (data $14.88 (i32.const 10689) "\c0\ea\n\d3\00\b7?2\ed\9d\a9\8d\1e\ec<\00\00\00\00\00\00\ed?")
- (data $14.89 (i32.const 10721) "@Y]^3\b9?\daG\bd:\\\11#=\00\00\00\00\00\c0\ec?")
- (data $14.90 (i32.const 10753) "`\ad\8d\c8j\bb?\e5h\f7+\80\90\13\bd\00\00\00\00\00\a0\ec?")
- (data $14.91 (i32.const 10785) "@\bc\01X\88\bc?\d3\acZ\c6\d1F&=\00\00\00\00\00`\ec?")
- (data $14.92 (i32.const 10817) " \n\839\c7\be?\e0E\e6\afh\c0-\bd\00\00\00\00\00@\ec?")
- (data $14.93 (i32.const 10849) "\e0\db9\91\e8\bf?\fd\n\a1O\d64%\bd\00\00\00\00\00\00\ec?")
- (data $14.94 (i32.const 10881) "\e0\'\82\8e\17\c1?\f2\07-\cex\ef!=\00\00\00\00\00\e0\eb?")
- (data $14.95 (i32.const 10913) "\f0#~+\aa\c1?4\998D\8e\a7,=\00\00\00\00\00\a0\eb?")
- (data $14.96 (i32.const 10945) "\80\86\0ca\d1\c2?\a1\b4\81\cbl\9d\03=\00\00\00\00\00\80\eb?")
- (data $14.97 (i32.const 10977) "\90\15\b0\fce\c3?\89rK#\a8/\c6<\00\00\00\00\00@\eb?")
- (data $14.98 (i32.const 11009) "\b03\83=\91\c4?x\b6\fdTy\83%=\00\00\00\00\00 \eb?")
- (data $14.99 (i32.const 11041) "\b0\a1\e4\e5\'\c5?\c7}i\e5\e83&=\00\00\00\00\00\e0\ea?")
- (data $14.100 (i32.const 11073) "\10\8c\beNW\c6?x.<,\8b\cf\19=\00\00\00\00\00\c0\ea?")
- (data $14.101 (i32.const 11105) "pu\8b\12\f0\c6?\e1!\9c\e5\8d\11%\bd\00\00\00\00\00\a0\ea?")
- (data $14.102 (i32.const 11137) "PD\85\8d\89\c7?\05C\91p\10f\1c\bd\00\00\00\00\00`\ea?")
- (data $14.103 (i32.const 11170) "9\eb\af\be\c8?\d1,\e9\aaT=\07\bd\00\00\00\00\00@\ea?")
- (data $14.104 (i32.const 11202) "\f7\dcZZ\c9?o\ff\a0X(\f2\07=\00\00\00\00\00\00\ea?")
- (data $14.105 (i32.const 11233) "\e0\8a<\ed\93\ca?i!VPCr(\bd\00\00\00\00\00\e0\e9?")
- (data $14.106 (i32.const 11265) "\d0[W\d81\cb?\aa\e1\acN\8d5\0c\bd\00\00\00\00\00\c0\e9?")
- (data $14.107 (i32.const 11297) "\e0;8\87\d0\cb?\b6\12TY\c4K-\bd\00\00\00\00\00\a0\e9?")
- (data $14.108 (i32.const 11329) "\10\f0\c6\fbo\cc?\d2+\96\c5r\ec\f1\bc\00\00\00\00\00`\e9?")
- (data $14.109 (i32.const 11361) "\90\d4\b0=\b1\cd?5\b0\15\f7*\ff*\bd\00\00\00\00\00@\e9?")
- (data $14.110 (i32.const 11393) "\10\e7\ff\0eS\ce?0\f4A`\'\12\c2<\00\00\00\00\00 \e9?")
- (data $14.111 (i32.const 11426) "\dd\e4\ad\f5\ce?\11\8e\bbe\15!\ca\bc\00\00\00\00\00\00\e9?")
- (data $14.112 (i32.const 11457) "\b0\b3l\1c\99\cf?0\df\0c\ca\ec\cb\1b=\00\00\00\00\00\c0\e8?")
- (data $14.113 (i32.const 11489) "XM`8q\d0?\91N\ed\16\db\9c\f8<\00\00\00\00\00\a0\e8?")
- (data $14.114 (i32.const 11521) "`ag-\c4\d0?\e9\ea<\16\8b\18\'=\00\00\00\00\00\80\e8?")
- (data $14.115 (i32.const 11553) "\e8\'\82\8e\17\d1?\1c\f0\a5c\0e!,\bd\00\00\00\00\00`\e8?")
- (data $14.116 (i32.const 11585) "\f8\ac\cb\\k\d1?\81\16\a5\f7\cd\9a+=\00\00\00\00\00@\e8?")
- (data $14.117 (i32.const 11617) "hZc\99\bf\d1?\b7\bdGQ\ed\a6,=\00\00\00\00\00 \e8?")
- (data $14.118 (i32.const 11649) "\b8\0emE\14\d2?\ea\baF\ba\de\87\n=\00\00\00\00\00\e0\e7?")
- (data $14.119 (i32.const 11681) "\90\dc|\f0\be\d2?\f4\04PJ\fa\9c*=\00\00\00\00\00\c0\e7?")
- (data $14.120 (i32.const 11713) "`\d3\e1\f1\14\d3?\b8<!\d3z\e2(\bd\00\00\00\00\00\a0\e7?")
- (data $14.121 (i32.const 11745) "\10\bevgk\d3?\c8w\f1\b0\cdn\11=\00\00\00\00\00\80\e7?")
- (data $14.122 (i32.const 11777) "03wR\c2\d3?\\\bd\06\b6T;\18=\00\00\00\00\00`\e7?")
- (data $14.123 (i32.const 11809) "\e8\d5#\b4\19\d4?\9d\e0\90\ec6\e4\08=\00\00\00\00\00@\e7?")
- (data $14.124 (i32.const 11841) "\c8q\c2\8dq\d4?u\d6g\t\ce\'/\bd\00\00\00\00\00 \e7?")
- (data $14.125 (i32.const 11873) "0\17\9e\e0\c9\d4?\a4\d8\n\1b\89 .\bd\00\00\00\00\00\00\e7?")
- (data $14.126 (i32.const 11905) "\a08\07\ae\"\d5?Y\c7d\81p\be.=\00\00\00\00\00\e0\e6?")
- (data $14.127 (i32.const 11937) "\d0\c8S\f7{\d5?\ef@]\ee\ed\ad\1f=\00\00\00\00\00\c0\e6?")
- (data $14.128 (i32.const 11969) "`Y\df\bd\d5\d5?\dce\a4\08*\0b\n\bd")
- (data $15 (i32.const 11996) "\1c")
- (data $15.1 (i32.const 12008) "\05\00\00\00\08\00\00\00\01")
- (data $16 (i32.const 12032) "\06\00\00\00 \00\00\00 \00\00\00 \00\00\00\00\00\00\00$\1a")
+ (global $~argumentsLength (mut i32) (i32.const 0))
+ (global $~lib/memory/__stack_pointer (mut i32) (i32.const 76368))
+ (memory $0 2)
+ (data $0 (i32.const 1036) "|\t")
+ (data $0.1 (i32.const 1048) "\04\00\00\00^\t\00\00\03\00\07\00\0b\00\r\00\13\00\19\00%\00)\00/\007\00;\00=\00C\00[\00a\00g\00m\00s\00\83\00\89\00\8f\00\91\00\9d\00\a7\00\ab\00\b9\00\bf\00\c1\00\cb\00\d3\00\d5\00\e5\00\ef\00\f1\00\f7\00\fd\00\1d\01+\01-\01M\01_\01c\01e\01i\01q\01\87\01\8d\01\a9\01\c3\01\cf\01\e7\01\f5\01\11\02\1b\02!\02-\023\02Y\02_\02i\02o\02w\02}\02\87\02\95\02\a3\02\a5\02\af\02\b7\02\bd\02\cf\02\d1\02\db\02\f5\02\f9\02\13\03\15\03\1f\03#\031\03;\03O\03[\03a\03k\03m\03s\03\7f\03\85\03\8f\03\b5\03\b9\03\c7\03\cb\03\cd\03\d5\03\d9\03\e3\03\e9\03\fb\03\t\04\1b\04\'\04-\04e\04o\04\81\04\8b\04\c5\04\d7\04\e7\04\f3\04\ff\04\r\05\19\05#\051\05=\05C\05W\05k\05\85\05\8f\05\97\05\a1\05\c7\05\e5\05\f7\05\fb\05\13\06\15\06%\067\06C\06O\06[\06y\06\7f\06\89\06\b5\06\c1\06\d3\06\df\06\fd\06\17\07\1d\07!\079\07G\07M\07U\07Y\07c\07}\07\8d\07\93\07\b1\07\db\07\f3\07\f9\07\05\08\17\08+\08-\08G\08c\08e\08q\08{\08\8d\08\95\08\9f\08\a9\08\b1\08\cf\08\d1\08\e1\08\e7\08\eb\08\f5\08\r\t\13\t%\t)\t;\t=\tE\tI\tQ\t[\ts\tu\t\7f\t\83\t\8f\t\ab\t\ad\t\b9\t\c7\t\d9\t\e5\t\f7\t\01\n\07\n\13\n\15\n)\nI\na\nm\ny\n\7f\n\85\n\91\n\9d\n\a7\n\ab\n\b3\n\b5\n\d5\n\df\n\e9\n\ef\n\f1\n\fb\n\03\0b\t\0b\11\0b3\0b?\0bA\0bK\0bY\0b_\0be\0bo\0b}\0b\87\0b\8b\0b\93\0b\95\0b\af\0b\b7\0b\bd\0b\c9\0b\db\0b\dd\0b\e7\0b\ed\0b\0b\0c\r\0c\19\0c\1f\0cW\0ca\0ck\0cs\0c\85\0c\89\0c\97\0c\9b\0c\9d\0c\b3\0c\bf\0c\c7\0c\cd\0c\d3\0c\d5\0c\e3\0c\e9\0c\f7\0c\03\r\0f\r\1d\r\'\r-\rA\rG\rU\rY\rc\ro\rq\r\93\r\9f\r\a9\r\bb\r\bd\r\c9\r\d7\r\db\r\e1\r\e7\r\f5\r\05\0e\1d\0e!\0e\'\0e+\0e3\0e9\0eG\0eK\0eU\0e_\0eq\0e{\0e}\0e\81\0e\93\0e\9f\0e\a3\0e\bb\0e\cf\0e\dd\0e\f3\0e\f9\0e\0b\0f\19\0f1\0f7\0f]\0fk\0fm\0fu\0f\83\0f\91\0f\97\0f\9b\0f\a7\0f\ad\0f\b5\0f\cd\0f\d3\0f\e5\0f\e9\0fS\10i\10{\10}\10\99\10\d1\10\eb\10\07\11\1f\11#\11;\11O\11W\11a\11k\11\85\11\b3\11\d9\11\df\11\r\127\12=\12g\12s\12\7f\12\b9\12\c1\12\cb\12\0f\13\1d\13!\139\13?\13M\13q\13\99\13\a3\13\a9\13\07\141\147\14O\14]\14g\14u\14\a7\14\ad\14\d3\14\0f\15\1d\15M\15\93\15\c5\15\d7\15\dd\15\eb\15\t\16G\16U\16Y\16\a5\16\bd\16\15\17\19\17C\17E\17u\17\89\17\ad\17\b3\17\bf\17\c1\17W\18]\18\91\18\97\18\b9\18\ef\18\1b\195\19A\19e\19{\19\8b\19\b1\19\bd\19\c9\19\cf\19\e7\19\1b\1a+\1a3\1ai\1a\8b\1a\d1\1a\e1\1a\f5\1a\0b\1b\13\1b\1f\1bW\1b\91\1b\a7\1b\bf\1b\c1\1b\d3\1b\05\1c\11\1c\17\1c\'\1cM\1c\87\1c\9f\1c\a5\1c\bb\1c\c5\1c\c9\1c\cf\1c\f3\1c\07\1d#\1dC\1dQ\1d[\1du\1d\85\1d\89\1d\15\1e\19\1e/\1eE\1eQ\1eg\1es\1e\8f\1e\e3\1e\11\1f\1b\1f\'\1fq\1f\99\1f\bb\1f\bd\1f\c9\1f\1b \' 5 S e o \8b \8d \9f \a5 \af \bb \bd \c3 \c9 \e1 \f3 \r!\15!)!/!;!C!g!k!y!\89!\97!\9d!\bf!\c1!\c7!\cd!\df!\e3!\f1!\fb!\19\"%\"7\"=\"C\"[\"]\"y\"\7f\"\89\"\97\"\9b\"\b3\"\bf\"\cd\"\ef\"\f7\"\fb\"\05#\'#+#G#U#Y#o#q#}#\87#\8d#\95#\a3#\a9#\b1#\b7#\bb#\e1#\ed#\f9#\0b$\13$\1f$%$)$=$Q$W$a$m$\7f$\83$\9b$\9d$\b5$\bf$\c1$\c7$\cb$\e3$\t%\17%\1d%!%-%9%S%U%c%q%w%\87%\8b%\95%\99%\9f%\af%\bd%\c5%\cf%\d7%\eb%\03&\05&\11&-&?&K&S&Y&i&w&{&\87&\93&\99&\b1&\b7&\bd&\c3&\eb&\f5&\13\')\';\'O\'W\']\'k\'s\'y\'\83\'\91\'\a1\'\b9\'\c7\'\cb\'\df\'\ef\'\f1\'\07(\19(\1f(#(1(;(=(E(g(u(\85(\ab(\ad(\bf(\cd(\d5(\df(\e3(\e9(\fb(\t)\0f)\11)\1b)+)5)?)A)K)U)w)})\81)\93)\9f)\af)\b7)\bd)\c3)\d7)\f3)\f5)\03*\0f*\1d*!*3*5*M*i*o*q*{*}*\a5*\a9*\b1*\c5*\d7*\db*\eb*\f3*\01+\15+#+%+/+7+C+I+m+\7f+\85+\97+\9b+\ad+\b3+\d9+\e5+\fd+\0f,!,+,-,?,A,M,q,\8b,\8d,\95,\a3,\af,\bd,\c5,\d1,\d7,\e1,\e7,\eb,\r-\19-)-/-7-;-E-[-g-u-\89-\8f-\a7-\ab-\b5-\e3-\f1-\fd-\07.\13.\15.).I.O.[.].a.k.\8f.\91.\97.\9d.\ab.\b3.\b9.\df.\fb.\fd.\05/\t/\11/\17/?/A/K/M/Y/_/e/i/\95/\a5/\af/\b1/\cf/\dd/\e7/\ed/\f5/\ff/\070\150\190/0I0O0g0y0\7f0\910\a10\b50\bf0\c10\d30\d90\e50\ef0\051\0f151G1M1_1c1q1{1\a31\a91\b71\c51\c91\db1\e11\eb1\ed1\f31\ff1\t2\0f2\1d2\'292K2S2Y2e2\812\932\992\9f2\a92\b72\bb2\c32\d72\db2\e72\073\153/3Q3]3u3\973\9b3\ab3\b93\c13\c73\d53\e33\e53\f73\fb3\t4\1b4\'4A4M4_4i4w4{4\874\934\994\a54\bd4\c94\db4\e74\f94\r5\1f5%51575E5O5]5m5s5\7f5\9d5\a15\b95\cd5\d55\d95\e35\e95\ef5\016\0b6\1f6%6/6;6I6Q6[6s6u6\916\9b6\9d6\ad6\cb6\d36\d56\e36\ef6\057\0f7\1b7!7-797A7G7S7q7w7\8b7\957\997\a37\c57\cf7\d17\d77\dd7\e17\f37\038\058\178\1d8\'838K8Y8i8q8\a38\b18\bb8\c98\cf8\e18\f38\f98\019\079\0b9\13919O9g9m9\839\859\979\a19\a79\ad9\cb9\cd9\d39\ef9\f79\fd9\07:):/:=:Q:]:a:g:s:u:\89:\b9:\bf:\cd:\d3:\d5:\df:\e5:\e9:\fb:\11;+;-;5;?;S;Y;c;e;o;q;w;\8b;\99;\a5;\a9;\b7;\bb;\d1;\e7;\f3;\ff;\r<\13<\15<\1f<#<%<;<O<]<m<\83<\8f<\9d<\a7<\ab<\b9<\c7<\e9<\fb<\fd<\03=\17=\1b=!=-=3=5=A=M=e=i=}=\81=\95=\b1=\b7=\c3=\d1=\db=\e7=\eb=\f9=\05>\t>\0f>\1b>+>?>A>S>e>i>\8b>\a3>\bd>\c5>\d7>\dd>\e1>\f9>\r?\19?\1f?%?7?=?C?E?I?Q?W?a?\83?\89?\91?\ab?\b5?\e3?\f7?\fd?+@9@S@_@{@\a9@\af@\bb@\bd@\cf@\eb@\f3@\rA\13A;ACA\9bA\9dA\a7A\adA\b5A\d5A\d9A\f1A\rBWBaB\7fB\85B\9dB\c7B\cbB\cdB\e3B\e9B\efB\tC!C?C}C\87C\95C\afC\c9C\ebC\edC\0bDCDsD\d3D\d5D\dfD\e3D\fbD+E9EYEoE\99E\9fE\a5E\b7E\c5E\d7E\e7E\f3E\ffE\0fF\1dF\'F5FGFYFcFqF{F\a5F\c5F\cfF\dbF1GOG\7fG\a7G\c1G\e5G\e9G\efG\13H")
+ (data $1 (i32.const 3468) "\1cq")
+ (data $1.1 (i32.const 3480) "\04\00\00\00\nq\00\00\01\00\01\00\03\00\01\00\03\00\01\00\01\00\01\00\01\00\01\00\01\00\03\00\03\00\01\00\03\00\05\00\r\00\01\00\01\00\05\00\05\00\11\00\01\00\01\00\05\00\05\00\05\00\01\00\01\00\07\00\0b\00\13\00\01\00\01\00\05\00\01\00\01\00\01\00\01\00\01\00\03\00\0b\00\01\00\03\00\05\00\05\00\1f\00\01\00\03\00\03\00\t\00\07\001\00\01\00\01\00\01\00\0f\00\15\00\15\00\01\00\03\00\01\00\r\00\1b\001\00\01\00\01\00\01\00\0f\00\07\00\05\00\01\00\03\00\01\00\0f\00\r\00\19\00\01\00\01\00\05\00\05\00\13\00=\00\01\00\03\00\07\00\0b\00\17\00\0f\00g\00\01\00\03\00\07\00\r\00\r\00\0f\00E\00\01\00\01\00\03\00\r\00\07\00#\00?\00\01\00\03\00\05\00\t\00\01\00\19\005\00\01\00\03\00\01\00\r\00\t\00#\00k\00\01\00\03\00\01\00\05\00\1b\00=\00\1f\00\01\00\01\00\05\00\0b\00\13\00)\00=\00\01\00\03\00\05\00\03\00\03\00\r\00E\00\01\00\01\00\07\00\r\00\01\00\13\00\01\00\01\00\03\00\07\00\05\00\r\00\13\00;\00\01\00\01\00\03\00\t\00\19\00\1d\00)\00\01\00\03\00\05\00\r\00\17\00\01\007\00\01\00\03\00\07\00\03\00\r\00;\00\11\00\01\00\03\00\01\00\03\00\05\005\00E\00\01\00\01\00\05\00\05\00\17\00!\00\r\00\01\00\01\00\07\00\07\00\01\00=\00{\00\01\00\01\00\07\00\t\00\r\00=\001\00\01\00\03\00\03\00\05\00\03\007\00!\00\01\00\03\00\01\00\0f\00\1f\00\r\001\00\f5\00\01\00\03\00\05\00\0f\00\1f\00;\00?\00a\00\01\00\03\00\01\00\0b\00\0b\00\0b\00M\00\f9\00\01\00\03\00\01\00\0b\00\1b\00+\00G\00\t\00\01\00\01\00\07\00\0f\00\15\00\0b\00Q\00-\00\01\00\03\00\07\00\03\00\19\00\1f\00A\00O\00\01\00\03\00\01\00\01\00\13\00\0b\00\03\00\cd\00\01\00\01\00\05\00\t\00\13\00\15\00\1d\00\9d\00\01\00\03\00\07\00\0b\00\01\00!\00Y\00\b9\00\01\00\03\00\03\00\03\00\0f\00\t\00O\00G\00\01\00\03\00\07\00\0b\00\0f\00\'\00w\00\1b\00\01\00\01\00\03\00\01\00\0b\00\1f\00a\00\e1\00\01\00\01\00\01\00\03\00\17\00+\009\00\b1\00\01\00\03\00\07\00\07\00\11\00\11\00%\00G\00\01\00\03\00\01\00\05\00\1b\00?\00{\00\d5\00\01\00\01\00\03\00\05\00\0b\00+\005\00\85\00\01\00\03\00\05\00\05\00\1d\00\11\00/\00\ad\00\df\01\01\00\03\00\03\00\0b\00\03\00\01\00m\00\t\00E\00\01\00\01\00\01\00\05\00\11\00\'\00\17\00\05\00W\01\01\00\03\00\01\00\05\00\19\00\0f\00\1f\00g\00\f3\01\01\00\01\00\01\00\0b\00\0b\00\11\00?\00i\00\b7\00\01\00\01\00\05\00\0b\00\t\00\1d\00a\00\e7\00k\01\01\00\01\00\05\00\0f\00\13\00-\00)\00\07\00\7f\01\01\00\03\00\07\00\07\00\1f\00\13\00S\00\89\00\dd\00\01\00\01\00\01\00\03\00\17\00\0f\00o\00\df\00S\00\01\00\01\00\05\00\r\00\1f\00\0f\007\00\19\00\a1\00\01\00\01\00\03\00\r\00\19\00/\00\'\00W\00\01\01\01\00\01\00\01\00\0b\00\15\005\00}\00\f9\00%\01\01\00\01\00\07\00\0b\00\0b\00\07\009\00O\00C\01\01\00\01\00\05\00\05\00\11\00\r\00Q\00\03\00\83\00\01\00\01\00\07\00\r\00\17\00\07\00A\00\fb\00\db\01\01\00\03\00\05\00\01\00\t\00+\00\03\00\95\00\0b\00\01\00\01\00\03\00\r\00\1f\00\r\00\r\00\ff\00\e7\01\01\00\03\00\03\00\01\00\05\00?\00Y\00[\00\7f\00\01\00\01\00\03\00\03\00\01\00\13\00{\00\7f\00\ed\00\01\00\01\00\05\00\07\00\17\00\1f\00%\00\f3\00!\01\01\00\01\00\05\00\0b\00\11\005\00u\00\b7\00\eb\01\01\00\01\00\01\00\05\00\01\00\r\00\r\00\d1\00Y\01\01\00\01\00\03\00\0f\00\01\009\00s\00\07\00!\00\01\00\03\00\01\00\0b\00\07\00+\00Q\00\cf\00\af\00\01\00\03\00\01\00\01\00\0f\00\1b\00?\00\ff\001\00\01\00\03\00\05\00\03\00\1b\00=\00i\00\ab\001\01\01\00\01\00\05\00\03\00\01\00\03\009\00\f9\00\95\00\01\00\01\00\03\00\05\00\05\009\00\0f\00\r\00\9f\00\01\00\01\00\01\00\0b\00\07\00\0b\00i\00\8d\00\e1\00\01\00\03\00\03\00\05\00\1b\00;\00y\00e\00\0f\01\01\00\03\00\05\00\t\00\0b\001\003\00;\00s\00\01\00\01\00\07\00\01\00\17\00-\00}\00G\00\a3\01\01\00\01\00\03\00\05\00\17\00\05\00i\00m\00K\00\01\00\01\00\07\00\0f\00\07\00\0b\00C\00y\00\c5\01\01\00\03\00\07\00\03\00\t\00\r\00\1f\00\1b\00\c1\01\01\00\03\00\01\00\0f\00\13\00\'\00\'\00Y\00\0f\00\01\00\01\00\01\00\01\00\01\00!\00I\00\91\00{\01\01\00\03\00\01\00\0f\00\0f\00+\00\1d\00\r\00\e3\01\01\00\01\00\07\00\03\00\13\00\1b\00U\00\83\00\af\01\01\00\03\00\03\00\03\00\05\00#\00\17\00\c3\00]\01\01\00\03\00\03\00\07\00\t\00\1b\00\'\00;\00)\01\01\00\01\00\03\00\t\00\0b\00\11\00\r\00\f1\00\9d\00\01\00\03\00\07\00\0f\00\19\009\00!\00\bd\00\d5\00\01\00\01\00\07\00\01\00\t\007\00I\00S\00\d9\00\01\00\03\00\03\00\r\00\13\00\1b\00\17\00q\00\f9\00\01\00\03\00\05\00\03\00\17\00+\00\03\00\fd\00\df\01\01\00\01\00\05\00\05\00\0b\00\05\00-\00u\00\d9\00\01\00\03\00\03\00\07\00\1d\00%\00!\00{\00\93\00\01\00\03\00\01\00\0f\00\05\00\05\00%\00\e3\00\df\00\cb\01\01\00\01\00\07\00\05\00\05\00\'\00?\00\ff\00\87\00\e7\01\01\00\03\00\01\00\07\00\t\00\07\00W\00\f9\00\d9\00W\02\01\00\01\00\03\00\r\00\t\00/\00\07\00\e1\00k\01\f7\00\01\00\03\00\07\00\r\00\13\00\r\00\t\00C\00\t\00\e1\02\01\00\03\00\05\00\05\00\13\00;\00\07\00)\00?\01\a5\02\01\00\01\00\05\00\03\00\1f\00?\00\0f\00+\00\cf\00\15\03\01\00\01\00\07\00\t\00\r\00\'\00\03\00/\00\f1\01\a9\00\01\00\03\00\01\00\07\00\15\00\11\00a\00\13\00\9f\01\89\03\01\00\03\00\07\00\01\00\03\00\1f\00G\00o\00\a5\00\7f\00\01\00\01\00\05\00\0b\00\01\00=\00S\00w\00\cb\00O\03\01\00\03\00\03\00\r\00\t\00=\00\13\00a\00/\00#\00\01\00\01\00\07\00\07\00\0f\00\1d\00?\00_\00\a1\01\d5\01\01\00\03\00\01\00\t\00\19\00\t\00G\009\00\d5\00\81\01\01\00\03\00\05\00\r\00\1f\00/\00e\009\00\'\00U\01\01\00\01\00\03\00\03\00\1f\009\00}\00\ad\00m\01\'\02\01\00\03\00\07\00\01\00\r\009\00C\00\9d\00\c3\01\c3\02\01\00\01\00\01\00\07\00\15\00\r\00i\00Y\00\ad\01\c5\03\01\00\01\00\05\00\t\00\11\003\00-\00w\00\9d\00\8d\00\01\00\03\00\07\00\07\00\r\00-\00[\00\t\00\81\00\e5\02\01\00\03\00\07\00\01\00\17\009\00C\00\8d\00\97\00;\02\01\00\01\00\03\00\0b\00\11\00/\00]\00k\00w\01\9d\00\01\00\03\00\03\00\05\00\0b\00\15\00+\003\00\a9\00\93\03\01\00\01\00\05\00\03\00\0f\007\00e\00C\00\c7\01q\02\01\00\03\00\05\00\t\00\01\00\17\00\1d\00/\00Y\01S\02\01\00\03\00\07\00\07\00\05\001\00\1d\00\9b\00C\01M\02\01\00\03\00\03\00\07\00\05\00)\00\7f\00=\00\05\01\cd\02\01\00\03\00\07\00\07\00\11\00\17\00u\00C\00\81\00\f1\03\01\00\01\00\03\00\r\00\0b\00\'\00\15\00\cf\00{\001\01\01\00\01\00\03\00\t\00\1d\00\03\00_\00/\00\e7\00I\00\01\00\03\00\01\00\t\00\01\00\1d\00u\00\15\00\b9\01\03\01\01\00\03\00\01\00\r\00\15\00\'\00}\00\d3\00\b7\01\d3\02\01\00\01\00\07\00\03\00\11\00?\00s\00Y\001\00\05\03\01\00\03\00\07\00\r\00\0b\00!\00e\00k\00?\00I\00\01\00\01\00\05\00\05\00\r\009\00?\00\87\00\b5\01\b1\00\01\00\01\00\03\00\07\00\1b\00?\00]\00/\00\a1\01\e3\01\01\00\01\00\03\00\01\00\17\00\1d\00\01\00\bf\001\00\17\00\01\00\01\00\03\00\0f\00\19\007\00\t\00e\00\db\00_\02\01\00\03\00\01\00\07\00\07\00\13\003\00\fb\00\89\013\01\01\00\03\00\03\00\03\00\19\007\00\11\00K\00Q\01\03\00\01\00\01\00\01\00\r\00\19\00\11\00A\00-\00\df\01\9d\01\01\00\01\00\07\00\07\00\1b\001\00c\00\a1\00\d5\00\d7\02\01\00\03\00\05\00\01\00\17\00\05\00+\00)\00\fb\00Y\03\01\00\03\00\03\00\07\00\0b\00=\00\'\00W\00\7f\01C\03\01\00\01\00\03\00\0f\00\r\00\07\00\1d\00\07\00\f9\01\9b\03\01\00\03\00\07\00\01\00\05\00\1f\00/\00\9d\00\bd\01\f5\01\01\00\01\00\03\00\07\00\01\00+\00\t\00\93\00s\00]\02\01\00\03\00\03\00\r\00\05\00\01\00w\00\d3\00\c7\01\e9\03\01\00\01\00\03\00\05\00\r\00\13\00\03\00\f3\00K\00K\03\01\00\03\00\07\00\07\00\01\00\13\00[\00\f9\00e\01M\02\01\00\01\00\01\00\t\00\01\00\19\00m\00\c5\00\17\01\9b\01\01\00\03\00\01\00\0f\00\17\009\00;\00\87\00\bf\00K\00\01\00\01\00\05\00\0f\00\1d\00\15\00\'\00\fd\00\7f\01]\01\01\00\03\00\03\00\05\00\13\00-\00=\00\97\00\c7\00\d5\03\01\00\03\00\05\00\r\00\t\00=\00k\00\8d\00\8d\00\01\00\01\00\03\00\01\00\0b\00\1b\00\19\00U\00i\005\01\d3\03\01\00\03\00\03\00\0b\00\13\00\07\00s\00\df\00]\01+\00\01\00\01\00\07\00\t\00\15\00\'\00{\00\15\00\13\01\9f\03\01\00\01\00\07\00\r\00\0f\00)\00/\00\f3\00/\01\b5\01\01\00\01\00\01\00\07\00\07\00\03\00\0f\00c\00\99\01\cf\02\01\00\03\00\03\00\0f\00\1b\001\00q\00{\00q\00C\00\d5\01\01\00\03\00\07\00\0b\00\03\00\17\00W\00\a9\00w\00\e3\01\c7\00\01\00\01\00\05\00\0f\00\07\00\11\00m\00\e5\00\b3\00\d5\00\e5\02\01\00\01\00\05\00\r\00\0b\00\11\00\19\00\87\00\93\01-\02\99\05\01\00\03\00\01\00\01\00\01\00=\00C\00\d7\00\bd\00\b1\03\db\04\01\00\01\00\07\00\r\00\11\00!\00\t\00\dd\00\ad\01\d9\00\8f\06\01\00\01\00\03\00\0b\00\1b\00\03\00\0f\00]\00]\00a\03\19\04\01\00\03\00\07\00\07\00\19\00)\00y\00#\00u\01{\01\0b\06\01\00\03\00\03\00\t\00\0b\00#\00-\00\cd\00\f1\00\t\00;\00\01\00\03\00\01\00\07\00\03\003\00\07\00\b1\005\00\cf\03Y\00\01\00\01\00\03\00\05\00\1b\00\01\00q\00\e7\00+\01\f7\02]\03\01\00\03\00\03\00\0f\00\19\00\1d\00\05\00\ff\00\8b\00{\03\ef\07\01\00\03\00\01\00\01\00\r\00\t\00m\00\c1\00\a3\01_\00\11\00\01\00\01\00\07\00\t\00\03\00\07\00\1d\00)\00\87\00G\03c\03\01\00\01\00\07\00\t\00\19\001\00{\00\d9\00q\00\8d\03\d7\00\01\00\01\00\07\00\03\00\17\00\0f\00+\00\85\00\d9\00G\01\85\03\01\00\01\00\03\00\03\00\r\005\00?\00{\00\dd\01\c7\02k\05\01\00\01\00\03\00\0f\00\07\00\1d\00K\00w\00\b5\00\bd\03\f7\00\01\00\01\00\01\00\0b\00\1b\00\19\00m\00\97\00\0b\01c\00\b5\05\01\00\03\00\07\00\0f\00\05\00\05\005\00\91\00\0b\00\d5\02\dd\05\01\00\03\00\07\00\01\00\t\00+\00G\00\e5\00\9d\00_\02+\07\01\00\03\00\03\00\r\00\19\00\01\00\05\00\1b\00\d7\01]\01\7f\00\01\00\01\00\01\00\01\00\17\00%\00\t\00\dd\00\r\01\81\03\95\06\01\00\01\00\03\00\03\00\1f\00\1d\003\00\13\007\01)\02\b1\07\01\00\03\00\07\00\05\00\05\007\00\11\00\'\00\db\01\9f\02\f9\05\01\00\01\00\07\00\01\00\01\00#\00/\00\1b\00\b5\01\8b\01c\06\01\00\01\00\07\00\03\00\r\00\17\00+\00\87\00G\01\8b\00\85\01\01\00\03\00\07\00\03\00\t\00\19\00[\00\19\00\ad\01\db\00\01\02\01\00\01\00\03\00\05\00\r\00\1d\00w\00\c9\00\15\01\9d\00\fb\07\01\00\03\00\05\00\03\00\1d\009\00\r\00\11\00\a7\00\e3\02\07\04\01\00\03\00\03\00\05\00\1d\00\15\00_\00\1b\00\ff\00\a7\02\fb\05\01\00\03\00\07\00\0f\00\t\00\05\00\15\00G\00=\00\c1\03\b1\04\01\00\03\00\05\00\r\00\0f\009\00!\00]\00\cb\01c\03\df\00\01\00\01\00\01\00\0f\00\11\00+\00\7f\00\bf\00C\00\b1\001\04\01\00\01\00\01\00\0f\00\17\00\07\00\15\00\c7\00K\00%\01K\06\01\00\03\00\07\00\r\00\0f\00\'\00\15\00\95\00A\00\e5\02?\01\01\00\03\00\07\00\0b\00\17\00\r\00e\00Y\00\15\01\07\02\c7\02\01\00\03\00\07\00\0f\00\13\00\1b\00U\00\cb\00\b9\01a\00g\07\01\00\03\00\01\00\03\00\1d\00\19\00\15\00\9b\00\0b\00\bf\00\c5\00\01\00\01\00\07\00\05\00\1b\00\0b\00Q\00e\00\c9\01\a3\02\97\06\01\00\03\00\01\00\05\00\19\00\05\00A\00\c1\00)\007\02\r\03\01\00\03\00\01\00\05\00\0b\00\0f\00q\00M\00\9b\01\b7\02W\04\01\00\01\00\03\00\t\00\0b\005\00w\00\ab\007\00)\01\fd\01\01\00\01\00\01\00\01\00\0b\00\'\00q\00\8b\00\a5\00[\01S\02\01\00\03\00\07\00\0b\00\t\00\11\00e\00\r\00Q\00E\01\c5\06\01\00\03\00\01\00\01\00\15\00+\00s\00\t\00q\00\8b\03\85\02\01\00\01\00\07\00\03\00\t\00\19\00u\00\c5\00\9f\00\d7\01\db\01\01\00\03\00\01\00\t\00\0b\00\15\009\00\cf\00\e5\01e\02}\06\01\00\01\00\07\00\07\00\1b\007\001\00\df\00Y\00U\00\f3\05\01\00\01\00\05\00\03\00\13\00)\00-\003\00\bf\01+\01K\05\01\00\03\00\01\00\r\00\01\00!\00u\00\8f\009\01\bb\001\04\01\00\01\00\07\00\07\00\05\00\0b\00A\00a\00y\01y\01\dd\05\01\00\03\00\01\00\01\00\15\00#\00_\00A\00c\00\17\00\d7\04\01\00\01\00\05\00\t\00\03\00%\00_\00\a7\00s\00\a9\01c\03\01\00\03\00\03\00\r\00\01\00%\00\1b\00\bd\00Q\00\a7\02\05\03\01\00\01\00\03\00\0b\00\01\00=\00c\00\e9\00\ad\01\c9\031\00\01\00\01\00\01\00\07\00\19\00?\00c\00\a5\00\f5\00\19\03w\04\01\00\01\00\05\00\0b\00\0b\00+\007\00A\00G\00\1b\01\11\01\01\00\01\00\05\00\05\00\t\00\03\00e\00\fb\00c\01{\01K\06\01\00\01\00\01\00\0f\00\15\00?\00U\00c\001\00\ed\027\05\01\00\01\00\05\00\r\00\1b\00\t\00y\00+\00\ff\00\cb\02!\01\01\00\03\00\01\00\05\00\1b\00\13\00\11\00\df\00M\00;\02\87\05\01\00\01\00\05\00\03\00\r\00;\00}\00\fb\00\c3\00\'\02\c9\06\01\00\03\00\03\00\0f\00\r\00\1b\001\00i\00\85\01\cb\03\f3\02\01\00\03\00\05\00\0f\00\17\00+\00#\00k\00\bf\01\fb\02\fd\00\01\00\03\00\05\00\0b\00\15\00\03\00\11\00\'\00\f1\01\97\01c\02\01\00\01\00\07\00\r\00\0f\00\1f\00q\00\11\00\17\00\fb\01\cb\07\01\00\01\00\07\00\0f\00\03\00\0f\00\1f\00\99\00\a7\01O\00\f7\01\01\00\01\00\07\00\t\00\13\00\19\00\17\00\ab\00\f9\01\9b\03\c5\07\01\00\01\00\05\00\t\00\15\00\1b\00y\00\df\00\85\00W\00\b9\02\01\00\01\00\05\00\05\00\t\00\13\00k\00c\00?\01\fd\02\b5\05\01\00\01\00\03\00\03\00\13\00\19\00\03\00e\00\ab\00\d9\02\bb\00\01\00\01\00\03\00\01\00\r\00\17\00U\00]\00#\01\d1\00%\00\01\00\01\00\01\00\0f\00\19\00\19\00M\00\fd\00M\01\b3\031\04\01\00\01\00\03\00\t\00\11\00\1d\007\00/\00\ff\001\01\f5\07\01\00\03\00\03\00\t\00\1d\00?\00\t\00g\00\e9\01\ab\03\f3\05\01\00\03\00\07\00\0f\00\07\00\1f\00Y\00\af\00q\01S\01S\02\01\00\03\00\07\00\r\00\19\00\05\00G\00\cf\00\fb\00o\01\99\02\01\00\03\00\03\00\03\00\15\00\19\00K\00#\00\1f\00A\01C\06\01\00\01\00\01\00\t\00\0b\00\01\00A\00\05\00\0b\00I\01\17\02\01\00\01\00\05\00\03\00\13\00\r\00\11\00+\00{\01\e5\01\7f\01\01\00\03\00\05\00\r\00\r\00\t\00U\00\93\00\e9\01\13\03m\04\01\00\03\00\01\00\01\00\05\003\00%\00\81\00\c3\00)\01\f7\06\01\00\01\00\03\00\0f\00\13\009\00;\00\b5\00\c7\01\b9\02\f1\07\01\00\03\00\07\00\01\00\1b\00\t\00A\00\91\00E\01\bd\00\c9\00\01\00\03\00\01\00\0f\00\1f\00\17\00\13\00\05\00\e5\01E\02\1b\02\01\00\01\00\07\00\r\00\0b\00\0f\00A\00S\00\b9\00O\03?\03\01\00\03\00\05\00\07\00\07\007\00I\00\0f\00/\01\ff\01q\07\01\00\03\00\05\00\t\00\07\00\15\00-\00\0f\00\8d\01\81\01U\02\01\00\03\00\07\00\03\00\17\00\r\00I\00\dd\00\ff\01s\03\f1\04\01\00\01\00\03\00\0b\00\01\003\00I\00\b9\00!\00\cf\03\a1\05\01\00\03\00\03\00\t\00\13\00;\00\15\00\'\00S\01%\00\8f\00\01\00\01\00\07\00\01\00\1f\00!\00\13\00\a7\00u\00{\02\7f\02\01\00\01\00\01\00\03\00\05\00\r\00;\00S\00c\01]\01\af\07\01\00\01\00\01\00\05\00\13\00\03\005\00\85\00a\00_\03\d7\03\01\00\03\00\01\00\r\00\t\00)\00[\00i\00\ad\00a\00q\02\01\00\01\00\05\00\03\00\07\001\00s\00\85\00G\00\e7\00\'\04\01\00\01\00\07\00\05\00\11\00+\00/\00-\00\f1\01#\02\f5\02\01\00\03\00\05\00\0f\00\15\00=\00{\00\bf\00\f9\00\1f\00w\02\01\00\03\00\07\00\t\00\11\00\07\00\0b\00\b9\00\7f\00\a9\00\9f\07\01\00\01\00\05\00\r\00\0b\00\0b\00\t\001\00\1d\00}\00\17\03\01\00\01\00\01\00\0f\00\1f\00)\00\r\00\a7\00\11\01\ad\019\00\01\00\03\00\05\00\03\00\1b\00\07\00#\00\d1\00A\00\t\01q\05\01\00\03\00\01\00\r\00\1f\00\13\005\00\8f\00\87\00\t\00\fd\03\01\00\01\00\07\00\r\00\1f\00\05\00s\00\99\00\8f\00\bd\03o\02\01\00\01\00\05\00\0b\00\19\00\13\00\1d\00\1f\00)\01\af\03\bb\01\01\00\03\00\03\00\05\00\15\00\0b\00\7f\00Q\00\df\01\19\00\bb\02\01\00\01\00\03\00\0b\00\19\00\1f\00a\00\13\00\c3\00\r\03\c1\02\01\00\01\00\05\00\05\00\1f\00\0b\00K\00\cf\00\c5\00u\03\f5\07\01\00\01\00\01\00\0b\00\t\00\17\00\1d\00\e7\003\01\11\00\d9\05\01\00\01\00\05\00\0b\00\0b\00+\00o\00\e9\003\01\0b\02\eb\04\01\00\01\00\07\00\05\00\01\00\15\00k\00\e5\00W\01\a5\03\d9\00\01\00\01\00\01\00\0b\00\03\00\15\00}\00\83\00\95\01W\02\bd\05\01\00\03\00\05\00\05\00\t\00\'\00!\00Q\00\85\01\97\00+\03\01\00\01\00\07\00\07\00\07\00\01\00;\00\df\00\t\01\11\02\e5\07\01\00\03\00\01\00\03\00\t\00\17\00U\00\b5\00/\00\t\011\00\01\00\03\00\05\00\0b\00\13\00\17\00\t\00\07\00\9d\00+\01\bf\07\01\00\03\00\01\00\05\00\0f\00\05\00\15\00i\00\1d\00S\01\11\04\01\00\01\00\01\00\01\00\05\00!\00A\00U\00o\00\c1\02\df\01\01\00\01\00\01\00\07\00\t\00#\00M\00W\00\97\00A\01e\00\01\00\01\00\05\00\07\00\11\00\01\003\00\c5\00\af\00+\03\cd\04\01\00\03\00\03\00\0f\00\17\00%\00U\00\b9\00\ef\00\1f\02\db\02\01\00\03\00\01\00\07\00\07\007\00o\00m\00!\01\b7\01\f3\00\01\00\01\00\07\00\0b\00\11\005\00#\00\d9\00\03\01U\03\83\06\01\00\03\00\01\00\t\00\01\00?\00W\00\11\00I\005\02C\04\01\00\01\00\03\00\03\00\0b\00)\00\01\009\00\'\01\07\01\05\04\01\00\01\00\05\00\01\00\1b\00-\00m\00\a1\00\9b\01\a5\01s\05\01\00\03\00\05\00\0b\00\19\00#\00/\00\bf\00S\01\a1\01\bf\06\01\00\01\00\05\00\0f\00\15\00\01\00]\00\fb\00_\01\d9\00\e7\06\01\00\03\00\03\00\0b\00\03\00\07\00K\00\9b\009\01\d3\00\eb\01\01\00\03\00\03\00\05\00\0b\00\t\00e\00\a1\00\c5\01\91\03+\04\01\00\01\00\03\00\01\00\0f\00-\00\7f\00\8d\00\a3\00\d7\02=\06\01\00\03\00\03\00\07\00\01\00!\00?\00I\00I\00U\01\9b\06\01\00\03\00\05\00\r\00\0f\00\'\005\00\eb\00M\00c\00\b5\03\01\00\01\00\05\00\r\00\1f\00\11\00a\00\r\00\d7\00-\01\87\07\01\00\01\00\07\00\01\00\01\00%\00[\00]\00\b9\01\fb\00k\04\01\00\03\00\07\00\t\00\19\00\05\00i\00E\00Q\00\af\03\b3\05\01\00\03\00\07\00\0b\00\1f\00+\00\r\00\d1\00\1b\00\f9\03\f5\01\01\00\01\00\07\00\0f\00\01\00!\00\1f\00\e9\00\a1\00\fb\01\83\01\01\00\03\00\03\00\05\00\05\005\00!\00\b1\00\f7\01s\02\87\07\01\00\01\00\07\00\0b\00\07\00=\00w\00\1f\00\c9\01\e5\00S\07\01\00\01\00\05\00\0f\00\13\00\05\005\00\c9\00\9d\00u\03!\04\01\00\03\00\07\00\t\00\01\00#\003\00q\00\f9\00\a9\01\f1\03\01\00\03\00\05\00\07\00\15\005\00%\00\9b\00w\00Y\01w\02\01\00\03\00\05\00\07\00\0f\00\1f\00m\00E\00\f7\01S\02W\07\01\00\03\00\03\00\01\00\19\00#\00A\00\83\00\93\01\c1\02\f7\01\01\00\03\00\07\00\07\00\13\00!\00\0b\00\99\00-\00y\02\f3\01\01\00\03\00\03\00\05\00\0b\00\03\00\1d\00]\00\e7\01!\00\bf\02\01\00\01\00\03\00\0f\00\15\005\00k\00\b3\00\83\01\9f\03\dd\06\01\00\01\00\03\00\07\00\15\00-\003\00\93\00\af\00=\01i\01\01\00\01\00\01\00\07\00\07\00\r\00\0f\00\f3\00\r\01\1b\03\ad\07\01\00\01\00\03\00\05\00\13\00!\009\00s\00\bb\01\19\02s\02\01\00\03\00\03\00\t\00\03\00\'\00\19\00=\00\b9\00\cd\02\19\04\01\00\03\00\07\00\03\00\07\00%\00k\00\99\00\07\00\r\01-\06\01\00\01\00\07\00\03\00\07\00)\00[\00)\00\91\00\e9\01\dd\04\01\00\01\00\05\00\t\00\07\00\07\00i\00Q\00\93\01\97\01\1b\01\01\00\01\00\07\00\t\00\1b\007\00\1d\00M\00\c1\00\c3\03\b5\03\01\00\01\00\05\00\03\00\19\003\00k\00?\00\93\01\95\03/\03\01\00\01\00\07\00\03\00\07\00=\00\13\003\00\c9\01W\02\17\02\01\00\03\00\07\00\01\00\17\003\00i\00\99\00\ef\00\d7\007\07\01\00\01\00\03\00\05\00\1b\00\17\00O\001\00\ef\01-\00\8f\07\01\00\01\00\01\00\0b\00\0b\00/\007\00\85\00\ef\01\e7\03\b5\05\01\00\01\00\03\00\0f\00\1b\003\00]\00\11\00c\01\fb\02\8b\06\01\00\03\00\01\00\03\00\01\00\03\00O\00w\00\f3\01\11\00\e3\03\01\00\01\00\01\00\01\00\0f\00+\00-\00\11\00\a7\00\cd\03\1f\03\01\00\01\00\01\00\03\00\1b\001\00Y\00\1d\00\e3\01\91\03\e7\07\01\00\01\00\03\00\03\00\05\00\0b\00K\00\07\00)\00S\03c\02\01\00\03\00\01\00\03\00\07\009\00\'\00{\00\01\01\1b\01\fb\01\01\00\03\00\03\00\0b\00\1b\00\17\00q\00\e5\00\bb\00+\01\85\00\01\00\01\00\03\00\r\00\t\00?\00e\00M\00\c3\01\a9\00Q\01\01\00\03\00\07\00\03\00\03\00;\00-\00\c3\00\e5\00\9f\01\99\01\01\00\03\00\05\00\03\00\0b\00\13\00G\00]\00+\00Y\03q\01\01\00\03\00\07\00\t\00\13\00!\00s\00\13\00\f1\00\bf\02\f7\00\01\00\03\00\05\00\0b\00\05\00#\00\15\00\9b\00\cf\01\ed\031\04\01\00\03\00\07\00\03\00\19\00\0f\00m\00S\00]\00E\00\a5\04\01\00\03\00\05\00\07\00\05\00\15\00]\00\85\00\87\00\a7\00\87\03\01\00\01\00\07\00\07\00\03\00;\00y\00\a1\00\1d\01/\03\e9\06y\0e\01\00\03\00\01\00\01\00\03\00/\00g\00\ab\00}\01a\02\b9\00u\01\01\00\03\00\03\00\0f\00\17\00!\00k\00\83\00\b9\01\bd\01\b1\02\0b\08\01\00\03\00\03\00\0b\00\07\005\00e\00\a7\00\b3\01#\03\e7\04\c5\0e\01\00\01\00\05\00\0b\00\0f\00;\00)\00\13\00\87\00C\03\ef\04\f9\01\01\00\01\00\07\00\0b\00\15\001\00\17\00\db\00\7f\00\c1\03)\04\81\01\01\00\03\00\05\00\0f\00\07\00/\00u\00\d9\00-\00\db\02g\06\dd\02\01\00\01\00\07\00\0b\00\1b\009\00[\00W\00Q\00#\00\f5\04\ef\03\01\00\01\00\03\00\0b\00\0f\00%\005\00\db\00\c1\00\a9\03k\07\95\0e\01\00\03\00\05\00\03\00\r\00\0b\00\1b\00\13\00\c7\00\89\01\c5\03\93\08\01\00\03\00\01\00\03\00\05\00\01\00%\00\ad\00\9d\01\ff\03)\02\99\01\01\00\03\00\01\00\07\00\0f\00\1d\00{\00_\00\ff\00u\01\07\07\01\0f\01\00\03\00\05\00\r\00\15\009\003\00\11\00\ff\01\c3\00\85\04\'\07\01\00\01\00\01\00\0f\00\1d\00\13\00\07\00I\00\'\01\07\02K\02\c3\r\01\00\01\00\05\00\r\00\r\00#\00s\00\bf\00{\00\17\02\cd\02}\06\01\00\03\00\03\00\05\00\17\00\15\00/\00\fb\00{\01\99\03_\04)\01\01\00\03\00\03\00\t\00\1d\005\00y\00\c9\00\87\00\c1\00\0b\02\7f\0b\01\00\01\00\01\00\07\00\1d\00-\00}\00\t\00c\00c\03\a9\01Y\02\01\00\03\00\01\00\t\00\r\00\0f\00C\00\b5\00m\00%\01\19\05\07\0c\01\00\03\00\03\00\t\00\05\00#\00\0f\00\d1\001\01W\00\ff\02\eb\n\01\00\03\00\03\00\0b\00\1b\009\00q\00{\00\b3\00\83\02\95\00\0b\02\01\00\01\00\03\00\0f\00\0b\00\11\00C\00\df\00?\00\91\02O\01\ed\0c\01\00\01\00\01\00\t\00\19\00\1d\00m\00\9f\00\'\00\01\02;\02\e1\06\01\00\01\00\03\00\01\00\05\00?\00K\00\13\00\c7\01Y\02{\00\b3\02\01\00\01\00\01\00\03\00\15\00\05\00-\00\a9\00y\01\01\02\9f\07\05\n\01\00\01\00\03\00\0b\00\03\00!\00w\00E\00\fd\00\8b\03%\03\a9\05\01\00\01\00\05\00\r\00\1f\00\0f\00\11\00\07\00\f3\01=\00\af\02K\07\01\00\03\00\07\00\0b\00\11\00!\00I\00M\00+\01\f3\00\81\02)\t\01\00\01\00\07\00\0b\00\t\00#\00\1f\00\eb\00g\01\87\02{\01\89\04\01\00\03\00\03\00\0f\00\1f\00\19\00\05\00C\00!\00-\00\b5\01\e3\0f\01\00\01\00\03\00\0b\00\07\00\11\00%\00W\00M\01\fd\00\ed\05i\0b\01\00\01\00\07\00\0f\00\07\00\0f\00k\00\bd\00\99\00\01\03\f1\05c\r\01\00\03\00\05\00\r\00\05\00=\00q\00%\00%\01\89\01q\00+\00\01\00\01\00\01\00\0f\00\1d\00+\00k\00\1f\00\a7\00\93\00-\01\fd\03\01\00\01\00\01\00\r\00\03\00\01\00#\00]\00\c3\00\b5\00\eb\07\d3\05\01\00\03\00\03\00\03\00\r\00!\00M\00\c7\00\99\00\dd\00\a3\06W\0e\01\00\03\00\05\00\r\00\07\001\00{\00\9b\00\ef\01\a9\023\03)\03\01\00\03\00\05\00\0f\00\1b\00=\00u\00\bd\00\b7\00w\03i\02\d5\0f\01\00\01\00\01\00\07\00\1f\00;\00}\00\eb\00\85\01q\01\bf\01\0f\04\01\00\03\00\05\00\01\00\05\00\'\00s\00Y\00\f9\00y\01\af\01\a3\0e\01\00\01\00\01\00\05\00\07\00/\00;\00\9d\00M\00\bd\01\bb\02o\r\01\00\01\00\03\00\05\00\0b\00\15\00\13\00K\00\0b\00W\02\'\06\df\02\01\00\03\00\05\00\03\00\13\00\r\00)\00E\00\c7\00\8f\00\e1\06\8f\0c\01\00\03\00\05\00\07\00\13\00+\00\19\00)\00)\00\0b\00o\06\df\n\01\00\03\00\01\00\t\00\13\00-\00o\00a\00\95\01\8f\01\c9\01\93\0c\01\00\01\00\03\00\01\00\17\00\0f\00A\00y\00;\00\d9\03=\03\d3\08\01\00\01\00\03\00\07\00\11\00\r\00k\00\e5\00K\00\'\02\13\05;\t\01\00\01\00\05\00\05\00\15\009\00\17\00\c7\00\fd\01\8b\00\d7\07#\0f\01\00\03\00\01\00\0b\00\13\005\00\0f\00\e5\00\d7\00\e5\02\b7\027\03\01\00\03\00\07\00\01\00\1d\00\03\00\11\00\a3\00\a1\01/\02%\02?\01\01\00\03\00\01\00\r\00\11\00\t\00/\00\85\00m\01\07\00\91\07/\04\01\00\03\00\05\00\07\00\13\00%\007\00\a3\00-\01\f9\00\b1\02\17\t\01\00\03\00\05\00\r\00\0b\00\17\00=\00\cd\00\01\01y\01g\02\b1\05\01\00\03\00\05\00\01\00\17\00%\00\r\00K\00K\01\ef\01C\02\'\r\01\00\01\00\01\00\t\00\01\00\17\001\00\81\00\db\01\1f\02s\03\e3\t\01\00\03\00\01\00\05\00\17\00;\003\00#\00W\01\b7\02\db\00q\01\01\00\03\00\03\00\01\00\1b\00\11\00?\00a\00G\00\fb\01\89\07e\02\01\00\01\00\05\00\01\00\15\00\1f\00\0b\00m\00\f7\00\99\01\19\07}\08\01\00\01\00\03\00\0f\00\17\00\t\00\07\00\d1\00-\01\17\00\93\00\9b\06\01\00\01\00\07\00\05\00\05\00\13\00%\00\e5\00\f9\00\15\01[\04\05\t\01\00\01\00\01\00\05\00\05\00?\00\05\00\f9\00\1d\01\af\01W\01\a3\t\01\00\01\00\01\00\0b\00\07\00-\00#\00K\00\f9\01\19\02\1d\00g\0b\01\00\03\00\05\00\0f\00\0b\00\'\00\0f\00?\00\07\01\t\00\c7\00\bd\01\01\00\03\00\03\00\03\00\1b\00?\005\00\ab\00\e3\00?\00\19\04;\03\01\00\01\00\03\00\r\00\07\00\0b\00s\00\b7\00\b3\00\a9\03\f9\06}\01\01\00\03\00\01\00\0b\00\r\00\0f\00k\00Q\005\00\'\01\f9\06\ad\0e\01\00\03\00\03\00\r\00\0b\00\05\00m\00\f3\00\03\00\f9\01C\01]\05\01\00\03\00\03\00\0b\00\15\003\00\11\00\b1\00}\01\a9\03\ef\041\0f\01\00\03\00\05\00\t\00\1b\00\19\00U\00\c1\00\8f\00=\02\a5\04\b3\0b\01\00\03\00\05\00\0b\00\r\00\t\00Q\00\15\00\9f\00\b9\03[\00\d7\06\01\00\01\00\03\00\03\00\1b\00=\00\0b\00\fd\00\87\01M\01Q\04{\02\01\00\03\00\03\00\0f\00\t\009\00_\00Q\00\a3\01\df\02\fb\00u\04\01\00\01\00\05\00\t\00\1f\00\'\00;\00\r\00?\01\'\03\d9\04\81\t\01\00\03\00\03\00\05\00\1b\00\r\00k\00\8d\00\a7\01\a9\03\eb\07\a1\0c\01\00\03\00\03\00\t\00\t\00\19\00}\00\17\00\bb\01C\03\dd\04O\03\01\00\01\00\07\00\0f\00\11\00\11\00S\00k\00\9b\01\1d\01O\03#\06\01\00\01\00\03\00\r\00\1d\00=\00%\00Q\00]\01\d7\02\ad\05\a5\07\01\00\03\00\07\00\0b\00\1f\00\r\00;\00M\00\11\01O\02\f1\04\fd\05\01\00\01\00\07\00\07\00\r\00\11\00\19\00\19\00\bb\00I\01[\01\c1\05\01\00\03\00\07\00\07\00\05\003\00%\00c\00\dd\00\99\00\f7\01\17\n\01\00\03\00\01\00\r\00\13\00\1b\00\0b\00E\00\b5\00\df\01\9f\04\9d\0c\01\00\03\00\03\00\r\00\17\00\15\00g\00\93\00C\01\8d\03\b3\03;\01\01\00\03\00\01\00\03\00\17\00\01\00\1f\00;\00]\00\01\02-\00\df\08\01\00\03\00\05\00\01\00\07\00+\00m\00;\00\e7\00)\00\eb\05Q\t\01\00\03\00\01\00\05\00\1f\009\001\00\df\00\1b\01\f5\03\0b\00\bd\02\01\00\01\00\05\00\01\00\13\005\007\00\1f\00\1f\00+\01\ef\01\b5\02\01\00\03\00\03\00\t\00\05\00!\00M\00\fd\00\ab\01\17\03\db\02\fb\03\01\00\03\00\07\00\0b\00\01\00\t\00w\00\cb\005\00m\03\ab\06\ab\r\01\00\01\00\03\00\07\00\r\00\'\007\00\9f\00\a7\01q\00u\06\7f\r\01\00\01\00\03\00\05\00\15\00/\003\00;\007\00\9b\01\a3\03\fb\00\01\00\03\00\07\00\03\00\1f\00\19\00Q\00s\00\95\01\ef\00\e5\02\c7\01\01\00\01\00\05\00\01\00\1f\00\03\00e\00S\00\df\01\eb\01\f3\06\b1\08\01\00\03\00\03\00\03\00\t\00%\00k\00\a1\00\cb\00\f7\01\ff\02k\r\01\00\03\00\07\00\t\00\01\00\1b\00=\00w\00\e9\00\'\00_\05\f9\0f\01\00\01\00\05\00\t\00\01\00\1f\00-\003\00q\01K\02\7f\01\fd\n\01\00\03\00\07\00\05\00\1f\00\07\001\00w\00\e7\01O\02[\065\00\01\00\01\00\07\00\01\00\t\00/\00\01\00\df\00q\01\c7\02C\06}\07\01\00\03\00\05\00\03\00\15\00%\00o\00\11\00\e3\01\e3\02\a9\04\d7\n\01\00\03\00\03\00\07\00\11\00\0b\003\00u\00\c7\01\bf\00\d5\05\ed\0e\01\00\01\00\05\00\t\00\17\00\'\00c\00\b5\00W\01\e5\01c\00\8b\07\01\00\03\00\01\00\07\00\1d\001\00\1f\00G\00\e9\01\0f\02\e3\06]\0b\01\00\01\00\05\00\0b\00\05\00\05\00I\00\bd\00A\019\00\a7\04e\0e\01\00\01\00\05\00\0f\00\r\00-\00}\00\cf\00s\01\9f\01;\01\d7\03\01\00\03\00\03\00\05\00\19\00;\00!\00\1f\00\ef\00\97\03C\07\95\n\01\00\03\00\05\00\r\00\1b\00=\00\17\00s\00=\00\9d\01\fb\04\e7\r\01\00\03\00\07\00\0f\00\05\00;\00e\00Q\00/\00\c7\03)\03u\0c\01\00\01\00\05\00\0b\00\1f\00\0f\00\'\00\19\00\ad\00\f9\01)\03u\n\01\00\01\00\05\00\t\00\13\00\r\00_\00Y\00\ff\01\7f\00s\05w\0b\01\00\01\00\05\00\05\00\1f\00-\00\t\009\00[\00/\01\0f\05\8f\0c\01\00\03\00\03\00\03\00\13\00\0f\00q\00\bb\00\d9\00\e9\01\05\05\0b\07\01\00\01\00\03\00\01\00\r\00\1d\009\00\8b\00\ff\00\c5\00\19\02\87\08\01\00\03\00\01\00\0f\00\0b\00\07\005\00\ff\00\d3\01\t\00\f5\02_\0c\01\00\03\00\03\00\0f\00\15\00\r\00\t\00\bd\00g\01C\011\00M\01\01\00\03\00\07\00\0b\00\07\00%\00\15\00w\00\91\01\9d\00{\06-\04\01\00\01\00\05\00\07\00\11\00!\00s\00\e5\00\95\00\97\00\eb\07\17\01\01\00\01\00\05\00\0f\00\05\001\00M\00\9b\00\7f\01\81\01\c1\07\b1\03\01\00\03\00\07\00\03\00\07\007\00U\00)\00e\01\0f\02\b3\06S\06\01\00\01\00\03\00\01\00\15\00-\00s\00\15\00\c7\00\c7\03-\06\df\0e\01\00\01\00\03\00\07\00\15\00\'\00u\00\bf\00\a9\00I\00\9d\01Y\r\01\00\01\00\01\00\r\00\01\00\1f\009\00\c3\00\e7\00A\01o\01\03\04\01\00\03\00\07\00\03\00\0b\00\1d\00/\00\a1\00G\00\a3\01\b9\06\b5\01\01\00\01\00\07\00\03\00\0b\00\t\00+\00A\00\9d\00\01\00;\077\03\01\00\01\00\01\00\05\00\15\00\0f\00\1f\00e\00%\01+\01\7f\00)\05\01\00\01\00\07\00\01\00\1b\00\01\00\0b\00\e5\00\f1\00\c1\02+\00\c3\05\01\00\03\00\07\00\01\00\05\00\0f\00I\00\b7\00\c1\007\00A\051\00\01\00\03\00\03\00\03\00\13\00\03\007\00\15\00\a9\00\97\02\8b\06\89\00\01\00\01\00\01\00\r\00\07\00\15\00E\00C\00u\01\c5\03\f9\04\e7\08\01\00\01\00\07\00\07\00\15\00\17\00\11\00+\00U\01M\03\d1\01\1b\r\01\00\03\00\05\00\05\00\19\00\05\00Q\00e\00\e9\00\8b\00g\01\t\08\01\00\01\00\03\00\0b\00\0f\00\'\007\00\03\00\d7\01\fd\02w\04e\0f\01\00\01\00\07\00\0f\00\t\009\00Q\00O\00\d7\00\b1\01M\01\0f\0f\01\00\01\00\05\00\05\00\13\00-\00S\00\1f\00\d1\00k\01\bd\02\17\05\01\00\03\00\07\00\05\00\01\00\r\007\00\a3\00\b3\01\'\03\1f\01\ef\07\01\00\03\00\03\00\07\00\03\00\03\00\11\00\c5\00\'\00\a9\00\e9\01\e9\06\01\00\01\00\03\00\05\00\1d\00+\00W\00\a1\00!\01S\01\d1\041\t\01\00\03\00\03\00\t\00\15\00\t\00M\00\01\00\c5\01\a7\00k\06\b3\08\01\00\01\00\07\00\01\00\0f\00\07\00C\00!\00\c1\00\f1\00\07\04#\t\01\00\03\00\01\00\0b\00\01\00?\00-\00A\00\t\01\95\02Q\03\bb\07\01\00\03\00\01\00\r\00\13\001\00\03\00\0b\00\9f\00\d5\00\93\02\17\0b\01\00\03\00\05\00\0b\00\t\00\1d\00\1b\00\e3\00\fd\00\c1\01{\05c\r\01\00\01\00\03\00\01\00\07\00\03\00M\00\8f\00\15\01\0b\03\db\05\db\01\01\00\01\00\01\00\05\00\0b\00\17\00W\00\83\00\89\01Q\03\c1\00u\0c\01\00\03\00\05\00\0b\00\03\00\03\00Y\00\t\00\c1\01\f3\00\dd\05\cb\06\01\00\03\00\01\00\t\00\1d\00\1d\00q\00\0f\00A\00c\02\87\00g\0e\01\00\01\00\01\00\t\00\15\00\13\00\'\00\97\00\8b\01\f5\01;\05\bf\03\a5\n\01\00\03\00\07\00\01\00\07\00#\00-\00!\00w\00\e1\00_\06\9f\06\b3\05\01\00\01\00\01\00\03\00\19\007\00%\00O\00\a7\00\8b\033\04\0f\01\db\0f\01\00\03\00\05\00\r\00\05\00\r\005\00\a5\00\b5\01C\00\a9\06i\0c\9f\1f\01\00\03\00\03\00\r\00\1b\009\00_\007\00\bb\01\f5\00\99\07\bd\06\89\07\01\00\03\00\01\00\t\00\05\00!\00m\00#\00c\00;\03U\01a\tk\t\01\00\01\00\05\00\t\00\07\00!\00+\00\'\00W\00\1f\03{\02\99\r\f7\1b\01\00\03\00\01\00\01\00\1f\00\0f\00-\00\1b\00Q\01q\00\db\03\11\08\e1\t\01\00\01\00\05\00\t\00\05\00\0f\00i\00{\00\df\01!\01I\06\81\08\15\12\01\00\03\00\05\00\0b\00\1f\00/\00a\00W\00\81\01\c3\00\11\04\8b\02\c7\0c\01\00\01\00\03\00\07\00\11\00\03\00e\007\00W\00u\02\97\06k\05\b9\n\01\00\03\00\05\00\05\00\07\00\15\00\t\00\ed\009\01%\02S\04u\00\'\18\01\00\01\00\03\00\t\00\t\00\05\007\00\c9\00\e7\01S\03O\04\b1\0b\d7\0f\01\00\01\00\05\00\t\00\1f\00\13\00;\00\07\00k\01}\01\8f\04\t\08S\16\01\00\03\00\03\00\0f\00\17\00?\00\13\00\e3\00\83\01;\03\e7\01\19\04/\1d\01\00\03\00\01\00\05\00\17\00\19\00=\00\f5\00k\01_\03\c3\03\ff\rK\19\01\00\01\00\05\00\01\00\05\00\1b\00Q\00U\00\13\011\00\eb\00\db\0c\ab\04\01\00\01\00\05\00\07\00\17\005\00U\00k\00\ff\01\0b\03\f1\04E\04\b3\1e\01\00\03\00\03\00\01\00\t\00\15\00K\00\db\00;\00\e5\01\cb\06\05\0fU\04\01\00\03\00\05\00\01\00\r\00)\00\13\00\8f\00%\01\87\01\e7\07\ff\06/\11\01\00\03\00\07\00\0f\00\15\00\r\00\15\00\c3\00\d7\00\9d\01\0b\023\08%\t\01\00\01\00\01\00\03\00\1d\003\00/\009\00\87\00?\02\af\03\89\06\1d\02\01\00\03\00\05\00\01\00\t\00\r\00q\00\af\00\bf\01s\00\91\02\ed\0fU\17\01\00\01\00\01\00\0b\00\11\00)\00%\00_\00)\01C\02\8f\03\9f\08S\t\01\00\03\00\05\00\03\00\17\00\0b\00\17\00\e7\00]\00\9b\02\c7\02\1b\06\19\1f\01\00\01\00\07\00\03\00\11\00;\00\r\00\b5\00\8d\00\df\03\19\07\c9\01\af\06\01\00\03\00\03\00\05\00\1f\00;\00Q\00\cd\00\f5\00\19\02\19\04\e5\03\17\07\01\00\03\00\07\00\05\00\11\00\r\00\t\00O\00\11\00\b9\00\05\00\a3\08w\18\01\00\03\00\07\00\r\00\07\005\00=\00\91\00\r\00\1d\01\b3\04\b3\03u\0b\01\00\01\00\07\00\03\00\1f\00\13\00E\00\d9\00/\00\b9\01e\07\a1\02c\11\01\00\01\00\01\00\01\00\19\00\t\00\17\00\e1\00\81\01u\02[\02\a3\0e\91\10\01\00\03\00\01\00\t\00\05\00%\00\1f\00\ed\00\af\01O\00\f1\05\cb\01\db\t\01\00\03\00\07\00\03\00\t\00+\00i\00\b3\00\05\00\e1\00\1f\03\f1\06\1d\13\01\00\01\00\03\00\01\00\1d\00-\00\1d\00\9f\00\0b\01\f7\00\c7\01O\03E\0f\01\00\01\00\03\00\07\00\19\00\15\00y\009\00\d3\01\13\01\cf\02\f1\05\97\1c\01\00\03\00\01\00\03\00\0b\00#\00w\00{\00Q\00\d3\03\a3\04\'\0e\c5\10\01\00\01\00\01\00\07\00\0f\00\19\00y\00\eb\00\19\00\e7\01i\03\fb\06\b9\07\01\00\01\00\01\00\0b\00\03\00\07\00\11\00\87\00Y\01a\01\7f\01\ab\0f\r\n\01\00\03\00\07\00\0f\00\1b\00\r\00a\00{\00A\00\a3\02\b7\03\05\05\9f\19\01\00\03\00\07\00\03\00\07\00\01\00G\00\13\00E\01\fd\02Q\01\ad\04\89\n\01\00\03\00\05\00\01\00\1f\00%\00\0b\00G\00\a9\00\1b\01S\00\d9\0e\ab\1b\01\00\01\00\03\00\0f\00\11\00\1d\00S\00A\00\13\01\a7\02\d5\06\a7\0fE\1e\01\00\01\00\03\00\01\00\15\00\0b\00)\00_\00\ed\00i\01\1b\07\df\nO\t\01\00\03\00\07\00\0b\00\1d\009\00o\00\bb\00\d1\01\91\00]\02\c3\07\ad\1f\01\00\01\00\03\00\03\00\13\00\0f\007\00S\00e\01\e9\03\83\02\ed\05\81\19\01\00\03\00\01\00\05\00\1d\00#\00I\00\17\00M\00k\02\f3\05\bd\06\d1\1f\01\00\01\00\05\00\05\00\13\00\17\00\07\00\c5\00\c1\01Q\01\cd\02i\0b;\01\01\00\03\00\05\00\t\00\07\00?\00u\00a\00a\00-\03\85\07\01\0b+\06\01\00\01\00\01\00\0b\00\1f\00\07\00\19\00\eb\00\e7\00\85\00\ef\03[\05\11\06\01\00\01\00\07\00\05\00\13\00\07\00/\00\ab\00\0b\01\f3\003\057\02\91\17\01\00\01\00\05\00\01\00\07\001\007\00Y\00m\00\df\02\af\05y\0c_\18\01\00\01\00\01\00\07\00\01\00=\00\t\00g\00\03\00\a1\03\c9\05o\0b\8d\0b\01\00\01\00\05\00\r\00\11\00\15\00K\001\00\ff\00\fb\03\89\04U\08\99\04\01\00\03\00\01\00\03\00\r\00\0f\00)\00\f7\00\d3\00\99\01\8b\04\0b\02K\n\01\00\03\00\07\00\07\00\15\00;\00[\00\95\00\df\01\87\01\a9\02\07\ti\18\01\00\01\00\05\00\0b\00\1b\005\00\15\00\d3\00\c5\00/\03\cf\02E\06\ff\00\01\00\01\00\03\00\03\00\t\00!\00;\00\03\00C\01\01\00e\00o\04\a9\1f\01\00\03\00\03\00\01\00\1d\00\05\00\11\00\8d\003\00\df\03I\03G\01\13\0f\01\00\03\00\01\00\05\00\0b\00\13\00\17\00Y\00\af\00\ad\00\a5\00A\0bY\07\01\00\01\00\01\00\0f\00\r\003\00W\00\'\00\ef\01c\02=\05\fb\05u\1b\01\00\01\00\03\00\0b\00\r\007\00K\00\b9\009\00=\00}\07\03\08M\17\01\00\01\00\05\00\05\00\07\005\00\0b\00\d9\00\d5\00\a5\03\99\03\17\0e7\14\01\00\03\00\03\00\05\00\11\005\00g\00\fb\00q\01\r\03\'\05\85\0eW\11\01\00\03\00\05\00\r\00\01\00\'\00\19\00\eb\00A\01\05\03\fb\00\'\0c\fd\18\01\00\01\00\07\00\03\00\1f\00\05\00\19\00\1d\00E\01\81\01!\05\7f\00a\12\01\00\01\00\05\00\0f\00\0f\00\1b\00\0f\00U\00\ef\00\f3\00a\06\91\r=\n\01\00\03\00\03\00\03\00\t\00\13\00q\00\r\00\89\00\a5\00\19\00\8d\0b}\1d\01\00\03\00\01\00\03\00\0b\00\15\00\03\00a\00\a1\01\b7\00\b5\04\9d\05\f7\00\01\00\01\00\07\00\03\00\11\00\15\00}\007\00C\00\83\01\81\01\13\tw\03\01\00\03\00\05\00\05\00\1d\00\0b\00g\00\df\00\e9\00\81\02\85\00\9f\01\11\05\01\00\03\00\03\00\0b\00\01\00\t\00\05\00\bd\00\eb\00\ef\03S\05\91\0fy\03\01\00\03\00\07\00\t\00\17\00\13\00\13\00\b7\00\r\01\93\01k\06\e7\rE\14\01\00\03\00\07\00\03\00\1d\00-\00\11\00E\00\db\01\95\00\0b\05\81\n\c9\1d\01\00\03\00\07\00\03\00\1b\00%\00)\00I\00\fd\00\e9\03\af\01W\04\cf\1e\01\00\01\00\07\00\05\00\03\00\07\00W\00\8f\00!\01\ef\01w\02\c3\0b\07\18\01\00\01\00\01\00\r\00\05\00-\00\11\00\a7\00\17\00\cf\03!\03\b7\07\b1\1a\01\00\03\00\01\00\0b\00\07\00\15\00\'\00\17\00\d5\00\ad\01\15\05\0b\08\c5\00\01\00\03\00\03\00\0f\00\03\009\00y\00\85\00\1d\00\c7\02\a9\07\c1\t\bd\00\01\00\01\00\03\00\05\00\0b\007\00s\00\89\00\e9\00\a1\02\d9\03!\0b\17\17\01\00\01\00\07\00\0f\00\1d\00-\00\01\00\f1\00I\01C\01\9d\03\05\0b\03\r\01\00\01\00\05\00\07\00\r\00\1f\00Q\00i\00\c7\00\91\00\c3\00U\05\ff\13\01\00\03\00\07\00\0b\00\03\007\00\0b\00\1f\00u\00W\01\f1\04-\07\93\t\01\00\01\00\03\00\07\00\1d\009\00=\00\b3\00\ad\01O\02\b1\00\99\07o\08\01\00\03\00\05\00\0b\00\17\001\00e\00\89\00S\01C\01\0b\04\d5\069\1e\01\00\03\00\01\00\r\00\15\00#\007\00O\00\13\00\r\01\1f\04[\n\ab\1b\01\00\03\00\03\00\0b\00\t\00\t\00_\00\a7\00\b5\01i\01\a1\04\f3\0f[\02\01\00\01\00\01\00\07\00\1f\00=\00M\00A\00\e9\01\91\02\b3\02w\t3\10\01\00\03\00\05\00\07\00\15\00%\00W\00\bf\007\01\c5\01\dd\07=\03;\n\01\00\01\00\05\00\t\00\11\00/\00#\00e\00\05\00-\03\85\04\ff\04\c5\1c\01\00\01\00\05\00\03\00\0b\00#\00q\00\c7\00q\01\d1\02\85\03\bf\05y\1e\01\00\03\00\01\00\05\00\t\00=\00S\00\9d\00\87\01\e3\02\a5\07K\08\f5\10\01\00\03\00\05\00\0b\00\13\00\13\00o\00\e1\00\7f\01\db\00\e5\03\cd\02Q\1d\01\00\03\00\01\00\0b\00\r\00?\00#\00\7f\00\d1\00?\03\f5\01\c9\0b\b3\r\01\00\03\00\07\00\t\00\1d\00\07\00\0b\00\a3\00Q\003\02\a5\05\8f\0c\e9\18\01\00\03\00\07\00\0b\00\19\00\03\00\'\00\c3\00\eb\01-\00G\03\b5\0f#\13\01\00\03\00\07\00\0f\00\r\00\05\00C\00\8f\00u\00\f9\01\01\05_\0e?\16\01\00\03\00\07\00\t\00\t\00\13\00\15\00\dd\00\93\00\fb\02\ab\02\a3\08M\02\01\00\01\00\03\00\05\00\15\00/\005\00m\00+\01\'\03\81\04\b9\04\19\1f\01\00\03\00\07\00\0b\00\t\00\1f\00-\00+\00\f9\01\87\02g\04y\n5\13\01\00\01\00\05\00\0f\00\1f\00)\00?\00q\00\8f\01\d7\02\a1\02\1b\n\8b\14\01\00\01\00\01\00\r\00\11\005\00#\00c\009\00\f3\00\a7\05\7f\07\0f\0b\01\00\03\00\07\00\0b\00\17\003\00\r\00\t\001\00\c1\01\e5\03\01\0c7\11\01\00\03\00\05\00\07\00\17\00!\00Y\00)\00\9f\015\00\b9\02Y\04\d1\05\01\00\01\00\03\00\07\00\01\00\r\00\1d\00\r\00\ff\00\ed\02M\00\87\r\e1\06\01\00\03\00\03\00\07\00\r\00\0f\00]\00\bf\005\01e\03\e3\02\11\04\ed\0b\01\00\03\00\05\00\r\00\05\00\13\00m\00\d3\00[\01G\03}\03\83\0b7\1e\01\00\03\00\01\00\r\00\1b\00\03\00w\00\9d\00\e5\01c\00\a7\067\0f=\02\01\00\03\00\07\00\0b\00\01\00\17\00{\00i\00\1f\00g\01\13\01\ef\06e\0e\01\00\03\00\03\00\05\00\1b\00\0b\00}\00\03\00\9d\01\c7\00\fb\07O\0b\81\0b\01\00\03\00\03\00\03\00\0f\001\00y\00\9f\00\e9\00\1f\02\c1\00\a7\0fA\01\01\00\01\00\03\00\05\00\t\00/\00W\00\01\003\00\f3\03;\06\bf\08C\19\01\00\03\00\07\00\t\00\01\00!\00W\00\89\00\d5\01\ed\02\85\05%\03\a1\1a\01\00\03\00\01\00\r\00\13\00-\00_\00\e3\00\1d\00\a5\02\fb\04C\rc\11\01\00\01\00\07\00\05\00\07\00?\00!\00G\00\bb\011\02\1f\05\fd\0b\1f\1b\01\00\01\00\01\00\r\00\t\00%\00\17\00E\00\r\00\9f\01\c7\05\ad\04]\03\01\00\03\00\03\00\r\00\1b\00\15\00\r\00\e9\00i\00\t\03Y\01\8b\tQ\04\01\00\01\00\07\00\0b\00\17\00\r\00\15\00\93\00\dd\00%\02I\00\a9\n\87\18\01\00\01\00\07\00\07\00\19\00\1b\00\0f\00-\00\e3\00\'\00K\00\a7\04\eb\r\01\00\01\00\05\00\07\00\r\001\00c\00\a7\00\e3\00\r\00a\01\17\04\8b\1f\01\00\01\00\03\00\r\00\1f\00\t\00\1b\00\07\00\cd\01\e1\02\17\06\ab\0c5\00\01\00\03\00\01\00\01\00\15\00)\00a\00\a5\00\ab\005\03K\02Y\08\f5\08\01\00\03\00\01\00\0b\00\11\00)\00\1d\00\bb\00W\00W\02\bb\05s\05+\17\01\00\01\00\01\00\t\00\t\001\00Y\00\cd\00\99\01\c5\01=\00\83\07\e9\04\01\00\03\00\07\00\03\00\t\00+\00Y\00\8f\00\af\01S\00\db\04\03\07\0f\0e\01\00\03\00\05\00\r\00\03\00\19\00;\00\db\00+\00\df\00\1d\03[\n\7f\17\01\00\01\00\05\00\0f\00\07\007\00A\00\cf\00\d5\007\01\07\05\f5\04C\19\01\00\03\00\07\00\0b\00\15\009\00\1f\00\b7\00_\01Y\03\8f\03\93\06\f3\1b\01\00\03\00\05\00\0b\00\1b\00\01\00\15\00/\00\83\01\7f\019\06s\00\dd\0e\01\00\03\00\01\00\01\00\r\00\17\00W\00\ad\00\b5\00k\02u\06[\0f\b9\17\01\00\01\00\07\00\05\00\11\00+\00%\00=\003\01m\02\f9\067\00s\00\01\00\03\00\07\00\0f\00\19\00=\00{\00\0f\00\ed\00\9f\02\c1\05\d3\01s\07\01\00\01\00\07\00\05\00\1d\009\00K\00\ed\00U\00\bb\02\9f\00\f9\r\a3\12\01\00\01\00\01\00\0b\00\19\00\13\003\00\01\00\93\00\1f\00\7f\039\nq\02\01\00\03\00\07\00\05\00\1d\00\0f\00s\00\af\00\8b\01\87\01u\04#\07\9d\04\01\00\03\00\05\00\07\00\11\00\07\00\0b\00\c1\00Y\00\f3\001\02\cb\0e\c7\11\01\00\03\00\01\00\0b\00\07\009\00\07\00}\00\93\01\b3\03\ed\04\99\01\93\1f\01\00\01\00\05\00\r\00\15\00?\00s\00\e9\00\e7\00\99\03\d3\063\0e\d7\t\01\00\01\00\05\00\0b\00\03\00\1b\00\0f\00[\00\f9\01O\02\ab\05)\0f\b5\0b\01\00\01\00\03\00\0b\00\15\00\t\00m\00\99\00=\01\15\02Q\02\7f\0f\ed\n\01\00\03\00\03\00\r\00\t\009\00y\00\f5\00\db\00c\03\c7\03\17\03\b7\1b\01\00\01\00\01\00\t\00\1d\00\15\00c\00#\00w\01\bf\03I\01\f7\0f\03\1c\01\00\01\00\01\00\t\00\0b\00\11\00\11\00a\00Y\00\87\00w\02\e1\0e\b5\0c\01\00\01\00\01\00\0f\00\15\003\00[\00\f9\00\cb\01!\03\f5\021\t\f1\07\01\00\03\00\05\00\t\00\17\00\1d\00M\005\00\8f\01\ff\02\19\07{\08]\06\01\00\01\00\03\00\05\00\1d\00\05\00+\00y\00\11\00[\03\c7\05\c9\0e\f1\19\01\00\01\00\03\00\07\00\07\00=\00-\00m\00s\01A\03[\00\99\00\c9\11\01\00\01\00\03\00\0b\00\07\007\00Q\00{\00\85\01\8b\00\8d\07{\03\fd\06\01\00\03\00\07\00\0f\00\19\00\11\00]\00\a5\00\f7\01\cd\02\11\06\c3\05[\06\01\00\01\00\01\00\r\00\r\00?\00\r\00\e1\00e\01;\02!\00\e9\0f\d3\0e\01\00\01\00\03\00\0b\00\01\00\1f\00k\00\91\00\97\01\c1\03\f5\01\ab\0bg\00\01\00\01\00\07\00\01\00\17\00?\001\00\c1\00\ad\00\19\01\19\00\a1\t\'\17\01\00\01\00\07\00\01\00\01\00\01\00U\00M\00\11\01\b5\02]\01\d7\04\97\11\01\00\01\00\05\00\0b\00\07\00=\00\t\00y\00\19\00e\01\a3\05\95\01\93\1e\01\00\01\00\07\00\r\00\0b\005\00\0b\00\cf\00\91\00\d3\00\a7\069\04E\08\01\00\01\00\03\00\0b\00\1b\00\17\00\13\00\t\00)\01\17\01\c9\05\e1\08\f3\18\01\00\03\00\03\00\05\00\0f\00-\00\03\00)\001\01W\00\17\07\85\r\e5\14\01\00\03\00\03\00\r\00\t\00%\00O\00}\00\03\011\02?\04\fb\0f\19\03\01\00\03\00\05\00\07\00\1f\007\00\07\00\91\00[\01\a1\03M\02\df\n\11\17\01\00\01\00\07\00\0f\00\03\00\19\00\01\00\b5\00\r\00\f3\00\8d\02\bb\08\15\1d\01\00\03\00\05\00\05\00\11\005\00A\00\07\00!\00G\02S\05!\05\0f\t\01\00\03\00\03\00\07\00\1b\00/\00a\00\c9\00\bb\00A\01?\00\eb\05\ed\1e\01\00\01\00\03\00\05\00\17\00\t\00\03\00\a5\00=\00\13\00\fd\06\c7\0e\dd\0b\01\00\03\00\01\00\r\00\0f\00+\00}\00\bf\00C\00\11\01\0f\06\b3\08\85\14\01\00\01\00\01\00\r\00\19\005\00k\00!\00+\01\f9\00\c3\05\b9\08\8b\03\01\00\03\00\05\00\01\00\17\00%\00U\00\11\00\cf\00\83\02\99\02u\0bO\14\01\00\01\00\07\00\07\00\19\009\00;\00)\00\0f\00\ef\02\ef\02\d5\06\8d\1b\01\00\03\00\03\00\01\00\r\00\19\00\7f\00]\00\19\01e\02k\03\af\08\c9\18\01\00\01\00\05\00\03\00\1d\007\00O\00\f9\00+\00=\01\15\02\e3\03\c7\07\01\00\03\00\03\00\0f\00\11\001\00O\00\1f\00\c1\00\e9\00\9d\057\n3\03\01\00\01\00\05\00\0f\00\19\00\03\00{\00\91\00y\01\t\00\c7\01\a7\04q\0f\01\00\03\00\05\00\03\00\0f\00\13\00)\00\e7\00Q\00\89\01\03\00\13\00i\t\01\00\01\00\03\00\01\00\1b\00+\00q\00\b3\00\07\00U\03\b3\03\ab\n)\01\01\00\01\00\01\00\0b\00\1d\00\'\005\00\bf\00\bb\01\b1\02\11\02\01\r\07\1d\01\00\03\00\07\00\05\00\03\00\1d\00\13\00C\00\b9\01q\00\b5\03\d1\nI\10\01\00\03\00\05\00\0b\00\0b\007\00U\00\a9\00\d7\00/\03#\03)\t\7f\0f\01\00\01\00\07\00\t\00\05\00-\00o\00\05\00\a3\01w\01/\01\bd\06\89\11\01\00\03\00\05\00\0f\00\1d\00+\00O\00\13\00\17\00\a1\01}\01\1d\02;\13\01\00\01\00\03\00\0f\00\03\00\1f\00u\00\'\00u\001\01\cb\04\c7\04\8f\00\01\00\01\00\05\00\t\00\05\00/\00W\00\ef\00\b5\00a\01\19\06\f1\0c\81\07\01\00\03\00\03\00\01\00\03\00\0f\005\00\dd\00\b9\01\db\03\cd\07\e1\t{\1f\01\00\01\00\07\00\0b\00\0f\009\00o\00\8b\00\89\00s\03Y\07\07\0b\1d\16\01\00\03\00\05\00\05\00\15\00\0b\00\05\00\r\00\1b\00\cd\03K\023\05]\05\01\00\01\00\07\00\0b\00\1d\003\00]\00\1d\00\d9\00\dd\007\00\ad\t\bb\07\01\00\03\00\03\00\r\00\03\00\0b\001\00K\00{\01s\01\a1\05\19\03\d1\1d\01\00\01\00\01\00\r\00\13\00-\00Y\00\f9\00[\00\89\02\9f\06\93\03\f3\15\01\00\03\00\01\00\07\00\07\00\1d\00\01\00M\009\01\7f\03\07\02\03\03\'\01\01\00\03\00\01\00\0f\00\05\00\03\00\01\009\00K\01m\00\e5\01%\0b\af\1a\01\00\01\00\01\00\0f\00\11\00\03\00#\00c\00\f5\00\cb\03G\03\cd\t\f3\n\01\00\03\00\03\00\03\00\t\00%\009\00\fb\00E\01=\01\11\02!\05\eb\18\01\00\01\00\01\00\0f\00\19\00;\00\01\00w\00_\00\0f\00\1b\03G\t?\19\01\00\03\00\01\00\05\00\01\001\00u\00\15\00/\00\b3\00_\03U\00\85\06\01\00\03\00\07\00\03\00\t\00%\00\13\00\dd\00\c7\01\cd\03;\02\93\051\03\01\00\01\00\01\00\0f\00\11\00\t\00C\00\d5\00\7f\00w\03\13\05a\0b\1b\1d\01\00\03\00\01\00\r\00\1b\00\1b\00)\00+\00\ab\00o\02\b3\02\87\01\15\13\01\00\03\00\01\00\r\00\11\00\11\00{\00\ef\00\8f\00\e3\00\7f\04\07\02\8f\19\01\00\03\00\07\00\05\00\07\00?\00a\00\'\00e\00+\02!\04}\01\d3\1e\01\00\03\00\05\00\01\00\03\00\1b\00U\00\81\00\a1\00k\03\99\07\d5\r\b7\02\01\00\03\00\03\00\05\00\15\00;\00\19\00\b7\00#\00\19\00\db\03\b3\05\b5\00\01\00\03\00\05\00\r\00\01\00\0f\00\7f\00\ed\00]\01Q\01\d3\05O\t\83\1e\01\00\03\00\05\00\05\00\1f\00\05\00m\003\00\99\01\dd\02s\05\87\0c\a1\17\01\00\01\00\05\00\07\00\r\00#\00q\00\19\00\07\01\85\01+\01\d9\t\f7\06\01\00\03\00\07\00\0b\00\0f\00/\00a\00I\007\00K\00q\00\87\n\ff\03\01\00\03\00\01\00\01\00\03\00\r\00E\00\d3\00!\01\e3\017\05\13\03\a5\02\01\00\01\00\03\00\03\00\11\00\07\00%\00M\00\f9\01\89\00Y\04Y\01\9f\0b\01\00\01\00\01\00\r\00\03\00\0b\00_\00\c7\00\c5\01m\00\df\01\8d\0e\ef\00\01\00\01\00\07\00\0f\00\13\005\00\03\00\91\00g\01_\03[\01\f9\0e\e3\0b\01\00\01\00\07\00\0f\00\19\00?\00\7f\00\81\00}\00\c3\00\9b\00\a3\08\d9\1f\01\00\01\00\07\00\r\00\t\001\00y\00s\00I\00w\00;\07\d7\02/\00\01\00\03\00\03\00\r\00\r\00\0b\00G\00\07\00-\00O\02\85\00g\t\bb\15\01\00\01\00\01\00\r\00\17\00\1d\00W\00Y\00\f5\01G\00\df\06_\04\af\02\01\00\01\00\07\00\07\00\r\00\07\00\r\00\b7\005\00\b7\03U\07\97\0fs\1a\01\00\03\00\07\00\0b\00\07\00\01\00\1b\00/\00=\00\15\00\97\03\c1\03C\04\01\00\03\00\05\00\05\00\01\00\1b\00\01\00\05\00?\00\9d\00\11\05\19\04\05\17\01\00\03\00\07\00\t\00\13\00!\00\11\00\85\00\a9\01\1d\03\b9\06\99\00w\00\01\00\03\00\03\00\07\00\r\00%\00\01\00\d7\00\fd\01\eb\03=\001\tW\1d\01\00\01\00\07\00\01\00\1d\00\13\00\1f\00O\00\c7\00+\02\b9\04C\06\c9\17\01\00\03\00\01\00\01\00\05\00\1f\00o\00\7f\00M\01\ad\01G\07U\0f#\15\01\00\01\00\07\00\05\00\05\00\05\00{\00\bf\00/\00\e1\03\r\01\d3\0f?\08\01\00\01\00\05\00\0f\00\01\00\t\00W\00\05\00/\00\cf\01a\03\15\07\bd\1c\01\00\03\00\01\00\03\00\17\00?\00{\00S\00\ff\01\t\03?\00\05\05\b9\11\01\00\03\00\03\00\07\00\1b\00\19\00\1f\00A\00\b9\01\11\02\17\07e\07C\01\01\00\03\00\07\00\05\00\0b\00\13\00\07\00\05\00\8d\01+\03\f3\02C\0by\10\01\00\03\00\01\00\r\00\t\00\15\00\r\00\07\00\0f\01\1b\02\e9\06\ab\0c\cd\14\01\00\01\00\07\00\01\00\1f\00\r\00/\00\83\00\b5\00\c9\01\17\06g\n\fd\19\01\00\03\00\03\00\07\00\1d\007\00\19\00\cb\00\a3\01[\00\b5\01\87\04;\16\01\00\01\00\03\00\r\00\1d\00\13\00G\00\d9\00Q\01I\01\f5\01\ab\03\9d\08\01\00\01\00\03\00\01\00\01\00\1b\00\11\00\c9\00a\00\1d\01\f5\04\cb\0f\9f\08\01\00\01\00\01\00\01\00\03\00)\00\r\00\c7\00\8d\00\81\00\eb\059\0cQ\17\01\00\03\00\03\00\t\00\03\00\11\00w\00)\00\0f\01\a5\03m\03\bd\02\95\08\01\00\01\00\01\00\07\00\0f\00/\00\03\00\c3\00s\005\03\d5\02K\03\b7\17\01\00\03\00\05\00\0f\00\11\00!\00U\00A\00)\01;\02c\04\b7\n_\16\01\00\01\00\05\00\0b\00\1b\00\0f\00%\00\eb\00\9f\01%\01\9f\05\b3\nK\10\01\00\03\00\07\00\07\00\01\007\00G\00#\003\01\0b\00\91\01Y\07\a5\03\01\00\03\00\01\00\0b\00\15\00%\00\03\00\b1\00w\00S\01/\02\97\0fm\r\01\00\03\00\03\00\t\00\11\00\11\00a\00w\00-\01\a9\00\9d\00\c3\0c\d5\08\01\00\03\00\03\00\t\00\1d\00\03\00o\00e\00c\01e\03w\011\n\d1\1c\01\00\03\00\05\00\t\00\07\00\15\00{\00c\00W\01\b5\02\87\07E\06;\13\01\00\01\00\03\00\05\00\r\00\1f\00c\00\11\00K\00\81\01\03\06\11\06\a5\1b\01\00\03\00\03\00\05\00\1f\00#\00k\00\0b\00\97\01\fb\03%\05\t\0e#\1c\01\00\03\00\03\00\r\00\11\00!\00c\00\f5\00\91\01\bd\03\9d\00\9d\07#\06\01\00\03\00\01\00\0b\00\1b\00\0f\00\0b\00m\00\ad\013\01w\07\8d\n]\03\01\00\01\00\05\00\r\00\r\00#\007\00\ff\007\01\bd\03\0b\07q\nK\14\01\00\01\00\01\00\0b\00\13\00\03\00Y\00%\00\d3\00\0f\03K\05\ef\r\df\1b\01\00\01\00\05\00\05\00\15\001\00O\00\11\00\fd\01K\01\b7\00\f7\0eW\03\01\00\03\00\07\00\05\00\1d\00\13\00U\00m\00i\00\0b\02M\039\r5\1d\01\00\01\00\01\00\07\00\19\00\11\00}\00\83\005\00\f5\02\fd\00\ad\0b{\0b\01\00\03\00\03\00\t\00\13\00\17\00i\00\'\00_\01\a5\02\d3\00\91\01\a7\1f\01\00\03\00\05\00\01\00\05\00\0b\00\11\00\03\00\95\01\d5\01!\061\0b=\0c\01\00\01\00\03\00\r\00\0f\00\05\00u\00\b3\00\8b\00\91\00\dd\01q\04\e9\t\01\00\01\00\07\00\t\00\05\00\15\00\t\00]\00\d3\00\c3\03\b7\04\0f\r/\13\01\00\01\00\01\00\t\00\r\00+\00\11\005\00Q\00\19\03#\06\db\tc\0e\01\00\03\00\03\00\r\00\19\00\15\00\05\00;\00\e9\01\db\03\95\07\ab\00y\17\01\00\03\00\03\00\07\00\01\00\'\00Y\00\ab\00\93\01\d3\01\e7\06_\r\e7\n\01\00\01\00\03\00\t\00\13\001\00[\00}\00\a3\00\f5\03Y\00!\0b\81\1a\01\00\01\00\05\00\t\00\t\00\0b\00\0f\00\f1\00+\00)\01\b7\06\05\06\1d\07\01\00\03\00\07\00\0f\00\1d\00\17\00g\00\ef\00\bf\00!\00\13\04A\0e\b3\19\01\00\03\00\03\00\t\00\15\003\00{\007\00\df\00\85\02\b7\05\b5\0f\03\17\01\00\01\00\05\00\07\00\03\00)\00\1b\00\eb\00\87\01/\01\e5\07s\0c\b7\1d\01\00\01\00\01\00\t\00\05\001\001\00\1d\00y\01\fb\00_\07\f9\03\15\05\01\00\01\00\03\00\03\00\r\00)\00\1b\00/\00\df\00\17\00\05\02\9b\0cK\1a\01\00\01\00\07\00\01\00\1f\00\19\00/\00\t\00\ff\01o\02\ff\07\ef\04\e7\05\01\00\01\00\03\00\0f\00\0f\00\17\005\00\01\00\05\01S\02U\00\f1\00\87\1b\01\00\03\00\03\00\0b\00\11\00\05\00Q\00I\00\95\00\r\03\f3\07[\0c\97\10\01\00\03\00\07\00\07\00\1d\00;\001\00O\00\8d\01\85\03Q\04\8f\08\85\18\01\00\03\00\03\00\0b\00\r\00\1b\00\19\00\ad\00k\00I\00\f1\04I\02\83\14\01\00\01\00\07\00\0f\00\1d\00\17\00I\00\e5\00\eb\00w\03\bd\05\e9\0f\1f\n\01\00\01\00\03\00\t\00\11\00\0f\00S\00\ad\00\cf\00o\03\a5\06\e5\05\0b\00\01\00\01\00\03\00\05\00\05\00%\00A\00\a1\00\'\00\a5\01\81\04\d7\07\eb\14\01\00\01\00\07\00\0b\00\17\00%\00\05\00\0b\00\t\00\f3\01\11\00\9d\00s\16\01\00\03\00\07\00\r\00\19\00\t\001\00\07\00\'\00\b1\03E\05\df\06\a1\05\01\00\01\00\05\00\03\00\15\00\0f\00q\00Q\00\t\01E\03M\01)\0e\f5\17\01\00\03\00\01\00\0b\00\r\00\1b\00I\00m\00)\01G\01+\01\b5\0c-\1b\01\00\01\00\03\00\r\00\13\00\'\00{\00I\00A\00\05\00%\04\8b\08\bf\13\01\00\01\00\03\00\01\00\0b\00\1f\00\15\00s\00\c5\01Y\03\c7\02\ef\01%\02\01\00\03\00\07\00\07\00\0f\00\1d\00O\00g\00/\00\c9\02\c7\061\0c\b1\18\01\00\01\00\05\00\05\00\1d\00\t\00a\00!\00\d7\01\c1\02I\01\dd\05E\05\01\00\03\00\03\00\01\00\15\00\t\00o\00\d1\00G\00/\00\eb\01_\08\05\07\01\00\03\00\03\00\03\00\0b\00\'\00\15\00\87\00\bd\01\03\01_\02\e3\0eI\15\01\00\01\00\07\00\t\00\0b\00\19\00q\00\fb\00\8b\01=\01=\01[\00\bb\07\01\00\03\00\01\00\t\00\03\00\15\00g\00\85\00\85\01\af\03\d3\04\d5\06\97\1b\01\00\01\00\03\00\07\00\01\00\0b\00\05\00\0f\00\f1\01\dd\01\df\01\07\0c9\1b\01\00\01\00\03\00\03\00\0f\00\'\00i\00\83\00\db\01\d1\01\b5\00a\03\e5\0e\01\00\01\00\07\00\t\00\13\00?\00{\00\83\00\9f\01\r\02\c9\01\a7\t?\0c\01\00\03\00\07\00\0f\00\19\00#\00{\00-\00U\01%\03\e5\01\d1\0f\99\1b\01\00\01\00\01\00\05\00\1d\00\t\00/\00\e3\003\00c\03Q\079\06\df\08\01\00\01\00\07\00\0f\00\1f\00\t\00G\00u\00\1d\01\c7\02E\03\9b\05\83\18\01\00\03\00\01\00\01\00\05\00\13\00O\00\19\00-\01\9f\01O\07\85\02\b3\0c\01\00\03\00\01\00\03\00\11\003\00c\00\b9\00\bf\01+\00\0b\02\db\00\ad\01\01\00\03\00\01\00\r\00\1d\00\r\003\00]\00\07\00\e3\03\f5\02\c9\0b\d1\1a\01\00\01\00\03\00\0f\00\07\00\19\00K\00\11\00\9b\00\d5\03\cf\04\cd\04\cb\07\01\00\03\00\05\00\03\00\1b\00-\00G\00I\00\e1\00\fb\02y\01s\04/\0b\01\00\01\00\03\00\01\00\01\00\'\00E\00q\00\1d\00s\01\1b\04\19\03\a5\0e\01\00\01\00\03\00\r\00\17\00=\00\1b\00\b7\003\01\af\01A\05\c5\n\bf\0f\01\00\03\00\07\00\05\00\05\00;\00u\00\c5\00/\01\d1\02m\03\d3\02A\06\01\00\03\00\05\00\01\00\1b\00!\00c\00\ed\00\e5\01\c7\02\99\02\05\0c\f1\13\01\00\01\00\03\00\01\00\r\00\t\00g\00\c9\00\17\00\b7\03\ed\07\a5\00-\08\01\00\03\00\05\00\r\00\05\00\1d\007\00U\00\dd\00\a5\02c\02\1d\0e\d7\11\01\00\01\00\01\00\01\00\07\00=\00\t\00\e9\00\05\011\02\b9\03\b7\0f\8b\t\01\00\03\00\03\00\r\00\01\00\11\00g\00G\00\df\00\d5\00A\03\d3\06W\1b\01\00\03\00\05\00\0f\00\19\005\009\00\bb\00\19\00\b7\02\b7\04\f9\0f=\0b\01\00\01\00\07\00\01\00\07\00\1f\00W\00\81\00\ed\01\07\02\13\06\83\04\1d\12\01\00\01\00\01\00\0f\00\15\00\11\00\17\00\1d\00\13\00\ff\00\9f\03\ff\06\15\0c\01\00\01\00\03\00\t\00\11\00!\00_\00\81\00\af\00\cd\01\1f\01I\n\15\t\01\00\03\00\05\00\07\00\17\00\13\00?\00\d1\00\f9\00G\02]\05\f7\07\b1\08\01\00\03\00\03\00\05\00\05\00\13\00O\00\f1\00\cb\01c\01\af\05\f1\0c7\0e\01\00\01\00\07\00\t\00\15\00)\00a\00w\00\81\00\01\03\05\06\a7\r=\1e\01\00\01\00\07\00\0b\00\t\00\1d\00#\00\ff\00\8d\00\a9\03\e3\06)\00q\05\01\00\03\00\07\00\01\00\r\003\00=\00\9d\00\b1\00O\03%\07\d3\r\1d\01\01\00\01\00\01\00\0f\00\15\00\r\00\t\007\00\8d\01\13\00\d7\05\e7\04C\1c\01\00\01\00\07\00\07\00\19\00%\005\00\ed\00?\01\c5\00\r\01\b5\04\cd\05\01\00\01\00\05\00\0f\00\17\00\11\00#\00\f7\00C\01\'\03\e9\00a\0e7\11\01\00\01\00\03\00\07\00\t\00;\00U\00i\00\ed\01\fb\02g\06\87\01\ab\05\01\00\03\00\03\00\t\00\0f\00!\00\05\00\fd\00\81\00q\02\f7\05\e9\n\a9\17\01\00\03\00\01\00\01\00\07\00/\00\15\00\a1\00\eb\00S\00\8d\01\eb\rA\17\01\00\03\00\07\00\0b\00\03\00)\00\19\00u\00w\01\0b\03\11\05\83\0e\b5\1f\01\00\01\00\03\00\07\00\1f\00\13\00g\00\ad\00\db\01\bd\00\f3\07i\0bS\04\01\00\01\00\07\00\03\00\19\00\07\00]\00\ff\003\01q\00e\07\b9\08\07\1b\01\00\03\00\05\00\0f\00\t\009\00O\00\8f\00\a5\00\05\00m\05\c1\00\b5\02\01\00\03\00\05\00\01\00\1d\00-\00[\001\00\bd\00\cd\01\b7\01\03\05\9b\1e\01\00\01\00\03\00\r\00\0b\00=\00)\00\e7\00u\01\b7\02\8b\01\93\03\11\15\01\00\03\00\07\00\0b\00\05\003\00C\005\00\e3\01_\00\97\07\f7\00\15\16\01\00\03\00\07\00\05\00\05\009\00-\00\eb\00\89\00\19\03-\04}\06\15\06\01\00\03\00\05\00\03\00\19\007\00g\00\b1\00Q\00]\03\7f\04\8f\00\e7\1d\01\00\01\00\03\00\01\00\15\00)\00C\00\83\00\fd\00\af\01\f5\04m\0ce\r\01\00\03\00\01\00\01\00\15\00\07\00M\00\dd\00\01\01\97\02G\00\85\0b\b1\t\01\00\03\00\05\00\03\00\03\00\17\00-\00k\00+\01\e3\02\f5\03\03\00]\0c\01\00\01\00\05\00\01\00\03\00%\00m\00%\00\f3\00\d7\03\c5\04\9b\06\1d\0f\01\00\01\00\05\00\05\00\1f\00\07\00\05\00\c1\00\8d\01c\03\d7\05k\r\11\1d\01\00\01\00\01\00\01\00\11\00;\00a\00\e9\00\85\01U\02\f5\03_\06\e3\01\01\00\01\00\01\00\0b\00\07\00)\00k\005\00o\00}\00\e9\05\81\07\df\1d\01\00\03\00\03\00\03\00\1f\00\1d\00u\00\03\00m\01\cb\03s\04K\08\19\17\01\00\01\00\01\00\r\00\17\00\03\00\01\00\a7\00\db\01\7f\02\13\07\01\0f\t\0c\01\00\01\00\05\00\03\00\05\00/\00A\00{\00\13\01\0f\03_\00w\00\a7\1d\01\00\03\00\01\00\0f\00\r\00!\00]\00\ed\00\d3\01\af\01\c1\02\ad\0f\c3\0f\01\00\03\00\05\00\01\00\13\00\07\00e\00\e7\00\9b\00\e1\02e\05\0f\r\03\08\01\00\01\00\05\00\t\00\0f\001\00-\00\a3\00\b1\01\fd\02\ef\07\c9\00\1d\n\01\00\03\00\07\00\t\00\13\00)\00\1f\00Y\00]\00o\02i\00\e9\029\11\01\00\01\00\05\00\01\00\0b\00-\00\7f\00U\00\85\01\b7\01=\03\dd\01\1d\1f\01\00\03\00\03\00\0f\00\r\00)\00\01\00\cf\00\b3\01I\027\01\bd\06\b1\n\01\00\03\00\03\00\03\00\r\001\00\15\00\1f\00\c5\00\1f\03\83\05\8f\0b\dd\1b\01\00\03\00\01\00\03\00\07\00+\00\t\00\8d\00\85\00C\02#\04]\00\bd\03\01\00\03\00\07\00\01\00\0f\003\00\17\00\d5\00}\01S\03\bb\02\d5\08[\r\01\00\03\00\05\00\t\00\19\00#\00C\00\8d\00#\00\99\01\8f\05m\01m\06\01\00\03\00\03\00\0b\00\0f\00!\00\1b\00\b5\00]\00W\00\e1\06\b7\rI\05\01\00\03\00\05\00\03\00\19\00?\00o\00\89\00A\013\03\c1\02\0b\06g\1c\01\00\03\00\01\00\01\00\05\009\00c\00;\00\9b\01\f5\02[\05q\0fo\0e\01\00\03\00\05\00\0b\00\0b\00\15\00\19\00\93\00\ef\00\c7\01\c5\02\b9\03\07\1c\01\00\03\00\03\00\0f\00\05\005\00[\00\cd\00U\01?\00\d3\02\1d\06\df\1b\01\00\01\00\07\00\0f\00\0b\00\15\00c\00O\00?\00Q\02\d7\07-\0e\97\14\01\00\03\00\03\00\01\00\t\00\15\00-\00\af\00\c5\01\b3\01?\07Y\n/\1b\01\00\01\00\03\00\0f\00\0f\00!\00y\00y\00\fb\00\af\01g\04\e9\0cg\10\01\00\01\00\01\00\t\00\1f\00\0f\00G\00\1d\00Y\01\87\01\87\04\f9\nY\01\01\00\03\00\07\00\01\00\17\00\1d\00_\00\97\00G\01\d7\02\87\02W\06\9b\0b\01\00\01\00\07\00\07\00\t\00\1d\00O\00[\00\7f\00\8d\03\r\05#\05\c3\14\01\00\01\00\05\00\0b\00\r\00%\00Y\00I\00\95\00\dd\01u\07\0f\r\r\02\01\00\03\00\05\00\07\00\05\00;\007\00\ff\00\df\00\cb\01\eb\07\ed\00m\10\01\00\01\00\01\00\07\00\1b\00\0b\00_\00A\00E\01C\03\8b\03\d9\0e\cb\0e\01\00\01\00\01\00\0b\00\1b\00!\00c\00\af\003\00\91\03K\01;\07%\10\01\00\03\00\05\00\05\00\r\00%\00\1f\00c\00\11\01\99\01#\07\05\0fs\15\01\00\01\00\03\00\07\00\17\00\13\00k\00U\00\1b\01\0b\02\fd\01\c3\01\a5\01\01\00\03\00\05\00\07\00\r\00\t\003\00Q\00W\00k\02=\00\f3\n\97\14\01\00\01\00\01\00\0f\00\t\00-\00#\00\db\00\91\01\0f\01\b9\03\89\02\bf\1a\01\00\01\00\07\00\0b\00\t\00-\00\11\00\db\00\a9\00E\03\cb\05E\06U\0b\01\00\01\00\07\00\07\00\15\00+\00%\00!\00#\01g\01G\00S\0b}\1b\01\00\03\00\03\00\r\00\1f\005\00%\00\0f\00\95\00\b5\03\'\02u\rO\15\01\00\03\00\01\00\05\00\13\00-\00Q\00\df\00\c1\00\b7\01\ff\07\'\0f\15\03\01\00\01\00\07\00\03\00\0b\00?\00#\00=\00\ff\003\02\cb\01\af\0b\1f\r\01\00\01\00\05\00\t\00\r\001\00/\00\b9\00\ef\00\dd\00\fd\053\0e\fd\07\01\00\03\00\07\00\03\00\19\00%\00\7f\00\df\003\00e\01\e3\01\fd\0e\d9\1a\01\00\01\00\07\00\t\00\1f\00%\00q\00\1f\00\83\01A\03\db\04\07\06\9f\15\01\00\03\00\01\00\t\00\17\00;\00w\00\dd\00I\00\b9\00\d7\07E\0b\03\n\01\00\01\00\01\00\r\00\07\00!\005\00\b3\00C\00\b9\00\05\06\0f\073\12\01\00\03\00\01\00\0b\00\1f\00%\00\17\00\d7\00\r\01e\01\cf\00\85\02{\10\01\00\03\00\03\00\r\00\13\00\1b\00k\007\00[\00G\00\9f\06\17\07Y\00\01\00\01\00\03\00\0f\00\03\00\13\00#\00\f7\001\00\11\02\f3\05\f5\0c\07\18\01\00\01\00\07\00\07\00\17\00\19\00k\00\8b\00\e3\01\f7\01\fd\04\f3\00\c7\1e\01\00\03\00\03\00\r\00\03\00\0f\00\0b\00\c5\00\87\00G\03\d9\03\13\01\97\15\01\00\03\00\05\00\03\00\19\00/\00_\00\15\00q\003\01\e9\03\f9\0b\'\01\01\00\01\00\03\00\t\00\13\00\13\00c\00\d5\00k\01\c1\01\df\02#\0b\d9\t\01\00\01\00\03\00\t\00\05\001\00?\00=\00\9d\00Y\03\f1\01\f1\nK\1b\01\00\01\00\01\00\t\00\01\00)\00m\00w\00\f3\01\ab\03c\03[\0eW\1f\01\00\03\00\01\00\01\00\r\00!\00m\00{\00!\01\03\00\f7\04\d5\n\a9\10\01\00\03\00\01\00\0b\00\t\009\00S\00\dd\00_\00+\00\a5\04\c9\01\dd\1b\01\00\01\00\07\00\03\00\0b\001\00!\00\db\00\e5\00!\01\ad\02\1f\r\8f\11\01\00\03\00\01\00\03\00\13\00+\00C\00\c1\00)\00\03\03\97\01Q\003\0f\01\00\01\00\07\00\0b\00\05\00\1d\003\00\af\00)\01\1b\02\01\00\c5\08\'\19\01\00\03\00\07\00\0f\00\15\00!\00u\00\b7\00\ff\01\e9\01\03\05\d1\0c[\17\01\00\03\00\07\00\05\00\t\00\03\00}\00\93\00g\01%\02q\01\e9\0be\t\01\00\03\00\05\00\07\00\13\00\05\00A\00a\00\e3\01y\01\f3\05\b1\05\b3\0b\01\00\01\00\05\00\01\00\0b\00\15\00)\00q\00\15\01\83\00\c3\05\13\04?\t\01\00\03\00\03\00\01\00\0f\00\11\00e\00E\00\bb\01a\031\03\8d\05o\14\01\00\01\00\03\00\03\00\03\007\00_\00c\00K\00\c3\00\89\07[\0f\df\16\01\00\03\00\01\00\03\00\13\00\17\00]\00\d5\00\f1\00\'\02\1b\05I\021\1e\01\00\03\00\01\00\0b\00\17\00\0f\005\00\f9\00\d3\01\07\02_\00\e5\02\99\01\01\00\01\00\01\00\0f\00\1d\00%\00+\00\cb\00\e9\00m\03M\00\8d\07\a9\n\01\00\03\00\07\00\0b\00\1b\00\'\00+\00\a1\00\ff\00\0f\00\b7\05A\03\ef\01\01\00\01\00\07\00\0b\00\03\005\00Q\00C\00w\017\03o\07\f5\0b\8b\01\01\00\01\00\01\00\01\00\0f\00%\00]\00\e9\00\f7\00\f5\01)\05\cb\0c!\15\01\00\03\00\03\00\07\00\07\00\0b\00\05\00i\00\8b\00\d7\03\d7\04\13\02)\0f\01\00\01\00\05\00\03\00\13\001\00k\00\e3\00i\01e\00c\01Y\n\d7\1c\01\00\01\00\07\00\05\00\19\00)\00e\00y\00\d1\00%\01\91\07\d3\08\b5\15\01\00\01\00\03\00\07\00\07\00\01\00\t\00\r\00\cf\01\fb\03\e3\03W\0ck\00\01\00\03\00\05\00\0b\00\05\00#\00\7f\00a\00\05\01\15\03\'\03\'\03q\18\01\00\01\00\07\00\05\00\0b\00\r\00-\00[\00\a1\01e\00\b5\07=\0e;\08\01\00\01\00\03\00\07\00\05\00?\009\001\00\cb\00\9d\00s\00q\05\b5\1f\01\00\03\00\05\00\05\00\03\00+\00\0f\00\9b\00\7f\00\e9\01\8d\04u\0e\03\13\01\00\01\00\07\00\07\00\1d\00\1d\00E\00\d7\00\9f\01o\01s\01m\07\bb\17\01\00\01\00\01\00\03\00\0b\00!\00Y\00\95\00\b1\01\c1\02\9d\05=\06\f9\01\01\00\03\00\05\00\01\00\r\00%\00\13\00w\00\05\00E\02\f5\07a\063\08\01\00\03\00\07\00\r\00\05\001\00g\00\f5\00\d7\00\03\02\85\00\d7\07\8d\07\01\00\03\00\01\00\t\00\01\00\03\00\19\00\c5\00\fd\00\83\01\93\06\db\08\dd\00\01\00\03\00\05\00\0f\00\15\00\t\00I\00\c9\00\95\01\e7\03\b5\01%\0f\9d\17\01\00\01\00\03\00\01\00\1f\007\00\19\00S\00\a5\01\8b\01\0f\07Q\08u\1e\01\00\01\00\03\00\01\00\17\00\15\00y\00\b7\00}\00[\01\8f\00e\0e\dd\10\01\00\03\00\03\00\03\00\11\00-\00\11\00\df\00\0b\01\1b\03\17\07\1d\05\9b\00\01\00\01\00\01\00\0f\00\11\00;\00\05\00\85\00\0f\00\cb\02\df\05\99\00G\0b\01\00\01\00\01\00\01\00\1b\00\r\00w\00M\00\f3\00\e3\03;\07\87\0eW\12\01\00\03\00\01\00\05\00\1f\001\00+\00\a5\001\00a\02\f1\04u\04\f9\01\01\00\01\00\07\00\r\00\0b\00?\00\15\00\fd\00\e5\00I\02\07\06\87\0e-\10\01\00\03\00\07\00\0b\00\17\00\1b\00\11\00\83\00\'\01\7f\03\d5\05\83\05\af\0c\01\00\01\00\05\00\t\00\1d\00\07\00a\00\0f\00q\00\bd\01[\03\cb\05a\04\01\00\03\00\01\00\t\00\r\001\00c\00k\00C\01\c9\00\a9\02\ff\0b\a1\14\01\00\01\00\01\00\0f\00\t\00\13\00=\00\a1\00\07\00W\00K\02\97\08\fb\n\01\00\03\00\03\00\0f\00\0f\00\13\00_\00-\00+\01=\03\d5\03\97\r\e7\01\01\00\01\00\01\00\t\00\03\00%\00\07\00\13\00\e3\00\r\00\8d\01\01\02\e9\04\01\00\01\00\05\00\0f\00\0f\00\r\00\11\00o\00\87\00\a1\03y\04+\03\t\07\01\00\03\00\01\00\03\00\1b\009\00\1f\00\13\00\17\01g\00\b5\02w\02Q\r\01\00\01\00\01\00\01\00\0f\00\r\00C\00S\00\17\00\1f\03\c7\06\0f\08#\r\01\00\03\00\03\00\07\00\03\00\01\00=\00\1f\00)\00\15\02\e9\07\e3\0f3\1b\01\00\01\00\05\00\07\00\11\00\1b\00Q\00O\00k\00\cd\00\1d\00a\00\13\13\01\00\01\00\01\00\05\00\13\001\00[\00\c9\00\1b\01\b5\03\8b\02\eb\0e\d1\13\01\00\01\00\07\00\t\00\0b\00\r\00I\00\c5\00%\00\db\00\8b\07)\r\81\17\01\00\01\00\07\00\0f\00\0b\00\07\00K\00\cd\00\07\003\03\8f\01\95\02W\19\01\00\03\00\03\00\03\00\1b\00%\00_\00)\003\01\a5\005\04\9d\r3\02\01\00\03\00\05\00\03\00\15\001\009\00\b3\00m\00s\02\fd\06\af\01}\0b\01\00\01\00\07\00\05\00\0b\00\13\00+\00\89\00\95\00\a7\02\07\06\f5\00e\05\01\00\03\00\05\00\05\00\0f\00\03\00E\00Q\00\87\00\9f\00S\05I\r\d3\18\01\00\03\00\05\00\01\00\t\00=\001\005\00?\01\19\00o\06\11\05g\02\01\00\03\00\05\00\0b\00\1f\00+\00\t\00e\00G\00\97\03O\01K\0c\bf\16\01\00\03\00\01\00\01\00\0f\00\05\00\1d\00m\00\ff\01\b1\03c\03]\0e\03\1b\01\00\03\00\03\00\0f\00\11\001\00[\00o\00\d7\00\1d\00W\07a\00\c9\t\01\00\03\00\01\00\r\00\13\00=\00\0b\00o\00\a3\00\t\03\15\02Y\04\db\14\01\00\01\00\07\00\t\00\11\007\00u\00[\00\c7\01!\01-\02\91\03g\11\01\00\03\00\01\00\07\00\19\00\13\00{\00%\00\01\00\15\01\cd\02\95\0bu\11\01\00\03\00\07\00\03\00\13\00\17\00W\00\eb\00\d1\00\c9\01\f9\07M\0b\r\07\01\00\03\00\03\00\05\00\05\00+\00\17\00=\00_\01\17\03;\00\d9\07]\0b\01\00\01\00\03\00\07\00\05\00\01\00\1b\00\e7\00\81\01\01\01\ed\04\8d\n\0f\07\01\00\03\00\01\00\01\00\1b\00\13\00W\00\fd\00\83\00\ad\02\cf\06\8f\0f[\n\01\00\03\00\07\00\0b\00\15\00\11\00\0b\00Q\00\bf\00\81\02\1d\07\bd\0bS\1c\01\00\03\00\03\00\05\00\0f\00\1f\00)\00\d5\007\00\a3\03\a1\071\00\95\17\01\00\01\00\07\00\0f\00\07\00\1b\00A\00\df\00q\00O\00S\07\8f\03E\15\01\00\03\00\07\00\07\00\17\007\003\00\a7\00\ef\01\19\001\06w\r\1f\03\01\00\01\00\03\00\07\00\1b\00\0f\00_\00\c1\00Q\01\9f\01\cf\03\r\0c\c7\03\01\00\01\00\07\00\0f\00\13\00\07\00]\00)\00\b1\01\'\02\91\01a\0c\83\0f\01\00\01\00\07\00\0b\00\r\00\0f\005\00E\00\b1\01;\00]\04\1f\rW\18\01\00\01\00\07\00\03\00\17\00\05\00s\00\c9\00\e1\00m\00o\079\0fy\18\01\00\01\00\01\00\0b\00\11\00\01\00\'\00\8f\00i\01\93\02Q\04\17\00;\13\01\00\01\00\01\00\t\00\1b\009\00U\00\e3\00\05\01w\00Y\07}\0fW\1b\01\00\03\00\07\00\07\00\0f\00\07\00k\00\11\00;\011\007\06\89\03m\1e\01\00\03\00\01\00\07\00\1d\00\03\00/\00\ed\00\9d\00\01\03G\03\7f\0c{\0c\01\00\01\00\03\00\0f\00\19\00\'\00?\00\0f\00o\00Y\03q\03\e1\05\f7\1d\01\00\01\00\07\00\01\00\03\00#\00)\00\d7\00c\00\7f\03\01\04\cb\05c\12\01\00\03\00\05\00\01\00\01\00\1f\00\19\00\f7\00q\00I\03\8d\01!\079\1b\01\00\01\00\03\00\05\00\13\00)\001\00\f3\00\e1\00\cd\03\f1\00\af\00\11\04\01\00\01\00\01\00\07\00\0f\00\0f\00i\00\8d\00S\00K\00\8b\06\c3\rc\14\01\00\01\00\07\00\05\00\r\00\1b\00/\00\c7\00\bd\01I\03\bf\03\85\04\a1\08\01\00\03\00\05\00\0f\00\17\00\1f\00\1f\00Q\00U\00!\00\11\03O\nw\1e\01\00\01\00\05\00\r\00\15\00\03\00/\00c\00\eb\00\af\03\c3\06\a3\t\d3\1e\01\00\01\00\01\00\03\00\11\005\00U\00\db\00I\00\83\00;\05k\03\a7\04\01\00\01\00\05\00\07\00\11\00?\00q\00\07\00\b9\00-\02\ed\02\eb\rm\13\01\00\03\00\03\00\0f\00\0f\00\15\00+\00o\00\9b\00\b1\02Y\01\a7\01\r\0e\01\00\01\00\05\00\01\00\0f\00\1d\00]\00\05\00i\01\c9\02\b7\02a\0f\a9\01\01\00\03\00\07\00\07\00\r\00)\00s\00\af\00;\01\a9\03{\00\19\0bi\11\01\00\01\00\03\00\0b\00\19\00\05\00g\005\00\a7\01+\03\91\02\8f\01Y\1c\01\00\01\00\01\00\01\00\01\00\r\00e\00\d3\00\7f\01E\01a\00\a7\06M\11\01\00\03\00\07\00\t\00\1f\00-\00S\00\9d\00\fd\01\bd\02I\03Q\04;\0e\01\00\01\00\01\00\07\00\01\00\t\00E\00\11\00\81\00\19\01\89\04\81\0b\r\1e\01\00\03\00\07\00\01\00\0b\00\1d\003\00\8f\00M\00\b1\01\bb\06\r\t\t\16\01\00\01\00\01\00\01\00\15\00+\00\r\00C\00\b1\00\f9\01]\06\f3\04\15\13\01\00\01\00\03\00\0b\00\1b\00?\00o\00/\00\e9\00\r\03\c5\01\8f\06\89\0c\01\00\01\00\03\00\r\00\1d\00\1b\00w\00\8d\00\ed\01\cb\03\cd\01\87\04y\02\01\00\01\00\03\00\0f\00\17\00\05\00O\00\d7\00\a3\00\95\00\r\07_\t=\00\01\00\03\00\05\00\r\00\13\00\05\00\01\00\'\00\99\011\02\c5\02=\03M\05\01\00\03\00\03\00\r\00\13\00+\00\t\00\b1\00\c1\01\bf\01I\00;\08%\16\01\00\03\00\05\00\01\00\17\00\r\00?\00m\00\cb\00Q\02=\03\b1\0f\e1\1a\01\00\01\00\05\00\07\00\03\00\t\005\00\af\00\87\01\a9\00\03\05\d1\0ec\11\01\00\01\00\05\00\07\00\1d\00+\00\t\00\05\00\d1\00M\00\9f\03}\0b\d1\1f\01\00\03\00\05\00\0f\00\11\001\00\05\00\8f\00\83\00\03\03\95\06\9d\03\7f\08\01\00\01\00\03\00\0b\00\1b\00\1b\00\1b\00\9f\00\a1\00\f7\033\06\d1\0f\bf\07\01\00\03\00\01\00\03\00\17\009\00w\00C\00\e1\01A\02\85\01\f7\0c\cd\14\01\00\03\00\05\00\01\00\13\00\'\00W\00=\00I\01\91\02\ed\06\1f\00\ab\06\01\00\01\00\03\00\01\00\05\00\19\00\0f\00\f1\00\83\00/\03\d7\06\d5\0bg\1f\01\00\03\00\03\00\r\00\1b\00\r\00M\00W\00\b5\019\00m\02\07\04\d3\1e\01\00\03\00\01\00\r\00\17\003\00u\00%\00K\01\e9\02]\02k\0ci\12\01\00\01\00\05\00\05\00\13\00\11\00c\00\a7\00W\00\d1\02\e1\02\15\03u\08\01\00\03\00\05\00\r\00\01\003\00w\00\d3\00\a5\00+\01/\05\ed\0b\0f\r\01\00\01\00\05\00\0f\00\1d\00-\00\11\00\81\00C\00Y\01\11\06\91\n\c9\1c\01\00\01\00\01\00\t\00\17\00\07\00\r\00\d1\00\07\00\97\01=\01\05\0cw\1c\01\00\01\00\01\00\05\00\t\00;\00Y\00\03\00\e7\01\c3\01\f9\01\c3\t\8b\1d\01\00\03\00\01\00\07\00\15\00\01\00\15\00\cb\00e\00\a1\01m\05\bf\nu\05\01\00\03\00\07\00\r\00\07\00\1f\00\03\00\f7\00]\01\e5\01\eb\04%\02\b1\18\01\00\01\00\07\00\07\00\1b\00!\00k\00\c5\00%\01\d9\02\d9\06\0b\ng\00\01\00\03\00\05\00\t\00\19\00#\00\05\00\fd\00\89\00\d5\00\f9\07;\r\11\07\01\00\01\00\07\00\r\00\0f\00#\00C\00S\00\'\01\af\00G\03\0f\0bG\03\01\00\03\00\03\00\0b\00\03\00\11\007\00\8d\00\f7\00\df\03u\00\d7\0e\c5\04\01\00\01\00\05\00\01\00\0b\00%\00W\00\e9\00\c9\01\8d\02\83\03u\0b!\0c\01\00\01\00\03\00\0f\00\03\00\1f\00C\00\a7\00\b5\01\t\00\8b\02U\04s\04\01\00\01\00\03\00\01\00\07\00?\00C\00\11\00\0b\00s\03?\07\95\07\8f\12\01\00\03\00\07\00\t\00\13\00!\00q\00u\00\ef\01\'\00\03\07\01\n\8f\15\01\00\01\00\07\00\05\00\01\00\03\00g\00%\00\c9\00\df\00M\04m\03S\19\01\00\01\00\05\00\t\00\1d\001\003\00!\00\b7\01\95\03]\03)\05W\08\01\00\01\00\03\00\03\00\01\00\05\00\11\00]\00\d9\00k\02e\02M\05\cf\17\01\00\03\00\01\00\0b\00\03\00\15\00\05\00)\00\0f\00\af\00K\03y\0b\c1\1a\01\00\03\00\03\00\07\00\t\009\007\00\7f\00O\00\1f\01\bd\01\9d\085\1f\01\00\01\00\07\00\r\00\17\00\11\00]\00\81\00\9d\00\87\00\d3\06\15\07W\10\01\00\01\00\01\00\05\00\1f\00;\00c\00!\00\a9\01I\01w\03o\01\e1\06\01\00\01\00\07\00\t\00\11\005\00M\00\8b\00\b3\01\83\011\00A\0e\ed\06\01\00\03\00\03\00\0f\00\15\009\00-\00\a1\00K\01\cf\02\11\01\97\rM\10\01\00\01\00\03\00\t\00\03\00\03\00i\00\c9\00u\01m\03\97\03\ef\04\f9\19\01\00\03\00\01\00\0f\00\r\00+\00\r\00c\00I\00\a3\00a\01\f1\r\e1\15\01\00\03\00\07\00\03\00\05\00\t\00E\00\b1\00\c1\01/\00\r\03e\04\95\10\01\00\01\00\01\00\05\00\03\00-\00\01\00{\00\99\01\87\03\cd\00\t\08\d5\1d\01\00\03\00\05\00\t\00\13\00/\00W\00\87\00\e1\01\1f\03e\00Q\r\c1\08\01\00\03\00\01\00\r\00\03\00\19\00\0f\00\1b\00\b5\00\c7\03\9d\02\11\nQ\1c\01\00\01\00\07\00\03\00\1f\00\05\00g\005\00\01\00\8f\03\b9\04q\0e\1d\1a\01\00\01\00\03\00\01\00\05\00\05\001\00\87\00\19\01\eb\02\f9\02\9d\0b\1b\1f\01\00\03\00\03\00\05\00\13\00=\00}\00\c7\00+\01\03\02U\05q\01s\1b\01\00\03\00\01\00\07\00\05\00)\00?\00\e5\00\1b\01;\02\93\00\bf\01\91\02\01\00\03\00\01\00\0b\00\05\00\0f\007\00\07\00\03\01=\00\1b\00\95\05\ff\15\01\00\01\00\05\00\01\00\03\005\003\00\fd\00\9b\00)\02\r\05\97\0e\a7\19\01\00\03\00\05\00\t\00\05\00)\00\15\00\9f\00e\00\11\03\bd\07\d7\0e\r\1e\01\00\03\00\07\00\07\00\t\00\03\00_\00i\00\81\00\d5\00\bf\04\03\04C\16\01\00\01\00\03\00\03\00\1d\00\r\00\t\00\fd\00\c1\01A\01U\01?\0b\ab\00\01\00\03\00\07\00\0b\00\15\00\0b\00K\00#\00+\00\c5\03\a3\02\a9\08\07\1c\01\00\01\00\05\00\0f\00\1f\00\05\00\1d\00\89\007\01\ef\02/\00W\05!\17\01\00\01\00\03\00\0f\00\11\00\01\00-\00E\007\00\89\02C\039\02\bf\1d\01\00\03\00\01\00\r\00\1f\00\07\00\17\00\0f\00\87\01\91\005\07!\07{\05\01\00\01\00\03\00\0f\00\05\00\t\00O\00M\00i\00\8f\01\8d\07\c7\t\ad\12\01\00\03\00\01\00\03\00\11\00/\00\13\00\r\00k\00\db\01\f7\02u\0b\b1\0e\01\00\01\00\07\00\0b\00\03\00\07\00y\00\d1\00\8d\01m\03%\01O\03\7f\1b\01\00\01\00\01\00\0f\00\1d\00-\00\05\00m\00O\01\cd\01\8f\00\a3\03\cd\0f\01\00\03\00\01\00\07\00\0b\009\00I\00Y\00\c9\00\ad\00#\03q\0fU\14\01\00\01\00\05\00\0b\00\0b\00!\00%\00\1d\00\07\01\fb\03\91\02\ad\05\7f\1e\01\00\03\00\03\00\r\00\1f\00\19\00%\00/\00\05\01_\02\a7\06+\n\a1\01\01\00\01\00\01\00\01\00\1f\00=\00-\00s\00\13\01\ef\00\c5\07i\07\e9\10\01\00\03\00\05\00\03\00\1f\00\03\00\0b\00\ad\00O\01C\02\a9\04\ab\08\c3\1e\01\00\01\00\07\00\t\00\1d\00-\00\r\00C\00\8f\01\b1\00\r\05\19\0f\b1\08\01\00\01\00\07\00\0b\00\0b\003\00y\00\e3\00\d5\01\89\03\a1\03K\nE\10\01\00\03\00\07\00\t\00\r\00\'\007\00\a7\00\17\00\93\00C\06#\08%\12\01\00\01\00\03\00\0f\00\1b\005\00\0b\00\9b\00\9d\00u\02\03\01\c1\0b\fd\11\01\00\03\00\01\00\07\00\0f\00/\003\00\01\00\03\01[\02w\03\11\0b\b5\19\01\00\03\00\05\00\03\00\01\00/\00[\00+\00i\01;\02\1d\00\ad\05\ad\10\01\00\01\00\03\00\t\00\0b\003\007\00\17\00\9f\01\15\01\8f\05\93\r\f7\05\01\00\01\00\03\00\0b\00\1d\001\00e\00K\00+\01\c5\02%\03\c5\0f%\11\01\00\01\00\07\00\03\00\17\00\01\00%\003\00{\01\03\03\15\05\85\0e\11\1a\01\00\01\00\05\00\03\00\17\00\0b\00}\00\b1\00w\01\99\02\b7\03)\06+\n\01\00\01\00\01\00\01\00\01\00\05\00G\00\ff\00\15\00\cb\01\d3\01#\08\'\15\01\00\01\00\05\00\r\00\17\00\1d\00m\00\9d\00k\01\cb\03%\02\87\02\99\04\01\00\01\00\03\00\t\00\07\00\0f\00e\00\03\00m\01\d5\00\e9\02\83\04\d3\17\01\00\03\00\05\00\0f\00\0f\00\13\00/\00\b3\00/\01\t\02\ff\04\db\00o\t\01\00\03\00\03\00\r\00\1b\00\0b\00S\00\a5\00q\01\dd\03\05\01]\0f\c9\12\01\00\01\00\03\00\0b\00\1f\00;\00\01\00\b9\005\00\bf\02\bf\05w\0bS\04\01\00\03\00\03\00\07\00\19\00\03\00Q\00\1b\00]\00\t\02\b1\01+\0b\e5\16\01\00\03\00\03\00\0b\00\1d\00\0f\001\00\a7\00;\01\9f\03\1f\02\91\r\d3\10\01\00\03\00\01\00\03\00\1d\00!\005\00\0f\00\b7\00\b3\02\bf\02\1f\05A\r\01\00\03\00\05\00\r\00\17\001\00\03\00\0b\00\01\00e\01\7f\05\9f\01+\1c\01\00\03\00\07\00\0f\00\01\00\19\00[\00q\00C\01s\01\bd\00\9d\03\9d\04\01\00\03\00\03\00\03\00\11\00;\00w\00\c7\00s\00\df\00m\03\91\08\c1\00\01\00\01\00\01\00\05\00\05\00#\00\1f\00;\00\b5\01\9b\01%\00e\t\d5\0e\01\00\03\00\01\00\r\00\t\00%\00\01\00\f1\00;\00\9d\00\f9\06\c7\043\02\01\00\03\00\05\00\r\00\03\00\15\00\19\00_\00\0f\00\e9\02U\00\bd\02\f1\14\01\00\03\00\07\00\01\00\1f\00!\00o\00\c3\00#\00\91\03\dd\07\87\0b\d3\19\01\00\03\00\05\00\01\00\13\00\03\00K\00w\00o\00\99\01\b7\03\b1\05]\13\01\00\03\00\01\00\0f\00\13\00;\00\03\00\9b\00\ed\00\91\02\af\07\fb\0c[\18\01\00\01\00\05\00\01\00\03\00\13\00-\00i\00y\01q\03\a7\00\cf\08\83\11\01\00\01\00\07\00\07\00\r\00\r\00c\00Y\00\c9\00\17\01\a1\00\b3\tq\17\01\00\01\00\07\00\03\00\r\00\11\00a\00\81\00\89\00y\01\ef\05\b7\00\8d\0e\01\00\01\00\07\00\t\00\t\00\05\00-\00\87\00s\00\b5\00\95\06\b1\r#\11\01\00\01\00\01\00\01\00\13\00#\00E\00q\001\01\a3\01\b5\03\99\0b\f7\00\01\00\01\00\05\00\r\00\17\00=\00\r\00\8b\00\f5\01+\03C\00\dd\05]\19\01\00\01\00\03\00\r\00\0f\00)\00\1b\00\d9\00%\01\r\00\91\00G\nO\1b\01\00\03\00\03\00\r\00\0f\00%\00G\00{\00\1d\011\00s\02\03\05i\17\01\00\03\00\03\00\0b\00\t\00\19\00\0b\00\01\00\cb\00a\01C\05\cf\07\ef\n\01\00\03\00\05\00\01\00\07\001\00e\00\e7\00\f3\01?\00\b9\07\9f\08\95\1e\01\00\01\00\07\00\01\00\11\00\0f\00s\00\8b\00}\01\af\03o\02\c5\0f\9b\0b\01\00\01\00\03\00\05\00\r\007\00\17\00W\00\8b\00\1b\03\85\06_\05\a1\04\01\00\03\00\03\00\05\00\05\00-\00a\00\fd\00\f1\00M\01\85\02+\02\bb\1e\01\00\03\00\05\00\01\00\01\00\01\00Y\00\1b\00\97\01\fd\01\99\05a\023\t\01\00\03\00\07\00\01\00\1b\00\1d\00\05\00\9d\00\ef\01+\03\r\05w\04;\03\01\00\01\00\03\00\03\00\19\001\00\7f\00o\00\bf\00\03\00M\03g\05\d9\t\01\00\01\00\05\00\07\00\05\003\00e\00\9b\00\ed\00\cd\01?\03\13\0c\0b\0f\01\00\03\00\07\00\01\00\1d\00#\00i\00[\00\1d\01\c1\02\83\00\8b\01{\17\01\00\03\00\05\00\03\00\r\00\15\00S\00\ad\00\dd\00;\03\ef\06\8b\07G\1a\01\00\01\00\03\00\05\00\03\00\19\00_\00s\00\cd\009\02\a7\05\a5\03\19\19\01\00\01\00\07\00\t\00\1f\00\03\00\11\00\af\00\91\00\bf\01)\05-\04\7f\19\01\00\01\00\03\00\03\00\17\00\01\00O\003\00\a5\01\a3\01i\03c\0f\t\07\01\00\01\00\05\00\01\00\03\00\'\00\0f\00U\00\a9\00\9d\02\97\03\8d\01\cb\15\01\00\03\00\05\00\01\00\15\00=\00W\00\d9\00\fb\00k\02C\04\a9\0f\e5\00\01\00\01\00\01\00\0b\00\17\007\00U\00y\00k\01c\03;\01\bf\01-\r\01\00\03\00\03\00\r\00\1d\00\13\00Y\00U\00\89\00\d5\01Q\07\cd\n\87\0f\01\00\03\00\07\00\r\00\13\00?\00=\00M\00C\00i\01\0b\00\fb\06_\12\01\00\01\00\03\00\0b\00\07\00\0f\00\7f\00i\00\b3\00Y\03\87\06?\0e=\r\01\00\01\00\01\00\07\00\13\00\15\00c\00\a1\00\f3\01\07\02\07\05\9d\0b\df\01\01\00\01\00\03\00\r\00\1d\003\00_\00\fb\007\00\07\02\a3\07A\0b?\17\01\00\01\00\03\00\0b\00\17\00?\00y\00\ed\00\af\007\01\bd\02\03\06O\t\01\00\01\00\07\00\05\00\05\00-\00I\00a\00\05\00\99\00\cb\02\f5\07\19\r\01\00\01\00\01\00\03\00\r\00\07\00C\00\ad\00\a9\01K\03\d9\05\a9\nI\14\01\00\01\00\07\00\01\00\17\00\03\00w\00\0b\00M\00\8d\00q\07\dd\08\ad\10\01\00\01\00\07\00\0f\00\01\00\17\00O\00\fb\00\b7\01[\02\95\01\91\t\ef\18\01\00\03\00\07\00\0b\00\1d\00\1b\00/\00\ff\00/\00\95\02\af\07\ef\03i\0e\01\00\03\00\07\00\05\00\13\00\'\00#\00s\00\a1\01u\01#\01I\01[\02\01\00\03\00\01\00\t\00\0b\00!\00\1b\00\c1\00\cf\00\a7\01\1f\05Y\05\8b\1c\01\00\01\00\03\00\0b\00\t\00\1d\00S\00\11\00\f1\01\ed\01I\01E\0c/\17\01\00\03\00\01\00\05\00\1f\003\00\1d\00\ab\003\00\ed\01U\06\ad\r\fb\0f\01\00\01\00\05\00\t\00\15\00+\00i\00\cf\00\f5\00k\01\a7\04\bb\02s\04\01\00\01\00\03\00\0b\00\13\00\05\00Q\00w\00\f7\00\a9\009\05-\00\a5\19\01\00\03\00\01\00\0b\00\03\003\00\03\00e\00\9f\00\0b\00\fd\00+\01\b3\13\01\00\03\00\01\00\05\00\0b\005\00U\00\'\009\00\85\02\d7\07\0f\04+\0e\01\00\03\00\05\00\03\00\11\00=\00a\00\a5\00\9f\01e\01\1b\01Y\02\81\15\01\00\03\00\07\00\03\00\t\003\001\00U\00\03\00\e3\00\89\005\01\f3\00\01\00\01\00\05\00\03\00\0b\00;\00\0b\00\83\00\99\01\bf\02\c7\01{\00G\1a\01\00\03\00\07\00\t\00\19\001\00\15\00\ab\00\1f\01{\01\9b\029\01\c9\02\01\00\01\00\03\00\t\00\07\00#\00/\00\03\00o\01E\02[\06\81\06A\0f\01\00\03\00\01\00\01\00\1d\009\00#\007\00\ff\00\8d\027\03\95\08#\18\01\00\03\00\07\00\0f\00\11\00\0f\00u\00S\00g\01\a3\00s\00\b7\0b\fd\14\01\00\01\00\05\00\03\00\15\00=\00#\00a\00G\00\af\02\cf\00e\0b\19\04\01\00\01\00\01\00\0f\00\r\00\0f\00}\00Q\00\07\01\95\02\a1\01\ab\0c\85\06\01\00\01\00\07\00\03\00\03\00\13\00o\00\c1\00\bb\01S\01\93\02\bb\04\15\06\01\00\03\00\01\00\03\00\1b\00\03\00\03\00\ad\00\87\01\d5\00#\03\d1\0c\87\0c\01\00\01\00\05\00\0f\00\13\00\01\00\07\00\d3\00\9d\00[\02\93\01k\05/\06\01\00\03\00\05\00\r\00\11\005\00}\00\r\00S\01\d3\02\t\02\9d\01\a9\16\d3(\01\00\01\00\03\00\r\00\1d\00\t\00c\00M\00\8d\00a\02\fd\05\d7\03\f7\073\00\01\00\01\00\03\00\0b\00\15\007\00\05\003\00\a7\015\01\r\02\83\0e\d1\0b\cf:\01\00\01\00\03\00\07\00\t\00\15\00M\00\ab\00\ef\00U\01u\06E\04\e1\08\e3)\01\00\01\00\01\00\0f\00\1f\00\0f\00\17\00#\00=\01e\03}\07\87\05\d9\10g\0e\01\00\01\00\01\00\05\00\15\00\19\00c\00\a7\00\b7\01\c5\01\d9\01\af\01\t\1a}\13\01\00\01\00\07\00\t\00\1f\00/\00Q\00S\00Y\01+\00S\05]\07S\0cq\0c\01\00\03\00\07\00\01\00\1f\00\11\00=\00\b9\00U\01\81\00#\02\cd\02\17\08\07\'\01\00\03\00\01\00\r\00\17\00=\00M\00\d9\00\c7\01M\00\ef\04A\06\ad\ri:\01\00\01\00\07\00\07\00\13\00\13\00\01\00\e5\00\af\01\af\03-\04\9d\07\t\05q=\01\00\01\00\03\00\05\00\01\00#\00a\00\fb\00\e7\01\cb\01\f1\04\cb\06\a5\00}(\01\00\03\00\05\00\03\00\0b\00\19\00O\00\af\00\7f\01!\02\bb\00\c5\00\e9\10#\r\01\00\01\00\03\00\03\00\1d\00\t\00?\007\00\af\00\15\01\af\01\f5\tE\n\t\19\01\00\01\00\03\00\0f\00\11\00\15\00O\00\8b\00c\00\87\00\e3\06\r\07\8f\r?\15\01\00\01\00\03\00\t\00\t\00\0f\00#\00w\00!\01C\03\01\03\03\0f\17\10E\11\01\00\01\00\01\00\05\00\13\00\13\00C\00\c7\003\01/\03W\05\cf\04W\0f\c1\19\01\00\01\00\03\00\01\00\1d\003\00y\00\d1\00\af\01/\00[\04\8b\03\e7\t\1b&\01\00\01\00\03\00\05\00\11\00\01\00\05\00w\00y\00\df\00\b7\06\0b\05k\0f\13>\01\00\03\00\01\00\0f\00\1d\00\19\00\03\00\83\00u\013\01\85\02\b9\r\t\05\c3\07\01\00\03\00\03\00\0b\00\1d\00-\00i\00\b3\00K\01\d1\01{\03#\05\93\01\f1\0b\01\00\01\00\05\00\r\00\11\00;\00M\00\7f\00\e5\01W\03{\04\15\0c{\03\8d&\01\00\01\00\01\00\07\00\17\00\1b\00\1f\00\cb\00\1d\01\cf\01;\03\ad\02E\05\cb:\01\00\01\00\01\00\05\00\1d\00\05\00k\00\c3\00\1f\00\a9\01\13\001\0b\1d\0f\91+\01\00\01\00\07\00\05\00\07\00/\00\01\00I\003\01[\01\89\01\9d\08\1d\1e\11;\01\00\01\00\01\00\r\00\0f\00=\00\19\00\83\00q\00q\01\cb\07\df\t{\11\d1\06\01\00\01\00\01\00\01\00\1f\00?\00\15\00\fd\003\01\19\01[\03\f7\0cA\1aK\0b\01\00\01\00\03\00\0b\00\01\00\11\00\05\00\b7\00-\01\d3\03\8b\02\95\06\c7\18S\'\01\00\01\00\05\00\0f\00\17\00-\00c\00\91\00\07\01\fb\01e\05a\r\a7\08\17\07\01\00\03\00\01\00\05\00\0b\00?\00U\00\cb\00\9b\01q\03Y\05\d5\041\12\8d\19\01\00\03\00\03\00\r\00\11\005\00y\00\c9\00\r\01\d7\03\d7\00s\0c\d1\1b\df\17\01\00\03\00\05\00\0f\00\0f\00\05\00\r\00\8f\00\03\009\01\8d\06E\04\df\0c;\r\01\00\01\00\03\00\r\00\03\00\17\00I\00\11\00\01\01\c5\03\ef\00\f7\04\f3\n\9f\1c\01\00\03\00\05\00\r\00\t\009\00s\00%\00)\00\d3\01\87\00{\05\e3\0e\85\12\01\00\03\00\07\00\0f\00\t\00!\00\'\00\cb\00_\01o\01K\05{\05e\0e\95\12\01\00\03\00\05\00\0b\00\1f\00\03\00q\00{\00\cb\00\a5\01\1d\07O\0cG\tC\11\01\00\01\00\01\00\07\00\15\00?\00c\00\17\00\85\00O\00\df\03\db\06}\13e\12\01\00\03\00\05\00\01\00\19\00?\00q\00\ef\001\00\bb\01\ad\00\ed\04\81\0cg)\01\00\03\00\03\00\r\00\03\00\19\00e\00\a9\00\17\00I\02G\01/\05o\00K\'\01\00\03\00\03\00\05\00\13\00\01\00!\00Y\00\b5\01\d5\00\8d\07\cd\06+\n\f9\15\01\00\03\00\01\00\03\00\0f\00\0f\00\19\00\8b\00I\00O\01\ed\00\9d\t\1d\0cg:\01\00\03\00\05\00\01\00\1f\00\0f\00\1f\00\bb\00\b1\00\93\02;\05\b7\0eo\13\d3\1b\01\00\03\00\01\00\03\00\19\00\13\00/\00Y\00k\00k\00\89\02\ab\023\0cM+\01\00\03\00\07\00\t\00\0f\00\15\00e\00\19\00\0b\00q\02\13\06\a3\025\0f\ad\16\01\00\01\00\01\00\05\00\07\001\00{\00\15\00\b7\01q\01\cf\00\17\02\0b\12I9\01\00\01\00\05\00\07\00\01\00\19\00g\00\b9\00c\00\ef\00E\04\19\06!\18\c7\0f\01\00\03\00\07\00\05\00\1d\00\15\00+\00g\00W\01\cd\03\19\06\9f\0b+\1d\0b\1f\01\00\01\00\07\00\t\00\13\00\03\00\r\00\17\00\cd\01-\03\a7\04\d9\03/\02\f5\0c\01\00\03\00\05\00\05\00\1b\00\1f\00O\00\0f\00m\01\85\03\9d\07u\00#\0e\ff3\01\00\03\00\05\00\07\00\05\00!\00C\00\c7\00\a9\01\bd\00\9b\06\1b\0c/\03\8d\06\01\00\01\00\07\00\0b\00\r\00\1d\00I\00\89\00\t\01Y\02\bd\015\0f\cf\to\1f\01\00\01\00\03\00\01\00\r\00\05\009\00e\00e\01\87\01O\01Y\02O\05)\04\01\00\01\00\01\00\01\00\19\009\00\1b\00s\00\1f\00i\03c\02M\08\bf\01\115\01\00\03\00\03\00\r\00\1b\00\11\00I\00\0b\00g\01!\00\81\04\0f\01\b9\11%;\01\00\03\00\07\00\03\00\0b\00?\00g\00=\00;\00u\02]\06\cf\0cO\0fi\0c\01\00\01\00\05\00\0f\00\03\00?\00U\00\c1\00}\01\a5\00\af\00\af\0c\c5\tq\10\01\00\01\00\05\00\0f\00\01\00!\00;\00\db\00\e7\01\c1\00\15\06\bf\02[\0b\11\1f\01\00\01\00\07\00\03\00\t\00\03\00i\00_\00\85\01\df\03\15\00\01\0fG\1b\1d\01\01\00\01\00\01\00\01\00\01\00\1f\00\19\00\89\00u\00C\00\03\05\ab\07\bf\19\b5<\01\00\03\00\05\00\0b\00\07\00\0f\00\7f\00Y\00\c5\01\t\03#\07\07\t\ed\1d9.\01\00\01\00\07\00\r\00\13\00\1d\00O\00\a5\00\df\00\c5\01\f7\07y\0fC\19i\15\01\00\03\00\03\00\07\00\11\00)\00+\00\9d\00C\01\03\00\e9\03=\08\a1\11_/\01\00\01\00\05\00\t\00\1f\009\00\03\00\d9\00q\00\0f\01\7f\06W\05%\1b\e5\1f\01\00\01\00\07\00\0f\00\1b\00#\00Q\00\eb\00=\00\cd\00\r\027\01\d5\18\df\t\01\00\03\00\01\00\t\00\13\00\1d\00G\00\cf\00A\01\f3\03O\065\05\83\r\19\1a\01\00\03\00\07\00\07\00\03\009\00)\00\13\00\19\00\8d\015\02-\07\c9\1d%.\01\00\03\00\03\00\01\00\1b\00/\00\1f\00O\00\b9\01\c1\03\e7\04\a7\01e\t\91\03\01\00\03\00\03\00\r\00\03\00\1d\00E\00\e3\00U\00\c9\00\8b\01\7f\0c\1d\0f+3\01\00\03\00\03\00\07\00\1d\00=\00c\00\07\00\1b\00\e3\00\b1\03i\03\db\01\0b\11\01\00\03\00\05\00\r\00\13\00\15\009\00\95\00\d9\00\bb\015\02\c5\01o\15\e5*\01\00\03\00\03\00\01\00\t\00\1b\00/\00\bf\00#\00\8b\01\95\05\ef\0f\d7\1aM\1f\01\00\03\00\05\00\0f\00\05\00+\00\t\00O\00\17\013\02e\04\d9\03\b5\1f\03\10\01\00\03\00\05\00\01\00\r\00)\00\15\00u\00\1f\01\9b\02\bd\02\cb\05\e7\1f\e33\01\00\03\00\01\00\03\00\0f\00\0f\00;\00\05\00\7f\01\fd\01y\06\89\0f\11\1e\bd*\01\00\03\00\01\00\01\00\11\00\1d\00\13\00\17\00y\01-\00\d5\03_\06\e5\r]\1a\01\00\03\00\03\00\t\00\t\003\00\t\00\c1\00Y\01i\01\8f\06\05\r\c9\02\0b\15\01\00\03\00\05\00\05\00\11\00-\00a\00\11\00\81\01]\01i\00\c5\08\7f\1c98\01\00\03\00\07\00\03\00\13\003\00#\00c\00O\00-\01\1b\06\8f\01\f7\16S9\01\00\01\00\07\00\0f\00\r\005\007\00\cb\00\a1\01\a1\00\f1\075\07k\1a\01\0e\01\00\01\00\03\00\03\00\07\00\17\00\0b\00+\00\f1\005\01\ad\05K\0c;\n[\0c\01\00\01\00\01\00\0b\00\11\00\01\00\11\00\89\00\bb\01\d1\01\e1\03\91\0c\c7\1e\0f9\01\00\01\00\07\00\r\00\1d\001\00G\00\d9\00#\01\19\03\87\00\15\00\c7\tS+\01\00\03\00\01\00\0b\00\1f\003\00y\00\e3\00y\01\9d\00\b1\05%\05\f9\15I\18\01\00\01\00\03\00\07\00\17\00=\00/\00]\00O\00i\02\r\07c\t\89\15\cf?\01\00\03\00\05\00\0b\00\17\00\19\00)\00\0b\00\ef\01K\02\c7\04#\0c\bd\05w;\01\00\03\00\07\00\07\00\t\00\01\00\01\001\00\17\00\d3\02\e1\06\85\0e\cf\1c{*\01\00\03\00\03\00\0b\00\19\00%\009\00?\005\01[\02\b7\00\1d\01\7f\06\fb\15\01\00\03\00\07\00\0b\00\13\00\19\00\19\00\c9\00\87\01\01\01\11\02m\06\01\00\07;\01\00\03\00\03\00\t\00\0b\00+\00[\00A\00\05\00\bf\03-\01\f7\03\c7\18}\r\01\00\03\00\03\00\0b\00\11\00\11\00g\00%\00M\00\cd\03?\02\b7\011\007\0e")
+ (data $2 (i32.const 32428) ",")
+ (data $2.1 (i32.const 32440) "\02\00\00\00\1c\00\00\00I\00n\00v\00a\00l\00i\00d\00 \00l\00e\00n\00g\00t\00h")
+ (data $3 (i32.const 32476) "<")
+ (data $3.1 (i32.const 32488) "\02\00\00\00&\00\00\00~\00l\00i\00b\00/\00s\00t\00a\00t\00i\00c\00a\00r\00r\00a\00y\00.\00t\00s")
+ (data $4 (i32.const 32540) "<")
+ (data $4.1 (i32.const 32552) "\02\00\00\00(\00\00\00A\00l\00l\00o\00c\00a\00t\00i\00o\00n\00 \00t\00o\00o\00 \00l\00a\00r\00g\00e")
+ (data $5 (i32.const 32604) "<")
+ (data $5.1 (i32.const 32616) "\02\00\00\00 \00\00\00~\00l\00i\00b\00/\00r\00t\00/\00i\00t\00c\00m\00s\00.\00t\00s")
+ (data $8 (i32.const 32732) "<")
+ (data $8.1 (i32.const 32744) "\02\00\00\00$\00\00\00I\00n\00d\00e\00x\00 \00o\00u\00t\00 \00o\00f\00 \00r\00a\00n\00g\00e")
+ (data $9 (i32.const 32796) ",")
+ (data $9.1 (i32.const 32808) "\02\00\00\00\14\00\00\00~\00l\00i\00b\00/\00r\00t\00.\00t\00s")
+ (data $11 (i32.const 32876) "<")
+ (data $11.1 (i32.const 32888) "\02\00\00\00\1e\00\00\00~\00l\00i\00b\00/\00r\00t\00/\00t\00l\00s\00f\00.\00t\00s")
+ (data $12 (i32.const 32940) "<")
+ (data $12.1 (i32.const 32952) "\06\00\00\00(\00\00\00\9a\99\99\99\99\99\a9?\00\00\00\00\00\00\d0?\00\00\00\00\00\00\e0?\00\00\00\00\00\00\e8?ffffff\ee?")
+ (data $13 (i32.const 33004) "<")
+ (data $13.1 (i32.const 33016) "\06\00\00\00(")
+ (data $13.2 (i32.const 33030) "\e0?\00\00\00\00\00\00\e8?\cd\cc\cc\cc\cc\cc\ec?ffffff\ee?\aeG\e1z\14\ae\ef?")
+ (data $14 (i32.const 33077) "\a0\f6?")
+ (data $14.1 (i32.const 33089) "\c8\b9\f2\82,\d6\bf\80V7($\b4\fa<\00\00\00\00\00\80\f6?")
+ (data $14.2 (i32.const 33121) "\08X\bf\bd\d1\d5\bf \f7\e0\d8\08\a5\1c\bd\00\00\00\00\00`\f6?")
+ (data $14.3 (i32.const 33153) "XE\17wv\d5\bfmP\b6\d5\a4b#\bd\00\00\00\00\00@\f6?")
+ (data $14.4 (i32.const 33185) "\f8-\87\ad\1a\d5\bf\d5g\b0\9e\e4\84\e6\bc\00\00\00\00\00 \f6?")
+ (data $14.5 (i32.const 33217) "xw\95_\be\d4\bf\e0>)\93i\1b\04\bd\00\00\00\00\00\00\f6?")
+ (data $14.6 (i32.const 33249) "`\1c\c2\8ba\d4\bf\cc\84LH/\d8\13=\00\00\00\00\00\e0\f5?")
+ (data $14.7 (i32.const 33281) "\a8\86\860\04\d4\bf:\0b\82\ed\f3B\dc<\00\00\00\00\00\c0\f5?")
+ (data $14.8 (i32.const 33313) "HiUL\a6\d3\bf`\94Q\86\c6\b1 =\00\00\00\00\00\a0\f5?")
+ (data $14.9 (i32.const 33345) "\80\98\9a\ddG\d3\bf\92\80\c5\d4MY%=\00\00\00\00\00\80\f5?")
+ (data $14.10 (i32.const 33377) " \e1\ba\e2\e8\d2\bf\d8+\b7\99\1e{&=\00\00\00\00\00`\f5?")
+ (data $14.11 (i32.const 33409) "\88\de\13Z\89\d2\bf?\b0\cf\b6\14\ca\15=\00\00\00\00\00`\f5?")
+ (data $14.12 (i32.const 33441) "\88\de\13Z\89\d2\bf?\b0\cf\b6\14\ca\15=\00\00\00\00\00@\f5?")
+ (data $14.13 (i32.const 33473) "x\cf\fbA)\d2\bfv\daS($Z\16\bd\00\00\00\00\00 \f5?")
+ (data $14.14 (i32.const 33505) "\98i\c1\98\c8\d1\bf\04T\e7h\bc\af\1f\bd\00\00\00\00\00\00\f5?")
+ (data $14.15 (i32.const 33537) "\a8\ab\ab\\g\d1\bf\f0\a8\823\c6\1f\1f=\00\00\00\00\00\e0\f4?")
+ (data $14.16 (i32.const 33569) "H\ae\f9\8b\05\d1\bffZ\05\fd\c4\a8&\bd\00\00\00\00\00\c0\f4?")
+ (data $14.17 (i32.const 33601) "\90s\e2$\a3\d0\bf\0e\03\f4~\eek\0c\bd\00\00\00\00\00\a0\f4?")
+ (data $14.18 (i32.const 33633) "\d0\b4\94%@\d0\bf\7f-\f4\9e\b86\f0\bc\00\00\00\00\00\a0\f4?")
+ (data $14.19 (i32.const 33665) "\d0\b4\94%@\d0\bf\7f-\f4\9e\b86\f0\bc\00\00\00\00\00\80\f4?")
+ (data $14.20 (i32.const 33697) "@^m\18\b9\cf\bf\87<\99\ab*W\r=\00\00\00\00\00`\f4?")
+ (data $14.21 (i32.const 33729) "`\dc\cb\ad\f0\ce\bf$\af\86\9c\b7&+=\00\00\00\00\00@\f4?")
+ (data $14.22 (i32.const 33761) "\f0*n\07\'\ce\bf\10\ff?TO/\17\bd\00\00\00\00\00 \f4?")
+ (data $14.23 (i32.const 33793) "\c0Ok!\\\cd\bf\1bh\ca\bb\91\ba!=\00\00\00\00\00\00\f4?")
+ (data $14.24 (i32.const 33825) "\a0\9a\c7\f7\8f\cc\bf4\84\9fhOy\'=\00\00\00\00\00\00\f4?")
+ (data $14.25 (i32.const 33857) "\a0\9a\c7\f7\8f\cc\bf4\84\9fhOy\'=\00\00\00\00\00\e0\f3?")
+ (data $14.26 (i32.const 33889) "\90-t\86\c2\cb\bf\8f\b7\8b1\b0N\19=\00\00\00\00\00\c0\f3?")
+ (data $14.27 (i32.const 33921) "\c0\80N\c9\f3\ca\bff\90\cd?cN\ba<\00\00\00\00\00\a0\f3?")
+ (data $14.28 (i32.const 33953) "\b0\e2\1f\bc#\ca\bf\ea\c1F\dcd\8c%\bd\00\00\00\00\00\a0\f3?")
+ (data $14.29 (i32.const 33985) "\b0\e2\1f\bc#\ca\bf\ea\c1F\dcd\8c%\bd\00\00\00\00\00\80\f3?")
+ (data $14.30 (i32.const 34017) "P\f4\9cZR\c9\bf\e3\d4\c1\04\d9\d1*\bd\00\00\00\00\00`\f3?")
+ (data $14.31 (i32.const 34049) "\d0 e\a0\7f\c8\bf\t\fa\db\7f\bf\bd+=\00\00\00\00\00@\f3?")
+ (data $14.32 (i32.const 34081) "\e0\10\02\89\ab\c7\bfXJSr\90\db+=\00\00\00\00\00@\f3?")
+ (data $14.33 (i32.const 34113) "\e0\10\02\89\ab\c7\bfXJSr\90\db+=\00\00\00\00\00 \f3?")
+ (data $14.34 (i32.const 34145) "\d0\19\e7\0f\d6\c6\bff\e2\b2\a3j\e4\10\bd\00\00\00\00\00\00\f3?")
+ (data $14.35 (i32.const 34177) "\90\a7p0\ff\c5\bf9P\10\9fC\9e\1e\bd\00\00\00\00\00\00\f3?")
+ (data $14.36 (i32.const 34209) "\90\a7p0\ff\c5\bf9P\10\9fC\9e\1e\bd\00\00\00\00\00\e0\f2?")
+ (data $14.37 (i32.const 34241) "\b0\a1\e3\e5&\c5\bf\8f[\07\90\8b\de \bd\00\00\00\00\00\c0\f2?")
+ (data $14.38 (i32.const 34273) "\80\cbl+M\c4\bf<x5a\c1\0c\17=\00\00\00\00\00\c0\f2?")
+ (data $14.39 (i32.const 34305) "\80\cbl+M\c4\bf<x5a\c1\0c\17=\00\00\00\00\00\a0\f2?")
+ (data $14.40 (i32.const 34337) "\90\1e \fcq\c3\bf:T\'M\86x\f1<\00\00\00\00\00\80\f2?")
+ (data $14.41 (i32.const 34369) "\f0\1f\f8R\95\c2\bf\08\c4q\170\8d$\bd\00\00\00\00\00`\f2?")
+ (data $14.42 (i32.const 34401) "`/\d5*\b7\c1\bf\96\a3\11\18\a4\80.\bd\00\00\00\00\00`\f2?")
+ (data $14.43 (i32.const 34433) "`/\d5*\b7\c1\bf\96\a3\11\18\a4\80.\bd\00\00\00\00\00@\f2?")
+ (data $14.44 (i32.const 34465) "\90\d0|~\d7\c0\bf\f4[\e8\88\96i\n=\00\00\00\00\00@\f2?")
+ (data $14.45 (i32.const 34497) "\90\d0|~\d7\c0\bf\f4[\e8\88\96i\n=\00\00\00\00\00 \f2?")
+ (data $14.46 (i32.const 34529) "\e0\db1\91\ec\bf\bf\f23\a3\\Tu%\bd\00\00\00\00\00\00\f2?")
+ (data $14.47 (i32.const 34562) "+n\07\'\be\bf<\00\f0*,4*=\00\00\00\00\00\00\f2?")
+ (data $14.48 (i32.const 34594) "+n\07\'\be\bf<\00\f0*,4*=\00\00\00\00\00\e0\f1?")
+ (data $14.49 (i32.const 34625) "\c0[\8fT^\bc\bf\06\be_XW\0c\1d\bd\00\00\00\00\00\c0\f1?")
+ (data $14.50 (i32.const 34657) "\e0J:m\92\ba\bf\c8\aa[\e859%=\00\00\00\00\00\c0\f1?")
+ (data $14.51 (i32.const 34689) "\e0J:m\92\ba\bf\c8\aa[\e859%=\00\00\00\00\00\a0\f1?")
+ (data $14.52 (i32.const 34721) "\a01\d6E\c3\b8\bfhV/M)|\13=\00\00\00\00\00\a0\f1?")
+ (data $14.53 (i32.const 34753) "\a01\d6E\c3\b8\bfhV/M)|\13=\00\00\00\00\00\80\f1?")
+ (data $14.54 (i32.const 34785) "`\e5\8a\d2\f0\b6\bf\das3\c97\97&\bd\00\00\00\00\00`\f1?")
+ (data $14.55 (i32.const 34817) " \06?\07\1b\b5\bfW^\c6a[\02\1f=\00\00\00\00\00`\f1?")
+ (data $14.56 (i32.const 34849) " \06?\07\1b\b5\bfW^\c6a[\02\1f=\00\00\00\00\00@\f1?")
+ (data $14.57 (i32.const 34881) "\e0\1b\96\d7A\b3\bf\df\13\f9\cc\da^,=\00\00\00\00\00@\f1?")
+ (data $14.58 (i32.const 34913) "\e0\1b\96\d7A\b3\bf\df\13\f9\cc\da^,=\00\00\00\00\00 \f1?")
+ (data $14.59 (i32.const 34945) "\80\a3\ee6e\b1\bf\t\a3\8fv^|\14=\00\00\00\00\00\00\f1?")
+ (data $14.60 (i32.const 34977) "\80\11\c00\n\af\bf\91\8e6\83\9eY-=\00\00\00\00\00\00\f1?")
+ (data $14.61 (i32.const 35009) "\80\11\c00\n\af\bf\91\8e6\83\9eY-=\00\00\00\00\00\e0\f0?")
+ (data $14.62 (i32.const 35041) "\80\19q\ddB\ab\bfLp\d6\e5z\82\1c=\00\00\00\00\00\e0\f0?")
+ (data $14.63 (i32.const 35073) "\80\19q\ddB\ab\bfLp\d6\e5z\82\1c=\00\00\00\00\00\c0\f0?")
+ (data $14.64 (i32.const 35105) "\c02\f6Xt\a7\bf\ee\a1\f24F\fc,\bd\00\00\00\00\00\c0\f0?")
+ (data $14.65 (i32.const 35137) "\c02\f6Xt\a7\bf\ee\a1\f24F\fc,\bd\00\00\00\00\00\a0\f0?")
+ (data $14.66 (i32.const 35169) "\c0\fe\b9\87\9e\a3\bf\aa\fe&\f5\b7\02\f5<\00\00\00\00\00\a0\f0?")
+ (data $14.67 (i32.const 35201) "\c0\fe\b9\87\9e\a3\bf\aa\fe&\f5\b7\02\f5<\00\00\00\00\00\80\f0?")
+ (data $14.68 (i32.const 35234) "x\0e\9b\82\9f\bf\e4\t~|&\80)\bd\00\00\00\00\00\80\f0?")
+ (data $14.69 (i32.const 35266) "x\0e\9b\82\9f\bf\e4\t~|&\80)\bd\00\00\00\00\00`\f0?")
+ (data $14.70 (i32.const 35297) "\80\d5\07\1b\b9\97\bf9\a6\fa\93T\8d(\bd\00\00\00\00\00@\f0?")
+ (data $14.71 (i32.const 35330) "\fc\b0\a8\c0\8f\bf\9c\a6\d3\f6|\1e\df\bc\00\00\00\00\00@\f0?")
+ (data $14.72 (i32.const 35362) "\fc\b0\a8\c0\8f\bf\9c\a6\d3\f6|\1e\df\bc\00\00\00\00\00 \f0?")
+ (data $14.73 (i32.const 35394) "\10k*\e0\7f\bf\e4@\da\r?\e2\19\bd\00\00\00\00\00 \f0?")
+ (data $14.74 (i32.const 35426) "\10k*\e0\7f\bf\e4@\da\r?\e2\19\bd\00\00\00\00\00\00\f0?")
+ (data $14.75 (i32.const 35478) "\f0?")
+ (data $14.76 (i32.const 35509) "\c0\ef?")
+ (data $14.77 (i32.const 35522) "\89u\15\10\80?\e8+\9d\99k\c7\10\bd\00\00\00\00\00\80\ef?")
+ (data $14.78 (i32.const 35553) "\80\93XV \90?\d2\f7\e2\06[\dc#\bd\00\00\00\00\00@\ef?")
+ (data $14.79 (i32.const 35586) "\c9(%I\98?4\0cZ2\ba\a0*\bd\00\00\00\00\00\00\ef?")
+ (data $14.80 (i32.const 35617) "@\e7\89]A\a0?S\d7\f1\\\c0\11\01=\00\00\00\00\00\c0\ee?")
+ (data $14.81 (i32.const 35650) ".\d4\aef\a4?(\fd\bdus\16,\bd\00\00\00\00\00\80\ee?")
+ (data $14.82 (i32.const 35681) "\c0\9f\14\aa\94\a8?}&Z\d0\95y\19\bd\00\00\00\00\00@\ee?")
+ (data $14.83 (i32.const 35713) "\c0\dd\cds\cb\ac?\07(\d8G\f2h\1a\bd\00\00\00\00\00 \ee?")
+ (data $14.84 (i32.const 35745) "\c0\06\c01\ea\ae?{;\c9O>\11\0e\bd\00\00\00\00\00\e0\ed?")
+ (data $14.85 (i32.const 35777) "`F\d1;\97\b1?\9b\9e\rV]2%\bd\00\00\00\00\00\a0\ed?")
+ (data $14.86 (i32.const 35809) "\e0\d1\a7\f5\bd\b3?\d7N\db\a5^\c8,=\00\00\00\00\00`\ed?")
+ (data $14.87 (i32.const 35841) "\a0\97MZ\e9\b5?\1e\1d]<\06i,\bd\00\00\00\00\00@\ed?")
+ (data $14.88 (i32.const 35873) "\c0\ea\n\d3\00\b7?2\ed\9d\a9\8d\1e\ec<\00\00\00\00\00\00\ed?")
+ (data $14.89 (i32.const 35905) "@Y]^3\b9?\daG\bd:\\\11#=\00\00\00\00\00\c0\ec?")
+ (data $14.90 (i32.const 35937) "`\ad\8d\c8j\bb?\e5h\f7+\80\90\13\bd\00\00\00\00\00\a0\ec?")
+ (data $14.91 (i32.const 35969) "@\bc\01X\88\bc?\d3\acZ\c6\d1F&=\00\00\00\00\00`\ec?")
+ (data $14.92 (i32.const 36001) " \n\839\c7\be?\e0E\e6\afh\c0-\bd\00\00\00\00\00@\ec?")
+ (data $14.93 (i32.const 36033) "\e0\db9\91\e8\bf?\fd\n\a1O\d64%\bd\00\00\00\00\00\00\ec?")
+ (data $14.94 (i32.const 36065) "\e0\'\82\8e\17\c1?\f2\07-\cex\ef!=\00\00\00\00\00\e0\eb?")
+ (data $14.95 (i32.const 36097) "\f0#~+\aa\c1?4\998D\8e\a7,=\00\00\00\00\00\a0\eb?")
+ (data $14.96 (i32.const 36129) "\80\86\0ca\d1\c2?\a1\b4\81\cbl\9d\03=\00\00\00\00\00\80\eb?")
+ (data $14.97 (i32.const 36161) "\90\15\b0\fce\c3?\89rK#\a8/\c6<\00\00\00\00\00@\eb?")
+ (data $14.98 (i32.const 36193) "\b03\83=\91\c4?x\b6\fdTy\83%=\00\00\00\00\00 \eb?")
+ (data $14.99 (i32.const 36225) "\b0\a1\e4\e5\'\c5?\c7}i\e5\e83&=\00\00\00\00\00\e0\ea?")
+ (data $14.100 (i32.const 36257) "\10\8c\beNW\c6?x.<,\8b\cf\19=\00\00\00\00\00\c0\ea?")
+ (data $14.101 (i32.const 36289) "pu\8b\12\f0\c6?\e1!\9c\e5\8d\11%\bd\00\00\00\00\00\a0\ea?")
+ (data $14.102 (i32.const 36321) "PD\85\8d\89\c7?\05C\91p\10f\1c\bd\00\00\00\00\00`\ea?")
+ (data $14.103 (i32.const 36354) "9\eb\af\be\c8?\d1,\e9\aaT=\07\bd\00\00\00\00\00@\ea?")
+ (data $14.104 (i32.const 36386) "\f7\dcZZ\c9?o\ff\a0X(\f2\07=\00\00\00\00\00\00\ea?")
+ (data $14.105 (i32.const 36417) "\e0\8a<\ed\93\ca?i!VPCr(\bd\00\00\00\00\00\e0\e9?")
+ (data $14.106 (i32.const 36449) "\d0[W\d81\cb?\aa\e1\acN\8d5\0c\bd\00\00\00\00\00\c0\e9?")
+ (data $14.107 (i32.const 36481) "\e0;8\87\d0\cb?\b6\12TY\c4K-\bd\00\00\00\00\00\a0\e9?")
+ (data $14.108 (i32.const 36513) "\10\f0\c6\fbo\cc?\d2+\96\c5r\ec\f1\bc\00\00\00\00\00`\e9?")
+ (data $14.109 (i32.const 36545) "\90\d4\b0=\b1\cd?5\b0\15\f7*\ff*\bd\00\00\00\00\00@\e9?")
+ (data $14.110 (i32.const 36577) "\10\e7\ff\0eS\ce?0\f4A`\'\12\c2<\00\00\00\00\00 \e9?")
+ (data $14.111 (i32.const 36610) "\dd\e4\ad\f5\ce?\11\8e\bbe\15!\ca\bc\00\00\00\00\00\00\e9?")
+ (data $14.112 (i32.const 36641) "\b0\b3l\1c\99\cf?0\df\0c\ca\ec\cb\1b=\00\00\00\00\00\c0\e8?")
+ (data $14.113 (i32.const 36673) "XM`8q\d0?\91N\ed\16\db\9c\f8<\00\00\00\00\00\a0\e8?")
+ (data $14.114 (i32.const 36705) "`ag-\c4\d0?\e9\ea<\16\8b\18\'=\00\00\00\00\00\80\e8?")
+ (data $14.115 (i32.const 36737) "\e8\'\82\8e\17\d1?\1c\f0\a5c\0e!,\bd\00\00\00\00\00`\e8?")
+ (data $14.116 (i32.const 36769) "\f8\ac\cb\\k\d1?\81\16\a5\f7\cd\9a+=\00\00\00\00\00@\e8?")
+ (data $14.117 (i32.const 36801) "hZc\99\bf\d1?\b7\bdGQ\ed\a6,=\00\00\00\00\00 \e8?")
+ (data $14.118 (i32.const 36833) "\b8\0emE\14\d2?\ea\baF\ba\de\87\n=\00\00\00\00\00\e0\e7?")
+ (data $14.119 (i32.const 36865) "\90\dc|\f0\be\d2?\f4\04PJ\fa\9c*=\00\00\00\00\00\c0\e7?")
+ (data $14.120 (i32.const 36897) "`\d3\e1\f1\14\d3?\b8<!\d3z\e2(\bd\00\00\00\00\00\a0\e7?")
+ (data $14.121 (i32.const 36929) "\10\bevgk\d3?\c8w\f1\b0\cdn\11=\00\00\00\00\00\80\e7?")
+ (data $14.122 (i32.const 36961) "03wR\c2\d3?\\\bd\06\b6T;\18=\00\00\00\00\00`\e7?")
+ (data $14.123 (i32.const 36993) "\e8\d5#\b4\19\d4?\9d\e0\90\ec6\e4\08=\00\00\00\00\00@\e7?")
+ (data $14.124 (i32.const 37025) "\c8q\c2\8dq\d4?u\d6g\t\ce\'/\bd\00\00\00\00\00 \e7?")
+ (data $14.125 (i32.const 37057) "0\17\9e\e0\c9\d4?\a4\d8\n\1b\89 .\bd\00\00\00\00\00\00\e7?")
+ (data $14.126 (i32.const 37089) "\a08\07\ae\"\d5?Y\c7d\81p\be.=\00\00\00\00\00\e0\e6?")
+ (data $14.127 (i32.const 37121) "\d0\c8S\f7{\d5?\ef@]\ee\ed\ad\1f=\00\00\00\00\00\c0\e6?")
+ (data $14.128 (i32.const 37153) "`Y\df\bd\d5\d5?\dce\a4\08*\0b\n\bd")
+ (data $15 (i32.const 37182) "\f0?n\bf\88\1aO;\9b<53\fb\a9=\f6\ef?]\dc\d8\9c\13`q\bca\80w>\9a\ec\ef?\d1f\87\10z^\90\bc\85\7fn\e8\15\e3\ef?\13\f6g5R\d2\8c<t\85\15\d3\b0\d9\ef?\fa\8e\f9#\80\ce\8b\bc\de\f6\dd)k\d0\ef?a\c8\e6aN\f7`<\c8\9bu\18E\c7\ef?\99\d33[\e4\a3\90<\83\f3\c6\ca>\be\ef?m{\83]\a6\9a\97<\0f\89\f9lX\b5\ef?\fc\ef\fd\92\1a\b5\8e<\f7Gr+\92\ac\ef?\d1\9c/p=\be><\a2\d1\d32\ec\a3\ef?\0bn\90\894\03j\bc\1b\d3\fe\aff\9b\ef?\0e\bd/*RV\95\bcQ[\12\d0\01\93\ef?U\eaN\8c\ef\80P\bc\cc1l\c0\bd\8a\ef?\16\f4\d5\b9#\c9\91\bc\e0-\a9\ae\9a\82\ef?\afU\\\e9\e3\d3\80<Q\8e\a5\c8\98z\ef?H\93\a5\ea\15\1b\80\bc{Q}<\b8r\ef?=2\deU\f0\1f\8f\bc\ea\8d\8c8\f9j\ef?\bfS\13?\8c\89\8b<u\cbo\eb[c\ef?&\eb\11v\9c\d9\96\bc\d4\\\04\84\e0[\ef?`/:>\f7\ec\9a<\aa\b9h1\87T\ef?\9d8\86\cb\82\e7\8f\bc\1d\d9\fc\"PM\ef?\8d\c3\a6DAo\8a<\d6\8cb\88;F\ef?}\04\e4\b0\05z\80<\96\dc}\91I?\ef?\94\a8\a8\e3\fd\8e\96<8bunz8\ef?}Ht\f2\18^\87<?\a6\b2O\ce1\ef?\f2\e7\1f\98+G\80<\dd|\e2eE+\ef?^\08q?{\b8\96\bc\81c\f5\e1\df$\ef?1\ab\tm\e1\f7\82<\e1\de\1f\f5\9d\1e\ef?\fa\bfo\1a\9b!=\bc\90\d9\da\d0\7f\18\ef?\b4\n\0cr\827\8b<\0b\03\e4\a6\85\12\ef?\8f\cb\ce\89\92\14n<V/>\a9\af\0c\ef?\b6\ab\b0MuM\83<\15\b71\n\fe\06\ef?Lt\ac\e2\01B\86<1\d8L\fcp\01\ef?J\f8\d3]9\dd\8f<\ff\16d\b2\08\fc\ee?\04[\8e;\80\a3\86\bc\f1\9f\92_\c5\f6\ee?hPK\cc\edJ\92\bc\cb\a9:7\a7\f1\ee?\8e-Q\1b\f8\07\99\bcf\d8\05m\ae\ec\ee?\d26\94>\e8\d1q\bc\f7\9f\e54\db\e7\ee?\15\1b\ce\b3\19\19\99\bc\e5\a8\13\c3-\e3\ee?mL*\a7H\9f\85<\"4\12L\a6\de\ee?\8ai(z`\12\93\bc\1c\80\ac\04E\da\ee?[\89\17H\8f\a7X\bc*.\f7!\n\d6\ee?\1b\9aIg\9b,|\bc\97\a8P\d9\f5\d1\ee?\11\ac\c2`\edcC<-\89a`\08\ce\ee?\efd\06;\tf\96<W\00\1d\edA\ca\ee?y\03\a1\da\e1\ccn<\d0<\c1\b5\a2\c6\ee?0\12\0f?\8e\ff\93<\de\d3\d7\f0*\c3\ee?\b0\afz\bb\ce\90v<\'*6\d5\da\bf\ee?w\e0T\eb\bd\1d\93<\r\dd\fd\99\b2\bc\ee?\8e\a3q\004\94\8f\bc\a7,\9dv\b2\b9\ee?I\a3\93\dc\cc\de\87\bcBf\cf\a2\da\b6\ee?_8\0f\bd\c6\dex\bc\82O\9dV+\b4\ee?\f6\\{\ecF\12\86\bc\0f\92]\ca\a4\b1\ee?\8e\d7\fd\18\055\93<\da\'\b56G\af\ee?\05\9b\8a/\b7\98{<\fd\c7\97\d4\12\ad\ee?\tT\1c\e2\e1c\90<)TH\dd\07\ab\ee?\ea\c6\19P\85\c74<\b7FY\8a&\a9\ee?5\c0d+\e62\94<H!\ad\15o\a7\ee?\9fv\99aJ\e4\8c\bc\t\dcv\b9\e1\a5\ee?\a8M\ef;\c53\8c\bc\85U:\b0~\a4\ee?\ae\e9+\89xS\84\bc \c3\cc4F\a3\ee?XXVx\dd\ce\93\bc%\"U\828\a2\ee?d\19~\80\aa\10W<s\a9L\d4U\a1\ee?(\"^\bf\ef\b3\93\bc\cd;\7ff\9e\a0\ee?\82\b94\87\ad\12j\bc\bf\da\0bu\12\a0\ee?\ee\a9m\b8\efgc\bc/\1ae<\b2\9f\ee?Q\88\e0T=\dc\80\bc\84\94Q\f9}\9f\ee?\cf>Z~d\1fx\bct_\ec\e8u\9f\ee?\b0}\8b\c0J\ee\86\bct\81\a5H\9a\9f\ee?\8a\e6U\1e2\19\86\bc\c9gBV\eb\9f\ee?\d3\d4\t^\cb\9c\90<?]\deOi\a0\ee?\1d\a5M\b9\dc2{\bc\87\01\ebs\14\a1\ee?k\c0gT\fd\ec\94<2\c10\01\ed\a1\ee?Ul\d6\ab\e1\ebe<bN\cf6\f3\a2\ee?B\cf\b3/\c5\a1\88\bc\12\1a>T\'\a4\ee?47;\f1\b6i\93\bc\13\ceL\99\89\a5\ee?\1e\ff\19:\84^\80\bc\ad\c7#F\1a\a7\ee?nWr\d8P\d4\94\bc\ed\92D\9b\d9\a8\ee?\00\8a\0e[g\ad\90<\99f\8a\d9\c7\aa\ee?\b4\ea\f0\c1/\b7\8d<\db\a0*B\e5\ac\ee?\ff\e7\c5\9c`\b6e\bc\8cD\b5\162\af\ee?D_\f3Y\83\f6{<6w\15\99\ae\b1\ee?\83=\1e\a7\1f\t\93\bc\c6\ff\91\0b[\b4\ee?)\1el\8b\b8\a9]\bc\e5\c5\cd\b07\b7\ee?Y\b9\90|\f9#l\bc\0fR\c8\cbD\ba\ee?\aa\f9\f4\"CC\92\bcPN\de\9f\82\bd\ee?K\8ef\d7l\ca\85\bc\ba\07\cap\f1\c0\ee?\'\ce\91+\fc\afq<\90\f0\a3\82\91\c4\ee?\bbs\n\e15\d2m<##\e3\19c\c8\ee?c\"b\"\04\c5\87\bce\e5]{f\cc\ee?\d51\e2\e3\86\1c\8b<3-J\ec\9b\d0\ee?\15\bb\bc\d3\d1\bb\91\bc]%>\b2\03\d5\ee?\d21\ee\9c1\cc\90<X\b30\13\9e\d9\ee?\b3Zsn\84i\84<\bf\fdyUk\de\ee?\b4\9d\8e\97\cd\df\82\bcz\f3\d3\bfk\e3\ee?\873\cb\92w\1a\8c<\ad\d3Z\99\9f\e8\ee?\fa\d9\d1J\8f{\90\bcf\b6\8d)\07\ee\ee?\ba\ae\dcV\d9\c3U\bc\fb\15O\b8\a2\f3\ee?@\f6\a6=\0e\a4\90\bc:Y\e5\8dr\f9\ee?4\93\ad8\f4\d6h\bcG^\fb\f2v\ff\ee?5\8aXk\e2\ee\91\bcJ\06\a10\b0\05\ef?\cd\dd_\n\d7\fft<\d2\c1K\90\1e\0c\ef?\ac\98\92\fa\fb\bd\91\bc\t\1e\d7[\c2\12\ef?\b3\0c\af0\aens<\9cR\85\dd\9b\19\ef?\94\fd\9f\\2\e3\8e<z\d0\ff_\ab \ef?\acY\t\d1\8f\e0\84<K\d1W.\f1\'\ef?g\1aN8\af\cdc<\b5\e7\06\94m/\ef?h\19\92l,kg<i\90\ef\dc 7\ef?\d2\b5\cc\83\18\8a\80\bc\fa\c3]U\0b?\ef?o\fa\ff?]\ad\8f\bc|\89\07J-G\ef?I\a9u8\ae\r\90\bc\f2\89\r\08\87O\ef?\a7\07=\a6\85\a3t<\87\a4\fb\dc\18X\ef?\0f\"@ \9e\91\82\bc\98\83\c9\16\e3`\ef?\ac\92\c1\d5PZ\8e<\852\db\03\e6i\ef?Kk\01\acY:\84<`\b4\01\f3!s\ef?\1f>\b4\07!\d5\82\bc_\9b{3\97|\ef?\c9\rG;\b9*\89\bc)\a1\f5\14F\86\ef?\d3\88:`\04\b6t<\f6?\8b\e7.\90\ef?qr\9dQ\ec\c5\83<\83L\c7\fbQ\9a\ef?\f0\91\d3\8f\12\f7\8f\bc\da\90\a4\a2\af\a4\ef?}t#\e2\98\ae\8d\bc\f1g\8e-H\af\ef?\08 \aaA\bc\c3\8e<\'Za\ee\1b\ba\ef?2\eb\a9\c3\94+\84<\97\bak7+\c5\ef?\ee\85\d11\a9d\8a<@En[v\d0\ef?\ed\e3;\e4\ba7\8e\bc\14\be\9c\ad\fd\db\ef?\9d\cd\91M;\89w<\d8\90\9e\81\c1\e7\ef?\89\cc`A\c1\05S<\f1q\8f+\c2\f3\ef?")
+ (data $16 (i32.const 39216) "\9f\de\e0\c3\f04\f7?\00\90\e6y\7f\cc\d7\bf\1f\e9,jx\13\f7?\00\00\r\c2\eeo\d7\bf\a0\b5\fa\08`\f2\f6?\00\e0Q\13\e3\13\d7\bf}\8c\13\1f\a6\d1\f6?\00x(8[\b8\d6\bf\d1\b4\c5\0bI\b1\f6?\00x\80\90U]\d6\bf\ba\0c/3G\91\f6?\00\00\18v\d0\02\d6\bf#B\"\18\9fq\f6?\00\90\90\86\ca\a8\d5\bf\d9\1e\a5\99OR\f6?\00P\03VCO\d5\bf\c4$\8f\aaV3\f6?\00@k\c37\f6\d4\bf\14\dc\9dk\b3\14\f6?\00P\a8\fd\a7\9d\d4\bfL\\\c6Rd\f6\f5?\00\a8\899\92E\d4\bfO,\91\b5g\d8\f5?\00\b8\b09\f4\ed\d3\bf\de\90[\cb\bc\ba\f5?\00p\8fD\ce\96\d3\bfx\1a\d9\f2a\9d\f5?\00\a0\bd\17\1e@\d3\bf\87VF\12V\80\f5?\00\80F\ef\e2\e9\d2\bf\d3k\e7\ce\97c\f5?\00\e008\1b\94\d2\bf\93\7f\a7\e2%G\f5?\00\88\da\8c\c5>\d2\bf\83E\06B\ff*\f5?\00\90\')\e1\e9\d1\bf\df\bd\b2\db\"\0f\f5?\00\f8H+m\95\d1\bf\d7\de4G\8f\f3\f4?\00\f8\b9\9agA\d1\bf@(\de\cfC\d8\f4?\00\98\ef\94\d0\ed\d0\bf\c8\a3x\c0>\bd\f4?\00\10\db\18\a5\9a\d0\bf\8a%\e0\c3\7f\a2\f4?\00\b8cR\e6G\d0\bf4\84\d4$\05\88\f4?\00\f0\86E\"\eb\cf\bf\0b-\19\1b\cem\f4?\00\b0\17uJG\cf\bfT\189\d3\d9S\f4?\000\10=D\a4\ce\bfZ\84\b4D\':\f4?\00\b0\e9D\r\02\ce\bf\fb\f8\15A\b5 \f4?\00\f0w)\a2`\cd\bf\b1\f4>\da\82\07\f4?\00\90\95\04\01\c0\cc\bf\8f\feW]\8f\ee\f3?\00\10\89V) \cc\bf\e9L\0b\a0\d9\d5\f3?\00\10\81\8d\17\81\cb\bf+\c1\10\c0`\bd\f3?\00\d0\d3\cc\c9\e2\ca\bf\b8\dau+$\a5\f3?\00\90\12.@E\ca\bf\02\d0\9f\cd\"\8d\f3?\00\f0\1dhw\a8\c9\bf\1cz\84\c5[u\f3?\000Him\0c\c9\bf\e26\adI\ce]\f3?\00\c0E\a6 q\c8\bf@\d4M\98yF\f3?\000\14\b4\8f\d6\c7\bf$\cb\ff\ce\\/\f3?\00pb<\b8<\c7\bfI\r\a1uw\18\f3?\00`7\9b\9a\a3\c6\bf\909>7\c8\01\f3?\00\a0\b7T1\0b\c6\bfA\f8\95\bbN\eb\f2?\000$v}s\c5\bf\d1\a9\19\02\n\d5\f2?\000\c2\8f{\dc\c4\bf*\fd\b7\a8\f9\be\f2?\00\00\d2Q,F\c4\bf\ab\1b\0cz\1c\a9\f2?\00\00\83\bc\8a\b0\c3\bf0\b5\14`r\93\f2?\00\00Ik\99\1b\c3\bf\f5\a1WW\fa}\f2?\00@\a4\90T\87\c2\bf\bf;\1d\9b\b3h\f2?\00\a0y\f8\b9\f3\c1\bf\bd\f5\8f\83\9dS\f2?\00\a0,%\c8`\c1\bf;\08\c9\aa\b7>\f2?\00 \f7W\7f\ce\c0\bf\b6@\a9+\01*\f2?\00\a0\feI\dc<\c0\bf2A\cc\96y\15\f2?\00\80K\bc\bdW\bf\bf\9b\fc\d2\1d \01\f2?\00@@\96\087\be\bf\0bHMI\f4\ec\f1?\00@\f9>\98\17\bd\bfie\8fR\f5\d8\f1?\00\a0\d8Ng\f9\bb\bf|~W\11#\c5\f1?\00`/ y\dc\ba\bf\e9&\cbt|\b1\f1?\00\80(\e7\c3\c0\b9\bf\b6\1a,\0c\01\9e\f1?\00\c0r\b3F\a6\b8\bf\bdp\b6{\b0\8a\f1?\00\00\ac\b3\01\8d\b7\bf\b6\bc\ef%\8aw\f1?\00\008E\f1t\b6\bf\da1L5\8dd\f1?\00\80\87m\0e^\b5\bf\dd_\'\90\b9Q\f1?\00\e0\a1\de\\H\b4\bfL\d22\a4\0e?\f1?\00\a0jM\d93\b3\bf\da\f9\10r\8b,\f1?\00`\c5\f8y \b2\bf1\b5\ec(0\1a\f1?\00 b\98F\0e\b1\bf\af4\84\da\fb\07\f1?\00\00\d2jl\fa\af\bf\b3kN\0f\ee\f5\f0?\00@wJ\8d\da\ad\bf\ce\9f*]\06\e4\f0?\00\00\85\e4\ec\bc\ab\bf!\a5,cD\d2\f0?\00\c0\12@\89\a1\a9\bf\1a\98\e2|\a7\c0\f0?\00\c0\023X\88\a7\bf\d16\c6\83/\af\f0?\00\80\d6g^q\a5\bf9\13\a0\98\db\9d\f0?\00\80eI\8a\\\a3\bf\df\e7R\af\ab\8c\f0?\00@\15d\e3I\a1\bf\fb(N/\9f{\f0?\00\80\eb\82\c0r\9e\bf\19\8f5\8c\b5j\f0?\00\80RR\f1U\9a\bf,\f9\ec\a5\eeY\f0?\00\80\81\cfb=\96\bf\90,\d1\cdII\f0?\00\00\aa\8c\fb(\92\bf\a9\ad\f0\c6\c68\f0?\00\00\f9 {1\8c\bf\a92y\13e(\f0?\00\00\aa]5\19\84\bfHs\ea\'$\18\f0?\00\00\ec\c2\03\12x\bf\95\b1\14\06\04\08\f0?\00\00$y\t\04`\bf\1a\fa&\f7\1f\e0\ef?\00\00\90\84\f3\efo?t\eaa\c2\1c\a1\ef?\00\00=5A\dc\87?.\99\81\b0\10c\ef?\00\80\c2\c4\a3\ce\93?\cd\ad\ee<\f6%\ef?\00\00\89\14\c1\9f\9b?\e7\13\91\03\c8\e9\ee?\00\00\11\ce\d8\b0\a1?\ab\b1\cbx\80\ae\ee?\00\c0\01\d0[\8a\a5?\9b\0c\9d\a2\1at\ee?\00\80\d8@\83\\\a9?\b5\99\n\83\91:\ee?\00\80W\efj\'\ad?V\9a`\t\e0\01\ee?\00\c0\98\e5\98u\b0?\98\bbw\e5\01\ca\ed?\00 \r\e3\f5S\b2?\03\91|\0b\f2\92\ed?\00\008\8b\dd.\b4?\ce\\\fbf\ac\\\ed?\00\c0W\87Y\06\b6?\9d\de^\aa,\'\ed?\00\00j5v\da\b7?\cd,k>n\f2\ec?\00`\1cNC\ab\b9?\02y\a7\a2m\be\ec?\00`\r\bb\c7x\bb?m\087m&\8b\ec?\00 \e72\13C\bd?\04X]\bd\94X\ec?\00`\deq1\n\bf?\8c\9f\bb3\b5&\ec?\00@\91+\15g\c0??\e7\ec\ee\83\f5\eb?\00\b0\92\82\85G\c1?\c1\96\dbu\fd\c4\eb?\000\ca\cdn&\c2?(J\86\0c\1e\95\eb?\00P\c5\a6\d7\03\c3?,>\ef\c5\e2e\eb?\00\103<\c3\df\c3?\8b\88\c9gH7\eb?\00\80zk6\ba\c4?J0\1d!K\t\eb?\00\f0\d1(9\93\c5?~\ef\f2\85\e8\db\ea?\00\f0\18$\cdj\c6?\a2=`1\1d\af\ea?\00\90f\ec\f8@\c7?\a7X\d3?\e6\82\ea?\00\f0\1a\f5\c0\15\c8?\8bs\t\ef@W\ea?\00\80\f6T)\e9\c8?\'K\ab\90*,\ea?\00@\f8\026\bb\c9?\d1\f2\93\13\a0\01\ea?\00\00,\1c\ed\8b\ca?\1b<\db$\9f\d7\e9?\00\d0\01\\Q[\cb?\90\b1\c7\05%\ae\e9?\00\c0\bc\ccg)\cc?/\ce\97\f2.\85\e9?\00`H\d55\f6\cc?uK\a4\ee\ba\\\e9?\00\c0F4\bd\c1\cd?8H\e7\9d\c64\e9?\00\e0\cf\b8\01\8c\ce?\e6Rg/O\r\e9?\00\90\17\c0\tU\cf?\9d\d7\ff\8eR\e6\e8?\00\b8\1f\12l\0e\d0?|\00\cc\9f\ce\bf\e8?\00\d0\93\0e\b8q\d0?\0e\c3\be\da\c0\99\e8?\00p\86\9ek\d4\d0?\fb\17#\aa\'t\e8?\00\d0K3\876\d1?\08\9a\b3\ac\00O\e8?\00H#g\r\98\d1?U>e\e8I*\e8?\00\80\cc\e0\ff\f8\d1?`\02\f4\95\01\06\e8?\00hc\d7_Y\d2?)\a3\e0c%\e2\e7?\00\a8\14\t0\b9\d2?\ad\b5\dcw\b3\be\e7?\00`C\10r\18\d3?\c2%\97g\aa\9b\e7?\00\18\ecm&w\d3?W\06\17\f2\07y\e7?\000\af\fbO\d5\d3?\0c\13\d6\db\caV\e7?\00\e0/\e3\ee2\d4?")
+ (data $17 (i32.const 41264) "k\b6O\01\00\10\e6?<[B\91l\02~<\95\b4M\03\000\e6?A]\00H\ea\bf\8d<x\d4\94\r\00P\e6?\b7\a5\d6\86\a7\7f\8e<\adoN\07\00p\e6?L%Tk\ea\fca<\ae\0f\df\fe\ff\8f\e6?\fd\0eYL\'~|\bc\bc\c5c\07\00\b0\e6?\01\da\dcHh\c1\8a\bc\f6\c1\\\1e\00\d0\e6?\11\93I\9d\1c?\83<>\f6\05\eb\ff\ef\e6?S-\e2\1a\04\80~\bc\80\97\86\0e\00\10\e7?Ry\tqf\ff{<\12\e9g\fc\ff/\e7?$\87\bd&\e2\00\8c<j\11\81\df\ffO\e7?\d2\01\f1n\91\02n\bc\90\9cg\0f\00p\e7?t\9cT\cdq\fcg\bc5\c8~\fa\ff\8f\e7?\83\04\f5\9e\c1\be\81<\e6\c2 \fe\ff\af\e7?ed\cc)\17~p\bc\00\c9?\ed\ff\cf\e7?\1c\8b{\08r\80\80\bcv\1a&\e9\ff\ef\e7?\ae\f9\9dm(\c0\8d<\e8\a3\9c\04\00\10\e8?3L\e5Q\d2\7f\89<\8f,\93\17\000\e8?\81\f30\b6\e9\fe\8a\bc\9cs3\06\00P\e8?\bc5ek\bf\bf\89<\c6\89B \00p\e8?u{\11\f3e\bf\8b\bc\04y\f5\eb\ff\8f\e8?W\cb=\a2n\00\89\bc\df\04\bc\"\00\b0\e8?\nK\e08\df\00}\bc\8a\1b\0c\e5\ff\cf\e8?\05\9f\ffFq\00\88\bcC\8e\91\fc\ff\ef\e8?8pz\d0{\81\83<\c7_\fa\1e\00\10\e9?\03\b4\dfv\91>\89<\b9{F\13\000\e9?v\02\98KN\80\7f<o\07\ee\e6\ffO\e9?.b\ff\d9\f0~\8f\bc\d1\12<\de\ffo\e9?\ba8&\96\aa\82p\bc\r\8aE\f4\ff\8f\e9?\ef\a8d\91\1b\80\87\bc>.\98\dd\ff\af\e9?7\93Z\8a\e0@\87\bcf\fbI\ed\ff\cf\e9?\00\e0\9b\c1\08\ce?<Q\9c\f1 \00\f0\e9?\n[\88\'\aa?\8a\bc\06\b0E\11\00\10\ea?V\daX\99H\fft<\fa\f6\bb\07\000\ea?\18m+\8a\ab\be\8c<y\1d\97\10\00P\ea?0yx\dd\ca\fe\88<H.\f5\1d\00p\ea?\db\ab\d8=vA\8f\bcR3Y\1c\00\90\ea?\12v\c2\84\02\bf\8e\bcK>O*\00\b0\ea?_?\ff<\04\fdi\bc\d1\1e\ae\d7\ff\cf\ea?\b4p\90\12\e7>\82\bcx\04Q\ee\ff\ef\ea?\a3\de\0e\e0>\06j<[\re\db\ff\0f\eb?\b9\n\1f8\c8\06Z<W\ca\aa\fe\ff/\eb?\1d<#t\1e\01y\bc\dc\ba\95\d9\ffO\eb?\9f*\86h\10\ffy\bc\9ce\9e$\00p\eb?>O\86\d0E\ff\8a<@\16\87\f9\ff\8f\eb?\f9\c3\c2\96w\fe|<O\cb\04\d2\ff\af\eb?\c4+\f2\ee\'\ffc\bcE\\A\d2\ff\cf\eb?!\ea;\ee\b7\ffl\bc\df\tc\f8\ff\ef\eb?\\\0b.\97\03A\81\bcSv\b5\e1\ff\0f\ec?\19j\b7\94d\c1\8b<\e3W\fa\f1\ff/\ec?\ed\c60\8d\ef\fed\bc$\e4\bf\dc\ffO\ec?uG\ec\bch?\84\bc\f7\b9T\ed\ffo\ec?\ec\e0S\f0\a3~\84<\d5\8f\99\eb\ff\8f\ec?\f1\92\f9\8d\06\83s<\9a!%!\00\b0\ec?\04\0e\18d\8e\fdh\bc\9cF\94\dd\ff\cf\ec?r\ea\c7\1c\be~\8e<v\c4\fd\ea\ff\ef\ec?\fe\88\9f\ad9\be\8e<+\f8\9a\16\00\10\ed?qZ\b9\a8\91}u<\1d\f7\0f\r\000\ed?\da\c7pi\90\c1\89<\c4\0fy\ea\ffO\ed?\0c\feX\c57\0eX\bc\e5\87\dc.\00p\ed?D\0f\c1M\d6\80\7f\bc\aa\82\dc!\00\90\ed?\\\\\fd\94\8f|t\bc\83\02k\d8\ff\af\ed?~a!\c5\1d\7f\8c<9Gl)\00\d0\ed?S\b1\ff\b2\9e\01\88<\f5\90D\e5\ff\ef\ed?\89\ccR\c6\d2\00n<\94\f6\ab\cd\ff\0f\ee?\d2i- @\83\7f\bc\dd\c8R\db\ff/\ee?d\08\1b\ca\c1\00{<\ef\16B\f2\ffO\ee?Q\ab\94\b0\a8\ffr<\11^\8a\e8\ffo\ee?Y\be\ef\b1s\f6W\bc\r\ff\9e\11\00\90\ee?\01\c8\0b^\8d\80\84\bcD\17\a5\df\ff\af\ee?\b5 C\d5\06\00x<\a1\7f\12\1a\00\d0\ee?\92\\V`\f8\02P\bc\c4\bc\ba\07\00\f0\ee?\11\e65]D@\85\bc\02\8dz\f5\ff\0f\ef?\05\91\ef91\fbO\bc\c7\8a\e5\1e\000\ef?U\11s\f2\ac\81\8a<\944\82\f5\ffO\ef?C\c7\d7\d4A?\8a<kL\a9\fc\ffo\ef?ux\98\1c\f4\02b\bcA\c4\f9\e1\ff\8f\ef?K\e7w\f4\d1}w<~\e3\e0\d2\ff\af\ef?1\a3|\9a\19\01o\bc\9e\e4w\1c\00\d0\ef?\b1\ac\ceK\ee\81q<1\c3\e0\f7\ff\ef\ef?Z\87p\017\05n\bcn`e\f4\ff\0f\f0?\da\n\1cI\ad~\8a\bcXz\86\f3\ff/\f0?\e0\b2\fc\c3i\7f\97\bc\17\r\fc\fd\ffO\f0?[\94\cb4\fe\bf\97<\82M\cd\03\00p\f0?\cbV\e4\c0\83\00\82<\e8\cb\f2\f9\ff\8f\f0?\1au7\be\df\ffm\bce\da\0c\01\00\b0\f0?\eb&\e6\ae\7f?\91\bc8\d3\a4\01\00\d0\f0?\f7\9fHy\fa}\80<\fd\fd\da\fa\ff\ef\f0?\c0k\d6p\05\04w\bc\96\fd\ba\0b\00\10\f1?b\0bm\84\d4\80\8e<]\f4\e5\fa\ff/\f1?\ef6\fdd\fa\bf\9d<\d9\9a\d5\r\00P\f1?\aeP\12pw\00\9a<\9aU!\0f\00p\f1?\ee\de\e3\e2\f9\fd\8d<&T\'\fc\ff\8f\f1?sr;\dc0\00\91<Y<=\12\00\b0\f1?\88\01\03\80y\7f\99<\b7\9e)\f8\ff\cf\f1?g\8c\9f\ab2\f9e\bc\00\d4\8a\f4\ff\ef\f1?\eb[\a7\9d\bf\7f\93<\a4\86\8b\0c\00\10\f2?\"[\fd\91k\80\9f<\03C\85\03\000\f2?3\bf\9f\eb\c2\ff\93<\84\f6\bc\ff\ffO\f2?r..~\e7\01v<\d9!)\f5\ffo\f2?a\0c\7fv\bb\fc\7f<<:\93\14\00\90\f2?+A\02<\ca\02r\bc\13cU\14\00\b0\f2?\02\1f\f23\82\80\92\bc;R\fe\eb\ff\cf\f2?\f2\dcO8~\ff\88\bc\96\ad\b8\0b\00\f0\f2?\c5A0PQ\ff\85\bc\af\e2z\fb\ff\0f\f3?\9d(^\88q\00\81\bc\7f_\ac\fe\ff/\f3?\15\b7\b7?]\ff\91\bcVg\a6\0c\00P\f3?\bd\82\8b\"\82\7f\95<!\f7\fb\11\00p\f3?\cc\d5\r\c4\ba\00\80<\b9/Y\f9\ff\8f\f3?Q\a7\b2-\9d?\94\bcB\d2\dd\04\00\b0\f3?\e18vpk\7f\85<W\c9\b2\f5\ff\cf\f3?1\12\bf\10:\02z<\18\b4\b0\ea\ff\ef\f3?\b0R\b1fm\7f\98<\f4\af2\15\00\10\f4?$\85\19_7\f8g<)\8bG\17\000\f4?CQ\dcr\e6\01\83<c\b4\95\e7\ffO\f4?Z\89\b2\b8i\ff\89<\e0u\04\e8\ffo\f4?T\f2\c2\9b\b1\c0\95\bc\e7\c1o\ef\ff\8f\f4?r*:\f2\t@\9b<\04\a7\be\e5\ff\af\f4?E}\r\bf\b7\ff\94\bc\de\'\10\17\00\d0\f4?=j\dcqd\c0\99\bc\e2>\f0\0f\00\f0\f4?\1cS\85\0b\89\7f\97<\d1K\dc\12\00\10\f5?6\a4fqe\04`<z\'\05\16\000\f5?\t2#\ce\ce\bf\96\bcLp\db\ec\ffO\f5?\d7\a1\05\05r\02\89\bc\a9T_\ef\ffo\f5?\12d\c9\0e\e6\bf\9b<\12\10\e6\17\00\90\f5?\90\ef\af\81\c5~\88<\92>\c9\03\00\b0\f5?\c0\0c\bf\n\08A\9f\bc\bc\19I\1d\00\d0\f5?)G%\fb*\81\98\bc\89z\b8\e7\ff\ef\f5?\04i\ed\80\b7~\94\bc")
+ (data $18 (i32.const 43312) "n\83\f9\a2\00\00\00\00\d1W\'\fc)\15DN\99\95b\db\c0\dd4\f5\abcQ\feA\90C<:n$\b7a\c5\bb\de\ea.I\06\e0\d2MB\1c\eb\1d\fe\1c\92\d1\t\f55\82\e8>\a7)\b1&p\9c\e9\84D\bb.9\d6\919A~_\b4\8b_\84\9c\f49S\83\ff\97\f8\1f;(\f9\bd\8b\11/\ef\0f\98\05\de\cf~6m\1fm\nZf?FO\b7\t\cb\'\c7\ba\'u-\ea_\9e\f79\07={\f1\e5\eb\b1_\fbk\ea\92R\8aF0\03V\08]\8d\1f \bc\cf\f0\abk{\fca\91\e3\a9\1d6\f4\9a_\85\99e\08\1b\e6^\80\d8\ff\8d@h\a0\14W\15\06\061\'sM")
+ (data $19 (i32.const 43516) "\1c")
+ (data $19.1 (i32.const 43528) "\n\00\00\00\08\00\00\00\01")
+ (data $20 (i32.const 43552) "\0b\00\00\00 \00\00\00 \00\00\00 \00\00\00\00\00\00\00\a4\00\00\00$\01\00\00$\1a\00\00$\t\00\00d\00\00\00\02\1a")
  (table $0 2 2 funcref)
  (elem $0 (i32.const 1) $~lib/util/sort/COMPARATOR<f64>~anonymous|0)
  (export "getInputPtr" (func $assembly/index/getInputPtr))
  (export "getOutputPtr" (func $assembly/index/getOutputPtr))
+ (export "allocReturnSeries" (func $assembly/index/allocReturnSeries))
+ (export "allocAssetTable" (func $assembly/index/allocAssetTable))
+ (export "allocStrategyTable" (func $assembly/index/allocStrategyTable))
+ (export "getBatchOutputPtr" (func $assembly/index/getBatchOutputPtr))
+ (export "runBatch" (func $assembly/index/runBatch))
  (export "runSimulation" (func $assembly/index/runSimulation))
  (export "memory" (memory $0))
  (start $~start)
  (func $~lib/rt/itcms/visitRoots
   (local $0 i32)
   (local $1 i32)
+  i32.const 32960
+  call $~lib/rt/itcms/__visit
+  i32.const 33024
+  call $~lib/rt/itcms/__visit
   global.get $assembly/index/inputBuffer
   local.tee $0
   if
    local.get $0
    call $~lib/rt/itcms/__visit
   end
+  global.get $assembly/index/strategyTable
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/index/batchOutput
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/index/returnSeries
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/index/assetTable
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
   global.get $assembly/index/outputBuffer
   local.tee $0
   if
    local.get $0
    call $~lib/rt/itcms/__visit
   end
-  i32.const 1360
+  i32.const 32752
   call $~lib/rt/itcms/__visit
+  i32.const 32448
+  call $~lib/rt/itcms/__visit
+  i32.const 32560
+  call $~lib/rt/itcms/__visit
+  global.get $assembly/math/sobolDirections
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/sobolPoint
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/sobolShift
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/sobolShocks
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/bridgeMonth
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/bridgeLeft
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/bridgeRight
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/bridgeLeftWeight
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/bridgeRightWeight
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
+  global.get $assembly/math/bridgeStdDev
+  local.tee $0
+  if
+   local.get $0
+   call $~lib/rt/itcms/__visit
+  end
   i32.const 1056
   call $~lib/rt/itcms/__visit
-  i32.const 1168
+  i32.const 3488
   call $~lib/rt/itcms/__visit
   global.get $~lib/rt/itcms/pinSpace
   local.tee $1
@@ -236,7 +373,7 @@
     i32.ne
     if
      i32.const 0
-     i32.const 1232
+     i32.const 32624
      i32.const 160
      i32.const 16
      call $~lib/builtins/abort
@@ -284,7 +421,7 @@
     i32.eqz
     if
      i32.const 0
-     i32.const 1232
+     i32.const 32624
      i32.const 148
      i32.const 30
      call $~lib/builtins/abort
@@ -293,7 +430,7 @@
     local.get $0
     global.set $~lib/rt/itcms/iter
    end
-   block $__inlined_func$~lib/rt/itcms/Object#unlink$133
+   block $__inlined_func$~lib/rt/itcms/Object#unlink$242
     local.get $1
     i32.load offset=4
     i32.const -4
@@ -305,19 +442,19 @@
      i32.load offset=8
      i32.eqz
      local.get $1
-     i32.const 44828
+     i32.const 76368
      i32.lt_u
      i32.and
      i32.eqz
      if
       i32.const 0
-      i32.const 1232
+      i32.const 32624
       i32.const 128
       i32.const 18
       call $~lib/builtins/abort
       unreachable
      end
-     br $__inlined_func$~lib/rt/itcms/Object#unlink$133
+     br $__inlined_func$~lib/rt/itcms/Object#unlink$242
     end
     local.get $1
     i32.load offset=8
@@ -325,7 +462,7 @@
     i32.eqz
     if
      i32.const 0
-     i32.const 1232
+     i32.const 32624
      i32.const 132
      i32.const 16
      call $~lib/builtins/abort
@@ -354,12 +491,12 @@
     i32.const 1
    else
     local.get $0
-    i32.const 12032
+    i32.const 43552
     i32.load
     i32.gt_u
     if
-     i32.const 1360
-     i32.const 1424
+     i32.const 32752
+     i32.const 32816
      i32.const 21
      i32.const 28
      call $~lib/builtins/abort
@@ -368,7 +505,7 @@
     local.get $0
     i32.const 2
     i32.shl
-    i32.const 12036
+    i32.const 43556
     i32.add
     i32.load
     i32.const 32
@@ -420,7 +557,7 @@
   i32.eqz
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 268
    i32.const 14
    call $~lib/builtins/abort
@@ -434,7 +571,7 @@
   i32.lt_u
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 270
    i32.const 14
    call $~lib/builtins/abort
@@ -480,7 +617,7 @@
   i32.eqz
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 284
    i32.const 14
    call $~lib/builtins/abort
@@ -563,7 +700,7 @@
   i32.eqz
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 201
    i32.const 14
    call $~lib/builtins/abort
@@ -577,7 +714,7 @@
   i32.eqz
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 203
    i32.const 14
    call $~lib/builtins/abort
@@ -638,7 +775,7 @@
    i32.eqz
    if
     i32.const 0
-    i32.const 1504
+    i32.const 32896
     i32.const 221
     i32.const 16
     call $~lib/builtins/abort
@@ -671,7 +808,7 @@
   i32.lt_u
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 233
    i32.const 14
    call $~lib/builtins/abort
@@ -686,7 +823,7 @@
   i32.ne
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 234
    i32.const 14
    call $~lib/builtins/abort
@@ -737,7 +874,7 @@
   i32.eqz
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 251
    i32.const 14
    call $~lib/builtins/abort
@@ -809,7 +946,7 @@
   i64.lt_u
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 382
    i32.const 14
    call $~lib/builtins/abort
@@ -834,7 +971,7 @@
    i32.gt_u
    if
     i32.const 0
-    i32.const 1504
+    i32.const 32896
     i32.const 389
     i32.const 16
     call $~lib/builtins/abort
@@ -861,7 +998,7 @@
    i32.gt_u
    if
     i32.const 0
-    i32.const 1504
+    i32.const 32896
     i32.const 402
     i32.const 5
     call $~lib/builtins/abort
@@ -918,10 +1055,10 @@
   (local $1 i32)
   memory.size
   local.tee $1
-  i32.const 0
-  i32.le_s
+  i32.const 2
+  i32.lt_s
   if (result i32)
-   i32.const 1
+   i32.const 2
    local.get $1
    i32.sub
    memory.grow
@@ -933,10 +1070,10 @@
   if
    unreachable
   end
-  i32.const 44832
+  i32.const 76368
   i32.const 0
   i32.store
-  i32.const 46400
+  i32.const 77936
   i32.const 0
   i32.store
   loop $for-loop|0
@@ -947,7 +1084,7 @@
     local.get $0
     i32.const 2
     i32.shl
-    i32.const 44832
+    i32.const 76368
     i32.add
     i32.const 0
     i32.store offset=4
@@ -965,7 +1102,7 @@
       i32.add
       i32.const 2
       i32.shl
-      i32.const 44832
+      i32.const 76368
       i32.add
       i32.const 0
       i32.store offset=96
@@ -983,21 +1120,21 @@
     br $for-loop|0
    end
   end
-  i32.const 44832
-  i32.const 46404
+  i32.const 76368
+  i32.const 77940
   memory.size
   i64.extend_i32_s
   i64.const 16
   i64.shl
   call $~lib/rt/tlsf/addMemory
-  i32.const 44832
+  i32.const 76368
   global.set $~lib/rt/tlsf/ROOT
  )
  (func $~lib/rt/tlsf/__free (param $0 i32)
   (local $1 i32)
   (local $2 i32)
   local.get $0
-  i32.const 44828
+  i32.const 76368
   i32.lt_u
   if
    return
@@ -1029,7 +1166,7 @@
   end
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 562
    i32.const 3
    call $~lib/builtins/abort
@@ -1127,7 +1264,7 @@
      local.set $0
      loop $while-continue|0
       local.get $0
-      i32.const 44828
+      i32.const 76368
       i32.lt_u
       if
        local.get $0
@@ -1216,14 +1353,14 @@
     i32.ne
     if
      i32.const 0
-     i32.const 1232
+     i32.const 32624
      i32.const 229
      i32.const 20
      call $~lib/builtins/abort
      unreachable
     end
     local.get $0
-    i32.const 44828
+    i32.const 76368
     i32.lt_u
     if
      local.get $0
@@ -1315,7 +1452,7 @@
   i32.eqz
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 334
    i32.const 14
    call $~lib/builtins/abort
@@ -1367,7 +1504,7 @@
     i32.eqz
     if
      i32.const 0
-     i32.const 1504
+     i32.const 32896
      i32.const 347
      i32.const 18
      call $~lib/builtins/abort
@@ -1397,8 +1534,8 @@
   i32.const 1073741820
   i32.gt_u
   if
-   i32.const 1168
-   i32.const 1504
+   i32.const 32560
+   i32.const 32896
    i32.const 461
    i32.const 29
    call $~lib/builtins/abort
@@ -1500,7 +1637,7 @@
    i32.eqz
    if
     i32.const 0
-    i32.const 1504
+    i32.const 32896
     i32.const 499
     i32.const 16
     call $~lib/builtins/abort
@@ -1515,7 +1652,7 @@
   i32.gt_u
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 501
    i32.const 14
    call $~lib/builtins/abort
@@ -1534,7 +1671,7 @@
   i32.and
   if
    i32.const 0
-   i32.const 1504
+   i32.const 32896
    i32.const 361
    i32.const 14
    call $~lib/builtins/abort
@@ -1594,3893 +1731,11068 @@
   end
   local.get $1
  )
- (func $assembly/index/getInputPtr (result i32)
-  global.get $assembly/index/inputBuffer
- )
- (func $assembly/index/getOutputPtr (result i32)
-  global.get $assembly/index/outputBuffer
- )
- (func $~lib/math/NativeMath.random (result f64)
-  (local $0 i64)
-  (local $1 i64)
-  global.get $~lib/math/random_seeded
-  i32.eqz
+ (func $~lib/rt/itcms/__new (param $0 i32) (param $1 i32) (result i32)
+  (local $2 i32)
+  (local $3 i32)
+  local.get $0
+  i32.const 1073741804
+  i32.ge_u
   if
-   call $~lib/builtins/seed
-   i64.reinterpret_f64
-   local.tee $0
-   i64.eqz
-   if
-    i64.const -7046029254386353131
-    local.set $0
+   i32.const 32560
+   i32.const 32624
+   i32.const 261
+   i32.const 31
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/rt/itcms/total
+  global.get $~lib/rt/itcms/threshold
+  i32.ge_u
+  if
+   block $__inlined_func$~lib/rt/itcms/interrupt$68
+    i32.const 2048
+    local.set $2
+    loop $do-loop|0
+     local.get $2
+     call $~lib/rt/itcms/step
+     i32.sub
+     local.set $2
+     global.get $~lib/rt/itcms/state
+     i32.eqz
+     if
+      global.get $~lib/rt/itcms/total
+      i64.extend_i32_u
+      i64.const 200
+      i64.mul
+      i64.const 100
+      i64.div_u
+      i32.wrap_i64
+      i32.const 1024
+      i32.add
+      global.set $~lib/rt/itcms/threshold
+      br $__inlined_func$~lib/rt/itcms/interrupt$68
+     end
+     local.get $2
+     i32.const 0
+     i32.gt_s
+     br_if $do-loop|0
+    end
+    global.get $~lib/rt/itcms/total
+    global.get $~lib/rt/itcms/total
+    global.get $~lib/rt/itcms/threshold
+    i32.sub
+    i32.const 1024
+    i32.lt_u
+    i32.const 10
+    i32.shl
+    i32.add
+    global.set $~lib/rt/itcms/threshold
    end
-   local.get $0
-   local.get $0
-   i64.const 33
-   i64.shr_u
-   i64.xor
-   i64.const -49064778989728563
-   i64.mul
-   local.tee $0
-   i64.const 33
-   i64.shr_u
-   local.get $0
-   i64.xor
-   i64.const -4265267296055464877
-   i64.mul
-   local.tee $0
-   i64.const 33
-   i64.shr_u
-   local.get $0
-   i64.xor
-   global.set $~lib/math/random_state0_64
-   global.get $~lib/math/random_state0_64
-   i64.const -1
-   i64.xor
-   local.tee $0
-   i64.const 33
-   i64.shr_u
-   local.get $0
-   i64.xor
-   i64.const -49064778989728563
-   i64.mul
-   local.tee $0
-   i64.const 33
-   i64.shr_u
-   local.get $0
-   i64.xor
-   i64.const -4265267296055464877
-   i64.mul
-   local.tee $0
-   i64.const 33
-   i64.shr_u
-   local.get $0
-   i64.xor
-   global.set $~lib/math/random_state1_64
-   i32.const 1
-   global.set $~lib/math/random_seeded
   end
-  global.get $~lib/math/random_state0_64
-  local.set $1
-  global.get $~lib/math/random_state1_64
-  local.tee $0
-  global.set $~lib/math/random_state0_64
+  global.get $~lib/rt/tlsf/ROOT
+  i32.eqz
+  if
+   call $~lib/rt/tlsf/initialize
+  end
+  global.get $~lib/rt/tlsf/ROOT
   local.get $0
+  i32.const 16
+  i32.add
+  call $~lib/rt/tlsf/allocateBlock
+  local.tee $2
   local.get $1
+  i32.store offset=12
+  local.get $2
+  local.get $0
+  i32.store offset=16
+  global.get $~lib/rt/itcms/fromSpace
+  local.tee $1
+  i32.load offset=8
+  local.set $3
+  local.get $2
   local.get $1
-  i64.const 23
-  i64.shl
-  i64.xor
+  global.get $~lib/rt/itcms/white
+  i32.or
+  i32.store offset=4
+  local.get $2
+  local.get $3
+  i32.store offset=8
+  local.get $3
+  local.get $2
+  local.get $3
+  i32.load offset=4
+  i32.const 3
+  i32.and
+  i32.or
+  i32.store offset=4
+  local.get $1
+  local.get $2
+  i32.store offset=8
+  global.get $~lib/rt/itcms/total
+  local.get $2
+  i32.load
+  i32.const -4
+  i32.and
+  i32.const 4
+  i32.add
+  i32.add
+  global.set $~lib/rt/itcms/total
+  local.get $2
+  i32.const 20
+  i32.add
   local.tee $1
-  i64.const 17
-  i64.shr_u
+  i32.const 0
+  local.get $0
+  memory.fill
   local.get $1
-  i64.xor
-  i64.xor
+ )
+ (func $assembly/index/getInputPtr (result i32)
+  global.get $assembly/index/inputBuffer
+ )
+ (func $assembly/index/getOutputPtr (result i32)
+  global.get $assembly/index/outputBuffer
+ )
+ (func $assembly/index/allocReturnSeries (param $0 i32) (result i32)
   local.get $0
-  i64.const 26
-  i64.shr_u
-  i64.xor
-  global.set $~lib/math/random_state1_64
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/returnSeries
+  global.get $assembly/index/returnSeries
+ )
+ (func $assembly/index/allocAssetTable (param $0 i32) (result i32)
   local.get $0
-  i64.const 12
-  i64.shr_u
-  i64.const 4607182418800017408
-  i64.or
-  f64.reinterpret_i64
-  f64.const -1
-  f64.add
+  local.get $0
+  i32.const 3
+  i32.add
+  i32.mul
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/assetTable
+  global.get $assembly/index/assetTable
  )
- (func $~lib/math/NativeMath.log (param $0 f64) (result f64)
-  (local $1 i64)
-  (local $2 i32)
-  (local $3 i64)
-  (local $4 f64)
-  (local $5 f64)
-  (local $6 f64)
-  (local $7 i32)
-  block $~lib/util/math/log_lut|inlined.0 (result f64)
-   local.get $0
-   i64.reinterpret_f64
-   local.tee $1
-   i64.const 4606619468846596096
-   i64.sub
-   i64.const 854320534781952
-   i64.lt_u
+ (func $assembly/index/allocStrategyTable (param $0 i32) (result i32)
+  local.get $0
+  i32.const 6
+  i32.shl
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/strategyTable
+  global.get $assembly/index/strategyTable
+ )
+ (func $assembly/index/getBatchOutputPtr (result i32)
+  global.get $assembly/index/batchOutput
+ )
+ (func $~lib/math/NativeMath.pow (param $0 f64) (param $1 f64) (result f64)
+  (local $2 i64)
+  (local $3 i32)
+  (local $4 i32)
+  (local $5 i64)
+  (local $6 i64)
+  (local $7 f64)
+  (local $8 f64)
+  (local $9 f64)
+  (local $10 f64)
+  (local $11 i64)
+  (local $12 i64)
+  (local $13 f64)
+  (local $14 f64)
+  (local $15 f64)
+  (local $16 f64)
+  (local $17 f64)
+  (local $18 i32)
+  local.get $1
+  f64.abs
+  f64.const 2
+  f64.le
+  if
+   local.get $1
+   f64.const 2
+   f64.eq
    if
-    local.get $0
-    f64.const -1
-    f64.add
-    local.tee $0
-    local.get $0
-    f64.mul
-    local.tee $4
-    local.get $0
-    f64.mul
-    local.tee $5
-    local.get $0
-    f64.const -0.24999999999998432
-    f64.mul
-    f64.const 0.3333333333333352
-    f64.add
-    local.get $4
-    f64.const 0.19999999999320328
-    f64.mul
-    f64.add
-    local.get $5
-    local.get $0
-    f64.const 0.14285715076560868
-    f64.mul
-    f64.const -0.16666666669929706
-    f64.add
-    local.get $4
-    f64.const -0.12499997863982555
-    f64.mul
-    f64.add
-    local.get $5
-    local.get $0
-    f64.const -0.10000486757818193
-    f64.mul
-    f64.const 0.11110712032936046
-    f64.add
-    local.get $4
-    f64.const 0.09181994006195467
-    f64.mul
-    f64.add
-    local.get $5
-    f64.const -0.08328363062289341
-    f64.mul
-    f64.add
-    f64.mul
-    f64.add
-    f64.mul
-    f64.add
-    f64.mul
     local.get $0
     local.get $0
-    local.get $0
-    local.get $0
-    f64.const 134217728
-    f64.mul
-    local.tee $4
-    f64.add
-    local.get $4
-    f64.sub
-    local.tee $4
-    local.get $4
-    f64.mul
-    f64.const -0.5
     f64.mul
-    local.tee $5
-    f64.add
-    local.tee $6
-    f64.sub
-    local.get $5
-    f64.add
+    return
+   end
+   local.get $1
+   f64.const 0.5
+   f64.eq
+   if
     local.get $0
-    local.get $4
-    f64.sub
-    f64.const -0.5
-    f64.mul
-    local.get $4
+    f64.sqrt
+    f64.abs
+    f64.const inf
     local.get $0
-    f64.add
-    f64.mul
-    f64.add
-    f64.add
-    local.get $6
-    f64.add
-    br $~lib/util/math/log_lut|inlined.0
+    f64.const -inf
+    f64.ne
+    select
+    return
    end
    local.get $1
-   i64.const 48
-   i64.shr_u
-   i32.wrap_i64
-   local.tee $2
-   i32.const 16
-   i32.sub
-   i32.const 32736
-   i32.ge_u
+   f64.const -1
+   f64.eq
    if
-    f64.const -1
-    local.get $0
+    f64.const 1
     local.get $0
-    f64.mul
     f64.div
-    local.get $1
-    i64.const 1
-    i64.shl
-    i64.eqz
-    br_if $~lib/util/math/log_lut|inlined.0
-    drop
-    local.get $0
-    local.get $1
-    i64.const 9218868437227405312
-    i64.eq
-    br_if $~lib/util/math/log_lut|inlined.0
-    drop
-    i32.const 1
-    local.get $2
-    i32.const 32752
-    i32.and
-    i32.const 32752
-    i32.eq
-    local.get $2
-    i32.const 32768
-    i32.and
-    select
-    if
-     local.get $0
-     local.get $0
-     f64.sub
-     local.tee $0
-     local.get $0
-     f64.div
-     br $~lib/util/math/log_lut|inlined.0
-    end
+    return
+   end
+   local.get $1
+   f64.const 1
+   f64.eq
+   if
     local.get $0
-    f64.const 4503599627370496
-    f64.mul
-    i64.reinterpret_f64
-    i64.const 234187180623265792
-    i64.sub
-    local.set $1
+    return
    end
    local.get $1
-   i64.const 4604367669032910848
-   i64.sub
-   local.tee $3
-   i64.const 45
+   f64.const 0
+   f64.eq
+   if
+    f64.const 1
+    return
+   end
+  end
+  block $~lib/util/math/pow_lut|inlined.0 (result f64)
+   local.get $1
+   i64.reinterpret_f64
+   local.tee $11
+   i64.const 52
    i64.shr_u
-   i64.const 127
-   i64.and
-   i32.wrap_i64
-   i32.const 4
-   i32.shl
+   local.set $6
+   local.get $0
+   i64.reinterpret_f64
    local.tee $2
-   i32.const 1552
-   i32.add
-   local.set $7
-   local.get $3
    i64.const 52
-   i64.shr_s
-   f64.convert_i64_s
-   local.tee $0
-   f64.const 0.6931471805598903
-   f64.mul
-   local.get $7
-   f64.load offset=8
-   f64.add
-   local.tee $4
-   local.get $1
-   local.get $3
-   i64.const -4503599627370496
-   i64.and
-   i64.sub
-   f64.reinterpret_i64
-   local.get $2
-   i32.const 3600
-   i32.add
-   local.tee $2
-   f64.load
-   f64.sub
-   local.get $2
-   f64.load offset=8
-   f64.sub
-   local.get $7
-   f64.load
-   f64.mul
+   i64.shr_u
    local.tee $5
-   f64.add
-   local.set $6
-   local.get $4
-   local.get $6
-   f64.sub
-   local.get $5
-   f64.add
-   local.get $0
-   f64.const 5.497923018708371e-14
-   f64.mul
-   f64.add
-   local.get $5
-   local.get $5
-   f64.mul
-   local.tee $0
-   f64.const -0.5000000000000001
-   f64.mul
-   f64.add
-   local.get $5
-   local.get $0
-   f64.mul
+   i64.const 1
+   i64.sub
+   i64.const 2046
+   i64.ge_u
+   if (result i32)
+    i32.const 1
+   else
+    local.get $6
+    i64.const 2047
+    i64.and
+    i64.const 958
+    i64.sub
+    i64.const 128
+    i64.ge_u
+   end
+   if
+    local.get $11
+    i64.const 1
+    i64.shl
+    local.tee $12
+    i64.const 1
+    i64.sub
+    i64.const -9007199254740993
+    i64.ge_u
+    if
+     f64.const 1
+     local.get $12
+     i64.eqz
+     br_if $~lib/util/math/pow_lut|inlined.0
+     drop
+     f64.const nan:0x8000000000000
+     local.get $2
+     i64.const 4607182418800017408
+     i64.eq
+     br_if $~lib/util/math/pow_lut|inlined.0
+     drop
+     local.get $0
+     local.get $1
+     f64.add
+     local.get $12
+     i64.const -9007199254740992
+     i64.gt_u
+     local.get $2
+     i64.const 1
+     i64.shl
+     local.tee $2
+     i64.const -9007199254740992
+     i64.gt_u
+     i32.or
+     br_if $~lib/util/math/pow_lut|inlined.0
+     drop
+     f64.const nan:0x8000000000000
+     local.get $2
+     i64.const 9214364837600034816
+     i64.eq
+     br_if $~lib/util/math/pow_lut|inlined.0
+     drop
+     f64.const 0
+     local.get $11
+     i64.const 63
+     i64.shr_u
+     i64.eqz
+     local.get $2
+     i64.const 9214364837600034816
+     i64.lt_u
+     i32.eq
+     br_if $~lib/util/math/pow_lut|inlined.0
+     drop
+     local.get $1
+     local.get $1
+     f64.mul
+     br $~lib/util/math/pow_lut|inlined.0
+    end
+    local.get $2
+    i64.const 1
+    i64.shl
+    i64.const 1
+    i64.sub
+    i64.const -9007199254740993
+    i64.ge_u
+    if
+     f64.const 1
+     local.get $0
+     local.get $0
+     f64.mul
+     local.tee $0
+     f64.neg
+     local.get $0
+     local.get $2
+     i64.const 63
+     i64.shr_u
+     i32.wrap_i64
+     if (result i32)
+      block $~lib/util/math/checkint|inlined.0 (result i32)
+       i32.const 0
+       local.get $11
+       i64.const 52
+       i64.shr_u
+       i64.const 2047
+       i64.and
+       local.tee $2
+       i64.const 1023
+       i64.lt_u
+       br_if $~lib/util/math/checkint|inlined.0
+       drop
+       i32.const 2
+       local.get $2
+       i64.const 1075
+       i64.gt_u
+       br_if $~lib/util/math/checkint|inlined.0
+       drop
+       i32.const 0
+       local.get $11
+       i64.const 1
+       i64.const 1075
+       local.get $2
+       i64.sub
+       i64.shl
+       local.tee $2
+       i64.const 1
+       i64.sub
+       i64.and
+       i64.const 0
+       i64.ne
+       br_if $~lib/util/math/checkint|inlined.0
+       drop
+       i32.const 1
+       local.get $2
+       local.get $11
+       i64.and
+       i64.const 0
+       i64.ne
+       br_if $~lib/util/math/checkint|inlined.0
+       drop
+       i32.const 2
+      end
+      i32.const 1
+      i32.eq
+     else
+      i32.const 0
+     end
+     select
+     local.tee $0
+     f64.div
+     local.get $0
+     local.get $11
+     i64.const 0
+     i64.lt_s
+     select
+     br $~lib/util/math/pow_lut|inlined.0
+    end
+    local.get $2
+    i64.const 0
+    i64.lt_s
+    if
+     block $~lib/util/math/checkint|inlined.1 (result i32)
+      i32.const 0
+      local.get $11
+      i64.const 52
+      i64.shr_u
+      i64.const 2047
+      i64.and
+      local.tee $12
+      i64.const 1023
+      i64.lt_u
+      br_if $~lib/util/math/checkint|inlined.1
+      drop
+      i32.const 2
+      local.get $12
+      i64.const 1075
+      i64.gt_u
+      br_if $~lib/util/math/checkint|inlined.1
+      drop
+      i32.const 0
+      local.get $11
+      i64.const 1
+      i64.const 1075
+      local.get $12
+      i64.sub
+      i64.shl
+      local.tee $12
+      i64.const 1
+      i64.sub
+      i64.and
+      i64.const 0
+      i64.ne
+      br_if $~lib/util/math/checkint|inlined.1
+      drop
+      i32.const 1
+      local.get $11
+      local.get $12
+      i64.and
+      i64.const 0
+      i64.ne
+      br_if $~lib/util/math/checkint|inlined.1
+      drop
+      i32.const 2
+     end
+     local.tee $3
+     i32.eqz
+     if
+      local.get $0
+      local.get $0
+      f64.sub
+      local.tee $0
+      local.get $0
+      f64.div
+      br $~lib/util/math/pow_lut|inlined.0
+     end
+     local.get $5
+     i64.const 2047
+     i64.and
+     local.set $5
+     i32.const 262144
+     i32.const 0
+     local.get $3
+     i32.const 1
+     i32.eq
+     select
+     local.set $4
+     local.get $2
+     i64.const 9223372036854775807
+     i64.and
+     local.set $2
+    end
+    local.get $6
+    i64.const 2047
+    i64.and
+    local.tee $12
+    i64.const 958
+    i64.sub
+    i64.const 128
+    i64.ge_u
+    if
+     f64.const 1
+     local.get $2
+     i64.const 4607182418800017408
+     i64.eq
+     br_if $~lib/util/math/pow_lut|inlined.0
+     drop
+     f64.const 1
+     local.get $12
+     i64.const 958
+     i64.lt_u
+     br_if $~lib/util/math/pow_lut|inlined.0
+     drop
+     f64.const inf
+     f64.const 0
+     local.get $6
+     i64.const 2048
+     i64.lt_u
+     local.get $2
+     i64.const 4607182418800017408
+     i64.gt_u
+     i32.eq
+     select
+     br $~lib/util/math/pow_lut|inlined.0
+    end
+    local.get $5
+    i64.eqz
+    if
+     local.get $0
+     f64.const 4503599627370496
+     f64.mul
+     i64.reinterpret_f64
+     i64.const 9223372036854775807
+     i64.and
+     i64.const 234187180623265792
+     i64.sub
+     local.set $2
+    end
+   end
+   local.get $2
+   local.get $2
+   i64.const 4604531861337669632
+   i64.sub
+   local.tee $2
+   i64.const -4503599627370496
+   i64.and
+   i64.sub
+   local.tee $5
+   i64.const 2147483648
+   i64.add
+   i64.const -4294967296
+   i64.and
+   f64.reinterpret_i64
+   local.tee $7
+   local.get $2
+   i64.const 45
+   i64.shr_u
+   i64.const 127
+   i64.and
+   i32.wrap_i64
+   i32.const 5
+   i32.shl
+   i32.const 33072
+   i32.add
+   local.tee $3
+   f64.load
+   local.tee $8
+   f64.mul
+   f64.const -1
+   f64.add
+   local.set $9
+   local.get $2
+   i64.const 52
+   i64.shr_s
+   f64.convert_i64_s
+   local.tee $13
+   f64.const 0.6931471805598903
+   f64.mul
+   local.get $3
+   f64.load offset=16
+   f64.add
+   local.tee $0
+   local.get $9
+   local.get $5
+   f64.reinterpret_i64
+   local.get $7
+   f64.sub
+   local.get $8
+   f64.mul
+   local.tee $7
+   f64.add
+   local.tee $14
+   f64.add
+   local.set $15
+   local.get $14
+   local.get $14
+   f64.const -0.5
+   f64.mul
+   local.tee $8
+   f64.mul
+   local.set $16
+   local.get $15
+   local.get $9
+   local.get $9
+   f64.const -0.5
+   f64.mul
+   local.tee $17
+   f64.mul
+   local.tee $9
+   f64.add
+   local.tee $10
+   local.get $10
+   local.get $13
+   f64.const 5.497923018708371e-14
+   f64.mul
+   local.get $3
+   f64.load offset=24
+   f64.add
+   local.get $0
+   local.get $15
+   f64.sub
+   local.get $14
+   f64.add
+   f64.add
+   local.get $7
+   local.get $8
+   local.get $17
+   f64.add
+   f64.mul
+   f64.add
+   local.get $15
+   local.get $10
+   f64.sub
+   local.get $9
+   f64.add
+   f64.add
+   local.get $14
+   local.get $16
+   f64.mul
+   local.get $14
+   f64.const 0.5000000000000007
+   f64.mul
+   f64.const -0.6666666666666679
+   f64.add
+   local.get $16
+   local.get $14
+   f64.const -0.6666666663487739
+   f64.mul
+   f64.const 0.7999999995323976
+   f64.add
+   local.get $16
+   local.get $14
+   f64.const 1.0000415263675542
+   f64.mul
+   f64.const -1.142909628459501
+   f64.add
+   f64.mul
+   f64.add
+   f64.mul
+   f64.add
+   f64.mul
+   f64.add
+   local.tee $0
+   f64.add
+   local.tee $7
+   f64.sub
+   local.get $0
+   f64.add
+   global.set $~lib/util/math/log_tail
+   block $~lib/util/math/exp_inline|inlined.0 (result f64)
+    local.get $11
+    i64.const -134217728
+    i64.and
+    f64.reinterpret_i64
+    local.tee $0
+    local.get $7
+    i64.reinterpret_f64
+    i64.const -134217728
+    i64.and
+    f64.reinterpret_i64
+    local.tee $8
+    f64.mul
+    local.tee $9
+    i64.reinterpret_f64
+    local.tee $2
+    i64.const 52
+    i64.shr_u
+    i32.wrap_i64
+    i32.const 2047
+    i32.and
+    local.tee $3
+    i32.const 969
+    i32.sub
+    local.tee $18
+    i32.const 63
+    i32.ge_u
+    if
+     f64.const -1
+     f64.const 1
+     local.get $4
+     select
+     local.get $18
+     i32.const -2147483648
+     i32.ge_u
+     br_if $~lib/util/math/exp_inline|inlined.0
+     drop
+     f64.const -0
+     f64.const 0
+     local.get $4
+     select
+     f64.const -inf
+     f64.const inf
+     local.get $4
+     select
+     local.get $2
+     i64.const 0
+     i64.lt_s
+     select
+     local.get $3
+     i32.const 1033
+     i32.ge_u
+     br_if $~lib/util/math/exp_inline|inlined.0
+     drop
+     i32.const 0
+     local.set $3
+    end
+    local.get $9
+    f64.const 184.6649652337873
+    f64.mul
+    f64.const 6755399441055744
+    f64.add
+    local.tee $10
+    i64.reinterpret_f64
+    local.tee $2
+    i64.const 127
+    i64.and
+    i64.const 1
+    i64.shl
+    i32.wrap_i64
+    i32.const 3
+    i32.shl
+    i32.const 37168
+    i32.add
+    local.tee $18
+    i64.load offset=8
+    local.get $2
+    local.get $4
+    i64.extend_i32_u
+    i64.add
+    i64.const 45
+    i64.shl
+    i64.add
+    local.set $5
+    local.get $9
+    local.get $10
+    f64.const -6755399441055744
+    f64.add
+    local.tee $9
+    f64.const -0.005415212348111709
+    f64.mul
+    f64.add
+    local.get $9
+    f64.const -1.2864023111638346e-14
+    f64.mul
+    f64.add
+    local.get $1
+    local.get $0
+    f64.sub
+    local.get $8
+    f64.mul
+    local.get $1
+    local.get $7
+    local.get $8
+    f64.sub
+    global.get $~lib/util/math/log_tail
+    f64.add
+    f64.mul
+    f64.add
+    f64.add
+    local.tee $0
+    local.get $0
+    f64.mul
+    local.set $1
+    local.get $18
+    f64.load
+    local.get $0
+    f64.add
+    local.get $1
+    local.get $0
+    f64.const 0.16666666666665886
+    f64.mul
+    f64.const 0.49999999999996786
+    f64.add
+    f64.mul
+    f64.add
+    local.get $1
+    local.get $1
+    f64.mul
+    local.get $0
+    f64.const 0.008333335853059549
+    f64.mul
+    f64.const 0.0416666808410674
+    f64.add
+    f64.mul
+    f64.add
+    local.set $0
+    local.get $3
+    i32.eqz
+    if
+     block $~lib/util/math/specialcase|inlined.0 (result f64)
+      local.get $2
+      i64.const 2147483648
+      i64.and
+      i64.eqz
+      if
+       local.get $5
+       i64.const 4544132024016830464
+       i64.sub
+       f64.reinterpret_i64
+       local.tee $1
+       local.get $1
+       local.get $0
+       f64.mul
+       f64.add
+       f64.const 5486124068793688683255936e279
+       f64.mul
+       br $~lib/util/math/specialcase|inlined.0
+      end
+      local.get $5
+      i64.const 4602678819172646912
+      i64.add
+      local.tee $2
+      f64.reinterpret_i64
+      local.tee $1
+      local.get $0
+      f64.mul
+      local.set $0
+      local.get $1
+      local.get $0
+      f64.add
+      local.tee $7
+      f64.abs
+      f64.const 1
+      f64.lt
+      if (result f64)
+       f64.const 1
+       local.get $7
+       f64.copysign
+       local.tee $8
+       local.get $7
+       f64.add
+       local.tee $9
+       local.get $8
+       local.get $9
+       f64.sub
+       local.get $7
+       f64.add
+       local.get $1
+       local.get $7
+       f64.sub
+       local.get $0
+       f64.add
+       f64.add
+       f64.add
+       local.get $8
+       f64.sub
+       local.tee $0
+       f64.const 0
+       f64.eq
+       if (result f64)
+        local.get $2
+        i64.const -9223372036854775808
+        i64.and
+        f64.reinterpret_i64
+       else
+        local.get $0
+       end
+      else
+       local.get $7
+      end
+      f64.const 2.2250738585072014e-308
+      f64.mul
+     end
+     br $~lib/util/math/exp_inline|inlined.0
+    end
+    local.get $5
+    f64.reinterpret_i64
+    local.tee $1
+    local.get $1
+    local.get $0
+    f64.mul
+    f64.add
+   end
+  end
+ )
+ (func $~lib/math/NativeMath.log (param $0 f64) (result f64)
+  (local $1 i64)
+  (local $2 i32)
+  (local $3 i64)
+  (local $4 f64)
+  (local $5 f64)
+  (local $6 f64)
+  (local $7 i32)
+  block $~lib/util/math/log_lut|inlined.0 (result f64)
+   local.get $0
+   i64.reinterpret_f64
+   local.tee $1
+   i64.const 4606619468846596096
+   i64.sub
+   i64.const 854320534781952
+   i64.lt_u
+   if
+    local.get $0
+    f64.const -1
+    f64.add
+    local.tee $0
+    local.get $0
+    f64.mul
+    local.tee $4
+    local.get $0
+    f64.mul
+    local.tee $5
+    local.get $0
+    f64.const -0.24999999999998432
+    f64.mul
+    f64.const 0.3333333333333352
+    f64.add
+    local.get $4
+    f64.const 0.19999999999320328
+    f64.mul
+    f64.add
+    local.get $5
+    local.get $0
+    f64.const 0.14285715076560868
+    f64.mul
+    f64.const -0.16666666669929706
+    f64.add
+    local.get $4
+    f64.const -0.12499997863982555
+    f64.mul
+    f64.add
+    local.get $5
+    local.get $0
+    f64.const -0.10000486757818193
+    f64.mul
+    f64.const 0.11110712032936046
+    f64.add
+    local.get $4
+    f64.const 0.09181994006195467
+    f64.mul
+    f64.add
+    local.get $5
+    f64.const -0.08328363062289341
+    f64.mul
+    f64.add
+    f64.mul
+    f64.add
+    f64.mul
+    f64.add
+    f64.mul
+    local.get $0
+    local.get $0
+    local.get $0
+    local.get $0
+    f64.const 134217728
+    f64.mul
+    local.tee $4
+    f64.add
+    local.get $4
+    f64.sub
+    local.tee $4
+    local.get $4
+    f64.mul
+    f64.const -0.5
+    f64.mul
+    local.tee $5
+    f64.add
+    local.tee $6
+    f64.sub
+    local.get $5
+    f64.add
+    local.get $0
+    local.get $4
+    f64.sub
+    f64.const -0.5
+    f64.mul
+    local.get $4
+    local.get $0
+    f64.add
+    f64.mul
+    f64.add
+    f64.add
+    local.get $6
+    f64.add
+    br $~lib/util/math/log_lut|inlined.0
+   end
+   local.get $1
+   i64.const 48
+   i64.shr_u
+   i32.wrap_i64
+   local.tee $2
+   i32.const 16
+   i32.sub
+   i32.const 32736
+   i32.ge_u
+   if
+    f64.const -1
+    local.get $0
+    local.get $0
+    f64.mul
+    f64.div
+    local.get $1
+    i64.const 1
+    i64.shl
+    i64.eqz
+    br_if $~lib/util/math/log_lut|inlined.0
+    drop
+    local.get $0
+    local.get $1
+    i64.const 9218868437227405312
+    i64.eq
+    br_if $~lib/util/math/log_lut|inlined.0
+    drop
+    i32.const 1
+    local.get $2
+    i32.const 32752
+    i32.and
+    i32.const 32752
+    i32.eq
+    local.get $2
+    i32.const 32768
+    i32.and
+    select
+    if
+     local.get $0
+     local.get $0
+     f64.sub
+     local.tee $0
+     local.get $0
+     f64.div
+     br $~lib/util/math/log_lut|inlined.0
+    end
+    local.get $0
+    f64.const 4503599627370496
+    f64.mul
+    i64.reinterpret_f64
+    i64.const 234187180623265792
+    i64.sub
+    local.set $1
+   end
+   local.get $1
+   i64.const 4604367669032910848
+   i64.sub
+   local.tee $3
+   i64.const 45
+   i64.shr_u
+   i64.const 127
+   i64.and
+   i32.wrap_i64
+   i32.const 4
+   i32.shl
+   local.tee $2
+   i32.const 39216
+   i32.add
+   local.set $7
+   local.get $3
+   i64.const 52
+   i64.shr_s
+   f64.convert_i64_s
+   local.tee $0
+   f64.const 0.6931471805598903
+   f64.mul
+   local.get $7
+   f64.load offset=8
+   f64.add
+   local.tee $4
+   local.get $1
+   local.get $3
+   i64.const -4503599627370496
+   i64.and
+   i64.sub
+   f64.reinterpret_i64
+   local.get $2
+   i32.const 41264
+   i32.add
+   local.tee $2
+   f64.load
+   f64.sub
+   local.get $2
+   f64.load offset=8
+   f64.sub
+   local.get $7
+   f64.load
+   f64.mul
+   local.tee $5
+   f64.add
+   local.set $6
+   local.get $4
+   local.get $6
+   f64.sub
+   local.get $5
+   f64.add
+   local.get $0
+   f64.const 5.497923018708371e-14
+   f64.mul
+   f64.add
+   local.get $5
+   local.get $5
+   f64.mul
+   local.tee $0
+   f64.const -0.5000000000000001
+   f64.mul
+   f64.add
+   local.get $5
+   local.get $0
+   f64.mul
+   local.get $5
+   f64.const -0.2499999999622955
+   f64.mul
+   f64.const 0.33333333331825593
+   f64.add
+   local.get $0
+   local.get $5
+   f64.const -0.16667054827627667
+   f64.mul
+   f64.const 0.20000304511814496
+   f64.add
+   f64.mul
+   f64.add
+   f64.mul
+   f64.add
+   local.get $6
+   f64.add
+  end
+ )
+ (func $assembly/math/seedRandom (param $0 i32)
+  local.get $0
+  global.set $assembly/math/splitMixState
+  global.get $assembly/math/splitMixState
+  i32.const 1640531527
+  i32.sub
+  global.set $assembly/math/splitMixState
+  global.get $assembly/math/splitMixState
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -2048144789
+  i32.mul
+  local.tee $0
+  i32.const 13
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -1028477387
+  i32.mul
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  global.set $assembly/math/rngState0
+  global.get $assembly/math/splitMixState
+  i32.const 1640531527
+  i32.sub
+  global.set $assembly/math/splitMixState
+  global.get $assembly/math/splitMixState
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -2048144789
+  i32.mul
+  local.tee $0
+  i32.const 13
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -1028477387
+  i32.mul
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  global.set $assembly/math/rngState1
+  global.get $assembly/math/splitMixState
+  i32.const 1640531527
+  i32.sub
+  global.set $assembly/math/splitMixState
+  global.get $assembly/math/splitMixState
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -2048144789
+  i32.mul
+  local.tee $0
+  i32.const 13
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -1028477387
+  i32.mul
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  global.set $assembly/math/rngState2
+  global.get $assembly/math/splitMixState
+  i32.const 1640531527
+  i32.sub
+  global.set $assembly/math/splitMixState
+  global.get $assembly/math/splitMixState
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -2048144789
+  i32.mul
+  local.tee $0
+  i32.const 13
+  i32.shr_u
+  local.get $0
+  i32.xor
+  i32.const -1028477387
+  i32.mul
+  local.tee $0
+  i32.const 16
+  i32.shr_u
+  local.get $0
+  i32.xor
+  global.set $assembly/math/rngState3
+ )
+ (func $assembly/math/inverseNormal (param $0 f64) (result f64)
+  (local $1 f64)
+  local.get $0
+  f64.const 0.02425
+  f64.lt
+  if
+   local.get $0
+   call $~lib/math/NativeMath.log
+   f64.const -2
+   f64.mul
+   f64.sqrt
+   local.tee $0
+   f64.const -0.007784894002430293
+   f64.mul
+   f64.const -0.3223964580411365
+   f64.add
+   local.get $0
+   f64.mul
+   f64.const -2.400758277161838
+   f64.add
+   local.get $0
+   f64.mul
+   f64.const -2.549732539343734
+   f64.add
+   local.get $0
+   f64.mul
+   f64.const 4.374664141464968
+   f64.add
+   local.get $0
+   f64.mul
+   f64.const 2.938163982698783
+   f64.add
+   local.get $0
+   f64.const 0.007784695709041462
+   f64.mul
+   f64.const 0.3224671290700398
+   f64.add
+   local.get $0
+   f64.mul
+   f64.const 2.445134137142996
+   f64.add
+   local.get $0
+   f64.mul
+   f64.const 3.754408661907416
+   f64.add
+   local.get $0
+   f64.mul
+   f64.const 1
+   f64.add
+   f64.div
+   return
+  end
+  local.get $0
+  f64.const 0.97575
+  f64.gt
+  if
+   f64.const 1
+   local.get $0
+   f64.sub
+   call $assembly/math/inverseNormal
+   f64.neg
+   return
+  end
+  local.get $0
+  f64.const -0.5
+  f64.add
+  local.tee $1
+  local.get $1
+  f64.mul
+  local.tee $0
+  f64.const -39.69683028665376
+  f64.mul
+  f64.const 220.9460984245205
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const -275.9285104469687
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const 138.357751867269
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const -30.66479806614716
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const 2.506628277459239
+  f64.add
+  local.get $1
+  f64.mul
+  local.get $0
+  f64.const -54.47609879822406
+  f64.mul
+  f64.const 161.5858368580409
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const -155.6989798598866
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const 66.80131188771972
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const -13.28068155288572
+  f64.add
+  local.get $0
+  f64.mul
+  f64.const 1
+  f64.add
+  f64.div
+ )
+ (func $assembly/math/nextRandom (result f64)
+  (local $0 i32)
+  (local $1 i32)
+  (local $2 i32)
+  global.get $assembly/math/rngState1
+  i32.const 5
+  i32.mul
+  i32.const 7
+  i32.rotl
+  i32.const 9
+  i32.mul
+  local.set $0
+  global.get $assembly/math/rngState1
+  i32.const 9
+  i32.shl
+  local.set $1
+  global.get $assembly/math/rngState2
+  global.get $assembly/math/rngState0
+  i32.xor
+  global.set $assembly/math/rngState2
+  global.get $assembly/math/rngState3
+  global.get $assembly/math/rngState1
+  i32.xor
+  global.set $assembly/math/rngState3
+  global.get $assembly/math/rngState1
+  global.get $assembly/math/rngState2
+  i32.xor
+  global.set $assembly/math/rngState1
+  global.get $assembly/math/rngState0
+  global.get $assembly/math/rngState3
+  i32.xor
+  global.set $assembly/math/rngState0
+  global.get $assembly/math/rngState2
+  local.get $1
+  i32.xor
+  global.set $assembly/math/rngState2
+  global.get $assembly/math/rngState3
+  i32.const 11
+  i32.rotl
+  global.set $assembly/math/rngState3
+  global.get $assembly/math/rngState1
+  i32.const 5
+  i32.mul
+  i32.const 7
+  i32.rotl
+  i32.const 9
+  i32.mul
+  local.set $1
+  global.get $assembly/math/rngState1
+  i32.const 9
+  i32.shl
+  local.set $2
+  global.get $assembly/math/rngState2
+  global.get $assembly/math/rngState0
+  i32.xor
+  global.set $assembly/math/rngState2
+  global.get $assembly/math/rngState3
+  global.get $assembly/math/rngState1
+  i32.xor
+  global.set $assembly/math/rngState3
+  global.get $assembly/math/rngState1
+  global.get $assembly/math/rngState2
+  i32.xor
+  global.set $assembly/math/rngState1
+  global.get $assembly/math/rngState0
+  global.get $assembly/math/rngState3
+  i32.xor
+  global.set $assembly/math/rngState0
+  global.get $assembly/math/rngState2
+  local.get $2
+  i32.xor
+  global.set $assembly/math/rngState2
+  global.get $assembly/math/rngState3
+  i32.const 11
+  i32.rotl
+  global.set $assembly/math/rngState3
+  local.get $0
+  i32.const 5
+  i32.shr_u
+  f64.convert_i32_u
+  f64.const 67108864
+  f64.mul
+  local.get $1
+  i32.const 6
+  i32.shr_u
+  f64.convert_i32_u
+  f64.add
+  f64.const 1.1102230246251565e-16
+  f64.mul
+ )
+ (func $~lib/math/pio2_large_quot (param $0 i64) (result i32)
+  (local $1 i64)
+  (local $2 i64)
+  (local $3 i64)
+  (local $4 i32)
+  (local $5 f64)
+  (local $6 i64)
+  (local $7 i64)
+  (local $8 i64)
+  (local $9 i64)
+  (local $10 i64)
+  (local $11 i64)
+  (local $12 i64)
+  local.get $0
+  i64.const 9223372036854775807
+  i64.and
+  i64.const 52
+  i64.shr_u
+  i64.const 1045
+  i64.sub
+  local.tee $1
+  i64.const 63
+  i64.and
+  local.set $6
+  local.get $1
+  i64.const 6
+  i64.shr_s
+  i32.wrap_i64
+  i32.const 3
+  i32.shl
+  i32.const 43312
+  i32.add
+  local.tee $4
+  i64.load
+  local.set $3
+  local.get $4
+  i64.load offset=8
+  local.set $2
+  local.get $4
+  i64.load offset=16
+  local.set $1
+  local.get $6
+  i64.const 0
+  i64.ne
+  if
+   local.get $3
+   local.get $6
+   i64.shl
+   local.get $2
+   i64.const 64
+   local.get $6
+   i64.sub
+   local.tee $7
+   i64.shr_u
+   i64.or
+   local.set $3
+   local.get $2
+   local.get $6
+   i64.shl
+   local.get $1
+   local.get $7
+   i64.shr_u
+   i64.or
+   local.set $2
+   local.get $1
+   local.get $6
+   i64.shl
+   local.get $4
+   i64.load offset=24
+   local.get $7
+   i64.shr_u
+   i64.or
+   local.set $1
+  end
+  local.get $0
+  i64.const 4503599627370495
+  i64.and
+  i64.const 4503599627370496
+  i64.or
+  local.tee $6
+  i64.const 4294967295
+  i64.and
+  local.set $7
+  local.get $2
+  i64.const 4294967295
+  i64.and
+  local.tee $8
+  local.get $6
+  i64.const 32
+  i64.shr_u
+  local.tee $9
+  i64.mul
+  local.get $2
+  i64.const 32
+  i64.shr_u
+  local.tee $2
+  local.get $7
+  i64.mul
+  local.get $7
+  local.get $8
+  i64.mul
+  local.tee $7
+  i64.const 32
+  i64.shr_u
+  i64.add
+  local.tee $8
+  i64.const 4294967295
+  i64.and
+  i64.add
+  local.set $10
+  local.get $2
+  local.get $9
+  i64.mul
+  local.get $8
+  i64.const 32
+  i64.shr_u
+  i64.add
+  local.get $10
+  i64.const 32
+  i64.shr_u
+  i64.add
+  global.set $~lib/math/res128_hi
+  local.get $9
+  local.get $1
+  i64.const 32
+  i64.shr_u
+  i64.mul
+  local.tee $1
+  local.get $7
+  i64.const 4294967295
+  i64.and
+  local.get $10
+  i64.const 32
+  i64.shl
+  i64.add
+  i64.add
+  local.tee $2
+  local.get $1
+  i64.lt_u
+  i64.extend_i32_u
+  global.get $~lib/math/res128_hi
+  local.get $3
+  local.get $6
+  i64.mul
+  i64.add
+  i64.add
+  local.tee $3
+  i64.const 2
+  i64.shl
+  local.get $2
+  i64.const 62
+  i64.shr_u
+  i64.or
+  local.tee $6
+  i64.const 63
+  i64.shr_s
+  local.tee $7
+  local.get $2
+  i64.const 2
+  i64.shl
+  i64.xor
+  local.set $2
+  local.get $6
+  local.get $7
+  i64.const 1
+  i64.shr_s
+  i64.xor
+  local.tee $1
+  i64.clz
+  local.set $8
+  local.get $1
+  local.get $8
+  i64.shl
+  local.get $2
+  i64.const 64
+  local.get $8
+  i64.sub
+  i64.shr_u
+  i64.or
+  local.tee $9
+  i64.const 4294967295
+  i64.and
+  local.set $1
+  local.get $9
+  i64.const 32
+  i64.shr_u
+  local.tee $10
+  i64.const 560513588
+  i64.mul
+  local.get $1
+  i64.const 3373259426
+  i64.mul
+  local.get $1
+  i64.const 560513588
+  i64.mul
+  local.tee $11
+  i64.const 32
+  i64.shr_u
+  i64.add
+  local.tee $12
+  i64.const 4294967295
+  i64.and
+  i64.add
+  local.set $1
+  local.get $10
+  i64.const 3373259426
+  i64.mul
+  local.get $12
+  i64.const 32
+  i64.shr_u
+  i64.add
+  local.get $1
+  i64.const 32
+  i64.shr_u
+  i64.add
+  global.set $~lib/math/res128_hi
+  local.get $9
+  f64.convert_i64_u
+  f64.const 3.753184150245214e-04
+  f64.mul
+  local.get $2
+  local.get $8
+  i64.shl
+  f64.convert_i64_u
+  f64.const 3.834951969714103e-04
+  f64.mul
+  f64.add
+  i64.trunc_sat_f64_u
+  local.tee $2
+  local.get $11
+  i64.const 4294967295
+  i64.and
+  local.get $1
+  i64.const 32
+  i64.shl
+  i64.add
+  local.tee $1
+  i64.gt_u
+  i64.extend_i32_u
+  global.get $~lib/math/res128_hi
+  local.tee $9
+  i64.const 11
+  i64.shr_u
+  i64.add
+  f64.convert_i64_u
+  global.set $~lib/math/rempio2_y0
+  local.get $9
+  i64.const 53
+  i64.shl
+  local.get $1
+  i64.const 11
+  i64.shr_u
+  i64.or
+  local.get $2
+  i64.add
+  f64.convert_i64_u
+  f64.const 5.421010862427522e-20
+  f64.mul
+  global.set $~lib/math/rempio2_y1
+  global.get $~lib/math/rempio2_y0
+  i64.const 4372995238176751616
+  local.get $8
+  i64.const 52
+  i64.shl
+  i64.sub
+  local.get $0
+  local.get $6
+  i64.xor
+  i64.const -9223372036854775808
+  i64.and
+  i64.or
+  f64.reinterpret_i64
+  local.tee $5
+  f64.mul
+  global.set $~lib/math/rempio2_y0
+  global.get $~lib/math/rempio2_y1
+  local.get $5
+  f64.mul
+  global.set $~lib/math/rempio2_y1
+  local.get $3
+  i64.const 62
+  i64.shr_s
+  local.get $7
+  i64.sub
+  i32.wrap_i64
+ )
+ (func $~lib/math/NativeMath.cos (param $0 f64) (result f64)
+  (local $1 f64)
+  (local $2 f64)
+  (local $3 i32)
+  (local $4 i32)
+  (local $5 i64)
+  (local $6 i32)
+  (local $7 f64)
+  (local $8 f64)
+  (local $9 f64)
+  local.get $0
+  i64.reinterpret_f64
+  local.tee $5
+  i64.const 32
+  i64.shr_u
+  i32.wrap_i64
+  local.tee $3
+  i32.const 31
+  i32.shr_u
+  local.set $6
+  local.get $3
+  i32.const 2147483647
+  i32.and
+  local.tee $3
+  i32.const 1072243195
+  i32.le_u
+  if
+   local.get $3
+   i32.const 1044816030
+   i32.lt_u
+   if
+    f64.const 1
+    return
+   end
+   local.get $0
+   local.get $0
+   f64.mul
+   local.tee $1
+   local.get $1
+   f64.mul
+   local.set $2
+   f64.const 1
+   local.get $1
+   f64.const 0.5
+   f64.mul
+   local.tee $7
+   f64.sub
+   local.tee $8
+   f64.const 1
+   local.get $8
+   f64.sub
+   local.get $7
+   f64.sub
+   local.get $1
+   local.get $1
+   local.get $1
+   local.get $1
+   f64.const 2.480158728947673e-05
+   f64.mul
+   f64.const -0.001388888888887411
+   f64.add
+   f64.mul
+   f64.const 0.0416666666666666
+   f64.add
+   f64.mul
+   local.get $2
+   local.get $2
+   f64.mul
+   local.get $1
+   local.get $1
+   f64.const -1.1359647557788195e-11
+   f64.mul
+   f64.const 2.087572321298175e-09
+   f64.add
+   f64.mul
+   f64.const -2.7557314351390663e-07
+   f64.add
+   f64.mul
+   f64.add
+   f64.mul
+   local.get $0
+   f64.const 0
+   f64.mul
+   f64.sub
+   f64.add
+   f64.add
+   return
+  end
+  local.get $3
+  i32.const 2146435072
+  i32.ge_u
+  if
+   local.get $0
+   local.get $0
+   f64.sub
+   return
+  end
+  block $~lib/math/rempio2|inlined.0 (result i32)
+   local.get $5
+   i64.const 32
+   i64.shr_u
+   i32.wrap_i64
+   i32.const 2147483647
+   i32.and
+   local.tee $4
+   i32.const 1073928572
+   i32.lt_u
+   if
+    i32.const 1
+    local.set $3
+    local.get $6
+    if (result f64)
+     local.get $0
+     f64.const 1.5707963267341256
+     f64.add
+     local.set $0
+     i32.const -1
+     local.set $3
+     local.get $4
+     i32.const 1073291771
+     i32.ne
+     if (result f64)
+      local.get $0
+      local.get $0
+      f64.const 6.077100506506192e-11
+      f64.add
+      local.tee $0
+      f64.sub
+      f64.const 6.077100506506192e-11
+      f64.add
+     else
+      local.get $0
+      f64.const 6.077100506303966e-11
+      f64.add
+      local.tee $1
+      f64.const 2.0222662487959506e-21
+      f64.add
+      local.set $0
+      local.get $1
+      local.get $0
+      f64.sub
+      f64.const 2.0222662487959506e-21
+      f64.add
+     end
+    else
+     local.get $0
+     f64.const -1.5707963267341256
+     f64.add
+     local.set $0
+     local.get $4
+     i32.const 1073291771
+     i32.ne
+     if (result f64)
+      local.get $0
+      local.get $0
+      f64.const -6.077100506506192e-11
+      f64.add
+      local.tee $0
+      f64.sub
+      f64.const -6.077100506506192e-11
+      f64.add
+     else
+      local.get $0
+      f64.const -6.077100506303966e-11
+      f64.add
+      local.tee $1
+      f64.const -2.0222662487959506e-21
+      f64.add
+      local.set $0
+      local.get $1
+      local.get $0
+      f64.sub
+      f64.const -2.0222662487959506e-21
+      f64.add
+     end
+    end
+    local.set $1
+    local.get $0
+    global.set $~lib/math/rempio2_y0
+    local.get $1
+    global.set $~lib/math/rempio2_y1
+    local.get $3
+    br $~lib/math/rempio2|inlined.0
+   end
+   local.get $4
+   i32.const 1094263291
+   i32.lt_u
+   if
+    local.get $4
+    i32.const 20
+    i32.shr_u
+    local.tee $3
+    local.get $0
+    local.get $0
+    f64.const 0.6366197723675814
+    f64.mul
+    f64.nearest
+    local.tee $7
+    f64.const 1.5707963267341256
+    f64.mul
+    f64.sub
+    local.tee $0
+    local.get $7
+    f64.const 6.077100506506192e-11
+    f64.mul
+    local.tee $2
+    f64.sub
+    local.tee $1
+    i64.reinterpret_f64
+    i64.const 32
+    i64.shr_u
+    i32.wrap_i64
+    i32.const 20
+    i32.shr_u
+    i32.const 2047
+    i32.and
+    i32.sub
+    i32.const 16
+    i32.gt_u
+    if
+     local.get $7
+     f64.const 2.0222662487959506e-21
+     f64.mul
+     local.get $0
+     local.get $0
+     local.get $7
+     f64.const 6.077100506303966e-11
+     f64.mul
+     local.tee $1
+     f64.sub
+     local.tee $0
+     f64.sub
+     local.get $1
+     f64.sub
+     f64.sub
+     local.set $2
+     local.get $3
+     local.get $0
+     local.get $2
+     f64.sub
+     local.tee $1
+     i64.reinterpret_f64
+     i64.const 32
+     i64.shr_u
+     i32.wrap_i64
+     i32.const 20
+     i32.shr_u
+     i32.const 2047
+     i32.and
+     i32.sub
+     i32.const 49
+     i32.gt_u
+     if
+      local.get $7
+      f64.const 8.4784276603689e-32
+      f64.mul
+      local.get $0
+      local.get $0
+      local.get $7
+      f64.const 2.0222662487111665e-21
+      f64.mul
+      local.tee $1
+      f64.sub
+      local.tee $0
+      f64.sub
+      local.get $1
+      f64.sub
+      f64.sub
+      local.set $2
+      local.get $0
+      local.get $2
+      f64.sub
+      local.set $1
+     end
+    end
+    local.get $1
+    global.set $~lib/math/rempio2_y0
+    local.get $0
+    local.get $1
+    f64.sub
+    local.get $2
+    f64.sub
+    global.set $~lib/math/rempio2_y1
+    local.get $7
+    i32.trunc_sat_f64_s
+    br $~lib/math/rempio2|inlined.0
+   end
+   i32.const 0
+   local.get $5
+   call $~lib/math/pio2_large_quot
+   local.tee $3
+   i32.sub
+   local.get $3
+   local.get $6
+   select
+  end
+  local.set $3
+  global.get $~lib/math/rempio2_y0
+  local.set $1
+  global.get $~lib/math/rempio2_y1
+  local.set $2
+  local.get $3
+  i32.const 1
+  i32.and
+  if (result f64)
+   local.get $1
+   local.get $1
+   f64.mul
+   local.tee $0
+   local.get $1
+   f64.mul
+   local.set $7
+   local.get $1
+   local.get $0
+   local.get $2
+   f64.const 0.5
+   f64.mul
+   local.get $7
+   local.get $0
+   local.get $0
+   f64.const 2.7557313707070068e-06
+   f64.mul
+   f64.const -1.984126982985795e-04
+   f64.add
+   f64.mul
+   f64.const 0.00833333333332249
+   f64.add
+   local.get $0
+   local.get $0
+   local.get $0
+   f64.mul
+   f64.mul
+   local.get $0
+   f64.const 1.58969099521155e-10
+   f64.mul
+   f64.const -2.5050760253406863e-08
+   f64.add
+   f64.mul
+   f64.add
+   f64.mul
+   f64.sub
+   f64.mul
+   local.get $2
+   f64.sub
+   local.get $7
+   f64.const -0.16666666666666632
+   f64.mul
+   f64.sub
+   f64.sub
+  else
+   local.get $1
+   local.get $1
+   f64.mul
+   local.tee $7
+   local.get $7
+   f64.mul
+   local.set $8
+   f64.const 1
+   local.get $7
+   f64.const 0.5
+   f64.mul
+   local.tee $0
+   f64.sub
+   local.tee $9
+   f64.const 1
+   local.get $9
+   f64.sub
+   local.get $0
+   f64.sub
+   local.get $7
+   local.get $7
+   local.get $7
+   local.get $7
+   f64.const 2.480158728947673e-05
+   f64.mul
+   f64.const -0.001388888888887411
+   f64.add
+   f64.mul
+   f64.const 0.0416666666666666
+   f64.add
+   f64.mul
+   local.get $8
+   local.get $8
+   f64.mul
+   local.get $7
+   local.get $7
+   f64.const -1.1359647557788195e-11
+   f64.mul
+   f64.const 2.087572321298175e-09
+   f64.add
+   f64.mul
+   f64.const -2.7557314351390663e-07
+   f64.add
+   f64.mul
+   f64.add
+   f64.mul
+   local.get $1
+   local.get $2
+   f64.mul
+   f64.sub
+   f64.add
+   f64.add
+  end
+  local.tee $0
+  f64.neg
+  local.get $0
+  local.get $3
+  i32.const 1
+  i32.add
+  i32.const 2
+  i32.and
+  select
+ )
+ (func $assembly/math/randn (result f64)
+  (local $0 f64)
+  (local $1 f64)
+  loop $while-continue|0
+   local.get $0
+   f64.const 0
+   f64.eq
+   if
+    call $assembly/math/nextRandom
+    local.set $0
+    br $while-continue|0
+   end
+  end
+  loop $while-continue|1
+   local.get $1
+   f64.const 0
+   f64.eq
+   if
+    call $assembly/math/nextRandom
+    local.set $1
+    br $while-continue|1
+   end
+  end
+  local.get $0
+  call $~lib/math/NativeMath.log
+  f64.const -2
+  f64.mul
+  f64.sqrt
+  local.get $1
+  f64.const 6.283185307179586
+  f64.mul
+  call $~lib/math/NativeMath.cos
+  f64.mul
+  local.tee $0
+  f64.neg
+  local.get $0
+  global.get $assembly/math/mirrorNormals
+  select
+ )
+ (func $~lib/math/NativeMath.exp (param $0 f64) (result f64)
+  (local $1 i32)
+  (local $2 i64)
+  (local $3 f64)
+  (local $4 f64)
+  (local $5 i32)
+  (local $6 i64)
+  (local $7 f64)
+  (local $8 f64)
+  block $~lib/util/math/exp_lut|inlined.0 (result f64)
+   local.get $0
+   i64.reinterpret_f64
+   local.tee $2
+   i64.const 52
+   i64.shr_u
+   i32.wrap_i64
+   i32.const 2047
+   i32.and
+   local.tee $1
+   i32.const 969
+   i32.sub
+   local.tee $5
+   i32.const 63
+   i32.ge_u
+   if
+    f64.const 1
+    local.get $5
+    i32.const -2147483648
+    i32.ge_u
+    br_if $~lib/util/math/exp_lut|inlined.0
+    drop
+    local.get $1
+    i32.const 1033
+    i32.ge_u
+    if
+     f64.const 0
+     local.get $2
+     i64.const -4503599627370496
+     i64.eq
+     br_if $~lib/util/math/exp_lut|inlined.0
+     drop
+     local.get $0
+     f64.const 1
+     f64.add
+     local.get $1
+     i32.const 2047
+     i32.ge_u
+     br_if $~lib/util/math/exp_lut|inlined.0
+     drop
+     f64.const 0
+     f64.const inf
+     local.get $2
+     i64.const 0
+     i64.lt_s
+     select
+     br $~lib/util/math/exp_lut|inlined.0
+    end
+    i32.const 0
+    local.set $1
+   end
+   local.get $0
+   f64.const 184.6649652337873
+   f64.mul
+   f64.const 6755399441055744
+   f64.add
+   local.tee $3
+   i64.reinterpret_f64
+   local.tee $6
+   i64.const 127
+   i64.and
+   i64.const 1
+   i64.shl
+   i32.wrap_i64
+   i32.const 3
+   i32.shl
+   i32.const 37168
+   i32.add
+   local.tee $5
+   i64.load offset=8
+   local.get $6
+   i64.const 45
+   i64.shl
+   i64.add
+   local.set $2
+   local.get $0
+   local.get $3
+   f64.const -6755399441055744
+   f64.add
+   local.tee $0
+   f64.const -0.005415212348111709
+   f64.mul
+   f64.add
+   local.get $0
+   f64.const -1.2864023111638346e-14
+   f64.mul
+   f64.add
+   local.tee $0
+   local.get $0
+   f64.mul
+   local.set $3
    local.get $5
-   f64.const -0.2499999999622955
+   f64.load
+   local.get $0
+   f64.add
+   local.get $3
+   local.get $0
+   f64.const 0.16666666666665886
    f64.mul
-   f64.const 0.33333333331825593
+   f64.const 0.49999999999996786
+   f64.add
+   f64.mul
+   f64.add
+   local.get $3
+   local.get $3
+   f64.mul
+   local.get $0
+   f64.const 0.008333335853059549
+   f64.mul
+   f64.const 0.0416666808410674
+   f64.add
+   f64.mul
+   f64.add
+   local.set $0
+   local.get $1
+   i32.eqz
+   if
+    block $~lib/util/math/specialcase|inlined.1 (result f64)
+     local.get $6
+     i64.const 2147483648
+     i64.and
+     i64.eqz
+     if
+      local.get $2
+      i64.const 4544132024016830464
+      i64.sub
+      f64.reinterpret_i64
+      local.tee $3
+      local.get $3
+      local.get $0
+      f64.mul
+      f64.add
+      f64.const 5486124068793688683255936e279
+      f64.mul
+      br $~lib/util/math/specialcase|inlined.1
+     end
+     local.get $2
+     i64.const 4602678819172646912
+     i64.add
+     local.tee $2
+     f64.reinterpret_i64
+     local.tee $3
+     local.get $0
+     f64.mul
+     local.set $7
+     local.get $3
+     local.get $7
+     f64.add
+     local.tee $4
+     f64.abs
+     f64.const 1
+     f64.lt
+     if (result f64)
+      f64.const 1
+      local.get $4
+      f64.copysign
+      local.tee $8
+      local.get $4
+      f64.add
+      local.tee $0
+      local.get $8
+      local.get $0
+      f64.sub
+      local.get $4
+      f64.add
+      local.get $3
+      local.get $4
+      f64.sub
+      local.get $7
+      f64.add
+      f64.add
+      f64.add
+      local.get $8
+      f64.sub
+      local.tee $0
+      f64.const 0
+      f64.eq
+      if (result f64)
+       local.get $2
+       i64.const -9223372036854775808
+       i64.and
+       f64.reinterpret_i64
+      else
+       local.get $0
+      end
+     else
+      local.get $4
+     end
+     f64.const 2.2250738585072014e-308
+     f64.mul
+    end
+    br $~lib/util/math/exp_lut|inlined.0
+   end
+   local.get $2
+   f64.reinterpret_i64
+   local.tee $3
+   local.get $3
+   local.get $0
+   f64.mul
+   f64.add
+  end
+ )
+ (func $assembly/math/monthlyReturnFromShock (param $0 f64) (param $1 f64) (param $2 f64) (result f64)
+  local.get $0
+  local.get $1
+  f64.const 0.5
+  f64.mul
+  local.get $1
+  f64.mul
+  f64.sub
+  f64.const 0.08333333333333333
+  f64.mul
+  local.get $1
+  f64.const 0.28867513459481287
+  f64.mul
+  local.get $2
+  f64.mul
+  f64.add
+  call $~lib/math/NativeMath.exp
+ )
+ (func $assembly/math/randGamma (param $0 f64) (result f64)
+  (local $1 f64)
+  (local $2 f64)
+  (local $3 f64)
+  (local $4 f64)
+  local.get $0
+  f64.const 1
+  f64.lt
+  if
+   loop $while-continue|0
+    local.get $1
+    f64.const 0
+    f64.eq
+    if
+     call $assembly/math/nextRandom
+     local.set $1
+     br $while-continue|0
+    end
+   end
+   local.get $0
+   f64.const 1
+   f64.add
+   call $assembly/math/randGamma
+   local.get $1
+   f64.const 1
+   local.get $0
+   f64.div
+   call $~lib/math/NativeMath.pow
+   f64.mul
+   return
+  end
+  f64.const 1
+  local.get $0
+  f64.const -0.3333333333333333
+  f64.add
+  local.tee $0
+  f64.const 9
+  f64.mul
+  f64.sqrt
+  f64.div
+  local.set $3
+  loop $while-continue|1
+   local.get $3
+   call $assembly/math/randn
+   local.tee $1
+   f64.mul
+   f64.const 1
+   f64.add
+   local.tee $2
+   f64.const 0
+   f64.le
+   br_if $while-continue|1
+   local.get $2
+   local.get $2
+   f64.mul
+   local.get $2
+   f64.mul
+   local.set $2
+   call $assembly/math/nextRandom
+   local.tee $4
+   f64.const 1
+   local.get $1
+   f64.const 0.0331
+   f64.mul
+   local.get $1
+   f64.mul
+   local.get $1
+   f64.mul
+   local.get $1
+   f64.mul
+   f64.sub
+   f64.lt
+   if
+    local.get $0
+    local.get $2
+    f64.mul
+    return
+   end
+   local.get $4
+   f64.const 0
+   f64.gt
+   if (result i32)
+    local.get $4
+    call $~lib/math/NativeMath.log
+    local.get $1
+    f64.const 0.5
+    f64.mul
+    local.get $1
+    f64.mul
+    local.get $0
+    f64.const 1
+    local.get $2
+    f64.sub
+    local.get $2
+    call $~lib/math/NativeMath.log
+    f64.add
+    f64.mul
+    f64.add
+    f64.lt
+   else
+    i32.const 0
+   end
+   i32.eqz
+   br_if $while-continue|1
+  end
+  local.get $0
+  local.get $2
+  f64.mul
+ )
+ (func $assembly/index/priceLevel (param $0 i32) (param $1 f64) (param $2 f64) (param $3 i32) (result f64)
+  local.get $0
+  i32.const 1
+  i32.eq
+  if (result f64)
+   local.get $1
+   call $~lib/math/NativeMath.exp
+  else
+   local.get $2
+   f64.const 1
    f64.add
+   local.get $3
+   f64.convert_i32_s
+   f64.const 12
+   f64.div
+   call $~lib/math/NativeMath.pow
+  end
+ )
+ (func $~lib/util/sort/insertionSort<f64> (param $0 i32) (param $1 i32) (param $2 i32) (param $3 i32) (param $4 i32)
+  (local $5 f64)
+  (local $6 f64)
+  (local $7 i32)
+  (local $8 f64)
+  (local $9 i32)
+  local.get $1
+  local.get $3
+  local.get $2
+  local.get $1
+  i32.sub
+  i32.const 1
+  i32.add
+  local.tee $7
+  local.get $3
+  i32.sub
+  i32.const 1
+  i32.and
+  i32.sub
+  local.get $7
+  i32.const 1
+  i32.and
+  local.get $3
+  select
+  i32.add
+  local.set $7
+  loop $for-loop|0
+   local.get $2
+   local.get $7
+   i32.ge_s
+   if
+    local.get $0
+    local.get $7
+    i32.const 3
+    i32.shl
+    i32.add
+    local.tee $3
+    f64.load offset=8
+    local.tee $8
+    local.set $6
+    local.get $3
+    f64.load
+    local.set $5
+    i32.const 2
+    global.set $~argumentsLength
+    local.get $5
+    local.get $8
+    local.get $4
+    i32.load
+    call_indirect (type $0)
+    i32.const 0
+    i32.le_s
+    if
+     local.get $5
+     local.set $6
+     local.get $8
+     local.set $5
+    end
+    local.get $7
+    i32.const 1
+    i32.sub
+    local.set $3
+    loop $while-continue|1
+     local.get $1
+     local.get $3
+     i32.le_s
+     if
+      block $while-break|1
+       local.get $0
+       local.get $3
+       i32.const 3
+       i32.shl
+       i32.add
+       local.tee $9
+       f64.load
+       local.set $8
+       i32.const 2
+       global.set $~argumentsLength
+       local.get $8
+       local.get $5
+       local.get $4
+       i32.load
+       call_indirect (type $0)
+       i32.const 0
+       i32.le_s
+       br_if $while-break|1
+       local.get $9
+       local.get $8
+       f64.store offset=16
+       local.get $3
+       i32.const 1
+       i32.sub
+       local.set $3
+       br $while-continue|1
+      end
+     end
+    end
+    local.get $0
+    local.get $3
+    i32.const 3
+    i32.shl
+    i32.add
+    local.get $5
+    f64.store offset=16
+    loop $while-continue|2
+     local.get $1
+     local.get $3
+     i32.le_s
+     if
+      block $while-break|2
+       local.get $0
+       local.get $3
+       i32.const 3
+       i32.shl
+       i32.add
+       local.tee $9
+       f64.load
+       local.set $5
+       i32.const 2
+       global.set $~argumentsLength
+       local.get $5
+       local.get $6
+       local.get $4
+       i32.load
+       call_indirect (type $0)
+       i32.const 0
+       i32.le_s
+       br_if $while-break|2
+       local.get $9
+       local.get $5
+       f64.store offset=8
+       local.get $3
+       i32.const 1
+       i32.sub
+       local.set $3
+       br $while-continue|2
+      end
+     end
+    end
+    local.get $0
+    local.get $3
+    i32.const 3
+    i32.shl
+    i32.add
+    local.get $6
+    f64.store offset=8
+    local.get $7
+    i32.const 2
+    i32.add
+    local.set $7
+    br $for-loop|0
+   end
+  end
+ )
+ (func $~lib/util/sort/extendRunRight<f64> (param $0 i32) (param $1 i32) (param $2 i32) (param $3 i32) (result i32)
+  (local $4 i32)
+  (local $5 f64)
+  (local $6 i32)
+  (local $7 f64)
+  local.get $1
+  local.get $2
+  i32.eq
+  if
+   local.get $1
+   return
+  end
+  local.get $0
+  local.get $1
+  i32.const 3
+  i32.shl
+  i32.add
+  f64.load
+  local.set $5
+  local.get $0
+  local.get $1
+  i32.const 1
+  i32.add
+  local.tee $4
+  i32.const 3
+  i32.shl
+  i32.add
+  f64.load
+  local.set $7
+  i32.const 2
+  global.set $~argumentsLength
+  local.get $5
+  local.get $7
+  local.get $3
+  i32.load
+  call_indirect (type $0)
+  i32.const 0
+  i32.gt_s
+  if
+   loop $while-continue|0
+    local.get $2
+    local.get $4
+    i32.gt_s
+    if (result i32)
+     local.get $0
+     local.get $4
+     i32.const 3
+     i32.shl
+     i32.add
+     local.tee $6
+     f64.load offset=8
+     local.set $5
+     local.get $6
+     f64.load
+     local.set $7
+     i32.const 2
+     global.set $~argumentsLength
+     local.get $5
+     local.get $7
+     local.get $3
+     i32.load
+     call_indirect (type $0)
+     i32.const 31
+     i32.shr_u
+    else
+     i32.const 0
+    end
+    if
+     local.get $4
+     i32.const 1
+     i32.add
+     local.set $4
+     br $while-continue|0
+    end
+   end
+   local.get $4
+   local.set $2
+   loop $while-continue|1
+    local.get $1
+    local.get $2
+    i32.lt_s
+    if
+     local.get $0
+     local.get $1
+     i32.const 3
+     i32.shl
+     i32.add
+     local.tee $3
+     f64.load
+     local.set $5
+     local.get $3
+     local.get $0
+     local.get $2
+     i32.const 3
+     i32.shl
+     i32.add
+     local.tee $3
+     f64.load
+     f64.store
+     local.get $1
+     i32.const 1
+     i32.add
+     local.set $1
+     local.get $3
+     local.get $5
+     f64.store
+     local.get $2
+     i32.const 1
+     i32.sub
+     local.set $2
+     br $while-continue|1
+    end
+   end
+  else
+   loop $while-continue|2
+    local.get $2
+    local.get $4
+    i32.gt_s
+    if (result i32)
+     local.get $0
+     local.get $4
+     i32.const 3
+     i32.shl
+     i32.add
+     local.tee $1
+     f64.load offset=8
+     local.set $5
+     local.get $1
+     f64.load
+     local.set $7
+     i32.const 2
+     global.set $~argumentsLength
+     local.get $5
+     local.get $7
+     local.get $3
+     i32.load
+     call_indirect (type $0)
+     i32.const 0
+     i32.ge_s
+    else
+     i32.const 0
+    end
+    if
+     local.get $4
+     i32.const 1
+     i32.add
+     local.set $4
+     br $while-continue|2
+    end
+   end
+  end
+  local.get $4
+ )
+ (func $~lib/util/sort/mergeRuns<f64> (param $0 i32) (param $1 i32) (param $2 i32) (param $3 i32) (param $4 i32) (param $5 i32)
+  (local $6 i32)
+  (local $7 f64)
+  (local $8 f64)
+  (local $9 i32)
+  (local $10 i32)
+  local.get $2
+  i32.const 1
+  i32.sub
+  local.tee $6
+  local.get $3
+  i32.add
+  local.set $9
+  local.get $6
+  i32.const 1
+  i32.add
+  local.set $2
+  loop $for-loop|0
+   local.get $1
+   local.get $2
+   i32.lt_s
+   if
+    local.get $2
+    i32.const 1
+    i32.sub
+    local.tee $2
+    i32.const 3
+    i32.shl
+    local.tee $10
+    local.get $4
+    i32.add
+    local.get $0
+    local.get $10
+    i32.add
+    f64.load
+    f64.store
+    br $for-loop|0
+   end
+  end
+  loop $for-loop|1
+   local.get $3
+   local.get $6
+   i32.gt_s
+   if
+    local.get $4
+    local.get $9
+    local.get $6
+    i32.sub
+    i32.const 3
+    i32.shl
+    i32.add
+    local.get $0
+    local.get $6
+    i32.const 3
+    i32.shl
+    i32.add
+    f64.load offset=8
+    f64.store
+    local.get $6
+    i32.const 1
+    i32.add
+    local.set $6
+    br $for-loop|1
+   end
+  end
+  loop $for-loop|2
+   local.get $1
+   local.get $3
+   i32.le_s
+   if
+    local.get $4
+    local.get $6
+    i32.const 3
+    i32.shl
+    i32.add
+    f64.load
+    local.set $7
+    local.get $4
+    local.get $2
+    i32.const 3
+    i32.shl
+    i32.add
+    f64.load
+    local.set $8
+    i32.const 2
+    global.set $~argumentsLength
+    local.get $7
+    local.get $8
+    local.get $5
+    i32.load
+    call_indirect (type $0)
+    i32.const 0
+    i32.lt_s
+    if
+     local.get $0
+     local.get $1
+     i32.const 3
+     i32.shl
+     i32.add
+     local.get $7
+     f64.store
+     local.get $6
+     i32.const 1
+     i32.sub
+     local.set $6
+    else
+     local.get $0
+     local.get $1
+     i32.const 3
+     i32.shl
+     i32.add
+     local.get $8
+     f64.store
+     local.get $2
+     i32.const 1
+     i32.add
+     local.set $2
+    end
+    local.get $1
+    i32.const 1
+    i32.add
+    local.set $1
+    br $for-loop|2
+   end
+  end
+ )
+ (func $~lib/util/sort/COMPARATOR<f64>~anonymous|0 (param $0 f64) (param $1 f64) (result i32)
+  (local $2 i64)
+  (local $3 i64)
+  local.get $0
+  i64.reinterpret_f64
+  local.tee $2
+  i64.const 63
+  i64.shr_s
+  i64.const 1
+  i64.shr_u
+  local.get $2
+  i64.xor
+  local.tee $2
+  local.get $1
+  i64.reinterpret_f64
+  local.tee $3
+  i64.const 63
+  i64.shr_s
+  i64.const 1
+  i64.shr_u
+  local.get $3
+  i64.xor
+  local.tee $3
+  i64.gt_s
+  local.get $2
+  local.get $3
+  i64.lt_s
+  i32.sub
+ )
+ (func $~lib/rt/__visit_members (param $0 i32)
+  block $folding-inner0
+   block $invalid
+    block $~lib/function/Function<%28f64%2Cf64%29=>i32>
+     block $~lib/array/Array<f64>
+      block $~lib/staticarray/StaticArray<bool>
+       block $~lib/staticarray/StaticArray<i32>
+        block $~lib/staticarray/StaticArray<f64>
+         block $~lib/staticarray/StaticArray<u32>
+          block $~lib/staticarray/StaticArray<u16>
+           block $~lib/arraybuffer/ArrayBufferView
+            block $~lib/string/String
+             block $~lib/arraybuffer/ArrayBuffer
+              block $~lib/object/Object
+               local.get $0
+               i32.const 8
+               i32.sub
+               i32.load
+               br_table $~lib/object/Object $~lib/arraybuffer/ArrayBuffer $~lib/string/String $~lib/arraybuffer/ArrayBufferView $~lib/staticarray/StaticArray<u16> $~lib/staticarray/StaticArray<u32> $~lib/staticarray/StaticArray<f64> $~lib/staticarray/StaticArray<i32> $~lib/staticarray/StaticArray<bool> $~lib/array/Array<f64> $~lib/function/Function<%28f64%2Cf64%29=>i32> $invalid
+              end
+              return
+             end
+             return
+            end
+            return
+           end
+           local.get $0
+           i32.load
+           local.tee $0
+           if
+            local.get $0
+            call $~lib/rt/itcms/__visit
+           end
+           return
+          end
+          return
+         end
+         return
+        end
+        return
+       end
+       return
+      end
+      return
+     end
+     global.get $~lib/memory/__stack_pointer
+     i32.const 4
+     i32.sub
+     global.set $~lib/memory/__stack_pointer
+     global.get $~lib/memory/__stack_pointer
+     i32.const 43600
+     i32.lt_s
+     br_if $folding-inner0
+     global.get $~lib/memory/__stack_pointer
+     i32.const 0
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $0
+     i32.store
+     local.get $0
+     i32.load
+     call $~lib/rt/itcms/__visit
+     global.get $~lib/memory/__stack_pointer
+     i32.const 4
+     i32.add
+     global.set $~lib/memory/__stack_pointer
+     return
+    end
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    i32.sub
+    global.set $~lib/memory/__stack_pointer
+    global.get $~lib/memory/__stack_pointer
+    i32.const 43600
+    i32.lt_s
+    br_if $folding-inner0
+    global.get $~lib/memory/__stack_pointer
+    i32.const 0
+    i32.store
+    global.get $~lib/memory/__stack_pointer
+    local.get $0
+    i32.store
+    local.get $0
+    i32.load offset=4
+    call $~lib/rt/itcms/__visit
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    i32.add
+    global.set $~lib/memory/__stack_pointer
+    return
+   end
+   unreachable
+  end
+  i32.const 76400
+  i32.const 76448
+  i32.const 1
+  i32.const 1
+  call $~lib/builtins/abort
+  unreachable
+ )
+ (func $~start
+  memory.size
+  i32.const 16
+  i32.shl
+  i32.const 76368
+  i32.sub
+  i32.const 1
+  i32.shr_u
+  global.set $~lib/rt/itcms/threshold
+  i32.const 32676
+  i32.const 32672
+  i32.store
+  i32.const 32680
+  i32.const 32672
+  i32.store
+  i32.const 32672
+  global.set $~lib/rt/itcms/pinSpace
+  i32.const 32708
+  i32.const 32704
+  i32.store
+  i32.const 32712
+  i32.const 32704
+  i32.store
+  i32.const 32704
+  global.set $~lib/rt/itcms/toSpace
+  i32.const 32852
+  i32.const 32848
+  i32.store
+  i32.const 32856
+  i32.const 32848
+  i32.store
+  i32.const 32848
+  global.set $~lib/rt/itcms/fromSpace
+  i32.const 0
+  call $~lib/staticarray/StaticArray<u32>#constructor
+  global.set $assembly/math/sobolDirections
+  i32.const 0
+  call $~lib/staticarray/StaticArray<u32>#constructor
+  global.set $assembly/math/sobolPoint
+  i32.const 0
+  call $~lib/staticarray/StaticArray<u32>#constructor
+  global.set $assembly/math/sobolShift
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/math/sobolShocks
+  i32.const 0
+  call $~lib/staticarray/StaticArray<i32>#constructor
+  global.set $assembly/math/bridgeMonth
+  i32.const 0
+  call $~lib/staticarray/StaticArray<i32>#constructor
+  global.set $assembly/math/bridgeLeft
+  i32.const 0
+  call $~lib/staticarray/StaticArray<i32>#constructor
+  global.set $assembly/math/bridgeRight
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/math/bridgeLeftWeight
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/math/bridgeRightWeight
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/math/bridgeStdDev
+  i32.const 64
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/inputBuffer
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/strategyTable
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/batchOutput
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/returnSeries
+  i32.const 0
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/assetTable
+  i32.const 4
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  global.set $assembly/index/outputBuffer
+ )
+ (func $assembly/index/reserveBatchOutput (param $0 i32) (param $1 i32)
+  (local $2 i32)
+  (local $3 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/batchOutput
+  local.tee $2
+  i32.store
+  local.get $0
+  local.get $2
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 3
+  i32.shr_u
+  i32.le_s
+  if
+   global.get $~lib/memory/__stack_pointer
+   i32.const 8
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   return
+  end
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/batchOutput
+  local.tee $2
+  i32.store
+  local.get $2
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 3
+  i32.shr_u
+  local.set $3
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/batchOutput
+  local.tee $2
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  local.get $3
+  local.get $2
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 4
+  i32.shr_u
+  i32.add
+  local.tee $2
+  local.get $0
+  local.get $2
+  i32.gt_s
+  select
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  local.tee $0
+  i32.store offset=4
+  local.get $0
+  global.get $assembly/index/batchOutput
+  local.get $1
+  i32.const 3
+  i32.shl
+  memory.copy
+  local.get $0
+  global.set $assembly/index/batchOutput
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+ )
+ (func $~lib/staticarray/StaticArray<f64>#__set (param $0 i32) (param $1 i32) (param $2 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 3
+  i32.shr_u
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 93
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $0
+  local.get $1
+  i32.const 3
+  i32.shl
+  i32.add
+  local.get $2
+  f64.store
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+ )
+ (func $~lib/staticarray/StaticArray<f64>#__get (param $0 i32) (param $1 i32) (result f64)
+  (local $2 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 3
+  i32.shr_u
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 78
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  local.get $0
+  local.get $1
+  i32.const 3
+  i32.shl
+  i32.add
+  f64.load
+  local.set $2
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $2
+ )
+ (func $assembly/index/beginOutput (param $0 i32) (param $1 i32) (result i32)
+  (local $2 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
+  local.tee $2
+  i32.store
+  local.get $2
+  i32.const 0
+  f64.const 1296257869
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
+  local.tee $2
+  i32.store
+  local.get $2
+  i32.const 1
+  f64.const 1
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
+  local.tee $2
+  i32.store
+  local.get $2
+  i32.const 2
+  local.get $0
+  f64.convert_i32_s
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
+  local.tee $0
+  i32.store
+  local.get $0
+  i32.const 3
+  local.get $1
+  f64.convert_i32_s
+  call $~lib/staticarray/StaticArray<f64>#__set
+  i32.const 4
+  global.set $assembly/index/sectionEntry
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $1
+  i32.const 3
+  i32.mul
+  i32.const 4
+  i32.add
+ )
+ (func $~lib/staticarray/StaticArray<u32>#__set (param $0 i32) (param $1 i32) (param $2 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 2
+  i32.shr_u
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 93
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $0
+  local.get $1
+  i32.const 2
+  i32.shl
+  i32.add
+  local.get $2
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+ )
+ (func $~lib/staticarray/StaticArray<u16>#__get (param $0 i32) (param $1 i32) (result i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 1
+  i32.shr_u
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 78
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  local.get $0
+  local.get $1
+  i32.const 1
+  i32.shl
+  i32.add
+  i32.load16_u
+  local.set $0
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $0
+ )
+ (func $~lib/staticarray/StaticArray<u32>#__get (param $0 i32) (param $1 i32) (result i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 2
+  i32.shr_u
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 78
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  local.get $0
+  local.get $1
+  i32.const 2
+  i32.shl
+  i32.add
+  i32.load
+  local.set $0
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $0
+ )
+ (func $~lib/staticarray/StaticArray<bool>#__set (param $0 i32) (param $1 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 93
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $0
+  local.get $1
+  i32.add
+  i32.const 1
+  i32.store8
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+ )
+ (func $~lib/staticarray/StaticArray<bool>#__get (param $0 i32) (param $1 i32) (result i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 78
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  local.get $0
+  local.get $1
+  i32.add
+  i32.load8_u
+  local.set $0
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $0
+ )
+ (func $assembly/math/buildBrownianBridge (param $0 i32)
+  (local $1 i32)
+  (local $2 i32)
+  (local $3 f64)
+  (local $4 i32)
+  (local $5 f64)
+  (local $6 f64)
+  (local $7 i32)
+  (local $8 f64)
+  (local $9 i32)
+  (local $10 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  block $folding-inner0
+   global.get $~lib/memory/__stack_pointer
+   i32.const 43600
+   i32.lt_s
+   br_if $folding-inner0
+   global.get $~lib/memory/__stack_pointer
+   i64.const 0
+   i64.store
+   local.get $0
+   call $~lib/staticarray/StaticArray<i32>#constructor
+   global.set $assembly/math/bridgeMonth
+   local.get $0
+   call $~lib/staticarray/StaticArray<i32>#constructor
+   global.set $assembly/math/bridgeLeft
+   local.get $0
+   call $~lib/staticarray/StaticArray<i32>#constructor
+   global.set $assembly/math/bridgeRight
+   local.get $0
+   call $~lib/staticarray/StaticArray<f64>#constructor
+   global.set $assembly/math/bridgeLeftWeight
+   local.get $0
+   call $~lib/staticarray/StaticArray<f64>#constructor
+   global.set $assembly/math/bridgeRightWeight
+   local.get $0
+   call $~lib/staticarray/StaticArray<f64>#constructor
+   global.set $assembly/math/bridgeStdDev
+   global.get $~lib/memory/__stack_pointer
+   local.set $2
+   global.get $~lib/memory/__stack_pointer
+   i32.const 4
+   i32.sub
+   global.set $~lib/memory/__stack_pointer
+   global.get $~lib/memory/__stack_pointer
+   i32.const 43600
+   i32.lt_s
+   br_if $folding-inner0
+   global.get $~lib/memory/__stack_pointer
+   i32.const 0
+   i32.store
+   local.get $0
+   i32.const 1073741820
+   i32.gt_u
+   if
+    i32.const 32448
+    i32.const 32496
+    i32.const 51
+    i32.const 60
+    call $~lib/builtins/abort
+    unreachable
+   end
+   global.get $~lib/memory/__stack_pointer
+   local.get $0
+   i32.const 8
+   call $~lib/rt/itcms/__new
+   local.tee $9
+   i32.store
+   global.get $~lib/memory/__stack_pointer
+   i32.const 4
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   local.get $2
+   local.get $9
+   i32.store
+   global.get $~lib/memory/__stack_pointer
+   local.get $9
+   i32.store offset=4
+   local.get $9
+   local.get $0
+   i32.const 1
+   i32.sub
+   local.tee $4
+   call $~lib/staticarray/StaticArray<bool>#__set
+   global.get $~lib/memory/__stack_pointer
+   global.get $assembly/math/bridgeMonth
+   local.tee $2
+   i32.store offset=4
+   local.get $2
+   i32.const 0
+   local.get $4
+   call $~lib/staticarray/StaticArray<u32>#__set
+   global.get $~lib/memory/__stack_pointer
+   global.get $assembly/math/bridgeStdDev
+   local.tee $2
+   i32.store offset=4
+   local.get $2
+   i32.const 0
+   local.get $0
+   f64.convert_i32_s
+   f64.sqrt
+   call $~lib/staticarray/StaticArray<f64>#__set
+   i32.const 1
+   local.set $10
+   loop $for-loop|0
+    local.get $0
+    local.get $10
+    i32.gt_s
+    if
+     loop $while-continue|1
+      global.get $~lib/memory/__stack_pointer
+      local.get $9
+      i32.store offset=4
+      local.get $9
+      local.get $1
+      call $~lib/staticarray/StaticArray<bool>#__get
+      if
+       local.get $1
+       i32.const 1
+       i32.add
+       local.set $1
+       br $while-continue|1
+      end
+     end
+     local.get $1
+     local.set $2
+     loop $while-continue|2
+      global.get $~lib/memory/__stack_pointer
+      local.get $9
+      i32.store offset=4
+      local.get $9
+      local.get $2
+      call $~lib/staticarray/StaticArray<bool>#__get
+      i32.eqz
+      if
+       local.get $2
+       i32.const 1
+       i32.add
+       local.set $2
+       br $while-continue|2
+      end
+     end
+     local.get $1
+     local.get $2
+     i32.const 1
+     i32.sub
+     local.get $1
+     i32.sub
+     i32.const 1
+     i32.shr_s
+     i32.add
+     local.tee $7
+     i32.const 1
+     i32.add
+     f64.convert_i32_s
+     local.set $6
+     global.get $~lib/memory/__stack_pointer
+     local.get $9
+     i32.store offset=4
+     local.get $9
+     local.get $7
+     call $~lib/staticarray/StaticArray<bool>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeMonth
+     local.tee $4
+     i32.store offset=4
+     local.get $4
+     local.get $10
+     local.get $7
+     call $~lib/staticarray/StaticArray<u32>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeLeft
+     local.tee $4
+     i32.store offset=4
+     local.get $4
+     local.get $10
+     local.get $1
+     i32.const 1
+     i32.sub
+     call $~lib/staticarray/StaticArray<u32>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeRight
+     local.tee $4
+     i32.store offset=4
+     local.get $4
+     local.get $10
+     local.get $2
+     call $~lib/staticarray/StaticArray<u32>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeLeftWeight
+     local.tee $4
+     i32.store offset=4
+     local.get $4
+     local.get $10
+     local.get $2
+     i32.const 1
+     i32.add
+     local.tee $2
+     f64.convert_i32_s
+     local.tee $3
+     local.get $6
+     f64.sub
+     local.tee $8
+     local.get $3
+     local.get $1
+     f64.convert_i32_s
+     local.tee $3
+     f64.sub
+     local.tee $5
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeRightWeight
+     local.tee $1
+     i32.store offset=4
+     local.get $1
+     local.get $10
+     local.get $6
+     local.get $3
+     f64.sub
+     local.tee $3
+     local.get $5
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeStdDev
+     local.tee $1
+     i32.store offset=4
+     local.get $1
+     local.get $10
+     local.get $3
+     local.get $8
+     f64.mul
+     local.get $5
+     f64.div
+     f64.sqrt
+     call $~lib/staticarray/StaticArray<f64>#__set
+     local.get $2
+     local.tee $1
+     local.get $0
+     i32.ge_s
+     if
+      i32.const 0
+      local.set $1
+     end
+     local.get $10
+     i32.const 1
+     i32.add
+     local.set $10
+     br $for-loop|0
+    end
+   end
+   global.get $~lib/memory/__stack_pointer
+   i32.const 8
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   return
+  end
+  i32.const 76400
+  i32.const 76448
+  i32.const 1
+  i32.const 1
+  call $~lib/builtins/abort
+  unreachable
+ )
+ (func $~lib/staticarray/StaticArray<i32>#__get (param $0 i32) (param $1 i32) (result i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $1
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 2
+  i32.shr_u
+  i32.ge_u
+  if
+   i32.const 32752
+   i32.const 32496
+   i32.const 78
+   i32.const 41
+   call $~lib/builtins/abort
+   unreachable
+  end
+  local.get $0
+  local.get $1
+  i32.const 2
+  i32.shl
+  i32.add
+  i32.load
+  local.set $0
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $0
+ )
+ (func $assembly/math/nextSobolPoint
+  (local $0 i32)
+  (local $1 f64)
+  (local $2 i32)
+  (local $3 i32)
+  (local $4 i32)
+  (local $5 i32)
+  (local $6 i32)
+  (local $7 f64)
+  (local $8 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 12
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store offset=8
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/math/sobolPoint
+  local.tee $2
+  i32.store
+  local.get $2
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 2
+  i32.shr_u
+  local.set $2
+  global.get $assembly/math/sobolIndex
+  if
+   global.get $assembly/math/sobolIndex
+   i32.const 1
+   i32.sub
+   i32.const -1
+   i32.xor
+   i32.ctz
+   local.set $3
+   loop $for-loop|0
+    local.get $0
+    local.get $2
+    i32.lt_s
+    if
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/sobolPoint
+     local.tee $4
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/sobolPoint
+     local.tee $5
+     i32.store offset=4
+     local.get $5
+     local.get $0
+     call $~lib/staticarray/StaticArray<u32>#__get
+     local.set $5
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/sobolDirections
+     local.tee $6
+     i32.store offset=4
+     local.get $4
+     local.get $0
+     local.get $6
+     local.get $0
+     i32.const 5
+     i32.shl
+     local.get $3
+     i32.add
+     call $~lib/staticarray/StaticArray<u32>#__get
+     local.get $5
+     i32.xor
+     call $~lib/staticarray/StaticArray<u32>#__set
+     local.get $0
+     i32.const 1
+     i32.add
+     local.set $0
+     br $for-loop|0
+    end
+   end
+  end
+  global.get $assembly/math/sobolIndex
+  i32.const 1
+  i32.add
+  global.set $assembly/math/sobolIndex
+  i32.const 0
+  local.set $0
+  loop $for-loop|1
+   local.get $0
+   local.get $2
+   i32.lt_s
+   if
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/math/sobolPoint
+    local.tee $3
+    i32.store
+    local.get $3
+    local.get $0
+    call $~lib/staticarray/StaticArray<u32>#__get
+    local.set $3
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/math/sobolShift
+    local.tee $4
+    i32.store
+    local.get $4
+    local.get $0
+    call $~lib/staticarray/StaticArray<u32>#__get
+    local.get $3
+    i32.xor
+    f64.convert_i32_u
+    f64.const 0.5
+    f64.add
+    f64.const 2.3283064365386963e-10
+    f64.mul
+    local.set $1
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/math/bridgeStdDev
+    local.tee $3
+    i32.store
+    local.get $3
+    local.get $0
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.get $1
+    call $assembly/math/inverseNormal
+    f64.mul
+    local.set $7
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/math/bridgeMonth
+    local.tee $3
+    i32.store
+    local.get $3
+    local.get $0
+    call $~lib/staticarray/StaticArray<i32>#__get
+    local.set $3
+    block $for-continue|1
+     local.get $0
+     i32.eqz
+     if
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/math/sobolShocks
+      local.tee $4
+      i32.store
+      local.get $4
+      local.get $3
+      local.get $7
+      call $~lib/staticarray/StaticArray<f64>#__set
+      br $for-continue|1
+     end
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeLeft
+     local.tee $4
+     i32.store
+     local.get $4
+     local.get $0
+     call $~lib/staticarray/StaticArray<i32>#__get
+     i32.const 0
+     i32.ge_s
+     if (result f64)
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/math/sobolShocks
+      local.tee $4
+      i32.store
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/math/bridgeLeft
+      local.tee $5
+      i32.store offset=4
+      local.get $4
+      local.get $5
+      local.get $0
+      call $~lib/staticarray/StaticArray<i32>#__get
+      call $~lib/staticarray/StaticArray<f64>#__get
+     else
+      f64.const 0
+     end
+     local.set $1
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/sobolShocks
+     local.tee $4
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeLeftWeight
+     local.tee $5
+     i32.store offset=4
+     local.get $5
+     local.get $0
+     call $~lib/staticarray/StaticArray<f64>#__get
+     local.get $1
+     f64.mul
+     local.set $8
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeRightWeight
+     local.tee $5
+     i32.store offset=4
+     local.get $5
+     local.get $0
+     call $~lib/staticarray/StaticArray<f64>#__get
+     local.set $1
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/sobolShocks
+     local.tee $5
+     i32.store offset=4
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeRight
+     local.tee $6
+     i32.store offset=8
+     local.get $4
+     local.get $3
+     local.get $8
+     local.get $1
+     local.get $5
+     local.get $6
+     local.get $0
+     call $~lib/staticarray/StaticArray<i32>#__get
+     call $~lib/staticarray/StaticArray<f64>#__get
+     f64.mul
+     f64.add
+     local.get $7
+     f64.add
+     call $~lib/staticarray/StaticArray<f64>#__set
+    end
+    local.get $0
+    i32.const 1
+    i32.add
+    local.set $0
+    br $for-loop|1
+   end
+  end
+  local.get $2
+  i32.const 1
+  i32.sub
+  local.set $0
+  loop $for-loop|2
    local.get $0
+   i32.const 0
+   i32.gt_s
+   if
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/math/sobolShocks
+    local.tee $2
+    i32.store
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/math/sobolShocks
+    local.tee $3
+    i32.store offset=4
+    local.get $3
+    local.get $0
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $1
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/math/sobolShocks
+    local.tee $3
+    i32.store offset=4
+    local.get $2
+    local.get $0
+    local.get $1
+    local.get $3
+    local.get $0
+    i32.const 1
+    i32.sub
+    local.tee $0
+    call $~lib/staticarray/StaticArray<f64>#__get
+    f64.sub
+    call $~lib/staticarray/StaticArray<f64>#__set
+    br $for-loop|2
+   end
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 12
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+ )
+ (func $assembly/index/wilsonInterval (param $0 i32) (param $1 i32) (result i32)
+  (local $2 f64)
+  (local $3 i32)
+  (local $4 f64)
+  (local $5 f64)
+  (local $6 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
+  global.get $~lib/memory/__stack_pointer
+  i32.const 2
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  local.tee $3
+  i32.store
+  local.get $1
+  i32.const 0
+  i32.le_s
+  if
+   global.get $~lib/memory/__stack_pointer
+   i32.const 8
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   local.get $3
+   return
+  end
+  global.get $~lib/memory/__stack_pointer
+  local.get $3
+  i32.store offset=4
+  local.get $3
+  i32.const 0
+  local.get $0
+  f64.convert_i32_s
+  local.get $1
+  f64.convert_i32_s
+  local.tee $5
+  f64.div
+  local.tee $6
+  f64.const 3.8414588206941254
+  local.get $5
+  local.get $5
+  f64.add
+  f64.div
+  f64.add
+  f64.const 3.8414588206941254
+  local.get $5
+  f64.div
+  f64.const 1
+  f64.add
+  local.tee $2
+  f64.div
+  local.tee $4
+  local.get $6
+  f64.const 1
+  local.get $6
+  f64.sub
+  f64.mul
+  local.get $5
+  f64.div
+  f64.const 3.8414588206941254
+  local.get $5
+  f64.const 4
+  f64.mul
+  local.get $5
+  f64.mul
+  f64.div
+  f64.add
+  f64.sqrt
+  f64.const 1.959963984540054
+  f64.mul
+  local.get $2
+  f64.div
+  local.tee $2
+  f64.sub
+  f64.const 0
+  f64.max
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  local.get $3
+  i32.store offset=4
+  local.get $3
+  i32.const 1
+  local.get $4
+  local.get $2
+  f64.add
+  f64.const 1
+  f64.min
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $3
+ )
+ (func $~lib/staticarray/StaticArray<f64>#slice<~lib/staticarray/StaticArray<f64>> (param $0 i32) (param $1 i32) (result i32)
+  (local $2 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 3
+  i32.shr_u
+  local.set $2
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store offset=4
+  global.get $~lib/memory/__stack_pointer
+  local.get $1
+  i32.const 0
+  i32.lt_s
+  if (result i32)
+   local.get $1
+   local.get $2
+   i32.add
+   local.tee $1
+   i32.const 0
+   local.get $1
+   i32.const 0
+   i32.gt_s
+   select
+  else
+   local.get $1
+   local.get $2
+   local.get $1
+   local.get $2
+   i32.lt_s
+   select
+  end
+  local.tee $1
+  i32.const 0
+  local.get $1
+  i32.const 0
+  i32.gt_s
+  select
+  i32.const 3
+  i32.shl
+  local.tee $1
+  i32.const 6
+  call $~lib/rt/itcms/__new
+  local.tee $2
+  i32.store offset=4
+  local.get $2
+  local.get $0
+  local.get $1
+  memory.copy
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $2
+ )
+ (func $~lib/util/sort/SORT<f64> (param $0 i32) (param $1 i32) (param $2 i32)
+  (local $3 i32)
+  (local $4 i32)
+  (local $5 i32)
+  (local $6 i32)
+  (local $7 i32)
+  (local $8 i32)
+  (local $9 f64)
+  (local $10 i32)
+  (local $11 i32)
+  (local $12 i32)
+  (local $13 i32)
+  (local $14 i64)
+  (local $15 i32)
+  (local $16 i32)
+  (local $17 f64)
+  (local $18 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  block $folding-inner0
+   local.get $1
+   i32.const 48
+   i32.le_s
+   if
+    local.get $1
+    i32.const 1
+    i32.le_s
+    br_if $folding-inner0
+    block $break|0
+     block $case1|0
+      local.get $1
+      i32.const 3
+      i32.ne
+      if
+       local.get $1
+       i32.const 2
+       i32.eq
+       br_if $case1|0
+       br $break|0
+      end
+      local.get $0
+      f64.load
+      local.set $9
+      local.get $0
+      f64.load offset=8
+      local.set $17
+      i32.const 2
+      global.set $~argumentsLength
+      local.get $0
+      local.get $17
+      local.get $9
+      local.get $9
+      local.get $17
+      local.get $2
+      i32.load
+      call_indirect (type $0)
+      i32.const 0
+      i32.gt_s
+      local.tee $1
+      select
+      f64.store
+      local.get $0
+      f64.load offset=16
+      local.set $18
+      i32.const 2
+      global.set $~argumentsLength
+      local.get $0
+      local.get $18
+      local.get $9
+      local.get $17
+      local.get $1
+      select
+      local.tee $9
+      local.get $9
+      local.get $18
+      local.get $2
+      i32.load
+      call_indirect (type $0)
+      i32.const 0
+      i32.gt_s
+      local.tee $1
+      select
+      f64.store offset=8
+      local.get $0
+      local.get $9
+      local.get $18
+      local.get $1
+      select
+      f64.store offset=16
+     end
+     local.get $0
+     f64.load
+     local.set $9
+     local.get $0
+     f64.load offset=8
+     local.set $17
+     i32.const 2
+     global.set $~argumentsLength
+     local.get $0
+     local.get $17
+     local.get $9
+     local.get $9
+     local.get $17
+     local.get $2
+     i32.load
+     call_indirect (type $0)
+     i32.const 0
+     i32.gt_s
+     local.tee $1
+     select
+     f64.store
+     local.get $0
+     local.get $9
+     local.get $17
+     local.get $1
+     select
+     f64.store offset=8
+     br $folding-inner0
+    end
+    global.get $~lib/memory/__stack_pointer
+    local.get $2
+    i32.store
+    local.get $0
+    i32.const 0
+    local.get $1
+    i32.const 1
+    i32.sub
+    i32.const 0
+    local.get $2
+    call $~lib/util/sort/insertionSort<f64>
+    br $folding-inner0
+   end
+   i32.const 33
+   local.get $1
+   i32.clz
+   i32.sub
+   local.tee $4
+   i32.const 2
+   i32.shl
+   local.tee $5
+   i32.const 1
+   i32.shl
+   local.set $6
+   global.get $~lib/rt/tlsf/ROOT
+   i32.eqz
+   if
+    call $~lib/rt/tlsf/initialize
+   end
    local.get $5
-   f64.const -0.16667054827627667
-   f64.mul
-   f64.const 0.20000304511814496
-   f64.add
-   f64.mul
-   f64.add
-   f64.mul
-   f64.add
+   global.get $~lib/rt/tlsf/ROOT
    local.get $6
-   f64.add
+   call $~lib/rt/tlsf/allocateBlock
+   i32.const 4
+   i32.add
+   local.tee $11
+   i32.add
+   local.set $12
+   loop $for-loop|1
+    local.get $3
+    local.get $4
+    i32.lt_u
+    if
+     local.get $11
+     local.get $3
+     i32.const 2
+     i32.shl
+     i32.add
+     i32.const -1
+     i32.store
+     local.get $3
+     i32.const 1
+     i32.add
+     local.set $3
+     br $for-loop|1
+    end
+   end
+   global.get $~lib/rt/tlsf/ROOT
+   i32.eqz
+   if
+    call $~lib/rt/tlsf/initialize
+   end
+   global.get $~lib/rt/tlsf/ROOT
+   local.get $1
+   i32.const 3
+   i32.shl
+   call $~lib/rt/tlsf/allocateBlock
+   i32.const 4
+   i32.add
+   local.set $13
+   global.get $~lib/memory/__stack_pointer
+   local.get $2
+   i32.store
+   local.get $0
+   i32.const 0
+   local.get $1
+   i32.const 1
+   i32.sub
+   local.tee $10
+   local.get $2
+   call $~lib/util/sort/extendRunRight<f64>
+   local.tee $4
+   i32.const 1
+   i32.add
+   local.tee $1
+   i32.const 32
+   i32.lt_s
+   if
+    global.get $~lib/memory/__stack_pointer
+    local.get $2
+    i32.store
+    local.get $0
+    i32.const 0
+    i32.const 31
+    local.get $10
+    local.get $10
+    i32.const 31
+    i32.ge_s
+    select
+    local.tee $4
+    local.get $1
+    local.get $2
+    call $~lib/util/sort/insertionSort<f64>
+   end
+   i32.const 0
+   local.set $1
+   i32.const 0
+   local.set $3
+   loop $while-continue|2
+    local.get $4
+    local.get $10
+    i32.lt_s
+    if
+     global.get $~lib/memory/__stack_pointer
+     local.get $2
+     i32.store
+     local.get $0
+     local.get $4
+     i32.const 1
+     i32.add
+     local.tee $6
+     local.get $10
+     local.get $2
+     call $~lib/util/sort/extendRunRight<f64>
+     local.tee $5
+     local.get $6
+     i32.sub
+     i32.const 1
+     i32.add
+     local.tee $7
+     i32.const 32
+     i32.lt_s
+     if
+      global.get $~lib/memory/__stack_pointer
+      local.get $2
+      i32.store
+      local.get $0
+      local.get $6
+      local.get $10
+      local.get $6
+      i32.const 31
+      i32.add
+      local.tee $5
+      local.get $5
+      local.get $10
+      i32.gt_s
+      select
+      local.tee $5
+      local.get $7
+      local.get $2
+      call $~lib/util/sort/insertionSort<f64>
+     end
+     local.get $3
+     local.get $6
+     i32.add
+     i64.extend_i32_u
+     i64.const 30
+     i64.shl
+     local.get $10
+     i32.const 1
+     i32.add
+     i64.extend_i32_u
+     local.tee $14
+     i64.div_u
+     local.get $5
+     local.get $6
+     i32.add
+     i32.const 1
+     i32.add
+     i64.extend_i32_u
+     i64.const 30
+     i64.shl
+     local.get $14
+     i64.div_u
+     i64.xor
+     i32.wrap_i64
+     i32.clz
+     local.set $7
+     loop $for-loop|3
+      local.get $1
+      local.get $7
+      i32.gt_u
+      if
+       local.get $1
+       i32.const 2
+       i32.shl
+       local.tee $15
+       local.get $11
+       i32.add
+       local.tee $16
+       i32.load
+       local.tee $8
+       i32.const -1
+       i32.ne
+       if
+        local.get $12
+        local.get $15
+        i32.add
+        i32.load
+        i32.const 1
+        i32.add
+        local.set $3
+        global.get $~lib/memory/__stack_pointer
+        local.get $2
+        i32.store
+        local.get $0
+        local.get $8
+        local.get $3
+        local.get $4
+        local.get $13
+        local.get $2
+        call $~lib/util/sort/mergeRuns<f64>
+        local.get $16
+        i32.const -1
+        i32.store
+        local.get $8
+        local.set $3
+       end
+       local.get $1
+       i32.const 1
+       i32.sub
+       local.set $1
+       br $for-loop|3
+      end
+     end
+     local.get $7
+     i32.const 2
+     i32.shl
+     local.tee $1
+     local.get $11
+     i32.add
+     local.get $3
+     i32.store
+     local.get $1
+     local.get $12
+     i32.add
+     local.get $4
+     i32.store
+     local.get $6
+     local.set $3
+     local.get $5
+     local.set $4
+     local.get $7
+     local.set $1
+     br $while-continue|2
+    end
+   end
+   loop $for-loop|4
+    local.get $1
+    if
+     local.get $1
+     i32.const 2
+     i32.shl
+     local.tee $3
+     local.get $11
+     i32.add
+     i32.load
+     local.tee $4
+     i32.const -1
+     i32.ne
+     if
+      local.get $3
+      local.get $12
+      i32.add
+      i32.load
+      i32.const 1
+      i32.add
+      local.set $3
+      global.get $~lib/memory/__stack_pointer
+      local.get $2
+      i32.store
+      local.get $0
+      local.get $4
+      local.get $3
+      local.get $10
+      local.get $13
+      local.get $2
+      call $~lib/util/sort/mergeRuns<f64>
+     end
+     local.get $1
+     i32.const 1
+     i32.sub
+     local.set $1
+     br $for-loop|4
+    end
+   end
+   local.get $13
+   call $~lib/rt/tlsf/__free
+   local.get $11
+   call $~lib/rt/tlsf/__free
+   global.get $~lib/memory/__stack_pointer
+   i32.const 4
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   return
   end
- )
- (func $~lib/math/pio2_large_quot (param $0 i64) (result i32)
-  (local $1 i64)
-  (local $2 i64)
-  (local $3 i64)
-  (local $4 i32)
-  (local $5 f64)
-  (local $6 i64)
-  (local $7 i64)
-  (local $8 i64)
-  (local $9 i64)
-  (local $10 i64)
-  (local $11 i64)
-  (local $12 i64)
-  local.get $0
-  i64.const 9223372036854775807
-  i64.and
-  i64.const 52
-  i64.shr_u
-  i64.const 1045
-  i64.sub
-  local.tee $1
-  i64.const 63
-  i64.and
-  local.set $6
-  local.get $1
-  i64.const 6
-  i64.shr_s
-  i32.wrap_i64
-  i32.const 3
-  i32.shl
-  i32.const 5648
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
   i32.add
-  local.tee $4
-  i64.load
-  local.set $3
-  local.get $4
-  i64.load offset=8
-  local.set $2
-  local.get $4
-  i64.load offset=16
-  local.set $1
-  local.get $6
-  i64.const 0
-  i64.ne
-  if
-   local.get $3
-   local.get $6
-   i64.shl
-   local.get $2
-   i64.const 64
-   local.get $6
-   i64.sub
-   local.tee $7
-   i64.shr_u
-   i64.or
-   local.set $3
-   local.get $2
-   local.get $6
-   i64.shl
+  global.set $~lib/memory/__stack_pointer
+ )
+ (func $~lib/staticarray/StaticArray<f64>#sort@varargs (param $0 i32)
+  (local $1 i32)
+  (local $2 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 12
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  block $folding-inner0
+   global.get $~lib/memory/__stack_pointer
+   i32.const 43600
+   i32.lt_s
+   br_if $folding-inner0
+   global.get $~lib/memory/__stack_pointer
+   i64.const 0
+   i64.store
+   global.get $~lib/memory/__stack_pointer
+   i32.const 0
+   i32.store offset=8
+   block $1of1
+    block $0of1
+     block $outOfRange
+      global.get $~argumentsLength
+      br_table $0of1 $1of1 $outOfRange
+     end
+     unreachable
+    end
+    i32.const 43536
+    local.set $1
+    global.get $~lib/memory/__stack_pointer
+    i32.const 43536
+    i32.store
+   end
+   global.get $~lib/memory/__stack_pointer
+   local.get $0
+   i32.store offset=4
+   global.get $~lib/memory/__stack_pointer
    local.get $1
-   local.get $7
-   i64.shr_u
-   i64.or
+   i32.store offset=8
+   global.get $~lib/memory/__stack_pointer
+   i32.const 8
+   i32.sub
+   global.set $~lib/memory/__stack_pointer
+   global.get $~lib/memory/__stack_pointer
+   i32.const 43600
+   i32.lt_s
+   br_if $folding-inner0
+   global.get $~lib/memory/__stack_pointer
+   i64.const 0
+   i64.store
+   global.get $~lib/memory/__stack_pointer
+   local.get $0
+   i32.store offset=4
+   local.get $0
+   i32.const 20
+   i32.sub
+   i32.load offset=16
+   i32.const 3
+   i32.shr_u
    local.set $2
+   global.get $~lib/memory/__stack_pointer
    local.get $1
-   local.get $6
-   i64.shl
-   local.get $4
-   i64.load offset=24
-   local.get $7
-   i64.shr_u
-   i64.or
-   local.set $1
+   i32.store
+   local.get $0
+   local.get $2
+   local.get $1
+   call $~lib/util/sort/SORT<f64>
+   global.get $~lib/memory/__stack_pointer
+   i32.const 8
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   global.get $~lib/memory/__stack_pointer
+   i32.const 12
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   return
   end
-  local.get $0
-  i64.const 4503599627370495
-  i64.and
-  i64.const 4503599627370496
-  i64.or
-  local.tee $6
-  i64.const 4294967295
-  i64.and
-  local.set $7
-  local.get $2
-  i64.const 4294967295
-  i64.and
-  local.tee $8
-  local.get $6
-  i64.const 32
-  i64.shr_u
-  local.tee $9
-  i64.mul
-  local.get $2
-  i64.const 32
-  i64.shr_u
-  local.tee $2
-  local.get $7
-  i64.mul
-  local.get $7
-  local.get $8
-  i64.mul
-  local.tee $7
-  i64.const 32
-  i64.shr_u
-  i64.add
-  local.tee $8
-  i64.const 4294967295
-  i64.and
-  i64.add
-  local.set $10
-  local.get $2
-  local.get $9
-  i64.mul
-  local.get $8
-  i64.const 32
-  i64.shr_u
-  i64.add
-  local.get $10
-  i64.const 32
-  i64.shr_u
-  i64.add
-  global.set $~lib/math/res128_hi
-  local.get $9
-  local.get $1
-  i64.const 32
-  i64.shr_u
-  i64.mul
-  local.tee $1
-  local.get $7
-  i64.const 4294967295
-  i64.and
-  local.get $10
-  i64.const 32
-  i64.shl
-  i64.add
-  i64.add
-  local.tee $2
-  local.get $1
-  i64.lt_u
-  i64.extend_i32_u
-  global.get $~lib/math/res128_hi
-  local.get $3
-  local.get $6
-  i64.mul
-  i64.add
-  i64.add
-  local.tee $3
-  i64.const 2
-  i64.shl
-  local.get $2
-  i64.const 62
-  i64.shr_u
-  i64.or
-  local.tee $6
-  i64.const 63
-  i64.shr_s
-  local.tee $7
-  local.get $2
-  i64.const 2
-  i64.shl
-  i64.xor
-  local.set $2
-  local.get $6
-  local.get $7
-  i64.const 1
-  i64.shr_s
-  i64.xor
-  local.tee $1
-  i64.clz
-  local.set $8
-  local.get $1
-  local.get $8
-  i64.shl
+  i32.const 76400
+  i32.const 76448
+  i32.const 1
+  i32.const 1
+  call $~lib/builtins/abort
+  unreachable
+ )
+ (func $assembly/index/calculatePercentileBands (param $0 i32) (param $1 i32) (param $2 i32) (result i32)
+  (local $3 i32)
+  (local $4 i32)
+  (local $5 i32)
+  (local $6 i32)
+  (local $7 i32)
+  (local $8 i32)
+  (local $9 i32)
+  (local $10 f64)
+  (local $11 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 20
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.const 20
+  memory.fill
+  global.get $~lib/memory/__stack_pointer
   local.get $2
-  i64.const 64
-  local.get $8
-  i64.sub
-  i64.shr_u
-  i64.or
+  i32.const 1
+  i32.add
   local.tee $9
-  i64.const 4294967295
-  i64.and
-  local.set $1
-  local.get $9
-  i64.const 32
-  i64.shr_u
-  local.tee $10
-  i64.const 560513588
-  i64.mul
-  local.get $1
-  i64.const 3373259426
-  i64.mul
-  local.get $1
-  i64.const 560513588
-  i64.mul
-  local.tee $11
-  i64.const 32
-  i64.shr_u
-  i64.add
-  local.tee $12
-  i64.const 4294967295
-  i64.and
-  i64.add
-  local.set $1
-  local.get $10
-  i64.const 3373259426
-  i64.mul
-  local.get $12
-  i64.const 32
-  i64.shr_u
-  i64.add
+  i32.const 5
+  i32.mul
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  local.tee $8
+  i32.store
+  global.get $~lib/memory/__stack_pointer
   local.get $1
-  i64.const 32
-  i64.shr_u
-  i64.add
-  global.set $~lib/math/res128_hi
-  local.get $9
-  f64.convert_i64_u
-  f64.const 3.753184150245214e-04
-  f64.mul
-  local.get $2
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  local.tee $5
+  i32.store offset=4
+  loop $for-loop|0
+   local.get $2
+   local.get $6
+   i32.ge_s
+   if
+    i32.const 0
+    local.set $3
+    i32.const 0
+    local.set $4
+    loop $for-loop|1
+     local.get $1
+     local.get $4
+     i32.gt_s
+     if
+      global.get $~lib/memory/__stack_pointer
+      local.get $0
+      i32.store offset=8
+      local.get $0
+      local.get $4
+      local.get $9
+      i32.mul
+      local.get $6
+      i32.add
+      call $~lib/staticarray/StaticArray<f64>#__get
+      local.tee $10
+      local.get $10
+      f64.eq
+      if
+       global.get $~lib/memory/__stack_pointer
+       local.get $5
+       i32.store offset=8
+       local.get $5
+       local.get $3
+       local.get $10
+       call $~lib/staticarray/StaticArray<f64>#__set
+       local.get $3
+       i32.const 1
+       i32.add
+       local.set $3
+      end
+      local.get $4
+      i32.const 1
+      i32.add
+      local.set $4
+      br $for-loop|1
+     end
+    end
+    global.get $~lib/memory/__stack_pointer
+    local.get $5
+    i32.store offset=8
+    global.get $~lib/memory/__stack_pointer
+    local.get $5
+    local.get $3
+    call $~lib/staticarray/StaticArray<f64>#slice<~lib/staticarray/StaticArray<f64>>
+    local.tee $7
+    i32.store offset=12
+    global.get $~lib/memory/__stack_pointer
+    local.get $7
+    i32.store offset=8
+    i32.const 0
+    global.set $~argumentsLength
+    local.get $7
+    call $~lib/staticarray/StaticArray<f64>#sort@varargs
+    i32.const 0
+    local.set $4
+    loop $for-loop|2
+     local.get $4
+     i32.const 5
+     i32.lt_s
+     if
+      global.get $~lib/memory/__stack_pointer
+      i32.const 32960
+      i32.store offset=8
+      local.get $3
+      f64.convert_i32_s
+      i32.const 32960
+      local.get $4
+      call $~lib/staticarray/StaticArray<f64>#__get
+      f64.mul
+      i32.trunc_sat_f64_s
+      local.set $11
+      global.get $~lib/memory/__stack_pointer
+      local.get $8
+      i32.store offset=8
+      local.get $8
+      local.get $4
+      local.get $9
+      i32.mul
+      local.get $6
+      i32.add
+      local.get $3
+      i32.const 0
+      i32.gt_s
+      if (result f64)
+       global.get $~lib/memory/__stack_pointer
+       local.get $7
+       i32.store offset=16
+       local.get $7
+       local.get $11
+       local.get $3
+       i32.const 1
+       i32.sub
+       local.get $3
+       local.get $11
+       i32.gt_s
+       select
+       call $~lib/staticarray/StaticArray<f64>#__get
+      else
+       f64.const nan:0x8000000000000
+      end
+      call $~lib/staticarray/StaticArray<f64>#__set
+      local.get $4
+      i32.const 1
+      i32.add
+      local.set $4
+      br $for-loop|2
+     end
+    end
+    local.get $6
+    i32.const 1
+    i32.add
+    local.set $6
+    br $for-loop|0
+   end
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 20
+  i32.add
+  global.set $~lib/memory/__stack_pointer
   local.get $8
-  i64.shl
-  f64.convert_i64_u
-  f64.const 3.834951969714103e-04
-  f64.mul
-  f64.add
-  i64.trunc_sat_f64_u
+ )
+ (func $assembly/index/beginSection (param $0 i32) (param $1 i32)
+  (local $2 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
   local.tee $2
-  local.get $11
-  i64.const 4294967295
-  i64.and
+  i32.store
+  local.get $2
+  global.get $assembly/index/sectionEntry
+  local.get $0
+  f64.convert_i32_s
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
+  local.tee $0
+  i32.store
+  local.get $0
+  global.get $assembly/index/sectionEntry
+  i32.const 1
+  i32.add
   local.get $1
-  i64.const 32
-  i64.shl
-  i64.add
+  f64.convert_i32_s
+  call $~lib/staticarray/StaticArray<f64>#__set
+  local.get $1
+  global.set $assembly/index/sectionStart
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+ )
+ (func $assembly/index/endSection (param $0 i32)
+  (local $1 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
   local.tee $1
-  i64.gt_u
-  i64.extend_i32_u
-  global.get $~lib/math/res128_hi
-  local.tee $9
-  i64.const 11
-  i64.shr_u
-  i64.add
-  f64.convert_i64_u
-  global.set $~lib/math/rempio2_y0
-  local.get $9
-  i64.const 53
-  i64.shl
+  i32.store
   local.get $1
-  i64.const 11
-  i64.shr_u
-  i64.or
-  local.get $2
-  i64.add
-  f64.convert_i64_u
-  f64.const 5.421010862427522e-20
-  f64.mul
-  global.set $~lib/math/rempio2_y1
-  global.get $~lib/math/rempio2_y0
-  i64.const 4372995238176751616
-  local.get $8
-  i64.const 52
-  i64.shl
-  i64.sub
+  global.get $assembly/index/sectionEntry
+  i32.const 2
+  i32.add
   local.get $0
-  local.get $6
-  i64.xor
-  i64.const -9223372036854775808
-  i64.and
-  i64.or
-  f64.reinterpret_i64
-  local.tee $5
-  f64.mul
-  global.set $~lib/math/rempio2_y0
-  global.get $~lib/math/rempio2_y1
-  local.get $5
-  f64.mul
-  global.set $~lib/math/rempio2_y1
-  local.get $3
-  i64.const 62
-  i64.shr_s
-  local.get $7
-  i64.sub
-  i32.wrap_i64
+  global.get $assembly/index/sectionStart
+  i32.sub
+  f64.convert_i32_s
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $assembly/index/sectionEntry
+  i32.const 3
+  i32.add
+  global.set $assembly/index/sectionEntry
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
  )
- (func $~lib/math/NativeMath.cos (param $0 f64) (result f64)
-  (local $1 f64)
-  (local $2 f64)
-  (local $3 i32)
+ (func $assembly/index/writeSection (param $0 i32) (param $1 i32) (param $2 i32) (param $3 i32) (result i32)
   (local $4 i32)
-  (local $5 i64)
-  (local $6 i32)
-  (local $7 f64)
-  (local $8 f64)
-  (local $9 f64)
+  (local $5 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
   local.get $0
-  i64.reinterpret_f64
-  local.tee $5
-  i64.const 32
-  i64.shr_u
-  i32.wrap_i64
-  local.tee $3
-  i32.const 31
-  i32.shr_u
-  local.set $6
   local.get $3
-  i32.const 2147483647
-  i32.and
-  local.tee $3
-  i32.const 1072243195
-  i32.le_u
-  if
-   local.get $3
-   i32.const 1044816030
-   i32.lt_u
+  call $assembly/index/beginSection
+  loop $for-loop|0
+   local.get $2
+   local.get $4
+   i32.gt_s
    if
-    f64.const 1
-    return
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/outputBuffer
+    local.tee $5
+    i32.store
+    local.get $3
+    local.tee $0
+    i32.const 1
+    i32.add
+    local.set $3
+    global.get $~lib/memory/__stack_pointer
+    local.get $1
+    i32.store offset=4
+    local.get $5
+    local.get $0
+    local.get $1
+    local.get $4
+    call $~lib/staticarray/StaticArray<f64>#__get
+    call $~lib/staticarray/StaticArray<f64>#__set
+    local.get $4
+    i32.const 1
+    i32.add
+    local.set $4
+    br $for-loop|0
    end
-   local.get $0
-   local.get $0
-   f64.mul
-   local.tee $1
-   local.get $1
-   f64.mul
-   local.set $2
-   f64.const 1
-   local.get $1
-   f64.const 0.5
-   f64.mul
-   local.tee $7
-   f64.sub
-   local.tee $8
-   f64.const 1
-   local.get $8
-   f64.sub
-   local.get $7
-   f64.sub
-   local.get $1
-   local.get $1
-   local.get $1
-   local.get $1
-   f64.const 2.480158728947673e-05
-   f64.mul
-   f64.const -0.001388888888887411
-   f64.add
-   f64.mul
-   f64.const 0.0416666666666666
-   f64.add
-   f64.mul
-   local.get $2
-   local.get $2
-   f64.mul
-   local.get $1
-   local.get $1
-   f64.const -1.1359647557788195e-11
-   f64.mul
-   f64.const 2.087572321298175e-09
-   f64.add
-   f64.mul
-   f64.const -2.7557314351390663e-07
-   f64.add
-   f64.mul
-   f64.add
-   f64.mul
-   local.get $0
-   f64.const 0
-   f64.mul
-   f64.sub
-   f64.add
-   f64.add
-   return
   end
   local.get $3
-  i32.const 2146435072
-  i32.ge_u
+  call $assembly/index/endSection
+  global.get $~lib/memory/__stack_pointer
+  i32.const 8
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $3
+ )
+ (func $assembly/index/percentileOfSorted (param $0 i32) (param $1 f64) (result f64)
+  (local $2 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
   if
-   local.get $0
-   local.get $0
-   f64.sub
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 3
+  i32.shr_u
+  local.tee $2
+  i32.eqz
+  if
+   global.get $~lib/memory/__stack_pointer
+   i32.const 4
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   f64.const 0
    return
   end
-  block $~lib/math/rempio2|inlined.0 (result i32)
-   local.get $5
-   i64.const 32
-   i64.shr_u
-   i32.wrap_i64
-   i32.const 2147483647
-   i32.and
-   local.tee $4
-   i32.const 1073928572
-   i32.lt_u
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  local.get $0
+  local.get $2
+  f64.convert_i32_s
+  local.get $1
+  f64.mul
+  i32.trunc_sat_f64_s
+  local.tee $0
+  local.get $2
+  i32.const 1
+  i32.sub
+  local.get $0
+  local.get $2
+  i32.lt_s
+  select
+  call $~lib/staticarray/StaticArray<f64>#__get
+  local.set $1
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $1
+ )
+ (func $assembly/index/writeDistributionSummary (param $0 i32) (param $1 i32) (param $2 i32) (result i32)
+  (local $3 i32)
+  (local $4 i32)
+  (local $5 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 16
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store offset=8
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  local.get $1
+  call $~lib/staticarray/StaticArray<f64>#slice<~lib/staticarray/StaticArray<f64>>
+  local.tee $4
+  i32.store offset=4
+  global.get $~lib/memory/__stack_pointer
+  local.get $4
+  i32.store
+  i32.const 0
+  global.set $~argumentsLength
+  local.get $4
+  call $~lib/staticarray/StaticArray<f64>#sort@varargs
+  loop $for-loop|0
+   local.get $1
+   local.get $3
+   i32.gt_s
    if
+    global.get $~lib/memory/__stack_pointer
+    local.get $4
+    i32.store
+    local.get $5
+    local.get $4
+    local.get $3
+    call $~lib/staticarray/StaticArray<f64>#__get
+    f64.add
+    local.set $5
+    local.get $3
     i32.const 1
+    i32.add
     local.set $3
-    local.get $6
-    if (result f64)
-     local.get $0
-     f64.const 1.5707963267341256
-     f64.add
-     local.set $0
-     i32.const -1
-     local.set $3
-     local.get $4
-     i32.const 1073291771
-     i32.ne
-     if (result f64)
-      local.get $0
-      local.get $0
-      f64.const 6.077100506506192e-11
-      f64.add
-      local.tee $0
-      f64.sub
-      f64.const 6.077100506506192e-11
-      f64.add
-     else
-      local.get $0
-      f64.const 6.077100506303966e-11
-      f64.add
-      local.tee $1
-      f64.const 2.0222662487959506e-21
-      f64.add
-      local.set $0
-      local.get $1
-      local.get $0
-      f64.sub
-      f64.const 2.0222662487959506e-21
-      f64.add
-     end
-    else
-     local.get $0
-     f64.const -1.5707963267341256
-     f64.add
-     local.set $0
-     local.get $4
-     i32.const 1073291771
-     i32.ne
-     if (result f64)
-      local.get $0
-      local.get $0
-      f64.const -6.077100506506192e-11
-      f64.add
-      local.tee $0
-      f64.sub
-      f64.const -6.077100506506192e-11
-      f64.add
-     else
-      local.get $0
-      f64.const -6.077100506303966e-11
-      f64.add
-      local.tee $1
-      f64.const -2.0222662487959506e-21
-      f64.add
-      local.set $0
-      local.get $1
-      local.get $0
-      f64.sub
-      f64.const -2.0222662487959506e-21
-      f64.add
-     end
-    end
-    local.set $1
-    local.get $0
-    global.set $~lib/math/rempio2_y0
-    local.get $1
-    global.set $~lib/math/rempio2_y1
-    local.get $3
-    br $~lib/math/rempio2|inlined.0
+    br $for-loop|0
    end
-   local.get $4
-   i32.const 1094263291
-   i32.lt_u
+  end
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/outputBuffer
+  local.tee $3
+  i32.store
+  local.get $2
+  local.tee $0
+  i32.const 1
+  i32.add
+  local.set $2
+  local.get $3
+  local.get $0
+  local.get $5
+  local.get $1
+  f64.convert_i32_s
+  f64.div
+  f64.const 0
+  local.get $1
+  i32.const 0
+  i32.gt_s
+  select
+  call $~lib/staticarray/StaticArray<f64>#__set
+  i32.const 0
+  local.set $1
+  loop $for-loop|1
+   global.get $~lib/memory/__stack_pointer
+   i32.const 33024
+   i32.store
+   local.get $1
+   i32.const 33020
+   i32.load
+   i32.const 3
+   i32.shr_u
+   i32.lt_s
    if
-    local.get $4
-    i32.const 20
-    i32.shr_u
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/outputBuffer
     local.tee $3
-    local.get $0
-    local.get $0
-    f64.const 0.6366197723675814
-    f64.mul
-    f64.nearest
-    local.tee $7
-    f64.const 1.5707963267341256
-    f64.mul
-    f64.sub
+    i32.store
+    local.get $2
     local.tee $0
-    local.get $7
-    f64.const 6.077100506506192e-11
-    f64.mul
-    local.tee $2
-    f64.sub
-    local.tee $1
-    i64.reinterpret_f64
-    i64.const 32
-    i64.shr_u
-    i32.wrap_i64
-    i32.const 20
-    i32.shr_u
-    i32.const 2047
-    i32.and
-    i32.sub
-    i32.const 16
-    i32.gt_u
-    if
-     local.get $7
-     f64.const 2.0222662487959506e-21
-     f64.mul
-     local.get $0
-     local.get $0
-     local.get $7
-     f64.const 6.077100506303966e-11
-     f64.mul
-     local.tee $1
-     f64.sub
-     local.tee $0
-     f64.sub
-     local.get $1
-     f64.sub
-     f64.sub
-     local.set $2
-     local.get $3
-     local.get $0
-     local.get $2
-     f64.sub
-     local.tee $1
-     i64.reinterpret_f64
-     i64.const 32
-     i64.shr_u
-     i32.wrap_i64
-     i32.const 20
-     i32.shr_u
-     i32.const 2047
-     i32.and
-     i32.sub
-     i32.const 49
-     i32.gt_u
-     if
-      local.get $7
-      f64.const 8.4784276603689e-32
-      f64.mul
-      local.get $0
-      local.get $0
-      local.get $7
-      f64.const 2.0222662487111665e-21
-      f64.mul
-      local.tee $1
-      f64.sub
-      local.tee $0
-      f64.sub
-      local.get $1
-      f64.sub
-      f64.sub
-      local.set $2
-      local.get $0
-      local.get $2
-      f64.sub
-      local.set $1
-     end
-    end
-    local.get $1
-    global.set $~lib/math/rempio2_y0
+    i32.const 1
+    i32.add
+    local.set $2
+    global.get $~lib/memory/__stack_pointer
+    local.get $4
+    i32.store offset=8
+    global.get $~lib/memory/__stack_pointer
+    i32.const 33024
+    i32.store offset=12
+    local.get $3
     local.get $0
+    local.get $4
+    i32.const 33024
     local.get $1
-    f64.sub
-    local.get $2
-    f64.sub
-    global.set $~lib/math/rempio2_y1
-    local.get $7
-    i32.trunc_sat_f64_s
-    br $~lib/math/rempio2|inlined.0
-   end
-   i32.const 0
-   local.get $5
-   call $~lib/math/pio2_large_quot
-   local.tee $3
-   i32.sub
-   local.get $3
-   local.get $6
-   select
+    call $~lib/staticarray/StaticArray<f64>#__get
+    call $assembly/index/percentileOfSorted
+    call $~lib/staticarray/StaticArray<f64>#__set
+    local.get $1
+    i32.const 1
+    i32.add
+    local.set $1
+    br $for-loop|1
+   end
   end
-  local.set $3
-  global.get $~lib/math/rempio2_y0
+  global.get $~lib/memory/__stack_pointer
+  i32.const 16
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $2
+ )
+ (func $assembly/index/quantileInterval (param $0 i32) (param $1 f64) (result i32)
+  (local $2 i32)
+  (local $3 i32)
+  (local $4 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 12
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store offset=8
+  global.get $~lib/memory/__stack_pointer
+  i32.const 2
+  call $~lib/staticarray/StaticArray<f64>#constructor
+  local.tee $2
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store offset=4
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 3
+  i32.shr_u
+  local.tee $3
+  i32.eqz
+  if
+   global.get $~lib/memory/__stack_pointer
+   i32.const 12
+   i32.add
+   global.set $~lib/memory/__stack_pointer
+   local.get $2
+   return
+  end
+  global.get $~lib/memory/__stack_pointer
+  local.get $2
+  i32.store offset=4
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store offset=8
+  local.get $3
+  f64.convert_i32_s
+  local.get $1
+  f64.mul
+  local.tee $4
+  f64.const 1
+  local.get $1
+  f64.sub
+  f64.mul
+  f64.sqrt
+  f64.const 1.959963984540054
+  f64.mul
   local.set $1
-  global.get $~lib/math/rempio2_y1
-  local.set $2
+  local.get $2
+  i32.const 0
+  local.get $0
+  local.get $4
+  local.get $1
+  f64.sub
+  f64.floor
+  f64.const 0
+  f64.max
+  i32.trunc_sat_f64_s
+  call $~lib/staticarray/StaticArray<f64>#__get
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  local.get $2
+  i32.store offset=4
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store offset=8
+  local.get $2
+  i32.const 1
+  local.get $0
+  local.get $4
+  local.get $1
+  f64.add
+  f64.ceil
   local.get $3
   i32.const 1
-  i32.and
-  if (result f64)
-   local.get $1
-   local.get $1
-   f64.mul
-   local.tee $0
-   local.get $1
-   f64.mul
-   local.set $7
-   local.get $1
-   local.get $0
-   local.get $2
-   f64.const 0.5
-   f64.mul
-   local.get $7
-   local.get $0
-   local.get $0
-   f64.const 2.7557313707070068e-06
-   f64.mul
-   f64.const -1.984126982985795e-04
-   f64.add
-   f64.mul
-   f64.const 0.00833333333332249
-   f64.add
-   local.get $0
-   local.get $0
-   local.get $0
-   f64.mul
-   f64.mul
-   local.get $0
-   f64.const 1.58969099521155e-10
-   f64.mul
-   f64.const -2.5050760253406863e-08
-   f64.add
-   f64.mul
-   f64.add
-   f64.mul
-   f64.sub
-   f64.mul
-   local.get $2
-   f64.sub
-   local.get $7
-   f64.const -0.16666666666666632
-   f64.mul
-   f64.sub
-   f64.sub
-  else
-   local.get $1
-   local.get $1
-   f64.mul
-   local.tee $7
-   local.get $7
-   f64.mul
-   local.set $8
-   f64.const 1
-   local.get $7
-   f64.const 0.5
-   f64.mul
-   local.tee $0
-   f64.sub
-   local.tee $9
-   f64.const 1
-   local.get $9
-   f64.sub
-   local.get $0
-   f64.sub
-   local.get $7
-   local.get $7
-   local.get $7
-   local.get $7
-   f64.const 2.480158728947673e-05
-   f64.mul
-   f64.const -0.001388888888887411
-   f64.add
-   f64.mul
-   f64.const 0.0416666666666666
-   f64.add
-   f64.mul
-   local.get $8
-   local.get $8
-   f64.mul
-   local.get $7
-   local.get $7
-   f64.const -1.1359647557788195e-11
-   f64.mul
-   f64.const 2.087572321298175e-09
-   f64.add
-   f64.mul
-   f64.const -2.7557314351390663e-07
-   f64.add
-   f64.mul
-   f64.add
-   f64.mul
-   local.get $1
-   local.get $2
-   f64.mul
-   f64.sub
-   f64.add
-   f64.add
+  i32.sub
+  f64.convert_i32_s
+  f64.min
+  i32.trunc_sat_f64_s
+  call $~lib/staticarray/StaticArray<f64>#__get
+  call $~lib/staticarray/StaticArray<f64>#__set
+  global.get $~lib/memory/__stack_pointer
+  i32.const 12
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $2
+ )
+ (func $assembly/index/writeSorted (param $0 i32) (param $1 i32) (param $2 i32) (result i32)
+  (local $3 i32)
+  (local $4 i32)
+  (local $5 i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 12
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
   end
-  local.tee $0
-  f64.neg
+  global.get $~lib/memory/__stack_pointer
+  i64.const 0
+  i64.store
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store offset=8
+  global.get $~lib/memory/__stack_pointer
+  local.get $0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
   local.get $0
+  local.get $1
+  call $~lib/staticarray/StaticArray<f64>#slice<~lib/staticarray/StaticArray<f64>>
+  local.tee $3
+  i32.store offset=4
+  global.get $~lib/memory/__stack_pointer
   local.get $3
-  i32.const 1
+  i32.store
+  i32.const 0
+  global.set $~argumentsLength
+  local.get $3
+  call $~lib/staticarray/StaticArray<f64>#sort@varargs
+  loop $for-loop|0
+   local.get $1
+   local.get $4
+   i32.gt_s
+   if
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/outputBuffer
+    local.tee $5
+    i32.store
+    local.get $2
+    local.tee $0
+    i32.const 1
+    i32.add
+    local.set $2
+    global.get $~lib/memory/__stack_pointer
+    local.get $3
+    i32.store offset=8
+    local.get $5
+    local.get $0
+    local.get $3
+    local.get $4
+    call $~lib/staticarray/StaticArray<f64>#__get
+    call $~lib/staticarray/StaticArray<f64>#__set
+    local.get $4
+    i32.const 1
+    i32.add
+    local.set $4
+    br $for-loop|0
+   end
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 12
   i32.add
-  i32.const 2
-  i32.and
-  select
+  global.set $~lib/memory/__stack_pointer
+  local.get $2
  )
- (func $~lib/math/NativeMath.pow (param $0 f64) (param $1 f64) (result f64)
-  (local $2 i64)
-  (local $3 i32)
-  (local $4 i32)
-  (local $5 i64)
-  (local $6 i64)
-  (local $7 f64)
+ (func $assembly/index/runSimulation (result i32)
+  (local $0 i32)
+  (local $1 i32)
+  (local $2 i32)
+  (local $3 f64)
+  (local $4 f64)
+  (local $5 f64)
+  (local $6 f64)
+  (local $7 i64)
   (local $8 f64)
   (local $9 f64)
   (local $10 f64)
-  (local $11 i64)
-  (local $12 i64)
-  (local $13 f64)
+  (local $11 f64)
+  (local $12 i32)
+  (local $13 i32)
   (local $14 f64)
-  (local $15 f64)
-  (local $16 f64)
-  (local $17 f64)
+  (local $15 i32)
+  (local $16 i32)
+  (local $17 i32)
   (local $18 i32)
-  local.get $1
-  f64.abs
-  f64.const 2
-  f64.le
-  if
-   local.get $1
-   f64.const 2
-   f64.eq
-   if
-    local.get $0
-    local.get $0
-    f64.mul
-    return
-   end
-   local.get $1
-   f64.const 0.5
-   f64.eq
-   if
-    local.get $0
-    f64.sqrt
-    f64.abs
-    f64.const inf
-    local.get $0
-    f64.const -inf
-    f64.ne
-    select
-    return
-   end
-   local.get $1
-   f64.const -1
-   f64.eq
-   if
-    f64.const 1
+  (local $19 i32)
+  (local $20 i32)
+  (local $21 i32)
+  (local $22 f64)
+  (local $23 f64)
+  (local $24 f64)
+  (local $25 f64)
+  (local $26 f64)
+  (local $27 f64)
+  (local $28 f64)
+  (local $29 f64)
+  (local $30 i32)
+  (local $31 f64)
+  (local $32 i32)
+  (local $33 f64)
+  (local $34 i32)
+  (local $35 i32)
+  (local $36 f64)
+  (local $37 f64)
+  (local $38 i32)
+  (local $39 i32)
+  (local $40 i32)
+  (local $41 i32)
+  (local $42 i32)
+  (local $43 f64)
+  (local $44 f64)
+  (local $45 i32)
+  (local $46 i32)
+  (local $47 f64)
+  (local $48 i32)
+  (local $49 f64)
+  (local $50 i32)
+  (local $51 f64)
+  (local $52 f64)
+  (local $53 f64)
+  (local $54 f64)
+  (local $55 f64)
+  (local $56 f64)
+  (local $57 i64)
+  (local $58 i64)
+  (local $59 i64)
+  (local $60 i32)
+  (local $61 i32)
+  (local $62 i64)
+  (local $63 i64)
+  (local $64 i32)
+  (local $65 i64)
+  (local $66 i32)
+  (local $67 f64)
+  (local $68 i32)
+  (local $69 f64)
+  (local $70 f64)
+  (local $71 f64)
+  (local $72 f64)
+  (local $73 i32)
+  (local $74 i32)
+  (local $75 i32)
+  (local $76 i32)
+  (local $77 i32)
+  (local $78 f64)
+  (local $79 f64)
+  (local $80 i32)
+  (local $81 f64)
+  (local $82 i32)
+  (local $83 f64)
+  (local $84 i32)
+  (local $85 f64)
+  (local $86 f64)
+  (local $87 f64)
+  (local $88 i32)
+  (local $89 i32)
+  (local $90 i32)
+  (local $91 i32)
+  (local $92 i32)
+  (local $93 i32)
+  (local $94 i32)
+  (local $95 i32)
+  (local $96 f64)
+  (local $97 f64)
+  (local $98 f64)
+  (local $99 i32)
+  (local $100 f64)
+  (local $101 f64)
+  (local $102 i32)
+  (local $103 i32)
+  (local $104 i32)
+  (local $105 i32)
+  (local $106 i32)
+  (local $107 i32)
+  (local $108 i32)
+  (local $109 i32)
+  (local $110 i32)
+  (local $111 i32)
+  (local $112 i32)
+  (local $113 i32)
+  (local $114 i32)
+  (local $115 i32)
+  (local $116 i32)
+  (local $117 i32)
+  (local $118 i32)
+  (local $119 f64)
+  (local $120 i32)
+  (local $121 f64)
+  (local $122 f64)
+  (local $123 i32)
+  (local $124 i32)
+  (local $125 i32)
+  (local $126 f64)
+  (local $127 i32)
+  (local $128 i32)
+  (local $129 f64)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 136
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  block $folding-inner2
+   block $folding-inner1
+    global.get $~lib/memory/__stack_pointer
+    i32.const 43600
+    i32.lt_s
+    br_if $folding-inner2
+    global.get $~lib/memory/__stack_pointer
+    i32.const 0
+    i32.const 136
+    memory.fill
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
     local.get $0
-    f64.div
-    return
-   end
-   local.get $1
-   f64.const 1
-   f64.eq
-   if
+    i32.const 0
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $11
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
     local.get $0
-    return
-   end
-   local.get $1
-   f64.const 0
-   f64.eq
-   if
-    f64.const 1
-    return
-   end
-  end
-  block $~lib/util/math/pow_lut|inlined.0 (result f64)
-   local.get $1
-   i64.reinterpret_f64
-   local.tee $11
-   i64.const 52
-   i64.shr_u
-   local.set $6
-   local.get $0
-   i64.reinterpret_f64
-   local.tee $2
-   i64.const 52
-   i64.shr_u
-   local.tee $5
-   i64.const 1
-   i64.sub
-   i64.const 2046
-   i64.ge_u
-   if (result i32)
     i32.const 1
-   else
-    local.get $6
-    i64.const 2047
-    i64.and
-    i64.const 958
-    i64.sub
-    i64.const 128
-    i64.ge_u
-   end
-   if
-    local.get $11
-    i64.const 1
-    i64.shl
-    local.tee $12
-    i64.const 1
-    i64.sub
-    i64.const -9007199254740993
-    i64.ge_u
-    if
-     f64.const 1
-     local.get $12
-     i64.eqz
-     br_if $~lib/util/math/pow_lut|inlined.0
-     drop
-     f64.const nan:0x8000000000000
-     local.get $2
-     i64.const 4607182418800017408
-     i64.eq
-     br_if $~lib/util/math/pow_lut|inlined.0
-     drop
-     local.get $0
-     local.get $1
-     f64.add
-     local.get $12
-     i64.const -9007199254740992
-     i64.gt_u
-     local.get $2
-     i64.const 1
-     i64.shl
-     local.tee $2
-     i64.const -9007199254740992
-     i64.gt_u
-     i32.or
-     br_if $~lib/util/math/pow_lut|inlined.0
-     drop
-     f64.const nan:0x8000000000000
-     local.get $2
-     i64.const 9214364837600034816
-     i64.eq
-     br_if $~lib/util/math/pow_lut|inlined.0
-     drop
-     f64.const 0
-     local.get $11
-     i64.const 63
-     i64.shr_u
-     i64.eqz
-     local.get $2
-     i64.const 9214364837600034816
-     i64.lt_u
-     i32.eq
-     br_if $~lib/util/math/pow_lut|inlined.0
-     drop
-     local.get $1
-     local.get $1
-     f64.mul
-     br $~lib/util/math/pow_lut|inlined.0
-    end
-    local.get $2
-    i64.const 1
-    i64.shl
-    i64.const 1
-    i64.sub
-    i64.const -9007199254740993
-    i64.ge_u
-    if
-     f64.const 1
-     local.get $0
-     local.get $0
-     f64.mul
-     local.tee $0
-     f64.neg
-     local.get $0
-     local.get $2
-     i64.const 63
-     i64.shr_u
-     i32.wrap_i64
-     if (result i32)
-      block $~lib/util/math/checkint|inlined.0 (result i32)
-       i32.const 0
-       local.get $11
-       i64.const 52
-       i64.shr_u
-       i64.const 2047
-       i64.and
-       local.tee $2
-       i64.const 1023
-       i64.lt_u
-       br_if $~lib/util/math/checkint|inlined.0
-       drop
-       i32.const 2
-       local.get $2
-       i64.const 1075
-       i64.gt_u
-       br_if $~lib/util/math/checkint|inlined.0
-       drop
-       i32.const 0
-       local.get $11
-       i64.const 1
-       i64.const 1075
-       local.get $2
-       i64.sub
-       i64.shl
-       local.tee $2
-       i64.const 1
-       i64.sub
-       i64.and
-       i64.const 0
-       i64.ne
-       br_if $~lib/util/math/checkint|inlined.0
-       drop
-       i32.const 1
-       local.get $2
-       local.get $11
-       i64.and
-       i64.const 0
-       i64.ne
-       br_if $~lib/util/math/checkint|inlined.0
-       drop
-       i32.const 2
-      end
-      i32.const 1
-      i32.eq
-     else
-      i32.const 0
-     end
-     select
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $9
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 2
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $98
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 3
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $31
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 4
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $25
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 5
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $8
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 6
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $119
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 7
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $100
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 8
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $33
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 9
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $85
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 10
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $1
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 11
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i64.trunc_sat_f64_s
+    i32.wrap_i64
+    local.set $84
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 12
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $116
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 13
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $97
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 14
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $72
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 15
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $71
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 16
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $83
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 17
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $115
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 18
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    i32.const 1
+    i32.gt_s
+    if (result i32)
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/inputBuffer
      local.tee $0
-     f64.div
+     i32.store
      local.get $0
-     local.get $11
-     i64.const 0
-     i64.lt_s
-     select
-     br $~lib/util/math/pow_lut|inlined.0
-    end
-    local.get $2
-    i64.const 0
-    i64.lt_s
-    if
-     block $~lib/util/math/checkint|inlined.1 (result i32)
-      i32.const 0
-      local.get $11
-      i64.const 52
-      i64.shr_u
-      i64.const 2047
-      i64.and
-      local.tee $12
-      i64.const 1023
-      i64.lt_u
-      br_if $~lib/util/math/checkint|inlined.1
-      drop
-      i32.const 2
-      local.get $12
-      i64.const 1075
-      i64.gt_u
-      br_if $~lib/util/math/checkint|inlined.1
-      drop
-      i32.const 0
-      local.get $11
-      i64.const 1
-      i64.const 1075
-      local.get $12
-      i64.sub
-      i64.shl
-      local.tee $12
-      i64.const 1
-      i64.sub
-      i64.and
-      i64.const 0
-      i64.ne
-      br_if $~lib/util/math/checkint|inlined.1
-      drop
-      i32.const 1
-      local.get $11
-      local.get $12
-      i64.and
-      i64.const 0
-      i64.ne
-      br_if $~lib/util/math/checkint|inlined.1
-      drop
-      i32.const 2
-     end
-     local.tee $3
-     i32.eqz
-     if
-      local.get $0
-      local.get $0
-      f64.sub
-      local.tee $0
-      local.get $0
-      f64.div
-      br $~lib/util/math/pow_lut|inlined.0
-     end
-     local.get $5
-     i64.const 2047
-     i64.and
-     local.set $5
-     i32.const 262144
-     i32.const 0
-     local.get $3
+     i32.const 18
+     call $~lib/staticarray/StaticArray<f64>#__get
+     i32.trunc_sat_f64_s
+    else
      i32.const 1
-     i32.eq
-     select
-     local.set $4
-     local.get $2
-     i64.const 9223372036854775807
-     i64.and
-     local.set $2
     end
-    local.get $6
-    i64.const 2047
-    i64.and
-    local.tee $12
-    i64.const 958
-    i64.sub
-    i64.const 128
-    i64.ge_u
+    local.set $128
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/returnSeries
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 20
+    i32.sub
+    i32.load offset=16
+    i32.const 3
+    i32.shr_u
+    local.set $108
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 35
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $82
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 36
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $56
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 37
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $55
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 38
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $54
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    f64.const 1
+    local.get $0
+    i32.const 39
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.tee $70
+    local.get $70
+    f64.mul
+    f64.sub
+    f64.const 0
+    f64.max
+    f64.sqrt
+    local.set $53
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 40
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $114
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    f64.const 1
+    local.get $0
+    i32.const 43
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.tee $69
+    local.get $69
+    f64.mul
+    f64.sub
+    f64.const 0
+    f64.max
+    f64.sqrt
+    local.set $52
+    local.get $82
+    i32.const 0
+    i32.ne
+    local.tee $21
+    i32.eqz
     if
-     f64.const 1
-     local.get $2
-     i64.const 4607182418800017408
-     i64.eq
-     br_if $~lib/util/math/pow_lut|inlined.0
-     drop
-     f64.const 1
-     local.get $12
-     i64.const 958
-     i64.lt_u
-     br_if $~lib/util/math/pow_lut|inlined.0
-     drop
-     f64.const inf
-     f64.const 0
-     local.get $6
-     i64.const 2048
-     i64.lt_u
-     local.get $2
-     i64.const 4607182418800017408
-     i64.gt_u
-     i32.eq
-     select
-     br $~lib/util/math/pow_lut|inlined.0
+     local.get $114
+     i32.const 0
+     i32.ne
+     local.set $21
     end
-    local.get $5
-    i64.eqz
-    if
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 41
+    call $~lib/staticarray/StaticArray<f64>#__get
+    f64.const 0
+    f64.max
+    f64.const 0.08333333333333333
+    call $~lib/math/NativeMath.pow
+    local.tee $81
+    f64.const 1
+    f64.lt
+    if (result f64)
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/inputBuffer
+     local.tee $0
+     i32.store
      local.get $0
-     f64.const 4503599627370496
+     i32.const 42
+     call $~lib/staticarray/StaticArray<f64>#__get
+     f64.const 1
+     local.get $81
+     local.get $81
+     f64.mul
+     f64.sub
+     f64.sqrt
+     f64.mul
+    else
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/inputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     i32.const 42
+     call $~lib/staticarray/StaticArray<f64>#__get
+     f64.const 0.28867513459481287
      f64.mul
-     i64.reinterpret_f64
-     i64.const 9223372036854775807
-     i64.and
-     i64.const 234187180623265792
-     i64.sub
-     local.set $2
     end
-   end
-   local.get $2
-   local.get $2
-   i64.const 4604531861337669632
-   i64.sub
-   local.tee $2
-   i64.const -4503599627370496
-   i64.and
-   i64.sub
-   local.tee $5
-   i64.const 2147483648
-   i64.add
-   i64.const -4294967296
-   i64.and
-   f64.reinterpret_i64
-   local.tee $7
-   local.get $2
-   i64.const 45
-   i64.shr_u
-   i64.const 127
-   i64.and
-   i32.wrap_i64
-   i32.const 5
-   i32.shl
-   i32.const 7888
-   i32.add
-   local.tee $3
-   f64.load
-   local.tee $8
-   f64.mul
-   f64.const -1
-   f64.add
-   local.set $9
-   local.get $2
-   i64.const 52
-   i64.shr_s
-   f64.convert_i64_s
-   local.tee $13
-   f64.const 0.6931471805598903
-   f64.mul
-   local.get $3
-   f64.load offset=16
-   f64.add
-   local.tee $0
-   local.get $9
-   local.get $5
-   f64.reinterpret_i64
-   local.get $7
-   f64.sub
-   local.get $8
-   f64.mul
-   local.tee $7
-   f64.add
-   local.tee $14
-   f64.add
-   local.set $15
-   local.get $14
-   local.get $14
-   f64.const -0.5
-   f64.mul
-   local.tee $8
-   f64.mul
-   local.set $16
-   local.get $15
-   local.get $9
-   local.get $9
-   f64.const -0.5
-   f64.mul
-   local.tee $17
-   f64.mul
-   local.tee $9
-   f64.add
-   local.tee $10
-   local.get $10
-   local.get $13
-   f64.const 5.497923018708371e-14
-   f64.mul
-   local.get $3
-   f64.load offset=24
-   f64.add
-   local.get $0
-   local.get $15
-   f64.sub
-   local.get $14
-   f64.add
-   f64.add
-   local.get $7
-   local.get $8
-   local.get $17
-   f64.add
-   f64.mul
-   f64.add
-   local.get $15
-   local.get $10
-   f64.sub
-   local.get $9
-   f64.add
-   f64.add
-   local.get $14
-   local.get $16
-   f64.mul
-   local.get $14
-   f64.const 0.5000000000000007
-   f64.mul
-   f64.const -0.6666666666666679
-   f64.add
-   local.get $16
-   local.get $14
-   f64.const -0.6666666663487739
-   f64.mul
-   f64.const 0.7999999995323976
-   f64.add
-   local.get $16
-   local.get $14
-   f64.const 1.0000415263675542
-   f64.mul
-   f64.const -1.142909628459501
-   f64.add
-   f64.mul
-   f64.add
-   f64.mul
-   f64.add
-   f64.mul
-   f64.add
-   local.tee $0
-   f64.add
-   local.tee $7
-   f64.sub
-   local.get $0
-   f64.add
-   global.set $~lib/util/math/log_tail
-   block $~lib/util/math/exp_inline|inlined.0 (result f64)
-    local.get $11
-    i64.const -134217728
-    i64.and
-    f64.reinterpret_i64
+    local.set $51
+    local.get $33
+    f64.const 1
+    f64.add
+    local.get $8
+    call $~lib/math/NativeMath.pow
+    local.set $22
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 44
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $80
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 45
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $96
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 46
+    call $~lib/staticarray/StaticArray<f64>#__get
+    f64.const 0
+    f64.max
+    local.set $24
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 47
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $50
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 48
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $124
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 49
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $68
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 50
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $109
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 51
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $79
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 52
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $67
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 53
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $49
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 19
+    call $~lib/staticarray/StaticArray<f64>#__get
+    local.set $78
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
     local.tee $0
-    local.get $7
-    i64.reinterpret_f64
-    i64.const -134217728
-    i64.and
-    f64.reinterpret_i64
-    local.tee $8
-    f64.mul
-    local.tee $9
-    i64.reinterpret_f64
-    local.tee $2
-    i64.const 52
-    i64.shr_u
-    i32.wrap_i64
-    i32.const 2047
+    i32.store
+    local.get $0
+    i32.const 54
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    i32.const 1
+    i32.gt_s
+    if (result i32)
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/inputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     i32.const 54
+     call $~lib/staticarray/StaticArray<f64>#__get
+     i32.trunc_sat_f64_s
+    else
+     i32.const 1
+    end
+    local.set $48
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 58
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    i32.const 0
+    i32.gt_s
+    if (result i32)
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/inputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     i32.const 58
+     call $~lib/staticarray/StaticArray<f64>#__get
+     i32.trunc_sat_f64_s
+    else
+     i32.const 0
+    end
+    local.set $66
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 56
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    i32.const 0
+    i32.ne
+    local.set $32
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 55
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    i32.const 0
+    i32.ne
+    local.tee $0
+    if (result i32)
+     local.get $0
+    else
+     local.get $32
+    end
+    local.set $20
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 61
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    i32.const 0
+    i32.ne
+    local.set $95
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 57
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    i32.const 1
+    i32.eq
+    local.set $94
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 10
+    call $~lib/staticarray/StaticArray<f64>#__get
+    f64.const 1
+    f64.ge
+    if (result i32)
+     local.get $8
+     f64.const 12
+     f64.mul
+     f64.const 1
+     f64.ge
+    else
+     i32.const 0
+    end
+    i32.eqz
+    if
+     i32.const 6
+     i32.const 0
+     call $assembly/index/beginOutput
+     local.set $15
+     br $folding-inner1
+    end
+    local.get $85
+    local.get $96
+    f64.gt
+    local.get $96
+    f64.const 0
+    f64.ge
     i32.and
-    local.tee $3
-    i32.const 969
-    i32.sub
-    local.tee $18
-    i32.const 63
-    i32.ge_u
+    local.get $80
+    i32.const 1
+    i32.ne
+    i32.or
+    i32.eqz
     if
-     f64.const -1
-     f64.const 1
-     local.get $4
-     select
-     local.get $18
-     i32.const -2147483648
-     i32.ge_u
-     br_if $~lib/util/math/exp_inline|inlined.0
-     drop
-     f64.const -0
-     f64.const 0
-     local.get $4
-     select
-     f64.const -inf
-     f64.const inf
-     local.get $4
-     select
-     local.get $2
-     i64.const 0
-     i64.lt_s
+     i32.const 2
+     i32.const 0
+     call $assembly/index/beginOutput
+     local.set $15
+     br $folding-inner1
+    end
+    local.get $94
+    if (result i32)
+     i32.const 1
+     local.get $124
+     i32.const 0
+     i32.gt_s
+     local.get $116
      select
-     local.get $3
-     i32.const 1033
-     i32.ge_u
-     br_if $~lib/util/math/exp_inline|inlined.0
-     drop
+     if (result i32)
+      i32.const 1
+     else
+      local.get $8
+      f64.const 12
+      f64.mul
+      i32.trunc_sat_f64_s
+      i32.const 1200
+      i32.gt_s
+     end
+    else
      i32.const 0
-     local.set $3
     end
-    local.get $9
-    f64.const 184.6649652337873
-    f64.mul
-    f64.const 6755399441055744
-    f64.add
-    local.tee $10
-    i64.reinterpret_f64
-    local.tee $2
-    i64.const 127
-    i64.and
-    i64.const 1
-    i64.shl
-    i32.wrap_i64
-    i32.const 3
-    i32.shl
-    i32.const 5840
-    i32.add
-    local.tee $18
-    i64.load offset=8
-    local.get $2
-    local.get $4
-    i64.extend_i32_u
-    i64.add
-    i64.const 45
-    i64.shl
-    i64.add
-    local.set $5
-    local.get $9
-    local.get $10
-    f64.const -6755399441055744
-    f64.add
-    local.tee $9
-    f64.const -0.005415212348111709
+    if
+     i32.const 4
+     i32.const 0
+     call $assembly/index/beginOutput
+     local.set $15
+     br $folding-inner1
+    end
+    local.get $108
+    i32.eqz
+    local.get $116
+    i32.const 4
+    i32.eq
+    i32.and
+    if
+     i32.const 1
+     i32.const 0
+     call $assembly/index/beginOutput
+     local.set $15
+     br $folding-inner1
+    end
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 59
+    call $~lib/staticarray/StaticArray<f64>#__get
+    i32.trunc_sat_f64_s
+    local.set $118
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/inputBuffer
+    local.tee $0
+    i32.store
+    local.get $0
+    i32.const 60
+    call $~lib/staticarray/StaticArray<f64>#__get
+    f64.const 0
+    f64.gt
+    if (result i32)
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/inputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     i32.const 60
+     call $~lib/staticarray/StaticArray<f64>#__get
+     i32.trunc_sat_f64_s
+    else
+     local.get $1
+    end
+    local.set $0
+    local.get $118
+    i32.const 0
+    i32.ne
+    local.tee $19
+    i32.eqz
+    if
+     local.get $0
+     local.get $1
+     i32.ne
+     local.set $19
+    end
+    local.get $19
+    if
+     local.get $78
+     f64.const 0
+     f64.gt
+     if (result i32)
+      i32.const 0
+     else
+      local.get $20
+      if (result i32)
+       local.get $118
+       if (result i32)
+        local.get $118
+        i32.const 1000
+        i32.ge_s
+       else
+        local.get $0
+        i32.const 1000
+        local.get $1
+        local.get $1
+        i32.const 1000
+        i32.ge_s
+        select
+        i32.ge_s
+       end
+       local.get $0
+       local.get $118
+       i32.gt_s
+       local.get $118
+       i32.const 0
+       i32.ge_s
+       i32.and
+       local.get $0
+       local.get $1
+       i32.le_s
+       i32.and
+       i32.and
+      else
+       i32.const 0
+      end
+     end
+     i32.eqz
+     if
+      i32.const 7
+      i32.const 0
+      call $assembly/index/beginOutput
+      local.set $15
+      br $folding-inner1
+     end
+    end
+    local.get $8
+    f64.const 12
     f64.mul
+    f64.floor
+    local.tee $6
+    f64.const 1
     f64.add
-    local.get $9
-    f64.const -1.2864023111638346e-14
+    local.tee $3
+    f64.const 5
     f64.mul
+    local.set $4
+    f64.const 63
+    f64.const 60
+    local.get $19
+    select
+    local.get $3
+    f64.add
+    local.get $4
     f64.add
-    local.get $1
     local.get $0
-    f64.sub
-    local.get $8
-    f64.mul
-    local.get $1
-    local.get $7
-    local.get $8
-    f64.sub
-    global.get $~lib/util/math/log_tail
+    local.get $118
+    i32.sub
+    local.tee $35
+    f64.convert_i32_s
+    local.tee $3
     f64.add
-    f64.mul
+    f64.const 5
+    f64.add
+    local.get $3
+    f64.const 0
+    local.get $80
+    i32.const 1
+    i32.eq
+    select
     f64.add
+    f64.const 5
     f64.add
-    local.tee $0
-    local.get $0
-    f64.mul
-    local.set $1
-    local.get $18
-    f64.load
-    local.get $0
+    f64.const 7
     f64.add
-    local.get $1
-    local.get $0
-    f64.const 0.16666666666665886
-    f64.mul
-    f64.const 0.49999999999996786
+    local.get $3
+    f64.const 0
+    local.get $109
+    i32.const 1
+    i32.eq
+    select
     f64.add
+    local.get $4
+    f64.const 3
     f64.mul
     f64.add
-    local.get $1
-    local.get $1
-    f64.mul
-    local.get $0
-    f64.const 0.008333335853059549
-    f64.mul
-    f64.const 0.0416666808410674
+    local.get $6
+    f64.add
+    f64.const 19
+    f64.add
+    f64.const 8
+    f64.add
+    local.get $3
+    f64.const 0
+    local.get $95
+    select
     f64.add
+    local.get $3
+    f64.const 3
     f64.mul
+    f64.const 0
+    local.get $19
+    select
     f64.add
-    local.set $0
+    local.tee $3
+    f64.const 33554432
+    f64.gt
+    if
+     i32.const 5
+     i32.const 0
+     call $assembly/index/beginOutput
+     local.set $15
+     br $folding-inner1
+    end
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    i32.sub
+    global.set $~lib/memory/__stack_pointer
+    global.get $~lib/memory/__stack_pointer
+    i32.const 43600
+    i32.lt_s
+    br_if $folding-inner2
+    global.get $~lib/memory/__stack_pointer
+    i32.const 0
+    i32.store
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/outputBuffer
+    local.tee $1
+    i32.store
     local.get $3
-    i32.eqz
+    i32.trunc_sat_f64_s
+    local.tee $0
+    local.get $1
+    i32.const 20
+    i32.sub
+    i32.load offset=16
+    i32.const 3
+    i32.shr_u
+    i32.gt_s
     if
-     block $~lib/util/math/specialcase|inlined.1 (result f64)
-      local.get $2
-      i64.const 2147483648
-      i64.and
-      i64.eqz
+     local.get $0
+     call $~lib/staticarray/StaticArray<f64>#constructor
+     global.set $assembly/index/outputBuffer
+    end
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    i32.add
+    global.set $~lib/memory/__stack_pointer
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $113
+    i32.store offset=4
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $93
+    i32.store offset=8
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $92
+    i32.store offset=12
+    global.get $~lib/memory/__stack_pointer
+    i32.const 0
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $30
+    i32.store offset=16
+    local.get $124
+    i32.const 0
+    i32.gt_s
+    if
+     global.get $~lib/memory/__stack_pointer
+     local.get $124
+     local.get $124
+     i32.mul
+     call $~lib/staticarray/StaticArray<f64>#constructor
+     local.tee $0
+     i32.store offset=20
+     local.get $124
+     i32.const 4
+     i32.le_s
+     local.tee $16
+     if
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/assetTable
+      local.tee $1
+      i32.store
+      local.get $124
+      local.get $124
+      i32.const 3
+      i32.add
+      i32.mul
+      local.get $1
+      i32.const 20
+      i32.sub
+      i32.load offset=16
+      i32.const 3
+      i32.shr_u
+      i32.eq
+      local.set $16
+     end
+     local.get $16
+     if
+      loop $for-loop|0
+       local.get $2
+       local.get $124
+       i32.lt_s
+       if
+        global.get $~lib/memory/__stack_pointer
+        global.get $assembly/index/assetTable
+        local.tee $1
+        i32.store
+        local.get $5
+        local.get $1
+        local.get $2
+        call $~lib/staticarray/StaticArray<f64>#__get
+        f64.add
+        local.set $5
+        local.get $2
+        i32.const 1
+        i32.add
+        local.set $2
+        br $for-loop|0
+       end
+      end
+      i32.const 0
+      local.set $2
+      loop $for-loop|1
+       global.get $~lib/memory/__stack_pointer
+       local.get $0
+       i32.store
+       local.get $2
+       local.get $0
+       i32.const 20
+       i32.sub
+       i32.load offset=16
+       i32.const 3
+       i32.shr_u
+       i32.lt_s
+       if
+        global.get $~lib/memory/__stack_pointer
+        local.get $0
+        i32.store
+        global.get $~lib/memory/__stack_pointer
+        global.get $assembly/index/assetTable
+        local.tee $1
+        i32.store offset=24
+        local.get $0
+        local.get $2
+        local.get $1
+        local.get $124
+        i32.const 3
+        i32.mul
+        local.get $2
+        i32.add
+        call $~lib/staticarray/StaticArray<f64>#__get
+        call $~lib/staticarray/StaticArray<f64>#__set
+        local.get $2
+        i32.const 1
+        i32.add
+        local.set $2
+        br $for-loop|1
+       end
+      end
+      global.get $~lib/memory/__stack_pointer
+      local.set $17
+      global.get $~lib/memory/__stack_pointer
+      local.get $0
+      i32.store
+      global.get $~lib/memory/__stack_pointer
+      i32.const 12
+      i32.sub
+      global.set $~lib/memory/__stack_pointer
+      global.get $~lib/memory/__stack_pointer
+      i32.const 43600
+      i32.lt_s
+      br_if $folding-inner2
+      local.get $0
+      local.set $2
+      global.get $~lib/memory/__stack_pointer
+      i64.const 0
+      i64.store
+      global.get $~lib/memory/__stack_pointer
+      i32.const 0
+      i32.store offset=8
+      global.get $~lib/memory/__stack_pointer
+      local.get $124
+      local.get $124
+      i32.mul
+      call $~lib/staticarray/StaticArray<f64>#constructor
+      local.tee $0
+      i32.store
+      block $__inlined_func$assembly/math/choleskyDecompose$223
+       loop $for-loop|00
+        local.get $38
+        local.get $124
+        i32.lt_s
+        if
+         i32.const 0
+         local.set $1
+         loop $for-loop|11
+          local.get $1
+          local.get $38
+          i32.le_s
+          if
+           global.get $~lib/memory/__stack_pointer
+           local.get $2
+           i32.store offset=4
+           local.get $2
+           local.get $38
+           local.get $124
+           i32.mul
+           local.get $1
+           i32.add
+           call $~lib/staticarray/StaticArray<f64>#__get
+           local.set $3
+           i32.const 0
+           local.set $127
+           loop $for-loop|2
+            local.get $1
+            local.get $127
+            i32.gt_s
+            if
+             global.get $~lib/memory/__stack_pointer
+             local.get $0
+             i32.store offset=4
+             local.get $0
+             local.get $38
+             local.get $124
+             i32.mul
+             local.get $127
+             i32.add
+             call $~lib/staticarray/StaticArray<f64>#__get
+             local.set $4
+             global.get $~lib/memory/__stack_pointer
+             local.get $0
+             i32.store offset=4
+             local.get $3
+             local.get $4
+             local.get $0
+             local.get $1
+             local.get $124
+             i32.mul
+             local.get $127
+             i32.add
+             call $~lib/staticarray/StaticArray<f64>#__get
+             f64.mul
+             f64.sub
+             local.set $3
+             local.get $127
+             i32.const 1
+             i32.add
+             local.set $127
+             br $for-loop|2
+            end
+           end
+           local.get $1
+           local.get $38
+           i32.eq
+           if
+            local.get $3
+            f64.const 0
+            f64.gt
+            i32.eqz
+            if
+             i32.const 0
+             call $~lib/staticarray/StaticArray<f64>#constructor
+             local.set $0
+             global.get $~lib/memory/__stack_pointer
+             i32.const 12
+             i32.add
+             global.set $~lib/memory/__stack_pointer
+             br $__inlined_func$assembly/math/choleskyDecompose$223
+            end
+            global.get $~lib/memory/__stack_pointer
+            local.get $0
+            i32.store offset=4
+            local.get $0
+            local.get $38
+            local.get $124
+            i32.mul
+            local.get $1
+            i32.add
+            local.get $3
+            f64.sqrt
+            call $~lib/staticarray/StaticArray<f64>#__set
+           else
+            global.get $~lib/memory/__stack_pointer
+            local.get $0
+            i32.store offset=4
+            global.get $~lib/memory/__stack_pointer
+            local.get $0
+            i32.store offset=8
+            local.get $0
+            local.get $38
+            local.get $124
+            i32.mul
+            local.get $1
+            i32.add
+            local.get $3
+            local.get $0
+            local.get $1
+            local.get $124
+            i32.mul
+            local.get $1
+            i32.add
+            call $~lib/staticarray/StaticArray<f64>#__get
+            f64.div
+            call $~lib/staticarray/StaticArray<f64>#__set
+           end
+           local.get $1
+           i32.const 1
+           i32.add
+           local.set $1
+           br $for-loop|11
+          end
+         end
+         local.get $38
+         i32.const 1
+         i32.add
+         local.set $38
+         br $for-loop|00
+        end
+       end
+       global.get $~lib/memory/__stack_pointer
+       i32.const 12
+       i32.add
+       global.set $~lib/memory/__stack_pointer
+      end
+      local.get $17
+      local.get $0
+      local.tee $30
+      i32.store offset=16
+     end
+     local.get $5
+     f64.const 0
+     f64.gt
+     i32.eqz
+     local.get $16
+     i32.eqz
+     i32.or
+     if (result i32)
+      i32.const 0
+     else
+      global.get $~lib/memory/__stack_pointer
+      local.get $30
+      i32.store
+      local.get $30
+      i32.const 20
+      i32.sub
+      i32.load offset=16
+      i32.const 3
+      i32.shr_u
+     end
+     i32.eqz
+     if
+      i32.const 3
+      i32.const 0
+      call $assembly/index/beginOutput
+      local.set $15
+      br $folding-inner1
+     end
+     i32.const 0
+     local.set $0
+     loop $for-loop|22
+      local.get $0
+      local.get $124
+      i32.lt_s
       if
-       local.get $5
-       i64.const 4544132024016830464
-       i64.sub
-       f64.reinterpret_i64
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/index/assetTable
+       local.tee $1
+       i32.store
+       local.get $1
+       local.get $0
+       local.get $124
+       i32.add
+       call $~lib/staticarray/StaticArray<f64>#__get
+       local.set $4
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/index/assetTable
+       local.tee $1
+       i32.store
+       local.get $1
+       local.get $124
+       i32.const 1
+       i32.shl
+       local.get $0
+       i32.add
+       call $~lib/staticarray/StaticArray<f64>#__get
+       local.set $3
+       global.get $~lib/memory/__stack_pointer
+       local.get $113
+       i32.store
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/index/assetTable
        local.tee $1
+       i32.store offset=24
+       local.get $113
+       local.get $0
        local.get $1
        local.get $0
+       call $~lib/staticarray/StaticArray<f64>#__get
+       local.get $5
+       f64.div
+       call $~lib/staticarray/StaticArray<f64>#__set
+       global.get $~lib/memory/__stack_pointer
+       local.get $93
+       i32.store
+       local.get $93
+       local.get $0
+       local.get $4
+       local.get $3
+       f64.const 0.5
        f64.mul
-       f64.add
-       f64.const 5486124068793688683255936e279
+       local.get $3
        f64.mul
-       br $~lib/util/math/specialcase|inlined.1
-      end
-      local.get $5
-      i64.const 4602678819172646912
-      i64.add
-      local.tee $2
-      f64.reinterpret_i64
-      local.tee $1
-      local.get $0
-      f64.mul
-      local.set $0
-      local.get $1
-      local.get $0
-      f64.add
-      local.tee $7
-      f64.abs
-      f64.const 1
-      f64.lt
-      if (result f64)
-       f64.const 1
-       local.get $7
-       f64.copysign
-       local.tee $8
-       local.get $7
-       f64.add
-       local.tee $9
-       local.get $8
-       local.get $9
-       f64.sub
-       local.get $7
-       f64.add
-       local.get $1
-       local.get $7
        f64.sub
+       f64.const 12
+       f64.div
+       call $~lib/staticarray/StaticArray<f64>#__set
+       global.get $~lib/memory/__stack_pointer
+       local.get $92
+       i32.store
+       local.get $92
        local.get $0
-       f64.add
-       f64.add
-       f64.add
-       local.get $8
-       f64.sub
-       local.tee $0
-       f64.const 0
-       f64.eq
-       if (result f64)
-        local.get $2
-        i64.const -9223372036854775808
-        i64.and
-        f64.reinterpret_i64
-       else
-        local.get $0
-       end
-      else
-       local.get $7
+       local.get $3
+       f64.const 0.28867513459481287
+       f64.mul
+       call $~lib/staticarray/StaticArray<f64>#__set
+       local.get $0
+       i32.const 1
+       i32.add
+       local.set $0
+       br $for-loop|22
       end
-      f64.const 2.2250738585072014e-308
-      f64.mul
      end
-     br $~lib/util/math/exp_inline|inlined.0
     end
-    local.get $5
-    f64.reinterpret_i64
-    local.tee $1
-    local.get $1
-    local.get $0
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $120
+    i32.store offset=28
+    global.get $~lib/memory/__stack_pointer
+    i32.const 4
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $107
+    i32.store offset=32
+    global.get $~lib/memory/__stack_pointer
+    local.get $8
+    f64.const 12
     f64.mul
-    f64.add
-   end
-  end
- )
- (func $~lib/util/sort/insertionSort<f64> (param $0 i32) (param $1 i32) (param $2 i32) (param $3 i32)
-  (local $4 f64)
-  (local $5 f64)
-  (local $6 i32)
-  (local $7 f64)
-  (local $8 i32)
-  local.get $1
-  local.get $3
-  local.get $2
-  local.get $1
-  i32.sub
-  i32.const 1
-  i32.add
-  local.tee $6
-  local.get $3
-  i32.sub
-  i32.const 1
-  i32.and
-  i32.sub
-  local.get $6
-  i32.const 1
-  i32.and
-  local.get $3
-  select
-  i32.add
-  local.set $6
-  loop $for-loop|0
-   local.get $2
-   local.get $6
-   i32.ge_s
-   if
-    local.get $0
-    local.get $6
-    i32.const 3
-    i32.shl
+    i32.trunc_sat_f64_s
+    local.tee $46
+    i32.const 1
     i32.add
-    local.tee $3
-    f64.load offset=8
-    local.tee $7
-    local.set $5
-    local.get $3
-    f64.load
-    local.tee $4
-    local.get $7
-    i32.const 12016
-    i32.load
-    call_indirect (type $0)
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $45
+    i32.store offset=36
+    global.get $~lib/memory/__stack_pointer
+    local.get $45
+    i32.store
+    local.get $45
     i32.const 0
-    i32.le_s
-    if
-     local.get $4
-     local.set $5
-     local.get $7
-     local.set $4
-    end
-    local.get $6
-    i32.const 1
-    i32.sub
+    local.get $9
+    call $~lib/staticarray/StaticArray<f64>#__set
+    local.get $11
     local.set $3
-    loop $while-continue|1
-     local.get $1
-     local.get $3
+    i32.const 1
+    local.set $0
+    loop $for-loop|3
+     local.get $0
+     local.get $46
      i32.le_s
      if
-      local.get $0
       local.get $3
-      i32.const 3
-      i32.shl
-      i32.add
-      local.tee $8
-      f64.load
-      local.tee $7
-      local.get $4
-      i32.const 12016
-      i32.load
-      call_indirect (type $0)
-      i32.const 0
-      i32.gt_s
+      f64.const 0
+      f64.gt
       if
-       local.get $8
-       local.get $7
-       f64.store offset=16
+       local.get $0
+       local.get $46
+       i32.eq
+       local.get $98
        local.get $3
-       i32.const 1
-       i32.sub
+       local.get $25
+       f64.mul
+       local.tee $5
+       f64.sub
+       local.tee $4
+       local.get $3
+       f64.ge
+       i32.or
+       if (result f64)
+        global.get $~lib/memory/__stack_pointer
+        local.get $45
+        i32.store
+        local.get $45
+        local.get $0
+        local.get $31
+        local.get $3
+        local.get $5
+        f64.add
+        f64.sub
+        call $~lib/staticarray/StaticArray<f64>#__set
+        f64.const 0
+       else
+        global.get $~lib/memory/__stack_pointer
+        local.get $45
+        i32.store
+        local.get $45
+        local.get $0
+        local.get $31
+        local.get $98
+        f64.sub
+        call $~lib/staticarray/StaticArray<f64>#__set
+        local.get $3
+        local.get $4
+        f64.sub
+       end
        local.set $3
-       br $while-continue|1
+      else
+       global.get $~lib/memory/__stack_pointer
+       local.get $45
+       i32.store
+       local.get $45
+       local.get $0
+       local.get $31
+       call $~lib/staticarray/StaticArray<f64>#__set
       end
-     end
-    end
-    local.get $0
-    local.get $3
-    i32.const 3
-    i32.shl
-    i32.add
-    local.get $4
-    f64.store offset=16
-    loop $while-continue|2
-     local.get $1
-     local.get $3
-     i32.le_s
-     if
       local.get $0
-      local.get $3
-      i32.const 3
-      i32.shl
+      i32.const 1
       i32.add
-      local.tee $8
-      f64.load
-      local.tee $4
-      local.get $5
-      i32.const 12016
-      i32.load
-      call_indirect (type $0)
-      i32.const 0
-      i32.gt_s
+      local.set $0
+      br $for-loop|3
+     end
+    end
+    local.get $100
+    local.get $119
+    f64.const 0.5
+    f64.mul
+    local.get $119
+    f64.mul
+    f64.sub
+    f64.const 12
+    f64.div
+    local.set $27
+    local.get $119
+    f64.const 0.28867513459481287
+    f64.mul
+    local.set $6
+    local.get $116
+    i32.const 4
+    i32.eq
+    local.get $21
+    i32.and
+    if
+     f64.const 0
+     local.set $3
+     i32.const 0
+     local.set $0
+     loop $for-loop|4
+      local.get $0
+      local.get $108
+      i32.lt_s
       if
-       local.get $8
-       local.get $4
-       f64.store offset=8
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/index/returnSeries
+       local.tee $1
+       i32.store
        local.get $3
-       i32.const 1
-       i32.sub
+       local.get $1
+       local.get $0
+       call $~lib/staticarray/StaticArray<f64>#__get
+       f64.const 1
+       f64.add
+       call $~lib/math/NativeMath.log
+       local.tee $4
+       f64.add
        local.set $3
-       br $while-continue|2
+       local.get $129
+       local.get $4
+       local.get $4
+       f64.mul
+       f64.add
+       local.set $129
+       local.get $0
+       i32.const 1
+       i32.add
+       local.set $0
+       br $for-loop|4
       end
      end
-    end
-    local.get $0
-    local.get $3
-    i32.const 3
-    i32.shl
-    i32.add
-    local.get $5
-    f64.store offset=8
-    local.get $6
-    i32.const 2
-    i32.add
-    local.set $6
-    br $for-loop|0
-   end
-  end
- )
- (func $~lib/util/sort/extendRunRight<f64> (param $0 i32) (param $1 i32) (param $2 i32) (result i32)
-  (local $3 i32)
-  (local $4 f64)
-  (local $5 i32)
-  local.get $1
-  local.get $2
-  i32.eq
-  if
-   local.get $1
-   return
-  end
-  local.get $0
-  local.get $1
-  i32.const 3
-  i32.shl
-  i32.add
-  f64.load
-  local.get $0
-  local.get $1
-  i32.const 1
-  i32.add
-  local.tee $3
-  i32.const 3
-  i32.shl
-  i32.add
-  f64.load
-  i32.const 12016
-  i32.load
-  call_indirect (type $0)
-  i32.const 0
-  i32.gt_s
-  if
-   loop $while-continue|0
-    local.get $2
-    local.get $3
-    i32.gt_s
-    if (result i32)
-     local.get $0
-     local.get $3
-     i32.const 3
-     i32.shl
-     i32.add
-     local.tee $5
-     f64.load offset=8
-     local.get $5
-     f64.load
-     i32.const 12016
-     i32.load
-     call_indirect (type $0)
-     i32.const 31
-     i32.shr_u
-    else
-     i32.const 0
-    end
-    if
-     local.get $3
-     i32.const 1
-     i32.add
-     local.set $3
-     br $while-continue|0
-    end
-   end
-   local.get $3
-   local.set $2
-   loop $while-continue|1
-    local.get $1
-    local.get $2
-    i32.lt_s
-    if
-     local.get $0
-     local.get $1
-     i32.const 3
-     i32.shl
-     i32.add
-     local.tee $5
-     f64.load
-     local.set $4
-     local.get $5
-     local.get $0
-     local.get $2
-     i32.const 3
-     i32.shl
-     i32.add
-     local.tee $5
-     f64.load
-     f64.store
-     local.get $1
-     i32.const 1
-     i32.add
-     local.set $1
-     local.get $5
-     local.get $4
-     f64.store
-     local.get $2
-     i32.const 1
-     i32.sub
-     local.set $2
-     br $while-continue|1
-    end
-   end
-  else
-   loop $while-continue|2
-    local.get $2
-    local.get $3
-    i32.gt_s
-    if (result i32)
-     local.get $0
      local.get $3
-     i32.const 3
-     i32.shl
-     i32.add
-     local.tee $1
-     f64.load offset=8
-     local.get $1
-     f64.load
-     i32.const 12016
-     i32.load
-     call_indirect (type $0)
-     i32.const 0
-     i32.ge_s
-    else
-     i32.const 0
-    end
-    if
+     local.get $108
+     f64.convert_i32_s
+     local.tee $3
+     f64.div
+     local.set $27
+     local.get $129
      local.get $3
-     i32.const 1
-     i32.add
-     local.set $3
-     br $while-continue|2
-    end
-   end
-  end
-  local.get $3
- )
- (func $~lib/util/sort/mergeRuns<f64> (param $0 i32) (param $1 i32) (param $2 i32) (param $3 i32) (param $4 i32)
-  (local $5 i32)
-  (local $6 i32)
-  (local $7 i32)
-  (local $8 f64)
-  (local $9 f64)
-  local.get $2
-  i32.const 1
-  i32.sub
-  local.tee $5
-  local.get $3
-  i32.add
-  local.set $6
-  local.get $5
-  i32.const 1
-  i32.add
-  local.set $2
-  loop $for-loop|0
-   local.get $1
-   local.get $2
-   i32.lt_s
-   if
-    local.get $2
-    i32.const 1
-    i32.sub
-    local.tee $2
-    i32.const 3
-    i32.shl
-    local.tee $7
-    local.get $4
-    i32.add
-    local.get $0
-    local.get $7
-    i32.add
-    f64.load
-    f64.store
-    br $for-loop|0
-   end
-  end
-  loop $for-loop|1
-   local.get $3
-   local.get $5
-   i32.gt_s
-   if
-    local.get $4
-    local.get $6
-    local.get $5
-    i32.sub
-    i32.const 3
-    i32.shl
-    i32.add
-    local.get $0
-    local.get $5
-    i32.const 3
-    i32.shl
-    i32.add
-    f64.load offset=8
-    f64.store
-    local.get $5
-    i32.const 1
-    i32.add
-    local.set $5
-    br $for-loop|1
-   end
-  end
-  loop $for-loop|2
-   local.get $1
-   local.get $3
-   i32.le_s
-   if
-    local.get $4
-    local.get $5
-    i32.const 3
-    i32.shl
-    i32.add
-    f64.load
-    local.tee $8
-    local.get $4
-    local.get $2
-    i32.const 3
-    i32.shl
+     f64.div
+     local.get $27
+     local.get $27
+     f64.mul
+     f64.sub
+     f64.const 0
+     f64.max
+     f64.sqrt
+     local.set $6
+    end
+    global.get $~lib/memory/__stack_pointer
+    i32.const 1000
+    local.get $35
+    local.get $35
+    i32.const 1000
+    i32.ge_s
+    select
+    i32.const 0
+    local.get $118
+    i32.const 0
+    i32.le_s
+    select
+    local.tee $106
+    local.get $46
+    i32.const 1
     i32.add
-    f64.load
-    local.tee $9
-    i32.const 12016
-    i32.load
-    call_indirect (type $0)
+    local.tee $0
+    i32.mul
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $117
+    i32.store offset=40
+    global.get $~lib/memory/__stack_pointer
+    local.get $0
+    local.get $106
+    i32.mul
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $112
+    i32.store offset=44
+    global.get $~lib/memory/__stack_pointer
+    local.get $0
+    local.get $106
+    i32.mul
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $111
+    i32.store offset=48
+    global.get $~lib/memory/__stack_pointer
+    local.get $0
+    local.get $106
+    i32.mul
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $110
+    i32.store offset=52
     i32.const 0
-    i32.lt_s
-    if
+    local.set $0
+    loop $for-loop|5
+     global.get $~lib/memory/__stack_pointer
+     local.get $117
+     i32.store
      local.get $0
-     local.get $1
+     local.get $117
+     i32.const 20
+     i32.sub
+     i32.load offset=16
      i32.const 3
-     i32.shl
-     i32.add
-     local.get $8
-     f64.store
-     local.get $5
-     i32.const 1
+     i32.shr_u
+     i32.lt_s
+     if
+      global.get $~lib/memory/__stack_pointer
+      local.get $117
+      i32.store
+      local.get $117
+      local.get $0
+      f64.const nan:0x8000000000000
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      local.get $110
+      i32.store
+      local.get $110
+      local.get $0
+      f64.const nan:0x8000000000000
+      call $~lib/staticarray/StaticArray<f64>#__set
+      local.get $0
+      i32.const 1
+      i32.add
+      local.set $0
+      br $for-loop|5
+     end
+    end
+    global.get $~lib/memory/__stack_pointer
+    local.set $17
+    local.get $116
+    i32.const 3
+    i32.eq
+    if
+     global.get $~lib/memory/__stack_pointer
+     i32.const 16
      i32.sub
-     local.set $5
-    else
-     local.get $0
-     local.get $1
+     global.set $~lib/memory/__stack_pointer
+     global.get $~lib/memory/__stack_pointer
+     i32.const 43600
+     i32.lt_s
+     br_if $folding-inner2
+     global.get $~lib/memory/__stack_pointer
+     i64.const 0
+     i64.store
+     global.get $~lib/memory/__stack_pointer
+     i64.const 0
+     i64.store offset=8
+     global.get $~lib/memory/__stack_pointer
      i32.const 3
-     i32.shl
-     i32.add
-     local.get $9
-     f64.store
-     local.get $2
-     i32.const 1
+     call $~lib/staticarray/StaticArray<f64>#constructor
+     local.tee $0
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     i32.const 3
+     call $~lib/staticarray/StaticArray<f64>#constructor
+     local.tee $16
+     i32.store offset=4
+     i32.const 0
+     local.set $38
+     loop $for-loop|01
+      local.get $38
+      local.get $115
+      i32.lt_s
+      if
+       global.get $~lib/memory/__stack_pointer
+       local.get $0
+       i32.store offset=8
+       local.get $0
+       local.get $38
+       f64.const 1
+       local.get $115
+       f64.convert_i32_s
+       f64.div
+       call $~lib/staticarray/StaticArray<f64>#__set
+       local.get $38
+       i32.const 1
+       i32.add
+       local.set $38
+       br $for-loop|01
+      end
+     end
+     loop $for-loop|12
+      local.get $18
+      i32.const 1000
+      i32.lt_s
+      if
+       i32.const 0
+       local.set $38
+       loop $for-loop|23
+        local.get $38
+        local.get $115
+        i32.lt_s
+        if
+         f64.const 0
+         local.set $3
+         i32.const 0
+         local.set $1
+         loop $for-loop|34
+          local.get $1
+          local.get $115
+          i32.lt_s
+          if
+           global.get $~lib/memory/__stack_pointer
+           local.get $0
+           i32.store offset=8
+           local.get $0
+           local.get $1
+           call $~lib/staticarray/StaticArray<f64>#__get
+           local.set $4
+           global.get $~lib/memory/__stack_pointer
+           global.get $assembly/index/inputBuffer
+           local.tee $2
+           i32.store offset=8
+           local.get $3
+           local.get $4
+           local.get $2
+           local.get $1
+           i32.const 3
+           i32.mul
+           i32.const 26
+           i32.add
+           local.get $38
+           i32.add
+           call $~lib/staticarray/StaticArray<f64>#__get
+           f64.mul
+           f64.add
+           local.set $3
+           local.get $1
+           i32.const 1
+           i32.add
+           local.set $1
+           br $for-loop|34
+          end
+         end
+         global.get $~lib/memory/__stack_pointer
+         local.get $16
+         i32.store offset=8
+         local.get $16
+         local.get $38
+         local.get $3
+         call $~lib/staticarray/StaticArray<f64>#__set
+         local.get $38
+         i32.const 1
+         i32.add
+         local.set $38
+         br $for-loop|23
+        end
+       end
+       i32.const 0
+       local.set $38
+       loop $for-loop|45
+        local.get $38
+        local.get $115
+        i32.lt_s
+        if
+         global.get $~lib/memory/__stack_pointer
+         local.get $0
+         i32.store offset=8
+         global.get $~lib/memory/__stack_pointer
+         local.get $16
+         i32.store offset=12
+         local.get $0
+         local.get $38
+         local.get $16
+         local.get $38
+         call $~lib/staticarray/StaticArray<f64>#__get
+         call $~lib/staticarray/StaticArray<f64>#__set
+         local.get $38
+         i32.const 1
+         i32.add
+         local.set $38
+         br $for-loop|45
+        end
+       end
+       local.get $18
+       i32.const 1
+       i32.add
+       local.set $18
+       br $for-loop|12
+      end
+     end
+     global.get $~lib/memory/__stack_pointer
+     i32.const 16
      i32.add
-     local.set $2
+     global.set $~lib/memory/__stack_pointer
+    else
+     i32.const 3
+     call $~lib/staticarray/StaticArray<f64>#constructor
+     local.set $0
     end
-    local.get $1
-    i32.const 1
-    i32.add
-    local.set $1
-    br $for-loop|2
-   end
-  end
- )
- (func $~lib/util/sort/COMPARATOR<f64>~anonymous|0 (param $0 f64) (param $1 f64) (result i32)
-  (local $2 i64)
-  (local $3 i64)
-  local.get $0
-  i64.reinterpret_f64
-  local.tee $2
-  i64.const 63
-  i64.shr_s
-  i64.const 1
-  i64.shr_u
-  local.get $2
-  i64.xor
-  local.tee $2
-  local.get $1
-  i64.reinterpret_f64
-  local.tee $3
-  i64.const 63
-  i64.shr_s
-  i64.const 1
-  i64.shr_u
-  local.get $3
-  i64.xor
-  local.tee $3
-  i64.gt_s
-  local.get $2
-  local.get $3
-  i64.lt_s
-  i32.sub
- )
- (func $~lib/rt/__visit_members (param $0 i32)
-  block $invalid
-   block $~lib/function/Function<%28f64%2Cf64%29=>i32>
-    block $~lib/staticarray/StaticArray<f64>
-     block $~lib/arraybuffer/ArrayBufferView
-      block $~lib/string/String
-       block $~lib/arraybuffer/ArrayBuffer
-        block $~lib/object/Object
+    local.get $17
+    local.get $0
+    local.tee $18
+    i32.store offset=56
+    local.get $84
+    call $assembly/math/seedRandom
+    i32.const 0
+    global.set $assembly/math/mirrorNormals
+    local.get $94
+    if
+     global.get $~lib/memory/__stack_pointer
+     i32.const 4
+     i32.sub
+     global.set $~lib/memory/__stack_pointer
+     global.get $~lib/memory/__stack_pointer
+     i32.const 43600
+     i32.lt_s
+     br_if $folding-inner2
+     global.get $~lib/memory/__stack_pointer
+     i32.const 0
+     i32.store
+     local.get $46
+     global.get $assembly/math/sobolDimensions
+     i32.gt_s
+     if
+      global.get $~lib/memory/__stack_pointer
+      i32.const 4
+      i32.sub
+      global.set $~lib/memory/__stack_pointer
+      global.get $~lib/memory/__stack_pointer
+      i32.const 43600
+      i32.lt_s
+      br_if $folding-inner2
+      global.get $~lib/memory/__stack_pointer
+      i32.const 0
+      i32.store
+      local.get $46
+      i32.const 5
+      i32.shl
+      call $~lib/staticarray/StaticArray<u32>#constructor
+      global.set $assembly/math/sobolDirections
+      loop $for-loop|02
+       local.get $34
+       i32.const 32
+       i32.lt_s
+       if
+        global.get $~lib/memory/__stack_pointer
+        global.get $assembly/math/sobolDirections
+        local.tee $0
+        i32.store
+        local.get $0
+        local.get $34
+        i32.const 1
+        i32.const 31
+        local.get $34
+        i32.sub
+        i32.shl
+        call $~lib/staticarray/StaticArray<u32>#__set
+        local.get $34
+        i32.const 1
+        i32.add
+        local.set $34
+        br $for-loop|02
+       end
+      end
+      i32.const 1
+      local.set $38
+      loop $for-loop|13
+       local.get $38
+       local.get $46
+       i32.lt_s
+       if
+        global.get $~lib/memory/__stack_pointer
+        i32.const 1056
+        i32.store
+        i32.const 31
+        i32.const 1056
+        local.get $38
+        i32.const 1
+        i32.sub
+        call $~lib/staticarray/StaticArray<u16>#__get
+        local.tee $39
+        i32.clz
+        i32.sub
+        local.set $17
+        local.get $38
+        i32.const 5
+        i32.shl
+        local.set $16
+        i32.const 0
+        local.set $34
+        loop $for-loop|24
+         local.get $34
+         i32.const 32
+         i32.lt_s
+         if
+          local.get $17
+          local.get $34
+          i32.gt_s
+          if
+           global.get $~lib/memory/__stack_pointer
+           i32.const 3488
+           i32.store
+           i32.const 3488
+           local.get $34
+           local.get $40
+           i32.add
+           call $~lib/staticarray/StaticArray<u16>#__get
+           i32.const 31
+           local.get $34
+           i32.sub
+           i32.shl
+           local.set $2
+          else
+           global.get $~lib/memory/__stack_pointer
+           global.get $assembly/math/sobolDirections
+           local.tee $0
+           i32.store
+           local.get $0
+           local.get $16
+           local.get $34
+           i32.add
+           local.get $17
+           i32.sub
+           local.tee $2
+           call $~lib/staticarray/StaticArray<u32>#__get
+           local.set $1
+           global.get $~lib/memory/__stack_pointer
+           global.get $assembly/math/sobolDirections
+           local.tee $0
+           i32.store
+           local.get $1
+           local.get $0
+           local.get $2
+           call $~lib/staticarray/StaticArray<u32>#__get
+           local.get $17
+           i32.shr_u
+           i32.xor
+           local.set $2
+           i32.const 1
+           local.set $127
+           loop $for-loop|35
+            local.get $17
+            local.get $127
+            i32.gt_s
+            if
+             local.get $39
+             local.get $17
+             local.get $127
+             i32.sub
+             i32.shr_u
+             i32.const 1
+             i32.and
+             if
+              global.get $~lib/memory/__stack_pointer
+              global.get $assembly/math/sobolDirections
+              local.tee $0
+              i32.store
+              local.get $0
+              local.get $16
+              local.get $34
+              i32.add
+              local.get $127
+              i32.sub
+              call $~lib/staticarray/StaticArray<u32>#__get
+              local.get $2
+              i32.xor
+              local.set $2
+             end
+             local.get $127
+             i32.const 1
+             i32.add
+             local.set $127
+             br $for-loop|35
+            end
+           end
+          end
+          global.get $~lib/memory/__stack_pointer
+          global.get $assembly/math/sobolDirections
+          local.tee $0
+          i32.store
+          local.get $0
+          local.get $16
+          local.get $34
+          i32.add
+          local.get $2
+          call $~lib/staticarray/StaticArray<u32>#__set
+          local.get $34
+          i32.const 1
+          i32.add
+          local.set $34
+          br $for-loop|24
+         end
+        end
+        local.get $17
+        local.get $40
+        i32.add
+        local.set $40
+        local.get $38
+        i32.const 1
+        i32.add
+        local.set $38
+        br $for-loop|13
+       end
+      end
+      local.get $46
+      global.set $assembly/math/sobolDimensions
+      global.get $~lib/memory/__stack_pointer
+      i32.const 4
+      i32.add
+      global.set $~lib/memory/__stack_pointer
+     end
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/math/bridgeMonth
+     local.tee $0
+     i32.store
+     local.get $46
+     local.get $0
+     i32.const 20
+     i32.sub
+     i32.load offset=16
+     i32.const 2
+     i32.shr_u
+     i32.ne
+     if
+      local.get $46
+      call $assembly/math/buildBrownianBridge
+     end
+     local.get $46
+     call $~lib/staticarray/StaticArray<u32>#constructor
+     global.set $assembly/math/sobolPoint
+     local.get $46
+     call $~lib/staticarray/StaticArray<u32>#constructor
+     global.set $assembly/math/sobolShift
+     local.get $46
+     call $~lib/staticarray/StaticArray<f64>#constructor
+     global.set $assembly/math/sobolShocks
+     loop $for-loop|026
+      local.get $15
+      local.get $46
+      i32.lt_s
+      if
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/math/sobolShift
+       local.tee $0
+       i32.store
+       local.get $0
+       local.get $15
+       local.get $15
+       i32.const -1640531527
+       i32.mul
+       i32.const 2135587861
+       i32.add
+       local.get $84
+       i32.const -1
+       i32.xor
+       i32.xor
+       local.tee $0
+       local.get $0
+       i32.const 16
+       i32.shr_u
+       i32.xor
+       i32.const -2048144789
+       i32.mul
+       local.tee $0
+       local.get $0
+       i32.const 13
+       i32.shr_u
+       i32.xor
+       i32.const -1028477387
+       i32.mul
+       local.tee $0
+       local.get $0
+       i32.const 16
+       i32.shr_u
+       i32.xor
+       call $~lib/staticarray/StaticArray<u32>#__set
+       local.get $15
+       i32.const 1
+       i32.add
+       local.set $15
+       br $for-loop|026
+      end
+     end
+     i32.const 0
+     global.set $assembly/math/sobolIndex
+     global.get $~lib/memory/__stack_pointer
+     i32.const 4
+     i32.add
+     global.set $~lib/memory/__stack_pointer
+     global.get $~lib/memory/__stack_pointer
+     i32.const 4
+     i32.sub
+     global.set $~lib/memory/__stack_pointer
+     global.get $~lib/memory/__stack_pointer
+     i32.const 43600
+     i32.lt_s
+     br_if $folding-inner2
+     global.get $~lib/memory/__stack_pointer
+     i32.const 0
+     i32.store
+     local.get $118
+     i32.const 1
+     i32.shr_s
+     local.get $118
+     local.get $32
+     select
+     local.tee $17
+     if (result i32)
+      local.get $17
+      i32.const 1
+      i32.sub
+      local.tee $0
+      i32.const 1
+      i32.shr_u
+      local.get $0
+      i32.xor
+     else
+      i32.const 0
+     end
+     local.set $16
+     i32.const 0
+     local.set $15
+     loop $for-loop|03
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/math/sobolPoint
+      local.tee $0
+      i32.store
+      local.get $15
+      local.get $0
+      i32.const 20
+      i32.sub
+      i32.load offset=16
+      i32.const 2
+      i32.shr_u
+      i32.lt_s
+      if
+       i32.const 0
+       local.set $1
+       i32.const 0
+       local.set $0
+       loop $for-loop|15
+        local.get $0
+        i32.const 32
+        i32.lt_s
+        if
+         local.get $16
          local.get $0
-         i32.const 8
-         i32.sub
-         i32.load
-         br_table $~lib/object/Object $~lib/arraybuffer/ArrayBuffer $~lib/string/String $~lib/arraybuffer/ArrayBufferView $~lib/staticarray/StaticArray<f64> $~lib/function/Function<%28f64%2Cf64%29=>i32> $invalid
+         i32.shr_u
+         i32.const 1
+         i32.and
+         if
+          global.get $~lib/memory/__stack_pointer
+          global.get $assembly/math/sobolDirections
+          local.tee $2
+          i32.store
+          local.get $2
+          local.get $15
+          i32.const 5
+          i32.shl
+          local.get $0
+          i32.add
+          call $~lib/staticarray/StaticArray<u32>#__get
+          local.get $1
+          i32.xor
+          local.set $1
+         end
+         local.get $0
+         i32.const 1
+         i32.add
+         local.set $0
+         br $for-loop|15
         end
-        return
        end
-       return
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/math/sobolPoint
+       local.tee $0
+       i32.store
+       local.get $0
+       local.get $15
+       local.get $1
+       call $~lib/staticarray/StaticArray<u32>#__set
+       local.get $15
+       i32.const 1
+       i32.add
+       local.set $15
+       br $for-loop|03
       end
-      return
-     end
-     local.get $0
-     i32.load
-     local.tee $0
-     if
-      local.get $0
-      call $~lib/rt/itcms/__visit
      end
-     return
-    end
-    return
-   end
-   global.get $~lib/memory/__stack_pointer
-   i32.const 4
-   i32.sub
-   global.set $~lib/memory/__stack_pointer
-   global.get $~lib/memory/__stack_pointer
-   i32.const 12060
-   i32.lt_s
-   if
-    i32.const 44848
-    i32.const 44896
-    i32.const 1
-    i32.const 1
-    call $~lib/builtins/abort
-    unreachable
-   end
-   global.get $~lib/memory/__stack_pointer
-   i32.const 0
-   i32.store
-   global.get $~lib/memory/__stack_pointer
-   local.get $0
-   i32.store
-   local.get $0
-   i32.load offset=4
-   call $~lib/rt/itcms/__visit
-   global.get $~lib/memory/__stack_pointer
-   i32.const 4
-   i32.add
-   global.set $~lib/memory/__stack_pointer
-   return
-  end
-  unreachable
- )
- (func $~start
-  memory.size
-  i32.const 16
-  i32.shl
-  i32.const 44828
-  i32.sub
-  i32.const 1
-  i32.shr_u
-  global.set $~lib/rt/itcms/threshold
-  i32.const 1284
-  i32.const 1280
-  i32.store
-  i32.const 1288
-  i32.const 1280
-  i32.store
-  i32.const 1280
-  global.set $~lib/rt/itcms/pinSpace
-  i32.const 1316
-  i32.const 1312
-  i32.store
-  i32.const 1320
-  i32.const 1312
-  i32.store
-  i32.const 1312
-  global.set $~lib/rt/itcms/toSpace
-  i32.const 1460
-  i32.const 1456
-  i32.store
-  i32.const 1464
-  i32.const 1456
-  i32.store
-  i32.const 1456
-  global.set $~lib/rt/itcms/fromSpace
-  i32.const 20
-  call $~lib/staticarray/StaticArray<f64>#constructor
-  global.set $assembly/index/inputBuffer
-  i32.const 1000000
-  call $~lib/staticarray/StaticArray<f64>#constructor
-  global.set $assembly/index/outputBuffer
- )
- (func $~lib/staticarray/StaticArray<f64>#__get (param $0 i32) (param $1 i32) (result f64)
-  (local $2 f64)
-  global.get $~lib/memory/__stack_pointer
-  i32.const 4
-  i32.sub
-  global.set $~lib/memory/__stack_pointer
-  global.get $~lib/memory/__stack_pointer
-  i32.const 12060
-  i32.lt_s
-  if
-   i32.const 44848
-   i32.const 44896
-   i32.const 1
-   i32.const 1
-   call $~lib/builtins/abort
-   unreachable
-  end
-  global.get $~lib/memory/__stack_pointer
-  i32.const 0
-  i32.store
-  global.get $~lib/memory/__stack_pointer
-  local.get $0
-  i32.store
-  local.get $1
-  local.get $0
-  i32.const 20
-  i32.sub
-  i32.load offset=16
-  i32.const 3
-  i32.shr_u
-  i32.ge_u
-  if
-   i32.const 1360
-   i32.const 1104
-   i32.const 78
-   i32.const 41
-   call $~lib/builtins/abort
-   unreachable
-  end
-  local.get $0
-  local.get $1
-  i32.const 3
-  i32.shl
-  i32.add
-  f64.load
-  local.set $2
-  global.get $~lib/memory/__stack_pointer
-  i32.const 4
-  i32.add
-  global.set $~lib/memory/__stack_pointer
-  local.get $2
- )
- (func $~lib/staticarray/StaticArray<f64>#__set (param $0 i32) (param $1 i32) (param $2 f64)
-  global.get $~lib/memory/__stack_pointer
-  i32.const 4
-  i32.sub
-  global.set $~lib/memory/__stack_pointer
-  global.get $~lib/memory/__stack_pointer
-  i32.const 12060
-  i32.lt_s
-  if
-   i32.const 44848
-   i32.const 44896
-   i32.const 1
-   i32.const 1
-   call $~lib/builtins/abort
-   unreachable
-  end
-  global.get $~lib/memory/__stack_pointer
-  i32.const 0
-  i32.store
-  global.get $~lib/memory/__stack_pointer
-  local.get $0
-  i32.store
-  local.get $1
-  local.get $0
-  i32.const 20
-  i32.sub
-  i32.load offset=16
-  i32.const 3
-  i32.shr_u
-  i32.ge_u
-  if
-   i32.const 1360
-   i32.const 1104
-   i32.const 93
-   i32.const 41
-   call $~lib/builtins/abort
-   unreachable
-  end
-  global.get $~lib/memory/__stack_pointer
-  local.get $0
-  i32.store
-  local.get $0
-  local.get $1
-  i32.const 3
-  i32.shl
-  i32.add
-  local.get $2
-  f64.store
-  global.get $~lib/memory/__stack_pointer
-  i32.const 4
-  i32.add
-  global.set $~lib/memory/__stack_pointer
- )
- (func $~lib/util/sort/SORT<f64> (param $0 i32) (param $1 i32)
-  (local $2 i32)
-  (local $3 i32)
-  (local $4 i32)
-  (local $5 i32)
-  (local $6 i32)
-  (local $7 i32)
-  (local $8 f64)
-  (local $9 i32)
-  (local $10 i32)
-  (local $11 i32)
-  (local $12 i32)
-  (local $13 i64)
-  (local $14 i32)
-  (local $15 i32)
-  (local $16 f64)
-  global.get $~lib/memory/__stack_pointer
-  i32.const 4
-  i32.sub
-  global.set $~lib/memory/__stack_pointer
-  global.get $~lib/memory/__stack_pointer
-  i32.const 12060
-  i32.lt_s
-  if
-   i32.const 44848
-   i32.const 44896
-   i32.const 1
-   i32.const 1
-   call $~lib/builtins/abort
-   unreachable
-  end
-  global.get $~lib/memory/__stack_pointer
-  i32.const 0
-  i32.store
-  block $folding-inner0
-   local.get $1
-   i32.const 48
-   i32.le_s
-   if
-    local.get $1
+     local.get $17
+     global.set $assembly/math/sobolIndex
+     global.get $~lib/memory/__stack_pointer
+     i32.const 4
+     i32.add
+     global.set $~lib/memory/__stack_pointer
+     local.get $118
+     i32.const 1
+     i32.and
+     local.get $32
+     i32.and
+     if
+      call $assembly/math/nextSobolPoint
+     end
+    end
+    global.get $~lib/memory/__stack_pointer
+    local.get $35
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $91
+    i32.store offset=60
+    global.get $~lib/memory/__stack_pointer
+    local.get $35
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $90
+    i32.store offset=64
+    global.get $~lib/memory/__stack_pointer
+    local.get $46
     i32.const 1
-    i32.le_s
-    br_if $folding-inner0
-    block $break|0
-     block $case1|0
+    i32.add
+    call $~lib/staticarray/StaticArray<i32>#constructor
+    local.tee $105
+    i32.store offset=68
+    global.get $~lib/memory/__stack_pointer
+    local.get $35
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $104
+    i32.store offset=72
+    global.get $~lib/memory/__stack_pointer
+    local.get $35
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $103
+    i32.store offset=76
+    global.get $~lib/memory/__stack_pointer
+    local.get $35
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $102
+    i32.store offset=80
+    global.get $~lib/memory/__stack_pointer
+    local.get $35
+    i32.const 0
+    local.get $109
+    i32.const 1
+    i32.eq
+    select
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $89
+    i32.store offset=84
+    global.get $~lib/memory/__stack_pointer
+    local.get $35
+    i32.const 0
+    local.get $95
+    select
+    call $~lib/staticarray/StaticArray<f64>#constructor
+    local.tee $88
+    i32.store offset=88
+    loop $while-continue|6
+     local.get $66
+     i32.const 0
+     i32.gt_s
+     if (result i32)
+      local.get $13
+      local.get $66
+      i32.add
+      local.tee $0
+      local.get $35
+      local.get $0
+      local.get $35
+      i32.lt_s
+      select
+     else
+      local.get $35
+     end
+     local.set $17
+     local.get $13
+     local.set $34
+     loop $for-loop|7
+      local.get $17
+      local.get $34
+      i32.gt_s
+      if
+       block $for-break7
+        local.get $34
+        local.get $118
+        i32.add
+        local.tee $15
+        i32.const 1
+        i32.and
+        local.get $32
+        local.get $32
+        select
+        local.set $40
+        local.get $20
+        if
+         local.get $84
+         local.get $15
+         i32.const 1
+         i32.shr_s
+         local.get $15
+         local.get $32
+         select
+         i32.const -1640531527
+         i32.mul
+         i32.const 2135587861
+         i32.add
+         i32.xor
+         local.tee $0
+         local.get $0
+         i32.const 16
+         i32.shr_u
+         i32.xor
+         i32.const -2048144789
+         i32.mul
+         local.tee $0
+         local.get $0
+         i32.const 13
+         i32.shr_u
+         i32.xor
+         i32.const -1028477387
+         i32.mul
+         local.tee $0
+         local.get $0
+         i32.const 16
+         i32.shr_u
+         i32.xor
+         call $assembly/math/seedRandom
+         local.get $40
+         i32.const 0
+         i32.ne
+         global.set $assembly/math/mirrorNormals
+        end
+        local.get $94
+        if (result i32)
+         local.get $15
+         i32.const 1
+         i32.and
+         i32.eqz
+         local.get $32
+         i32.eqz
+         i32.or
+        else
+         i32.const 0
+        end
+        if
+         call $assembly/math/nextSobolPoint
+        end
+        local.get $25
+        f64.const 12
+        f64.mul
+        local.set $87
+        local.get $25
+        local.set $4
+        local.get $33
+        local.set $23
+        f64.const 0
+        local.set $9
+        global.get $~lib/memory/__stack_pointer
+        local.get $45
+        i32.store
+        local.get $45
+        i32.const 0
+        call $~lib/staticarray/StaticArray<f64>#__get
+        local.tee $121
+        local.set $126
+        i32.const 0
+        local.set $42
+        local.get $24
+        local.set $29
+        f64.const 0
+        local.set $86
+        i32.const -1
+        local.set $1
+        f64.const 0
+        local.set $129
+        f64.const 0
+        local.set $3
+        f64.const 0
+        local.set $101
+        f64.const 0
+        local.set $8
+        local.get $121
+        local.get $11
+        local.tee $5
+        f64.sub
+        local.set $28
+        f64.const 0
+        local.set $10
+        local.get $5
+        local.get $121
+        f64.div
+        local.set $26
+        i32.const 0
+        local.set $99
+        i32.const 0
+        local.set $125
+        i32.const 0
+        local.set $2
+        loop $for-loop|8
+         local.get $2
+         local.get $124
+         i32.lt_s
+         if
+          global.get $~lib/memory/__stack_pointer
+          local.get $120
+          i32.store
+          global.get $~lib/memory/__stack_pointer
+          local.get $113
+          i32.store offset=24
+          local.get $120
+          local.get $2
+          local.get $113
+          local.get $2
+          call $~lib/staticarray/StaticArray<f64>#__get
+          call $~lib/staticarray/StaticArray<f64>#__set
+          local.get $2
+          i32.const 1
+          i32.add
+          local.set $2
+          br $for-loop|8
+         end
+        end
+        i32.const -1
+        local.get $15
+        local.get $46
+        i32.const 1
+        i32.add
+        i32.mul
+        local.get $15
+        local.get $106
+        i32.ge_s
+        select
+        local.tee $39
+        i32.const 0
+        i32.ge_s
+        if
+         global.get $~lib/memory/__stack_pointer
+         local.get $117
+         i32.store
+         local.get $117
+         local.get $39
+         local.get $5
+         call $~lib/staticarray/StaticArray<f64>#__set
+         global.get $~lib/memory/__stack_pointer
+         local.get $112
+         i32.store
+         local.get $112
+         local.get $39
+         local.get $121
+         call $~lib/staticarray/StaticArray<f64>#__set
+         global.get $~lib/memory/__stack_pointer
+         local.get $111
+         i32.store
+         local.get $111
+         local.get $39
+         local.get $121
+         local.get $5
+         f64.sub
+         call $~lib/staticarray/StaticArray<f64>#__set
+         global.get $~lib/memory/__stack_pointer
+         local.get $110
+         i32.store
+         local.get $110
+         local.get $39
+         local.get $5
+         local.get $121
+         f64.div
+         call $~lib/staticarray/StaticArray<f64>#__set
+        end
+        i32.const 0
+        local.set $41
+        i32.const 0
+        local.set $38
+        i32.const 0
+        local.set $2
+        local.get $116
+        i32.const 3
+        i32.eq
+        if
+         call $assembly/math/nextRandom
+         local.set $36
+         f64.const 0
+         local.set $14
+         local.get $115
+         i32.const 1
+         i32.sub
+         local.set $2
+         i32.const 0
+         local.set $0
+         loop $for-loop|9
+          local.get $0
+          local.get $115
+          i32.const 1
+          i32.sub
+          i32.lt_s
+          if
+           block $for-break9
+            global.get $~lib/memory/__stack_pointer
+            local.get $18
+            i32.store
+            local.get $36
+            local.get $14
+            local.get $18
+            local.get $0
+            call $~lib/staticarray/StaticArray<f64>#__get
+            f64.add
+            local.tee $14
+            f64.lt
+            if
+             local.get $0
+             local.set $2
+             br $for-break9
+            end
+            local.get $0
+            i32.const 1
+            i32.add
+            local.set $0
+            br $for-loop|9
+           end
+          end
+         end
+        end
+        i32.const 1
+        local.set $0
+        loop $for-loop|10
+         local.get $0
+         local.get $46
+         i32.le_s
+         if
+          block $for-break10
+           local.get $27
+           local.set $36
+           local.get $6
+           local.set $14
+           local.get $124
+           i32.const 0
+           i32.gt_s
+           if
+            i32.const 0
+            local.set $127
+            loop $for-loop|113
+             local.get $124
+             local.get $127
+             i32.gt_s
+             if
+              global.get $~lib/memory/__stack_pointer
+              local.get $107
+              i32.store
+              local.get $107
+              local.get $127
+              call $assembly/math/randn
+              call $~lib/staticarray/StaticArray<f64>#__set
+              local.get $127
+              i32.const 1
+              i32.add
+              local.set $127
+              br $for-loop|113
+             end
+            end
+            f64.const 0
+            local.set $122
+            i32.const 0
+            local.set $127
+            loop $for-loop|126
+             local.get $124
+             local.get $127
+             i32.gt_s
+             if
+              f64.const 0
+              local.set $37
+              i32.const 0
+              local.set $15
+              loop $for-loop|137
+               local.get $15
+               local.get $127
+               i32.le_s
+               if
+                global.get $~lib/memory/__stack_pointer
+                local.get $30
+                i32.store
+                local.get $30
+                local.get $124
+                local.get $127
+                i32.mul
+                local.get $15
+                i32.add
+                call $~lib/staticarray/StaticArray<f64>#__get
+                local.set $43
+                global.get $~lib/memory/__stack_pointer
+                local.get $107
+                i32.store
+                local.get $37
+                local.get $43
+                local.get $107
+                local.get $15
+                call $~lib/staticarray/StaticArray<f64>#__get
+                f64.mul
+                f64.add
+                local.set $37
+                local.get $15
+                i32.const 1
+                i32.add
+                local.set $15
+                br $for-loop|137
+               end
+              end
+              global.get $~lib/memory/__stack_pointer
+              local.get $120
+              i32.store
+              global.get $~lib/memory/__stack_pointer
+              local.get $120
+              i32.store offset=24
+              local.get $120
+              local.get $127
+              call $~lib/staticarray/StaticArray<f64>#__get
+              local.set $44
+              global.get $~lib/memory/__stack_pointer
+              local.get $93
+              i32.store offset=24
+              local.get $93
+              local.get $127
+              call $~lib/staticarray/StaticArray<f64>#__get
+              local.set $43
+              global.get $~lib/memory/__stack_pointer
+              local.get $92
+              i32.store offset=24
+              local.get $120
+              local.get $127
+              local.get $44
+              local.get $43
+              local.get $92
+              local.get $127
+              call $~lib/staticarray/StaticArray<f64>#__get
+              local.get $37
+              f64.mul
+              f64.add
+              call $~lib/math/NativeMath.exp
+              f64.mul
+              call $~lib/staticarray/StaticArray<f64>#__set
+              global.get $~lib/memory/__stack_pointer
+              local.get $120
+              i32.store
+              local.get $122
+              local.get $120
+              local.get $127
+              call $~lib/staticarray/StaticArray<f64>#__get
+              f64.add
+              local.set $122
+              local.get $127
+              i32.const 1
+              i32.add
+              local.set $127
+              br $for-loop|126
+             end
+            end
+            i32.const 0
+            local.set $127
+            loop $for-loop|14
+             local.get $124
+             local.get $127
+             i32.gt_s
+             if
+              global.get $~lib/memory/__stack_pointer
+              local.get $120
+              i32.store
+              global.get $~lib/memory/__stack_pointer
+              local.get $120
+              i32.store offset=24
+              local.get $120
+              local.get $127
+              local.get $120
+              local.get $127
+              call $~lib/staticarray/StaticArray<f64>#__get
+              local.get $122
+              f64.div
+              call $~lib/staticarray/StaticArray<f64>#__set
+              local.get $127
+              i32.const 1
+              i32.add
+              local.set $127
+              br $for-loop|14
+             end
+            end
+           else
+            local.get $116
+            i32.const 4
+            i32.eq
+            if
+             local.get $38
+             if (result i32)
+              local.get $38
+             else
+              local.get $108
+              i32.const 1
+              i32.sub
+              call $assembly/math/nextRandom
+              local.get $108
+              f64.convert_i32_s
+              f64.mul
+              i32.trunc_sat_f64_s
+              local.tee $15
+              i32.sub
+              local.get $15
+              local.get $40
+              select
+              local.set $41
+              local.get $128
+             end
+             local.set $15
+             global.get $~lib/memory/__stack_pointer
+             global.get $assembly/index/returnSeries
+             local.tee $16
+             i32.store
+             local.get $16
+             local.get $41
+             call $~lib/staticarray/StaticArray<f64>#__get
+             f64.const 1
+             f64.add
+             local.set $122
+             local.get $41
+             i32.const 1
+             i32.add
+             local.get $108
+             i32.rem_s
+             local.set $41
+             local.get $15
+             i32.const 1
+             i32.sub
+             local.set $38
+            else
+             local.get $116
+             i32.const 3
+             i32.eq
+             if
+              global.get $~lib/memory/__stack_pointer
+              global.get $assembly/index/inputBuffer
+              local.tee $15
+              i32.store
+              local.get $15
+              local.get $2
+              i32.const 20
+              i32.add
+              call $~lib/staticarray/StaticArray<f64>#__get
+              local.set $36
+              global.get $~lib/memory/__stack_pointer
+              global.get $assembly/index/inputBuffer
+              local.tee $15
+              i32.store
+              local.get $36
+              local.get $15
+              local.get $2
+              i32.const 23
+              i32.add
+              call $~lib/staticarray/StaticArray<f64>#__get
+              local.tee $14
+              call $assembly/math/randn
+              call $assembly/math/monthlyReturnFromShock
+              local.set $122
+              local.get $36
+              local.get $14
+              f64.const 0.5
+              f64.mul
+              local.get $14
+              f64.mul
+              f64.sub
+              f64.const 12
+              f64.div
+              local.set $36
+              local.get $14
+              f64.const 0.28867513459481287
+              f64.mul
+              local.set $14
+              global.get $~lib/memory/__stack_pointer
+              i32.const 4
+              i32.sub
+              global.set $~lib/memory/__stack_pointer
+              global.get $~lib/memory/__stack_pointer
+              i32.const 43600
+              i32.lt_s
+              br_if $folding-inner2
+              global.get $~lib/memory/__stack_pointer
+              i32.const 0
+              i32.store
+              local.get $2
+              i32.const 3
+              i32.mul
+              i32.const 26
+              i32.add
+              local.set $16
+              call $assembly/math/nextRandom
+              local.set $43
+              f64.const 0
+              local.set $37
+              i32.const 0
+              local.set $15
+              block $__inlined_func$assembly/index/sampleRegimeTransition$227
+               loop $for-loop|023
+                local.get $15
+                local.get $115
+                i32.const 1
+                i32.sub
+                i32.lt_s
+                if
+                 global.get $~lib/memory/__stack_pointer
+                 global.get $assembly/index/inputBuffer
+                 local.tee $2
+                 i32.store
+                 local.get $43
+                 local.get $37
+                 local.get $2
+                 local.get $15
+                 local.get $16
+                 i32.add
+                 call $~lib/staticarray/StaticArray<f64>#__get
+                 f64.add
+                 local.tee $37
+                 f64.lt
+                 if
+                  global.get $~lib/memory/__stack_pointer
+                  i32.const 4
+                  i32.add
+                  global.set $~lib/memory/__stack_pointer
+                  br $__inlined_func$assembly/index/sampleRegimeTransition$227
+                 end
+                 local.get $15
+                 i32.const 1
+                 i32.add
+                 local.set $15
+                 br $for-loop|023
+                end
+               end
+               global.get $~lib/memory/__stack_pointer
+               i32.const 4
+               i32.add
+               global.set $~lib/memory/__stack_pointer
+               local.get $115
+               i32.const 1
+               i32.sub
+               local.set $15
+              end
+              local.get $15
+              local.set $2
+             else
+              local.get $116
+              i32.const 1
+              i32.eq
+              if (result f64)
+               local.get $97
+               f64.const 0.5
+               f64.mul
+               call $assembly/math/randGamma
+               f64.const 2
+               f64.mul
+               local.set $37
+               local.get $100
+               local.get $119
+               f64.const 0.5
+               f64.mul
+               local.get $119
+               f64.mul
+               f64.sub
+               f64.const 0.08333333333333333
+               f64.mul
+               local.get $119
+               f64.const 0.28867513459481287
+               f64.mul
+               call $assembly/math/randn
+               local.get $37
+               local.get $97
+               f64.div
+               f64.sqrt
+               f64.div
+               local.get $97
+               f64.const -2
+               f64.add
+               local.get $97
+               f64.div
+               f64.sqrt
+               f64.mul
+               f64.mul
+               f64.add
+               call $~lib/math/NativeMath.exp
+              else
+               local.get $116
+               i32.const 2
+               i32.eq
+               if (result f64)
+                local.get $100
+                local.get $119
+                f64.const 0.5
+                f64.mul
+                local.get $119
+                f64.mul
+                f64.sub
+                local.get $72
+                local.get $71
+                local.get $83
+                f64.const 0.5
+                f64.mul
+                local.get $83
+                f64.mul
+                f64.add
+                call $~lib/math/NativeMath.exp
+                f64.const -1
+                f64.add
+                f64.mul
+                f64.sub
+                f64.const 0.08333333333333333
+                f64.mul
+                local.set $44
+                local.get $119
+                f64.const 0.28867513459481287
+                f64.mul
+                call $assembly/math/randn
+                f64.mul
+                local.set $43
+                f64.const 0
+                local.set $122
+                local.get $72
+                f64.const 0.08333333333333333
+                f64.mul
+                local.tee $37
+                f64.const 0
+                f64.le
+                if
+                 i32.const 0
+                 local.set $15
+                else
+                 local.get $37
+                 f64.neg
+                 call $~lib/math/NativeMath.exp
+                 local.set $47
+                 i32.const 0
+                 local.set $15
+                 call $assembly/math/nextRandom
+                 local.set $37
+                 loop $while-continue|0
+                  local.get $37
+                  local.get $47
+                  f64.gt
+                  if
+                   local.get $15
+                   i32.const 1
+                   i32.add
+                   local.set $15
+                   local.get $37
+                   call $assembly/math/nextRandom
+                   f64.mul
+                   local.set $37
+                   br $while-continue|0
+                  end
+                 end
+                end
+                local.get $15
+                local.set $16
+                i32.const 0
+                local.set $15
+                loop $for-loop|036
+                 local.get $15
+                 local.get $16
+                 i32.lt_s
+                 if
+                  local.get $122
+                  local.get $71
+                  local.get $83
+                  call $assembly/math/randn
+                  f64.mul
+                  f64.add
+                  f64.add
+                  local.set $122
+                  local.get $15
+                  i32.const 1
+                  i32.add
+                  local.set $15
+                  br $for-loop|036
+                 end
+                end
+                local.get $44
+                local.get $43
+                f64.add
+                local.get $122
+                f64.add
+                call $~lib/math/NativeMath.exp
+               else
+                local.get $94
+                if (result f64)
+                 global.get $~lib/memory/__stack_pointer
+                 i32.const 4
+                 i32.sub
+                 global.set $~lib/memory/__stack_pointer
+                 global.get $~lib/memory/__stack_pointer
+                 i32.const 43600
+                 i32.lt_s
+                 br_if $folding-inner2
+                 global.get $~lib/memory/__stack_pointer
+                 i32.const 0
+                 i32.store
+                 global.get $~lib/memory/__stack_pointer
+                 global.get $assembly/math/sobolShocks
+                 local.tee $15
+                 i32.store
+                 local.get $15
+                 local.get $0
+                 i32.const 1
+                 i32.sub
+                 call $~lib/staticarray/StaticArray<f64>#__get
+                 local.set $37
+                 global.get $~lib/memory/__stack_pointer
+                 i32.const 4
+                 i32.add
+                 global.set $~lib/memory/__stack_pointer
+                 local.get $100
+                 local.get $119
+                 local.get $37
+                 f64.neg
+                 local.get $37
+                 global.get $assembly/math/mirrorNormals
+                 select
+                 call $assembly/math/monthlyReturnFromShock
+                else
+                 local.get $100
+                 local.get $119
+                 call $assembly/math/randn
+                 call $assembly/math/monthlyReturnFromShock
+                end
+               end
+              end
+              local.set $122
+             end
+            end
+           end
+           local.get $21
+           if (result f64)
+            local.get $124
+            i32.const 0
+            i32.gt_s
+            if (result f64)
+             global.get $~lib/memory/__stack_pointer
+             local.get $107
+             i32.store
+             local.get $107
+             i32.const 0
+             call $~lib/staticarray/StaticArray<f64>#__get
+            else
+             local.get $14
+             f64.const 0
+             f64.le
+             if (result f64)
+              f64.const 0
+             else
+              local.get $122
+              call $~lib/math/NativeMath.log
+              local.get $36
+              f64.sub
+              local.get $14
+              f64.div
+             end
+            end
+           else
+            f64.const 0
+           end
+           local.set $14
+           local.get $82
+           if
+            local.get $87
+            local.get $56
+            local.get $55
+            local.get $87
+            f64.sub
+            f64.mul
+            f64.const 0.08333333333333333
+            f64.mul
+            f64.add
+            local.get $54
+            local.get $87
+            f64.const 0
+            f64.max
+            f64.sqrt
+            f64.const 1
+            local.get $82
+            i32.const 2
+            i32.eq
+            select
+            f64.mul
+            f64.const 0.28867513459481287
+            f64.mul
+            local.get $70
+            local.get $14
+            f64.mul
+            local.get $53
+            call $assembly/math/randn
+            f64.mul
+            f64.add
+            f64.mul
+            f64.add
+            local.tee $87
+            f64.const 0
+            f64.max
+            f64.const 12
+            f64.div
+            local.set $4
+           end
+           local.get $114
+           i32.const 1
+           i32.eq
+           if
+            local.get $9
+            block $__inlined_func$~lib/math/NativeMath.log1p$1 (result f64)
+             f64.const 0
+             local.set $37
+             f64.const 0
+             local.set $36
+             i32.const 1
+             local.set $127
+             local.get $33
+             local.get $81
+             local.get $23
+             local.get $33
+             f64.sub
+             f64.mul
+             f64.add
+             local.get $51
+             local.get $69
+             local.get $14
+             f64.mul
+             local.get $52
+             call $assembly/math/randn
+             f64.mul
+             f64.add
+             f64.mul
+             f64.add
+             local.tee $23
+             f64.const -0.99
+             f64.max
+             local.tee $14
+             i64.reinterpret_f64
+             i64.const 32
+             i64.shr_u
+             i32.wrap_i64
+             local.tee $15
+             i32.const 31
+             i32.shr_u
+             local.get $15
+             i32.const 1071284858
+             i32.lt_u
+             i32.or
+             if
+              local.get $15
+              i32.const -1074790400
+              i32.ge_u
+              if
+               local.get $14
+               f64.const 0
+               f64.div
+               local.get $14
+               f64.const -1
+               f64.eq
+               br_if $__inlined_func$~lib/math/NativeMath.log1p$1
+               drop
+               local.get $14
+               local.get $14
+               f64.sub
+               f64.const 0
+               f64.div
+               br $__inlined_func$~lib/math/NativeMath.log1p$1
+              end
+              local.get $14
+              local.get $15
+              i32.const 1
+              i32.shl
+              i32.const 2034237440
+              i32.lt_u
+              br_if $__inlined_func$~lib/math/NativeMath.log1p$1
+              drop
+              local.get $15
+              i32.const -1076707644
+              i32.le_u
+              if (result f64)
+               i32.const 0
+               local.set $127
+               local.get $14
+              else
+               f64.const 0
+              end
+              local.set $37
+             else
+              local.get $14
+              local.get $15
+              i32.const 2146435072
+              i32.ge_u
+              br_if $__inlined_func$~lib/math/NativeMath.log1p$1
+              drop
+             end
+             local.get $127
+             if (result f64)
+              local.get $14
+              f64.const 1
+              f64.add
+              i64.reinterpret_f64
+              local.tee $65
+              i64.const 32
+              i64.shr_u
+              i32.wrap_i64
+              i32.const 614242
+              i32.add
+              local.tee $15
+              i32.const 20
+              i32.shr_u
+              i32.const 1023
+              i32.sub
+              local.tee $127
+              i32.const 54
+              i32.lt_s
+              if (result f64)
+               f64.const 1
+               local.get $65
+               f64.reinterpret_i64
+               local.tee $9
+               local.get $14
+               f64.sub
+               f64.sub
+               local.get $14
+               local.get $9
+               f64.const -1
+               f64.add
+               f64.sub
+               local.get $127
+               i32.const 2
+               i32.ge_s
+               select
+               local.get $9
+               f64.div
+              else
+               f64.const 0
+              end
+              local.set $36
+              local.get $65
+              i64.const 4294967295
+              i64.and
+              local.get $15
+              i32.const 1048575
+              i32.and
+              i32.const 1072079006
+              i32.add
+              i64.extend_i32_u
+              i64.const 32
+              i64.shl
+              i64.or
+              f64.reinterpret_i64
+              f64.const -1
+              f64.add
+             else
+              local.get $37
+             end
+             local.tee $9
+             local.get $9
+             f64.const 2
+             f64.add
+             f64.div
+             local.tee $37
+             local.get $37
+             f64.mul
+             local.tee $43
+             local.get $43
+             f64.mul
+             local.set $14
+             local.get $37
+             local.get $9
+             f64.const 0.5
+             f64.mul
+             local.get $9
+             f64.mul
+             local.tee $37
+             local.get $43
+             local.get $14
+             local.get $14
+             local.get $14
+             f64.const 0.14798198605116586
+             f64.mul
+             f64.const 0.1818357216161805
+             f64.add
+             f64.mul
+             f64.const 0.2857142874366239
+             f64.add
+             f64.mul
+             f64.const 0.6666666666666735
+             f64.add
+             f64.mul
+             local.get $14
+             local.get $14
+             local.get $14
+             f64.const 0.15313837699209373
+             f64.mul
+             f64.const 0.22222198432149784
+             f64.add
+             f64.mul
+             f64.const 0.3999999999940942
+             f64.add
+             f64.mul
+             f64.add
+             f64.add
+             f64.mul
+             local.get $127
+             f64.convert_i32_s
+             local.tee $14
+             f64.const 1.9082149292705877e-10
+             f64.mul
+             local.get $36
+             f64.add
+             f64.add
+             local.get $37
+             f64.sub
+             local.get $9
+             f64.add
+             local.get $14
+             f64.const 0.6931471803691238
+             f64.mul
+             f64.add
+            end
+            f64.const 12
+            f64.div
+            f64.add
+            local.set $9
+           end
+           local.get $5
+           f64.const 0
+           f64.gt
+           if
+            local.get $5
+            local.get $4
+            f64.mul
+            local.set $14
+            local.get $109
+            i32.const 1
+            i32.eq
+            local.get $67
+            f64.const 0
+            f64.gt
+            i32.and
+            if
+             local.get $8
+             local.get $67
+             local.get $14
+             f64.mul
+             local.get $114
+             local.get $9
+             local.get $33
+             local.get $0
+             call $assembly/index/priceLevel
+             f64.div
+             f64.add
+             local.set $8
+            end
+            local.get $0
+            local.get $46
+            i32.eq
+            local.get $98
+            local.get $14
+            f64.sub
+            local.tee $36
+            local.get $5
+            f64.ge
+            i32.or
+            if (result f64)
+             local.get $31
+             local.get $5
+             local.get $14
+             f64.add
+             f64.sub
+             local.set $14
+             f64.const 0
+            else
+             local.get $31
+             local.get $98
+             f64.sub
+             local.set $14
+             local.get $5
+             local.get $36
+             f64.sub
+            end
+            local.set $5
+           else
+            local.get $31
+            local.set $14
+           end
+           local.get $121
+           local.get $122
+           f64.mul
+           local.set $43
+           local.get $14
+           f64.const 0
+           f64.ge
+           if (result f64)
+            local.get $126
+            local.get $14
+            f64.add
+           else
+            local.get $43
+            f64.const 0
+            f64.gt
+            if (result f64)
+             local.get $14
+             local.get $43
+             f64.div
+             f64.const 1
+             f64.add
+             f64.const 0
+             f64.max
+             local.set $37
+             local.get $109
+             i32.const 1
+             i32.eq
+             if
+              local.get $79
+              local.get $129
+              local.get $14
+              f64.neg
+              local.get $126
+              f64.const 1
+              local.get $37
+              f64.sub
+              f64.mul
+              f64.sub
+              f64.add
+              local.tee $129
+              local.get $3
+              f64.sub
+              f64.mul
+              f64.const 0
+              local.get $3
+              local.get $129
+              f64.lt
+              select
+              local.tee $36
+              f64.const 0
+              f64.gt
+              if
+               local.get $101
+               local.get $36
+               local.get $114
+               local.get $9
+               local.get $33
+               local.get $0
+               call $assembly/index/priceLevel
+               f64.div
+               f64.add
+               local.set $101
+               local.get $129
+               local.set $3
+              end
+             end
+             local.get $126
+             local.get $37
+             f64.mul
+            else
+             local.get $126
+            end
+           end
+           local.set $126
+           local.get $43
+           local.get $14
+           f64.add
+           local.set $121
+           local.get $124
+           i32.const 0
+           i32.gt_s
+           if
+            local.get $121
+            f64.const 0
+            f64.gt
+            local.get $14
+            f64.const 0
+            f64.gt
+            i32.and
+            if
+             i32.const 0
+             local.set $127
+             loop $for-loop|157
+              local.get $124
+              local.get $127
+              i32.gt_s
+              if
+               global.get $~lib/memory/__stack_pointer
+               local.get $120
+               i32.store
+               global.get $~lib/memory/__stack_pointer
+               local.get $120
+               i32.store offset=24
+               local.get $120
+               local.get $127
+               call $~lib/staticarray/StaticArray<f64>#__get
+               local.get $43
+               f64.mul
+               local.set $36
+               global.get $~lib/memory/__stack_pointer
+               local.get $113
+               i32.store offset=24
+               local.get $120
+               local.get $127
+               local.get $36
+               local.get $113
+               local.get $127
+               call $~lib/staticarray/StaticArray<f64>#__get
+               local.get $14
+               f64.mul
+               f64.add
+               local.get $121
+               f64.div
+               call $~lib/staticarray/StaticArray<f64>#__set
+               local.get $127
+               i32.const 1
+               i32.add
+               local.set $127
+               br $for-loop|157
+              end
+             end
+            end
+            local.get $68
+            i32.const 0
+            i32.gt_s
+            if (result i32)
+             local.get $0
+             local.get $68
+             i32.rem_s
+            else
+             i32.const 1
+            end
+            i32.eqz
+            if
+             i32.const 0
+             local.set $127
+             loop $for-loop|16
+              local.get $124
+              local.get $127
+              i32.gt_s
+              if
+               global.get $~lib/memory/__stack_pointer
+               local.get $120
+               i32.store
+               global.get $~lib/memory/__stack_pointer
+               local.get $113
+               i32.store offset=24
+               local.get $120
+               local.get $127
+               local.get $113
+               local.get $127
+               call $~lib/staticarray/StaticArray<f64>#__get
+               call $~lib/staticarray/StaticArray<f64>#__set
+               local.get $127
+               i32.const 1
+               i32.add
+               local.set $127
+               br $for-loop|16
+              end
+             end
+            end
+           end
+           local.get $26
+           local.get $5
+           local.get $121
+           f64.div
+           local.tee $14
+           f64.lt
+           if
+            local.get $14
+            local.set $26
+           end
+           local.get $99
+           i32.const 1
+           i32.add
+           local.get $99
+           local.get $5
+           f64.const 0
+           f64.gt
+           local.tee $15
+           local.get $14
+           local.get $49
+           f64.gt
+           i32.and
+           select
+           local.set $99
+           local.get $14
+           local.get $85
+           f64.gt
+           local.get $15
+           local.get $15
+           select
+           local.tee $15
+           if
+            local.get $1
+            i32.const 0
+            i32.lt_s
+            if
+             local.get $64
+             i32.const 1
+             i32.add
+             local.set $64
+             local.get $0
+             local.set $1
+            end
+            local.get $29
+            f64.const 0
+            f64.gt
+            if
+             local.get $29
+             local.get $5
+             local.get $5
+             local.get $85
+             local.get $121
+             f64.mul
+             f64.sub
+             f64.min
+             local.tee $43
+             local.get $29
+             f64.min
+             local.tee $37
+             f64.sub
+             local.set $29
+             local.get $5
+             local.get $37
+             f64.sub
+             local.set $5
+             local.get $86
+             local.get $37
+             f64.add
+             local.set $86
+             local.get $63
+             local.get $37
+             local.get $114
+             local.get $9
+             local.get $33
+             local.get $0
+             call $assembly/index/priceLevel
+             f64.div
+             f64.const 100
+             f64.mul
+             local.tee $36
+             f64.ceil
+             local.tee $14
+             local.get $14
+             f64.const -1
+             f64.add
+             local.get $14
+             f64.const -0.5
+             f64.add
+             local.get $36
+             f64.le
+             select
+             i64.trunc_sat_f64_s
+             i64.add
+             local.set $63
+             local.get $37
+             local.get $43
+             f64.lt
+             local.set $15
+            end
+           end
+           local.get $1
+           i32.const 0
+           i32.ge_s
+           if
+            local.get $15
+            if
+             local.get $0
+             local.get $1
+             i32.sub
+             local.get $50
+             i32.ge_s
+             if
+              i32.const -1
+              local.set $1
+              local.get $80
+              i32.const 1
+              i32.ne
+              local.get $5
+              local.get $121
+              f64.ge
+              i32.or
+              if
+               i32.const 1
+               local.set $125
+               global.get $~lib/memory/__stack_pointer
+               local.get $105
+               i32.store
+               global.get $~lib/memory/__stack_pointer
+               local.get $105
+               i32.store offset=24
+               local.get $105
+               local.get $0
+               local.get $105
+               local.get $0
+               call $~lib/staticarray/StaticArray<i32>#__get
+               i32.const 1
+               i32.add
+               call $~lib/staticarray/StaticArray<u32>#__set
+               local.get $39
+               i32.const 0
+               i32.ge_s
+               if
+                loop $for-loop|17
+                 local.get $0
+                 local.get $46
+                 i32.le_s
+                 if
+                  global.get $~lib/memory/__stack_pointer
+                  local.get $112
+                  i32.store
+                  local.get $112
+                  local.get $0
+                  local.get $39
+                  i32.add
+                  local.tee $1
+                  f64.const 0
+                  call $~lib/staticarray/StaticArray<f64>#__set
+                  global.get $~lib/memory/__stack_pointer
+                  local.get $111
+                  i32.store
+                  local.get $111
+                  local.get $1
+                  f64.const 0
+                  call $~lib/staticarray/StaticArray<f64>#__set
+                  local.get $0
+                  i32.const 1
+                  i32.add
+                  local.set $0
+                  br $for-loop|17
+                 end
+                end
+               end
+               br $for-break10
+              end
+              local.get $126
+              local.get $5
+              local.get $96
+              local.get $121
+              f64.mul
+              f64.sub
+              f64.const 1
+              local.get $96
+              f64.sub
+              f64.div
+              local.tee $44
+              local.get $121
+              f64.div
+              f64.mul
+              local.set $43
+              local.get $62
+              local.get $44
+              local.get $114
+              local.get $9
+              local.get $33
+              local.get $0
+              call $assembly/index/priceLevel
+              local.tee $37
+              f64.div
+              f64.const 100
+              f64.mul
+              local.tee $36
+              f64.ceil
+              local.tee $14
+              local.get $14
+              f64.const -1
+              f64.add
+              local.get $14
+              f64.const -0.5
+              f64.add
+              local.get $36
+              f64.le
+              select
+              i64.trunc_sat_f64_s
+              i64.add
+              local.set $62
+              local.get $43
+              local.get $44
+              f64.gt
+              if
+               local.get $7
+               local.get $43
+               local.get $44
+               f64.sub
+               local.get $37
+               f64.div
+               f64.const 100
+               f64.mul
+               local.tee $36
+               f64.ceil
+               local.tee $14
+               local.get $14
+               f64.const -1
+               f64.add
+               local.get $14
+               f64.const -0.5
+               f64.add
+               local.get $36
+               f64.le
+               select
+               i64.trunc_sat_f64_s
+               i64.add
+               local.set $7
+              end
+              local.get $109
+              i32.const 1
+              i32.eq
+              if
+               local.get $79
+               local.get $129
+               local.get $44
+               local.get $43
+               f64.sub
+               f64.add
+               local.tee $129
+               local.get $3
+               f64.sub
+               f64.mul
+               f64.const 0
+               local.get $3
+               local.get $129
+               f64.lt
+               select
+               local.tee $14
+               f64.const 0
+               f64.gt
+               if
+                local.get $101
+                local.get $14
+                local.get $37
+                f64.div
+                f64.add
+                local.set $101
+                local.get $129
+                local.set $3
+               end
+              end
+              local.get $121
+              local.get $44
+              f64.sub
+              local.set $121
+              local.get $61
+              i32.const 1
+              i32.add
+              local.set $61
+              local.get $42
+              i32.const 1
+              i32.add
+              local.set $42
+              local.get $126
+              local.get $43
+              f64.sub
+              local.set $126
+              local.get $5
+              local.get $44
+              f64.sub
+              local.set $5
+             end
+            else
+             i32.const -1
+             local.set $1
+             local.get $60
+             i32.const 1
+             i32.add
+             local.set $60
+            end
+           end
+           local.get $121
+           local.get $5
+           f64.sub
+           local.tee $14
+           local.get $28
+           f64.gt
+           if
+            local.get $14
+            local.set $28
+           else
+            local.get $28
+            f64.const 0
+            f64.gt
+            if
+             local.get $28
+             local.get $14
+             f64.sub
+             local.get $28
+             f64.div
+             f64.const 1
+             f64.min
+             local.tee $14
+             local.get $10
+             f64.gt
+             if
+              local.get $14
+              local.set $10
+             end
+            end
+           end
+           local.get $39
+           i32.const 0
+           i32.ge_s
+           if
+            local.get $114
+            local.get $9
+            local.get $33
+            local.get $0
+            call $assembly/index/priceLevel
+            local.set $14
+            global.get $~lib/memory/__stack_pointer
+            local.get $117
+            i32.store
+            local.get $117
+            local.get $0
+            local.get $39
+            i32.add
+            local.tee $15
+            local.get $5
+            call $~lib/staticarray/StaticArray<f64>#__set
+            global.get $~lib/memory/__stack_pointer
+            local.get $112
+            i32.store
+            local.get $112
+            local.get $15
+            local.get $121
+            local.get $14
+            f64.div
+            call $~lib/staticarray/StaticArray<f64>#__set
+            global.get $~lib/memory/__stack_pointer
+            local.get $111
+            i32.store
+            local.get $111
+            local.get $15
+            local.get $121
+            local.get $5
+            f64.sub
+            local.get $14
+            f64.div
+            call $~lib/staticarray/StaticArray<f64>#__set
+            global.get $~lib/memory/__stack_pointer
+            local.get $110
+            i32.store
+            local.get $110
+            local.get $15
+            local.get $5
+            local.get $121
+            f64.div
+            call $~lib/staticarray/StaticArray<f64>#__set
+           end
+           local.get $0
+           i32.const 1
+           i32.add
+           local.set $0
+           br $for-loop|10
+          end
+         end
+        end
+        local.get $59
+        local.get $101
+        f64.const 100
+        f64.mul
+        local.tee $14
+        f64.ceil
+        local.tee $4
+        local.get $4
+        f64.const -1
+        f64.add
+        local.get $4
+        f64.const -0.5
+        f64.add
+        local.get $14
+        f64.le
+        select
+        i64.trunc_sat_f64_s
+        i64.add
+        local.set $59
+        local.get $58
+        local.get $8
+        f64.const 100
+        f64.mul
+        local.tee $14
+        f64.ceil
+        local.tee $4
+        local.get $4
+        f64.const -1
+        f64.add
+        local.get $4
+        f64.const -0.5
+        f64.add
+        local.get $14
+        f64.le
+        select
+        i64.trunc_sat_f64_s
+        i64.add
+        local.set $58
+        local.get $77
+        i32.const 1
+        i32.add
+        local.get $77
+        local.get $42
+        i32.const 0
+        i32.gt_s
+        select
+        local.set $77
+        local.get $76
+        i32.const 1
+        i32.add
+        local.get $76
+        local.get $86
+        f64.const 0
+        f64.gt
+        select
+        local.set $76
+        local.get $75
+        i32.const 1
+        i32.add
+        local.get $75
+        local.get $29
+        f64.const 0
+        f64.le
+        local.get $24
+        f64.const 0
+        f64.gt
+        i32.and
+        select
+        local.set $75
+        local.get $125
+        i32.eqz
+        if
+         local.get $121
+         local.get $5
+         f64.sub
+         local.get $86
+         f64.sub
+         local.get $114
+         i32.const 1
+         i32.eq
+         if (result f64)
+          local.get $9
+          call $~lib/math/NativeMath.exp
+         else
+          local.get $22
+         end
+         local.tee $4
+         f64.div
+         local.set $9
+         global.get $~lib/memory/__stack_pointer
+         local.get $91
+         i32.store
+         local.get $91
+         local.get $123
+         local.get $9
+         call $~lib/staticarray/StaticArray<f64>#__set
+         global.get $~lib/memory/__stack_pointer
+         local.get $104
+         i32.store
+         local.get $104
+         local.get $123
+         local.get $10
+         call $~lib/staticarray/StaticArray<f64>#__set
+         global.get $~lib/memory/__stack_pointer
+         local.get $103
+         i32.store
+         local.get $103
+         local.get $123
+         local.get $26
+         call $~lib/staticarray/StaticArray<f64>#__set
+         global.get $~lib/memory/__stack_pointer
+         local.get $102
+         i32.store
+         local.get $102
+         local.get $123
+         local.get $99
+         f64.convert_i32_s
+         call $~lib/staticarray/StaticArray<f64>#__set
+         local.get $74
+         i32.const 1
+         i32.add
+         local.get $74
+         local.get $99
+         i32.const 0
+         i32.gt_s
+         select
+         local.set $74
+         local.get $109
+         i32.const 1
+         i32.eq
+         if
+          local.get $57
+          local.get $79
+          local.get $129
+          local.get $121
+          f64.add
+          local.get $126
+          f64.sub
+          local.tee $5
+          local.get $3
+          f64.sub
+          f64.mul
+          f64.const 0
+          local.get $3
+          local.get $5
+          f64.lt
+          select
+          local.get $4
+          f64.div
+          local.tee $5
+          f64.const 100
+          f64.mul
+          local.tee $4
+          f64.ceil
+          local.tee $3
+          local.get $3
+          f64.const -1
+          f64.add
+          local.get $3
+          f64.const -0.5
+          f64.add
+          local.get $4
+          f64.le
+          select
+          i64.trunc_sat_f64_s
+          i64.add
+          local.set $57
+          global.get $~lib/memory/__stack_pointer
+          local.get $89
+          i32.store
+          local.get $89
+          local.get $123
+          local.get $9
+          local.get $101
+          f64.sub
+          local.get $5
+          f64.sub
+          local.get $8
+          f64.add
+          call $~lib/staticarray/StaticArray<f64>#__set
+         end
+         local.get $123
+         i32.const 1
+         i32.add
+         local.set $123
+         local.get $95
+         if
+          global.get $~lib/memory/__stack_pointer
+          local.get $88
+          i32.store
+          local.get $88
+          local.get $34
+          local.get $9
+          call $~lib/staticarray/StaticArray<f64>#__set
+         end
+         local.get $42
+         i32.const 0
+         i32.gt_s
+         if
+          global.get $~lib/memory/__stack_pointer
+          local.get $90
+          i32.store
+          local.get $90
+          local.get $12
+          local.get $9
+          call $~lib/staticarray/StaticArray<f64>#__set
+          local.get $12
+          i32.const 1
+          i32.add
+          local.set $12
+         end
+        end
+        local.get $34
+        i32.const 1
+        i32.add
+        local.set $0
+        local.get $78
+        f64.const 0
+        f64.gt
+        if (result i32)
+         local.get $0
+         local.get $48
+         i32.rem_s
+        else
+         i32.const 1
+        end
+        i32.eqz
+        local.get $0
+        local.get $35
+        i32.lt_s
+        i32.and
+        if
+         global.get $~lib/memory/__stack_pointer
+         local.get $123
+         local.get $0
+         call $assembly/index/wilsonInterval
+         local.tee $1
+         i32.store offset=92
+         global.get $~lib/memory/__stack_pointer
+         local.get $1
+         i32.store
+         local.get $1
+         i32.const 1
+         call $~lib/staticarray/StaticArray<f64>#__get
+         local.set $3
+         global.get $~lib/memory/__stack_pointer
+         local.get $1
+         i32.store
+         local.get $3
+         local.get $1
+         i32.const 0
+         call $~lib/staticarray/StaticArray<f64>#__get
+         f64.sub
+         f64.const 0.5
+         f64.mul
+         local.get $78
+         f64.le
+         if
+          local.get $0
+          local.set $13
+          i32.const 1
+          local.set $73
+          br $for-break7
+         end
+        end
+        local.get $34
+        i32.const 1
+        i32.add
+        local.tee $0
+        local.get $35
+        i32.lt_s
+        if (result i32)
+         local.get $0
+         i32.const 500
+         i32.rem_s
+        else
+         i32.const 1
+        end
+        i32.eqz
+        if
+         global.get $assembly/index/batchRow
+         local.get $0
+         local.get $35
+         call $assembly/index/reportProgress
+        end
+        local.get $34
+        i32.const 1
+        i32.add
+        local.set $34
+        br $for-loop|7
+       end
+      end
+     end
+     local.get $73
+     local.get $13
+     local.get $17
+     local.get $73
+     select
+     local.tee $13
+     local.get $35
+     i32.ge_s
+     local.get $73
+     select
+     local.set $42
+     global.get $~lib/memory/__stack_pointer
+     local.get $117
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $117
+     local.get $13
+     local.get $106
+     local.get $13
+     local.get $106
+     i32.lt_s
+     select
+     local.tee $0
+     local.get $46
+     call $assembly/index/calculatePercentileBands
+     local.tee $15
+     i32.store offset=96
+     global.get $~lib/memory/__stack_pointer
+     local.get $112
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $112
+     local.get $0
+     local.get $46
+     call $assembly/index/calculatePercentileBands
+     local.tee $41
+     i32.store offset=100
+     global.get $~lib/memory/__stack_pointer
+     local.get $111
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $111
+     local.get $0
+     local.get $46
+     call $assembly/index/calculatePercentileBands
+     local.tee $40
+     i32.store offset=104
+     global.get $~lib/memory/__stack_pointer
+     local.get $110
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $110
+     local.get $0
+     local.get $46
+     call $assembly/index/calculatePercentileBands
+     local.tee $17
+     i32.store offset=108
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store
+     local.get $15
+     local.get $46
+     i32.const 1
+     i32.add
+     i32.const 1
+     i32.shl
+     local.get $46
+     i32.add
+     call $~lib/staticarray/StaticArray<f64>#__get
+     local.set $8
+     i32.const 1
+     i32.const 0
+     i32.const 17
+     i32.const 16
+     local.get $19
+     select
+     call $assembly/index/beginOutput
+     local.tee $1
+     call $assembly/index/beginSection
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $1
+     i32.const 1
+     i32.add
+     local.set $2
+     local.get $0
+     local.get $1
+     local.get $46
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     local.get $91
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $91
+     local.get $123
+     call $~lib/staticarray/StaticArray<f64>#slice<~lib/staticarray/StaticArray<f64>>
+     local.tee $39
+     i32.store offset=112
+     global.get $~lib/memory/__stack_pointer
+     local.get $39
+     i32.store
+     i32.const 0
+     global.set $~argumentsLength
+     local.get $39
+     call $~lib/staticarray/StaticArray<f64>#sort@varargs
+     local.get $123
+     i32.const 0
+     i32.gt_s
+     if
+      global.get $~lib/memory/__stack_pointer
+      local.get $39
+      i32.store
+      local.get $39
+      local.get $123
+      f64.convert_i32_s
+      local.tee $3
+      f64.const 0.5
+      f64.mul
+      i32.trunc_sat_f64_s
+      local.tee $0
+      local.get $123
+      i32.const 1
+      i32.sub
+      local.tee $1
+      local.get $0
+      local.get $123
+      i32.lt_s
+      select
+      call $~lib/staticarray/StaticArray<f64>#__get
+      local.set $5
+      global.get $~lib/memory/__stack_pointer
+      local.get $39
+      i32.store
+      local.get $39
+      local.get $3
+      f64.const 0.9
+      f64.mul
+      i32.trunc_sat_f64_s
+      local.tee $0
       local.get $1
-      i32.const 3
-      i32.ne
-      if
-       local.get $1
-       i32.const 2
-       i32.eq
-       br_if $case1|0
-       br $break|0
+      local.get $0
+      local.get $123
+      i32.lt_s
+      select
+      call $~lib/staticarray/StaticArray<f64>#__get
+      local.set $4
+      f64.const 0
+      local.set $129
+      i32.const 0
+      local.set $34
+      loop $for-loop|18
+       local.get $34
+       local.get $123
+       i32.lt_s
+       if
+        global.get $~lib/memory/__stack_pointer
+        local.get $39
+        i32.store
+        local.get $129
+        local.get $39
+        local.get $34
+        call $~lib/staticarray/StaticArray<f64>#__get
+        f64.add
+        local.set $129
+        local.get $34
+        i32.const 1
+        i32.add
+        local.set $34
+        br $for-loop|18
+       end
       end
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
+      local.get $0
+      local.get $2
+      local.get $123
+      f64.convert_i32_s
+      local.tee $3
+      local.get $13
+      f64.convert_i32_s
+      f64.div
+      f64.const 100
+      f64.mul
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $1
+      i32.store
+      local.get $2
+      i32.const 1
+      i32.add
+      local.tee $0
+      i32.const 1
+      i32.add
+      local.set $2
+      local.get $1
+      local.get $0
+      local.get $5
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
+      local.get $0
+      local.get $2
+      local.get $4
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $1
+      i32.store
+      local.get $2
+      i32.const 1
+      i32.add
+      local.tee $0
+      i32.const 1
+      i32.add
+      local.set $2
+      local.get $1
+      local.get $0
+      local.get $129
+      local.get $3
+      f64.div
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
+      local.get $0
+      local.get $2
+      f64.const 0
+      local.get $8
+      local.get $8
+      local.get $8
+      f64.ne
+      select
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $1
+      i32.store
+      local.get $2
+      i32.const 1
+      i32.add
+      local.tee $0
+      i32.const 1
+      i32.add
+      local.set $38
+      local.get $1
+      local.get $0
+      f64.const 0
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
+      local.get $0
+      local.get $38
+      local.get $3
+      call $~lib/staticarray/StaticArray<f64>#__set
+     else
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
+      local.get $0
+      local.get $2
+      f64.const 0
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $1
+      i32.store
+      local.get $2
+      i32.const 1
+      i32.add
+      local.tee $0
+      i32.const 1
+      i32.add
+      local.set $2
+      local.get $1
+      local.get $0
+      f64.const 0
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
       local.get $0
-      f64.load
-      local.tee $8
+      local.get $2
+      f64.const 0
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $1
+      i32.store
+      local.get $2
+      i32.const 1
+      i32.add
+      local.tee $0
+      i32.const 1
+      i32.add
+      local.set $2
+      local.get $1
       local.get $0
-      f64.load offset=8
-      local.tee $16
-      i32.const 12016
-      i32.load
-      call_indirect (type $0)
-      i32.const 0
-      i32.gt_s
-      local.set $1
+      f64.const 0
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
       local.get $0
-      local.get $16
+      local.get $2
+      f64.const 0
       local.get $8
-      local.get $1
-      select
-      f64.store
       local.get $8
-      local.get $16
-      local.get $1
-      select
-      local.tee $8
-      local.get $0
-      f64.load offset=16
-      local.tee $16
-      i32.const 12016
-      i32.load
-      call_indirect (type $0)
-      i32.const 0
-      i32.gt_s
-      local.set $1
-      local.get $0
-      local.get $16
       local.get $8
-      local.get $1
+      f64.ne
       select
-      f64.store offset=8
-      local.get $0
-      local.get $8
-      local.get $16
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $1
+      i32.store
+      local.get $2
+      i32.const 1
+      i32.add
+      local.tee $0
+      i32.const 1
+      i32.add
+      local.set $38
       local.get $1
-      select
-      f64.store offset=16
+      local.get $0
+      f64.const 0
+      call $~lib/staticarray/StaticArray<f64>#__set
+      global.get $~lib/memory/__stack_pointer
+      global.get $assembly/index/outputBuffer
+      local.tee $0
+      i32.store
+      local.get $0
+      local.get $38
+      f64.const 0
+      call $~lib/staticarray/StaticArray<f64>#__set
      end
+     local.get $38
+     i32.const 1
+     i32.add
+     local.tee $0
+     call $assembly/index/endSection
+     i32.const 2
      local.get $0
-     f64.load
-     local.tee $8
+     call $assembly/index/beginSection
+     i32.const 0
+     local.set $34
+     loop $for-loop|19
+      local.get $34
+      local.get $46
+      i32.le_s
+      if
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/index/outputBuffer
+       local.tee $2
+       i32.store
+       local.get $0
+       local.tee $1
+       i32.const 1
+       i32.add
+       local.set $0
+       global.get $~lib/memory/__stack_pointer
+       local.get $45
+       i32.store offset=24
+       local.get $2
+       local.get $1
+       local.get $45
+       local.get $34
+       call $~lib/staticarray/StaticArray<f64>#__get
+       call $~lib/staticarray/StaticArray<f64>#__set
+       local.get $34
+       i32.const 1
+       i32.add
+       local.set $34
+       br $for-loop|19
+      end
+     end
      local.get $0
-     f64.load offset=8
-     local.tee $16
-     i32.const 12016
-     i32.load
-     call_indirect (type $0)
+     call $assembly/index/endSection
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store offset=24
+     i32.const 3
+     local.get $15
+     local.get $15
+     i32.const 20
+     i32.sub
+     i32.load offset=16
+     i32.const 3
+     i32.shr_u
+     local.get $0
+     call $assembly/index/writeSection
+     local.set $0
+     global.get $~lib/memory/__stack_pointer
+     local.get $39
+     i32.store
+     i32.const 4
+     local.get $39
+     local.get $123
+     local.get $0
+     call $assembly/index/writeSection
+     local.set $1
+     global.get $~lib/memory/__stack_pointer
+     local.get $90
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $90
+     local.get $12
+     call $~lib/staticarray/StaticArray<f64>#slice<~lib/staticarray/StaticArray<f64>>
+     local.tee $15
+     i32.store offset=116
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store
      i32.const 0
-     i32.gt_s
+     global.set $~argumentsLength
+     local.get $15
+     call $~lib/staticarray/StaticArray<f64>#sort@varargs
+     i32.const 5
+     local.get $1
+     call $assembly/index/beginSection
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $61
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $2
+     i32.store
+     local.get $1
+     i32.const 1
+     i32.add
+     local.tee $0
+     i32.const 1
+     i32.add
      local.set $1
+     local.get $2
      local.get $0
-     local.get $16
-     local.get $8
+     local.get $77
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $62
+     f64.convert_i64_s
+     f64.const 100
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $2
+     i32.store
+     local.get $1
+     i32.const 1
+     i32.add
+     local.tee $0
+     i32.const 1
+     i32.add
+     local.set $1
+     local.get $2
+     local.get $0
+     local.get $7
+     f64.convert_i64_s
+     f64.const 100
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $12
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     local.get $1
+     i32.const 1
+     i32.add
+     local.tee $0
+     call $assembly/index/endSection
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store
+     i32.const 7
+     i32.const 6
+     local.get $15
+     local.get $12
+     local.get $0
+     call $assembly/index/writeSection
+     local.tee $1
+     call $assembly/index/beginSection
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $76
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $2
+     i32.store
+     local.get $1
+     i32.const 1
+     i32.add
+     local.tee $0
+     i32.const 1
+     i32.add
+     local.set $1
+     local.get $2
+     local.get $0
+     local.get $63
+     f64.convert_i64_s
+     f64.const 100
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $75
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $2
+     i32.store
+     local.get $1
+     i32.const 1
+     i32.add
+     local.tee $0
+     i32.const 1
+     i32.add
+     local.set $1
+     local.get $2
+     local.get $0
+     local.get $64
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $60
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     local.get $1
+     i32.const 1
+     i32.add
+     local.tee $1
+     call $assembly/index/endSection
+     global.get $~lib/memory/__stack_pointer
+     local.get $89
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $89
+     local.get $123
+     i32.const 0
+     local.get $109
+     i32.const 1
+     i32.eq
+     select
+     local.tee $16
+     call $~lib/staticarray/StaticArray<f64>#slice<~lib/staticarray/StaticArray<f64>>
+     local.tee $15
+     i32.store offset=120
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store
+     i32.const 0
+     global.set $~argumentsLength
+     local.get $15
+     call $~lib/staticarray/StaticArray<f64>#sort@varargs
+     f64.const 0
+     local.set $3
+     i32.const 0
+     local.set $127
+     loop $for-loop|20
+      local.get $16
+      local.get $127
+      i32.gt_s
+      if
+       global.get $~lib/memory/__stack_pointer
+       local.get $15
+       i32.store
+       local.get $3
+       local.get $15
+       local.get $127
+       call $~lib/staticarray/StaticArray<f64>#__get
+       f64.add
+       local.set $3
+       local.get $127
+       i32.const 1
+       i32.add
+       local.set $127
+       br $for-loop|20
+      end
+     end
+     i32.const 8
      local.get $1
-     select
-     f64.store
+     call $assembly/index/beginSection
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
      local.get $0
-     local.get $8
+     local.get $1
      local.get $16
+     f64.convert_i32_s
+     local.tee $4
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $2
+     i32.store
      local.get $1
-     select
-     f64.store offset=8
-     br $folding-inner0
-    end
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12016
-    i32.store
-    local.get $0
-    i32.const 0
-    local.get $1
-    i32.const 1
-    i32.sub
-    i32.const 0
-    call $~lib/util/sort/insertionSort<f64>
-    br $folding-inner0
-   end
-   i32.const 33
-   local.get $1
-   i32.clz
-   i32.sub
-   local.tee $3
-   i32.const 2
-   i32.shl
-   local.tee $4
-   i32.const 1
-   i32.shl
-   local.set $5
-   global.get $~lib/rt/tlsf/ROOT
-   i32.eqz
-   if
-    call $~lib/rt/tlsf/initialize
-   end
-   local.get $4
-   global.get $~lib/rt/tlsf/ROOT
-   local.get $5
-   call $~lib/rt/tlsf/allocateBlock
-   i32.const 4
-   i32.add
-   local.tee $10
-   i32.add
-   local.set $11
-   loop $for-loop|1
-    local.get $2
-    local.get $3
-    i32.lt_u
-    if
-     local.get $10
-     local.get $2
-     i32.const 2
-     i32.shl
+     i32.const 1
      i32.add
-     i32.const -1
-     i32.store
-     local.get $2
+     local.tee $0
      i32.const 1
      i32.add
-     local.set $2
-     br $for-loop|1
-    end
-   end
-   global.get $~lib/rt/tlsf/ROOT
-   i32.eqz
-   if
-    call $~lib/rt/tlsf/initialize
-   end
-   global.get $~lib/rt/tlsf/ROOT
-   local.get $1
-   i32.const 3
-   i32.shl
-   call $~lib/rt/tlsf/allocateBlock
-   i32.const 4
-   i32.add
-   local.set $12
-   global.get $~lib/memory/__stack_pointer
-   i32.const 12016
-   i32.store
-   local.get $0
-   i32.const 0
-   local.get $1
-   i32.const 1
-   i32.sub
-   local.tee $9
-   call $~lib/util/sort/extendRunRight<f64>
-   local.tee $3
-   i32.const 1
-   i32.add
-   local.tee $1
-   i32.const 32
-   i32.lt_s
-   if
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12016
-    i32.store
-    local.get $0
-    i32.const 0
-    i32.const 31
-    local.get $9
-    local.get $9
-    i32.const 31
-    i32.ge_s
-    select
-    local.tee $3
-    local.get $1
-    call $~lib/util/sort/insertionSort<f64>
-   end
-   i32.const 0
-   local.set $1
-   i32.const 0
-   local.set $2
-   loop $while-continue|2
-    local.get $3
-    local.get $9
-    i32.lt_s
-    if
+     local.set $1
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store offset=24
+     local.get $2
+     local.get $0
+     local.get $15
+     f64.const 0.5
+     call $assembly/index/percentileOfSorted
+     call $~lib/staticarray/StaticArray<f64>#__set
      global.get $~lib/memory/__stack_pointer
-     i32.const 12016
+     global.get $assembly/index/outputBuffer
+     local.tee $0
      i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store offset=24
      local.get $0
-     local.get $3
+     local.get $1
+     local.get $15
+     f64.const 0.9
+     call $assembly/index/percentileOfSorted
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $2
+     i32.store
+     local.get $1
      i32.const 1
      i32.add
-     local.tee $5
-     local.get $9
-     call $~lib/util/sort/extendRunRight<f64>
-     local.tee $4
-     local.get $5
-     i32.sub
+     local.tee $0
      i32.const 1
      i32.add
-     local.tee $6
-     i32.const 32
-     i32.lt_s
-     if
-      global.get $~lib/memory/__stack_pointer
-      i32.const 12016
-      i32.store
-      local.get $0
-      local.get $5
-      local.get $9
-      local.get $5
-      i32.const 31
-      i32.add
-      local.tee $4
-      local.get $4
-      local.get $9
-      i32.gt_s
-      select
-      local.tee $4
-      local.get $6
-      call $~lib/util/sort/insertionSort<f64>
-     end
+     local.set $1
      local.get $2
-     local.get $5
-     i32.add
-     i64.extend_i32_u
-     i64.const 30
-     i64.shl
-     local.get $9
+     local.get $0
+     local.get $3
+     local.get $4
+     f64.div
+     f64.const 0
+     local.get $16
+     i32.const 0
+     i32.gt_s
+     select
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $59
+     f64.convert_i64_s
+     f64.const 100
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $2
+     i32.store
+     local.get $1
      i32.const 1
      i32.add
-     i64.extend_i32_u
-     local.tee $13
-     i64.div_u
-     local.get $4
-     local.get $5
+     local.tee $0
+     i32.const 1
      i32.add
+     local.set $1
+     local.get $2
+     local.get $0
+     local.get $58
+     f64.convert_i64_s
+     f64.const 100
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $0
+     local.get $1
+     local.get $57
+     f64.convert_i64_s
+     f64.const 100
+     f64.div
+     call $~lib/staticarray/StaticArray<f64>#__set
+     local.get $1
      i32.const 1
      i32.add
-     i64.extend_i32_u
-     i64.const 30
-     i64.shl
-     local.get $13
-     i64.div_u
-     i64.xor
-     i32.wrap_i64
-     i32.clz
-     local.set $6
-     loop $for-loop|3
-      local.get $1
-      local.get $6
-      i32.gt_u
+     local.tee $0
+     call $assembly/index/endSection
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store
+     i32.const 9
+     local.get $15
+     local.get $16
+     local.get $0
+     call $assembly/index/writeSection
+     local.set $0
+     global.get $~lib/memory/__stack_pointer
+     local.get $41
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $41
+     i32.store offset=24
+     i32.const 10
+     local.get $41
+     local.get $41
+     i32.const 20
+     i32.sub
+     i32.load offset=16
+     i32.const 3
+     i32.shr_u
+     local.get $0
+     call $assembly/index/writeSection
+     local.set $0
+     global.get $~lib/memory/__stack_pointer
+     local.get $40
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $40
+     i32.store offset=24
+     i32.const 11
+     local.get $40
+     local.get $40
+     i32.const 20
+     i32.sub
+     i32.load offset=16
+     i32.const 3
+     i32.shr_u
+     local.get $0
+     call $assembly/index/writeSection
+     local.set $0
+     global.get $~lib/memory/__stack_pointer
+     local.get $17
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $17
+     i32.store offset=24
+     i32.const 13
+     i32.const 12
+     local.get $17
+     local.get $17
+     i32.const 20
+     i32.sub
+     i32.load offset=16
+     i32.const 3
+     i32.shr_u
+     local.get $0
+     call $assembly/index/writeSection
+     local.tee $0
+     call $assembly/index/beginSection
+     i32.const 1
+     local.set $38
+     loop $for-loop|21
+      local.get $38
+      local.get $46
+      i32.le_s
       if
-       local.get $1
-       i32.const 2
-       i32.shl
-       local.tee $14
-       local.get $10
+       global.get $~lib/memory/__stack_pointer
+       global.get $assembly/index/outputBuffer
+       local.tee $2
+       i32.store
+       local.get $0
+       local.tee $1
+       i32.const 1
        i32.add
-       local.tee $15
-       i32.load
-       local.tee $7
-       i32.const -1
-       i32.ne
-       if
-        local.get $11
-        local.get $14
-        i32.add
-        i32.load
-        i32.const 1
-        i32.add
-        local.set $2
-        global.get $~lib/memory/__stack_pointer
-        i32.const 12016
-        i32.store
-        local.get $0
-        local.get $7
-        local.get $2
-        local.get $3
-        local.get $12
-        call $~lib/util/sort/mergeRuns<f64>
-        local.get $15
-        i32.const -1
-        i32.store
-        local.get $7
-        local.set $2
-       end
+       local.set $0
+       global.get $~lib/memory/__stack_pointer
+       local.get $105
+       i32.store offset=24
+       local.get $2
        local.get $1
+       local.get $105
+       local.get $38
+       call $~lib/staticarray/StaticArray<i32>#__get
+       f64.convert_i32_s
+       call $~lib/staticarray/StaticArray<f64>#__set
+       local.get $38
        i32.const 1
-       i32.sub
-       local.set $1
-       br $for-loop|3
+       i32.add
+       local.set $38
+       br $for-loop|21
       end
      end
-     local.get $6
-     i32.const 2
-     i32.shl
+     local.get $0
+     call $assembly/index/endSection
+     i32.const 14
+     local.get $0
+     call $assembly/index/beginSection
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
      local.tee $1
-     local.get $10
-     i32.add
-     local.get $2
      i32.store
      local.get $1
-     local.get $11
-     i32.add
-     local.get $3
+     local.get $0
+     local.get $74
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     local.get $104
      i32.store
-     local.get $5
-     local.set $2
-     local.get $4
-     local.set $3
-     local.get $6
-     local.set $1
-     br $while-continue|2
-    end
-   end
-   loop $for-loop|4
-    local.get $1
-    if
-     local.get $1
-     i32.const 2
-     i32.shl
-     local.tee $2
-     local.get $10
-     i32.add
-     i32.load
-     local.tee $3
-     i32.const -1
-     i32.ne
-     if
-      local.get $2
-      local.get $11
-      i32.add
-      i32.load
-      i32.const 1
-      i32.add
-      local.set $2
-      global.get $~lib/memory/__stack_pointer
-      i32.const 12016
-      i32.store
-      local.get $0
-      local.get $3
-      local.get $2
-      local.get $9
-      local.get $12
-      call $~lib/util/sort/mergeRuns<f64>
-     end
-     local.get $1
+     local.get $104
+     local.get $123
+     local.get $0
      i32.const 1
-     i32.sub
-     local.set $1
-     br $for-loop|4
-    end
-   end
-   local.get $12
-   call $~lib/rt/tlsf/__free
-   local.get $10
-   call $~lib/rt/tlsf/__free
-   global.get $~lib/memory/__stack_pointer
-   i32.const 4
-   i32.add
-   global.set $~lib/memory/__stack_pointer
-   return
-  end
-  global.get $~lib/memory/__stack_pointer
-  i32.const 4
-  i32.add
-  global.set $~lib/memory/__stack_pointer
- )
- (func $assembly/index/runSimulation (result i32)
-  (local $0 i32)
-  (local $1 i32)
-  (local $2 i32)
-  (local $3 f64)
-  (local $4 f64)
-  (local $5 i32)
-  (local $6 i32)
-  (local $7 f64)
-  (local $8 i32)
-  (local $9 i32)
-  (local $10 i32)
-  (local $11 i64)
-  (local $12 i32)
-  (local $13 f64)
-  (local $14 f64)
-  (local $15 f64)
-  (local $16 f64)
-  (local $17 i32)
-  (local $18 i32)
-  (local $19 i32)
-  (local $20 f64)
-  (local $21 f64)
-  (local $22 f64)
-  (local $23 f64)
-  (local $24 i32)
-  (local $25 i64)
-  global.get $~lib/memory/__stack_pointer
-  i32.const 20
-  i32.sub
-  global.set $~lib/memory/__stack_pointer
-  block $folding-inner0
-   global.get $~lib/memory/__stack_pointer
-   i32.const 12060
-   i32.lt_s
-   br_if $folding-inner0
-   global.get $~lib/memory/__stack_pointer
-   i32.const 0
-   i32.const 20
-   memory.fill
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 0
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $3
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 1
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $4
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 2
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $7
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 3
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $20
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 4
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $21
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 5
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $22
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 6
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $16
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 7
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $13
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 8
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $14
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 9
-   call $~lib/staticarray/StaticArray<f64>#__get
-   local.set $15
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/inputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 10
-   call $~lib/staticarray/StaticArray<f64>#__get
-   i32.trunc_sat_f64_s
-   local.set $12
-   global.get $~lib/memory/__stack_pointer
-   local.get $22
-   f64.const 12
-   f64.mul
-   i32.trunc_sat_f64_s
-   local.tee $10
-   i32.const 1
-   i32.add
-   call $~lib/staticarray/StaticArray<f64>#constructor
-   local.tee $17
-   i32.store offset=4
-   global.get $~lib/memory/__stack_pointer
-   local.get $10
-   i32.const 1
-   i32.add
-   call $~lib/staticarray/StaticArray<f64>#constructor
-   local.tee $18
-   i32.store offset=8
-   global.get $~lib/memory/__stack_pointer
-   local.get $17
-   i32.store
-   local.get $17
-   i32.const 0
-   local.get $4
-   call $~lib/staticarray/StaticArray<f64>#__set
-   global.get $~lib/memory/__stack_pointer
-   local.get $18
-   i32.store
-   local.get $18
-   i32.const 0
-   local.get $3
-   call $~lib/staticarray/StaticArray<f64>#__set
-   i32.const 1
-   local.set $0
-   loop $for-loop|0
-    local.get $0
-    local.get $10
-    i32.le_s
-    if
-     local.get $3
+     i32.add
+     call $assembly/index/writeDistributionSummary
+     local.set $0
+     global.get $~lib/memory/__stack_pointer
+     local.get $103
+     i32.store
+     local.get $103
+     local.get $123
+     local.get $0
+     call $assembly/index/writeDistributionSummary
+     local.set $0
+     global.get $~lib/memory/__stack_pointer
+     local.get $102
+     i32.store
+     local.get $102
+     local.get $123
+     local.get $0
+     call $assembly/index/writeDistributionSummary
+     local.tee $2
+     call $assembly/index/endSection
+     global.get $~lib/memory/__stack_pointer
+     local.get $123
+     local.get $13
+     call $assembly/index/wilsonInterval
+     local.tee $17
+     i32.store offset=124
+     global.get $~lib/memory/__stack_pointer
+     local.get $39
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $39
+     f64.const 0.5
+     call $assembly/index/quantileInterval
+     local.tee $16
+     i32.store offset=128
+     global.get $~lib/memory/__stack_pointer
+     local.get $39
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $39
+     f64.const 0.9
+     call $assembly/index/quantileInterval
+     local.tee $15
+     i32.store offset=132
      f64.const 0
-     f64.gt
-     if
-      local.get $0
-      local.get $10
-      i32.eq
-      local.get $7
-      local.get $3
-      local.get $21
-      f64.mul
-      local.tee $4
-      f64.sub
-      local.tee $23
-      local.get $3
-      f64.ge
-      i32.or
-      if (result f64)
+     local.set $3
+     f64.const 0
+     local.set $129
+     i32.const 0
+     local.set $38
+     loop $for-loop|224
+      local.get $38
+      local.get $123
+      i32.lt_s
+      if
        global.get $~lib/memory/__stack_pointer
-       local.get $17
+       local.get $39
        i32.store
-       local.get $17
-       local.get $0
-       local.get $20
        local.get $3
-       local.get $4
+       local.get $39
+       local.get $38
+       call $~lib/staticarray/StaticArray<f64>#__get
        f64.add
-       f64.sub
-       call $~lib/staticarray/StaticArray<f64>#__set
-       f64.const 0
-      else
+       local.set $3
+       local.get $38
+       i32.const 1
+       i32.add
+       local.set $38
+       br $for-loop|224
+      end
+     end
+     local.get $3
+     local.get $123
+     f64.convert_i32_s
+     f64.div
+     f64.const 0
+     local.get $123
+     i32.const 0
+     i32.gt_s
+     select
+     local.set $4
+     i32.const 0
+     local.set $38
+     loop $for-loop|237
+      local.get $38
+      local.get $123
+      i32.lt_s
+      if
        global.get $~lib/memory/__stack_pointer
-       local.get $17
+       local.get $39
        i32.store
-       local.get $17
-       local.get $0
-       local.get $20
-       local.get $7
+       local.get $129
+       local.get $39
+       local.get $38
+       call $~lib/staticarray/StaticArray<f64>#__get
+       local.get $4
        f64.sub
-       call $~lib/staticarray/StaticArray<f64>#__set
+       local.tee $3
        local.get $3
-       local.get $23
-       f64.sub
+       f64.mul
+       f64.add
+       local.set $129
+       local.get $38
+       i32.const 1
+       i32.add
+       local.set $38
+       br $for-loop|237
       end
-      local.set $3
-     else
-      global.get $~lib/memory/__stack_pointer
-      local.get $17
-      i32.store
-      local.get $17
-      local.get $0
-      local.get $20
-      call $~lib/staticarray/StaticArray<f64>#__set
      end
+     i32.const 15
+     local.get $2
+     call $assembly/index/beginSection
      global.get $~lib/memory/__stack_pointer
-     local.get $18
+     global.get $assembly/index/outputBuffer
+     local.tee $0
      i32.store
-     local.get $18
+     global.get $~lib/memory/__stack_pointer
+     local.get $17
+     i32.store offset=24
      local.get $0
-     local.get $3
-     f64.const 0
-     local.get $3
-     f64.const 0
-     f64.ge
-     select
+     local.get $2
+     local.get $17
+     i32.const 0
+     call $~lib/staticarray/StaticArray<f64>#__get
+     f64.const 100
+     f64.mul
      call $~lib/staticarray/StaticArray<f64>#__set
-     local.get $0
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $1
+     i32.store
+     local.get $2
      i32.const 1
      i32.add
-     local.set $0
-     br $for-loop|0
-    end
-   end
-   global.get $~lib/memory/__stack_pointer
-   local.get $12
-   call $~lib/staticarray/StaticArray<f64>#constructor
-   local.tee $19
-   i32.store offset=12
-   loop $for-loop|1
-    local.get $9
-    local.get $12
-    i32.lt_s
-    if
+     local.tee $0
+     i32.const 1
+     i32.add
+     local.set $2
      global.get $~lib/memory/__stack_pointer
      local.get $17
-     i32.store
+     i32.store offset=24
+     local.get $1
+     local.get $0
      local.get $17
-     i32.const 0
-     call $~lib/staticarray/StaticArray<f64>#__get
-     local.set $3
-     i32.const 0
-     local.set $0
      i32.const 1
-     local.set $5
-     loop $for-loop|2
-      local.get $5
-      local.get $10
-      i32.le_s
-      if
-       block $for-break2
-        local.get $3
-        local.set $4
-        f64.const 0
-        local.set $7
-        f64.const 0
-        local.set $3
-        loop $while-continue|0
-         local.get $7
-         f64.const 0
-         f64.eq
-         if
-          call $~lib/math/NativeMath.random
-          local.set $7
-          br $while-continue|0
-         end
-        end
-        loop $while-continue|1
-         local.get $3
-         f64.const 0
-         f64.eq
-         if
-          call $~lib/math/NativeMath.random
-          local.set $3
-          br $while-continue|1
-         end
-        end
-        block $~lib/util/math/exp_lut|inlined.0 (result f64)
-         local.get $13
-         local.get $16
-         f64.const 0.5
-         f64.mul
-         local.get $16
-         f64.mul
-         f64.sub
-         f64.const 0.08333333333333333
-         f64.mul
-         local.get $16
-         f64.const 0.28867513459481287
-         f64.mul
-         local.get $7
-         call $~lib/math/NativeMath.log
-         f64.const -2
-         f64.mul
-         f64.sqrt
-         local.get $3
-         f64.const 6.283185307179586
-         f64.mul
-         call $~lib/math/NativeMath.cos
-         f64.mul
-         f64.mul
-         f64.add
-         local.tee $3
-         i64.reinterpret_f64
-         local.tee $11
-         i64.const 52
-         i64.shr_u
-         i32.wrap_i64
-         i32.const 2047
-         i32.and
-         local.tee $2
-         i32.const 969
-         i32.sub
-         local.tee $24
-         i32.const 63
-         i32.ge_u
-         if
-          f64.const 1
-          local.get $24
-          i32.const -2147483648
-          i32.ge_u
-          br_if $~lib/util/math/exp_lut|inlined.0
-          drop
-          local.get $2
-          i32.const 1033
-          i32.ge_u
-          if
-           f64.const 0
-           local.get $11
-           i64.const -4503599627370496
-           i64.eq
-           br_if $~lib/util/math/exp_lut|inlined.0
-           drop
-           local.get $3
-           f64.const 1
-           f64.add
-           local.get $2
-           i32.const 2047
-           i32.ge_u
-           br_if $~lib/util/math/exp_lut|inlined.0
-           drop
-           f64.const 0
-           f64.const inf
-           local.get $11
-           i64.const 0
-           i64.lt_s
-           select
-           br $~lib/util/math/exp_lut|inlined.0
-          end
-          i32.const 0
-          local.set $2
-         end
-         local.get $3
-         f64.const 184.6649652337873
-         f64.mul
-         f64.const 6755399441055744
-         f64.add
-         local.tee $7
-         i64.reinterpret_f64
-         local.tee $25
-         i64.const 127
-         i64.and
-         i64.const 1
-         i64.shl
-         i32.wrap_i64
-         i32.const 3
-         i32.shl
-         i32.const 5840
-         i32.add
-         local.tee $24
-         i64.load offset=8
-         local.get $25
-         i64.const 45
-         i64.shl
-         i64.add
-         local.set $11
-         local.get $3
-         local.get $7
-         f64.const -6755399441055744
-         f64.add
-         local.tee $3
-         f64.const -0.005415212348111709
-         f64.mul
-         f64.add
-         local.get $3
-         f64.const -1.2864023111638346e-14
-         f64.mul
-         f64.add
-         local.tee $3
-         local.get $3
-         f64.mul
-         local.set $7
-         local.get $24
-         f64.load
-         local.get $3
-         f64.add
-         local.get $7
-         local.get $3
-         f64.const 0.16666666666665886
-         f64.mul
-         f64.const 0.49999999999996786
-         f64.add
-         f64.mul
-         f64.add
-         local.get $7
-         local.get $7
-         f64.mul
-         local.get $3
-         f64.const 0.008333335853059549
-         f64.mul
-         f64.const 0.0416666808410674
-         f64.add
-         f64.mul
-         f64.add
-         local.set $3
-         local.get $2
-         i32.eqz
-         if
-          block $~lib/util/math/specialcase|inlined.0 (result f64)
-           local.get $25
-           i64.const 2147483648
-           i64.and
-           i64.eqz
-           if
-            local.get $11
-            i64.const 4544132024016830464
-            i64.sub
-            f64.reinterpret_i64
-            local.tee $7
-            local.get $7
-            local.get $3
-            f64.mul
-            f64.add
-            f64.const 5486124068793688683255936e279
-            f64.mul
-            br $~lib/util/math/specialcase|inlined.0
-           end
-           local.get $11
-           i64.const 4602678819172646912
-           i64.add
-           local.tee $11
-           f64.reinterpret_i64
-           local.tee $7
-           local.get $3
-           f64.mul
-           local.set $3
-           local.get $7
-           local.get $3
-           f64.add
-           local.tee $20
-           f64.abs
-           f64.const 1
-           f64.lt
-           if (result f64)
-            f64.const 1
-            local.get $20
-            f64.copysign
-            local.tee $21
-            local.get $20
-            f64.add
-            local.tee $23
-            local.get $21
-            local.get $23
-            f64.sub
-            local.get $20
-            f64.add
-            local.get $7
-            local.get $20
-            f64.sub
-            local.get $3
-            f64.add
-            f64.add
-            f64.add
-            local.get $21
-            f64.sub
-            local.tee $3
-            f64.const 0
-            f64.eq
-            if (result f64)
-             local.get $11
-             i64.const -9223372036854775808
-             i64.and
-             f64.reinterpret_i64
-            else
-             local.get $3
-            end
-           else
-            local.get $20
-           end
-           f64.const 2.2250738585072014e-308
-           f64.mul
-          end
-          br $~lib/util/math/exp_lut|inlined.0
-         end
-         local.get $11
-         f64.reinterpret_i64
-         local.tee $7
-         local.get $7
-         local.get $3
-         f64.mul
-         f64.add
-        end
-        local.set $3
-        global.get $~lib/memory/__stack_pointer
-        local.get $17
-        i32.store
-        local.get $4
-        local.get $3
-        f64.mul
-        local.get $17
-        local.get $5
-        call $~lib/staticarray/StaticArray<f64>#__get
-        f64.add
-        local.set $3
-        global.get $~lib/memory/__stack_pointer
-        local.get $18
-        i32.store
-        local.get $18
-        local.get $5
-        call $~lib/staticarray/StaticArray<f64>#__get
-        f64.const 0
-        f64.gt
-        if (result i32)
-         global.get $~lib/memory/__stack_pointer
-         local.get $18
-         i32.store
-         local.get $18
-         local.get $5
-         call $~lib/staticarray/StaticArray<f64>#__get
-         local.get $3
-         f64.div
-         local.get $15
-         f64.gt
-        else
-         i32.const 0
-        end
-        if
-         i32.const 1
-         local.set $0
-         br $for-break2
-        end
-        local.get $5
-        i32.const 1
-        i32.add
-        local.set $5
-        br $for-loop|2
-       end
-      end
-     end
+     call $~lib/staticarray/StaticArray<f64>#__get
+     f64.const 100
+     f64.mul
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $16
+     i32.store offset=24
      local.get $0
-     i32.eqz
-     if
-      global.get $~lib/memory/__stack_pointer
-      local.get $18
-      i32.store
-      local.get $3
-      local.get $18
-      local.get $10
-      call $~lib/staticarray/StaticArray<f64>#__get
-      f64.sub
-      local.get $14
-      f64.const 1
-      f64.add
-      local.get $22
-      call $~lib/math/NativeMath.pow
-      f64.div
-      local.set $3
-      global.get $~lib/memory/__stack_pointer
-      local.get $19
-      i32.store
-      local.get $19
-      local.get $1
-      local.get $3
-      call $~lib/staticarray/StaticArray<f64>#__set
-      local.get $1
-      i32.const 1
-      i32.add
-      local.set $1
-     end
-     local.get $9
+     local.get $2
+     local.get $16
+     i32.const 0
+     call $~lib/staticarray/StaticArray<f64>#__get
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $1
+     i32.store
+     local.get $2
      i32.const 1
      i32.add
-     local.set $9
-     br $for-loop|1
-    end
-   end
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/outputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 0
-   f64.const 0
-   call $~lib/staticarray/StaticArray<f64>#__set
-   global.get $~lib/memory/__stack_pointer
-   global.get $assembly/index/outputBuffer
-   local.tee $0
-   i32.store
-   local.get $0
-   i32.const 1
-   local.get $10
-   f64.convert_i32_s
-   call $~lib/staticarray/StaticArray<f64>#__set
-   local.get $1
-   i32.const 0
-   i32.gt_s
-   if
-    global.get $~lib/memory/__stack_pointer
-    local.get $19
-    i32.store
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12
-    i32.sub
-    global.set $~lib/memory/__stack_pointer
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12060
-    i32.lt_s
-    br_if $folding-inner0
-    global.get $~lib/memory/__stack_pointer
-    i64.const 0
-    i64.store
-    global.get $~lib/memory/__stack_pointer
-    i32.const 0
-    i32.store offset=8
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12016
-    i32.store
-    global.get $~lib/memory/__stack_pointer
-    local.get $19
-    i32.store offset=4
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12016
-    i32.store offset=8
-    global.get $~lib/memory/__stack_pointer
-    i32.const 8
-    i32.sub
-    global.set $~lib/memory/__stack_pointer
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12060
-    i32.lt_s
-    br_if $folding-inner0
-    global.get $~lib/memory/__stack_pointer
-    i64.const 0
-    i64.store
-    global.get $~lib/memory/__stack_pointer
-    local.get $19
-    i32.store offset=4
-    local.get $19
-    i32.const 20
-    i32.sub
-    i32.load offset=16
-    i32.const 3
-    i32.shr_u
-    local.set $0
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12016
-    i32.store
-    local.get $19
-    local.get $0
-    call $~lib/util/sort/SORT<f64>
-    global.get $~lib/memory/__stack_pointer
-    i32.const 8
-    i32.add
-    global.set $~lib/memory/__stack_pointer
-    global.get $~lib/memory/__stack_pointer
-    i32.const 12
-    i32.add
-    global.set $~lib/memory/__stack_pointer
-    global.get $~lib/memory/__stack_pointer
-    local.get $19
-    i32.store
-    local.get $19
-    local.get $1
-    f64.convert_i32_s
-    local.tee $3
-    f64.const 0.5
-    f64.mul
-    i32.trunc_sat_f64_s
-    local.tee $0
-    local.get $1
-    i32.const 1
-    i32.sub
-    local.tee $2
-    local.get $0
-    local.get $1
-    i32.lt_s
-    select
-    call $~lib/staticarray/StaticArray<f64>#__get
-    local.set $4
-    global.get $~lib/memory/__stack_pointer
-    local.get $19
-    i32.store
-    local.get $19
-    local.get $3
-    f64.const 0.9
-    f64.mul
-    i32.trunc_sat_f64_s
-    local.tee $0
-    local.get $2
-    local.get $0
-    local.get $1
-    i32.lt_s
-    select
-    call $~lib/staticarray/StaticArray<f64>#__get
-    local.set $3
-    f64.const 0
-    local.set $7
-    i32.const 0
-    local.set $9
-    loop $for-loop|3
+     local.tee $0
+     i32.const 1
+     i32.add
+     local.set $2
+     global.get $~lib/memory/__stack_pointer
+     local.get $16
+     i32.store offset=24
      local.get $1
-     local.get $9
-     i32.gt_s
-     if
-      global.get $~lib/memory/__stack_pointer
-      local.get $19
-      i32.store
-      local.get $7
-      local.get $19
-      local.get $9
-      call $~lib/staticarray/StaticArray<f64>#__get
-      f64.add
-      local.set $7
-      local.get $9
-      i32.const 1
-      i32.add
-      local.set $9
-      br $for-loop|3
-     end
-    end
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 2
-    local.get $1
-    f64.convert_i32_s
-    local.tee $13
-    local.get $12
-    f64.convert_i32_s
-    f64.div
-    f64.const 100
-    f64.mul
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 3
-    local.get $4
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 4
-    local.get $3
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 5
-    local.get $7
-    local.get $13
-    f64.div
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    global.get $~lib/memory/__stack_pointer
-    local.get $18
-    i32.store offset=16
-    local.get $0
-    i32.const 6
-    local.get $18
-    local.get $10
-    call $~lib/staticarray/StaticArray<f64>#__get
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 7
-    f64.const 0
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $2
-    i32.store
-    i32.const 9
-    local.set $0
-    local.get $2
-    i32.const 8
-    local.get $13
-    call $~lib/staticarray/StaticArray<f64>#__set
-    i32.const 0
-    local.set $9
-    loop $for-loop|4
      local.get $0
-     i32.const 1000000
-     i32.lt_s
-     local.get $9
-     local.get $10
-     i32.le_s
-     i32.and
-     if
-      global.get $~lib/memory/__stack_pointer
-      global.get $assembly/index/outputBuffer
-      local.tee $5
-      i32.store
-      local.get $0
-      local.tee $2
-      i32.const 1
-      i32.add
-      local.set $0
-      global.get $~lib/memory/__stack_pointer
-      local.get $17
-      i32.store offset=16
-      local.get $5
-      local.get $2
-      local.get $17
-      local.get $9
-      call $~lib/staticarray/StaticArray<f64>#__get
-      call $~lib/staticarray/StaticArray<f64>#__set
-      local.get $9
-      i32.const 1
-      i32.add
-      local.set $9
-      br $for-loop|4
-     end
-    end
-    loop $for-loop|5
+     local.get $16
+     i32.const 1
+     call $~lib/staticarray/StaticArray<f64>#__get
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store offset=24
+     local.get $0
+     local.get $2
+     local.get $15
+     i32.const 0
+     call $~lib/staticarray/StaticArray<f64>#__get
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $1
+     i32.store
+     local.get $2
+     i32.const 1
+     i32.add
+     local.tee $0
+     i32.const 1
+     i32.add
+     local.set $2
+     global.get $~lib/memory/__stack_pointer
+     local.get $15
+     i32.store offset=24
+     local.get $1
      local.get $0
-     i32.const 1000000
-     i32.lt_s
-     local.get $6
-     local.get $10
-     i32.le_s
-     i32.and
-     if
-      global.get $~lib/memory/__stack_pointer
-      global.get $assembly/index/outputBuffer
-      local.tee $5
-      i32.store
-      local.get $0
-      local.tee $2
-      i32.const 1
-      i32.add
-      local.set $0
-      global.get $~lib/memory/__stack_pointer
-      local.get $18
-      i32.store offset=16
-      local.get $5
-      local.get $2
-      local.get $18
-      local.get $6
-      call $~lib/staticarray/StaticArray<f64>#__get
-      call $~lib/staticarray/StaticArray<f64>#__set
-      local.get $6
+     local.get $15
+     i32.const 1
+     call $~lib/staticarray/StaticArray<f64>#__get
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
+     local.get $2
+     i32.const 1
+     i32.add
+     local.set $1
+     local.get $0
+     local.get $2
+     local.get $123
+     i32.const 1
+     i32.gt_s
+     if (result f64)
+      local.get $129
+      local.get $123
       i32.const 1
-      i32.add
-      local.set $6
-      br $for-loop|5
+      i32.sub
+      f64.convert_i32_s
+      f64.div
+      local.get $123
+      f64.convert_i32_s
+      f64.div
+      f64.sqrt
+     else
+      f64.const 0
      end
-    end
-    loop $for-loop|6
+     call $~lib/staticarray/StaticArray<f64>#__set
+     global.get $~lib/memory/__stack_pointer
+     global.get $assembly/index/outputBuffer
+     local.tee $0
+     i32.store
      local.get $0
-     i32.const 1000000
-     i32.lt_s
      local.get $1
-     local.get $8
-     i32.gt_s
-     i32.and
+     local.get $13
+     f64.convert_i32_s
+     call $~lib/staticarray/StaticArray<f64>#__set
+     local.get $1
+     i32.const 1
+     i32.add
+     local.tee $0
+     call $assembly/index/endSection
+     global.get $~lib/memory/__stack_pointer
+     local.get $88
+     i32.store
+     i32.const 16
+     local.get $88
+     local.get $13
+     i32.const 0
+     local.get $95
+     select
+     local.get $0
+     call $assembly/index/writeSection
+     local.set $0
+     local.get $19
      if
+      i32.const 17
+      local.get $0
+      call $assembly/index/beginSection
       global.get $~lib/memory/__stack_pointer
-      global.get $assembly/index/outputBuffer
-      local.tee $5
+      local.get $104
       i32.store
+      local.get $104
+      local.get $123
       local.get $0
-      local.tee $2
-      i32.const 1
-      i32.add
+      call $assembly/index/writeSorted
       local.set $0
       global.get $~lib/memory/__stack_pointer
-      local.get $19
-      i32.store offset=16
-      local.get $5
-      local.get $2
-      local.get $19
-      local.get $8
-      call $~lib/staticarray/StaticArray<f64>#__get
-      call $~lib/staticarray/StaticArray<f64>#__set
-      local.get $8
-      i32.const 1
-      i32.add
-      local.set $8
-      br $for-loop|6
-     end
-    end
-   else
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 2
-    f64.const 0
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 3
-    f64.const 0
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 4
-    f64.const 0
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 5
-    f64.const 0
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    global.get $~lib/memory/__stack_pointer
-    local.get $18
-    i32.store offset=16
-    local.get $0
-    i32.const 6
-    local.get $18
-    local.get $10
-    call $~lib/staticarray/StaticArray<f64>#__get
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $0
-    i32.store
-    local.get $0
-    i32.const 7
-    f64.const 0
-    call $~lib/staticarray/StaticArray<f64>#__set
-    global.get $~lib/memory/__stack_pointer
-    global.get $assembly/index/outputBuffer
-    local.tee $1
-    i32.store
-    i32.const 9
-    local.set $0
-    local.get $1
-    i32.const 8
-    f64.const 0
-    call $~lib/staticarray/StaticArray<f64>#__set
-    loop $for-loop|7
-     local.get $0
-     i32.const 1000000
-     i32.lt_s
-     local.get $8
-     local.get $10
-     i32.le_s
-     i32.and
-     if
-      global.get $~lib/memory/__stack_pointer
-      global.get $assembly/index/outputBuffer
-      local.tee $2
+      local.get $103
       i32.store
+      local.get $103
+      local.get $123
       local.get $0
-      local.tee $1
-      i32.const 1
-      i32.add
+      call $assembly/index/writeSorted
       local.set $0
       global.get $~lib/memory/__stack_pointer
-      local.get $17
-      i32.store offset=16
-      local.get $2
-      local.get $1
-      local.get $17
-      local.get $8
-      call $~lib/staticarray/StaticArray<f64>#__get
-      call $~lib/staticarray/StaticArray<f64>#__set
-      local.get $8
-      i32.const 1
-      i32.add
-      local.set $8
-      br $for-loop|7
+      local.get $102
+      i32.store
+      local.get $102
+      local.get $123
+      local.get $0
+      call $assembly/index/writeSorted
+      local.tee $0
+      call $assembly/index/endSection
      end
-    end
-    loop $for-loop|8
-     local.get $0
-     i32.const 1000000
-     i32.lt_s
-     local.get $6
-     local.get $10
-     i32.le_s
-     i32.and
+     local.get $42
+     i32.eqz
      if
-      global.get $~lib/memory/__stack_pointer
-      global.get $assembly/index/outputBuffer
-      local.tee $2
-      i32.store
+      global.get $assembly/index/batchRow
       local.get $0
-      local.tee $1
-      i32.const 1
-      i32.add
-      local.set $0
-      global.get $~lib/memory/__stack_pointer
-      local.get $18
-      i32.store offset=16
-      local.get $2
-      local.get $1
-      local.get $18
-      local.get $6
-      call $~lib/staticarray/StaticArray<f64>#__get
-      call $~lib/staticarray/StaticArray<f64>#__set
-      local.get $6
-      i32.const 1
-      i32.add
-      local.set $6
-      br $for-loop|8
+      call $assembly/index/reportInterim
+      br $while-continue|6
      end
     end
+    global.get $assembly/index/batchRow
+    local.get $13
+    local.get $13
+    call $assembly/index/reportProgress
+    i32.const 0
+    global.set $assembly/math/mirrorNormals
+    global.get $~lib/memory/__stack_pointer
+    i32.const 136
+    i32.add
+    global.set $~lib/memory/__stack_pointer
+    local.get $0
+    return
    end
    global.get $~lib/memory/__stack_pointer
-   i32.const 20
+   i32.const 136
    i32.add
    global.set $~lib/memory/__stack_pointer
-   local.get $0
+   local.get $15
    return
   end
-  i32.const 44848
-  i32.const 44896
+  i32.const 76400
+  i32.const 76448
   i32.const 1
   i32.const 1
   call $~lib/builtins/abort
   unreachable
  )
- (func $~lib/staticarray/StaticArray<f64>#constructor (param $0 i32) (result i32)
+ (func $assembly/index/runBatch (result i32)
+  (local $0 i32)
   (local $1 i32)
   (local $2 i32)
   (local $3 i32)
+  (local $4 i32)
+  (local $5 i32)
   global.get $~lib/memory/__stack_pointer
   i32.const 4
   i32.sub
   global.set $~lib/memory/__stack_pointer
   global.get $~lib/memory/__stack_pointer
-  i32.const 12060
+  i32.const 43600
   i32.lt_s
   if
-   i32.const 44848
-   i32.const 44896
+   i32.const 76400
+   i32.const 76448
    i32.const 1
    i32.const 1
    call $~lib/builtins/abort
@@ -5489,12 +12801,113 @@
   global.get $~lib/memory/__stack_pointer
   i32.const 0
   i32.store
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/strategyTable
+  local.tee $0
+  i32.store
+  local.get $0
+  i32.const 20
+  i32.sub
+  i32.load offset=16
+  i32.const 9
+  i32.shr_u
+  local.tee $4
+  i32.const 1
+  i32.add
+  local.tee $1
+  i32.const 0
+  call $assembly/index/reserveBatchOutput
+  global.get $~lib/memory/__stack_pointer
+  global.get $assembly/index/batchOutput
+  local.tee $0
+  i32.store
   local.get $0
-  i32.const 134217727
+  i32.const 0
+  local.get $4
+  f64.convert_i32_s
+  call $~lib/staticarray/StaticArray<f64>#__set
+  loop $for-loop|0
+   local.get $4
+   local.get $5
+   i32.gt_s
+   if
+    local.get $5
+    global.set $assembly/index/batchRow
+    global.get $assembly/index/inputBuffer
+    global.get $assembly/index/strategyTable
+    local.get $5
+    i32.const 9
+    i32.shl
+    i32.add
+    i32.const 512
+    memory.copy
+    call $assembly/index/runSimulation
+    local.tee $3
+    local.get $1
+    i32.add
+    local.tee $0
+    local.get $1
+    call $assembly/index/reserveBatchOutput
+    global.get $~lib/memory/__stack_pointer
+    global.get $assembly/index/batchOutput
+    local.tee $2
+    i32.store
+    local.get $2
+    local.get $5
+    i32.const 1
+    i32.add
+    local.tee $5
+    local.get $3
+    f64.convert_i32_s
+    call $~lib/staticarray/StaticArray<f64>#__set
+    global.get $assembly/index/batchOutput
+    local.get $1
+    i32.const 3
+    i32.shl
+    i32.add
+    global.get $assembly/index/outputBuffer
+    local.get $3
+    i32.const 3
+    i32.shl
+    memory.copy
+    local.get $0
+    local.set $1
+    br $for-loop|0
+   end
+  end
+  i32.const 0
+  global.set $assembly/index/batchRow
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $1
+ )
+ (func $~lib/staticarray/StaticArray<u32>#constructor (param $0 i32) (result i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  local.get $0
+  i32.const 268435455
   i32.gt_u
   if
-   i32.const 1056
-   i32.const 1104
+   i32.const 32448
+   i32.const 32496
    i32.const 51
    i32.const 60
    call $~lib/builtins/abort
@@ -5502,119 +12915,99 @@
   end
   global.get $~lib/memory/__stack_pointer
   local.get $0
-  i32.const 3
+  i32.const 2
   i32.shl
-  local.tee $1
-  i32.const 1073741804
-  i32.ge_u
+  i32.const 5
+  call $~lib/rt/itcms/__new
+  local.tee $0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.add
+  global.set $~lib/memory/__stack_pointer
+  local.get $0
+ )
+ (func $~lib/staticarray/StaticArray<f64>#constructor (param $0 i32) (result i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
   if
-   i32.const 1168
-   i32.const 1232
-   i32.const 261
-   i32.const 31
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
    call $~lib/builtins/abort
    unreachable
   end
-  global.get $~lib/rt/itcms/total
-  global.get $~lib/rt/itcms/threshold
-  i32.ge_u
-  if
-   block $__inlined_func$~lib/rt/itcms/interrupt$68
-    i32.const 2048
-    local.set $0
-    loop $do-loop|0
-     local.get $0
-     call $~lib/rt/itcms/step
-     i32.sub
-     local.set $0
-     global.get $~lib/rt/itcms/state
-     i32.eqz
-     if
-      global.get $~lib/rt/itcms/total
-      i64.extend_i32_u
-      i64.const 200
-      i64.mul
-      i64.const 100
-      i64.div_u
-      i32.wrap_i64
-      i32.const 1024
-      i32.add
-      global.set $~lib/rt/itcms/threshold
-      br $__inlined_func$~lib/rt/itcms/interrupt$68
-     end
-     local.get $0
-     i32.const 0
-     i32.gt_s
-     br_if $do-loop|0
-    end
-    global.get $~lib/rt/itcms/total
-    global.get $~lib/rt/itcms/total
-    global.get $~lib/rt/itcms/threshold
-    i32.sub
-    i32.const 1024
-    i32.lt_u
-    i32.const 10
-    i32.shl
-    i32.add
-    global.set $~lib/rt/itcms/threshold
-   end
-  end
-  global.get $~lib/rt/tlsf/ROOT
-  i32.eqz
+  global.get $~lib/memory/__stack_pointer
+  i32.const 0
+  i32.store
+  local.get $0
+  i32.const 134217727
+  i32.gt_u
   if
-   call $~lib/rt/tlsf/initialize
+   i32.const 32448
+   i32.const 32496
+   i32.const 51
+   i32.const 60
+   call $~lib/builtins/abort
+   unreachable
   end
-  global.get $~lib/rt/tlsf/ROOT
-  local.get $1
-  i32.const 16
-  i32.add
-  call $~lib/rt/tlsf/allocateBlock
-  local.tee $2
-  i32.const 4
-  i32.store offset=12
-  local.get $2
-  local.get $1
-  i32.store offset=16
-  global.get $~lib/rt/itcms/fromSpace
-  local.tee $0
-  i32.load offset=8
-  local.set $3
-  local.get $2
+  global.get $~lib/memory/__stack_pointer
   local.get $0
-  global.get $~lib/rt/itcms/white
-  i32.or
-  i32.store offset=4
-  local.get $2
-  local.get $3
-  i32.store offset=8
-  local.get $3
-  local.get $2
-  local.get $3
-  i32.load offset=4
   i32.const 3
-  i32.and
-  i32.or
-  i32.store offset=4
-  local.get $0
-  local.get $2
-  i32.store offset=8
-  global.get $~lib/rt/itcms/total
-  local.get $2
-  i32.load
-  i32.const -4
-  i32.and
+  i32.shl
+  i32.const 6
+  call $~lib/rt/itcms/__new
+  local.tee $0
+  i32.store
+  global.get $~lib/memory/__stack_pointer
   i32.const 4
   i32.add
-  i32.add
-  global.set $~lib/rt/itcms/total
-  local.get $2
-  i32.const 20
-  i32.add
-  local.tee $0
+  global.set $~lib/memory/__stack_pointer
+  local.get $0
+ )
+ (func $~lib/staticarray/StaticArray<i32>#constructor (param $0 i32) (result i32)
+  global.get $~lib/memory/__stack_pointer
+  i32.const 4
+  i32.sub
+  global.set $~lib/memory/__stack_pointer
+  global.get $~lib/memory/__stack_pointer
+  i32.const 43600
+  i32.lt_s
+  if
+   i32.const 76400
+   i32.const 76448
+   i32.const 1
+   i32.const 1
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
   i32.const 0
-  local.get $1
-  memory.fill
+  i32.store
+  local.get $0
+  i32.const 268435455
+  i32.gt_u
+  if
+   i32.const 32448
+   i32.const 32496
+   i32.const 51
+   i32.const 60
+   call $~lib/builtins/abort
+   unreachable
+  end
+  global.get $~lib/memory/__stack_pointer
   local.get $0
+  i32.const 2
+  i32.shl
+  i32.const 7
+  call $~lib/rt/itcms/__new
+  local.tee $0
   i32.store
   global.get $~lib/memory/__stack_pointer
   i32.const 4
@@ -14,6 +14,146 @@ const STANDARD_MODE_DEFAULTS = {
     MAX_LTV: 35.0             // Maximum LTV allowed in Standard Mode (%)
 };
 
+// Return Model Defaults (Custom Mode only; Standard Mode always uses lognormal returns)
+const RETURN_MODEL_DEFAULTS = {
+    MODEL: 'lognormal',        // 'lognormal' | 'studentT' | 'jumpDiffusion' | 'regimeSwitching' | 'bootstrap'
+    DEGREES_OF_FREEDOM: 5,     // Student-t tail heaviness (lower = fatter tails, must be > 2)
+    JUMP_INTENSITY: 0.5,       // Expected crash jumps per year
+    JUMP_MEAN: -8.0,           // Mean log jump size (%)
+    JUMP_STDEV: 12.0           // Standard deviation of log jump size (%)
+};
+
+// Regime-Switching Defaults (Custom Mode, "Regime Switching" return model)
+// SWITCH[j] = monthly probability (%) of moving to regime j; staying is whatever remains
+const REGIME_DEFAULTS = {
+    COUNT: 2,                  // 2 = bull/bear, 3 adds a crisis regime
+    REGIMES: [
+        { NAME: 'Bull',   GROWTH: 12.0,  VOLATILITY: 12.0, SWITCH: [0, 2.0, 0.5] },
+        { NAME: 'Bear',   GROWTH: -8.0,  VOLATILITY: 25.0, SWITCH: [8.0, 0, 2.0] },
+        { NAME: 'Crisis', GROWTH: -30.0, VOLATILITY: 45.0, SWITCH: [0, 25.0, 0] }
+    ]
+};
+
+// Historical Bootstrap Defaults (Custom Mode, "Historical Bootstrap" return model)
+const BOOTSTRAP_DEFAULTS = {
+    DATASET_URL: 'data/sp500-total-return-monthly.csv',
+    DATASET_LABEL: 'S&P 500 Total Return (Shiller)',
+    SAMPLING: 'block',         // 'iid' = independent months, 'block' = consecutive runs of months
+    BLOCK_LENGTH: 12,          // Months per block (keeps momentum and crash clustering)
+    MIN_MONTHS: 24             // Smallest uploaded series accepted
+};
+
+// Multi-Asset Portfolio Defaults (Custom Mode only; Standard Mode uses a single Growth/Volatility asset)
+// CORRELATION[j] = correlation of monthly returns with asset j; the matrix must be symmetric
+const PORTFOLIO_DEFAULTS = {
+    MODE: 'single',            // 'single' = Growth/Volatility inputs | 'multi' = asset mix below
+    REBALANCE_MONTHS: 12,      // Months between rebalances to the target weights (0 = never)
+    ASSETS: [
+        { NAME: 'Stocks', WEIGHT: 60, GROWTH: 8.0, VOLATILITY: 15.0, CORRELATION: [1.0, 0.1, 0.0] },
+        { NAME: 'Bonds',  WEIGHT: 30, GROWTH: 4.5, VOLATILITY: 6.0,  CORRELATION: [0.1, 1.0, 0.2] },
+        { NAME: 'Cash',   WEIGHT: 10, GROWTH: 3.0, VOLATILITY: 1.0,  CORRELATION: [0.0, 0.2, 1.0] }
+    ]
+};
+
+// Floating Interest Rate Defaults (Custom Mode only; Standard Mode uses a fixed rate)
+// The short rate starts at the Interest Rate input and mean-reverts toward LONG_RUN_RATE
+const RATE_MODEL_DEFAULTS = {
+    MODEL: 'fixed',            // 'fixed' | 'vasicek' | 'cir'
+    MEAN_REVERSION: 0.3,       // Pull toward the long-run rate per year (0.3 = ~2.3 year half-life)
+    LONG_RUN_RATE: 7.0,        // Long-run borrowing rate (%)
+    VOLATILITY: 1.5,           // Annual rate volatility at the long-run rate (percentage points)
+    CORRELATION: -0.2          // Correlation of rate shocks with stock returns (negative = rates rise as stocks fall)
+};
+
+// Margin Call Handling Defaults (Custom Mode only; Standard Mode treats a margin call as total ruin)
+const MARGIN_CALL_DEFAULTS = {
+    MODE: 'ruin',              // 'ruin' = liquidate everything | 'deleverage' = sell just enough and keep going
+    DELEVERAGE_TARGET_LTV: 50.0 // LTV restored by a forced sale (%), must be below the margin call threshold
+};
+
+// Emergency Reserve Defaults (Custom Mode only; Standard Mode assumes no outside cash)
+const RESERVE_DEFAULTS = {
+    CASH_RESERVE: 0,           // Savings available to pay down debt on a margin call ($)
+    CURE_MONTHS: 0             // Months a margin call may stay open before it is enforced
+};
+
+// Risk Reporting Defaults (both modes; only affects what is reported, not the simulation)
+const RISK_DEFAULTS = {
+    WARNING_LTV: 50.0          // LTV (%) above which a month counts as a close call
+};
+
+// Sample Size Defaults (both modes; the no-leverage benchmark always runs BASE_CASE_SIMULATIONS)
+// Adaptive sampling runs each leveraged strategy in batches until its survival rate is pinned down
+const SAMPLING_DEFAULTS = {
+    MODE: 'fixed',             // 'fixed' = SIMULATION_COUNT per strategy | 'adaptive' = stop once precise enough
+    TOLERANCE: 0.1,            // Stop when the 95% survival interval is within ± this many percentage points
+    BATCH_SIZE: 2000,          // Paths between convergence checks (also the fewest any strategy runs)
+    MAX_SIMULATIONS: 50000,    // Most paths any one strategy may run
+    METHOD: 'pseudoRandom',    // 'pseudoRandom' | 'sobol' = scrambled Sobol quasi-Monte Carlo (single-asset lognormal only)
+    MAX_SOBOL_MONTHS: 1200     // Longest Sobol horizon, one dimension per month (must match assembly/index.ts)
+};
+
+// Sampling Convergence Comparison (the "Compare Sampling Methods" tool)
+// Each sample size is run REPLICATES times with different seeds under both methods; the spread
+// of the estimates shows how many Sobol paths match the precision of SIMULATION_COUNT pseudo-random ones
+const CONVERGENCE_DEFAULTS = {
+    SAMPLE_SIZES: [1024, 2048, 4096, 8192, 16384],
+    REPLICATES: 8
+};
+
+// Provisional Results (drawn while Calculate runs, refined until the run is final)
+const PROGRESSIVE_DEFAULTS = {
+    INTERIM_PATHS: 2000,       // Paths between provisional outputs from each strategy
+    RENDER_INTERVAL_MS: 750    // Minimum time between provisional redraws
+};
+
+// Simulation Worker Pool (long-lived workers, each running a chunk of strategies per engine call)
+const WORKER_POOL_DEFAULTS = {
+    FALLBACK_SIZE: 4,          // Workers when the browser does not report navigator.hardwareConcurrency
+    MAX_SIZE: 16,              // Upper limit on workers, however many cores are reported
+    CHUNKS_PER_WORKER: 2,      // Chunks per worker, so a worker that finishes early picks up more
+    TIMEOUT_MS: 600000         // 10 minutes per chunk before the worker is abandoned
+};
+
+// Path Splitting (a fixed-count strategy too big for one worker's share runs as path ranges on
+// several workers, merged back into the exact full-run result)
+const PATH_SPLIT_DEFAULTS = {
+    MIN_PART_PATHS: 2500,      // Smallest range worth its own worker; at least 2 x BAND_PATHS so every range holds the band paths or starts past them
+    BAND_PATHS: 1000,          // Engine BAND_PATHS: the fan chart bands come from these first paths
+    CONFIDENCE_Z: 1.959963984540054,               // Engine CONFIDENCE_Z, for intervals recomputed after a merge
+    RISK_PERCENTILES: [0.5, 0.75, 0.9, 0.95, 0.99] // Engine RISK_PERCENTILES
+};
+
+// Engine Module Loading (compiled once on the page and shared by every pooled worker)
+const ENGINE_MODULE_DEFAULTS = {
+    URL: 'build/sim.wasm',     // Relative to the page
+    CACHE_DB: 'loc-simulator', // IndexedDB database keeping the last downloaded engine between page loads
+    CACHE_STORE: 'engine',
+    CACHE_KEY: 'sim.wasm'
+};
+
+// Variance Reduction Defaults (both modes; only change how market scenarios are drawn)
+const VARIANCE_REDUCTION_DEFAULTS = {
+    MARKET_PATHS: 'independent', // 'independent' = fresh scenarios per strategy | 'common' = every strategy replays the benchmark's
+    ANTITHETIC: 'off'          // 'on' = scenarios in mirrored pairs (each market shock flipped in the second)
+};
+
+// Tax Defaults (Custom Mode only; Standard Mode reports pre-tax wealth)
+const TAX_DEFAULTS = {
+    MODE: 'none',              // 'none' = pre-tax only | 'taxable' = also report after-tax wealth
+    CAPITAL_GAINS_RATE: 20.0,  // Tax on realized gains (%)
+    INTEREST_DEDUCTION_RATE: 0 // Marginal rate at which loan interest is deductible (%), 0 = not deductible
+};
+
+// Stochastic Inflation Defaults (Custom Mode only; Standard Mode uses constant inflation)
+// Inflation follows an AR(1) process around the Inflation Rate input, simulated monthly per path
+const INFLATION_MODEL_DEFAULTS = {
+    MODEL: 'constant',         // 'constant' | 'stochastic'
+    PERSISTENCE: 0.7,          // Share of an inflation surprise still present a year later
+    VOLATILITY: 1.5,           // Long-run standard deviation of annual inflation (percentage points)
+    CORRELATION: 0.0           // Correlation of inflation shocks with stock returns
+};
+
 // Default Input Values
 const DEFAULT_INPUTS = {
     LOAN_PERIOD: 30,           // Default simulation period (years)
@@ -48,42 +188,104 @@ const UI_CONSTANTS = {
     }
 };
 
+// WASM Engine Output Limits (must match assembly/index.ts)
+// The engine grows its output buffer to fit each run; a run that would need more fails with status 5
+const ENGINE_OUTPUT_DEFAULTS = {
+    MAX_OUTPUT_SIZE: 33554432  // Most f64 values one strategy may output (256 MB)
+};
+
+// WASM Engine Output Protocol (must match assembly/index.ts; see documentation/MEMORY_PROTOCOL.md)
+// Every output is a header (magic, version, status, section count), a table of
+// (id, offset, length) entries, then the sections; the worker looks sections up by name
+const ENGINE_PROTOCOL = {
+    MAGIC: 0x4D43534D,         // "MCSM" at output [0]
+    VERSION: 1,                // Output [1]; bumped whenever a section's contents change meaning
+    HEADER_SIZE: 4,
+    SECTION_ENTRY_SIZE: 3,
+    SECTION_COUNT: 16,         // Sections of a full run; a path range run adds riskSamples
+    SECTIONS: {                // Section id -> name; ids this page does not know are skipped
+        1: 'stats',
+        2: 'depositPath',
+        3: 'debtBands',
+        4: 'wealth',
+        5: 'liquidation',
+        6: 'liquidatedWealth',
+        7: 'reserve',
+        8: 'tax',
+        9: 'afterTaxWealth',
+        10: 'balanceBands',
+        11: 'equityBands',
+        12: 'ltvBands',
+        13: 'ruinMonths',
+        14: 'risk',
+        15: 'confidence',
+        16: 'pathWealth',
+        17: 'riskSamples'
+    }
+};
+
+// Engine status codes (WASM output [2]) and the error shown for each
+const ENGINE_STATUS_MESSAGES = {
+    1: 'The Historical Bootstrap model has no return series. Reload the bundled data or upload a CSV.',
+    2: 'The deleverage target LTV must be below the margin call LTV.',
+    3: 'The collateral portfolio is invalid: check the weights and that the correlation matrix is consistent (positive definite).',
+    4: 'Sobol sampling only works with the Lognormal return model, a single collateral asset and at most 100 years.',
+    5: 'The run is too large for the simulation engine. Lower the number of scenarios or the loan period.',
+    6: 'The scenario count and the loan period must both be positive numbers.',
+    7: 'The simulation engine cannot run this strategy in parts. Reload the page and try again.'
+};
+
+/**
+ * Describe a non-zero engine status for the user
+ */
+function describeEngineStatus(status) {
+    return ENGINE_STATUS_MESSAGES[status] || `The simulation engine failed with unknown status ${status}.`;
+}
+
 /**
- * Calculate required WASM output buffer size
- * Formula: 2 header + (8 + BASE_CASE_SIMS) + (NUM_STRATS - 1) * (8 + SIM_COUNT)
- * 
- * WARNING: If you change simulation counts, the buffer must be large enough!
+ * Calculate the WASM output size of one strategy: the most values the engine can write for
+ * simulationCount paths over years (mirrors requiredOutputSize() in assembly/index.ts)
+ * options.liquidations / taxable / pathWealth add the survivor-sized arrays those modes output
+ * options.part sizes a path range run of simulationCount paths (adds riskSamples)
  */
-function calculateRequiredBufferSize() {
-    const headerSize = 2;
-    const scenarioHeaderSize = 8;
-    const benchmarkSize = scenarioHeaderSize + UI_CONSTANTS.BASE_CASE_SIMULATIONS;
-    const leveragedSize = (UI_CONSTANTS.NUM_STRATEGIES - 1) * 
-                          (scenarioHeaderSize + UI_CONSTANTS.SIMULATION_COUNT);
-    const totalRequired = headerSize + benchmarkSize + leveragedSize;
+function calculateRequiredBufferSize(simulationCount, years, options = {}) {
+    const months = Math.floor(years * 12);
+    const bandSize = 5 * (months + 1);
+    const sectionTableSize = (ENGINE_PROTOCOL.SECTION_COUNT + (options.part ? 1 : 0)) * ENGINE_PROTOCOL.SECTION_ENTRY_SIZE;
+    const totalRequired = ENGINE_PROTOCOL.HEADER_SIZE + sectionTableSize
+        + 8 + (months + 1) + bandSize
+        + simulationCount
+        + 5 + (options.liquidations ? simulationCount : 0)
+        + 5
+        + 7 + (options.taxable ? simulationCount : 0)
+        + 3 * bandSize + months
+        + 19 + 8
+        + (options.pathWealth ? simulationCount : 0)
+        + (options.part ? 3 * simulationCount : 0);
     
     return {
         required: totalRequired,
-        allocated: 800000,  // Must match assembly/index.ts outputBuffer size
-        isValid: totalRequired <= 800000,
-        utilizationPercent: (totalRequired / 800000 * 100).toFixed(1)
+        allocated: ENGINE_OUTPUT_DEFAULTS.MAX_OUTPUT_SIZE,
+        isValid: totalRequired <= ENGINE_OUTPUT_DEFAULTS.MAX_OUTPUT_SIZE,
+        utilizationPercent: (totalRequired / ENGINE_OUTPUT_DEFAULTS.MAX_OUTPUT_SIZE * 100).toFixed(1)
     };
 }
 
-// Validate buffer size on load
+// Validate on load that the largest default run (every optional array) fits the engine's limit
 if (typeof window !== 'undefined') {
-    const bufferInfo = calculateRequiredBufferSize();
+    const largestRun = Math.max(UI_CONSTANTS.BASE_CASE_SIMULATIONS, UI_CONSTANTS.SIMULATION_COUNT, SAMPLING_DEFAULTS.MAX_SIMULATIONS);
+    const bufferInfo = calculateRequiredBufferSize(largestRun, DEFAULT_INPUTS.LOAN_PERIOD, { liquidations: true, taxable: true, pathWealth: true, part: true });
     if (!bufferInfo.isValid) {
         console.error(
-            `⚠️ BUFFER OVERFLOW WARNING!\n` +
+            `⚠️ OUTPUT SIZE WARNING!\n` +
             `Required: ${bufferInfo.required.toLocaleString()} f64 values\n` +
-            `Allocated: ${bufferInfo.allocated.toLocaleString()} f64 values\n` +
-            `You must reduce SIMULATION_COUNT or BASE_CASE_SIMULATIONS in config.js\n` +
-            `or increase outputBuffer size in assembly/index.ts and rebuild (npm run asbuild)`
+            `Engine limit: ${bufferInfo.allocated.toLocaleString()} f64 values\n` +
+            `Runs this large will fail with status 5: reduce SIMULATION_COUNT, BASE_CASE_SIMULATIONS\n` +
+            `or SAMPLING_DEFAULTS.MAX_SIMULATIONS in config.js`
         );
     } else {
         console.log(
-            `✓ Buffer size OK: ${bufferInfo.utilizationPercent}% utilized ` +
+            `✓ Output size OK: largest default run uses ${bufferInfo.utilizationPercent}% of the engine limit ` +
             `(${bufferInfo.required.toLocaleString()} / ${bufferInfo.allocated.toLocaleString()})`
         );
     }
@@ -93,8 +295,29 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
         STANDARD_MODE_DEFAULTS, 
+        RETURN_MODEL_DEFAULTS,
+        REGIME_DEFAULTS,
+        BOOTSTRAP_DEFAULTS,
+        PORTFOLIO_DEFAULTS,
+        RATE_MODEL_DEFAULTS,
+        INFLATION_MODEL_DEFAULTS,
+        MARGIN_CALL_DEFAULTS,
+        RESERVE_DEFAULTS,
+        TAX_DEFAULTS,
+        RISK_DEFAULTS,
+        SAMPLING_DEFAULTS,
+        VARIANCE_REDUCTION_DEFAULTS,
+        CONVERGENCE_DEFAULTS,
+        WORKER_POOL_DEFAULTS,
+        PATH_SPLIT_DEFAULTS,
+        ENGINE_MODULE_DEFAULTS,
+        PROGRESSIVE_DEFAULTS,
         UI_CONSTANTS, 
         DEFAULT_INPUTS,
+        ENGINE_PROTOCOL,
+        ENGINE_OUTPUT_DEFAULTS,
+        ENGINE_STATUS_MESSAGES,
+        describeEngineStatus,
         calculateRequiredBufferSize 
     };
 }
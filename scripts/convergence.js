@@ -0,0 +1,216 @@
+/**
+ * Sampling Convergence - Pseudo-Random vs Sobol Comparison
+ * Re-runs one strategy at several sample sizes under both random number sources and measures
+ * how much the headline estimates move between seeds, so a lower SIMULATION_COUNT can be
+ * justified (or rejected) with numbers from the actual engine
+ */
+
+/**
+ * Method:
+ * - Every sample size in CONVERGENCE_DEFAULTS.SAMPLE_SIZES is run REPLICATES times per method,
+ *   each replicate with its own seed (for Sobol, its own scramble)
+ * - The standard deviation of an estimate across replicates is its Monte Carlo error
+ * - Each method's errors are fitted to error = a * N^-b on log-log axes; pseudo-random should
+ *   come out near b = 0.5, Sobol steeper for the smooth estimates
+ * - The precision to match is pseudo-random at UI_CONSTANTS.SIMULATION_COUNT, scaled from all
+ *   measured sizes by the N^-1/2 law (a fitted slope from a few replicates is too noisy to
+ *   extrapolate), and the Sobol fit is inverted to find the sample size that matches it
+ */
+const SamplingConvergence = {
+    METHODS: [
+        { key: 'pseudoRandom', label: 'Pseudo-Random', color: '#757575' },
+        { key: 'sobol', label: 'Sobol', color: '#1565C0' }
+    ],
+
+    ESTIMATES: [
+        { key: 'expectedWealth', label: 'Average Wealth' },
+        { key: 'medianWealth', label: 'Median Wealth' },
+        { key: 'survivalRate', label: 'Survival Rate' }
+    ],
+
+    /**
+     * Run the comparison for one strategy (0 = no-leverage benchmark, 1-20 leveraged)
+     * onProgress(completedRuns, totalRuns) is called as runs finish
+     */
+    async compare(uiInputs, strategyIndex, onProgress) {
+        const baseInput = buildStrategyInputs(uiInputs)[strategyIndex];
+        const jobs = [];
+        for (const method of this.METHODS) {
+            for (const sampleSize of CONVERGENCE_DEFAULTS.SAMPLE_SIZES) {
+                for (let replicate = 0; replicate < CONVERGENCE_DEFAULTS.REPLICATES; replicate++) {
+                    jobs.push({
+                        method: method.key,
+                        sampleSize: sampleSize,
+                        input: {
+                            ...baseInput,
+                            simulationCount: sampleSize,
+                            samplingTolerance: 0,
+                            samplingMethod: SAMPLING_METHOD_CODES[method.key],
+                            seed: deriveStrategySeed(uiInputs.seed, replicate)
+                        }
+                    });
+                }
+            }
+        }
+
+        // One run per job so progress can be reported; the worker pool limits how many run at once
+        let completed = 0;
+        const results = await Promise.all(jobs.map(async job => {
+            const { sections } = await runStrategyWorker(job.input, strategyIndex);
+            completed++;
+            if (onProgress) onProgress(completed, jobs.length);
+            return unmarshalStrategyResults(sections);
+        }));
+
+        return this.summarize(jobs, results);
+    },
+
+    /**
+     * Reduce the replicate results to a spread per method, estimate and sample size, plus the fits
+     */
+    summarize(jobs, results) {
+        const summary = {};
+        for (const method of this.METHODS) {
+            summary[method.key] = {};
+            for (const estimate of this.ESTIMATES) {
+                const points = CONVERGENCE_DEFAULTS.SAMPLE_SIZES.map(sampleSize => {
+                    const values = results
+                        .filter((_, i) => jobs[i].method === method.key && jobs[i].sampleSize === sampleSize)
+                        .map(result => result[estimate.key]);
+                    return { sampleSize: sampleSize, mean: this.mean(values), stdDev: this.stdDev(values) };
+                });
+                summary[method.key][estimate.key] = { points: points, fit: this.fitPowerLaw(points) };
+            }
+        }
+        return summary;
+    },
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    },
+
+    /**
+     * Sample standard deviation (n - 1)
+     */
+    stdDev(values) {
+        const mean = this.mean(values);
+        const sumSquares = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0);
+        return Math.sqrt(sumSquares / (values.length - 1));
+    },
+
+    /**
+     * Least-squares fit of log(stdDev) = log(a) - b * log(N); null when any spread is zero
+     * (e.g. a strategy that never margin-calls has no survival error to fit)
+     */
+    fitPowerLaw(points) {
+        if (points.some(point => !(point.stdDev > 0))) return null;
+        const xs = points.map(point => Math.log(point.sampleSize));
+        const ys = points.map(point => Math.log(point.stdDev));
+        const xMean = this.mean(xs);
+        const yMean = this.mean(ys);
+        let covariance = 0;
+        let variance = 0;
+        for (let i = 0; i < xs.length; i++) {
+            covariance += (xs[i] - xMean) * (ys[i] - yMean);
+            variance += (xs[i] - xMean) * (xs[i] - xMean);
+        }
+        const slope = covariance / variance;
+        return { scale: Math.exp(yMean - slope * xMean), rate: -slope };
+    },
+
+    /**
+     * Sobol sample size whose fitted error matches pseudo-random at UI_CONSTANTS.SIMULATION_COUNT
+     */
+    equivalentSobolCount(pseudoRandomPoints, sobolFit) {
+        if (!sobolFit || !(sobolFit.rate > 0)) return null;
+        const pooledScale = this.mean(pseudoRandomPoints.map(point => point.stdDev * Math.sqrt(point.sampleSize)));
+        if (!(pooledScale > 0)) return null;
+        const targetError = pooledScale / Math.sqrt(UI_CONSTANTS.SIMULATION_COUNT);
+        return Math.ceil(Math.pow(sobolFit.scale / targetError, 1 / sobolFit.rate));
+    },
+
+    /**
+     * Summary table: convergence rate per method and the matching Sobol sample size per estimate
+     */
+    buildSummaryHTML(summary, strategyLabel) {
+        const rows = this.ESTIMATES.map(estimate => {
+            const pseudoFit = summary.pseudoRandom[estimate.key].fit;
+            const sobolFit = summary.sobol[estimate.key].fit;
+            const equivalent = this.equivalentSobolCount(summary.pseudoRandom[estimate.key].points, sobolFit);
+            const rate = fit => fit ? `N<sup>-${fit.rate.toFixed(2)}</sup>` : '—';
+            return `<tr>
+                <td style="padding: 4px 12px 4px 0;">${estimate.label}</td>
+                <td style="padding: 4px 12px;">${rate(pseudoFit)}</td>
+                <td style="padding: 4px 12px;">${rate(sobolFit)}</td>
+                <td style="padding: 4px 0 4px 12px;"><strong>${equivalent ? equivalent.toLocaleString() : '—'}</strong></td>
+            </tr>`;
+        }).join('');
+
+        return `
+            <h3 style="margin-top: 0;">Sampling Convergence (${strategyLabel})</h3>
+            <p style="font-size: 0.9rem; color: #555;">
+                Each sample size ran ${CONVERGENCE_DEFAULTS.REPLICATES} times with different seeds under each method.
+                The error is how much an estimate moves between those runs; it shrinks with the number of scenarios N at the rate shown.
+                The last column is the number of Sobol scenarios that gives the same error as
+                ${UI_CONSTANTS.SIMULATION_COUNT.toLocaleString()} pseudo-random ones.
+            </p>
+            <table style="font-size: 0.9rem; border-collapse: collapse;">
+                <tr style="text-align: left; color: #757575;">
+                    <th style="padding: 4px 12px 4px 0;">Estimate</th>
+                    <th style="padding: 4px 12px;">Pseudo-Random Error</th>
+                    <th style="padding: 4px 12px;">Sobol Error</th>
+                    <th style="padding: 4px 0 4px 12px;">Sobol Scenarios to Match</th>
+                </tr>
+                ${rows}
+            </table>
+            <p style="font-size: 0.85rem; color: #757575; margin-bottom: 0;">
+                Survival counts margin calls, an all-or-nothing outcome, so it gains much less from Sobol than the wealth estimates.
+                A dash means the estimate did not vary between runs (for example, no margin calls at all).
+            </p>
+        `;
+    },
+
+    /**
+     * Log-log chart of the error in average and median wealth against sample size
+     */
+    renderChart(elementId, summary) {
+        const traces = [];
+        for (const method of this.METHODS) {
+            for (const estimate of this.ESTIMATES.slice(0, 2)) {
+                const points = summary[method.key][estimate.key].points;
+                traces.push({
+                    x: points.map(point => point.sampleSize),
+                    y: points.map(point => point.stdDev),
+                    type: 'scatter',
+                    mode: 'lines+markers',
+                    name: `${method.label}: ${estimate.label}`,
+                    line: { color: method.color, width: 2, dash: estimate.key === 'medianWealth' ? 'dot' : 'solid' },
+                    hovertemplate: `${method.label}, %{x:,} scenarios: ${estimate.label.toLowerCase()} varies by $%{y:,.0f}<extra></extra>`
+                });
+            }
+        }
+
+        const layout = {
+            title: 'Monte Carlo Error by Sample Size',
+            xaxis: { title: 'Scenarios (log scale)', type: 'log' },
+            yaxis: { title: 'Std. Dev. Between Runs ($, log scale)', type: 'log' },
+            margin: { t: 80, b: 80, l: 100, r: 40 },
+            autosize: true,
+            plot_bgcolor: '#f9f9f9',
+            paper_bgcolor: '#ffffff'
+        };
+
+        const config = {
+            responsive: true,
+            displayModeBar: true,
+            displaylogo: false
+        };
+
+        return Plotly.newPlot(elementId, traces, layout, config);
+    }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SamplingConvergence = SamplingConvergence;
+}
@@ -328,6 +328,23 @@ const CopywritingHelpers = {
         return `Simulation failed: ${message}`;
     },
 
+    /**
+     * Get the one-time notice that the WebAssembly engine could not be loaded
+     */
+    getEngineFallbackMessage(message) {
+        return `The simulation engine could not be loaded (${message}). Results will come from the slower JavaScript simulation, which supports only the basic model, until the page is reloaded.`;
+    },
+
+    /**
+     * Get the results notice listing the settings the JavaScript simulation ran without
+     */
+    getIgnoredSettingsNotice(ignoredSettings) {
+        const list = ignoredSettings.length > 1
+            ? `${ignoredSettings.slice(0, -1).join(', ')} and ${ignoredSettings[ignoredSettings.length - 1]}`
+            : ignoredSettings[0];
+        return `<strong>Basic model only:</strong> these results come from the JavaScript simulation, which ignored ${list}.`;
+    },
+
     /**
      * Format strategy summary narrative with current values
      */
@@ -0,0 +1,147 @@
+/**
+ * Engine Module - Compiles build/sim.wasm Once for Every Worker
+ * Compiles the engine on the page and keeps the WebAssembly.Module for the rest of the visit;
+ * the worker pool posts it to each worker it creates, so workers only instantiate it
+ */
+
+/**
+ * Loading:
+ * - The first load() compiles the engine; later calls (every run) get the same Module
+ * - The downloaded bytes are kept in IndexedDB with the server's ETag or Last-Modified value.
+ *   On the next page load a HEAD request checks that value: if the build is unchanged (or the
+ *   server cannot be reached) the cached bytes are compiled instead of downloaded again
+ * - Browsers no longer store a compiled Module in IndexedDB, so the bytes are cached
+ * - A failed load is remembered: load() resolves null and error says why, so a page
+ *   decides once to fall back instead of every worker failing on its own
+ */
+const EngineModule = {
+    module: null,  // compiled WebAssembly.Module once loaded
+    error: null,   // why the engine could not be loaded
+    loading: null, // promise of the first load, shared by every caller
+
+    /**
+     * Resolves with the compiled Module, or null when the engine cannot be loaded
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.compile().then(
+                module => {
+                    this.module = module;
+                    return module;
+                },
+                error => {
+                    this.error = error;
+                    console.error('[Engine] Failed to load the simulation engine:', error.message);
+                    return null;
+                }
+            );
+        }
+        return this.loading;
+    },
+
+    /**
+     * Compile the cached bytes when they are still current, otherwise download and cache them
+     */
+    async compile() {
+        const url = ENGINE_MODULE_DEFAULTS.URL;
+        const cached = await this.readCache();
+
+        if (cached) {
+            let current;
+            try {
+                const head = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+                current = head.ok && this.validator(head) === cached.validator;
+            } catch (error) {
+                console.warn(`[Engine] ${url} could not be reached; using the engine cached on ${new Date(cached.savedAt).toLocaleString()}`);
+                current = true;
+            }
+            if (current) {
+                try {
+                    return await WebAssembly.compile(cached.bytes);
+                } catch (error) {
+                    console.warn('[Engine] The cached engine does not compile; downloading it again:', error.message);
+                }
+            }
+        }
+
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Failed to fetch ${url}: ${error.message} (open the page through an HTTP server, not file://)`);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: HTTP ${response.status} ${response.statusText}`);
+        }
+
+        // compileStreaming() compiles while downloading but needs the application/wasm MIME type
+        const bytes = response.clone().arrayBuffer();
+        const streamable = typeof WebAssembly.compileStreaming === 'function' &&
+            (response.headers.get('Content-Type') || '').startsWith('application/wasm');
+        let module;
+        try {
+            module = streamable ? await WebAssembly.compileStreaming(response) : await WebAssembly.compile(await bytes);
+        } catch (error) {
+            throw new Error(`${url} is not a valid WebAssembly module (rebuild it with npm run asbuild): ${error.message}`);
+        }
+
+        // Without a validator a cached copy could never be checked, so it is not kept
+        const validator = this.validator(response);
+        if (validator) {
+            this.writeCache({ validator: validator, bytes: await bytes, savedAt: Date.now() });
+        }
+        return module;
+    },
+
+    /**
+     * The value that changes when the server's copy of the engine changes
+     */
+    validator(response) {
+        return response.headers.get('ETag') || response.headers.get('Last-Modified');
+    },
+
+    async readCache() {
+        if (typeof indexedDB === 'undefined') return null;
+        try {
+            return (await this.cacheRequest('readonly', store => store.get(ENGINE_MODULE_DEFAULTS.CACHE_KEY))) || null;
+        } catch (error) {
+            console.warn('[Engine] Could not read the cached engine:', error.message);
+            return null;
+        }
+    },
+
+    async writeCache(entry) {
+        if (typeof indexedDB === 'undefined') return;
+        try {
+            await this.cacheRequest('readwrite', store => store.put(entry, ENGINE_MODULE_DEFAULTS.CACHE_KEY));
+        } catch (error) {
+            console.warn('[Engine] Could not cache the engine:', error.message);
+        }
+    },
+
+    /**
+     * Open the cache database, run one request on its store and close it again
+     */
+    async cacheRequest(mode, makeRequest) {
+        const db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(ENGINE_MODULE_DEFAULTS.CACHE_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(ENGINE_MODULE_DEFAULTS.CACHE_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = makeRequest(db.transaction(ENGINE_MODULE_DEFAULTS.CACHE_STORE, mode).objectStore(ENGINE_MODULE_DEFAULTS.CACHE_STORE));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.EngineModule = EngineModule;
+}
@@ -0,0 +1,353 @@
+/**
+ * Fallback Engine - JavaScript Port of the WASM Engine's Lognormal Model
+ * Runs one strategy on the page when WebAssembly is unavailable or build/sim.wasm fails to load,
+ * and returns the same named output sections as the engine (see assembly/index.ts)
+ */
+
+/**
+ * Replaying a seed:
+ * - The generator (xoshiro128** seeded through SplitMix32), the per-path streams and the order of
+ *   the draws follow assembly/math.ts and runSimulation(), so a seed draws the same random numbers,
+ *   path by path and month by month, as the engine
+ * - exp, log, log1p, cos and pow come from FallbackMath (scripts/fallback-math.js), a port of the
+ *   engine's own Math, and the arithmetic runs in the engine's order, so the outputs match the
+ *   engine's bit for bit
+ * - Supported: lognormal returns, the fixed rate, constant or AR(1) inflation, total-ruin margin
+ *   calls, per-path streams, antithetic pairs and adaptive sampling. runSimulationJS() runs
+ *   without the other settings and the results page names them
+ */
+const FallbackEngine = {
+    rngState: new Uint32Array(4),
+    splitMixState: 0,
+    mirrorNormals: false, // antithetic: negate every normal draw of the path
+
+    /**
+     * Reset the generator so the same seed always replays the same sequence
+     */
+    seedRandom(seed) {
+        this.splitMixState = seed >>> 0;
+        for (let i = 0; i < 4; i++) {
+            this.rngState[i] = this.splitMix32();
+        }
+    },
+
+    splitMix32() {
+        this.splitMixState = (this.splitMixState + 0x9E3779B9) >>> 0;
+        let z = this.splitMixState;
+        z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+        z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+        return (z ^ (z >>> 16)) >>> 0;
+    },
+
+    /**
+     * Seed of path stream `stream` derived from a run seed (streamSeed() in assembly/math.ts)
+     */
+    streamSeed(seed, stream) {
+        let z = (seed ^ (Math.imul(stream, 0x9E3779B9) + 0x7F4A7C15)) >>> 0;
+        z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+        z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+        return (z ^ (z >>> 16)) >>> 0;
+    },
+
+    nextUint32() {
+        const state = this.rngState;
+        const rotated = Math.imul(state[1], 5);
+        const result = Math.imul((rotated << 7) | (rotated >>> 25), 9) >>> 0;
+        const t = state[1] << 9;
+
+        state[2] ^= state[0];
+        state[3] ^= state[1];
+        state[1] ^= state[2];
+        state[0] ^= state[3];
+        state[2] ^= t;
+        state[3] = (state[3] << 11) | (state[3] >>> 21);
+
+        return result;
+    },
+
+    /**
+     * Uniform random number in [0, 1) with 53 bits of precision
+     */
+    nextRandom() {
+        const hi = this.nextUint32() >>> 5;
+        const lo = this.nextUint32() >>> 6;
+        return (hi * 67108864 + lo) / 9007199254740992;
+    },
+
+    /**
+     * Standard normal draw (Box-Muller, one draw per pair of uniforms, as the engine's randn())
+     */
+    randn() {
+        let u = 0, v = 0;
+        while (u === 0) u = this.nextRandom();
+        while (v === 0) v = this.nextRandom();
+        const z = Math.sqrt(-2.0 * FallbackMath.log(u)) * FallbackMath.cos(2.0 * Math.PI * v);
+        return this.mirrorNormals ? -z : z;
+    },
+
+    /**
+     * Simulate one strategy (an entry of buildStrategyInputs()); returns its output sections
+     */
+    runStrategy(inputs) {
+        const months = Math.trunc(inputs.years * 12.0);
+        const count = inputs.simulationCount;
+        const seed = inputs.seed >>> 0;
+        const antithetic = !!inputs.antithetic;
+        const pathStreams = !!inputs.pathStreams || antithetic;
+        const tolerance = inputs.samplingTolerance || 0;
+        const batchSize = inputs.samplingBatchSize > 1 ? inputs.samplingBatchSize : 1;
+        const stochasticInflation = inputs.inflationModel === INFLATION_MODEL_CODES.stochastic;
+
+        // Monthly lognormal drift and volatility, as simulateMonthlyReturn() in assembly/math.ts
+        const dt = 1.0 / 12.0;
+        const drift = (inputs.growth - 0.5 * inputs.volatility * inputs.volatility) * dt;
+        const diffusion = inputs.volatility * Math.sqrt(dt);
+        const logMean = (inputs.growth - 0.5 * inputs.volatility * inputs.volatility) / 12.0;
+        const logStdDev = inputs.volatility * Math.sqrt(1.0 / 12.0);
+        const inflationPersistence = FallbackMath.pow(Math.max(inputs.inflationPersistence || 0, 0.0), 1.0 / 12.0);
+        const inflationShockScale = inflationPersistence < 1.0
+            ? (inputs.inflationVolatility || 0) * Math.sqrt(1.0 - inflationPersistence * inflationPersistence)
+            : (inputs.inflationVolatility || 0) * Math.sqrt(1.0 / 12.0);
+        const inflationCorrelation = inputs.inflationCorrelation || 0;
+        const inflationIndependentWeight = Math.sqrt(Math.max(1.0 - inflationCorrelation * inflationCorrelation, 0.0));
+        const constantDeflator = FallbackMath.pow(1.0 + inputs.inflation, inputs.years);
+        const priceLevel = (logDeflator, t) => stochasticInflation
+            ? FallbackMath.exp(logDeflator)
+            : FallbackMath.pow(1.0 + inputs.inflation, t / 12.0);
+
+        const depositPath = this.depositSchedule(inputs, months);
+
+        // Per-month bands come from the first BAND_PATHS paths (NaN once margin-called)
+        const stride = months + 1;
+        const bandPaths = Math.min(count, PATH_SPLIT_DEFAULTS.BAND_PATHS);
+        const debtSamples = new Float64Array(bandPaths * stride).fill(NaN);
+        const balanceSamples = new Float64Array(bandPaths * stride);
+        const equitySamples = new Float64Array(bandPaths * stride);
+        const ltvSamples = new Float64Array(bandPaths * stride).fill(NaN);
+
+        const wealth = new Float64Array(count);
+        const maxDrawdowns = new Float64Array(count);
+        const peakLTVs = new Float64Array(count);
+        const warningMonths = new Float64Array(count);
+        const keepPathWealth = !!inputs.pathWealth;
+        const pathWealth = new Float64Array(keepPathWealth ? count : 0);
+        const ruinMonths = new Float64Array(months);
+        let survivors = 0;
+        let warningPaths = 0;
+        let pathsRun = count;
+
+        this.seedRandom(seed);
+        this.mirrorNormals = false;
+        for (let s = 0; s < count; s++) {
+            // Antithetic pairs share a stream; the second path of each pair mirrors its normal shocks
+            if (pathStreams) {
+                this.seedRandom(this.streamSeed(seed, antithetic ? s >>> 1 : s));
+                this.mirrorNormals = antithetic && (s & 1) === 1;
+            }
+
+            let balance = depositPath[0];
+            let debt = inputs.initialDebt;
+            let inflationRate = inputs.inflation;
+            let logDeflator = 0.0;
+            let peakEquity = balance - debt;
+            let maxDrawdown = 0.0;
+            let peakLTV = debt / balance;
+            let monthsAboveWarning = 0;
+            let ruined = false;
+            const sampleRow = s < bandPaths ? s * stride : -1;
+            if (sampleRow >= 0) {
+                debtSamples[sampleRow] = debt;
+                balanceSamples[sampleRow] = balance;
+                equitySamples[sampleRow] = balance - debt;
+                ltvSamples[sampleRow] = debt / balance;
+            }
+
+            for (let t = 1; t <= months; t++) {
+                const ret = FallbackMath.exp(drift + diffusion * this.randn());
+
+                if (stochasticInflation) {
+                    const equityShock = logStdDev > 0.0 ? (FallbackMath.log(ret) - logMean) / logStdDev : 0.0;
+                    const shock = inflationCorrelation * equityShock + inflationIndependentWeight * this.randn();
+                    inflationRate = inputs.inflation + inflationPersistence * (inflationRate - inputs.inflation) + inflationShockScale * shock;
+                    logDeflator += FallbackMath.log1p(Math.max(inflationRate, -0.99)) / 12.0;
+                }
+
+                let deposit;
+                if (debt > 0) {
+                    const interest = debt * inputs.monthlyRate;
+                    const principalReduction = inputs.monthlyPayment - interest;
+                    if (t === months || principalReduction >= debt) {
+                        deposit = inputs.monthlyBudget - (debt + interest);
+                        debt = 0;
+                    } else {
+                        debt -= principalReduction;
+                        deposit = inputs.monthlyBudget - inputs.monthlyPayment;
+                    }
+                } else {
+                    deposit = inputs.monthlyBudget;
+                }
+                balance = balance * ret + deposit;
+
+                const ltv = debt / balance;
+                if (ltv > peakLTV) peakLTV = ltv;
+                if (debt > 0 && ltv > inputs.warningLTV) monthsAboveWarning++;
+                if (debt > 0 && ltv > inputs.marginCallLTV) {
+                    ruined = true;
+                    ruinMonths[t - 1]++;
+                    if (sampleRow >= 0) {
+                        balanceSamples.fill(0.0, sampleRow + t, sampleRow + stride);
+                        equitySamples.fill(0.0, sampleRow + t, sampleRow + stride);
+                    }
+                    break;
+                }
+
+                const equity = balance - debt;
+                if (equity > peakEquity) {
+                    peakEquity = equity;
+                } else if (peakEquity > 0.0) {
+                    const drawdown = Math.min((peakEquity - equity) / peakEquity, 1.0);
+                    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+                }
+                if (sampleRow >= 0) {
+                    const level = priceLevel(logDeflator, t);
+                    debtSamples[sampleRow + t] = debt;
+                    balanceSamples[sampleRow + t] = balance / level;
+                    equitySamples[sampleRow + t] = (balance - debt) / level;
+                    ltvSamples[sampleRow + t] = debt / balance;
+                }
+            }
+
+            if (!ruined) {
+                const deflator = stochasticInflation ? FallbackMath.exp(logDeflator) : constantDeflator;
+                const realWealth = (balance - debt) / deflator;
+                wealth[survivors] = realWealth;
+                maxDrawdowns[survivors] = maxDrawdown;
+                peakLTVs[survivors] = peakLTV;
+                warningMonths[survivors] = monthsAboveWarning;
+                if (monthsAboveWarning > 0) warningPaths++;
+                survivors++;
+                if (keepPathWealth) pathWealth[s] = realWealth;
+            }
+
+            // Adaptive sampling: stop at a batch boundary once survival is pinned down
+            if (tolerance > 0 && (s + 1) % batchSize === 0 && s + 1 < count) {
+                const interval = wilsonInterval(survivors, s + 1);
+                if ((interval[1] - interval[0]) * 0.5 <= tolerance) {
+                    pathsRun = s + 1;
+                    break;
+                }
+            }
+        }
+        this.mirrorNormals = false;
+
+        const bandPathsRun = Math.min(pathsRun, bandPaths);
+        const debtBands = this.percentileBands(debtSamples, bandPathsRun, months);
+        const sortedWealth = wealth.slice(0, survivors).sort();
+        const medianFinalDebt = debtBands[2 * stride + months];
+        const expected = meanOfSorted(sortedWealth);
+
+        const stats = new Float64Array(8);
+        stats[0] = months;
+        if (survivors > 0) {
+            stats[1] = (survivors / pathsRun) * 100.0;
+            stats[2] = percentileOfSorted(sortedWealth, 0.5);
+            stats[3] = percentileOfSorted(sortedWealth, 0.9);
+            stats[4] = expected;
+        }
+        stats[5] = isNaN(medianFinalDebt) ? 0.0 : medianFinalDebt;
+        stats[7] = survivors;
+
+        const risk = [warningPaths];
+        [maxDrawdowns, peakLTVs, warningMonths].forEach(values => {
+            const sorted = values.slice(0, survivors).sort();
+            risk.push(meanOfSorted(sorted));
+            PATH_SPLIT_DEFAULTS.RISK_PERCENTILES.forEach(p => risk.push(percentileOfSorted(sorted, p)));
+        });
+
+        let wealthSquares = 0.0;
+        for (let i = 0; i < survivors; i++) {
+            const deviation = sortedWealth[i] - expected;
+            wealthSquares += deviation * deviation;
+        }
+        const survivalInterval = wilsonInterval(survivors, pathsRun);
+        const medianInterval = quantileInterval(sortedWealth, 0.5);
+        const p90Interval = quantileInterval(sortedWealth, 0.9);
+        const ruined = pathsRun - survivors;
+
+        return {
+            stats: stats,
+            depositPath: depositPath,
+            debtBands: debtBands,
+            wealth: sortedWealth,
+            liquidation: new Float64Array(5),
+            liquidatedWealth: new Float64Array(0),
+            // Every margin call opens and is enforced at once (no reserve or cure window)
+            reserve: Float64Array.of(0, 0, 0, ruined, 0),
+            tax: new Float64Array(7),
+            afterTaxWealth: new Float64Array(0),
+            balanceBands: this.percentileBands(balanceSamples, bandPathsRun, months),
+            equityBands: this.percentileBands(equitySamples, bandPathsRun, months),
+            ltvBands: this.percentileBands(ltvSamples, bandPathsRun, months),
+            ruinMonths: ruinMonths,
+            risk: Float64Array.from(risk),
+            confidence: Float64Array.of(
+                survivalInterval[0] * 100.0, survivalInterval[1] * 100.0,
+                medianInterval[0], medianInterval[1], p90Interval[0], p90Interval[1],
+                survivors > 1 ? Math.sqrt(wealthSquares / (survivors - 1) / survivors) : 0.0,
+                pathsRun
+            ),
+            pathWealth: pathWealth.slice(0, keepPathWealth ? pathsRun : 0)
+        };
+    },
+
+    /**
+     * T=0 initial capital, then each month's deposit after the debt payment (delayed annuity)
+     */
+    depositSchedule(inputs, months) {
+        const depositPath = new Float64Array(months + 1);
+        depositPath[0] = inputs.initialBalance;
+        let debt = inputs.initialDebt;
+        for (let t = 1; t <= months; t++) {
+            if (debt > 0) {
+                const interest = debt * inputs.monthlyRate;
+                const principalReduction = inputs.monthlyPayment - interest;
+                if (t === months || principalReduction >= debt) {
+                    depositPath[t] = inputs.monthlyBudget - (debt + interest);
+                    debt = 0;
+                } else {
+                    debt -= principalReduction;
+                    depositPath[t] = inputs.monthlyBudget - inputs.monthlyPayment;
+                }
+            } else {
+                depositPath[t] = inputs.monthlyBudget;
+            }
+        }
+        return depositPath;
+    },
+
+    /**
+     * p5/p25/p50/p75/p95 per month over pathCount rows of months+1 samples, skipping NaN
+     */
+    percentileBands(samples, pathCount, months) {
+        const stride = months + 1;
+        const bands = new Float64Array(5 * stride);
+        const column = new Float64Array(pathCount);
+        for (let t = 0; t <= months; t++) {
+            let alive = 0;
+            for (let s = 0; s < pathCount; s++) {
+                const value = samples[s * stride + t];
+                if (!isNaN(value)) column[alive++] = value;
+            }
+            const sorted = column.slice(0, alive).sort();
+            [0.05, 0.25, 0.5, 0.75, 0.95].forEach((p, b) => {
+                bands[b * stride + t] = alive > 0 ? percentileOfSorted(sorted, p) : NaN;
+            });
+        }
+        return bands;
+    }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FallbackEngine = FallbackEngine;
+}
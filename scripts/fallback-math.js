@@ -0,0 +1,1230 @@
+/**
+ * Fallback Math - JavaScript Port of the Engine's Math Library
+ * exp, log, log1p, cos and pow as build/sim.wasm computes them, so the fallback engine replays a
+ * seed bit-identically to the engine (see scripts/fallback-engine.js)
+ */
+
+/**
+ * Why a port:
+ * - The engine's Math is AssemblyScript's NativeMath (std/assembly/math.ts, AssemblyScript 0.27) at
+ *   shrinkLevel 0 (asconfig.json): musl's table-driven exp, log and pow, and fdlibm's cos and log1p.
+ *   None of them is correctly rounded, and neither is V8's Math, so the two differ in the last bit
+ *   now and then. Only +, -, *, / and Math.sqrt are exact in both
+ * - Each function below follows its AssemblyScript original operation for operation; the 64-bit
+ *   integer steps work on the two 32-bit words of a double (MATH_WORDS), and the reduction of cos
+ *   arguments beyond 2^20 * pi/2, which randn() never passes, on BigInt
+ * - The tables and constants are the AssemblyScript source's bit patterns, unchanged
+ */
+
+// Scratch double and its two 32-bit words: [0] low, [1] high (sign, exponent and top of the
+// mantissa), the little-endian layout of every browser platform
+const MATH_BITS = new Float64Array(1);
+const MATH_WORDS = new Uint32Array(MATH_BITS.buffer);
+
+/**
+ * A double from its IEEE 754 bit pattern
+ */
+function doubleFromBits(bits) {
+    return new Float64Array(BigUint64Array.of(bits).buffer)[0];
+}
+
+// exp: 2^(k/128) as pairs of (tail, scale bits); see std/assembly/util/math.ts EXP_DATA_TAB
+const MATH_EXP_TABLE = new Float64Array(new BigUint64Array([
+    0x0000000000000000n, 0x3FF0000000000000n,
+    0x3C9B3B4F1A88BF6En, 0x3FEFF63DA9FB3335n,
+    0xBC7160139CD8DC5Dn, 0x3FEFEC9A3E778061n,
+    0xBC905E7A108766D1n, 0x3FEFE315E86E7F85n,
+    0x3C8CD2523567F613n, 0x3FEFD9B0D3158574n,
+    0xBC8BCE8023F98EFAn, 0x3FEFD06B29DDF6DEn,
+    0x3C60F74E61E6C861n, 0x3FEFC74518759BC8n,
+    0x3C90A3E45B33D399n, 0x3FEFBE3ECAC6F383n,
+    0x3C979AA65D837B6Dn, 0x3FEFB5586CF9890Fn,
+    0x3C8EB51A92FDEFFCn, 0x3FEFAC922B7247F7n,
+    0x3C3EBE3D702F9CD1n, 0x3FEFA3EC32D3D1A2n,
+    0xBC6A033489906E0Bn, 0x3FEF9B66AFFED31Bn,
+    0xBC9556522A2FBD0En, 0x3FEF9301D0125B51n,
+    0xBC5080EF8C4EEA55n, 0x3FEF8ABDC06C31CCn,
+    0xBC91C923B9D5F416n, 0x3FEF829AAEA92DE0n,
+    0x3C80D3E3E95C55AFn, 0x3FEF7A98C8A58E51n,
+    0xBC801B15EAA59348n, 0x3FEF72B83C7D517Bn,
+    0xBC8F1FF055DE323Dn, 0x3FEF6AF9388C8DEAn,
+    0x3C8B898C3F1353BFn, 0x3FEF635BEB6FCB75n,
+    0xBC96D99C7611EB26n, 0x3FEF5BE084045CD4n,
+    0x3C9AECF73E3A2F60n, 0x3FEF54873168B9AAn,
+    0xBC8FE782CB86389Dn, 0x3FEF4D5022FCD91Dn,
+    0x3C8A6F4144A6C38Dn, 0x3FEF463B88628CD6n,
+    0x3C807A05B0E4047Dn, 0x3FEF3F49917DDC96n,
+    0x3C968EFDE3A8A894n, 0x3FEF387A6E756238n,
+    0x3C875E18F274487Dn, 0x3FEF31CE4FB2A63Fn,
+    0x3C80472B981FE7F2n, 0x3FEF2B4565E27CDDn,
+    0xBC96B87B3F71085En, 0x3FEF24DFE1F56381n,
+    0x3C82F7E16D09AB31n, 0x3FEF1E9DF51FDEE1n,
+    0xBC3D219B1A6FBFFAn, 0x3FEF187FD0DAD990n,
+    0x3C8B3782720C0AB4n, 0x3FEF1285A6E4030Bn,
+    0x3C6E149289CECB8Fn, 0x3FEF0CAFA93E2F56n,
+    0x3C834D754DB0ABB6n, 0x3FEF06FE0A31B715n,
+    0x3C864201E2AC744Cn, 0x3FEF0170FC4CD831n,
+    0x3C8FDD395DD3F84An, 0x3FEEFC08B26416FFn,
+    0xBC86A3803B8E5B04n, 0x3FEEF6C55F929FF1n,
+    0xBC924AEDCC4B5068n, 0x3FEEF1A7373AA9CBn,
+    0xBC9907F81B512D8En, 0x3FEEECAE6D05D866n,
+    0xBC71D1E83E9436D2n, 0x3FEEE7DB34E59FF7n,
+    0xBC991919B3CE1B15n, 0x3FEEE32DC313A8E5n,
+    0x3C859F48A72A4C6Dn, 0x3FEEDEA64C123422n,
+    0xBC9312607A28698An, 0x3FEEDA4504AC801Cn,
+    0xBC58A78F4817895Bn, 0x3FEED60A21F72E2An,
+    0xBC7C2C9B67499A1Bn, 0x3FEED1F5D950A897n,
+    0x3C4363ED60C2AC11n, 0x3FEECE086061892Dn,
+    0x3C9666093B0664EFn, 0x3FEECA41ED1D0057n,
+    0x3C6ECCE1DAA10379n, 0x3FEEC6A2B5C13CD0n,
+    0x3C93FF8E3F0F1230n, 0x3FEEC32AF0D7D3DEn,
+    0x3C7690CEBB7AAFB0n, 0x3FEEBFDAD5362A27n,
+    0x3C931DBDEB54E077n, 0x3FEEBCB299FDDD0Dn,
+    0xBC8F94340071A38En, 0x3FEEB9B2769D2CA7n,
+    0xBC87DECCDC93A349n, 0x3FEEB6DAA2CF6642n,
+    0xBC78DEC6BD0F385Fn, 0x3FEEB42B569D4F82n,
+    0xBC861246EC7B5CF6n, 0x3FEEB1A4CA5D920Fn,
+    0x3C93350518FDD78En, 0x3FEEAF4736B527DAn,
+    0x3C7B98B72F8A9B05n, 0x3FEEAD12D497C7FDn,
+    0x3C9063E1E21C5409n, 0x3FEEAB07DD485429n,
+    0x3C34C7855019C6EAn, 0x3FEEA9268A5946B7n,
+    0x3C9432E62B64C035n, 0x3FEEA76F15AD2148n,
+    0xBC8CE44A6199769Fn, 0x3FEEA5E1B976DC09n,
+    0xBC8C33C53BEF4DA8n, 0x3FEEA47EB03A5585n,
+    0xBC845378892BE9AEn, 0x3FEEA34634CCC320n,
+    0xBC93CEDD78565858n, 0x3FEEA23882552225n,
+    0x3C5710AA807E1964n, 0x3FEEA155D44CA973n,
+    0xBC93B3EFBF5E2228n, 0x3FEEA09E667F3BCDn,
+    0xBC6A12AD8734B982n, 0x3FEEA012750BDABFn,
+    0xBC6367EFB86DA9EEn, 0x3FEE9FB23C651A2Fn,
+    0xBC80DC3D54E08851n, 0x3FEE9F7DF9519484n,
+    0xBC781F647E5A3ECFn, 0x3FEE9F75E8EC5F74n,
+    0xBC86EE4AC08B7DB0n, 0x3FEE9F9A48A58174n,
+    0xBC8619321E55E68An, 0x3FEE9FEB564267C9n,
+    0x3C909CCB5E09D4D3n, 0x3FEEA0694FDE5D3Fn,
+    0xBC7B32DCB94DA51Dn, 0x3FEEA11473EB0187n,
+    0x3C94ECFD5467C06Bn, 0x3FEEA1ED0130C132n,
+    0x3C65EBE1ABD66C55n, 0x3FEEA2F336CF4E62n,
+    0xBC88A1C52FB3CF42n, 0x3FEEA427543E1A12n,
+    0xBC9369B6F13B3734n, 0x3FEEA589994CCE13n,
+    0xBC805E843A19FF1En, 0x3FEEA71A4623C7ADn,
+    0xBC94D450D872576En, 0x3FEEA8D99B4492EDn,
+    0x3C90AD675B0E8A00n, 0x3FEEAAC7D98A6699n,
+    0x3C8DB72FC1F0EAB4n, 0x3FEEACE5422AA0DBn,
+    0xBC65B6609CC5E7FFn, 0x3FEEAF3216B5448Cn,
+    0x3C7BF68359F35F44n, 0x3FEEB1AE99157736n,
+    0xBC93091FA71E3D83n, 0x3FEEB45B0B91FFC6n,
+    0xBC5DA9B88B6C1E29n, 0x3FEEB737B0CDC5E5n,
+    0xBC6C23F97C90B959n, 0x3FEEBA44CBC8520Fn,
+    0xBC92434322F4F9AAn, 0x3FEEBD829FDE4E50n,
+    0xBC85CA6CD7668E4Bn, 0x3FEEC0F170CA07BAn,
+    0x3C71AFFC2B91CE27n, 0x3FEEC49182A3F090n,
+    0x3C6DD235E10A73BBn, 0x3FEEC86319E32323n,
+    0xBC87C50422622263n, 0x3FEECC667B5DE565n,
+    0x3C8B1C86E3E231D5n, 0x3FEED09BEC4A2D33n,
+    0xBC91BBD1D3BCBB15n, 0x3FEED503B23E255Dn,
+    0x3C90CC319CEE31D2n, 0x3FEED99E1330B358n,
+    0x3C8469846E735AB3n, 0x3FEEDE6B5579FDBFn,
+    0xBC82DFCD978E9DB4n, 0x3FEEE36BBFD3F37An,
+    0x3C8C1A7792CB3387n, 0x3FEEE89F995AD3ADn,
+    0xBC907B8F4AD1D9FAn, 0x3FEEEE07298DB666n,
+    0xBC55C3D956DCAEBAn, 0x3FEEF3A2B84F15FBn,
+    0xBC90A40E3DA6F640n, 0x3FEEF9728DE5593An,
+    0xBC68D6F438AD9334n, 0x3FEEFF76F2FB5E47n,
+    0xBC91EEE26B588A35n, 0x3FEF05B030A1064An,
+    0x3C74FFD70A5FDDCDn, 0x3FEF0C1E904BC1D2n,
+    0xBC91BDFBFA9298ACn, 0x3FEF12C25BD71E09n,
+    0x3C736EAE30AF0CB3n, 0x3FEF199BDD85529Cn,
+    0x3C8EE3325C9FFD94n, 0x3FEF20AB5FFFD07An,
+    0x3C84E08FD10959ACn, 0x3FEF27F12E57D14Bn,
+    0x3C63CDAF384E1A67n, 0x3FEF2F6D9406E7B5n,
+    0x3C676B2C6C921968n, 0x3FEF3720DCEF9069n,
+    0xBC808A1883CCB5D2n, 0x3FEF3F0B555DC3FAn,
+    0xBC8FAD5D3FFFFA6Fn, 0x3FEF472D4A07897Cn,
+    0xBC900DAE3875A949n, 0x3FEF4F87080D89F2n,
+    0x3C74A385A63D07A7n, 0x3FEF5818DCFBA487n,
+    0xBC82919E2040220Fn, 0x3FEF60E316C98398n,
+    0x3C8E5A50D5C192ACn, 0x3FEF69E603DB3285n,
+    0x3C843A59AC016B4Bn, 0x3FEF7321F301B460n,
+    0xBC82D52107B43E1Fn, 0x3FEF7C97337B9B5Fn,
+    0xBC892AB93B470DC9n, 0x3FEF864614F5A129n,
+    0x3C74B604603A88D3n, 0x3FEF902EE78B3FF6n,
+    0x3C83C5EC519D7271n, 0x3FEF9A51FBC74C83n,
+    0xBC8FF7128FD391F0n, 0x3FEFA4AFA2A490DAn,
+    0xBC8DAE98E223747Dn, 0x3FEFAF482D8E67F1n,
+    0x3C8EC3BC41AA2008n, 0x3FEFBA1BEE615A27n,
+    0x3C842B94C3A9EB32n, 0x3FEFC52B376BBA97n,
+    0x3C8A64A931D185EEn, 0x3FEFD0765B6E4540n,
+    0xBC8E37BAE43BE3EDn, 0x3FEFDBFDAD9CBE14n,
+    0x3C77893B4D91CD9Dn, 0x3FEFE7C1819E90D8n,
+    0x3C5305C14160CC89n, 0x3FEFF3C22B8F71F1n
+]).buffer);
+const MATH_EXP_TABLE_WORDS = new Uint32Array(MATH_EXP_TABLE.buffer);
+
+const MATH_EXP = {
+    invLn2N: doubleFromBits(0x3FF71547652B82FEn) * 128,
+    negLn2hiN: doubleFromBits(0xBF762E42FEFA0000n),
+    negLn2loN: doubleFromBits(0xBD0CF79ABC9E3B3An),
+    shift: doubleFromBits(0x4338000000000000n), // 0x1.8p52
+    C2: doubleFromBits(0x3FDFFFFFFFFFFDBDn),
+    C3: doubleFromBits(0x3FC555555555543Cn),
+    C4: doubleFromBits(0x3FA55555CF172B91n),
+    C5: doubleFromBits(0x3F81111167A4D017n),
+    Ox1p1009: doubleFromBits(0x7F00000000000000n),
+    Ox1p_1022: doubleFromBits(0x0010000000000000n),
+    Ox1p_767: doubleFromBits(0x1000000000000000n),
+    Ox1p769: doubleFromBits(0x7000000000000000n),
+    signBias: 0x800 << 7
+};
+
+// log: (invc, logc) and (chi, clo) per subinterval; see std/assembly/util/math.ts LOG_DATA_TAB1/2
+const MATH_LOG_TABLE = new Float64Array(new BigUint64Array([
+    0x3FF734F0C3E0DE9Fn, 0xBFD7CC7F79E69000n,
+    0x3FF713786A2CE91Fn, 0xBFD76FEEC20D0000n,
+    0x3FF6F26008FAB5A0n, 0xBFD713E31351E000n,
+    0x3FF6D1A61F138C7Dn, 0xBFD6B85B38287800n,
+    0x3FF6B1490BC5B4D1n, 0xBFD65D5590807800n,
+    0x3FF69147332F0CBAn, 0xBFD602D076180000n,
+    0x3FF6719F18224223n, 0xBFD5A8CA86909000n,
+    0x3FF6524F99A51ED9n, 0xBFD54F4356035000n,
+    0x3FF63356AA8F24C4n, 0xBFD4F637C36B4000n,
+    0x3FF614B36B9DDC14n, 0xBFD49DA7FDA85000n,
+    0x3FF5F66452C65C4Cn, 0xBFD445923989A800n,
+    0x3FF5D867B5912C4Fn, 0xBFD3EDF439B0B800n,
+    0x3FF5BABCCB5B90DEn, 0xBFD396CE448F7000n,
+    0x3FF59D61F2D91A78n, 0xBFD3401E17BDA000n,
+    0x3FF5805612465687n, 0xBFD2E9E2EF468000n,
+    0x3FF56397CEE76BD3n, 0xBFD2941B3830E000n,
+    0x3FF54725E2A77F93n, 0xBFD23EC58CDA8800n,
+    0x3FF52AFF42064583n, 0xBFD1E9E129279000n,
+    0x3FF50F22DBB2BDDFn, 0xBFD1956D2B48F800n,
+    0x3FF4F38F4734DED7n, 0xBFD141679AB9F800n,
+    0x3FF4D843CFDE2840n, 0xBFD0EDD094EF9800n,
+    0x3FF4BD3EC078A3C8n, 0xBFD09AA518DB1000n,
+    0x3FF4A27FC3E0258An, 0xBFD047E65263B800n,
+    0x3FF4880524D48434n, 0xBFCFEB224586F000n,
+    0x3FF46DCE1B192D0Bn, 0xBFCF474A7517B000n,
+    0x3FF453D9D3391854n, 0xBFCEA4443D103000n,
+    0x3FF43A2744B4845An, 0xBFCE020D44E9B000n,
+    0x3FF420B54115F8FBn, 0xBFCD60A22977F000n,
+    0x3FF40782DA3EF4B1n, 0xBFCCC00104959000n,
+    0x3FF3EE8F5D57FE8Fn, 0xBFCC202956891000n,
+    0x3FF3D5D9A00B4CE9n, 0xBFCB81178D811000n,
+    0x3FF3BD60C010C12Bn, 0xBFCAE2C9CCD3D000n,
+    0x3FF3A5242B75DAB8n, 0xBFCA45402E129000n,
+    0x3FF38D22CD9FD002n, 0xBFC9A877681DF000n,
+    0x3FF3755BC5847A1Cn, 0xBFC90C6D69483000n,
+    0x3FF35DCE49AD36E2n, 0xBFC87120A645C000n,
+    0x3FF34679984DD440n, 0xBFC7D68FB4143000n,
+    0x3FF32F5CCEFFCB24n, 0xBFC73CB83C627000n,
+    0x3FF3187775A10D49n, 0xBFC6A39A9B376000n,
+    0x3FF301C8373E3990n, 0xBFC60B3154B7A000n,
+    0x3FF2EB4EBB95F841n, 0xBFC5737D76243000n,
+    0x3FF2D50A0219A9D1n, 0xBFC4DC7B8FC23000n,
+    0x3FF2BEF9A8B7FD2An, 0xBFC4462C51D20000n,
+    0x3FF2A91C7A0C1BABn, 0xBFC3B08ABC830000n,
+    0x3FF293726014B530n, 0xBFC31B996B490000n,
+    0x3FF27DFA5757A1F5n, 0xBFC2875490A44000n,
+    0x3FF268B39B1D3BBFn, 0xBFC1F3B9F879A000n,
+    0x3FF2539D838FF5BDn, 0xBFC160C8252CA000n,
+    0x3FF23EB7AAC9083Bn, 0xBFC0CE7F57F72000n,
+    0x3FF22A012BA940B6n, 0xBFC03CDC49FEA000n,
+    0x3FF2157996CC4132n, 0xBFBF57BDBC4B8000n,
+    0x3FF201201DD2FC9Bn, 0xBFBE370896404000n,
+    0x3FF1ECF4494D480Bn, 0xBFBD17983EF94000n,
+    0x3FF1D8F5528F6569n, 0xBFBBF9674ED8A000n,
+    0x3FF1C52311577E7Cn, 0xBFBADC79202F6000n,
+    0x3FF1B17C74CB26E9n, 0xBFB9C0C3E7288000n,
+    0x3FF19E010C2C1AB6n, 0xBFB8A646B372C000n,
+    0x3FF18AB07BB670BDn, 0xBFB78D01B3AC0000n,
+    0x3FF1778A25EFBCB6n, 0xBFB674F145380000n,
+    0x3FF1648D354C31DAn, 0xBFB55E0E6D878000n,
+    0x3FF151B990275FDDn, 0xBFB4485CDEA1E000n,
+    0x3FF13F0EA432D24Cn, 0xBFB333D94D6AA000n,
+    0x3FF12C8B7210F9DAn, 0xBFB22079F8C56000n,
+    0x3FF11A3028ECB531n, 0xBFB10E4698622000n,
+    0x3FF107FBDA8434AFn, 0xBFAFFA6C6AD20000n,
+    0x3FF0F5EE0F4E6BB3n, 0xBFADDA8D4A774000n,
+    0x3FF0E4065D2A9FCEn, 0xBFABBCECE4850000n,
+    0x3FF0D244632CA521n, 0xBFA9A1894012C000n,
+    0x3FF0C0A77CE2981An, 0xBFA788583302C000n,
+    0x3FF0AF2F83C636D1n, 0xBFA5715E67D68000n,
+    0x3FF09DDB98A01339n, 0xBFA35C8A49658000n,
+    0x3FF08CABAF52E7DFn, 0xBFA149E364154000n,
+    0x3FF07B9F2F4E28FBn, 0xBF9E72C082EB8000n,
+    0x3FF06AB58C358F19n, 0xBF9A55F152528000n,
+    0x3FF059EEA5ECF92Cn, 0xBF963D62CF818000n,
+    0x3FF04949CDD12C90n, 0xBF9228FB8CAA0000n,
+    0x3FF038C6C6F0ADA9n, 0xBF8C317B20F90000n,
+    0x3FF02865137932A9n, 0xBF8419355DAA0000n,
+    0x3FF0182427EA7348n, 0xBF781203C2EC0000n,
+    0x3FF008040614B195n, 0xBF60040979240000n,
+    0x3FEFE01FF726FA1An, 0x3F6FEFF384900000n,
+    0x3FEFA11CC261EA74n, 0x3F87DC41353D0000n,
+    0x3FEF6310B081992En, 0x3F93CEA3C4C28000n,
+    0x3FEF25F63CEEADCDn, 0x3F9B9FC114890000n,
+    0x3FEEE9C8039113E7n, 0x3FA1B0D8CE110000n,
+    0x3FEEAE8078CBB1ABn, 0x3FA58A5BD001C000n,
+    0x3FEE741AA29D0C9Bn, 0x3FA95C8340D88000n,
+    0x3FEE3A91830A99B5n, 0x3FAD276AEF578000n,
+    0x3FEE01E009609A56n, 0x3FB07598E598C000n,
+    0x3FEDCA01E577BB98n, 0x3FB253F5E30D2000n,
+    0x3FED92F20B7C9103n, 0x3FB42EDD8B380000n,
+    0x3FED5CAC66FB5CCEn, 0x3FB606598757C000n,
+    0x3FED272CAA5EDE9Dn, 0x3FB7DA76356A0000n,
+    0x3FECF26E3E6B2CCDn, 0x3FB9AB434E1C6000n,
+    0x3FECBE6DA2A77902n, 0x3FBB78C7BB0D6000n,
+    0x3FEC8B266D37086Dn, 0x3FBD431332E72000n,
+    0x3FEC5894BD5D5804n, 0x3FBF0A3171DE6000n,
+    0x3FEC26B533BB9F8Cn, 0x3FC067152B914000n,
+    0x3FEBF583EEECE73Fn, 0x3FC147858292B000n,
+    0x3FEBC4FD75DB96C1n, 0x3FC2266ECDCA3000n,
+    0x3FEB951E0C864A28n, 0x3FC303D7A6C55000n,
+    0x3FEB65E2C5EF3E2Cn, 0x3FC3DFC33C331000n,
+    0x3FEB374867C9888Bn, 0x3FC4BA366B7A8000n,
+    0x3FEB094B211D304An, 0x3FC5933928D1F000n,
+    0x3FEADBE885F2EF7En, 0x3FC66ACD2418F000n,
+    0x3FEAAF1D31603DA2n, 0x3FC740F8EC669000n,
+    0x3FEA82E63FD358A7n, 0x3FC815C0F51AF000n,
+    0x3FEA5740EF09738Bn, 0x3FC8E92954F68000n,
+    0x3FEA2C2A90AB4B27n, 0x3FC9BB3602F84000n,
+    0x3FEA01A01393F2D1n, 0x3FCA8BED1C2C0000n,
+    0x3FE9D79F24DB3C1Bn, 0x3FCB5B515C01D000n,
+    0x3FE9AE2505C7B190n, 0x3FCC2967CCBCC000n,
+    0x3FE9852EF297CE2Fn, 0x3FCCF635D5486000n,
+    0x3FE95CBAEEA44B75n, 0x3FCDC1BD3446C000n,
+    0x3FE934C69DE74838n, 0x3FCE8C01B8CFE000n,
+    0x3FE90D4F2F6752E6n, 0x3FCF5509C0179000n,
+    0x3FE8E6528EFFD79Dn, 0x3FD00E6C121FB800n,
+    0x3FE8BFCE9FCC007Cn, 0x3FD071B80E93D000n,
+    0x3FE899C0DABEC30En, 0x3FD0D46B9E867000n,
+    0x3FE87427AA2317FBn, 0x3FD13687334BD000n,
+    0x3FE84F00ACB39A08n, 0x3FD1980D67234800n,
+    0x3FE82A49E8653E55n, 0x3FD1F8FFE0CC8000n,
+    0x3FE8060195F40260n, 0x3FD2595FD7636800n,
+    0x3FE7E22563E0A329n, 0x3FD2B9300914A800n,
+    0x3FE7BEB377DCB5ADn, 0x3FD3187210436000n,
+    0x3FE79BAA679725C2n, 0x3FD377266DEC1800n,
+    0x3FE77907F2170657n, 0x3FD3D54FFBAF3000n,
+    0x3FE756CADBD6130Cn, 0x3FD432EEE32FE000n
+]).buffer);
+const MATH_LOG_TABLE2 = new Float64Array(new BigUint64Array([
+    0x3FE61000014FB66Bn, 0x3C7E026C91425B3Cn,
+    0x3FE63000034DB495n, 0x3C8DBFEA48005D41n,
+    0x3FE650000D94D478n, 0x3C8E7FA786D6A5B7n,
+    0x3FE67000074E6FADn, 0x3C61FCEA6B54254Cn,
+    0x3FE68FFFFEDF0FAEn, 0xBC7C7E274C590EFDn,
+    0x3FE6B0000763C5BCn, 0xBC8AC16848DCDA01n,
+    0x3FE6D0001E5CC1F6n, 0x3C833F1C9D499311n,
+    0x3FE6EFFFEB05F63En, 0xBC7E80041AE22D53n,
+    0x3FE710000E869780n, 0x3C7BFF6671097952n,
+    0x3FE72FFFFC67E912n, 0x3C8C00E226BD8724n,
+    0x3FE74FFFDF81116An, 0xBC6E02916EF101D2n,
+    0x3FE770000F679C90n, 0xBC67FC71CD549C74n,
+    0x3FE78FFFFA7EC835n, 0x3C81BEC19EF50483n,
+    0x3FE7AFFFFE20C2E6n, 0xBC707E1729CC6465n,
+    0x3FE7CFFFED3FC900n, 0xBC808072087B8B1Cn,
+    0x3FE7EFFFE9261A76n, 0x3C8DC0286D9DF9AEn,
+    0x3FE81000049CA3E8n, 0x3C897FD251E54C33n,
+    0x3FE8300017932C8Fn, 0xBC8AFEE9B630F381n,
+    0x3FE850000633739Cn, 0x3C89BFBF6B6535BCn,
+    0x3FE87000204289C6n, 0xBC8BBF65F3117B75n,
+    0x3FE88FFFEBF57904n, 0xBC89006EA23DCB57n,
+    0x3FE8B00022BC04DFn, 0xBC7D00DF38E04B0An,
+    0x3FE8CFFFE50C1B8An, 0xBC88007146FF9F05n,
+    0x3FE8EFFFFC918E43n, 0x3C83817BD07A7038n,
+    0x3FE910001EFA5FC7n, 0x3C893E9176DFB403n,
+    0x3FE9300013467BB9n, 0x3C7F804E4B980276n,
+    0x3FE94FFFE6EE076Fn, 0xBC8F7EF0D9FF622En,
+    0x3FE96FFFDE3C12D1n, 0xBC7082AA962638BAn,
+    0x3FE98FFFF4458A0Dn, 0xBC87801B9164A8EFn,
+    0x3FE9AFFFDD982E3En, 0xBC8740E08A5A9337n,
+    0x3FE9CFFFED49FB66n, 0x3C3FCE08C19BE000n,
+    0x3FE9F00020F19C51n, 0xBC8A3FAA27885B0An,
+    0x3FEA10001145B006n, 0x3C74FF489958DA56n,
+    0x3FEA300007BBF6FAn, 0x3C8CBEAB8A2B6D18n,
+    0x3FEA500010971D79n, 0x3C88FECADD787930n,
+    0x3FEA70001DF52E48n, 0xBC8F41763DD8ABDBn,
+    0x3FEA90001C593352n, 0xBC8EBF0284C27612n,
+    0x3FEAB0002A4F3E4Bn, 0xBC69FD043CFF3F5Fn,
+    0x3FEACFFFD7AE1ED1n, 0xBC823EE7129070B4n,
+    0x3FEAEFFFEE510478n, 0x3C6A063EE00EDEA3n,
+    0x3FEB0FFFDB650D5Bn, 0x3C5A06C8381F0AB9n,
+    0x3FEB2FFFFEAACA57n, 0xBC79011E74233C1Dn,
+    0x3FEB4FFFD995BADCn, 0xBC79FF1068862A9Fn,
+    0x3FEB7000249E659Cn, 0x3C8AFF45D0864F3En,
+    0x3FEB8FFFF9871640n, 0x3C7CFE7796C2C3F9n,
+    0x3FEBAFFFD204CB4Fn, 0xBC63FF27EEF22BC4n,
+    0x3FEBCFFFD2415C45n, 0xBC6CFFB7EE3BEA21n,
+    0x3FEBEFFFF86309DFn, 0xBC814103972E0B5Cn,
+    0x3FEC0FFFE1B57653n, 0x3C8BC16494B76A19n,
+    0x3FEC2FFFF1FA57E3n, 0xBC64FEEF8D30C6EDn,
+    0x3FEC4FFFDCBFE424n, 0xBC843F68BCEC4775n,
+    0x3FEC6FFFED54B9F7n, 0x3C847EA3F053E0ECn,
+    0x3FEC8FFFEB998FD5n, 0x3C7383068DF992F1n,
+    0x3FECB0002125219An, 0xBC68FD8E64180E04n,
+    0x3FECCFFFDD94469Cn, 0x3C8E7EBE1CC7EA72n,
+    0x3FECEFFFEAFDC476n, 0x3C8EBE39AD9F88FEn,
+    0x3FED1000169AF82Bn, 0x3C757D91A8B95A71n,
+    0x3FED30000D0FF71Dn, 0x3C89C1906970C7DAn,
+    0x3FED4FFFEA790FC4n, 0xBC580E37C558FE0Cn,
+    0x3FED70002EDC87E5n, 0xBC7F80D64DC10F44n,
+    0x3FED900021DC82AAn, 0xBC747C8F94FD5C5Cn,
+    0x3FEDAFFFD86B0283n, 0x3C8C7F1DC521617En,
+    0x3FEDD000296C4739n, 0x3C88019EB2FFB153n,
+    0x3FEDEFFFE54490F5n, 0x3C6E00D2C652CC89n,
+    0x3FEE0FFFCDABF694n, 0xBC7F8340202D69D2n,
+    0x3FEE2FFFDB52C8DDn, 0x3C7B00C1CA1B0864n,
+    0x3FEE4FFFF24216EFn, 0x3C72FFA8B094AB51n,
+    0x3FEE6FFFE88A5E11n, 0xBC57F673B1EFBE59n,
+    0x3FEE9000119EFF0Dn, 0xBC84808D5E0BC801n,
+    0x3FEEAFFFDFA51744n, 0x3C780006D54320B5n,
+    0x3FEED0001A127FA1n, 0xBC5002F860565C92n,
+    0x3FEEF00007BABCC4n, 0xBC8540445D35E611n,
+    0x3FEF0FFFF57A8D02n, 0xBC4FFB3139EF9105n,
+    0x3FEF30001EE58AC7n, 0x3C8A81ACF2731155n,
+    0x3FEF4FFFF5823494n, 0x3C8A3F41D4D7C743n,
+    0x3FEF6FFFFCA94C6Bn, 0xBC6202F41C987875n,
+    0x3FEF8FFFE1F9C441n, 0x3C777DD1F477E74Bn,
+    0x3FEFAFFFD2E0E37En, 0xBC6F01199A7CA331n,
+    0x3FEFD0001C77E49En, 0x3C7181EE4BCEACB1n,
+    0x3FEFEFFFF7E0C331n, 0xBC6E05370170875An,
+    0x3FF00FFFF465606En, 0xBC8A7EAD491C0ADAn,
+    0x3FF02FFFF3867A58n, 0xBC977F69C3FCB2E0n,
+    0x3FF04FFFFDFC0D17n, 0x3C97BFFE34CB945Bn,
+    0x3FF0700003CD4D82n, 0x3C820083C0E456CBn,
+    0x3FF08FFFF9F2CBE8n, 0xBC6DFFDFBE37751An,
+    0x3FF0B000010CDA65n, 0xBC913F7FAEE626EBn,
+    0x3FF0D00001A4D338n, 0x3C807DFA79489FF7n,
+    0x3FF0EFFFFADAFDFDn, 0xBC77040570D66BC0n,
+    0x3FF110000BBAFD96n, 0x3C8E80D4846D0B62n,
+    0x3FF12FFFFAE5F45Dn, 0x3C9DBFFA64FD36EFn,
+    0x3FF150000DD59AD9n, 0x3C9A0077701250AEn,
+    0x3FF170000F21559An, 0x3C8DFDF9E2E3DEEEn,
+    0x3FF18FFFFC275426n, 0x3C910030DC3B7273n,
+    0x3FF1B000123D3C59n, 0x3C997F7980030188n,
+    0x3FF1CFFFF8299EB7n, 0xBC65F932AB9F8C67n,
+    0x3FF1EFFFF48AD400n, 0x3C937FBF9DA75BEBn,
+    0x3FF210000C8B86A4n, 0x3C9F806B91FD5B22n,
+    0x3FF2300003854303n, 0x3C93FFC2EB9FBF33n,
+    0x3FF24FFFFFBCF684n, 0x3C7601E77E2E2E72n,
+    0x3FF26FFFF52921D9n, 0x3C7FFCBB767F0C61n,
+    0x3FF2900014933A3Cn, 0xBC7202CA3C02412Bn,
+    0x3FF2B00014556313n, 0xBC92808233F21F02n,
+    0x3FF2CFFFEBFE523Bn, 0xBC88FF7E384FDCF2n,
+    0x3FF2F0000BB8AD96n, 0xBC85FF51503041C5n,
+    0x3FF30FFFFB7AE2AFn, 0xBC810071885E289Dn,
+    0x3FF32FFFFEAC5F7Fn, 0xBC91FF5D3FB7B715n,
+    0x3FF350000CA66756n, 0x3C957F82228B82BDn,
+    0x3FF3700011FBF721n, 0x3C8000BAC40DD5CCn,
+    0x3FF38FFFF9592FB9n, 0xBC943F9D2DB2A751n,
+    0x3FF3B00004DDD242n, 0x3C857F6B707638E1n,
+    0x3FF3CFFFF5B2C957n, 0x3C7A023A10BF1231n,
+    0x3FF3EFFFEAB0B418n, 0x3C987F6D66B152B0n,
+    0x3FF410001532AFF4n, 0x3C67F8375F198524n,
+    0x3FF4300017478B29n, 0x3C8301E672DC5143n,
+    0x3FF44FFFE795B463n, 0x3C89FF69B8B2895An,
+    0x3FF46FFFE80475E0n, 0xBC95C0B19BC2F254n,
+    0x3FF48FFFEF6FC1E7n, 0x3C9B4009F23A2A72n,
+    0x3FF4AFFFE5BEA704n, 0xBC94FFB7BF0D7D45n,
+    0x3FF4D000171027DEn, 0xBC99C06471DC6A3Dn,
+    0x3FF4F0000FF03EE2n, 0x3C977F890B85531Cn,
+    0x3FF5100012DC4BD1n, 0x3C6004657166A436n,
+    0x3FF530001605277An, 0xBC96BFCECE233209n,
+    0x3FF54FFFECDB704Cn, 0xBC8902720505A1D7n,
+    0x3FF56FFFEF5F54A9n, 0x3C9BBFE60EC96412n,
+    0x3FF5900017E61012n, 0x3C887EC581AFEF90n,
+    0x3FF5B00003C93E92n, 0xBC9F41080ABF0CC0n,
+    0x3FF5D0001D4919BCn, 0xBC98812AFB254729n,
+    0x3FF5EFFFE7B87A89n, 0xBC947EB780ED6904n
+]).buffer);
+
+const MATH_LOG = {
+    B0: doubleFromBits(0xBFE0000000000000n),
+    B1: doubleFromBits(0x3FD5555555555577n),
+    B2: doubleFromBits(0xBFCFFFFFFFFFFDCBn),
+    B3: doubleFromBits(0x3FC999999995DD0Cn),
+    B4: doubleFromBits(0xBFC55555556745A7n),
+    B5: doubleFromBits(0x3FC24924A344DE30n),
+    B6: doubleFromBits(0xBFBFFFFFA4423D65n),
+    B7: doubleFromBits(0x3FBC7184282AD6CAn),
+    B8: doubleFromBits(0xBFB999EB43B068FFn),
+    B9: doubleFromBits(0x3FB78182F7AFD085n),
+    B10: doubleFromBits(0xBFB5521375D145CDn),
+    A0: doubleFromBits(0xBFE0000000000001n),
+    A1: doubleFromBits(0x3FD555555551305Bn),
+    A2: doubleFromBits(0xBFCFFFFFFFEB4590n),
+    A3: doubleFromBits(0x3FC999B324F10111n),
+    A4: doubleFromBits(0xBFC55575E506C89Fn),
+    Ln2hi: doubleFromBits(0x3FE62E42FEFA3800n),
+    Ln2lo: doubleFromBits(0x3D2EF35793C76730n),
+    Ox1p27: doubleFromBits(0x41A0000000000000n),
+    Ox1p52: doubleFromBits(0x4330000000000000n)
+};
+
+// pow's log: (invc, pad, logc, logctail) per subinterval; see std/assembly/util/math.ts POW_LOG_DATA_TAB
+const MATH_POW_LOG_TABLE = new Float64Array(new BigUint64Array([
+    0x3FF6A00000000000n, 0x0000000000000000n, 0xBFD62C82F2B9C800n, 0x3CFAB42428375680n,
+    0x3FF6800000000000n, 0x0000000000000000n, 0xBFD5D1BDBF580800n, 0xBD1CA508D8E0F720n,
+    0x3FF6600000000000n, 0x0000000000000000n, 0xBFD5767717455800n, 0xBD2362A4D5B6506Dn,
+    0x3FF6400000000000n, 0x0000000000000000n, 0xBFD51AAD872DF800n, 0xBCE684E49EB067D5n,
+    0x3FF6200000000000n, 0x0000000000000000n, 0xBFD4BE5F95777800n, 0xBD041B6993293EE0n,
+    0x3FF6000000000000n, 0x0000000000000000n, 0xBFD4618BC21C6000n, 0x3D13D82F484C84CCn,
+    0x3FF5E00000000000n, 0x0000000000000000n, 0xBFD404308686A800n, 0x3CDC42F3ED820B3An,
+    0x3FF5C00000000000n, 0x0000000000000000n, 0xBFD3A64C55694800n, 0x3D20B1C686519460n,
+    0x3FF5A00000000000n, 0x0000000000000000n, 0xBFD347DD9A988000n, 0x3D25594DD4C58092n,
+    0x3FF5800000000000n, 0x0000000000000000n, 0xBFD2E8E2BAE12000n, 0x3D267B1E99B72BD8n,
+    0x3FF5600000000000n, 0x0000000000000000n, 0xBFD2895A13DE8800n, 0x3D15CA14B6CFB03Fn,
+    0x3FF5600000000000n, 0x0000000000000000n, 0xBFD2895A13DE8800n, 0x3D15CA14B6CFB03Fn,
+    0x3FF5400000000000n, 0x0000000000000000n, 0xBFD22941FBCF7800n, 0xBD165A242853DA76n,
+    0x3FF5200000000000n, 0x0000000000000000n, 0xBFD1C898C1699800n, 0xBD1FAFBC68E75404n,
+    0x3FF5000000000000n, 0x0000000000000000n, 0xBFD1675CABABA800n, 0x3D1F1FC63382A8F0n,
+    0x3FF4E00000000000n, 0x0000000000000000n, 0xBFD1058BF9AE4800n, 0xBD26A8C4FD055A66n,
+    0x3FF4C00000000000n, 0x0000000000000000n, 0xBFD0A324E2739000n, 0xBD0C6BEE7EF4030En,
+    0x3FF4A00000000000n, 0x0000000000000000n, 0xBFD0402594B4D000n, 0xBCF036B89EF42D7Fn,
+    0x3FF4A00000000000n, 0x0000000000000000n, 0xBFD0402594B4D000n, 0xBCF036B89EF42D7Fn,
+    0x3FF4800000000000n, 0x0000000000000000n, 0xBFCFB9186D5E4000n, 0x3D0D572AAB993C87n,
+    0x3FF4600000000000n, 0x0000000000000000n, 0xBFCEF0ADCBDC6000n, 0x3D2B26B79C86AF24n,
+    0x3FF4400000000000n, 0x0000000000000000n, 0xBFCE27076E2AF000n, 0xBD172F4F543FFF10n,
+    0x3FF4200000000000n, 0x0000000000000000n, 0xBFCD5C216B4FC000n, 0x3D21BA91BBCA681Bn,
+    0x3FF4000000000000n, 0x0000000000000000n, 0xBFCC8FF7C79AA000n, 0x3D27794F689F8434n,
+    0x3FF4000000000000n, 0x0000000000000000n, 0xBFCC8FF7C79AA000n, 0x3D27794F689F8434n,
+    0x3FF3E00000000000n, 0x0000000000000000n, 0xBFCBC286742D9000n, 0x3D194EB0318BB78Fn,
+    0x3FF3C00000000000n, 0x0000000000000000n, 0xBFCAF3C94E80C000n, 0x3CBA4E633FCD9066n,
+    0x3FF3A00000000000n, 0x0000000000000000n, 0xBFCA23BC1FE2B000n, 0xBD258C64DC46C1EAn,
+    0x3FF3A00000000000n, 0x0000000000000000n, 0xBFCA23BC1FE2B000n, 0xBD258C64DC46C1EAn,
+    0x3FF3800000000000n, 0x0000000000000000n, 0xBFC9525A9CF45000n, 0xBD2AD1D904C1D4E3n,
+    0x3FF3600000000000n, 0x0000000000000000n, 0xBFC87FA06520D000n, 0x3D2BBDBF7FDBFA09n,
+    0x3FF3400000000000n, 0x0000000000000000n, 0xBFC7AB890210E000n, 0x3D2BDB9072534A58n,
+    0x3FF3400000000000n, 0x0000000000000000n, 0xBFC7AB890210E000n, 0x3D2BDB9072534A58n,
+    0x3FF3200000000000n, 0x0000000000000000n, 0xBFC6D60FE719D000n, 0xBD10E46AA3B2E266n,
+    0x3FF3000000000000n, 0x0000000000000000n, 0xBFC5FF3070A79000n, 0xBD1E9E439F105039n,
+    0x3FF3000000000000n, 0x0000000000000000n, 0xBFC5FF3070A79000n, 0xBD1E9E439F105039n,
+    0x3FF2E00000000000n, 0x0000000000000000n, 0xBFC526E5E3A1B000n, 0xBD20DE8B90075B8Fn,
+    0x3FF2C00000000000n, 0x0000000000000000n, 0xBFC44D2B6CCB8000n, 0x3D170CC16135783Cn,
+    0x3FF2C00000000000n, 0x0000000000000000n, 0xBFC44D2B6CCB8000n, 0x3D170CC16135783Cn,
+    0x3FF2A00000000000n, 0x0000000000000000n, 0xBFC371FC201E9000n, 0x3CF178864D27543An,
+    0x3FF2800000000000n, 0x0000000000000000n, 0xBFC29552F81FF000n, 0xBD248D301771C408n,
+    0x3FF2600000000000n, 0x0000000000000000n, 0xBFC1B72AD52F6000n, 0xBD2E80A41811A396n,
+    0x3FF2600000000000n, 0x0000000000000000n, 0xBFC1B72AD52F6000n, 0xBD2E80A41811A396n,
+    0x3FF2400000000000n, 0x0000000000000000n, 0xBFC0D77E7CD09000n, 0x3D0A699688E85BF4n,
+    0x3FF2400000000000n, 0x0000000000000000n, 0xBFC0D77E7CD09000n, 0x3D0A699688E85BF4n,
+    0x3FF2200000000000n, 0x0000000000000000n, 0xBFBFEC9131DBE000n, 0xBD2575545CA333F2n,
+    0x3FF2000000000000n, 0x0000000000000000n, 0xBFBE27076E2B0000n, 0x3D2A342C2AF0003Cn,
+    0x3FF2000000000000n, 0x0000000000000000n, 0xBFBE27076E2B0000n, 0x3D2A342C2AF0003Cn,
+    0x3FF1E00000000000n, 0x0000000000000000n, 0xBFBC5E548F5BC000n, 0xBD1D0C57585FBE06n,
+    0x3FF1C00000000000n, 0x0000000000000000n, 0xBFBA926D3A4AE000n, 0x3D253935E85BAAC8n,
+    0x3FF1C00000000000n, 0x0000000000000000n, 0xBFBA926D3A4AE000n, 0x3D253935E85BAAC8n,
+    0x3FF1A00000000000n, 0x0000000000000000n, 0xBFB8C345D631A000n, 0x3D137C294D2F5668n,
+    0x3FF1A00000000000n, 0x0000000000000000n, 0xBFB8C345D631A000n, 0x3D137C294D2F5668n,
+    0x3FF1800000000000n, 0x0000000000000000n, 0xBFB6F0D28AE56000n, 0xBD269737C93373DAn,
+    0x3FF1600000000000n, 0x0000000000000000n, 0xBFB51B073F062000n, 0x3D1F025B61C65E57n,
+    0x3FF1600000000000n, 0x0000000000000000n, 0xBFB51B073F062000n, 0x3D1F025B61C65E57n,
+    0x3FF1400000000000n, 0x0000000000000000n, 0xBFB341D7961BE000n, 0x3D2C5EDACCF913DFn,
+    0x3FF1400000000000n, 0x0000000000000000n, 0xBFB341D7961BE000n, 0x3D2C5EDACCF913DFn,
+    0x3FF1200000000000n, 0x0000000000000000n, 0xBFB16536EEA38000n, 0x3D147C5E768FA309n,
+    0x3FF1000000000000n, 0x0000000000000000n, 0xBFAF0A30C0118000n, 0x3D2D599E83368E91n,
+    0x3FF1000000000000n, 0x0000000000000000n, 0xBFAF0A30C0118000n, 0x3D2D599E83368E91n,
+    0x3FF0E00000000000n, 0x0000000000000000n, 0xBFAB42DD71198000n, 0x3D1C827AE5D6704Cn,
+    0x3FF0E00000000000n, 0x0000000000000000n, 0xBFAB42DD71198000n, 0x3D1C827AE5D6704Cn,
+    0x3FF0C00000000000n, 0x0000000000000000n, 0xBFA77458F632C000n, 0xBD2CFC4634F2A1EEn,
+    0x3FF0C00000000000n, 0x0000000000000000n, 0xBFA77458F632C000n, 0xBD2CFC4634F2A1EEn,
+    0x3FF0A00000000000n, 0x0000000000000000n, 0xBFA39E87B9FEC000n, 0x3CF502B7F526FEAAn,
+    0x3FF0A00000000000n, 0x0000000000000000n, 0xBFA39E87B9FEC000n, 0x3CF502B7F526FEAAn,
+    0x3FF0800000000000n, 0x0000000000000000n, 0xBF9F829B0E780000n, 0xBD2980267C7E09E4n,
+    0x3FF0800000000000n, 0x0000000000000000n, 0xBF9F829B0E780000n, 0xBD2980267C7E09E4n,
+    0x3FF0600000000000n, 0x0000000000000000n, 0xBF97B91B07D58000n, 0xBD288D5493FAA639n,
+    0x3FF0400000000000n, 0x0000000000000000n, 0xBF8FC0A8B0FC0000n, 0xBCDF1E7CF6D3A69Cn,
+    0x3FF0400000000000n, 0x0000000000000000n, 0xBF8FC0A8B0FC0000n, 0xBCDF1E7CF6D3A69Cn,
+    0x3FF0200000000000n, 0x0000000000000000n, 0xBF7FE02A6B100000n, 0xBD19E23F0DDA40E4n,
+    0x3FF0200000000000n, 0x0000000000000000n, 0xBF7FE02A6B100000n, 0xBD19E23F0DDA40E4n,
+    0x3FF0000000000000n, 0x0000000000000000n, 0x0000000000000000n, 0x0000000000000000n,
+    0x3FF0000000000000n, 0x0000000000000000n, 0x0000000000000000n, 0x0000000000000000n,
+    0x3FEFC00000000000n, 0x0000000000000000n, 0x3F80101575890000n, 0xBD10C76B999D2BE8n,
+    0x3FEF800000000000n, 0x0000000000000000n, 0x3F90205658938000n, 0xBD23DC5B06E2F7D2n,
+    0x3FEF400000000000n, 0x0000000000000000n, 0x3F98492528C90000n, 0xBD2AA0BA325A0C34n,
+    0x3FEF000000000000n, 0x0000000000000000n, 0x3FA0415D89E74000n, 0x3D0111C05CF1D753n,
+    0x3FEEC00000000000n, 0x0000000000000000n, 0x3FA466AED42E0000n, 0xBD2C167375BDFD28n,
+    0x3FEE800000000000n, 0x0000000000000000n, 0x3FA894AA149FC000n, 0xBD197995D05A267Dn,
+    0x3FEE400000000000n, 0x0000000000000000n, 0x3FACCB73CDDDC000n, 0xBD1A68F247D82807n,
+    0x3FEE200000000000n, 0x0000000000000000n, 0x3FAEEA31C006C000n, 0xBD0E113E4FC93B7Bn,
+    0x3FEDE00000000000n, 0x0000000000000000n, 0x3FB1973BD1466000n, 0xBD25325D560D9E9Bn,
+    0x3FEDA00000000000n, 0x0000000000000000n, 0x3FB3BDF5A7D1E000n, 0x3D2CC85EA5DB4ED7n,
+    0x3FED600000000000n, 0x0000000000000000n, 0x3FB5E95A4D97A000n, 0xBD2C69063C5D1D1En,
+    0x3FED400000000000n, 0x0000000000000000n, 0x3FB700D30AEAC000n, 0x3CEC1E8DA99DED32n,
+    0x3FED000000000000n, 0x0000000000000000n, 0x3FB9335E5D594000n, 0x3D23115C3ABD47DAn,
+    0x3FECC00000000000n, 0x0000000000000000n, 0x3FBB6AC88DAD6000n, 0xBD1390802BF768E5n,
+    0x3FECA00000000000n, 0x0000000000000000n, 0x3FBC885801BC4000n, 0x3D2646D1C65AACD3n,
+    0x3FEC600000000000n, 0x0000000000000000n, 0x3FBEC739830A2000n, 0xBD2DC068AFE645E0n,
+    0x3FEC400000000000n, 0x0000000000000000n, 0x3FBFE89139DBE000n, 0xBD2534D64FA10AFDn,
+    0x3FEC000000000000n, 0x0000000000000000n, 0x3FC1178E8227E000n, 0x3D21EF78CE2D07F2n,
+    0x3FEBE00000000000n, 0x0000000000000000n, 0x3FC1AA2B7E23F000n, 0x3D2CA78E44389934n,
+    0x3FEBA00000000000n, 0x0000000000000000n, 0x3FC2D1610C868000n, 0x3D039D6CCB81B4A1n,
+    0x3FEB800000000000n, 0x0000000000000000n, 0x3FC365FCB0159000n, 0x3CC62FA8234B7289n,
+    0x3FEB400000000000n, 0x0000000000000000n, 0x3FC4913D8333B000n, 0x3D25837954FDB678n,
+    0x3FEB200000000000n, 0x0000000000000000n, 0x3FC527E5E4A1B000n, 0x3D2633E8E5697DC7n,
+    0x3FEAE00000000000n, 0x0000000000000000n, 0x3FC6574EBE8C1000n, 0x3D19CF8B2C3C2E78n,
+    0x3FEAC00000000000n, 0x0000000000000000n, 0x3FC6F0128B757000n, 0xBD25118DE59C21E1n,
+    0x3FEAA00000000000n, 0x0000000000000000n, 0x3FC7898D85445000n, 0xBD1C661070914305n,
+    0x3FEA600000000000n, 0x0000000000000000n, 0x3FC8BEAFEB390000n, 0xBD073D54AAE92CD1n,
+    0x3FEA400000000000n, 0x0000000000000000n, 0x3FC95A5ADCF70000n, 0x3D07F22858A0FF6Fn,
+    0x3FEA000000000000n, 0x0000000000000000n, 0x3FCA93ED3C8AE000n, 0xBD28724350562169n,
+    0x3FE9E00000000000n, 0x0000000000000000n, 0x3FCB31D8575BD000n, 0xBD0C358D4EACE1AAn,
+    0x3FE9C00000000000n, 0x0000000000000000n, 0x3FCBD087383BE000n, 0xBD2D4BC4595412B6n,
+    0x3FE9A00000000000n, 0x0000000000000000n, 0x3FCC6FFBC6F01000n, 0xBCF1EC72C5962BD2n,
+    0x3FE9600000000000n, 0x0000000000000000n, 0x3FCDB13DB0D49000n, 0xBD2AFF2AF715B035n,
+    0x3FE9400000000000n, 0x0000000000000000n, 0x3FCE530EFFE71000n, 0x3CC212276041F430n,
+    0x3FE9200000000000n, 0x0000000000000000n, 0x3FCEF5ADE4DD0000n, 0xBCCA211565BB8E11n,
+    0x3FE9000000000000n, 0x0000000000000000n, 0x3FCF991C6CB3B000n, 0x3D1BCBECCA0CDF30n,
+    0x3FE8C00000000000n, 0x0000000000000000n, 0x3FD07138604D5800n, 0x3CF89CDB16ED4E91n,
+    0x3FE8A00000000000n, 0x0000000000000000n, 0x3FD0C42D67616000n, 0x3D27188B163CEAE9n,
+    0x3FE8800000000000n, 0x0000000000000000n, 0x3FD1178E8227E800n, 0xBD2C210E63A5F01Cn,
+    0x3FE8600000000000n, 0x0000000000000000n, 0x3FD16B5CCBACF800n, 0x3D2B9ACDF7A51681n,
+    0x3FE8400000000000n, 0x0000000000000000n, 0x3FD1BF99635A6800n, 0x3D2CA6ED5147BDB7n,
+    0x3FE8200000000000n, 0x0000000000000000n, 0x3FD214456D0EB800n, 0x3D0A87DEBA46BAEAn,
+    0x3FE7E00000000000n, 0x0000000000000000n, 0x3FD2BEF07CDC9000n, 0x3D2A9CFA4A5004F4n,
+    0x3FE7C00000000000n, 0x0000000000000000n, 0x3FD314F1E1D36000n, 0xBD28E27AD3213CB8n,
+    0x3FE7A00000000000n, 0x0000000000000000n, 0x3FD36B6776BE1000n, 0x3D116ECDB0F177C8n,
+    0x3FE7800000000000n, 0x0000000000000000n, 0x3FD3C25277333000n, 0x3D183B54B606BD5Cn,
+    0x3FE7600000000000n, 0x0000000000000000n, 0x3FD419B423D5E800n, 0x3D08E436EC90E09Dn,
+    0x3FE7400000000000n, 0x0000000000000000n, 0x3FD4718DC271C800n, 0xBD2F27CE0967D675n,
+    0x3FE7200000000000n, 0x0000000000000000n, 0x3FD4C9E09E173000n, 0xBD2E20891B0AD8A4n,
+    0x3FE7000000000000n, 0x0000000000000000n, 0x3FD522AE0738A000n, 0x3D2EBE708164C759n,
+    0x3FE6E00000000000n, 0x0000000000000000n, 0x3FD57BF753C8D000n, 0x3D1FADEDEE5D40EFn,
+    0x3FE6C00000000000n, 0x0000000000000000n, 0x3FD5D5BDDF596000n, 0xBD0A0B2A08A465DCn
+]).buffer);
+
+const MATH_POW_LOG = {
+    Ln2hi: doubleFromBits(0x3FE62E42FEFA3800n),
+    Ln2lo: doubleFromBits(0x3D2EF35793C76730n),
+    A0: doubleFromBits(0xBFE0000000000000n),
+    A1: doubleFromBits(0xBFE5555555555560n),
+    A2: doubleFromBits(0x3FE0000000000006n),
+    A3: doubleFromBits(0x3FE999999959554En),
+    A4: doubleFromBits(0xBFE555555529A47An),
+    A5: doubleFromBits(0xBFF2495B9B4845E9n),
+    A6: doubleFromBits(0x3FF0002B8B263FC3n)
+};
+
+// log1p: fdlibm's coefficients; see std/assembly/math.ts NativeMath.log1p
+const MATH_LOG1P = {
+    ln2_hi: doubleFromBits(0x3FE62E42FEE00000n),
+    ln2_lo: doubleFromBits(0x3DEA39EF35793C76n),
+    Lg1: doubleFromBits(0x3FE5555555555593n),
+    Lg2: doubleFromBits(0x3FD999999997FA04n),
+    Lg3: doubleFromBits(0x3FD2492494229359n),
+    Lg4: doubleFromBits(0x3FCC71C51D8E78AFn),
+    Lg5: doubleFromBits(0x3FC7466496CB03DEn),
+    Lg6: doubleFromBits(0x3FC39A09D078C69Fn),
+    Lg7: doubleFromBits(0x3FC2F112DF3E5244n)
+};
+
+// cos: bits of 2/pi for the huge-argument reduction, then the kernels' coefficients;
+// see std/assembly/math.ts PIO2_TABLE, rempio2(), sin_kern() and cos_kern()
+const MATH_PIO2_TABLE = new BigUint64Array([
+    0x00000000A2F9836En, 0x4E441529FC2757D1n, 0xF534DDC0DB629599n, 0x3C439041FE5163ABn,
+    0xDEBBC561B7246E3An, 0x424DD2E006492EEAn, 0x09D1921CFE1DEB1Cn, 0xB129A73EE88235F5n,
+    0x2EBB4484E99C7026n, 0xB45F7E413991D639n, 0x835339F49C845F8Bn, 0xBDF9283B1FF897FFn,
+    0xDE05980FEF2F118Bn, 0x5A0A6D1F6D367ECFn, 0x27CB09B74F463F66n, 0x9E5FEA2D7527BAC7n,
+    0xEBE5F17B3D0739F7n, 0x8A5292EA6BFB5FB1n, 0x1F8D5D0856033046n, 0xFC7B6BABF0CFBC20n,
+    0x9AF4361DA9E39161n, 0x5EE61B086599855Fn, 0x14A068408DFFD880n, 0x4D73273106061557n
+]);
+
+const MATH_COS = {
+    pio2_1: doubleFromBits(0x3FF921FB54400000n),
+    pio2_1t: doubleFromBits(0x3DD0B4611A626331n),
+    pio2_2: doubleFromBits(0x3DD0B4611A600000n),
+    pio2_2t: doubleFromBits(0x3BA3198A2E037073n),
+    pio2_3: doubleFromBits(0x3BA3198A2E000000n),
+    pio2_3t: doubleFromBits(0x397B839A252049C1n),
+    invpio2: doubleFromBits(0x3FE45F306DC9C883n),
+    S1: doubleFromBits(0xBFC5555555555549n),
+    S2: doubleFromBits(0x3F8111111110F8A6n),
+    S3: doubleFromBits(0xBF2A01A019C161D5n),
+    S4: doubleFromBits(0x3EC71DE357B1FE7Dn),
+    S5: doubleFromBits(0xBE5AE5E68A2B9CEBn),
+    S6: doubleFromBits(0x3DE5D93A5ACFD57Cn),
+    C1: doubleFromBits(0x3FA555555555554Cn),
+    C2: doubleFromBits(0xBF56C16C16C15177n),
+    C3: doubleFromBits(0x3EFA01A019CB1590n),
+    C4: doubleFromBits(0xBE927E4F809C52ADn),
+    C5: doubleFromBits(0x3E21EE9EBDB4B1C4n),
+    C6: doubleFromBits(0xBDA8FAE9BE8838D4n),
+    Ox1p_64: doubleFromBits(0x3BF0000000000000n),
+    Ox1p_75: doubleFromBits(0x3B40000000000000n)
+};
+
+const FallbackMath = {
+    reducedHi: 0.0, // rempio2(): x - n*pi/2 as reducedHi + reducedLo
+    reducedLo: 0.0,
+    logTail: 0.0,   // logInline(): the bits of log(x) below its rounded result
+
+    /**
+     * The double with the given high and low words
+     */
+    fromWords(high, low) {
+        MATH_WORDS[1] = high;
+        MATH_WORDS[0] = low;
+        return MATH_BITS[0];
+    },
+
+    /**
+     * High word of x
+     */
+    highWord(x) {
+        MATH_BITS[0] = x;
+        return MATH_WORDS[1];
+    },
+
+    /**
+     * e^x (NativeMath.exp, i.e. exp_lut())
+     */
+    exp(x) {
+        const hx = this.highWord(x);
+        let abstop = (hx >>> 20) & 0x7FF;
+        if (((abstop - 0x3C9) >>> 0) >= 0x03F) {
+            if (((abstop - 0x3C9) >>> 0) >= 0x80000000) return 1.0;
+            if (abstop >= 0x409) {
+                if (x === -Infinity) return 0.0;
+                if (abstop >= 0x7FF) return 1.0 + x;
+                return hx >>> 31 ? 0.0 : Infinity;
+            }
+            // Large x is special-cased in expScale()
+            abstop = 0;
+        }
+        return this.expScale(x, 0.0, 0, abstop === 0);
+    },
+
+    /**
+     * The shared tail of exp_lut() and exp_inline(): sign * e^(x + xtail), the sign -1 when
+     * signBias is MATH_EXP.signBias; largeX when the scale may overflow or underflow
+     */
+    expScale(x, xtail, signBias, largeX) {
+        // exp(x) = 2^(k/N) * exp(r), with exp(r) in [2^(-1/2N),2^(1/2N)]
+        const z = MATH_EXP.invLn2N * x;
+        let kd = z + MATH_EXP.shift;
+        MATH_BITS[0] = kd;
+        const ki = MATH_WORDS[0]; // low word of ki, which holds k
+        kd -= MATH_EXP.shift;
+        let r = x + kd * MATH_EXP.negLn2hiN + kd * MATH_EXP.negLn2loN;
+        r += xtail;
+        // 2^(k/N) ~= scale * (1 + tail); only the high word of (ki + signBias) << 45 is non-zero
+        const idx = (ki & 127) << 1;
+        const top = (ki + signBias) << 13;
+        const tail = MATH_EXP_TABLE[idx];
+        const scaleHigh = (MATH_EXP_TABLE_WORDS[2 * idx + 3] + top) >>> 0;
+        const scaleLow = MATH_EXP_TABLE_WORDS[2 * idx + 2];
+        const r2 = r * r;
+        const tmp = tail + r + r2 * (MATH_EXP.C2 + r * MATH_EXP.C3) + r2 * r2 * (MATH_EXP.C4 + r * MATH_EXP.C5);
+        if (largeX) return this.expSpecialCase(tmp, scaleHigh, scaleLow, ki);
+        const scale = this.fromWords(scaleHigh, scaleLow);
+        return scale + scale * tmp;
+    },
+
+    /**
+     * specialcase(): scale * (1 + tmp) when the exponent of scale has over- or underflowed
+     */
+    expSpecialCase(tmp, scaleHigh, scaleLow, ki) {
+        if (!(ki & 0x80000000)) {
+            // k > 0, the exponent of scale might have overflowed by <= 460
+            const scale = this.fromWords((scaleHigh - (1009 << 20)) >>> 0, scaleLow);
+            return MATH_EXP.Ox1p1009 * (scale + scale * tmp);
+        }
+        // k < 0, need special care in the subnormal range
+        const signedHigh = (scaleHigh + (1022 << 20)) >>> 0;
+        const scale = this.fromWords(signedHigh, scaleLow);
+        let y = scale + scale * tmp;
+        if (Math.abs(y) < 1.0) {
+            // Round y to the right precision before scaling it into the subnormal range
+            const one = this.highWord(y) >>> 31 ? -1.0 : 1.0;
+            let lo = scale - y + scale * tmp;
+            const hi = one + y;
+            lo = one - hi + y + lo;
+            y = (hi + lo) - one;
+            if (y === 0.0) y = signedHigh >>> 31 ? -0.0 : 0.0;
+        }
+        return y * MATH_EXP.Ox1p_1022;
+    },
+
+    /**
+     * Natural logarithm (NativeMath.log, i.e. log_lut())
+     */
+    log(x) {
+        const T = MATH_LOG;
+        let hx = this.highWord(x);
+        let lx = MATH_WORDS[0];
+        if (hx >= 0x3FEE0000 && hx < 0x3FF10900) {
+            // x close to 1
+            const r = x - 1.0;
+            const r2 = r * r;
+            const r3 = r2 * r;
+            const y =
+                r3 * (T.B1 + r * T.B2 + r2 * T.B3 +
+                r3 * (T.B4 + r * T.B5 + r2 * T.B6 +
+                r3 * (T.B7 + r * T.B8 + r2 * T.B9 + r3 * T.B10)));
+            let w = r * T.Ox1p27;
+            const rhi = r + w - w;
+            const rlo = r - rhi;
+            w = rhi * rhi * T.B0;
+            const hi = r + w;
+            let lo = r - hi + w;
+            lo += T.B0 * rlo * (rhi + r);
+            return y + lo + hi;
+        }
+        const top = hx >>> 16;
+        if (((top - 0x0010) >>> 0) >= 0x7FF0 - 0x0010) {
+            // x < 0x1p-1022 or inf or nan
+            if (((hx << 1) | lx) === 0) return -1.0 / (x * x);
+            if (x === Infinity) return x;
+            if ((top & 0x8000) || (top & 0x7FF0) === 0x7FF0) return (x - x) / (x - x);
+            // x is subnormal, normalize it
+            hx = (this.highWord(x * T.Ox1p52) - (52 << 20)) >>> 0;
+            lx = MATH_WORDS[0];
+        }
+
+        // x = 2^k z, z in [0x1.6p-1, 0x1.6p0) split into 128 subintervals around c
+        const tmpHigh = (hx - 0x3FE60000) >>> 0;
+        const i = (tmpHigh >>> 13) & 127;
+        const k = (tmpHigh | 0) >> 20;
+        const z = this.fromWords((hx - (tmpHigh & 0xFFF00000)) >>> 0, lx);
+        const invc = MATH_LOG_TABLE[2 * i];
+        const logc = MATH_LOG_TABLE[2 * i + 1];
+        const chi = MATH_LOG_TABLE2[2 * i];
+        const clo = MATH_LOG_TABLE2[2 * i + 1];
+
+        // log(x) = log1p(z/c-1) + log(c) + k*Ln2, r ~= z/c - 1 without fma
+        const r = (z - chi - clo) * invc;
+        const kd = k;
+        const w = kd * T.Ln2hi + logc;
+        const hi = w + r;
+        const lo = w - hi + r + kd * T.Ln2lo;
+        const r2 = r * r;
+        return lo + r2 * T.A0 + r * r2 * (T.A1 + r * T.A2 + r2 * (T.A3 + r * T.A4)) + hi;
+    },
+
+    /**
+     * log(1 + x), accurate for small x (NativeMath.log1p)
+     */
+    log1p(x) {
+        const T = MATH_LOG1P;
+        const hx = this.highWord(x);
+        let k = 1;
+        let c = 0.0, f = 0.0;
+        if (hx < 0x3FDA827A || hx >>> 31) {
+            if (hx >= 0xBFF00000) {
+                if (x === -1) return x / 0.0;
+                return (x - x) / 0.0;
+            }
+            if (((hx << 1) >>> 0) < (0x3CA00000 << 1)) return x;
+            if (hx <= 0xBFD2BEC4) {
+                k = 0;
+                c = 0.0;
+                f = x;
+            }
+        } else if (hx >= 0x7FF00000) return x;
+        if (k) {
+            const uf = 1 + x;
+            let hu = this.highWord(uf);
+            const lu = MATH_WORDS[0];
+            hu = (hu + (0x3FF00000 - 0x3FE6A09E)) >>> 0;
+            k = (hu >>> 20) - 0x3FF;
+            if (k < 54) {
+                c = k >= 2 ? 1 - (uf - x) : x - (uf - 1);
+                c /= uf;
+            } else c = 0.0;
+            hu = (hu & 0x000FFFFF) + 0x3FE6A09E;
+            f = this.fromWords(hu, lu) - 1;
+        }
+        const hfsq = 0.5 * f * f;
+        const s = f / (2.0 + f);
+        const z = s * s;
+        const w = z * z;
+        const t1 = w * (T.Lg2 + w * (T.Lg4 + w * T.Lg6));
+        const t2 = z * (T.Lg1 + w * (T.Lg3 + w * (T.Lg5 + w * T.Lg7)));
+        const r = t2 + t1;
+        const dk = k;
+        return s * (hfsq + r) + (dk * T.ln2_lo + c) - hfsq + f + dk * T.ln2_hi;
+    },
+
+    /**
+     * x^y (NativeMath.pow: its fast paths for y in {2, 1/2, -1, 1, 0}, then pow_lut())
+     */
+    pow(x, y) {
+        if (Math.abs(y) <= 2) {
+            if (y === 2.0) return x * x;
+            if (y === 0.5) return x !== -Infinity ? Math.abs(Math.sqrt(x)) : Infinity;
+            if (y === -1.0) return 1 / x;
+            if (y === 1.0) return x;
+            if (y === 0.0) return 1.0;
+        }
+
+        let signBias = 0;
+        let hx = this.highWord(x);
+        let lx = MATH_WORDS[0];
+        const hy = this.highWord(y);
+        const ly = MATH_WORDS[0];
+        let topx = hx >>> 20;
+        const topy = hy >>> 20;
+        if (((topx - 0x001) >>> 0) >= 0x7FF - 0x001 || (((topy & 0x7FF) - 0x3BE) >>> 0) >= 0x43E - 0x3BE) {
+            // x < 0x1p-126 or inf or nan, or |y| < 0x1p-65 or |y| >= 0x1p63 or nan
+            if (this.zeroInfNaN(hy, ly)) {
+                if (((hy << 1) | ly) === 0) return 1.0;
+                if (hx === 0x3FF00000 && lx === 0) return NaN; // as AssemblyScript (musl: 1.0)
+                if (isNaN(x) || isNaN(y)) return x + y;
+                if (Math.abs(x) === 1) return NaN; // as AssemblyScript (musl: 1.0)
+                if ((Math.abs(x) < 1) === !(hy >>> 31)) return 0.0; // |x|<1 && y==inf or |x|>1 && y==-inf
+                return y * y;
+            }
+            if (this.zeroInfNaN(hx, lx)) {
+                let x2 = x * x;
+                if (hx >>> 31 && this.checkInt(hy, ly) === 1) x2 = -x2;
+                return hy >>> 31 ? 1 / x2 : x2;
+            }
+            // Here x and y are non-zero finite
+            if (hx >>> 31) {
+                const yint = this.checkInt(hy, ly);
+                if (yint === 0) return (x - x) / (x - x);
+                if (yint === 1) signBias = MATH_EXP.signBias;
+                hx &= 0x7FFFFFFF;
+                topx &= 0x7FF;
+            }
+            if ((((topy & 0x7FF) - 0x3BE) >>> 0) >= 0x43E - 0x3BE) {
+                // Note: signBias == 0 here because y is not odd
+                if (hx === 0x3FF00000 && lx === 0) return 1.0;
+                if ((topy & 0x7FF) < 0x3BE) return 1.0; // |y| < 2^-65, x^y ~= 1 + y*log(x)
+                const aboveOne = hx > 0x3FF00000 || (hx === 0x3FF00000 && lx !== 0);
+                return aboveOne === (topy < 0x800) ? Infinity : 0.0;
+            }
+            if (topx === 0) {
+                // Normalize subnormal x so exponent becomes negative
+                hx = ((this.highWord(x * MATH_LOG.Ox1p52) & 0x7FFFFFFF) - (52 << 20)) >>> 0;
+                lx = MATH_WORDS[0];
+            }
+        }
+
+        const hi = this.logInline(hx, lx);
+        const lo = this.logTail;
+        // y * (hi + lo) as ehi + elo without fma
+        const yhi = this.fromWords(hy, (ly & 0xF8000000) >>> 0);
+        const ylo = y - yhi;
+        const lhi = this.fromWords(this.highWord(hi), (MATH_WORDS[0] & 0xF8000000) >>> 0);
+        const llo = hi - lhi + lo;
+        const ehi = yhi * lhi;
+        const elo = ylo * lhi + y * llo; // |elo| < |ehi| * 2^-25
+        return this.expInline(ehi, elo, signBias);
+    },
+
+    /**
+     * checkint(): 0 if y is not an integer, 1 if odd, 2 if even (y non-zero finite, by its words)
+     */
+    checkInt(hy, ly) {
+        const e = (hy >>> 20) & 0x7FF;
+        if (e < 0x3FF) return 0;
+        if (e > 0x3FF + 52) return 2;
+        const bit = 0x3FF + 52 - e; // position of the units bit
+        const fraction = bit < 32
+            ? (ly & ((1 << bit) - 1)) !== 0
+            : ly !== 0 || (hy & ((1 << (bit - 32)) - 1)) !== 0;
+        if (fraction) return 0;
+        const units = bit < 32 ? (ly >>> bit) & 1 : (hy >>> (bit - 32)) & 1;
+        return units ? 1 : 2;
+    },
+
+    /**
+     * zeroinfnan(): whether the double with these words is 0, infinity or NaN
+     */
+    zeroInfNaN(high, low) {
+        return ((high << 1) | low) === 0 || (high & 0x7FF00000) === 0x7FF00000;
+    },
+
+    /**
+     * log_inline(): log(x) for pow(), rounded result returned and the next bits in logTail
+     * (x by its words, a subnormal normalized with a negative exponent)
+     */
+    logInline(hx, lx) {
+        const T = MATH_POW_LOG;
+        // x = 2^k z, z in [0x1.69555p-1, 0x1.69555p0) split into 128 subintervals around c
+        const tmpHigh = (hx - 0x3FE69555) >>> 0;
+        const i = (tmpHigh >>> 13) & 127;
+        const k = (tmpHigh | 0) >> 20;
+        const izHigh = (hx - (tmpHigh & 0xFFF00000)) >>> 0;
+        const z = this.fromWords(izHigh, lx);
+        const kd = k;
+
+        // log(x) = k*Ln2 + log(c) + log1p(z/c-1)
+        const invc = MATH_POW_LOG_TABLE[4 * i];
+        const logc = MATH_POW_LOG_TABLE[4 * i + 2];
+        const logctail = MATH_POW_LOG_TABLE[4 * i + 3];
+
+        // Split z such that rhi, rlo and rhi*rhi are exact and |rlo| <= |r|
+        const zhi = this.fromWords((izHigh + (lx >>> 31)) >>> 0, 0);
+        const zlo = z - zhi;
+        const rhi = zhi * invc - 1.0;
+        const rlo = zlo * invc;
+        const r = rhi + rlo;
+
+        // k * Ln2 + log(c) + r
+        const t1 = kd * T.Ln2hi + logc;
+        const t2 = t1 + r;
+        const lo1 = kd * T.Ln2lo + logctail;
+        const lo2 = t1 - t2 + r;
+
+        // k * Ln2 + log(c) + r + A[0] * r * r
+        const ar = T.A0 * r;
+        const ar2 = r * ar;
+        const ar3 = r * ar2;
+        const arhi = T.A0 * rhi;
+        const arhi2 = rhi * arhi;
+        const hi = t2 + arhi2;
+        const lo3 = rlo * (ar + arhi);
+        const lo4 = t2 - hi + arhi2;
+
+        // p = log1p(r) - r - A[0] * r * r
+        const p = ar3 * (T.A1 + r * T.A2 + ar2 * (T.A3 + r * T.A4 + ar2 * (T.A5 + r * T.A6)));
+        const lo = lo1 + lo2 + lo3 + lo4 + p;
+        const y = hi + lo;
+        this.logTail = hi - y + lo;
+        return y;
+    },
+
+    /**
+     * exp_inline(): sign * e^(x + xtail) for pow()
+     */
+    expInline(x, xtail, signBias) {
+        const hx = this.highWord(x);
+        let abstop = (hx >>> 20) & 0x7FF;
+        if (((abstop - 0x3C9) >>> 0) >= 0x03F) {
+            // Avoid spurious underflow for tiny x
+            if (((abstop - 0x3C9) >>> 0) >= 0x80000000) return signBias ? -1.0 : 1.0;
+            if (abstop >= 0x409) {
+                const y = hx >>> 31 ? MATH_EXP.Ox1p_767 : MATH_EXP.Ox1p769;
+                return (signBias ? -y : y) * y;
+            }
+            // Large x is special-cased in expScale()
+            abstop = 0;
+        }
+        return this.expScale(x, xtail, signBias, abstop === 0);
+    },
+
+    /**
+     * Cosine (NativeMath.cos)
+     */
+    cos(x) {
+        let ix = this.highWord(x);
+        const sign = ix >>> 31;
+        ix = (ix & 0x7FFFFFFF) >>> 0;
+
+        // |x| ~< pi/4
+        if (ix <= 0x3FE921FB) {
+            if (ix < 0x3E46A09E) return 1.0; // |x| < 2**-27 * sqrt(2)
+            return this.cosKernel(x, 0.0);
+        }
+
+        // cos(Inf or NaN) is NaN
+        if (ix >= 0x7FF00000) return x - x;
+
+        // Argument reduction needed
+        const n = this.rempio2(x, ix, sign);
+        const y0 = this.reducedHi;
+        const y1 = this.reducedLo;
+        x = n & 1 ? this.sinKernel(y0, y1, 1) : this.cosKernel(y0, y1);
+        return (n + 1) & 2 ? -x : x;
+    },
+
+    /**
+     * sin_kern(): sin(x + y) for |x| ~< pi/4 (iy = 0 when y is zero)
+     */
+    sinKernel(x, y, iy) {
+        const T = MATH_COS;
+        const z = x * x;
+        const w = z * z;
+        const r = T.S2 + z * (T.S3 + z * T.S4) + z * w * (T.S5 + z * T.S6);
+        const v = z * x;
+        if (!iy) {
+            return x + v * (T.S1 + z * r);
+        }
+        return x - ((z * (0.5 * y - v * r) - y) - v * T.S1);
+    },
+
+    /**
+     * cos_kern(): cos(x + y) for |x| ~< pi/4
+     */
+    cosKernel(x, y) {
+        const T = MATH_COS;
+        const z = x * x;
+        let w = z * z;
+        const r = z * (T.C1 + z * (T.C2 + z * T.C3)) + w * w * (T.C4 + z * (T.C5 + z * T.C6));
+        const hz = 0.5 * z;
+        w = 1.0 - hz;
+        return w + (((1.0 - w) - hz) + (z * r - x * y));
+    },
+
+    /**
+     * rempio2(): n and x - n*pi/2 (in reducedHi + reducedLo), ix the high word of |x|
+     */
+    rempio2(x, ix, sign) {
+        const T = MATH_COS;
+        if (ix < 0x4002D97C) {
+            // |x| < 3pi/4, special case with n = +-1
+            let q = 1, z, y0, y1;
+            if (!sign) {
+                z = x - T.pio2_1;
+                if (ix !== 0x3FF921FB) { // 33+53 bit pi is good enough
+                    y0 = z - T.pio2_1t;
+                    y1 = (z - y0) - T.pio2_1t;
+                } else { // near pi/2, use 33+33+53 bit pi
+                    z -= T.pio2_2;
+                    y0 = z - T.pio2_2t;
+                    y1 = (z - y0) - T.pio2_2t;
+                }
+            } else {
+                z = x + T.pio2_1;
+                if (ix !== 0x3FF921FB) {
+                    y0 = z + T.pio2_1t;
+                    y1 = (z - y0) + T.pio2_1t;
+                } else {
+                    z += T.pio2_2;
+                    y0 = z + T.pio2_2t;
+                    y1 = (z - y0) + T.pio2_2t;
+                }
+                q = -1;
+            }
+            this.reducedHi = y0;
+            this.reducedLo = y1;
+            return q;
+        }
+
+        if (ix < 0x413921FB) {
+            // |x| ~< 2^20*pi/2: Cody-Waite reduction
+            const q = this.nearest(x * T.invpio2);
+            let r = x - q * T.pio2_1;
+            let w = q * T.pio2_1t; // 1st round good to 85 bits
+            const j = ix >>> 20;
+            let y0 = r - w;
+            let i = (j - ((this.highWord(y0) >>> 20) & 0x7FF)) >>> 0;
+            if (i > 16) { // 2nd iteration needed, good to 118
+                let t = r;
+                w = q * T.pio2_2;
+                r = t - w;
+                w = q * T.pio2_2t - ((t - r) - w);
+                y0 = r - w;
+                i = (j - ((this.highWord(y0) >>> 20) & 0x7FF)) >>> 0;
+                if (i > 49) { // 3rd iteration needed, 151 bits
+                    t = r;
+                    w = q * T.pio2_3;
+                    r = t - w;
+                    w = q * T.pio2_3t - ((t - r) - w);
+                    y0 = r - w;
+                }
+            }
+            this.reducedHi = y0;
+            this.reducedLo = (r - y0) - w;
+            return q | 0;
+        }
+
+        const q = this.largeQuotient(x);
+        return sign ? -q : q;
+    },
+
+    /**
+     * Round half to even (WebAssembly's f64.nearest)
+     */
+    nearest(v) {
+        const r = Math.round(v);
+        return r - v === 0.5 && r % 2 !== 0 ? r - 1 : r;
+    },
+
+    /**
+     * pio2_large_quot(): rempio2() for |x| >= 2^20*pi/2, on 64-bit integers as BigInt
+     */
+    largeQuotient(x) {
+        const M = 0xFFFFFFFFFFFFFFFFn;
+        MATH_BITS[0] = x;
+        const u = (BigInt(MATH_WORDS[1]) << 32n) | BigInt(MATH_WORDS[0]);
+        const magnitude = u & 0x7FFFFFFFFFFFFFFFn;
+        const offset = (magnitude >> 52n) - 1045n;
+        const shift = offset & 63n;
+        const t = Number(offset >> 6n);
+        // Below 2^22 the window starts just before the table; the word it would read there only
+        // reaches bits of s0 that the product below discards
+        const b0 = t >= 0 ? MATH_PIO2_TABLE[t] : 0n;
+        const b1 = MATH_PIO2_TABLE[t + 1];
+        const b2 = MATH_PIO2_TABLE[t + 2];
+        let s0, s1, s2;
+
+        // Get 192 bits of 0x1p-31 / pi with `offset` bits skipped
+        if (shift) {
+            const rshift = 64n - shift;
+            const b3 = MATH_PIO2_TABLE[t + 3];
+            s0 = (b1 >> rshift | b0 << shift) & M;
+            s1 = (b2 >> rshift | b1 << shift) & M;
+            s2 = (b3 >> rshift | b2 << shift) & M;
+        } else {
+            s0 = b0;
+            s1 = b1;
+            s2 = b2;
+        }
+
+        const significand = (u & 0x000FFFFFFFFFFFFFn) | 0x0010000000000000n;
+
+        // First 128 bits of fractional part of x/(2pi)
+        const b = s1 * significand;
+        const blo = b & M;
+        const bhi = b >> 64n;
+        const ahi = (s0 * significand) & M;
+        const clo = (s2 >> 32n) * (significand >> 32n);
+        const plo = (blo + clo) & M;
+        const phi = (ahi + bhi + (plo < clo ? 1n : 0n)) & M;
+
+        // r: u128 = p << 2
+        const rlo = (plo << 2n) & M;
+        const rhi = ((phi << 2n) | (plo >> 62n)) & M;
+
+        // s: i128 = r >> 127
+        const slo = BigInt.asIntN(64, rhi) >> 63n;
+        const shi = slo >> 1n;
+        const q = (BigInt.asIntN(64, phi) >> 62n) - slo;
+
+        const shifter = (0x3CB0000000000000n - (BigInt(this.pio2Right(BigInt.asUintN(64, rlo ^ slo), BigInt.asUintN(64, rhi ^ shi))) << 52n)) & M;
+        const signbit = (u ^ rhi) & 0x8000000000000000n;
+        const coeff = doubleFromBits(shifter | signbit);
+
+        this.reducedHi *= coeff;
+        this.reducedLo *= coeff;
+        return Number(BigInt.asIntN(32, q));
+    },
+
+    /**
+     * pio2_right(): (q1:q0 normalized) * pi/4 into reducedHi + reducedLo; returns the shift
+     */
+    pio2Right(q0, q1) {
+        const M = 0xFFFFFFFFFFFFFFFFn;
+        // Bits of pi/4
+        const p0 = 0xC4C6628B80DC1CD1n;
+        const p1 = 0xC90FDAA22168C234n;
+
+        const shift = q1 === 0n ? 64 : 64 - q1.toString(2).length;
+        const s = BigInt(shift);
+        // As WebAssembly, shift counts are taken mod 64 (q0 >> 64 is q0)
+        q1 = ((q1 << (s & 63n)) | (q0 >> ((64n - s) & 63n))) & M;
+        q0 = (q0 << (s & 63n)) & M;
+
+        const product = p1 * q1;
+        const lo = product & M;
+        const hi = product >> 64n;
+
+        const ahi = hi >> 11n;
+        const alo = ((lo >> 11n) | (hi << 53n)) & M;
+        const blo = BigInt(Math.trunc(MATH_COS.Ox1p_75 * Number(p0) * Number(q1) + MATH_COS.Ox1p_75 * Number(p1) * Number(q0)));
+
+        this.reducedHi = Number(ahi + (lo < blo ? 1n : 0n));
+        this.reducedLo = MATH_COS.Ox1p_64 * Number((alo + blo) & M);
+
+        return shift;
+    }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FallbackMath = FallbackMath;
+}
@@ -5,6 +5,46 @@
  * with the existing UI code, allowing for gradual migration.
  */
 
+// Engine codes for the return model selector (WASM input [12])
+const RETURN_MODEL_CODES = {
+    lognormal: 0,
+    studentT: 1,
+    jumpDiffusion: 2,
+    regimeSwitching: 3,
+    bootstrap: 4
+};
+
+// Engine codes for the margin call handling selector (WASM input [44])
+const MARGIN_CALL_MODE_CODES = {
+    ruin: 0,
+    deleverage: 1
+};
+
+// Engine codes for the inflation model selector (WASM input [40])
+const INFLATION_MODEL_CODES = {
+    constant: 0,
+    stochastic: 1
+};
+
+// Engine codes for the tax treatment selector (WASM input [50])
+const TAX_MODE_CODES = {
+    none: 0,
+    taxable: 1
+};
+
+// Engine codes for the random number source (WASM input [57])
+const SAMPLING_METHOD_CODES = {
+    pseudoRandom: 0,
+    sobol: 1
+};
+
+// Engine codes for the interest rate model selector (WASM input [35])
+const RATE_MODEL_CODES = {
+    fixed: 0,
+    vasicek: 1,
+    cir: 2
+};
+
 /**
  * Extract UI inputs in format expected by both old and new simulation engines
  */
@@ -22,6 +62,25 @@ function getSimulationInputs() {
     const vol = parseFloat(document.getElementById('vol').value) / 100;
     const marginCallLTV = parseFloat(document.getElementById('marginCall').value) / 100;
     const inflationRate = parseFloat(document.getElementById('inflationRate').value) / 100;
+    const seed = resolveSimulationSeed();
+    
+    const returnModel = document.getElementById('returnModel').value;
+    const degreesOfFreedom = parseFloat(document.getElementById('degreesOfFreedom').value);
+    const jumpIntensity = parseFloat(document.getElementById('jumpIntensity').value);
+    const jumpMean = parseFloat(document.getElementById('jumpMean').value) / 100;
+    const jumpStdDev = parseFloat(document.getElementById('jumpStdDev').value) / 100;
+    const returnModelSelect = document.getElementById('returnModel');
+    const returnModelLabel = returnModelSelect.options[returnModelSelect.selectedIndex].text;
+    const bootstrapSampling = document.getElementById('bootstrapSampling').value;
+    const blockLength = bootstrapSampling === 'block'
+        ? parseInt(document.getElementById('blockLength').value, 10)
+        : 1;
+    
+    const rateModel = document.getElementById('rateModel').value;
+    const rateModelSelect = document.getElementById('rateModel');
+    const rateModelLabel = rateModelSelect.options[rateModelSelect.selectedIndex].text;
+    const rateLongRunMean = parseFloat(document.getElementById('rateLongRunMean').value) / 100;
+    const rateVolatility = parseFloat(document.getElementById('rateVolatility').value) / 100;
     
     const months = years * 12;
     const mRate = annualRate / 12;
@@ -53,10 +112,39 @@ function getSimulationInputs() {
         maxPayment: monthlyBudget, // Now uses full budget as max
         simulationCount: UI_CONSTANTS.SIMULATION_COUNT,
         baselineSimulationCount: UI_CONSTANTS.BASE_CASE_SIMULATIONS,
+        ...getSamplingInputs(),
+        commonRandomNumbers: document.getElementById('marketPaths').value === 'common',
+        antithetic: document.getElementById('antithetic').value === 'on',
         numStrategies: UI_CONSTANTS.NUM_STRATEGIES - 1, // Number of leveraged strategies (excluding benchmark)
         years: years,
         marginCallLTV: marginCallLTV,
         initialEquity: initialEquity,
+        seed: seed,
+        returnModel: returnModel,
+        degreesOfFreedom: degreesOfFreedom,
+        jumpIntensity: jumpIntensity,
+        jumpMean: jumpMean,
+        jumpStdDev: jumpStdDev,
+        regimes: getRegimeInputs(),
+        returnModelLabel: returnModelLabel,
+        blockLength: blockLength,
+        rateModel: rateModel,
+        rateModelLabel: rateModelLabel,
+        rateMeanReversion: parseFloat(document.getElementById('rateMeanReversion').value),
+        rateLongRunMean: rateLongRunMean,
+        // The UI asks for volatility at the long-run rate; CIR's shock scales with sqrt(rate)
+        rateVolatility: rateModel === 'cir' ? rateVolatility / Math.sqrt(rateLongRunMean) : rateVolatility,
+        rateCorrelation: parseFloat(document.getElementById('rateCorrelation').value),
+        ...getInflationModelInputs(),
+        marginCallMode: document.getElementById('marginCallMode').value,
+        deleverageTargetLTV: parseFloat(document.getElementById('deleverageTargetLTV').value) / 100,
+        cashReserve: parseFloat(document.getElementById('cashReserve').value) || 0,
+        cureMonths: parseInt(document.getElementById('cureMonths').value, 10) || 0,
+        ...getPortfolioInputs(),
+        taxMode: document.getElementById('taxMode').value,
+        capitalGainsTaxRate: parseFloat(document.getElementById('capitalGainsTaxRate').value) / 100,
+        interestDeductionRate: parseFloat(document.getElementById('interestDeductionRate').value) / 100,
+        warningLTV: parseFloat(document.getElementById('warningLTV').value) / 100,
         
         // Additional metadata for UI
         amortizedPayment: amortizedPayment,
@@ -65,6 +153,133 @@ function getSimulationInputs() {
     };
 }
 
+/**
+ * Read the inflation model inputs (decimals; shared by the WASM and legacy engines)
+ */
+function getInflationModelInputs() {
+    return {
+        inflationModel: document.getElementById('inflationModel').value,
+        inflationPersistence: parseFloat(document.getElementById('inflationPersistence').value),
+        inflationVolatility: parseFloat(document.getElementById('inflationVolatility').value) / 100,
+        inflationCorrelation: parseFloat(document.getElementById('inflationCorrelation').value)
+    };
+}
+
+/**
+ * Read the sampling settings: the random number source, and the sample size (adaptive runs stop
+ * each leveraged strategy once its survival interval's half-width reaches samplingTolerance,
+ * a decimal, or at maxSimulationCount)
+ */
+function getSamplingInputs() {
+    const samplingMode = document.getElementById('samplingMode').value;
+    return {
+        samplingMethod: document.getElementById('samplingMethod').value,
+        samplingMode: samplingMode,
+        samplingTolerance: samplingMode === 'adaptive'
+            ? parseFloat(document.getElementById('samplingTolerance').value) / 100
+            : 0,
+        maxSimulationCount: samplingMode === 'adaptive'
+            ? parseInt(document.getElementById('maxSimulations').value, 10)
+            : UI_CONSTANTS.SIMULATION_COUNT
+    };
+}
+
+/**
+ * Read the multi-asset table into engine form (decimals, full correlation matrix)
+ * Assets with a zero weight are left out; an empty asset list means a single-asset run
+ */
+function getPortfolioInputs() {
+    if (document.getElementById('portfolioMode').value !== 'multi') {
+        return { assets: [], assetCorrelations: [], rebalanceMonths: 0, portfolioLabel: null };
+    }
+    
+    const held = [];
+    PORTFOLIO_DEFAULTS.ASSETS.forEach((asset, i) => {
+        const weight = parseFloat(document.getElementById(`assetWeight${i}`).value) / 100;
+        if (weight > 0) held.push(i);
+    });
+    
+    // Only the upper triangle is editable; the matrix is symmetric with ones on the diagonal
+    const correlationBetween = (i, j) => {
+        if (i === j) return 1;
+        const [low, high] = i < j ? [i, j] : [j, i];
+        return parseFloat(document.getElementById(`assetCorrelation${low}${high}`).value);
+    };
+    
+    const rebalanceSelect = document.getElementById('rebalanceMonths');
+    const rebalanceMonths = parseInt(rebalanceSelect.value, 10);
+    const mix = held.map(i => {
+        const weight = parseFloat(document.getElementById(`assetWeight${i}`).value);
+        return `${weight}% ${PORTFOLIO_DEFAULTS.ASSETS[i].NAME}`;
+    }).join(' / ');
+    
+    return {
+        assets: held.map(i => ({
+            weight: parseFloat(document.getElementById(`assetWeight${i}`).value) / 100,
+            growth: parseFloat(document.getElementById(`assetGrowth${i}`).value) / 100,
+            volatility: parseFloat(document.getElementById(`assetVol${i}`).value) / 100
+        })),
+        assetCorrelations: held.map(i => held.map(j => correlationBetween(i, j))),
+        rebalanceMonths: rebalanceMonths,
+        portfolioLabel: `${mix}, ${rebalanceMonths > 0 ? `rebalanced ${rebalanceSelect.options[rebalanceSelect.selectedIndex].text.toLowerCase()}` : 'never rebalanced'}`
+    };
+}
+
+/**
+ * Read the regime-switching table into engine form (decimals, full transition rows)
+ * The probability of staying in a regime is whatever the switching probabilities leave over
+ */
+function getRegimeInputs() {
+    const count = parseInt(document.getElementById('regimeCount').value, 10);
+    const regimes = [];
+    
+    for (let from = 0; from < count; from++) {
+        const transitions = [];
+        let switchTotal = 0;
+        for (let to = 0; to < count; to++) {
+            if (to === from) {
+                transitions.push(0);
+                continue;
+            }
+            const probability = parseFloat(document.getElementById(`regimeSwitch${from}${to}`).value) / 100;
+            transitions.push(probability);
+            switchTotal += probability;
+        }
+        transitions[from] = 1 - switchTotal;
+        
+        regimes.push({
+            growth: parseFloat(document.getElementById(`regimeGrowth${from}`).value) / 100,
+            volatility: parseFloat(document.getElementById(`regimeVol${from}`).value) / 100,
+            transitions: transitions
+        });
+    }
+    
+    return regimes;
+}
+
+/**
+ * Read the seed field, or draw a fresh seed when it is left blank
+ * The resolved seed is reported with the results so any run can be replayed
+ */
+function resolveSimulationSeed() {
+    const seedInput = document.getElementById('seed');
+    const value = seedInput ? seedInput.value.trim() : '';
+    
+    if (value !== '') {
+        return parseInt(value, 10) >>> 0;
+    }
+    
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Derive the seed for one strategy from the run seed
+ * Index 0 is the benchmark; adjacent seeds are decorrelated by the engine's SplitMix32 seeding
+ */
+function deriveStrategySeed(seed, strategyIndex) {
+    return (seed + strategyIndex) >>> 0;
+}
+
 /**
  * Schedule Generator - Pre-calculate deterministic debt and deposit paths
  * Returns arrays of length `months+1` representing the cashflow schedule:
@@ -153,12 +368,167 @@ function isWasmAvailable() {
     return typeof WebAssembly !== 'undefined';
 }
 
+let engineFallbackAnnounced = false; // the engine load failure is shown once per page
+
 /**
- * Run simulation using 21 separate Worker instances
- * Each worker processes one strategy independently
+ * Engine inputs for every strategy: index 0 is the no-leverage benchmark, 1-20 the leveraged
+ * strategies from the minimum payment up to the full monthly budget
  */
-async function runSimulationWithAdapter() {
-    console.log('[Integration] Starting simulation with 21 workers...');
+function buildStrategyInputs(uiInputs) {
+    const strategyInputs = [];
+    for (let i = 0; i < 21; i++) {
+        const isBenchmark = i === 0;
+        let initialDebt, initialBalance, monthlyPayment;
+
+        initialDebt = isBenchmark ? 0 : uiInputs.loanAmount;
+        initialBalance = uiInputs.initialEquity + initialDebt;
+        monthlyPayment = 0;
+
+        if (!isBenchmark) {
+            // Interpolate payment
+            const leverageIndex = i - 1;
+            const ratio = (leverageIndex + 1) / 20;
+            monthlyPayment = uiInputs.minPayment + (uiInputs.maxPayment - uiInputs.minPayment) * ratio;
+        }
+
+        strategyInputs.push({
+            initialDebt: initialDebt,
+            initialBalance: initialBalance,
+            monthlyPayment: monthlyPayment,
+            monthlyBudget: uiInputs.monthlyBudget,
+            monthlyRate: uiInputs.interestRate / 12.0,
+            years: uiInputs.years,
+            volatility: uiInputs.volatility,
+            growth: uiInputs.growth,
+            inflation: uiInputs.inflation,
+            marginCallLTV: uiInputs.marginCallLTV,
+            // The benchmark never margin-calls, so there is no survival rate to converge on
+            simulationCount: isBenchmark ? uiInputs.baselineSimulationCount : uiInputs.maxSimulationCount,
+            samplingTolerance: isBenchmark ? 0 : uiInputs.samplingTolerance,
+            samplingBatchSize: SAMPLING_DEFAULTS.BATCH_SIZE,
+            // Every path draws from its own stream, so splitting a strategy into path ranges never
+            // changes its results. Independent strategies still get markets of their own (one seed
+            // each); common random numbers share one seed, so path s is the same market everywhere
+            // and the per-path wealth is kept for the paired comparison with the benchmark
+            seed: uiInputs.commonRandomNumbers ? uiInputs.seed : deriveStrategySeed(uiInputs.seed, i),
+            pathStreams: true,
+            pathWealth: uiInputs.commonRandomNumbers,
+            antithetic: uiInputs.antithetic,
+            samplingMethod: SAMPLING_METHOD_CODES[uiInputs.samplingMethod],
+            returnModel: RETURN_MODEL_CODES[uiInputs.returnModel],
+            degreesOfFreedom: uiInputs.degreesOfFreedom,
+            jumpIntensity: uiInputs.jumpIntensity,
+            jumpMean: uiInputs.jumpMean,
+            jumpStdDev: uiInputs.jumpStdDev,
+            regimes: uiInputs.regimes,
+            returnSeries: uiInputs.returnSeries,
+            blockLength: uiInputs.blockLength,
+            rateModel: RATE_MODEL_CODES[uiInputs.rateModel],
+            rateMeanReversion: uiInputs.rateMeanReversion,
+            rateLongRunMean: uiInputs.rateLongRunMean,
+            rateVolatility: uiInputs.rateVolatility,
+            rateCorrelation: uiInputs.rateCorrelation,
+            inflationModel: INFLATION_MODEL_CODES[uiInputs.inflationModel],
+            inflationPersistence: uiInputs.inflationPersistence,
+            inflationVolatility: uiInputs.inflationVolatility,
+            inflationCorrelation: uiInputs.inflationCorrelation,
+            marginCallMode: MARGIN_CALL_MODE_CODES[uiInputs.marginCallMode],
+            deleverageTargetLTV: uiInputs.deleverageTargetLTV,
+            cashReserve: uiInputs.cashReserve,
+            cureMonths: uiInputs.cureMonths,
+            assets: uiInputs.assets,
+            assetCorrelations: uiInputs.assetCorrelations,
+            rebalanceMonths: uiInputs.rebalanceMonths,
+            taxMode: TAX_MODE_CODES[uiInputs.taxMode],
+            capitalGainsTaxRate: uiInputs.capitalGainsTaxRate,
+            interestDeductionRate: uiInputs.interestDeductionRate,
+            warningLTV: uiInputs.warningLTV,
+            paymentAmount: monthlyPayment,
+            surplusAmount: uiInputs.monthlyBudget - monthlyPayment
+        });
+    }
+    
+    return strategyInputs;
+}
+
+/**
+ * Run one strategy on the worker pool; resolves with its decoded output sections
+ */
+function runStrategyWorker(strategyInputs, strategyIndex) {
+    return SimulationWorkerPool.runStrategies([{ strategyIndex: strategyIndex, inputs: strategyInputs }])
+        .then(([result]) => {
+            if (result.status !== 0) throw new Error(describeFailedStrategies([result]));
+            return result;
+        });
+}
+
+/**
+ * Cut the strategies into pool tasks: [{ strategyIndex, part, inputs }], parts in path order
+ * A fixed-count strategy with more paths than one worker's share of the whole run is split
+ * into path ranges (inputs.pathStart / pathEnd) so it stops being the critical path; adaptive
+ * strategies stay whole, because where they stop depends on every earlier path
+ */
+function planStrategyParts(strategyInputs) {
+    const totalPaths = strategyInputs.reduce((sum, inputs) => sum + inputs.simulationCount, 0);
+    const partPaths = Math.max(PATH_SPLIT_DEFAULTS.MIN_PART_PATHS, Math.ceil(totalPaths / SimulationWorkerPool.size()));
+    const tasks = [];
+    strategyInputs.forEach((inputs, i) => {
+        const count = inputs.simulationCount;
+        const parts = inputs.samplingTolerance > 0 ? 1 : Math.ceil(count / partPaths);
+        if (parts <= 1) {
+            tasks.push({ strategyIndex: i, part: 0, inputs: inputs });
+            return;
+        }
+        for (let part = 0; part < parts; part++) {
+            tasks.push({
+                strategyIndex: i,
+                part: part,
+                inputs: { ...inputs, pathStart: Math.floor(count * part / parts), pathEnd: Math.floor(count * (part + 1) / parts) }
+            });
+        }
+    });
+    return tasks;
+}
+
+/**
+ * One strategy's result from its parts' results (in part order)
+ */
+function combineParts(parts) {
+    if (parts.length === 1) return parts[0];
+    return {
+        strategyIndex: parts[0].strategyIndex,
+        sections: mergePartSections(parts.map(part => part.sections)),
+        computeTime: Math.max(...parts.map(part => part.computeTime || 0))
+    };
+}
+
+/**
+ * Error message for the pool results the engine rejected (non-zero status), one line per reason
+ */
+function describeFailedStrategies(failedResults) {
+    const strategiesByError = new Map();
+    failedResults.forEach(result => {
+        const strategies = strategiesByError.get(result.error) || new Set();
+        strategies.add(result.strategyIndex);
+        strategiesByError.set(result.error, strategies);
+    });
+    return Array.from(strategiesByError, ([error, strategies]) =>
+        `${strategies.size > 1 ? 'Strategies' : 'Strategy'} ${Array.from(strategies).join(', ')}: ${error}`
+    ).join('\n');
+}
+
+/**
+ * Run all 21 strategies on the shared worker pool
+ * Each pooled worker runs a chunk of strategies in one engine call; large fixed-count
+ * strategies are split into path ranges across workers and merged (planStrategyParts)
+ * options.signal - AbortSignal that cancels the run (resolves null, no alert)
+ * options.onProgress(progress) - progress[i] = { pathsDone, pathsTotal } for strategy i, called
+ *      whenever the engine reports; pathsTotal drops to the paths run once adaptive sampling stops
+ * options.onProvisional(results) - results from the paths finished so far (results.provisional
+ *      is true), at most every RENDER_INTERVAL_MS once every strategy has reported
+ */
+async function runSimulationWithAdapter(options = {}) {
+    console.log('[Integration] Starting simulation on the worker pool...');
     
     if (!validateInputs()) {
         console.error('[Integration] Validation failed');
@@ -169,97 +539,99 @@ async function runSimulationWithAdapter() {
     console.log('[Integration] Inputs collected:', uiInputs);
     
     try {
+        // Historical bootstrap: resolve the dataset once and describe it for the results
+        if (uiInputs.returnModel === 'bootstrap') {
+            const series = await ReturnSeries.getActive();
+            uiInputs.returnSeries = series.returns;
+            const sampling = uiInputs.blockLength > 1 ? `${uiInputs.blockLength}-month blocks` : 'independent months';
+            uiInputs.returnModelLabel += ` (${ReturnSeries.describe(series)}, ${sampling})`;
+        }
+        
         if (!isWasmAvailable()) {
             console.warn('[Integration] WebAssembly not available');
             return runSimulationJS(uiInputs);
         }
         
-        // Create worker inputs for each strategy
-        const strategyInputs = [];
-        for (let i = 0; i < 21; i++) {
-            const isBenchmark = i === 0;
-            let initialDebt, initialBalance, monthlyPayment;
-
-            initialDebt = isBenchmark ? 0 : uiInputs.loanAmount;
-            initialBalance = uiInputs.initialEquity + initialDebt;
-            monthlyPayment = 0;
-
-            if (!isBenchmark) {
-                // Interpolate payment
-                const leverageIndex = i - 1;
-                const ratio = (leverageIndex + 1) / 20;
-                monthlyPayment = uiInputs.minPayment + (uiInputs.maxPayment - uiInputs.minPayment) * ratio;
+        // The engine is compiled once per page; if that failed, every run uses the fallback
+        if (!(await EngineModule.load())) {
+            if (!engineFallbackAnnounced) {
+                engineFallbackAnnounced = true;
+                alert(CopywritingHelpers.getEngineFallbackMessage(EngineModule.error.message));
             }
-            
-            strategyInputs.push({
-                initialDebt: initialDebt,
-                initialBalance: initialBalance,
-                monthlyPayment: monthlyPayment,
-                monthlyBudget: uiInputs.monthlyBudget,
-                monthlyRate: uiInputs.interestRate / 12.0,
-                years: uiInputs.years,
-                volatility: uiInputs.volatility,
-                growth: uiInputs.growth,
-                inflation: uiInputs.inflation,
-                marginCallLTV: uiInputs.marginCallLTV,
-                simulationCount: isBenchmark ? uiInputs.baselineSimulationCount : uiInputs.simulationCount,
-                paymentAmount: monthlyPayment,
-                surplusAmount: uiInputs.monthlyBudget - monthlyPayment
-            });
+            return runSimulationJS(uiInputs);
         }
         
-        // Create and send to 21 workers
-        console.log('[Integration] Creating 21 workers...');
-        const workers = [];
-        const promises = [];
+        // Create worker inputs for each strategy
+        uiInputs.interimPaths = options.onProvisional ? PROGRESSIVE_DEFAULTS.INTERIM_PATHS : 0;
+        const strategyInputs = buildStrategyInputs(uiInputs);
         
-        for (let i = 0; i < 21; i++) {
-            const worker = new Worker('scripts/simulation.worker.js', { 
-                name: `strategy-${i}` 
-            });
-            workers.push(worker);
-            
-            const promise = new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error(`Strategy ${i} worker timeout`));
-                }, 600000); // 10 minute timeout
-                
-                worker.onmessage = (e) => {
-                    clearTimeout(timeout);
-                    if (e.data.success) {
-                        resolve({ rawResults: e.data.rawResults, strategyIndex: i, computeTime: e.data.computeTime });
-                    } else {
-                        const errorMsg = e.data.error || 'Unknown error from worker';
-                        console.error(`[Integration] Worker ${i} returned error: ${errorMsg}`);
-                        reject(new Error(`Strategy ${i}: ${errorMsg}`));
-                    }
-                    worker.terminate();
-                };
-                
-                worker.onerror = (error) => {
-                    clearTimeout(timeout);
-                    const errorMsg = error instanceof Error ? error.message : String(error);
-                    console.error(`[Integration] Worker ${i} error event:`, errorMsg);
-                    reject(new Error(`Strategy ${i} worker error: ${errorMsg}`));
-                    worker.terminate();
-                };
-                
-                // Send strategy inputs to worker
-                console.log(`[Integration] Posting message to worker ${i}`);
-                worker.postMessage({
-                    id: i,
-                    inputs: strategyInputs[i],
-                    strategyIndex: i
-                });
-            });
-            
-            promises.push(promise);
-        }
+        const progress = strategyInputs.map(inputs => ({ pathsDone: 0, pathsTotal: inputs.simulationCount }));
+        if (options.onProgress) options.onProgress(progress);
         
-        console.log('[Integration] Waiting for all 21 workers...');
+        // Send all 21 strategies to the pool, the large ones as several path ranges
+        const tasks = planStrategyParts(strategyInputs);
+        const partCounts = strategyInputs.map((_, i) => tasks.filter(task => task.strategyIndex === i).length);
+        const partProgress = partCounts.map(count => new Array(count).fill(null));
+        console.log(`[Integration] Running 21 strategies as ${tasks.length} tasks on up to ${SimulationWorkerPool.size()} workers...`);
         const startTime = performance.now();
+        
+        // Provisional results: latest output of each strategy, drawn once all 21 have one
+        // (a split strategy has one once each of its parts has reported)
+        const latest = new Array(strategyInputs.length).fill(null);
+        const latestParts = partCounts.map(count => new Array(count).fill(null));
+        const updateLatest = (result) => {
+            if (!result.sections) return; // rejected by the engine; reported once the run ends
+            const parts = latestParts[result.strategyIndex];
+            parts[result.part] = result;
+            if (!parts.includes(null)) latest[result.strategyIndex] = combineParts(parts);
+        };
+        let lastProvisionalTime = 0;
+        let finished = false;
+        const publishProvisional = () => {
+            const now = performance.now();
+            if (finished || latest.includes(null)) return;
+            if (now - lastProvisionalTime < PROGRESSIVE_DEFAULTS.RENDER_INTERVAL_MS) return;
+            lastProvisionalTime = now;
+            const provisional = aggregateWorkerResults(latest.slice(), uiInputs, now - startTime);
+            provisional.provisional = true;
+            options.onProvisional(provisional);
+        };
+        
         try {
-            const results = await Promise.all(promises);
+            const taskResults = await SimulationWorkerPool.runStrategies(tasks, {
+                signal: options.signal,
+                onProgress: (report) => {
+                    // A split strategy's progress is the sum over its parts (each counts its own range)
+                    const parts = partProgress[report.strategyIndex];
+                    parts[report.part] = report;
+                    const reported = parts.filter(part => part !== null);
+                    progress[report.strategyIndex] = {
+                        pathsDone: reported.reduce((sum, part) => sum + part.pathsDone, 0),
+                        pathsTotal: reported.length === parts.length
+                            ? reported.reduce((sum, part) => sum + part.pathsTotal, 0)
+                            : strategyInputs[report.strategyIndex].simulationCount
+                    };
+                    if (options.onProgress) options.onProgress(progress);
+                },
+                onInterim: options.onProvisional
+                    ? (interim) => {
+                        updateLatest(interim);
+                        publishProvisional();
+                    }
+                    : null,
+                onResults: options.onProvisional
+                    ? (chunkResults) => {
+                        chunkResults.forEach(updateLatest);
+                        publishProvisional();
+                    }
+                    : null
+            });
+            const failed = taskResults.filter(result => result.status !== 0);
+            if (failed.length > 0) {
+                throw new Error(describeFailedStrategies(failed));
+            }
+            const results = strategyInputs.map((_, i) => combineParts(taskResults.filter(result => result.strategyIndex === i)));
+            finished = true;
             const endTime = performance.now();
             
             console.log(`[Integration] All workers completed in ${(endTime - startTime).toFixed(2)}ms`);
@@ -267,11 +639,16 @@ async function runSimulationWithAdapter() {
             // Aggregate results
             return aggregateWorkerResults(results, uiInputs, endTime - startTime);
         } catch (promiseError) {
+            finished = true;
             console.error('[Integration] Promise.all() failed:', promiseError);
             throw promiseError;
         }
         
     } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('[Integration] Simulation cancelled');
+            return null;
+        }
         console.error('[Integration] Simulation failed:', error);
         alert(CopywritingHelpers.getSimulationErrorMessage(error.message));
         return null;
@@ -279,7 +656,7 @@ async function runSimulationWithAdapter() {
 }
 
 /**
- * Aggregate results from all 21 worker instances
+ * Aggregate the pooled results of all 21 strategies
  */
 function aggregateWorkerResults(workerResults, uiInputs, totalTime) {
     const aggregated = {
@@ -293,7 +670,30 @@ function aggregateWorkerResults(workerResults, uiInputs, totalTime) {
             monthlyBudget: uiInputs.monthlyBudget,
             interestRate: uiInputs.interestRate,
             inflationRate: uiInputs.inflation,
-            years: uiInputs.years
+            marginCallLTV: uiInputs.marginCallLTV,
+            warningLTV: uiInputs.warningLTV,
+            years: uiInputs.years,
+            seed: uiInputs.seed,
+            returnModel: uiInputs.returnModel,
+            returnModelLabel: uiInputs.returnModelLabel,
+            rateModel: uiInputs.rateModel,
+            rateModelLabel: uiInputs.rateModelLabel,
+            inflationModel: uiInputs.inflationModel,
+            inflationVolatility: uiInputs.inflationVolatility,
+            marginCallMode: uiInputs.marginCallMode,
+            deleverageTargetLTV: uiInputs.deleverageTargetLTV,
+            cashReserve: uiInputs.cashReserve,
+            cureMonths: uiInputs.cureMonths,
+            portfolioLabel: uiInputs.portfolioLabel,
+            taxMode: uiInputs.taxMode,
+            capitalGainsTaxRate: uiInputs.capitalGainsTaxRate,
+            interestDeductionRate: uiInputs.interestDeductionRate,
+            samplingMode: uiInputs.samplingMode,
+            samplingTolerance: uiInputs.samplingTolerance,
+            maxSimulationCount: uiInputs.maxSimulationCount,
+            commonRandomNumbers: uiInputs.commonRandomNumbers,
+            antithetic: uiInputs.antithetic,
+            samplingMethod: uiInputs.samplingMethod
         },
         schedules: [],
         computeTime: totalTime
@@ -304,11 +704,10 @@ function aggregateWorkerResults(workerResults, uiInputs, totalTime) {
     
     for (const result of workerResults) {
         const strategyIndex = result.strategyIndex;
-        const rawBuffer = result.rawResults;
         const isBenchmark = strategyIndex === 0;
         
         // Unmarshal results
-        const strategyData = unmarshalStrategyResults(rawBuffer);
+        const strategyData = unmarshalStrategyResults(result.sections);
         
         // Add payment info
         if (isBenchmark) {
@@ -331,7 +730,8 @@ function aggregateWorkerResults(workerResults, uiInputs, totalTime) {
             strategyIndex: strategyIndex,
             isBenchmark: isBenchmark,
             depositPath: strategyData.depositPath,
-            debtPath: strategyData.debtPath
+            debtPath: strategyData.debtPath,
+            debtBands: strategyData.debtBands
         });
     }
     
@@ -348,6 +748,10 @@ function aggregateWorkerResults(workerResults, uiInputs, totalTime) {
             strategy.benchmarkMedian = aggregated.benchmark.medianWealth;
             strategy.benchmarkExpected = aggregated.benchmark.expectedWealth;
             strategy.benchmarkSigma = calculateStdDev(aggregated.benchmark.finalWealthArray, aggregated.benchmark.expectedWealth);
+            strategy.benchmarkAfterTaxMedian = aggregated.benchmark.tax.medianWealth;
+            strategy.benchmarkRisk = aggregated.benchmark.risk;
+            // Paths only line up when every strategy replayed the benchmark's scenarios
+            strategy.benchmarkPathWealthArray = uiInputs.commonRandomNumbers ? aggregated.benchmark.pathWealthArray : new Float64Array(0);
         }
     }
     
@@ -355,40 +759,125 @@ function aggregateWorkerResults(workerResults, uiInputs, totalTime) {
 }
 
 /**
- * Unmarshal WASM output for a single strategy
+ * Unmarshal WASM output for a single strategy from its named sections (decoded by the worker)
+ * Wealth arrays stay the Float64Array views the worker transferred (sorted, never copied);
+ * the small per-month series become plain arrays for the charts
  */
-function unmarshalStrategyResults(rawBuffer) {
-    let pos = 0;
-    
-    const status = rawBuffer[pos++];
-    const months = Math.floor(rawBuffer[pos++]);
-    const survivalRate = rawBuffer[pos++];
-    const medianWealth = rawBuffer[pos++];
-    const p90Wealth = rawBuffer[pos++];
-    const expectedWealth = rawBuffer[pos++];
-    const finalDebt = rawBuffer[pos++];
-    const totalDeposits = rawBuffer[pos++];
-    const numSurvived = Math.floor(rawBuffer[pos++]);
-    
-    if (status !== 0) {
-        throw new Error(`Strategy simulation failed with status: ${status}`);
-    }
+function unmarshalStrategyResults(sections) {
+    // Every section read here must be present, at its documented length where that is fixed
+    const section = (name, expectedLength) => {
+        const values = sections[name];
+        if (!values) {
+            throw new Error(`Simulation output has no ${name} section: the engine build does not match this page (rebuild with npm run asbuild)`);
+        }
+        if (expectedLength !== undefined && values.length !== expectedLength) {
+            throw new Error(`Simulation output section ${name} has ${values.length} values, expected ${expectedLength}: the results are incomplete`);
+        }
+        return values;
+    };
     
-    // depositPath and debtPath now include T=0, so they have months+1 elements
-    const depositPath = [];
-    for (let i = 0; i <= months && pos < rawBuffer.length; i++) {
-        depositPath.push(rawBuffer[pos++]);
-    }
+    const stats = section('stats', 8);
+    const months = Math.floor(stats[0]);
+    const survivalRate = stats[1];
+    const medianWealth = stats[2];
+    const p90Wealth = stats[3];
+    const expectedWealth = stats[4];
+    const finalDebt = stats[5];
+    const totalDeposits = stats[6];
+    const numSurvived = Math.floor(stats[7]);
     
-    const debtPath = [];
-    for (let i = 0; i <= months && pos < rawBuffer.length; i++) {
-        debtPath.push(rawBuffer[pos++]);
-    }
+    // depositPath and each debt band include T=0, so they have months+1 elements
+    const depositPath = Array.from(section('depositPath', months + 1));
     
-    const finalWealthArray = [];
-    for (let i = 0; i < numSurvived && pos < rawBuffer.length; i++) {
-        finalWealthArray.push(rawBuffer[pos++]);
-    }
+    // Per-month percentile bands (p5, p25, p50, p75, p95), each months+1 elements
+    const readBands = (name) => {
+        const values = section(name, 5 * (months + 1));
+        const bands = {};
+        ['p5', 'p25', 'p50', 'p75', 'p95'].forEach((band, b) => {
+            bands[band] = Array.from(values.subarray(b * (months + 1), (b + 1) * (months + 1)));
+        });
+        return bands;
+    };
+    
+    // Debt bands; the median doubles as debtPath
+    const debtBands = readBands('debtBands');
+    const debtPath = debtBands.p50;
+    
+    const finalWealthArray = section('wealth', numSurvived);
+    
+    // Forced deleverage results (all zero under total-ruin margin calls)
+    const liquidationStats = section('liquidation', 5);
+    const liquidation = {
+        events: liquidationStats[0] || 0,
+        paths: liquidationStats[1] || 0,
+        amountSold: liquidationStats[2] || 0,
+        realizedLoss: liquidationStats[3] || 0,
+        survivorWealthArray: section('liquidatedWealth', Math.floor(liquidationStats[4] || 0))
+    };
+    
+    // Emergency reserve and margin call cure results
+    const reserveStats = section('reserve', 5);
+    const reserve = {
+        usedPaths: reserveStats[0] || 0,
+        amountDrawn: reserveStats[1] || 0,
+        depletedPaths: reserveStats[2] || 0,
+        callsOpened: reserveStats[3] || 0,
+        callsCured: reserveStats[4] || 0
+    };
+    
+    // After-tax results (all zero for a pre-tax run)
+    const taxStats = section('tax', 7);
+    const tax = {
+        medianWealth: taxStats[1] || 0,
+        p90Wealth: taxStats[2] || 0,
+        expectedWealth: taxStats[3] || 0,
+        salesTax: taxStats[4] || 0,
+        interestSavings: taxStats[5] || 0,
+        horizonTax: taxStats[6] || 0,
+        wealthArray: section('afterTaxWealth', Math.floor(taxStats[0] || 0))
+    };
+    
+    // Fan chart: balance and net equity in real dollars, LTV as a ratio
+    const fanBands = {
+        balance: readBands('balanceBands'),
+        equity: readBands('equityBands'),
+        ltv: readBands('ltvBands')
+    };
+    
+    // Paths margin-called in each month (index 0 = month 1)
+    const ruinMonths = Array.from(section('ruinMonths', months));
+    
+    // Risk metrics of surviving paths, each summarized as mean and percentiles
+    const riskStats = section('risk', 19);
+    const readDistribution = (start) => ({
+        mean: riskStats[start] || 0,
+        p50: riskStats[start + 1] || 0,
+        p75: riskStats[start + 2] || 0,
+        p90: riskStats[start + 3] || 0,
+        p95: riskStats[start + 4] || 0,
+        p99: riskStats[start + 5] || 0
+    });
+    const risk = {
+        warningPaths: riskStats[0] || 0,
+        maxDrawdown: readDistribution(1),
+        peakLTV: readDistribution(7),
+        monthsAboveWarning: readDistribution(13)
+    };
+    
+    // 95% confidence intervals: Wilson for survival, order statistics for percentiles, SE for the mean
+    const confidenceStats = section('confidence', 8);
+    const confidence = {
+        survival: { low: confidenceStats[0] || 0, high: confidenceStats[1] || 0 },
+        median: { low: confidenceStats[2] || 0, high: confidenceStats[3] || 0 },
+        p90: { low: confidenceStats[4] || 0, high: confidenceStats[5] || 0 },
+        expectedStdError: confidenceStats[6] || 0
+    };
+    
+    // Paths actually simulated (fewer than requested when adaptive sampling stopped early)
+    const simulationCount = Math.floor(confidenceStats[7] || 0);
+    
+    // Final wealth per path in path order (only when paths use their own streams)
+    const pathWealthArray = section('pathWealth');
     
     return {
         survivalRate,
@@ -398,6 +887,16 @@ function unmarshalStrategyResults(rawBuffer) {
         finalWealthArray,
         depositPath,
         debtPath,
+        debtBands,
+        liquidation,
+        reserve,
+        tax,
+        fanBands,
+        ruinMonths,
+        risk,
+        confidence,
+        simulationCount,
+        pathWealthArray,
         numSurvived,
         months,
         benchmarkPercentDiff: 0,
@@ -406,6 +905,137 @@ function unmarshalStrategyResults(rawBuffer) {
     };
 }
 
+/**
+ * Merge the outputs of one strategy's path ranges (in range order) into the sections of the
+ * full run: counts and money totals are added, sorted arrays merged, and every percentile,
+ * mean and interval recomputed the way the engine computes it, so the result is identical to
+ * running the strategy on one worker. Per-month bands and finalDebt come from the first range,
+ * which holds the band paths (see PATH RANGES in assembly/index.ts)
+ */
+function mergePartSections(parts) {
+    const first = parts[0];
+    const total = (name, index) => parts.reduce((sum, part) => sum + part[name][index], 0);
+    // Money totals are whole cents in the engine, so they add up exactly in cents
+    const totalCents = (name, index) => parts.reduce((sum, part) => sum + Math.round(part[name][index] * 100), 0) / 100;
+    const mergeSorted = (arrays) => concatFloat64(arrays).sort();
+    
+    const wealth = mergeSorted(parts.map(part => part.wealth));
+    const afterTaxWealth = mergeSorted(parts.map(part => part.afterTaxWealth));
+    const survivors = wealth.length;
+    const pathsRun = total('confidence', 7);
+    
+    const stats = new Float64Array(8);
+    stats[0] = first.stats[0];
+    if (survivors > 0) {
+        stats[1] = (survivors / pathsRun) * 100.0;
+        stats[2] = percentileOfSorted(wealth, 0.5);
+        stats[3] = percentileOfSorted(wealth, 0.9);
+        stats[4] = meanOfSorted(wealth);
+    }
+    stats[5] = first.stats[5];
+    stats[7] = survivors;
+    
+    // riskSamples holds each range's sorted maxDrawdown, peakLTV and monthsAboveWarning in turn
+    const risk = [total('risk', 0)];
+    for (let k = 0; k < 3; k++) {
+        const samples = mergeSorted(parts.map(part => {
+            const count = part.stats[7];
+            return part.riskSamples.subarray(k * count, (k + 1) * count);
+        }));
+        risk.push(meanOfSorted(samples));
+        PATH_SPLIT_DEFAULTS.RISK_PERCENTILES.forEach(p => risk.push(percentileOfSorted(samples, p)));
+    }
+    
+    const survivalInterval = wilsonInterval(survivors, pathsRun);
+    const medianInterval = quantileInterval(wealth, 0.5);
+    const p90Interval = quantileInterval(wealth, 0.9);
+    const wealthMean = meanOfSorted(wealth);
+    let wealthSquares = 0.0;
+    for (let i = 0; i < survivors; i++) {
+        const deviation = wealth[i] - wealthMean;
+        wealthSquares += deviation * deviation;
+    }
+    const expectedStdError = survivors > 1 ? Math.sqrt(wealthSquares / (survivors - 1) / survivors) : 0.0;
+    
+    return {
+        stats: stats,
+        depositPath: first.depositPath,
+        debtBands: first.debtBands,
+        wealth: wealth,
+        liquidation: Float64Array.of(
+            total('liquidation', 0), total('liquidation', 1),
+            totalCents('liquidation', 2), totalCents('liquidation', 3), total('liquidation', 4)
+        ),
+        liquidatedWealth: mergeSorted(parts.map(part => part.liquidatedWealth)),
+        reserve: Float64Array.of(
+            total('reserve', 0), totalCents('reserve', 1), total('reserve', 2), total('reserve', 3), total('reserve', 4)
+        ),
+        tax: Float64Array.of(
+            total('tax', 0), percentileOfSorted(afterTaxWealth, 0.5), percentileOfSorted(afterTaxWealth, 0.9),
+            meanOfSorted(afterTaxWealth), totalCents('tax', 4), totalCents('tax', 5), totalCents('tax', 6)
+        ),
+        afterTaxWealth: afterTaxWealth,
+        balanceBands: first.balanceBands,
+        equityBands: first.equityBands,
+        ltvBands: first.ltvBands,
+        ruinMonths: first.ruinMonths.map((_, t) => total('ruinMonths', t)),
+        risk: Float64Array.from(risk),
+        confidence: Float64Array.of(
+            survivalInterval[0] * 100.0, survivalInterval[1] * 100.0,
+            medianInterval[0], medianInterval[1], p90Interval[0], p90Interval[1],
+            expectedStdError, pathsRun
+        ),
+        pathWealth: concatFloat64(parts.map(part => part.pathWealth))
+    };
+}
+
+function concatFloat64(arrays) {
+    const merged = new Float64Array(arrays.reduce((length, values) => length + values.length, 0));
+    let offset = 0;
+    arrays.forEach(values => {
+        merged.set(values, offset);
+        offset += values.length;
+    });
+    return merged;
+}
+
+/**
+ * The engine's statistics on an ascending array (percentileOfSorted, wilsonInterval and
+ * quantileInterval in assembly/index.ts), step for step so merged results match to the bit
+ */
+function percentileOfSorted(sorted, p) {
+    const count = sorted.length;
+    if (count === 0) return 0.0;
+    const idx = Math.trunc(count * p);
+    return sorted[idx < count ? idx : count - 1];
+}
+
+function meanOfSorted(sorted) {
+    let sum = 0.0;
+    for (let i = 0; i < sorted.length; i++) sum += sorted[i];
+    return sorted.length > 0 ? sum / sorted.length : 0.0;
+}
+
+function wilsonInterval(successes, trials) {
+    if (trials <= 0) return [0.0, 0.0];
+    const z = PATH_SPLIT_DEFAULTS.CONFIDENCE_Z;
+    const p = successes / trials;
+    const z2 = z * z;
+    const center = (p + z2 / (2.0 * trials)) / (1.0 + z2 / trials);
+    const halfWidth = z * Math.sqrt(p * (1.0 - p) / trials + z2 / (4.0 * trials * trials)) / (1.0 + z2 / trials);
+    return [Math.max(center - halfWidth, 0.0), Math.min(center + halfWidth, 1.0)];
+}
+
+function quantileInterval(sorted, q) {
+    const count = sorted.length;
+    if (count === 0) return [0.0, 0.0];
+    const center = count * q;
+    const spread = PATH_SPLIT_DEFAULTS.CONFIDENCE_Z * Math.sqrt(count * q * (1.0 - q));
+    const lowRank = Math.max(Math.floor(center - spread), 0.0);
+    const highRank = Math.min(Math.ceil(center + spread), count - 1);
+    return [sorted[lowRank], sorted[highRank]];
+}
+
 /**
  * Calculate standard deviation
  */
@@ -421,23 +1051,57 @@ function calculateStdDev(array, mean) {
 
 /**
  * Fallback JavaScript implementation
- * This keeps the original algorithm for browsers without Wasm support
+ * Runs the 21 strategies on the page with FallbackEngine, which gives the WASM engine's results
+ * bit for bit but covers only its lognormal model. The settings it cannot model are run without
+ * and listed in results.ignoredSettings, for the results page to say so
  */
 function runSimulationJS(inputs) {
     console.warn('[Integration] Using legacy JavaScript simulation (slower)');
     
-    // Call the original runSimulation function
-    // This is preserved in script.js as runSimulationLegacy
-    if (typeof runSimulationLegacy === 'function') {
-        return runSimulationLegacy();
-    } else {
-        throw new Error('Legacy simulation function not available');
+    const ignoredSettings = [];
+    if (inputs.returnModel !== 'lognormal') {
+        ignoredSettings.push(`the ${inputs.returnModelLabel} return model (lognormal returns were used)`);
+    }
+    if (inputs.marginCallMode !== 'ruin') {
+        ignoredSettings.push('forced deleverage (every margin call is total ruin)');
+    }
+    if (inputs.cashReserve > 0 || inputs.cureMonths > 0) {
+        ignoredSettings.push('the emergency reserve and cure window');
+    }
+    if (inputs.rateModel !== 'fixed') {
+        ignoredSettings.push('the floating interest rate (the rate stays fixed)');
     }
+    if (inputs.taxMode !== 'none') {
+        ignoredSettings.push('the tax settings (wealth is pre-tax)');
+    }
+    if (inputs.samplingMethod !== 'pseudoRandom') {
+        ignoredSettings.push('Sobol sampling (pseudo-random numbers were used)');
+    }
+    if (inputs.assets.length > 0) {
+        ignoredSettings.push('the asset mix (the Growth and Volatility inputs were used)');
+    }
+    ignoredSettings.forEach(setting => console.warn(`[Integration] Legacy simulation ignores ${setting}`));
+    
+    const startTime = performance.now();
+    const results = buildStrategyInputs(inputs).map((strategyInputs, i) => ({
+        strategyIndex: i,
+        sections: FallbackEngine.runStrategy(strategyInputs)
+    }));
+    const aggregated = aggregateWorkerResults(results, inputs, performance.now() - startTime);
+    aggregated.ignoredSettings = ignoredSettings;
+    return aggregated;
 }
 
 // Export for use in script.js
 if (typeof window !== 'undefined') {
     window.getSimulationInputs = getSimulationInputs;
     window.isWasmAvailable = isWasmAvailable;
+    window.resolveSimulationSeed = resolveSimulationSeed;
+    window.getInflationModelInputs = getInflationModelInputs;
+    window.getPortfolioInputs = getPortfolioInputs;
+    window.getSamplingInputs = getSamplingInputs;
+    window.deriveStrategySeed = deriveStrategySeed;
+    window.buildStrategyInputs = buildStrategyInputs;
+    window.runStrategyWorker = runStrategyWorker;
     window.runSimulationWithAdapter = runSimulationWithAdapter;
 }
@@ -0,0 +1,107 @@
+/**
+ * Return Series - Historical Monthly Returns for the Bootstrap Model
+ * Loads the bundled S&P 500 series or a user-supplied CSV and remembers
+ * which dataset is active so results can say what produced them
+ */
+
+/**
+ * CSV format (one month per line):
+ * - Optional header line and '#' comment lines are skipped
+ * - One column: the monthly return
+ * - Two or more columns: first column is the month label (e.g., 2008-10), last is the return
+ * - Returns are decimals (0.012 = +1.2%) unless suffixed with '%' (1.2%)
+ */
+const ReturnSeries = {
+    active: null, // { label, startMonth, endMonth, returns: Float64Array }
+
+    /**
+     * Parse CSV text into a series object
+     */
+    parseCSV(text, label) {
+        const months = [];
+        const returns = [];
+        const lines = text.split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '' || line.startsWith('#')) continue;
+
+            const fields = line.split(/[,;\t]/).map(field => field.trim());
+            const rawValue = fields[fields.length - 1];
+            const isPercent = rawValue.endsWith('%');
+            const value = parseFloat(isPercent ? rawValue.slice(0, -1) : rawValue);
+
+            if (isNaN(value)) {
+                // Allow a single header line before any data
+                if (returns.length === 0) continue;
+                throw new Error(`Line ${i + 1}: "${rawValue}" is not a number`);
+            }
+
+            const monthlyReturn = isPercent ? value / 100 : value;
+            if (monthlyReturn <= -1) {
+                throw new Error(`Line ${i + 1}: a monthly return of ${rawValue} would wipe out the portfolio`);
+            }
+
+            returns.push(monthlyReturn);
+            months.push(fields.length > 1 ? fields[0] : null);
+        }
+
+        if (returns.length < BOOTSTRAP_DEFAULTS.MIN_MONTHS) {
+            throw new Error(`Need at least ${BOOTSTRAP_DEFAULTS.MIN_MONTHS} monthly returns, found ${returns.length}`);
+        }
+
+        return {
+            label: label,
+            startMonth: months[0],
+            endMonth: months[months.length - 1],
+            returns: Float64Array.from(returns)
+        };
+    },
+
+    /**
+     * Load the bundled S&P 500 total return series
+     */
+    async loadBundled() {
+        const response = await fetch(BOOTSTRAP_DEFAULTS.DATASET_URL);
+        if (!response.ok) {
+            throw new Error(`Failed to load bundled return series: HTTP ${response.status} ${response.statusText}`);
+        }
+        this.active = this.parseCSV(await response.text(), BOOTSTRAP_DEFAULTS.DATASET_LABEL);
+        return this.active;
+    },
+
+    /**
+     * Load a user-supplied CSV file
+     */
+    async loadFile(file) {
+        const series = this.parseCSV(await file.text(), file.name);
+        this.active = series;
+        return series;
+    },
+
+    /**
+     * Get the active series, loading the bundled one on first use
+     */
+    async getActive() {
+        if (!this.active) {
+            await this.loadBundled();
+        }
+        return this.active;
+    },
+
+    /**
+     * Describe a series for display, e.g. "S&P 500 ... (Shiller), 1871-02 to 2023-06 (1,829 months)"
+     */
+    describe(series) {
+        const count = `${series.returns.length.toLocaleString()} months`;
+        if (series.startMonth && series.endMonth) {
+            return `${series.label}, ${series.startMonth} to ${series.endMonth} (${count})`;
+        }
+        return `${series.label} (${count}, no dates)`;
+    }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ReturnSeries = ReturnSeries;
+}
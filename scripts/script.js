@@ -47,7 +47,9 @@
 let currentMode = 'standard';
 let riskTarget = UI_CONSTANTS.DEFAULT_RISK_PROFILES.median; // Default to median
 let simulationResults = null; // Store last simulation results for slider interaction
-let amortizationStrategyIndex = null; // Index of strategy closest to amortization payment
+let activeSimulation = null; // AbortController of the run in progress (Cancel button)
+let progressStartTime = 0; // performance.now() when the run in progress started, for the ETA
+let sliderMovedDuringRun = false; // keep the user's slider position while provisional results refine
 
 /**
  * Risk Profile Management
@@ -87,7 +89,7 @@ function setMode(mode) {
         ? CopywritingHelpers.getModeStandardDescription() 
         : CopywritingHelpers.getModeCustomDescription();
     
-    const inputs = ['growth', 'vol', 'marginCall'];
+    const inputs = ['growth', 'vol', 'marginCall', 'marginCallMode', 'cashReserve', 'cureMonths', 'returnModel', 'rateModel', 'inflationModel', 'portfolioMode', 'taxMode'];
     inputs.forEach(id => {
         const element = document.getElementById(id);
         if (element) element.disabled = isStandard;
@@ -137,6 +139,14 @@ function setMode(mode) {
         document.getElementById('vol').value = STANDARD_MODE_DEFAULTS.VOLATILITY;
         document.getElementById('marginCall').value = STANDARD_MODE_DEFAULTS.MARGIN_CALL_LTV;
         document.getElementById('inflationRate').value = STANDARD_MODE_DEFAULTS.INFLATION_RATE;
+        document.getElementById('returnModel').value = 'lognormal';
+        document.getElementById('portfolioMode').value = 'single';
+        document.getElementById('rateModel').value = 'fixed';
+        document.getElementById('inflationModel').value = 'constant';
+        document.getElementById('marginCallMode').value = 'ruin';
+        document.getElementById('cashReserve').value = 0;
+        document.getElementById('cureMonths').value = 0;
+        document.getElementById('taxMode').value = 'none';
         
         // Set payment type to standard
         document.getElementById('paymentType').value = 'standard';
@@ -179,6 +189,134 @@ function setMode(mode) {
 
     updatePaymentType();
     syncMinPayment();
+    updatePortfolioInputs();
+    updateRateModelInputs();
+    updateInflationModelInputs();
+    updateMarginCallModeInputs();
+    updateTaxModeInputs();
+}
+
+/**
+ * Show the tax rates only for a taxable account (Custom Mode)
+ */
+function updateTaxModeInputs() {
+    const isTaxable = currentMode === 'custom' && document.getElementById('taxMode').value === 'taxable';
+    document.querySelectorAll('.tax-param').forEach(element => {
+        element.style.display = isTaxable ? 'flex' : 'none';
+    });
+}
+
+/**
+ * Show the asset mix table for a multi-asset portfolio (Custom Mode)
+ * A mix replaces the single-asset growth/volatility inputs and always uses lognormal returns
+ */
+function updatePortfolioInputs() {
+    const isMulti = currentMode === 'custom' && document.getElementById('portfolioMode').value === 'multi';
+    document.getElementById('assetMixGroup').style.display = isMulti ? 'flex' : 'none';
+    
+    ['growth', 'vol', 'returnModel'].forEach(id => {
+        document.getElementById(id).disabled = currentMode !== 'custom' || isMulti;
+    });
+    if (isMulti) {
+        document.getElementById('returnModel').value = 'lognormal';
+    }
+    updateReturnModelInputs();
+}
+
+/**
+ * Show the deleverage target only for forced-deleverage margin calls (Custom Mode)
+ */
+function updateMarginCallModeInputs() {
+    const isDeleverage = currentMode === 'custom' && document.getElementById('marginCallMode').value === 'deleverage';
+    document.getElementById('deleverageTargetGroup').style.display = isDeleverage ? 'flex' : 'none';
+}
+
+/**
+ * Show the floating-rate parameters only when a floating model is selected (Custom Mode)
+ */
+function updateRateModelInputs() {
+    const isFloating = currentMode === 'custom' && document.getElementById('rateModel').value !== 'fixed';
+    document.querySelectorAll('.rate-model-param').forEach(element => {
+        element.style.display = isFloating ? 'flex' : 'none';
+    });
+}
+
+/**
+ * Show only the parameters of the selected return model (Custom Mode)
+ */
+function updateReturnModelInputs() {
+    const model = document.getElementById('returnModel').value;
+    const showStudentT = currentMode === 'custom' && model === 'studentT';
+    const showJump = currentMode === 'custom' && model === 'jumpDiffusion';
+    const showRegimes = currentMode === 'custom' && model === 'regimeSwitching';
+    const showBootstrap = currentMode === 'custom' && model === 'bootstrap';
+    
+    document.getElementById('degreesOfFreedomGroup').style.display = showStudentT ? 'flex' : 'none';
+    ['jumpIntensityGroup', 'jumpMeanGroup', 'jumpStdDevGroup'].forEach(id => {
+        document.getElementById(id).style.display = showJump ? 'flex' : 'none';
+    });
+    document.getElementById('regimeGroup').style.display = showRegimes ? 'flex' : 'none';
+    document.getElementById('bootstrapGroup').style.display = showBootstrap ? 'flex' : 'none';
+    
+    if (showBootstrap) {
+        ReturnSeries.getActive()
+            .then(updateReturnSeriesInfo)
+            .catch(error => {
+                document.getElementById('returnSeriesInfo').textContent = `Unavailable (${error.message})`;
+            });
+    }
+}
+
+/**
+ * Show which historical dataset the bootstrap model will sample from
+ */
+function updateReturnSeriesInfo(series) {
+    document.getElementById('returnSeriesInfo').textContent = ReturnSeries.describe(series);
+}
+
+/**
+ * Load a user-supplied CSV of monthly returns
+ */
+async function handleReturnSeriesUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        updateReturnSeriesInfo(await ReturnSeries.loadFile(file));
+    } catch (error) {
+        alert(`Could not read ${file.name}: ${error.message}`);
+        event.target.value = '';
+    }
+}
+
+/**
+ * Switch back to the bundled S&P 500 series
+ */
+async function resetReturnSeries() {
+    document.getElementById('returnSeriesFile').value = '';
+    try {
+        updateReturnSeriesInfo(await ReturnSeries.loadBundled());
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+/**
+ * Block length only applies to block sampling
+ */
+function updateBootstrapSampling() {
+    const isBlock = document.getElementById('bootstrapSampling').value === 'block';
+    document.getElementById('blockLengthGroup').style.display = isBlock ? 'flex' : 'none';
+}
+
+/**
+ * Show or hide the crisis regime row and column
+ */
+function updateRegimeCount() {
+    const showThird = document.getElementById('regimeCount').value === '3';
+    document.querySelectorAll('.regime-third').forEach(element => {
+        element.style.display = showThird ? '' : 'none';
+    });
 }
 
 
@@ -432,17 +570,6 @@ function updatePaymentType() {
     }
 }
 
-/**
- * Generate random normal variable (Box-Muller transform)
- */
-function randn_bm() {
-    let u = 0, v = 0;
-    while(u === 0) u = Math.random();
-    while(v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
-
 /**
  * Main Simulation Function
  * Runs Monte Carlo simulations with inflation adjustment
@@ -450,7 +577,7 @@ function randn_bm() {
 /**
  * Main Simulation Runner - Uses WebAssembly if available, falls back to JS
  */
-async function runSimulation() {
+async function runSimulation(options = {}) {
     console.log('[Script] runSimulation() called');
     if (!validateInputs()) {
         console.error('[Script] Input validation failed');
@@ -459,7 +586,7 @@ async function runSimulation() {
 
     try {
         console.log('[Script] Calling runSimulationWithAdapter()...');
-        const results = await runSimulationWithAdapter();
+        const results = await runSimulationWithAdapter(options);
         console.log('[Script] Results received from adapter:', results);
         
         if (!results) {
@@ -485,248 +612,17 @@ async function runSimulation() {
 }
 
 /**
- * Legacy JavaScript Implementation (Fallback)
- * Preserved for browsers without WebAssembly support
+ * Survival rate a strategy can be trusted to meet: the low end of its 95% confidence
+ * interval, or the point estimate when no interval is available
  */
-function runSimulationLegacy() {
-    if (!validateInputs()) {
-        return;
-    }
-
-    const loan = parseFloat(document.getElementById('loanAmount').value);
-    const assetInput = parseFloat(document.getElementById('assetValue').value);
-    const years = parseFloat(document.getElementById('loanPeriod').value);
-    const paymentTypeSelect = document.getElementById('paymentType').value;
-    const monthlyBudget = parseFloat(document.getElementById('monthlyBudget').value);
-    
-    // Book value of collateral account (always collateral-based)
-    const initialEquity = assetInput;
-    
-    const annualRate = parseFloat(document.getElementById('interestRate').value) / 100;
-    const g = parseFloat(document.getElementById('growth').value) / 100;
-    const vol = parseFloat(document.getElementById('vol').value) / 100;
-    const marginCallLTV = parseFloat(document.getElementById('marginCall').value) / 100;
-    const inflationRate = parseFloat(document.getElementById('inflationRate').value) / 100;
-    
-    const months = years * 12;
-    const mRate = annualRate / 12;
-    const leveragedSimulations = UI_CONSTANTS.SIMULATION_COUNT;
-    const benchmarkSimulations = UI_CONSTANTS.BASE_CASE_SIMULATIONS;
-
-    const amortizedPayment = loan * (mRate * Math.pow(1 + mRate, months)) / (Math.pow(1 + mRate, months) - 1);
-    const monthlyInterest = loan * mRate;
-    
-    // Determine minimum payment based on payment type selector
-    let minRequired = parseFloat(document.getElementById('minPayment').value);
-    let minPayment;
-    
-    if (paymentTypeSelect === 'interest') {
-        minPayment = monthlyInterest;
-    } else {
-        // custom - use the value entered by user
-        minPayment = minRequired;
-    }
-    
-    let results = [];
-    
-    // Calculate the maximum payment strategy: use the full monthly budget
-    const maxPayment = monthlyBudget;
-    
-    // Calculate the percentage that minimum payment represents of max payment
-    const minPaymentPercent = (minPayment / maxPayment) * 100;
-    const numSteps = UI_CONSTANTS.NUM_STRATEGIES;
-    const stepSize = (100 - minPaymentPercent) / (numSteps - 1);
-    
-    // Pre-calculate all cash flow schedules (deterministic debt and deposit paths)
-    console.log('[LegacySimulation] Pre-calculating cash flow schedules...');
-    const allSchedules = [];
-    
-    // Benchmark schedule: no debt, just full budget deposits
-    // Now includes T=0 element (months+1 total elements)
-    const benchmarkDeposits = [0]; // T=0: no initial deposit
-    const benchmarkDebt = [0];     // T=0: no initial debt
-    for (let month = 1; month <= months; month++) {
-        benchmarkDeposits.push(monthlyBudget);
-        benchmarkDebt.push(0);
-    }
-    allSchedules.push({ debtPath: benchmarkDebt, depositPath: benchmarkDeposits });
-    
-    // Leveraged strategy schedules
-    for(let i = 0; i < numSteps - 1; i++) {
-        const percentOfMax = minPaymentPercent + (i * stepSize);
-        const payment = (percentOfMax / 100) * maxPayment;
-        
-        const schedule = generateCashFlowSchedule(loan, mRate, payment, monthlyBudget, months);
-        allSchedules.push(schedule);
-    }
-    console.log('[LegacySimulation] ✓ Pre-calculated', allSchedules.length, 'schedules');
-    
-    // Calculate 11 payment strategies from minimum to maximum feasible payment (monthly budget)
-    for(let i = 0; i < numSteps; i++) {
-        const percentOfMax = minPaymentPercent + (i * stepSize);
-        const k = percentOfMax / 100;
-        const payment = k * maxPayment;
-        const paymentPercent = percentOfMax;
-        const surplus = monthlyBudget - payment;
-        
-        let survivedCount = 0;
-        let finalWealths = [];
-        let benchmarkWealths = [];
-
-        // Get pre-calculated deposit and debt paths for this strategy
-        const schedule = allSchedules[i + 1]; // +1 because index 0 is benchmark
-        const depositPath = schedule.depositPath;
-        const debtPath = schedule.debtPath;
-        
-        // Track cash flows for each strategy
-        const totalBudgeted = monthlyBudget * months;
-        const totalDebtPayments = payment * months;
-        const totalSurplusInvested = surplus * months;
-
-        for (let s = 0; s < leveragedSimulations; s++) {
-            let assets = initialEquity + loan;
-            let benchmarkAssets = initialEquity;
-            let ruined = false;
-
-            // Loop from month 1 to months (paths now include T=0 at index 0)
-            for (let t = 1; t <= months; t++) {
-                const ret = Math.exp((g - 0.5 * vol * vol) * (1/12) + vol * Math.sqrt(1/12) * randn_bm());
-                
-                // Use pre-calculated deposit path (index t corresponds to end of month t)
-                assets = (assets * ret) + depositPath[t];
-                benchmarkAssets = (benchmarkAssets * ret) + monthlyBudget;
-                
-                // Use pre-calculated debt path (index t corresponds to debt at end of month t)
-                const debt = debtPath[t];
-
-                if (debt / assets > marginCallLTV) {
-                    ruined = true; 
-                    break; 
-                }
-            }
-
-            if (!ruined) {
-                survivedCount++;
-                // Calculate final wealth using last debt value (at month index = months)
-                const finalDebt = debtPath[months];
-                const nominalWealth = assets - finalDebt;
-                
-                // Convert to Real Dollars: RealWealth = NominalWealth / (1 + InflationRate)^Years
-                const realWealth = nominalWealth / Math.pow(1 + inflationRate, years);
-                
-                finalWealths.push(realWealth);
-            }
-
-            if (s < benchmarkSimulations) {
-                const nominalBenchmark = benchmarkAssets;
-                const realBenchmark = nominalBenchmark / Math.pow(1 + inflationRate, years);
-                benchmarkWealths.push(realBenchmark);
-            }
-        }
-
-        for (let s = leveragedSimulations; s < benchmarkSimulations; s++) {
-            let benchmarkAssets = initialEquity;
-
-            // Loop from month 1 to months
-            for (let t = 1; t <= months; t++) {
-                const ret = Math.exp((g - 0.5 * vol * vol) * (1/12) + vol * Math.sqrt(1/12) * randn_bm());
-                benchmarkAssets = (benchmarkAssets * ret) + monthlyBudget;
-            }
-
-            const nominalBenchmark = benchmarkAssets;
-            const realBenchmark = nominalBenchmark / Math.pow(1 + inflationRate, years);
-            benchmarkWealths.push(realBenchmark);
-        }
-
-        finalWealths.sort((a, b) => a - b);
-        
-        // Calculate percentiles in Real Dollars
-        const medianWealth = finalWealths.length > 0 ? finalWealths[Math.floor(finalWealths.length * UI_CONSTANTS.WEALTH_PERCENTILES.median / 100)] : 0;
-        const p90Wealth = finalWealths.length > 0 ? finalWealths[Math.floor(finalWealths.length * UI_CONSTANTS.WEALTH_PERCENTILES.high / 100)] : 0;
-
-        benchmarkWealths.sort((a, b) => a - b);
-        const benchmarkMedian = benchmarkWealths.length > 0 ? benchmarkWealths[Math.floor(benchmarkWealths.length * UI_CONSTANTS.WEALTH_PERCENTILES.median / 100)] : 0;
-        const benchmarkExpected = benchmarkWealths.length > 0
-            ? benchmarkWealths.reduce((sum, value) => sum + value, 0) / benchmarkWealths.length
-            : 0;
-        const benchmarkVariance = benchmarkWealths.length > 0
-            ? benchmarkWealths.reduce((sum, value) => sum + Math.pow(value - benchmarkExpected, 2), 0) / benchmarkWealths.length
-            : 0;
-        const benchmarkSigma = Math.sqrt(benchmarkVariance);
-
-        const expectedWealth = finalWealths.length > 0
-            ? finalWealths.reduce((sum, value) => sum + value, 0) / finalWealths.length
-            : 0;
-        const benchmarkPercentDiff = benchmarkExpected > 0
-            ? ((expectedWealth - benchmarkExpected) / benchmarkExpected) * 100
-            : 0;
-        
-        results.push({
-            paymentAmount: payment,
-            surplusAmount: surplus,
-            paymentPercent,
-            survivalRate: (survivedCount / leveragedSimulations) * 100,
-            medianWealth,
-            p90Wealth,
-            expectedWealth,
-            benchmarkPercentDiff,
-            amortizedPayment,
-            finalWealthArray: finalWealths,
-            benchmarkWealthArray: benchmarkWealths,
-            benchmarkMedian,
-            benchmarkExpected,
-            benchmarkSigma,
-            totalBudgeted,
-            totalDebtPayments,
-            totalInvested: totalSurplusInvested,
-            totalInterestPaid: (totalDebtPayments - loan),
-            debtPath: schedule.debtPath,
-            depositPath: schedule.depositPath
-        });
-    }
-
-    // Find the strategy index closest to the amortized payment amount
-    // Only consider leveraged strategies (0-9) for pill display
-    let closestIndex = 0;
-    let minDiff = Math.abs(results[0].paymentAmount - amortizedPayment);
-    for (let i = 1; i < Math.min(10, results.length); i++) {
-        const diff = Math.abs(results[i].paymentAmount - amortizedPayment);
-        if (diff < minDiff) {
-            minDiff = diff;
-            closestIndex = i;
-        }
-    }
-    amortizationStrategyIndex = closestIndex;
-
-    const loanDetails = {
-        loanAmount: loan,
-        initialEquity: initialEquity,
-        months: months,
-        amortizedPayment: amortizedPayment,
-        monthlyBudget: monthlyBudget,
-        interestRate: annualRate,
-        inflationRate: inflationRate,
-        years: years
-    };
-    
-    // Store results globally for slider interaction
-    simulationResults = {
-        strategies: results,
-        loanDetails: loanDetails,
-        benchmark: {
-            debtPath: allSchedules[0].debtPath,
-            depositPath: allSchedules[0].depositPath
-        }
-    };
-    
-    displayResults(simulationResults);
-
-    return simulationResults;
+function survivalLowerBound(strategy) {
+    return strategy.confidence ? strategy.confidence.survival.low : strategy.survivalRate;
 }
 
 /**
  * Find Target Strategy Index based on Risk Target
- * Chooses the closest survival rate at or above the target,
+ * Chooses the closest survival rate at or above the target, judged by the lower bound
+ * of its confidence interval so sampling noise can't tip a strategy over the line,
  * or the max payment strategy if none are safe.
  * Only considers leveraged strategies (indices 0-9).
  */
@@ -739,7 +635,7 @@ function findTargetStrategyIndex(targetSurvival) {
     
     const safeStrategies = leveragedStrategies
         .map((strategy, index) => ({ strategy, index }))
-        .filter(({ strategy }) => strategy.survivalRate >= targetSurvival);
+        .filter(({ strategy }) => survivalLowerBound(strategy) >= targetSurvival);
 
     if (safeStrategies.length === 0) {
         // Return the most conservative leveraged strategy (index 9)
@@ -747,8 +643,8 @@ function findTargetStrategyIndex(targetSurvival) {
     }
 
     const closest = safeStrategies.reduce((best, current) => {
-        const bestDiff = best.strategy.survivalRate - targetSurvival;
-        const currentDiff = current.strategy.survivalRate - targetSurvival;
+        const bestDiff = survivalLowerBound(best.strategy) - targetSurvival;
+        const currentDiff = survivalLowerBound(current.strategy) - targetSurvival;
         return currentDiff < bestDiff ? current : best;
     });
 
@@ -762,6 +658,9 @@ function findTargetStrategyIndex(targetSurvival) {
  * Ruin: Margin call (wealth = $0) OR ended with wealth < initial equity
  * Profit: Survived AND final wealth > benchmark median
  * Sucker: Survived AND initial equity <= wealth <= benchmark median
+ * 
+ * With common random numbers each scenario is also paired with the benchmark on the same
+ * market path: beatPercent is the share where leverage ended with more wealth (null otherwise)
  */
 function calculateTrinaryStats(strategyIndex) {
     if (!simulationResults) return null;
@@ -771,7 +670,7 @@ function calculateTrinaryStats(strategyIndex) {
     const benchmarkMedian = strategy.benchmarkMedian;
     const initialEquity = simulationResults.loanDetails.initialEquity;
     
-    const totalSimulations = UI_CONSTANTS.SIMULATION_COUNT;
+    const totalSimulations = strategy.simulationCount;
     const survivors = leveragedWealths.length;
     const marginCalls = totalSimulations - survivors;
     
@@ -793,6 +692,15 @@ function calculateTrinaryStats(strategyIndex) {
     // Verify: Ruin % + Sucker % + Profit % = 100%
     const total = ruinPercent + suckerPercent + profitPercent;
     
+    // Paired comparison: the same market path with and without leverage (margin-called paths hold 0)
+    const strategyPaths = strategy.pathWealthArray || [];
+    const benchmarkPaths = strategy.benchmarkPathWealthArray || [];
+    const pairedCount = Math.min(strategyPaths.length, benchmarkPaths.length);
+    let beatCount = 0;
+    for (let i = 0; i < pairedCount; i++) {
+        if (strategyPaths[i] > benchmarkPaths[i]) beatCount++;
+    }
+    
     return {
         ruinPercent: Math.max(0, ruinPercent),
         suckerPercent: Math.max(0, suckerPercent),
@@ -801,6 +709,9 @@ function calculateTrinaryStats(strategyIndex) {
         profitCount: profitSurvivors,
         suckerCount: suckerSurvivors,
         totalSims: totalSimulations,
+        beatPercent: pairedCount > 0 ? (beatCount / pairedCount) * 100 : null,
+        beatCount: beatCount,
+        pairedCount: pairedCount,
         calculationTotal: total  // Should equal 100 (for verification)
     };
 }
@@ -851,8 +762,10 @@ function renderHistogram(strategyIndex) {
     // 1.0 STATISTICAL CALCULATION (Pre-Processing)
     // ========================================
     
-    // 1.1 Extract Combined Dataset
-    const allOutcomes = [...wealthData, ...benchmarkData];
+    // 1.1 Combined Dataset: both arrays are binned where they are (Float64Arrays from the
+    // engine, sorted ascending), never concatenated or spread into arguments
+    const datasets = [wealthData, benchmarkData];
+    const outcomeCount = wealthData.length + benchmarkData.length;
     
     // 1.2 Define Cutoff Boundaries
     const chartMin = 0;  // Hard constraint: show all downside
@@ -860,17 +773,17 @@ function renderHistogram(strategyIndex) {
     // 1.3 Find chartMax by filtering out bins with < 0.3% probability
     // Create initial bins to find max value that meets threshold
     const numBins = UI_CONSTANTS.HISTOGRAM_BINS;
-    const tempMax = Math.max(...allOutcomes);
+    const tempMax = Math.max(wealthData[wealthData.length - 1], benchmarkData[benchmarkData.length - 1]);
     const tempBinSize = tempMax / numBins;
     
     let tempBins = new Array(numBins).fill(0);
-    allOutcomes.forEach(w => {
+    datasets.forEach(data => data.forEach(w => {
         const binIndex = Math.min(Math.floor(w / tempBinSize), numBins - 1);
         tempBins[binIndex]++;
-    });
+    }));
     
     // Find highest bin with at least 0.3% probability
-    const threshold = allOutcomes.length * 0.003; // 0.3% threshold
+    const threshold = outcomeCount * 0.003; // 0.3% threshold
     let maxBinIndex = numBins - 1;
     for (let i = numBins - 1; i >= 0; i--) {
         if (tempBins[i] >= threshold) {
@@ -918,12 +831,11 @@ function renderHistogram(strategyIndex) {
     // Create x-axis labels
     const xLabels = leveragedProb.map((_, i) => i * binSize);
 
-    // Sort data to extract percentiles accurately (from ORIGINAL data)
-    const sortedWealth = [...wealthData].sort((a, b) => a - b);
-    const total = sortedWealth.length;
+    // Extract percentiles from the ORIGINAL data (already sorted)
+    const total = wealthData.length;
 
     // Extract Real-World Percentiles
-    const p50 = sortedWealth[Math.floor(total * 0.50)]; // Leveraged Median
+    const p50 = wealthData[Math.floor(total * 0.50)]; // Leveraged Median
     
     // ========================================
     // 4.0 RENDER & CLEANUP
@@ -1024,6 +936,17 @@ function renderHistogram(strategyIndex) {
     const filteredPctLeveraged = (filteredLeveraged / wealthData.length) * 100;
     const filteredPctBenchmark = (filteredBenchmark / benchmarkData.length) * 100;
     
+    // Hover text: bin probability plus the precision of the headline estimates
+    const confidence = strategy.confidence;
+    const precisionText = confidence
+        ? `<br>Survival: ${strategy.survivalRate.toFixed(1)}% (95% CI ${formatPercentInterval(confidence.survival)})` +
+          `<br>Median: ${formatSummaryDollars(strategy.medianWealth)} (95% CI ${formatDollarInterval(confidence.median)})` +
+          `<br>${strategy.simulationCount.toLocaleString()} scenarios simulated`
+        : '';
+    [ruinTrace, underperformedTrace, overperformedTrace].forEach(trace => {
+        trace.hovertemplate = `<b>${trace.name}</b><br>%{y:.2f}% of scenarios near $%{x:,.0f}${precisionText}<extra></extra>`;
+    });
+    
     // Create layout with THREE LINES visualization (Ruin/Benchmark/Strategy)
     const layout = {
         title: `Wealth Distribution (Strategy ${strategyIndex + 1})`,
@@ -1105,7 +1028,7 @@ function updateSummary(strategyIndex) {
         </div>
         
         <!-- OUTCOME ZONES GRID -->
-        <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; margin-top: 20px;">
+        <div style="display: grid; grid-template-columns: repeat(${trinaryStats.beatPercent !== null ? 4 : 3}, 1fr); gap: 16px; margin-top: 20px;">
             <div style="background: #ffebee; border-left: 4px solid #B3261E; padding: 16px; border-radius: 4px; text-align: center;">
                 <div style="font-size: 28px; font-weight: bold; color: #B3261E;">${trinaryStats.ruinPercent.toFixed(1)}%</div>
                 <div style="font-size: 0.9rem; color: #666; font-weight: 600;">RUIN</div>
@@ -1121,6 +1044,12 @@ function updateSummary(strategyIndex) {
                 <div style="font-size: 0.9rem; color: #666; font-weight: 600;">PROFIT</div>
                 <div style="font-size: 0.75rem; color: #999;">Outperform</div>
             </div>
+            ${trinaryStats.beatPercent !== null ? `
+            <div style="background: #e3f2fd; border-left: 4px solid #1565C0; padding: 16px; border-radius: 4px; text-align: center;" title="Share of ${trinaryStats.pairedCount.toLocaleString()} market paths where this strategy ended with more wealth than no leverage on the very same path">
+                <div style="font-size: 28px; font-weight: bold; color: #1565C0;">${trinaryStats.beatPercent.toFixed(1)}%</div>
+                <div style="font-size: 0.9rem; color: #666; font-weight: 600;">BEAT NO-LEVERAGE</div>
+                <div style="font-size: 0.75rem; color: #999;">Same market path</div>
+            </div>` : ''}
         </div>
 
         <p>${narrative.allocation}</p>
@@ -1195,9 +1124,302 @@ function updateSummary(strategyIndex) {
         `;
     }
     
+    summaryHTML += buildPrecisionSummaryHTML(strategy, loanDetails);
+    summaryHTML += buildRiskSummaryHTML(strategy, loanDetails);
+    summaryHTML += buildTaxSummaryHTML(strategy, loanDetails);
+    summaryHTML += buildReserveSummaryHTML(strategy, loanDetails);
+    summaryHTML += buildMarginCallSummaryHTML(strategy, loanDetails);
+    
     summaryBox.innerHTML = summaryHTML;
 }
 
+/**
+ * Margin call detail table for the Strategy Summary
+ * Only shown under forced deleverage, where a margin call no longer ends the scenario
+ */
+function buildMarginCallSummaryHTML(strategy, loanDetails) {
+    const liquidation = strategy.liquidation;
+    if (loanDetails.marginCallMode !== 'deleverage' || !liquidation) return '';
+    
+    const totalSimulations = strategy.simulationCount;
+    const perPath = value => liquidation.paths > 0 ? value / liquidation.paths : 0;
+    const survivorWealth = liquidation.survivorWealthArray;
+    const survivorMedian = survivorWealth.length > 0 ? survivorWealth[Math.floor(survivorWealth.length * 0.5)] : 0;
+    const wipedOut = totalSimulations - strategy.numSurvived;
+    
+    return buildSummaryTableHTML('Margin Calls (Forced Deleverage)', '#B3261E', [
+        ['Scenarios with a forced sale', `${(liquidation.paths / totalSimulations * 100).toFixed(1)}%`, 'All of these would be ruin under Total Ruin'],
+        ['Forced sales per affected scenario', perPath(liquidation.events).toFixed(1), `Each sale restores ${(loanDetails.deleverageTargetLTV * 100).toFixed(0)}% LTV`],
+        ['Collateral sold per affected scenario', formatSummaryDollars(perPath(liquidation.amountSold)), 'Today\'s dollars, used to repay debt'],
+        ['Realized losses per affected scenario', formatSummaryDollars(perPath(liquidation.realizedLoss)), 'Sale proceeds below what the shares cost'],
+        ['Survived a forced sale', `${(survivorWealth.length / totalSimulations * 100).toFixed(1)}%`, `Median final wealth ${formatSummaryDollars(survivorMedian)} vs ${formatSummaryDollars(strategy.medianWealth)} overall`],
+        ['Wiped out (equity gone at a margin call)', `${(wipedOut / totalSimulations * 100).toFixed(1)}%`, 'Counted as ruin']
+    ]);
+}
+
+/**
+ * Monte Carlo precision table for the Strategy Summary: 95% confidence intervals from the engine,
+ * and how many paths the strategy actually ran
+ */
+function buildPrecisionSummaryHTML(strategy, loanDetails) {
+    const confidence = strategy.confidence;
+    if (!confidence) return '';
+    
+    const rows = [
+        ['Survival rate', `${strategy.survivalRate.toFixed(1)}%`, `95% CI ${formatPercentInterval(confidence.survival)}`],
+        ['Scenarios simulated', strategy.simulationCount.toLocaleString(), describeSampleSize(strategy, loanDetails)]
+    ];
+    if (strategy.numSurvived > 0) {
+        rows.push(
+            ['Median wealth', formatSummaryDollars(strategy.medianWealth), `95% CI ${formatDollarInterval(confidence.median)}`],
+            ['90th percentile wealth', formatSummaryDollars(strategy.p90Wealth), `95% CI ${formatDollarInterval(confidence.p90)}`],
+            ['Average wealth', formatSummaryDollars(strategy.expectedWealth), `&plusmn; ${formatSummaryDollars(1.96 * confidence.expectedStdError)} (standard error ${formatSummaryDollars(confidence.expectedStdError)})`]
+        );
+    }
+    
+    return buildSummaryTableHTML('Estimate Precision (Sampling Error)', '#6200EE', rows);
+}
+
+/**
+ * Explain why a strategy ran the number of paths it did
+ */
+function describeSampleSize(strategy, loanDetails) {
+    if (simulationResults && simulationResults.provisional) {
+        return 'Provisional: finished so far, the run continues';
+    }
+    if (loanDetails.samplingMode !== 'adaptive') {
+        return 'Fixed sample size';
+    }
+    const tolerance = `&plusmn;${(loanDetails.samplingTolerance * 100).toFixed(2)} pts`;
+    if (strategy.simulationCount < loanDetails.maxSimulationCount) {
+        return `Adaptive: stopped once survival was within ${tolerance}`;
+    }
+    return `Adaptive: hit the ${loanDetails.maxSimulationCount.toLocaleString()} maximum before reaching ${tolerance}`;
+}
+
+/**
+ * Format a [low, high] survival interval in percent, e.g. "97.8% to 98.3%"
+ */
+function formatPercentInterval(interval) {
+    return `${interval.low.toFixed(1)}% to ${interval.high.toFixed(1)}%`;
+}
+
+/**
+ * Format a [low, high] dollar interval, e.g. "$241,000 to $256,000"
+ */
+function formatDollarInterval(interval) {
+    return `${formatSummaryDollars(interval.low)} to ${formatSummaryDollars(interval.high)}`;
+}
+
+/**
+ * Path risk table for the Strategy Summary: how close surviving scenarios came to a margin call
+ */
+function buildRiskSummaryHTML(strategy, loanDetails) {
+    const risk = strategy.risk;
+    if (!risk || strategy.numSurvived === 0) return '';
+    
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const warningPercent = (loanDetails.warningLTV * 100).toFixed(0);
+    const benchmarkDrawdown = strategy.benchmarkRisk
+        ? `; ${percent(strategy.benchmarkRisk.maxDrawdown.p50)} without leverage`
+        : '';
+    
+    return buildSummaryTableHTML('Path Risk (Surviving Scenarios)', '#FF9800', [
+        ['Median peak LTV', percent(risk.peakLTV.p50), 'Half of surviving scenarios never went higher'],
+        ['95th percentile peak LTV', percent(risk.peakLTV.p95), `1 in 20 survivors came this close to the ${(loanDetails.marginCallLTV * 100).toFixed(0)}% margin call`],
+        [`Survivors that went above ${warningPercent}% LTV`, `${(risk.warningPaths / strategy.numSurvived * 100).toFixed(1)}%`, `95th percentile: ${risk.monthsAboveWarning.p95.toFixed(0)} months above ${warningPercent}%`],
+        ['Median max drawdown', percent(risk.maxDrawdown.p50), `Worst fall in net equity from a previous high${benchmarkDrawdown}`],
+        ['95th percentile max drawdown', percent(risk.maxDrawdown.p95), 'Measured before inflation, at month ends']
+    ]);
+}
+
+/**
+ * After-tax wealth table for the Strategy Summary, next to the pre-tax figures
+ * Only shown for a taxable account
+ */
+function buildTaxSummaryHTML(strategy, loanDetails) {
+    const tax = strategy.tax;
+    if (loanDetails.taxMode !== 'taxable' || !tax) return '';
+    
+    const totalSimulations = strategy.simulationCount;
+    const perSurvivor = value => strategy.numSurvived > 0 ? value / strategy.numSurvived : 0;
+    const rows = [
+        ['Median wealth after tax', formatSummaryDollars(tax.medianWealth), `Pre-tax ${formatSummaryDollars(strategy.medianWealth)}; no-leverage benchmark ${formatSummaryDollars(strategy.benchmarkAfterTaxMedian)} after tax`],
+        ['90th percentile after tax', formatSummaryDollars(tax.p90Wealth), `Pre-tax ${formatSummaryDollars(strategy.p90Wealth)}`],
+        ['Average wealth after tax', formatSummaryDollars(tax.expectedWealth), `Pre-tax ${formatSummaryDollars(strategy.expectedWealth)}`],
+        ['Tax on gains from sales', formatSummaryDollars(tax.salesTax / totalSimulations), 'Per scenario: loan payoff and forced sales realize gains early'],
+        ['Tax on gains at the end', formatSummaryDollars(perSurvivor(tax.horizonTax)), 'Per surviving scenario, if the account were cashed out']
+    ];
+    if (loanDetails.interestDeductionRate > 0) {
+        rows.push(['Tax saved by deducting interest', formatSummaryDollars(tax.interestSavings / totalSimulations), `Per scenario, at ${(loanDetails.interestDeductionRate * 100).toFixed(1)}%`]);
+    }
+    
+    return buildSummaryTableHTML('After-Tax Wealth (Taxable Account)', '#00796B', rows);
+}
+
+/**
+ * Emergency reserve table for the Strategy Summary
+ * Only shown when a reserve or cure window is configured
+ */
+function buildReserveSummaryHTML(strategy, loanDetails) {
+    const reserve = strategy.reserve;
+    if (!reserve || !(loanDetails.cashReserve > 0 || loanDetails.cureMonths > 0)) return '';
+    
+    const totalSimulations = strategy.simulationCount;
+    const averageDrawn = reserve.usedPaths > 0 ? reserve.amountDrawn / reserve.usedPaths : 0;
+    const rows = [
+        ['Margin calls cured', `${reserve.callsCured.toLocaleString()} of ${reserve.callsOpened.toLocaleString()}`, loanDetails.cureMonths > 0
+            ? `Closed by the reserve or a recovery within ${loanDetails.cureMonths} month${loanDetails.cureMonths === 1 ? '' : 's'}`
+            : 'Closed by the reserve']
+    ];
+    if (loanDetails.cashReserve > 0) {
+        rows.unshift(
+            ['Scenarios that used the reserve', `${(reserve.usedPaths / totalSimulations * 100).toFixed(1)}%`, `Reserve of ${formatSummaryDollars(loanDetails.cashReserve)}`],
+            ['Average drawn when used', formatSummaryDollars(averageDrawn), `About ${(averageDrawn / loanDetails.cashReserve * 100).toFixed(0)}% of the reserve, in today's dollars`],
+            ['Scenarios that emptied the reserve', `${(reserve.depletedPaths / totalSimulations * 100).toFixed(1)}%`, 'Later margin calls rely on the cure window alone']
+        );
+    }
+    
+    return buildSummaryTableHTML('Emergency Cash Reserve', '#1565C0', rows);
+}
+
+/**
+ * Format a dollar amount for the summary tables
+ */
+function formatSummaryDollars(value) {
+    return `$${value.toLocaleString(undefined, {maximumFractionDigits: 0})}`;
+}
+
+/**
+ * Three-column detail table (label, value, note) in the Strategy Summary style
+ */
+function buildSummaryTableHTML(title, accentColor, rows) {
+    const rowsHTML = rows.map(([label, value, note], i) => {
+        const border = i < rows.length - 1 ? 'border-bottom: 1px solid #E0E0E0;' : '';
+        return `
+                    <tr>
+                        <td style="padding: 10px; ${border}">${label}</td>
+                        <td style="padding: 10px; text-align: center; ${border}"><strong>${value}</strong></td>
+                        <td style="padding: 10px; ${border} color: #757575;">${note}</td>
+                    </tr>`;
+    }).join('');
+    
+    return `
+        <div style="margin-top: 24px; background: #F5F5F5; padding: 16px; border-radius: 4px; border-left: 4px solid ${accentColor};">
+            <h4 style="margin-top: 0; color: #212121;">${title}</h4>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <tbody>${rowsHTML}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Render the survival curve (share of scenarios not yet margin-called, by year) for the
+ * selected strategy, with the margin calls in each year as bars on a second axis
+ */
+function renderSurvivalCurveChart(strategyIndex) {
+    if (!simulationResults) return;
+    
+    const strategy = simulationResults.strategies[strategyIndex];
+    const years = simulationResults.loanDetails.years;
+    
+    // Group ruin months into years (month m belongs to year ceil(m / 12))
+    const ruinedByYear = new Array(Math.ceil(years)).fill(0);
+    strategy.ruinMonths.forEach((count, index) => {
+        ruinedByYear[Math.floor(index / 12)] += count;
+    });
+    const totalRuined = ruinedByYear.reduce((sum, count) => sum + count, 0);
+    const totalPaths = strategy.numSurvived + totalRuined;
+    
+    const yearPoints = [0];
+    const survivalPercent = [100];
+    let alive = totalPaths;
+    ruinedByYear.forEach((count, index) => {
+        alive -= count;
+        yearPoints.push(index + 1);
+        survivalPercent.push(alive / totalPaths * 100);
+    });
+    
+    const traces = [
+        {
+            x: ruinedByYear.map((_, index) => index + 1),
+            y: ruinedByYear.map(count => count / totalPaths * 100),
+            type: 'bar',
+            name: 'Margin Called During Year',
+            yaxis: 'y2',
+            marker: { color: 'rgba(179, 38, 30, 0.45)' },
+            hovertemplate: 'Year %{x}: %{y:.2f}% of scenarios margin-called<extra></extra>'
+        },
+        {
+            x: yearPoints,
+            y: survivalPercent,
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Still Solvent',
+            line: { color: '#1B5E20', width: 3, shape: 'hv' },
+            marker: { size: 4 },
+            hovertemplate: 'End of year %{x}: %{y:.1f}% still solvent<extra></extra>'
+        }
+    ];
+    
+    const layout = {
+        title: `Survival Over Time (Strategy ${strategyIndex + 1})`,
+        xaxis: {
+            title: 'Time (Years)',
+            range: [0, years + 0.5]
+        },
+        yaxis: {
+            title: 'Scenarios Still Solvent (%)',
+            ticksuffix: '%',
+            range: [Math.max(0, Math.min(...survivalPercent) - 5), 100.5]
+        },
+        yaxis2: {
+            title: 'Margin Called in Year (%)',
+            ticksuffix: '%',
+            overlaying: 'y',
+            side: 'right',
+            rangemode: 'tozero',
+            showgrid: false
+        },
+        bargap: 0.2,
+        margin: { t: 80, b: 80, l: 80, r: 200 },
+        autosize: true,
+        plot_bgcolor: '#f9f9f9',
+        paper_bgcolor: '#ffffff',
+        legend: {
+            x: 1.08,
+            xanchor: 'left',
+            y: 1,
+            yanchor: 'top',
+            bgcolor: 'rgba(255, 255, 255, 0.9)',
+            bordercolor: '#ddd',
+            borderwidth: 1
+        }
+    };
+    
+    if (totalRuined === 0) {
+        layout.annotations = [{
+            x: 0.5,
+            xref: 'paper',
+            y: 0.5,
+            yref: 'paper',
+            text: 'No scenario was margin-called',
+            showarrow: false,
+            font: { size: 14, color: '#666' }
+        }];
+    }
+    
+    const config = {
+        responsive: true,
+        displayModeBar: true,
+        displaylogo: false
+    };
+    
+    return Plotly.newPlot('survivalCurveChart', traces, layout, config);
+}
+
 /**
  * Render Deposits Over Time Line Chart
  * Uses pre-calculated cash flow schedules from simulation results
@@ -1311,6 +1533,34 @@ function renderDepositsLineChart(strategyIndex) {
         hovertemplate: '<b>Remaining Debt</b><br>Time: %{x:.1f} years<br>Balance: $%{y:,.0f}<extra></extra>'
     };
     
+    // Floating rates: shade the 5th-95th percentile range of debt across paths
+    const traces = [nonLeverageTrace, leverageTrace];
+    const bands = strategy.debtBands;
+    const hasDebtSpread = bands && bands.p5.some((value, month) => bands.p95[month] - value > 0.005);
+    if (hasDebtSpread) {
+        debtTrace.name = 'Median Debt Balance';
+        traces.push({
+            x: timePoints,
+            y: bands.p5,
+            type: 'scatter',
+            mode: 'lines',
+            line: { width: 0 },
+            showlegend: false,
+            hovertemplate: 'Debt 5th Percentile: $%{y:,.0f}<extra></extra>'
+        }, {
+            x: timePoints,
+            y: bands.p95,
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tonexty',
+            fillcolor: 'rgba(244, 67, 54, 0.15)',
+            line: { width: 0 },
+            name: 'Debt Range (5th-95th Percentile)',
+            hovertemplate: 'Debt 95th Percentile: $%{y:,.0f}<extra></extra>'
+        });
+    }
+    traces.push(debtTrace);
+    
     // Create layout
     const layout = {
         title: `Present Value of Deposits Over Time (Strategy ${strategyIndex + 1})`,
@@ -1347,18 +1597,103 @@ function renderDepositsLineChart(strategyIndex) {
     
     // Render chart
     console.log('[DepositsLineChart] Rendering chart...');
-    return Plotly.newPlot('depositsLineChart', [nonLeverageTrace, leverageTrace, debtTrace], layout, config);
+    return Plotly.newPlot('depositsLineChart', traces, layout, config);
 }
 
+// Fan chart metrics: label, axis format, hover format and whether the benchmark median is comparable
+const FAN_CHART_METRICS = {
+    equity: { label: 'Net Equity', tickformat: '$,.0f', hoverformat: '$%{y:,.0f}', showBenchmark: true },
+    balance: { label: 'Portfolio Balance', tickformat: '$,.0f', hoverformat: '$%{y:,.0f}', showBenchmark: true },
+    ltv: { label: 'Loan-to-Value', tickformat: '.0%', hoverformat: '%{y:.1%}', showBenchmark: false }
+};
+
 /**
- * Display Results and Initialize Interactive Elements
- * @param {Object} results - Full results object from adapter {strategies, loanDetails, benchmark}
+ * Render the per-month percentile fan chart for the selected strategy
+ * Bands come from the engine (p5/p25/p50/p75/p95); the benchmark median is overlaid for comparison
  */
-function displayResults(results) {
-    console.log('[DisplayResults] Called with results:', results);
+function renderWealthFanChart(strategyIndex) {
+    if (!simulationResults) return;
     
-    const data = results.strategies;
-    const loanDetails = results.loanDetails;
+    const strategy = simulationResults.strategies[strategyIndex];
+    const benchmark = simulationResults.benchmark;
+    const loanDetails = simulationResults.loanDetails;
+    const metric = document.getElementById('fanChartMetric').value;
+    const format = FAN_CHART_METRICS[metric];
+    
+    const bands = strategy.fanBands[metric];
+    const timePoints = bands.p50.map((_, month) => month / 12);
+    const band = (values, extra) => ({
+        x: timePoints,
+        y: values,
+        type: 'scatter',
+        mode: 'lines',
+        line: { width: 0 },
+        ...extra
+    });
+    
+    // Each fill spans from the previous trace, so outer and inner bands are drawn as pairs
+    const traces = [
+        band(bands.p5, { showlegend: false, hovertemplate: `5th Percentile: ${format.hoverformat}<extra></extra>` }),
+        band(bands.p95, { fill: 'tonexty', fillcolor: 'rgba(98, 0, 238, 0.12)', name: '5th-95th Percentile', hovertemplate: `95th Percentile: ${format.hoverformat}<extra></extra>` }),
+        band(bands.p25, { showlegend: false, hovertemplate: `25th Percentile: ${format.hoverformat}<extra></extra>` }),
+        band(bands.p75, { fill: 'tonexty', fillcolor: 'rgba(98, 0, 238, 0.25)', name: '25th-75th Percentile', hovertemplate: `75th Percentile: ${format.hoverformat}<extra></extra>` }),
+        band(bands.p50, { line: { color: '#6200EE', width: 3 }, name: 'Median (With Leverage)', hovertemplate: `<b>Median</b>: ${format.hoverformat}<extra></extra>` })
+    ];
+    
+    if (format.showBenchmark && benchmark.fanBands) {
+        traces.push(band(benchmark.fanBands[metric].p50, {
+            line: { color: '#2196F3', width: 3, dash: 'dash' },
+            name: 'Median (No Leverage)',
+            hovertemplate: `<b>No Leverage Median</b>: ${format.hoverformat}<extra></extra>`
+        }));
+    } else if (metric === 'ltv') {
+        traces.push(band(timePoints.map(() => loanDetails.marginCallLTV), {
+            line: { color: '#B3261E', width: 2, dash: 'dot' },
+            name: 'Margin Call Threshold',
+            hovertemplate: `Margin Call: ${format.hoverformat}<extra></extra>`
+        }));
+    }
+    
+    const layout = {
+        title: `${format.label} Over Time (Strategy ${strategyIndex + 1})`,
+        xaxis: {
+            title: 'Time (Years)',
+            tickformat: '.1f'
+        },
+        yaxis: {
+            title: metric === 'ltv' ? 'Debt / Balance' : 'Value (Today\'s Dollars)',
+            tickformat: format.tickformat,
+            rangemode: 'tozero'
+        },
+        hovermode: 'x unified',
+        margin: { t: 80, b: 80, l: 80, r: 200 },
+        autosize: true,
+        plot_bgcolor: '#f9f9f9',
+        paper_bgcolor: '#ffffff',
+        legend: {
+            x: 1.02,
+            xanchor: 'left',
+            y: 1,
+            yanchor: 'top',
+            bgcolor: 'rgba(255, 255, 255, 0.9)',
+            bordercolor: '#ddd',
+            borderwidth: 1
+        }
+    };
+    
+    const config = {
+        responsive: true,
+        displayModeBar: true,
+        displaylogo: false
+    };
+    
+    return Plotly.newPlot('wealthFanChart', traces, layout, config);
+}
+
+/**
+ * "Analysis Parameters" block at the top of the results summary: the run's settings and its seed
+ */
+function buildAnalysisParametersHTML(loanDetails) {
     const amortizedPayment = loanDetails.amortizedPayment;
     
     // Calculate amortization details
@@ -1366,58 +1701,113 @@ function displayResults(results) {
     const totalInterest = totalPayments - loanDetails.loanAmount;
     const presentValue = loanDetails.loanAmount;
     
+    return `
+        <div style="margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid #E0E0E0;">
+            <strong>Analysis Parameters</strong><br>
+            <span style="font-size: 0.95rem; color: #757575;">Monthly Budget (Baseline): <strong>$${loanDetails.monthlyBudget.toLocaleString(undefined, {maximumFractionDigits: 0})}</strong></span><br>
+            <span style="font-size: 0.95rem; color: #757575;">Loan Amount: <strong>$${presentValue.toLocaleString(undefined, {maximumFractionDigits: 0})}</strong></span><br>
+            <span style="font-size: 0.95rem; color: #757575;">Inflation Rate: <strong>${(loanDetails.inflationRate * 100).toFixed(1)}%</strong>${loanDetails.inflationModel === 'stochastic' ? ` on average, stochastic (&plusmn;${(loanDetails.inflationVolatility * 100).toFixed(1)} pts), each scenario deflated by its own inflation` : ''} (All wealth values in today's dollars)</span><br>
+            <span style="font-size: 0.95rem; color: #757575;">Random Seed: <strong>${loanDetails.seed}</strong> (enter it in the Random Seed field to reproduce this run)</span><br>
+            ${loanDetails.samplingMode === 'adaptive' ? `<span style="font-size: 0.95rem; color: #757575;">Sample Size: <strong>Adaptive</strong>, until survival is within &plusmn;${(loanDetails.samplingTolerance * 100).toFixed(2)} pts (${SAMPLING_DEFAULTS.BATCH_SIZE.toLocaleString()} to ${loanDetails.maxSimulationCount.toLocaleString()} scenarios per strategy)</span><br>` : ''}
+            ${loanDetails.commonRandomNumbers || loanDetails.antithetic || loanDetails.samplingMethod === 'sobol' ? `<span style="font-size: 0.95rem; color: #757575;">Scenarios: <strong>${[loanDetails.samplingMethod === 'sobol' ? 'Sobol quasi-random' : null, loanDetails.commonRandomNumbers ? 'Common to all strategies' : null, loanDetails.antithetic ? 'Antithetic pairs' : null].filter(Boolean).join(', ')}</strong>${loanDetails.commonRandomNumbers ? ' (differences between strategies reflect the strategy, not a different draw of markets)' : ''}</span><br>` : ''}
+            ${loanDetails.returnModelLabel ? `<span style="font-size: 0.95rem; color: #757575;">Return Model: <strong>${loanDetails.returnModelLabel}</strong></span><br>` : ''}
+            ${loanDetails.portfolioLabel ? `<span style="font-size: 0.95rem; color: #757575;">Collateral: <strong>${loanDetails.portfolioLabel}</strong></span><br>` : ''}
+            ${loanDetails.taxMode === 'taxable' ? `<span style="font-size: 0.95rem; color: #757575;">Taxes: <strong>${(loanDetails.capitalGainsTaxRate * 100).toFixed(1)}% capital gains</strong>, interest ${loanDetails.interestDeductionRate > 0 ? `deductible at ${(loanDetails.interestDeductionRate * 100).toFixed(1)}%` : 'not deductible'} (summary shows pre-tax and after-tax wealth)</span><br>` : ''}
+            ${loanDetails.marginCallMode === 'deleverage' ? `<span style="font-size: 0.95rem; color: #757575;">Margin Calls: <strong>Forced Deleverage</strong> to ${(loanDetails.deleverageTargetLTV * 100).toFixed(0)}% LTV (ruin only if equity is gone)</span><br>` : ''}
+            ${loanDetails.cashReserve > 0 || loanDetails.cureMonths > 0 ? `<span style="font-size: 0.95rem; color: #757575;">Margin Call Cover: <strong>$${loanDetails.cashReserve.toLocaleString(undefined, {maximumFractionDigits: 0})} reserve</strong>, ${loanDetails.cureMonths}-month cure window (wealth is net of reserve used)</span><br>` : ''}
+            ${loanDetails.rateModel && loanDetails.rateModel !== 'fixed' ? `<span style="font-size: 0.95rem; color: #757575;">Interest Rate: <strong>${loanDetails.rateModelLabel}</strong> starting at ${(loanDetails.interestRate * 100).toFixed(1)}% (payment fixed, debt varies by path)</span><br>` : ''}<br>
+            <span style="font-size: 0.85rem; color: #999;"><em>Reference: Full Amortization Payment = $${amortizedPayment.toLocaleString(undefined, {maximumFractionDigits: 0})}/month (would pay off loan completely over ${loanDetails.years} years with $${totalInterest.toLocaleString(undefined, {maximumFractionDigits: 0})} total interest)</em></span>
+        </div>
+    `;
+}
+
+/**
+ * Display Results and Initialize Interactive Elements
+ * @param {Object} results - Full results object from adapter {strategies, loanDetails, benchmark}
+ */
+function displayResults(results) {
+    console.log('[DisplayResults] Called with results:', results);
+    
+    const data = results.strategies;
+    const analysisParameters = buildAnalysisParametersHTML(results.loanDetails);
+    
     // Find strategies with target survival rate
-    const safeStrategies = data.filter(d => d.survivalRate >= riskTarget);
+    const safeStrategies = data.filter(d => survivalLowerBound(d) >= riskTarget);
     const summary = document.getElementById('summary');
     const targetIndex = findTargetStrategyIndex(riskTarget);
     const targetStrategy = data[targetIndex];
 
     if (safeStrategies.length > 0) {
         summary.innerHTML = `
-            <div style="margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid #E0E0E0;">
-                <strong>Analysis Parameters</strong><br>
-                <span style="font-size: 0.95rem; color: #757575;">Monthly Budget (Baseline): <strong>$${loanDetails.monthlyBudget.toLocaleString(undefined, {maximumFractionDigits: 0})}</strong></span><br>
-                <span style="font-size: 0.95rem; color: #757575;">Loan Amount: <strong>$${presentValue.toLocaleString(undefined, {maximumFractionDigits: 0})}</strong></span><br>
-                <span style="font-size: 0.95rem; color: #757575;">Inflation Rate: <strong>${(loanDetails.inflationRate * 100).toFixed(1)}%</strong> (All wealth values in today's dollars)</span><br><br>
-                <span style="font-size: 0.85rem; color: #999;"><em>Reference: Full Amortization Payment = $${amortizedPayment.toLocaleString(undefined, {maximumFractionDigits: 0})}/month (would pay off loan completely over ${loanDetails.years} years with $${totalInterest.toLocaleString(undefined, {maximumFractionDigits: 0})} total interest)</em></span>
-            </div>
+            ${analysisParameters}
             <strong>Default Strategy Selection (Risk-Based):</strong><br><br>
-            Your risk profile targets <strong>${riskTarget}% survival</strong>. The slider starts at the closest strategy that meets or exceeds this target.<br><br>
+            Your risk profile targets <strong>${riskTarget}% survival</strong>. The slider starts at the closest strategy that meets or exceeds this target${targetStrategy.confidence ? ' even at the low end of its 95% confidence interval' : ''}.<br><br>
             Selected Strategy: <strong>$${targetStrategy.paymentAmount.toLocaleString(undefined, {maximumFractionDigits: 0})}</strong> per month
-            with <strong>${targetStrategy.survivalRate.toFixed(1)}%</strong> survival.<br><br>
+            with <strong>${targetStrategy.survivalRate.toFixed(1)}%</strong> survival${targetStrategy.confidence ? ` (95% CI ${formatPercentInterval(targetStrategy.confidence.survival)})` : ''}.<br><br>
             <em style="font-size: 0.9rem;">Use the slider below to explore different payment strategies from minimum required to your full monthly budget.</em>
         `;
     } else {
         summary.innerHTML = `
-            <div style="margin-bottom: 20px; padding-bottom: 20px; border-bottom: 1px solid #E0E0E0;">
-                <strong>Analysis Parameters</strong><br>
-                <span style="font-size: 0.95rem; color: #757575;">Monthly Budget (Baseline): <strong>$${loanDetails.monthlyBudget.toLocaleString(undefined, {maximumFractionDigits: 0})}</strong></span><br>
-                <span style="font-size: 0.95rem; color: #757575;">Loan Amount: <strong>$${presentValue.toLocaleString(undefined, {maximumFractionDigits: 0})}</strong></span><br>
-                <span style="font-size: 0.95rem; color: #757575;">Inflation Rate: <strong>${(loanDetails.inflationRate * 100).toFixed(1)}%</strong> (All wealth values in today's dollars)</span><br><br>
-                <span style="font-size: 0.85rem; color: #999;"><em>Reference: Full Amortization Payment = $${amortizedPayment.toLocaleString(undefined, {maximumFractionDigits: 0})}/month (would pay off loan completely over ${loanDetails.years} years with $${totalInterest.toLocaleString(undefined, {maximumFractionDigits: 0})} total interest)</em></span>
-            </div>
+            ${analysisParameters}
             <strong>⚠️ High Risk:</strong> No strategies meet the ${riskTarget}% survival target. The slider starts at the maximum payment strategy to maximize safety.
         `;
     }
 
 
-    // Find target strategy index based on risk target
+    // Find target strategy index based on risk target (unless the user picked one while the run refines)
     const slider = document.getElementById('strategySlider');
-    slider.value = targetIndex;
+    const selectedIndex = sliderMovedDuringRun ? parseInt(slider.value) : targetIndex;
+    slider.value = selectedIndex;
 
-    updateSliderPills(targetIndex);
-    updateSummary(targetIndex);
+    renderProvisionalBanner(results, false);
+    renderIgnoredSettingsBanner(results);
+    updateSliderPills(selectedIndex);
+    updateSummary(selectedIndex);
     
     // Show results div FIRST so Plotly can calculate proper dimensions
     document.getElementById('results').style.display = 'block';
     
     // Then render histogram with proper sizing
-    console.log('[DisplayResults] Rendering histogram for strategy index:', targetIndex);
-    renderHistogram(targetIndex);
+    console.log('[DisplayResults] Rendering histogram for strategy index:', selectedIndex);
+    renderHistogram(selectedIndex);
+    renderSurvivalCurveChart(selectedIndex);
     
     // Render deposits over time line chart
-    console.log('[DisplayResults] Rendering deposits line chart for strategy index:', targetIndex);
-    renderDepositsLineChart(targetIndex);
+    console.log('[DisplayResults] Rendering deposits line chart for strategy index:', selectedIndex);
+    renderDepositsLineChart(selectedIndex);
+    renderWealthFanChart(selectedIndex);
+}
+
+/**
+ * Flag results drawn from the paths finished so far; hidden once the run is final
+ * stopped = the run was cancelled or failed, so these provisional figures will not be refined
+ */
+function renderProvisionalBanner(results, stopped) {
+    const banner = document.getElementById('provisionalBanner');
+    if (!results.provisional) {
+        banner.style.display = 'none';
+        return;
+    }
+    
+    const fewestScenarios = Math.min(...results.strategies.map(strategy => strategy.simulationCount));
+    banner.innerHTML = stopped
+        ? `<strong>Provisional results:</strong> the run stopped before finishing, so these figures rest on as few as ${fewestScenarios.toLocaleString()} scenarios per strategy. Calculate again for final results.`
+        : `<strong>Provisional results:</strong> based on at least ${fewestScenarios.toLocaleString()} scenarios per strategy so far. Figures refine in place as more scenarios finish.`;
+    banner.style.display = 'block';
+}
+
+/**
+ * Name the settings the JavaScript simulation ran without; hidden for engine results
+ */
+function renderIgnoredSettingsBanner(results) {
+    const banner = document.getElementById('ignoredSettingsBanner');
+    if (!results.ignoredSettings || results.ignoredSettings.length === 0) {
+        banner.style.display = 'none';
+        return;
+    }
+    
+    banner.innerHTML = CopywritingHelpers.getIgnoredSettingsNotice(results.ignoredSettings);
+    banner.style.display = 'block';
 }
 
 /**
@@ -1425,9 +1815,12 @@ function displayResults(results) {
  */
 function handleSliderChange(event) {
     const strategyIndex = parseInt(event.target.value);
+    if (activeSimulation) sliderMovedDuringRun = true;
     updateSliderPills(strategyIndex);
     renderHistogram(strategyIndex);
+    renderSurvivalCurveChart(strategyIndex);
     renderDepositsLineChart(strategyIndex);
+    renderWealthFanChart(strategyIndex);
     updateSummary(strategyIndex);
 }
 
@@ -1444,12 +1837,27 @@ async function handleCalculate() {
     button.disabled = true;
     button.classList.add('loading');
     button.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Calculating...';
+    activeSimulation = new AbortController();
+    showSimulationProgress();
 
     // Use setTimeout to allow the UI to update with the loading state
     setTimeout(async () => {
         try {
-            await runSimulation();
+            await runSimulation({
+                signal: activeSimulation.signal,
+                onProgress: updateSimulationProgress,
+                onProvisional: (results) => {
+                    simulationResults = results;
+                    displayResults(results);
+                }
+            });
         } finally {
+            activeSimulation = null;
+            // Cancelled or failed after provisional results were drawn: say they are all there is
+            if (simulationResults && simulationResults.provisional) {
+                renderProvisionalBanner(simulationResults, true);
+            }
+            document.getElementById('simulationProgress').style.display = 'none';
             button.innerHTML = 'Calculate';
             button.classList.remove('loading');
             button.disabled = false;
@@ -1457,6 +1865,110 @@ async function handleCalculate() {
     }, 0);
 }
 
+/**
+ * Stop the run in progress: its workers are terminated and no results are shown
+ */
+function cancelSimulation() {
+    if (!activeSimulation) return;
+    activeSimulation.abort();
+    document.getElementById('cancelBtn').disabled = true;
+    document.getElementById('progressSummary').textContent = 'Cancelling...';
+}
+
+/**
+ * Reset and show the progress panel for a new run
+ */
+function showSimulationProgress() {
+    progressStartTime = performance.now();
+    sliderMovedDuringRun = false;
+    document.getElementById('progressSummary').textContent = 'Starting...';
+    document.getElementById('progressBars').innerHTML = '';
+    document.getElementById('cancelBtn').disabled = false;
+    document.getElementById('simulationProgress').style.display = 'block';
+}
+
+/**
+ * Draw one progress bar per strategy (progress[i] = { pathsDone, pathsTotal }) and the overall ETA
+ */
+function updateSimulationProgress(progress) {
+    const bars = document.getElementById('progressBars');
+    if (bars.children.length !== progress.length) {
+        bars.innerHTML = progress.map((_, i) => `
+            <div class="progress-row">
+                <span>${i === 0 ? 'No Leverage' : `Strategy ${i}`}</span>
+                <div class="progress-track"><div class="progress-fill"></div></div>
+            </div>
+        `).join('');
+    }
+    
+    let pathsDone = 0;
+    let pathsTotal = 0;
+    progress.forEach((strategy, i) => {
+        const row = bars.children[i];
+        const fraction = strategy.pathsTotal > 0 ? strategy.pathsDone / strategy.pathsTotal : 0;
+        row.querySelector('.progress-fill').style.width = `${(fraction * 100).toFixed(1)}%`;
+        row.classList.toggle('done', fraction >= 1);
+        row.title = `${strategy.pathsDone.toLocaleString()} of ${strategy.pathsTotal.toLocaleString()} scenarios`;
+        pathsDone += strategy.pathsDone;
+        pathsTotal += strategy.pathsTotal;
+    });
+    
+    if (!activeSimulation || activeSimulation.signal.aborted) return;
+    document.getElementById('progressSummary').textContent =
+        describeSimulationProgress(pathsDone, pathsTotal, performance.now() - progressStartTime);
+}
+
+/**
+ * "42% of scenarios, about 8 s left"; the ETA assumes the remaining scenarios run at the
+ * average pace so far (adaptive runs can finish sooner, since pathsTotal is their maximum)
+ */
+function describeSimulationProgress(pathsDone, pathsTotal, elapsedMs) {
+    const percent = `${Math.floor(pathsDone / pathsTotal * 100)}% of ${pathsTotal.toLocaleString()} scenarios`;
+    if (pathsDone === 0 || pathsDone >= pathsTotal) return percent;
+    
+    const secondsLeft = Math.ceil(elapsedMs / pathsDone * (pathsTotal - pathsDone) / 1000);
+    const eta = secondsLeft < 60 ? `${secondsLeft} s` : `${Math.floor(secondsLeft / 60)} min ${secondsLeft % 60} s`;
+    return `${percent}, about ${eta} left`;
+}
+
+/**
+ * Run the pseudo-random vs Sobol convergence comparison for the strategy on the slider
+ * (the no-leverage benchmark until results exist)
+ */
+async function handleConvergenceComparison() {
+    if (!validateInputs() || !validateSobolInputs()) return;
+    if (!isWasmAvailable()) {
+        alert('The sampling comparison needs WebAssembly, which this browser does not support.');
+        return;
+    }
+    
+    const button = document.getElementById('convergenceBtn');
+    const panel = document.getElementById('convergencePanel');
+    const summary = document.getElementById('convergenceSummary');
+    const strategyIndex = simulationResults ? parseInt(document.getElementById('strategySlider').value) + 1 : 0;
+    const strategyLabel = strategyIndex === 0 ? 'No-Leverage Benchmark' : `Strategy ${strategyIndex}`;
+    
+    button.disabled = true;
+    panel.style.display = 'block';
+    Plotly.purge('convergenceChart');
+    try {
+        const results = await SamplingConvergence.compare(getSimulationInputs(), strategyIndex, (completed, total) => {
+            button.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> Comparing... ${completed}/${total}`;
+            summary.innerHTML = `<p style="margin: 0;">Running ${strategyLabel} ${total} times under both sampling methods (${completed} done)...</p>`;
+        });
+        summary.innerHTML = SamplingConvergence.buildSummaryHTML(results, strategyLabel);
+        SamplingConvergence.renderChart('convergenceChart', results);
+    } catch (error) {
+        console.error('[Convergence] Comparison failed:', error);
+        summary.innerHTML = '';
+        panel.style.display = 'none';
+        alert(CopywritingHelpers.getSimulationErrorMessage(error.message));
+    } finally {
+        button.innerHTML = 'Compare Sampling Methods';
+        button.disabled = false;
+    }
+}
+
 /**
  * Update Slider Pill States and Percentages
  */
@@ -1489,7 +2001,7 @@ function updateSliderPills(activeIndex) {
  * Input Validation
  */
 function validateInputs() {
-    const inputs = ['loanAmount', 'loanPeriod', 'assetValue', 'minPayment', 'monthlyBudget', 'interestRate', 'growth', 'vol', 'marginCall', 'inflationRate'];
+    const inputs = ['loanAmount', 'loanPeriod', 'assetValue', 'minPayment', 'monthlyBudget', 'interestRate', 'growth', 'vol', 'marginCall', 'inflationRate', 'cashReserve', 'cureMonths', 'degreesOfFreedom', 'jumpIntensity', 'jumpStdDev'];
     
     for (const id of inputs) {
         const element = document.getElementById(id);
@@ -1504,6 +2016,274 @@ function validateInputs() {
         }
     }
     
+    // Return model parameters (only validated when that model is selected)
+    const returnModel = document.getElementById('returnModel').value;
+    if (returnModel === 'studentT' && !(parseFloat(document.getElementById('degreesOfFreedom').value) > 2)) {
+        alert('Tail Degrees of Freedom must be greater than 2');
+        return false;
+    }
+    if (returnModel === 'jumpDiffusion' && isNaN(parseFloat(document.getElementById('jumpMean').value))) {
+        alert('Please enter a valid number for Average Jump Size (%)');
+        return false;
+    }
+    if (returnModel === 'regimeSwitching' && !validateRegimeInputs()) {
+        return false;
+    }
+    if (document.getElementById('portfolioMode').value === 'multi' && !validatePortfolioInputs()) {
+        return false;
+    }
+    if (document.getElementById('rateModel').value !== 'fixed' && !validateRateModelInputs()) {
+        return false;
+    }
+    if (document.getElementById('inflationModel').value === 'stochastic' && !validateInflationModelInputs()) {
+        return false;
+    }
+    const warningLTV = parseFloat(document.getElementById('warningLTV').value);
+    if (isNaN(warningLTV) || warningLTV < 0 || warningLTV > 100) {
+        alert('Warning LTV must be between 0% and 100%');
+        return false;
+    }
+    if (document.getElementById('taxMode').value === 'taxable') {
+        for (const [id, label] of [['capitalGainsTaxRate', 'Capital Gains Tax Rate'], ['interestDeductionRate', 'Interest Deduction Rate']]) {
+            const rate = parseFloat(document.getElementById(id).value);
+            if (isNaN(rate) || rate < 0 || rate > 100) {
+                alert(`${label} must be between 0% and 100%`);
+                return false;
+            }
+        }
+    }
+    if (!Number.isInteger(Number(document.getElementById('cureMonths').value))) {
+        alert('Margin Call Cure Window must be a whole number of months');
+        return false;
+    }
+    if (document.getElementById('marginCallMode').value === 'deleverage') {
+        const target = parseFloat(document.getElementById('deleverageTargetLTV').value);
+        const threshold = parseFloat(document.getElementById('marginCall').value);
+        if (isNaN(target) || target < 0 || target >= threshold) {
+            alert('Deleverage Target LTV must be at least 0 and below the Margin Call Threshold');
+            return false;
+        }
+    }
+    if (returnModel === 'bootstrap' && document.getElementById('bootstrapSampling').value === 'block') {
+        const blockLength = Number(document.getElementById('blockLength').value);
+        if (!Number.isInteger(blockLength) || blockLength < 1) {
+            alert('Block Length must be a whole number of months (1 or more)');
+            return false;
+        }
+    }
+    
+    if (document.getElementById('samplingMode').value === 'adaptive') {
+        const tolerance = parseFloat(document.getElementById('samplingTolerance').value);
+        if (isNaN(tolerance) || tolerance <= 0 || tolerance > 10) {
+            alert('Survival Precision must be above 0 and at most 10 percentage points');
+            return false;
+        }
+        const maxSimulations = Number(document.getElementById('maxSimulations').value);
+        if (!Number.isInteger(maxSimulations) || maxSimulations < SAMPLING_DEFAULTS.BATCH_SIZE || maxSimulations > 100000) {
+            alert(`Max Scenarios per Strategy must be a whole number from ${SAMPLING_DEFAULTS.BATCH_SIZE.toLocaleString()} to 100,000`);
+            return false;
+        }
+    }
+    
+    if (document.getElementById('samplingMethod').value === 'sobol' && !validateSobolInputs()) {
+        return false;
+    }
+    
+    // Seed is optional: blank means a fresh random seed
+    const seedInput = document.getElementById('seed');
+    if (seedInput && seedInput.value.trim() !== '') {
+        const seed = Number(seedInput.value);
+        if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+            alert('Please enter a whole number between 0 and 4294967295 for Random Seed, or leave it blank');
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Sobol sampling drives the single-asset lognormal model only, over at most
+ * SAMPLING_DEFAULTS.MAX_SOBOL_MONTHS months (the engine rejects anything else)
+ */
+function validateSobolInputs() {
+    if (document.getElementById('returnModel').value !== 'lognormal') {
+        alert('Sobol sampling needs the Lognormal (GBM) return model. Switch Random Numbers to Pseudo-Random for the other models.');
+        return false;
+    }
+    if (document.getElementById('portfolioMode').value === 'multi') {
+        alert('Sobol sampling needs a single-asset portfolio. Switch Random Numbers to Pseudo-Random for a multi-asset portfolio.');
+        return false;
+    }
+    const maxYears = SAMPLING_DEFAULTS.MAX_SOBOL_MONTHS / 12;
+    if (parseFloat(document.getElementById('loanPeriod').value) * 12 > SAMPLING_DEFAULTS.MAX_SOBOL_MONTHS) {
+        alert(`Sobol sampling covers at most ${maxYears} years. Shorten the loan period or switch Random Numbers to Pseudo-Random.`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Show the adaptive sampling parameters only when that sample size mode is selected
+ */
+function updateSamplingInputs() {
+    const isAdaptive = document.getElementById('samplingMode').value === 'adaptive';
+    document.querySelectorAll('.sampling-param').forEach(element => {
+        element.style.display = isAdaptive ? 'flex' : 'none';
+    });
+}
+
+/**
+ * Show the stochastic inflation parameters only when that model is selected (Custom Mode)
+ */
+function updateInflationModelInputs() {
+    const isStochastic = currentMode === 'custom' && document.getElementById('inflationModel').value === 'stochastic';
+    document.querySelectorAll('.inflation-model-param').forEach(element => {
+        element.style.display = isStochastic ? 'flex' : 'none';
+    });
+}
+
+/**
+ * Validate the stochastic inflation parameters: persistence in [0, 1], non-negative volatility,
+ * and a correlation in [-1, 1]
+ */
+function validateInflationModelInputs() {
+    const persistence = parseFloat(document.getElementById('inflationPersistence').value);
+    const volatility = parseFloat(document.getElementById('inflationVolatility').value);
+    const correlation = parseFloat(document.getElementById('inflationCorrelation').value);
+    
+    if (isNaN(persistence) || persistence < 0 || persistence > 1) {
+        alert('Inflation Persistence must be between 0 and 1');
+        return false;
+    }
+    if (isNaN(volatility) || volatility < 0) {
+        alert('Please enter a non-negative number for Inflation Volatility (%)');
+        return false;
+    }
+    if (isNaN(correlation) || correlation < -1 || correlation > 1) {
+        alert('Inflation / Stock Correlation must be between -1 and 1');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate the floating-rate parameters: non-negative rate dynamics and a correlation in [-1, 1]
+ */
+function validateRateModelInputs() {
+    const meanReversion = parseFloat(document.getElementById('rateMeanReversion').value);
+    const longRunRate = parseFloat(document.getElementById('rateLongRunMean').value);
+    const volatility = parseFloat(document.getElementById('rateVolatility').value);
+    const correlation = parseFloat(document.getElementById('rateCorrelation').value);
+    
+    if (isNaN(meanReversion) || meanReversion < 0 || isNaN(volatility) || volatility < 0) {
+        alert('Please enter non-negative numbers for Rate Mean Reversion and Rate Volatility');
+        return false;
+    }
+    // CIR volatility is quoted at the long-run rate, so that rate must be positive
+    const minLongRunRate = document.getElementById('rateModel').value === 'cir' ? Number.MIN_VALUE : 0;
+    if (isNaN(longRunRate) || longRunRate < minLongRunRate) {
+        alert(minLongRunRate > 0
+            ? 'Long-Run Interest Rate must be greater than 0 for the CIR model'
+            : 'Please enter a non-negative number for Long-Run Interest Rate (%)');
+        return false;
+    }
+    if (isNaN(correlation) || correlation < -1 || correlation > 1) {
+        alert('Rate / Stock Correlation must be between -1 and 1');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate the asset mix: weights adding up to 100%, numeric growth, non-negative volatility,
+ * and correlations that form a valid (positive definite) matrix for the assets held
+ */
+function validatePortfolioInputs() {
+    const held = [];
+    let weightTotal = 0;
+    
+    for (let i = 0; i < PORTFOLIO_DEFAULTS.ASSETS.length; i++) {
+        const name = PORTFOLIO_DEFAULTS.ASSETS[i].NAME;
+        const weight = parseFloat(document.getElementById(`assetWeight${i}`).value);
+        const growth = parseFloat(document.getElementById(`assetGrowth${i}`).value);
+        const vol = parseFloat(document.getElementById(`assetVol${i}`).value);
+        if (isNaN(weight) || weight < 0) {
+            alert(`Please enter a non-negative weight for ${name}`);
+            return false;
+        }
+        if (isNaN(growth) || isNaN(vol) || vol < 0) {
+            alert(`Please enter a valid growth and non-negative volatility for ${name}`);
+            return false;
+        }
+        if (weight > 0) held.push(i);
+        weightTotal += weight;
+    }
+    if (Math.abs(weightTotal - 100) > 0.01) {
+        alert(`Asset weights add up to ${weightTotal}%; they must add up to 100%`);
+        return false;
+    }
+    
+    for (let a = 0; a < held.length; a++) {
+        for (let b = a + 1; b < held.length; b++) {
+            const correlation = parseFloat(document.getElementById(`assetCorrelation${held[a]}${held[b]}`).value);
+            if (isNaN(correlation) || correlation < -1 || correlation > 1) {
+                alert(`Correlation between ${PORTFOLIO_DEFAULTS.ASSETS[held[a]].NAME} and ${PORTFOLIO_DEFAULTS.ASSETS[held[b]].NAME} must be between -1 and 1`);
+                return false;
+            }
+        }
+    }
+    
+    // Same test the engine applies: the Cholesky factorization must succeed
+    const correlations = getPortfolioInputs().assetCorrelations;
+    const lower = correlations.map(() => []);
+    for (let row = 0; row < correlations.length; row++) {
+        for (let col = 0; col <= row; col++) {
+            let sum = correlations[row][col];
+            for (let k = 0; k < col; k++) sum -= lower[row][k] * lower[col][k];
+            if (row === col && !(sum > 0)) {
+                alert('These correlations are inconsistent with each other (no real portfolio could have them). Move the strongest correlations closer to 0');
+                return false;
+            }
+            lower[row][col] = row === col ? Math.sqrt(sum) : sum / lower[col][col];
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Validate the regime table: numeric growth, non-negative volatility,
+ * and switching probabilities that leave a non-negative chance of staying
+ */
+function validateRegimeInputs() {
+    const count = parseInt(document.getElementById('regimeCount').value, 10);
+    
+    for (let from = 0; from < count; from++) {
+        const name = document.getElementById(`regimeName${from}`).textContent;
+        const growth = parseFloat(document.getElementById(`regimeGrowth${from}`).value);
+        const vol = parseFloat(document.getElementById(`regimeVol${from}`).value);
+        if (isNaN(growth) || isNaN(vol) || vol < 0) {
+            alert(`Please enter a valid growth and non-negative volatility for the ${name} regime`);
+            return false;
+        }
+        
+        let switchTotal = 0;
+        for (let to = 0; to < count; to++) {
+            if (to === from) continue;
+            const probability = parseFloat(document.getElementById(`regimeSwitch${from}${to}`).value);
+            if (isNaN(probability) || probability < 0) {
+                alert(`Please enter non-negative switching probabilities for the ${name} regime`);
+                return false;
+            }
+            switchTotal += probability;
+        }
+        if (switchTotal > 100) {
+            alert(`Switching probabilities out of the ${name} regime add up to more than 100%`);
+            return false;
+        }
+    }
+    
     return true;
 }
 
@@ -1524,6 +2304,78 @@ document.addEventListener('DOMContentLoaded', () => {
     const initialLoanAmount = (DEFAULT_INPUTS.COLLATERAL_VALUE * DEFAULT_INPUTS.STARTING_LTV / 100).toFixed(0);
     document.getElementById('loanAmount').value = initialLoanAmount;
     
+    // Initialize return model parameters (editable in Custom Mode)
+    document.getElementById('returnModel').value = RETURN_MODEL_DEFAULTS.MODEL;
+    document.getElementById('degreesOfFreedom').value = RETURN_MODEL_DEFAULTS.DEGREES_OF_FREEDOM;
+    document.getElementById('jumpIntensity').value = RETURN_MODEL_DEFAULTS.JUMP_INTENSITY;
+    document.getElementById('jumpMean').value = RETURN_MODEL_DEFAULTS.JUMP_MEAN;
+    document.getElementById('jumpStdDev').value = RETURN_MODEL_DEFAULTS.JUMP_STDEV;
+    
+    document.getElementById('regimeCount').value = REGIME_DEFAULTS.COUNT;
+    REGIME_DEFAULTS.REGIMES.forEach((regime, from) => {
+        document.getElementById(`regimeGrowth${from}`).value = regime.GROWTH;
+        document.getElementById(`regimeVol${from}`).value = regime.VOLATILITY;
+        regime.SWITCH.forEach((probability, to) => {
+            if (to !== from) {
+                document.getElementById(`regimeSwitch${from}${to}`).value = probability;
+            }
+        });
+    });
+    updateRegimeCount();
+    
+    // Initialize floating interest rate parameters (editable in Custom Mode)
+    document.getElementById('rateModel').value = RATE_MODEL_DEFAULTS.MODEL;
+    document.getElementById('rateMeanReversion').value = RATE_MODEL_DEFAULTS.MEAN_REVERSION;
+    document.getElementById('rateLongRunMean').value = RATE_MODEL_DEFAULTS.LONG_RUN_RATE;
+    document.getElementById('rateVolatility').value = RATE_MODEL_DEFAULTS.VOLATILITY;
+    document.getElementById('rateCorrelation').value = RATE_MODEL_DEFAULTS.CORRELATION;
+    
+    // Initialize margin call handling (editable in Custom Mode)
+    document.getElementById('marginCallMode').value = MARGIN_CALL_DEFAULTS.MODE;
+    document.getElementById('deleverageTargetLTV').value = MARGIN_CALL_DEFAULTS.DELEVERAGE_TARGET_LTV;
+    document.getElementById('cashReserve').value = RESERVE_DEFAULTS.CASH_RESERVE;
+    document.getElementById('cureMonths').value = RESERVE_DEFAULTS.CURE_MONTHS;
+    
+    // Initialize stochastic inflation parameters (editable in Custom Mode)
+    document.getElementById('inflationModel').value = INFLATION_MODEL_DEFAULTS.MODEL;
+    document.getElementById('inflationPersistence').value = INFLATION_MODEL_DEFAULTS.PERSISTENCE;
+    document.getElementById('inflationVolatility').value = INFLATION_MODEL_DEFAULTS.VOLATILITY;
+    document.getElementById('inflationCorrelation').value = INFLATION_MODEL_DEFAULTS.CORRELATION;
+    
+    document.getElementById('warningLTV').value = RISK_DEFAULTS.WARNING_LTV;
+    
+    // Initialize the sample size (editable in both modes)
+    document.getElementById('samplingMode').value = SAMPLING_DEFAULTS.MODE;
+    document.getElementById('samplingTolerance').value = SAMPLING_DEFAULTS.TOLERANCE;
+    document.getElementById('maxSimulations').value = SAMPLING_DEFAULTS.MAX_SIMULATIONS;
+    updateSamplingInputs();
+    document.getElementById('marketPaths').value = VARIANCE_REDUCTION_DEFAULTS.MARKET_PATHS;
+    document.getElementById('antithetic').value = VARIANCE_REDUCTION_DEFAULTS.ANTITHETIC;
+    document.getElementById('samplingMethod').value = SAMPLING_DEFAULTS.METHOD;
+    
+    // Initialize tax treatment (editable in Custom Mode)
+    document.getElementById('taxMode').value = TAX_DEFAULTS.MODE;
+    document.getElementById('capitalGainsTaxRate').value = TAX_DEFAULTS.CAPITAL_GAINS_RATE;
+    document.getElementById('interestDeductionRate').value = TAX_DEFAULTS.INTEREST_DEDUCTION_RATE;
+    
+    // Initialize the multi-asset portfolio (editable in Custom Mode)
+    document.getElementById('portfolioMode').value = PORTFOLIO_DEFAULTS.MODE;
+    document.getElementById('rebalanceMonths').value = PORTFOLIO_DEFAULTS.REBALANCE_MONTHS;
+    PORTFOLIO_DEFAULTS.ASSETS.forEach((asset, i) => {
+        document.getElementById(`assetWeight${i}`).value = asset.WEIGHT;
+        document.getElementById(`assetGrowth${i}`).value = asset.GROWTH;
+        document.getElementById(`assetVol${i}`).value = asset.VOLATILITY;
+        asset.CORRELATION.forEach((correlation, j) => {
+            if (j > i) {
+                document.getElementById(`assetCorrelation${i}${j}`).value = correlation;
+            }
+        });
+    });
+    
+    document.getElementById('bootstrapSampling').value = BOOTSTRAP_DEFAULTS.SAMPLING;
+    document.getElementById('blockLength').value = BOOTSTRAP_DEFAULTS.BLOCK_LENGTH;
+    updateBootstrapSampling();
+    
     // Set initial mode to standard
     setMode('standard');
     
@@ -1,65 +1,84 @@
 /**
- * Web Worker - WASM Bridge for Single Strategy Simulation
+ * Web Worker - WASM Bridge for Batched Strategy Simulation
  * 
- * This worker:
- * 1. Receives initial conditions for ONE strategy
- * 2. Marshals data to WASM input buffer
- * 3. Calls WASM runSimulation()
- * 4. Unmarshals results from WASM output buffer
- * 5. Returns schedule + wealth array to main thread
+ * This worker is long-lived (one per pool slot) and keeps its WASM instance between batches.
+ * It does not fetch the engine: the pool first posts { type: 'init', module }, the Module the
+ * page compiled once (EngineModule), and the worker only instantiates it. For each batch it:
+ * 1. Receives a batch of strategies, each with its own initial conditions
+ * 2. Marshals one input row per strategy into the WASM strategy table
+ * 3. Calls WASM runBatch() once for the whole batch
+ * 4. Splits the batch output per strategy and decodes each into named sections
+ * 5. Returns the sections of each strategy to main thread
  * 
- * WASM Input Format (11 values):
- * [0] initialDebt - amount owed at t=0
- * [1] initialBalance - cash/assets at t=0
- * [2] monthlyPayment - debt payment per month (0 if no debt)
- * [3] monthlyBudget - deposits available per month
- * [4] monthlyRate - interest rate as decimal (0 if no debt)
- * [5] years - simulation duration
- * [6] volatility - standard deviation of returns
- * [7] growth - expected annual return
- * [8] inflation - inflation rate
- * [9] marginCallLTV - debt/assets ratio threshold for failure
- * [10] simulationCount - number of Monte Carlo runs
+ * Message in:  { id, strategies: [{ strategyIndex, part, inputs }] }, where part (optional) tells
+ *      apart the path ranges of one strategy (inputs.pathStart / pathEnd) and is echoed back
+ * Message out: { id, success, results: [{ strategyIndex, part, status, error, sections }], computeTime },
+ *      where sections maps section names (stats, wealth, ...) to Float64Arrays; a strategy the engine
+ *      rejected has a non-zero status, its error message and no sections, and the others keep theirs
+ * Results leave WASM memory in one copy per message: every section is a view into that copy,
+ * whose buffer is transferred (not cloned) to the main thread
+ * Progress out: { id, type: 'progress', strategyIndex, part, pathsDone, pathsTotal }, relayed from
+ *      the engine's reportProgress() calls while the batch runs
+ * Interim out: { id, type: 'interim', strategyIndex, part, sections }, a provisional output (same
+ *      format as the final one) decoded whenever the engine calls reportInterim()
+ * Strategies in one batch share the bootstrap series and asset table (taken from the first)
  * 
- * WASM Output Format:
- * [0] status (0 = success)
- * [1] months (calculated from years)
- * [2] survivalRate (percent)
- * [3] medianWealth (real dollars)
- * [4] p90Wealth (real dollars)
- * [5] expectedWealth (real dollars)
- * [6] finalDebt (remaining debt at end of schedule)
- * [7] totalDeposits (sum of deposits over period)
- * [8] numSurvived (count of non-failed simulations)
- * [9 to 9+months] depositPath[] - T=0 initial capital, then monthly deposits (months+1 elements)
- * [9+months+1 to 9+2*months+1] debtPath[] - T=0 initial debt, then monthly balances (months+1 elements)
- * [9+2*months+2 onward] wealthArray[] - final wealth of survivors
+ * WASM Input Format: 64 values per strategy written by writeInputRow(), plus the bootstrap
+ * series (allocReturnSeries) and the asset table (allocAssetTable). Each word is documented
+ * once, in the header of assembly/index.ts; documentation/MEMORY_PROTOCOL.md covers the framing
+ * 
+ * WASM Output Format (ENGINE_PROTOCOL in config.js; full layout in assembly/index.ts):
+ * [0] magic, [1] protocol version, [2] status, [3] sectionCount, then the section table of
+ *      (id, offset, length) entries and the sections themselves
+ * decodeOutput() checks magic and version, so a stale build/sim.wasm is rejected instead of
+ * misread, and hands each known section to the main thread by name
  */
 
+// Engine protocol, status messages and output limits are shared with the page
+importScripts('../config.js');
+
+const INPUT_SIZE = 64;
+const MAX_REGIMES = 3;
+
 let wasmInstance = null;
 let wasmMemory = null;
+let wasmReady = null;   // instantiation of the Module from the init message
+let activeBatch = null; // { id, strategies } while runBatch() is running, for progress reports
 
-// Load and instantiate WebAssembly module
-async function initWasm() {
-    if (wasmInstance) return; // Already initialized
-    
+// Instantiate the WebAssembly module compiled by the page
+async function initWasm(module) {
     try {
-        const response = await fetch('../build/sim.wasm');
-        if (!response.ok) {
-            throw new Error(`Failed to fetch WASM module: HTTP ${response.status} ${response.statusText}`);
-        }
-        
-        const buffer = await response.arrayBuffer();
-        const wasmModule = await WebAssembly.instantiate(buffer, {
+        const instance = await WebAssembly.instantiate(module, {
             env: {
                 abort: (msg, file, line, col) => {
                     console.error(`Wasm abort: ${msg} at ${file}:${line}:${col}`);
                 },
-                seed: () => Math.random()
+                reportProgress: (row, pathsDone, pathsTotal) => {
+                    if (!activeBatch) return;
+                    self.postMessage({
+                        id: activeBatch.id,
+                        type: 'progress',
+                        strategyIndex: activeBatch.strategies[row].strategyIndex,
+                        part: activeBatch.strategies[row].part,
+                        pathsDone: pathsDone,
+                        pathsTotal: pathsTotal
+                    });
+                },
+                reportInterim: (row, outputSize) => {
+                    if (!activeBatch) return;
+                    const output = new Float64Array(wasmMemory.buffer, wasmInstance.exports.getOutputPtr(), outputSize).slice();
+                    self.postMessage({
+                        id: activeBatch.id,
+                        type: 'interim',
+                        strategyIndex: activeBatch.strategies[row].strategyIndex,
+                        part: activeBatch.strategies[row].part,
+                        sections: decodeOutput(output).sections
+                    }, [output.buffer]);
+                }
             }
         });
         
-        wasmInstance = wasmModule.instance;
+        wasmInstance = instance;
         wasmMemory = wasmInstance.exports.memory;
         
         // Verify required exports exist
@@ -69,8 +88,8 @@ async function initWasm() {
         if (!wasmInstance.exports.getOutputPtr) {
             throw new Error('WASM module missing getOutputPtr export');
         }
-        if (!wasmInstance.exports.runSimulation) {
-            throw new Error('WASM module missing runSimulation export');
+        if (!wasmInstance.exports.runBatch || !wasmInstance.exports.allocStrategyTable || !wasmInstance.exports.getBatchOutputPtr) {
+            throw new Error('WASM module missing batch exports (rebuild with npm run asbuild)');
         }
         if (!wasmInstance.exports.memory) {
             throw new Error('WASM module missing memory export');
@@ -85,11 +104,52 @@ async function initWasm() {
 }
 
 /**
- * Marshal strategy inputs to WASM input buffer
+ * Marshal a batch of strategies: the shared bootstrap series and asset table, then one
+ * input row per strategy in the WASM strategy table
+ */
+function marshalBatch(strategies) {
+    const shared = strategies[0].inputs;
+    // Copy the bootstrap series first: allocating may grow memory and detach older views
+    // Always (re)set the series so a reused instance never samples a previous run's data
+    const returnSeries = shared.returnSeries || [];
+    if (wasmInstance.exports.allocReturnSeries) {
+        const seriesPtr = wasmInstance.exports.allocReturnSeries(returnSeries.length);
+        new Float64Array(wasmMemory.buffer, seriesPtr, returnSeries.length).set(returnSeries);
+    } else if (returnSeries.length > 0) {
+        throw new Error('WASM module missing allocReturnSeries export (rebuild with npm run asbuild)');
+    }
+    
+    // Same for the asset table: an empty table means a single-asset run
+    const assets = shared.assets || [];
+    if (wasmInstance.exports.allocAssetTable) {
+        const count = assets.length;
+        const tablePtr = wasmInstance.exports.allocAssetTable(count);
+        const tableView = new Float64Array(wasmMemory.buffer, tablePtr, count * (count + 3));
+        assets.forEach((asset, a) => {
+            tableView[a] = asset.weight;
+            tableView[count + a] = asset.growth;
+            tableView[2 * count + a] = asset.volatility;
+            shared.assetCorrelations[a].forEach((correlation, b) => {
+                tableView[3 * count + a * count + b] = correlation;
+            });
+        });
+    } else if (assets.length > 0) {
+        throw new Error('WASM module missing allocAssetTable export (rebuild with npm run asbuild)');
+    }
+    
+    // Last allocation: views into memory are only safe once nothing else can grow it
+    const strategyTablePtr = wasmInstance.exports.allocStrategyTable(strategies.length);
+    strategies.forEach((strategy, row) => {
+        const rowView = new Float64Array(wasmMemory.buffer, strategyTablePtr + row * INPUT_SIZE * Float64Array.BYTES_PER_ELEMENT, INPUT_SIZE);
+        writeInputRow(rowView, strategy.inputs, assets.length);
+    });
+}
+
+/**
+ * Write one strategy's inputs into an INPUT_SIZE row (layout above)
  */
-function marshalInputs(inputs) {
-    const inputPtr = wasmInstance.exports.getInputPtr();
-    const inputView = new Float64Array(wasmMemory.buffer, inputPtr, 20);
+function writeInputRow(inputView, inputs, assetCount) {
+    inputView.fill(0);
     
     inputView[0] = inputs.initialDebt;
     inputView[1] = inputs.initialBalance;
@@ -102,80 +162,175 @@ function marshalInputs(inputs) {
     inputView[8] = inputs.inflation;
     inputView[9] = inputs.marginCallLTV;
     inputView[10] = inputs.simulationCount;
+    inputView[11] = inputs.seed;
+    inputView[12] = inputs.returnModel;
+    inputView[13] = inputs.degreesOfFreedom;
+    inputView[14] = inputs.jumpIntensity;
+    inputView[15] = inputs.jumpMean;
+    inputView[16] = inputs.jumpStdDev;
+    inputView[18] = inputs.blockLength || 1;
+    inputView[19] = inputs.samplingTolerance || 0;
+    inputView[35] = inputs.rateModel || 0;
+    inputView[36] = inputs.rateMeanReversion || 0;
+    inputView[37] = inputs.rateLongRunMean || 0;
+    inputView[38] = inputs.rateVolatility || 0;
+    inputView[39] = inputs.rateCorrelation || 0;
+    inputView[40] = inputs.inflationModel || 0;
+    inputView[41] = inputs.inflationPersistence || 0;
+    inputView[42] = inputs.inflationVolatility || 0;
+    inputView[43] = inputs.inflationCorrelation || 0;
+    inputView[44] = inputs.marginCallMode || 0;
+    inputView[45] = inputs.deleverageTargetLTV || 0;
+    inputView[46] = inputs.cashReserve || 0;
+    inputView[47] = inputs.cureMonths || 0;
+    inputView[48] = assetCount;
+    inputView[49] = inputs.rebalanceMonths || 0;
+    inputView[50] = inputs.taxMode || 0;
+    inputView[51] = inputs.capitalGainsTaxRate || 0;
+    inputView[52] = inputs.interestDeductionRate || 0;
+    inputView[53] = inputs.warningLTV || 0;
+    inputView[54] = inputs.samplingBatchSize || 0;
+    inputView[55] = inputs.pathStreams ? 1 : 0;
+    inputView[56] = inputs.antithetic ? 1 : 0;
+    inputView[57] = inputs.samplingMethod || 0;
+    inputView[58] = inputs.interimPaths || 0;
+    inputView[59] = inputs.pathStart || 0;
+    inputView[60] = inputs.pathEnd || 0;
+    inputView[61] = inputs.pathWealth ? 1 : 0;
+    
+    if (inputs.regimes) {
+        inputView[17] = inputs.regimes.length;
+        inputs.regimes.forEach((regime, r) => {
+            inputView[20 + r] = regime.growth;
+            inputView[23 + r] = regime.volatility;
+            regime.transitions.forEach((probability, to) => {
+                inputView[26 + r * MAX_REGIMES + to] = probability;
+            });
+        });
+    }
 }
 
 /**
- * Unmarshal WASM output buffer to strategy results
+ * Check one engine output's header and find its sections by name
+ * Returns { status, sections }, each section a view into outputView (no copy), so outputView
+ * must already be out of WASM memory; sections with ids this page does not know are skipped
  */
-function unmarshalResults(outputSize) {
-    const outputPtr = wasmInstance.exports.getOutputPtr();
-    const outputView = new Float64Array(wasmMemory.buffer, outputPtr, outputSize);
-    const rawBuffer = new Float64Array(outputSize);
+function decodeOutput(outputView) {
+    if (outputView.length < ENGINE_PROTOCOL.HEADER_SIZE || outputView[0] !== ENGINE_PROTOCOL.MAGIC) {
+        throw new Error('build/sim.wasm did not return a simulation output; rebuild it with npm run asbuild and reload the page');
+    }
+    const version = outputView[1];
+    if (version !== ENGINE_PROTOCOL.VERSION) {
+        throw new Error(
+            `build/sim.wasm writes output protocol version ${version} but this page reads version ${ENGINE_PROTOCOL.VERSION}: ` +
+            `the engine and the scripts come from different builds (rebuild with npm run asbuild and reload the page)`
+        );
+    }
     
-    for (let i = 0; i < outputSize; i++) {
-        rawBuffer[i] = outputView[i];
+    const sectionCount = outputView[3];
+    const sections = {};
+    for (let i = 0; i < sectionCount; i++) {
+        const entry = ENGINE_PROTOCOL.HEADER_SIZE + i * ENGINE_PROTOCOL.SECTION_ENTRY_SIZE;
+        const id = outputView[entry];
+        const offset = outputView[entry + 1];
+        const length = outputView[entry + 2];
+        const name = ENGINE_PROTOCOL.SECTIONS[id];
+        if (offset + length > outputView.length) {
+            throw new Error(`Simulation output section ${name || id} runs past the end of the output: the results were truncated`);
+        }
+        if (name) {
+            sections[name] = outputView.subarray(offset, offset + length);
+        }
     }
+    return { status: outputView[2], sections: sections };
+}
+
+/**
+ * Copy the WASM batch output once, then split it per strategy and decode each one
+ * Returns { results, buffer }: every section is a view into buffer, the one to transfer
+ */
+function unmarshalBatch(strategies, batchSize) {
+    const batchPtr = wasmInstance.exports.getBatchOutputPtr();
+    const batchView = new Float64Array(wasmMemory.buffer, batchPtr, batchSize).slice();
+    const strategyCount = batchView[0];
     
-    return rawBuffer;
+    let offset = 1 + strategyCount;
+    const results = strategies.map((strategy, i) => {
+        const outputSize = batchView[1 + i];
+        const output = decodeOutput(batchView.subarray(offset, offset + outputSize));
+        offset += outputSize;
+        
+        // A failed run has a status and no sections; it fails only its own strategy
+        if (output.status !== 0) {
+            return { strategyIndex: strategy.strategyIndex, part: strategy.part, status: output.status, error: describeEngineStatus(output.status), sections: null };
+        }
+        return { strategyIndex: strategy.strategyIndex, part: strategy.part, status: 0, sections: output.sections };
+    });
+    return { results: results, buffer: batchView.buffer };
 }
 
 // Handle messages from main thread
 self.onmessage = async function(e) {
-    const { id, inputs, strategyIndex } = e.data;
+    if (e.data.type === 'init') {
+        console.log(`[Worker ${self.name}] Instantiating WASM...`);
+        wasmReady = initWasm(e.data.module);
+        wasmReady.catch(() => {}); // reported by the batch that awaits it
+        return;
+    }
+    
+    const { id, strategies } = e.data;
     
     try {
-        // Initialize Wasm if needed
-        if (!wasmInstance) {
-            console.log(`[Worker ${strategyIndex}] Initializing WASM...`);
-            await initWasm();
-            console.log(`[Worker ${strategyIndex}] WASM initialized`);
+        // Wait for the instance (created once per worker; the pool reuses workers across runs)
+        if (!wasmReady) {
+            throw new Error('No engine module was sent to this worker');
         }
+        await wasmReady;
         
         // Validate inputs exist
-        if (!inputs) {
+        if (!strategies || strategies.length === 0) {
             throw new Error('No inputs provided to worker');
         }
         
         // Marshal inputs to WASM
-        console.log(`[Worker ${strategyIndex}] Marshaling inputs...`);
-        marshalInputs(inputs);
-        console.log(`[Worker ${strategyIndex}] Running simulation...`);
+        const indices = strategies.map(strategy => strategy.strategyIndex).join(', ');
+        console.log(`[Worker ${self.name}] Marshaling strategies ${indices}...`);
+        marshalBatch(strategies);
+        console.log(`[Worker ${self.name}] Running batch...`);
         
         // Run WASM simulation
         const startTime = performance.now();
-        const outputSize = wasmInstance.exports.runSimulation();
+        activeBatch = { id: id, strategies: strategies };
+        let batchSize;
+        try {
+            batchSize = wasmInstance.exports.runBatch();
+        } finally {
+            activeBatch = null;
+        }
         const endTime = performance.now();
         
-        console.log(`[Worker ${strategyIndex}] Simulation complete, unmarshaling results...`);
+        console.log(`[Worker ${self.name}] Batch complete, unmarshaling results...`);
         
         // Unmarshal results from WASM
-        const rawResults = unmarshalResults(outputSize);
-        
-        // Validate
-        const status = rawResults[0];
-        if (status !== 0) {
-            throw new Error(`WASM simulation failed with status: ${status}`);
-        }
+        const { results, buffer } = unmarshalBatch(strategies, batchSize);
         
-        console.log(`[Worker ${strategyIndex}] Success, returning results`);
+        console.log(`[Worker ${self.name}] Success, returning results`);
         
-        // Return to main thread
+        // Return to main thread, handing over the results buffer instead of cloning it
         self.postMessage({
             id,
             success: true,
-            rawResults: rawResults,
-            computeTime: endTime - startTime,
-            strategyIndex: strategyIndex
-        });
+            results: results,
+            computeTime: endTime - startTime
+        }, [buffer]);
         
     } catch (error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
-        console.error(`[Worker ${e.data.strategyIndex}] Error:`, error, errorMessage);
+        console.error(`[Worker ${self.name}] Error:`, error, errorMessage);
         self.postMessage({
             id: e.data.id,
             success: false,
-            error: errorMessage || 'Unknown error',
-            strategyIndex: e.data.strategyIndex
+            error: errorMessage || 'Unknown error'
         });
     }
 };
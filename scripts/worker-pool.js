@@ -0,0 +1,238 @@
+/**
+ * Simulation Worker Pool - Reusable Workers for Batched Strategy Runs
+ * Keeps up to navigator.hardwareConcurrency workers alive between runs, each instantiating the
+ * engine Module compiled once by EngineModule, and splits a set of strategies into chunks that
+ * each run through a single engine runBatch() call
+ */
+
+/**
+ * Scheduling:
+ * - Strategies are cut into about CHUNKS_PER_WORKER chunks per worker, in strategy order, by
+ *   path count: a chunk takes strategies until it holds its share of the paths, so one large
+ *   strategy (or path range of one) runs as a chunk of its own
+ * - Every chunk waits for an idle worker; a new worker is only created while the pool is
+ *   below its size, so concurrent callers share the same workers
+ * - A new worker is sent the compiled Module before its first chunk; if the engine cannot be
+ *   loaded, the call rejects with EngineModule's error and no worker is created
+ * - A worker that errors, fails a batch or times out is terminated and replaced on next use;
+ *   the others stay
+ * - A strategy the engine rejects (non-zero status) fails alone: it comes back with its status
+ *   and error, and the rest of its chunk with their sections
+ * - A chunk that fails outright rejects the call and aborts the call's other chunks
+ * - Aborting the signal terminates every worker still running one of the call's chunks and
+ *   drops its queued chunks; the call rejects with an AbortError
+ */
+const SimulationWorkerPool = {
+    idle: [],          // workers waiting for a chunk
+    waiting: [],       // callers waiting for a worker (resolve functions)
+    workerCount: 0,    // workers created and not terminated
+    workersCreated: 0, // for worker names in logs
+    nextMessageId: 0,
+
+    /**
+     * Number of workers the pool may keep: one per reported core, within MAX_SIZE
+     */
+    size() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || WORKER_POOL_DEFAULTS.FALLBACK_SIZE;
+        return Math.max(1, Math.min(cores, WORKER_POOL_DEFAULTS.MAX_SIZE));
+    },
+
+    /**
+     * Run strategies ([{ strategyIndex, part, inputs }]) across the pool; part (optional) marks
+     * one path range of a split strategy and comes back with its results, progress and interims
+     * Resolves with [{ strategyIndex, part, status, error, sections, computeTime }] in the order
+     * given; status is non-zero (with error set and no sections) for a strategy the engine rejected
+     * options.signal - AbortSignal that cancels the run
+     * options.onProgress({ strategyIndex, pathsDone, pathsTotal }) - called as the engine reports
+     * options.onInterim({ strategyIndex, sections }) - provisional output of a strategy still running
+     * options.onResults(results) - each chunk's results as soon as that chunk finishes
+     */
+    async runStrategies(strategies, options = {}) {
+        if (!(await EngineModule.load())) {
+            throw EngineModule.error;
+        }
+
+        const paths = strategies.map(strategy => this.pathCount(strategy.inputs));
+        const chunkPaths = paths.reduce((sum, count) => sum + count, 0) / (this.size() * WORKER_POOL_DEFAULTS.CHUNKS_PER_WORKER);
+        const chunks = [];
+        let chunk = [];
+        let pathsInChunk = 0;
+        strategies.forEach((strategy, i) => {
+            if (chunk.length > 0 && pathsInChunk + paths[i] > chunkPaths) {
+                chunks.push(chunk);
+                chunk = [];
+                pathsInChunk = 0;
+            }
+            chunk.push(strategy);
+            pathsInChunk += paths[i];
+        });
+        if (chunk.length > 0) chunks.push(chunk);
+
+        // Promise.all settles on the first failed chunk; the call's own controller stops the rest
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+        try {
+            const chunkResults = await Promise.all(chunks.map(chunk => this.runChunk(chunk, { ...options, signal: controller.signal })));
+            return chunkResults.flat();
+        } catch (error) {
+            controller.abort();
+            throw error;
+        } finally {
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        }
+    },
+
+    /**
+     * Run one chunk on the next free worker
+     */
+    async runChunk(strategies, { signal, onProgress, onInterim, onResults }) {
+        const worker = await this.acquire(signal);
+        // The signal may have fired between the worker being handed over and this line running
+        if (signal && signal.aborted) {
+            this.release(worker);
+            throw this.abortError();
+        }
+        const id = this.nextMessageId++;
+
+        return new Promise((resolve, reject) => {
+            const settle = () => {
+                clearTimeout(timeout);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const fail = (error) => {
+                settle();
+                this.discard(worker);
+                reject(error);
+            };
+            const onAbort = () => fail(this.abortError());
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            const timeout = setTimeout(() => {
+                fail(new Error(`Strategies ${this.describe(strategies)} worker timeout`));
+            }, WORKER_POOL_DEFAULTS.TIMEOUT_MS);
+
+            worker.onmessage = (e) => {
+                if (e.data.id !== id) return;
+                if (e.data.type === 'progress') {
+                    if (onProgress) onProgress(e.data);
+                    return;
+                }
+                if (e.data.type === 'interim') {
+                    if (onInterim) onInterim(e.data);
+                    return;
+                }
+                if (e.data.success) {
+                    settle();
+                    this.release(worker);
+                    const results = e.data.results.map(result => ({
+                        strategyIndex: result.strategyIndex,
+                        part: result.part,
+                        status: result.status,
+                        error: result.error,
+                        sections: result.sections,
+                        computeTime: e.data.computeTime
+                    }));
+                    if (onResults) onResults(results);
+                    resolve(results);
+                } else {
+                    const errorMsg = e.data.error || 'Unknown error from worker';
+                    console.error(`[WorkerPool] ${worker.name} returned error: ${errorMsg}`);
+                    // Bad inputs come back per strategy with a status; a failed batch means the worker
+                    // threw or the engine trapped, so its memory and globals can no longer be trusted
+                    fail(new Error(errorMsg));
+                }
+            };
+
+            worker.onerror = (error) => {
+                const errorMsg = error instanceof Error ? error.message : String(error.message || error);
+                console.error(`[WorkerPool] ${worker.name} error event:`, errorMsg);
+                fail(new Error(`Strategies ${this.describe(strategies)} worker error: ${errorMsg}`));
+            };
+
+            worker.postMessage({ id: id, strategies: strategies });
+        });
+    },
+
+    /**
+     * Hand out an idle worker, create one if the pool has room, otherwise wait for a release
+     */
+    acquire(signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.abortError());
+        }
+        if (this.idle.length > 0) {
+            return Promise.resolve(this.idle.pop());
+        }
+        if (this.workerCount < this.size()) {
+            return Promise.resolve(this.createWorker());
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                reject(this.abortError());
+            };
+            const waiter = (worker) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(worker);
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            this.waiting.push(waiter);
+        });
+    },
+
+    release(worker) {
+        worker.onmessage = null;
+        worker.onerror = null;
+        const next = this.waiting.shift();
+        if (next) {
+            next(worker);
+        } else {
+            this.idle.push(worker);
+        }
+    },
+
+    /**
+     * Terminate a failed worker; a caller waiting for one gets a fresh replacement
+     */
+    discard(worker) {
+        worker.terminate();
+        this.workerCount--;
+        const next = this.waiting.shift();
+        if (next) {
+            next(this.createWorker());
+        }
+    },
+
+    createWorker() {
+        this.workerCount++;
+        const name = `simulation-${this.workersCreated++}`;
+        const worker = new Worker('scripts/simulation.worker.js', { name: name });
+        worker.name = name;
+        worker.postMessage({ type: 'init', module: EngineModule.module });
+        return worker;
+    },
+
+    /**
+     * Paths a strategy may run: its path range, otherwise simulationCount
+     */
+    pathCount(inputs) {
+        return (inputs.pathEnd || inputs.simulationCount) - (inputs.pathStart || 0);
+    },
+
+    abortError() {
+        return new DOMException('Simulation cancelled', 'AbortError');
+    },
+
+    describe(strategies) {
+        return strategies.map(strategy => strategy.strategyIndex).join(', ');
+    }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SimulationWorkerPool = SimulationWorkerPool;
+}
@@ -0,0 +1,612 @@
+/**
+ * Validation tests (npm test; build the engine first with npm run asbuild)
+ * Loads the page scripts and scripts/simulation.worker.js into Node the way the browser runs them,
+ * each in its own context with the few browser globals they use, and drives build/sim.wasm
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const root = new URL('../', import.meta.url);
+const read = (path) => fs.readFileSync(new URL(path, root), 'utf8');
+const engineModule = new WebAssembly.Module(fs.readFileSync(new URL('build/sim.wasm', root)));
+const quiet = { log() {}, warn() {}, error() {} };
+
+/**
+ * config.js plus the given page scripts; page.get(name) reads one of their globals
+ */
+function loadPage(scripts) {
+    const page = vm.createContext({ console: quiet, performance });
+    ['config.js', ...scripts].forEach(script => vm.runInContext(read(script), page, { filename: script }));
+    page.get = (name) => vm.runInContext(name, page);
+    return page;
+}
+
+/**
+ * The global scope of scripts/simulation.worker.js, posting its messages through postMessage
+ */
+function loadWorkerScope(postMessage) {
+    const worker = vm.createContext({ console: quiet, performance, postMessage });
+    worker.self = worker;
+    worker.importScripts = (...files) => files.forEach(file => {
+        vm.runInContext(fs.readFileSync(new URL(file, new URL('scripts/', root)), 'utf8'), worker, { filename: file });
+    });
+    vm.runInContext(read('scripts/simulation.worker.js'), worker, { filename: 'simulation.worker.js' });
+    return worker;
+}
+
+/**
+ * A simulation worker with the engine instantiated; run(strategies) resolves with its results,
+ * and posted holds every message it sent, progress and interims included
+ */
+function loadWorker() {
+    const posted = [];
+    const worker = loadWorkerScope((message) => posted.push(message));
+    worker.onmessage({ data: { type: 'init', module: engineModule } });
+    return {
+        posted,
+        async run(strategies) {
+            const start = posted.length;
+            await worker.onmessage({ data: { id: 1, strategies: strategies } });
+            const reply = posted.slice(start).find(message => message.success !== undefined);
+            if (!reply.success) throw new Error(reply.error);
+            return reply.results;
+        }
+    };
+}
+
+/**
+ * The page's worker pool, with the engine Module already compiled; each Worker is a worker
+ * scope whose messages arrive on a later turn, as from another thread, and stop at terminate()
+ */
+function loadPool() {
+    const pool = loadPage(['scripts/engine-module.js', 'scripts/worker-pool.js']);
+    Object.assign(pool, { setTimeout, clearTimeout, AbortController, DOMException, navigator: { hardwareConcurrency: 2 } });
+    pool.Worker = class {
+        constructor() {
+            this.terminated = false;
+            this.scope = loadWorkerScope((message, transfer) => this.deliver(message, transfer, (data) => this.onmessage({ data })));
+        }
+        postMessage(message, transfer) {
+            this.deliver(message, transfer, (data) => this.scope.onmessage({ data }));
+        }
+        deliver(message, transfer = [], receive) {
+            const data = structuredClone(message, { transfer });
+            setImmediate(() => {
+                if (!this.terminated) receive(data);
+            });
+        }
+        terminate() {
+            this.terminated = true;
+        }
+    };
+    const EngineModule = pool.get('EngineModule');
+    EngineModule.module = engineModule;
+    EngineModule.loading = Promise.resolve(engineModule);
+    return pool;
+}
+
+// A small Custom-mode scenario in the form getSimulationInputs() returns
+const scenario = {
+    loanAmount: 20000, initialEquity: 30000, interestRate: 0.07, growth: 0.08, volatility: 0.18,
+    inflation: 0.03, monthlyBudget: 400, minPayment: 60, maxPayment: 400, years: 20,
+    marginCallLTV: 0.6, warningLTV: 0.5, seed: 20240601,
+    baselineSimulationCount: 2000, maxSimulationCount: 2000, samplingMode: 'fixed', samplingTolerance: 0,
+    samplingMethod: 'pseudoRandom', commonRandomNumbers: false, antithetic: false,
+    returnModel: 'lognormal', rateModel: 'fixed', marginCallMode: 'ruin', taxMode: 'none',
+    inflationModel: 'constant', inflationPersistence: 0.6, inflationVolatility: 0.015, inflationCorrelation: -0.2,
+    cashReserve: 0, cureMonths: 0, assets: [], assetCorrelations: []
+};
+
+// Benchmark, a low, a middle and the full-budget payment strategy
+const checkedStrategies = [0, 1, 10, 20];
+
+const page = loadPage(['scripts/fallback-math.js', 'scripts/fallback-engine.js', 'scripts/integration.js']);
+const buildStrategyInputs = page.get('buildStrategyInputs');
+const FallbackEngine = page.get('FallbackEngine');
+
+async function runEngine(uiInputs, indices = checkedStrategies) {
+    const strategyInputs = buildStrategyInputs(uiInputs);
+    const results = await loadWorker().run(indices.map(i => ({ strategyIndex: i, inputs: strategyInputs[i] })));
+    return results.map(result => result.sections);
+}
+
+function runFallback(uiInputs, indices = checkedStrategies) {
+    const strategyInputs = buildStrategyInputs(uiInputs);
+    return indices.map(i => FallbackEngine.runStrategy(strategyInputs[i]));
+}
+
+function assertSameBits(actual, expected, label) {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${label}: sections`);
+    for (const name of Object.keys(expected)) {
+        assert.equal(actual[name].length, expected[name].length, `${label}: ${name} length`);
+        expected[name].forEach((value, i) => assert.ok(Object.is(actual[name][i], value), `${label}: ${name}[${i}]`));
+    }
+}
+
+test('a seed replays bit-identically in the engine', async () => {
+    const [first, second] = [await runEngine(scenario), await runEngine(scenario)];
+    first.forEach((sections, i) => assertSameBits(second[i], sections, `strategy ${checkedStrategies[i]}`));
+});
+
+test('the engine gives the pinned results for a pinned seed', async () => {
+    // Survival rate, median and expected real wealth per checked strategy; only a deliberate
+    // change to how paths are drawn may change these
+    const pinned = [
+        [100, 169740.81424244904, 209963.12773840126],
+        [95.19999999999999, 178703.82840163718, 224929.08562068452],
+        [99.7, 170735.4568095349, 218856.75179985535],
+        [99.95, 169169.17685113574, 213828.17570308477]
+    ];
+    const outputs = await runEngine(scenario);
+    outputs.forEach((sections, i) => {
+        const stats = sections.stats;
+        assert.deepEqual([stats[1], stats[2], stats[4]], pinned[i], `strategy ${checkedStrategies[i]}`);
+    });
+});
+
+test('the JavaScript fallback replays a seed bit-identically', () => {
+    const first = runFallback(scenario);
+    runFallback(scenario).forEach((sections, i) => assertSameBits(sections, first[i], `strategy ${checkedStrategies[i]}`));
+});
+
+test('the JavaScript fallback gives the engine\'s results bit for bit', async () => {
+    const variants = {
+        'independent paths': {},
+        'common random numbers': { commonRandomNumbers: true },
+        'antithetic pairs': { antithetic: true, commonRandomNumbers: true },
+        'AR(1) inflation': { inflationModel: 'stochastic' },
+        'permanent inflation shocks': { inflationModel: 'stochastic', inflationPersistence: 1 },
+        'adaptive sampling': { samplingMode: 'adaptive', samplingTolerance: 0.01, maxSimulationCount: 3000 }
+    };
+    for (const [variant, settings] of Object.entries(variants)) {
+        const uiInputs = { ...scenario, ...settings };
+        const engine = await runEngine(uiInputs);
+        const fallback = runFallback(uiInputs);
+        engine.forEach((expected, i) => assertSameBits(fallback[i], expected, `${variant}, strategy ${checkedStrategies[i]}`));
+    }
+});
+
+test('the JavaScript fallback names the settings it runs without', () => {
+    const runSimulationJS = page.get('runSimulationJS');
+    const small = { ...scenario, baselineSimulationCount: 100, maxSimulationCount: 100 };
+    assert.equal(runSimulationJS(small).ignoredSettings.length, 0);
+    const ignored = runSimulationJS({ ...small, returnModel: 'studentT', returnModelLabel: 'Student-t', taxMode: 'taxable' }).ignoredSettings;
+    assert.deepEqual(Array.from(ignored), [
+        'the Student-t return model (lognormal returns were used)',
+        'the tax settings (wealth is pre-tax)'
+    ]);
+});
+
+test('Sobol sampling has direction numbers for its longest horizon and rejects a longer one', async () => {
+    // One Sobol dimension per month; config.js holds the same limit as assembly/index.ts
+    const maxMonths = page.get('SAMPLING_DEFAULTS').MAX_SOBOL_MONTHS;
+    const uiInputs = { ...scenario, years: maxMonths / 12, samplingMethod: 'sobol', maxSimulationCount: 256 };
+    const [sections] = await runEngine(uiInputs, [1]);
+    assert.equal(sections.stats[0], maxMonths);
+    assert.ok(sections.stats[7] > 0 && sections.stats[7] <= 256);
+    
+    const longer = buildStrategyInputs({ ...uiInputs, years: maxMonths / 12 + 1 })[1];
+    const [rejected] = await loadWorker().run([{ strategyIndex: 1, inputs: longer }]);
+    assert.equal(rejected.status, 4);
+});
+
+test('a strategy the engine rejects fails alone in its batch', async () => {
+    const strategyInputs = buildStrategyInputs(scenario);
+    // A deleverage target above the margin call LTV is rejected (status 2)
+    const rejected = { ...strategyInputs[5], marginCallMode: page.get('MARGIN_CALL_MODE_CODES').deleverage, deleverageTargetLTV: 0.9 };
+    // Bad inputs are reported as such before the output is sized, even when it would not fit
+    const oversized = { ...rejected, simulationCount: 1e8 };
+    const results = await loadWorker().run([
+        { strategyIndex: 4, inputs: strategyInputs[4] },
+        { strategyIndex: 5, inputs: rejected },
+        { strategyIndex: 6, inputs: strategyInputs[6] },
+        { strategyIndex: 7, inputs: oversized }
+    ]);
+    assert.deepEqual(results.map(result => result.status), [0, 2, 0, 2]);
+    assert.equal(results[1].sections, null);
+    assert.equal(results[1].error, page.get('describeEngineStatus')(2));
+    assert.ok(results[0].sections.stats[7] > 0 && results[2].sections.stats[7] > 0);
+});
+
+test('a strategy split into path ranges matches the whole run in either scenario mode', async () => {
+    const combineParts = page.get('combineParts');
+    for (const commonRandomNumbers of [false, true]) {
+        const strategyInputs = buildStrategyInputs({ ...scenario, commonRandomNumbers });
+        const ranges = [[0, 1000], [1000, 1500], [1500, 2000]];
+        const tasks = [];
+        for (const i of [0, 10]) {
+            tasks.push({ strategyIndex: i, inputs: strategyInputs[i] });
+            ranges.forEach(([pathStart, pathEnd], part) => {
+                tasks.push({ strategyIndex: i, part, inputs: { ...strategyInputs[i], pathStart, pathEnd } });
+            });
+        }
+        const results = await loadWorker().run(tasks);
+        for (const i of [0, 10]) {
+            const label = `${commonRandomNumbers ? 'common' : 'independent'} scenarios, strategy ${i}`;
+            const whole = results.find(result => result.strategyIndex === i && result.part === undefined).sections;
+            const merged = combineParts(results.filter(result => result.strategyIndex === i && result.part !== undefined)).sections;
+            for (const name of Object.keys(whole)) {
+                assert.equal(merged[name].length, whole[name].length, `${label}: ${name} length`);
+                whole[name].forEach((value, j) => assert.ok(Object.is(merged[name][j], value), `${label}: ${name}[${j}]`));
+            }
+            // Per-path wealth is only kept for the paired comparison under common random numbers
+            assert.equal(whole.pathWealth.length, commonRandomNumbers ? 2000 : 0, `${label}: pathWealth`);
+        }
+    }
+});
+
+test('antithetic pairs resample different bootstrap blocks', async () => {
+    // Twenty years of made-up monthly returns; paths 2k and 2k + 1 share a stream
+    const returnSeries = Array.from({ length: 240 }, (_, i) => 0.006 + 0.04 * Math.sin(i * 1.7));
+    const uiInputs = {
+        ...scenario, returnModel: 'bootstrap', returnSeries, blockLength: 12,
+        antithetic: true, commonRandomNumbers: true, maxSimulationCount: 200
+    };
+    const [sections] = await runEngine(uiInputs, [10]);
+    const pathWealth = Array.from(sections.pathWealth);
+    assert.equal(pathWealth.length, 200);
+    for (let k = 0; k < 100; k++) {
+        assert.notEqual(pathWealth[2 * k + 1], pathWealth[2 * k], `pair ${k}`);
+    }
+});
+
+test('inflation keeps varying when its shocks are permanent', async () => {
+    const permanent = { ...scenario, inflationModel: 'stochastic', inflationPersistence: 1 };
+    const [varying] = await runEngine(permanent, [10]);
+    const [steady] = await runEngine({ ...permanent, inflationVolatility: 0 }, [10]);
+    // Same nominal paths, different deflators: real wealth moves, nominal survival does not
+    assert.equal(varying.stats[1], steady.stats[1]);
+    assert.ok(Number.isFinite(varying.stats[4]));
+    assert.notEqual(varying.stats[4], steady.stats[4]);
+});
+
+test('fat-tailed and jump returns deepen the worst drawdowns', async () => {
+    // Same volatility and expected return, so the difference is in the tails: compare the
+    // benchmark's 99th percentile drawdown (risk [+6]) and the leveraged survival rate
+    const [[plainBenchmark, plainLeveraged], [studentTBenchmark], [jumpBenchmark, jumpLeveraged]] = await Promise.all([
+        runEngine(scenario, [0, 1]),
+        runEngine({ ...scenario, returnModel: 'studentT', degreesOfFreedom: 3 }, [0, 1]),
+        runEngine({ ...scenario, returnModel: 'jumpDiffusion', jumpIntensity: 1, jumpMean: -0.15, jumpStdDev: 0.1 }, [0, 1])
+    ]);
+    assert.ok(studentTBenchmark.risk[6] > plainBenchmark.risk[6]);
+    assert.ok(jumpBenchmark.risk[6] > plainBenchmark.risk[6]);
+    assert.ok(jumpLeveraged.stats[1] < plainLeveraged.stats[1] - 10);
+});
+
+test('regime transitions set how long markets stay bad', async () => {
+    const bull = { growth: 0.12, volatility: 0.12 };
+    const bear = { growth: -0.05, volatility: 0.3 };
+    const run = (transitions) => runEngine({
+        ...scenario, returnModel: 'regimeSwitching',
+        regimes: [{ ...bull, transitions: transitions[0] }, { ...bear, transitions: transitions[1] }]
+    }, [1]).then(([sections]) => sections.stats);
+    // An absorbing regime holds every path (paths start from the long-run distribution)
+    const [bullOnly, bearOnly] = [await run([[1, 0], [1, 0]]), await run([[0, 1], [0, 1]])];
+    assert.equal(bullOnly[1], 100);
+    assert.ok(bearOnly[1] < 10 && bearOnly[2] < bullOnly[2]);
+    // Half the time in each either way, but long bear spells margin-call more leveraged paths
+    const [sticky, switching] = [await run([[0.98, 0.02], [0.02, 0.98]]), await run([[0.5, 0.5], [0.5, 0.5]])];
+    assert.ok(sticky[1] < switching[1] - 5);
+});
+
+test('bootstrap paths are built from the supplied series and need one', async () => {
+    // A constant series leaves nothing to resample: every path grows the same way
+    const uiInputs = { ...scenario, returnModel: 'bootstrap', returnSeries: new Array(120).fill(0.005), blockLength: 12, maxSimulationCount: 200 };
+    const [sections] = await runEngine(uiInputs, [10]);
+    assert.equal(sections.stats[1], 100);
+    assert.equal(sections.wealth.length, 200);
+    assert.ok(sections.wealth.every(wealth => wealth === sections.wealth[0]));
+    
+    const [rejected] = await loadWorker().run([{ strategyIndex: 10, inputs: buildStrategyInputs({ ...uiInputs, returnSeries: [] })[10] }]);
+    assert.equal(rejected.status, 1);
+});
+
+test('a stochastic short rate spreads the debt bands', async () => {
+    // debtBands holds p5, p25, p50, p75, p95 of debt, months + 1 values each
+    const band = (sections, b, month) => sections.debtBands[b * (sections.stats[0] + 1) + month];
+    const rates = { rateMeanReversion: 0.3, rateLongRunMean: 0.07, rateVolatility: 0.02, rateCorrelation: 0 };
+    const [fixed] = await runEngine(scenario, [10]);
+    const [vasicek] = await runEngine({ ...scenario, rateModel: 'vasicek', ...rates }, [10]);
+    const [cir] = await runEngine({ ...scenario, rateModel: 'cir', ...rates, rateVolatility: 0.08 }, [10]);
+    // Without rate shocks the debt follows the one schedule; with them it fans out
+    assert.equal(band(fixed, 0, 120), band(fixed, 4, 120));
+    assert.ok(band(vasicek, 0, 120) < band(vasicek, 4, 120));
+    assert.ok(band(cir, 0, 120) < band(cir, 4, 120));
+    // A rate pulled up toward a higher long-run mean leaves more debt on the same payment
+    const [rising] = await runEngine({ ...scenario, rateModel: 'vasicek', ...rates, rateLongRunMean: 0.12, rateVolatility: 0 }, [10]);
+    assert.equal(band(rising, 0, 120), band(rising, 4, 120));
+    assert.ok(band(rising, 2, 120) > band(fixed, 2, 120));
+});
+
+test('forced deleverage sells down the paths a margin call would ruin', async () => {
+    const [ruin] = await runEngine(scenario, [1]);
+    const [deleverage] = await runEngine({ ...scenario, marginCallMode: 'deleverage', deleverageTargetLTV: 0.4 }, [1]);
+    const ruined = ruin.confidence[7] - ruin.stats[7];
+    assert.ok(ruined > 0);
+    assert.ok(ruin.liquidation.every(value => value === 0));
+    assert.equal(ruin.liquidatedWealth.length, 0);
+    // Same paths and the same breaches, but each one is a forced sale instead of a ruin
+    const [events, liquidatedPaths, amountSold, , liquidatedSurvivors] = deleverage.liquidation;
+    assert.equal(deleverage.reserve[3], ruin.reserve[3]);
+    assert.ok(events >= liquidatedPaths && liquidatedPaths >= ruined && amountSold > 0);
+    assert.equal(deleverage.stats[7], deleverage.confidence[7] - (liquidatedPaths - liquidatedSurvivors));
+    assert.equal(deleverage.liquidatedWealth.length, liquidatedSurvivors);
+    assert.ok(deleverage.stats[1] > ruin.stats[1]);
+});
+
+test('the cash reserve and cure window close margin calls before they ruin a path', async () => {
+    const [plain] = await runEngine(scenario, [1]);
+    const [covered] = await runEngine({ ...scenario, cashReserve: 5000, cureMonths: 3 }, [1]);
+    for (const sections of [plain, covered]) {
+        const [usedPaths, drawn, depletedPaths, opened, cured] = sections.reserve;
+        assert.ok(depletedPaths <= usedPaths && cured <= opened && drawn >= 0);
+        // Under ruin mode every call that is not cured ends its path
+        assert.equal(opened - cured, sections.confidence[7] - sections.stats[7]);
+    }
+    assert.deepEqual(Array.from(plain.reserve.subarray(0, 3)), [0, 0, 0]);
+    assert.equal(plain.reserve[4], 0);
+    assert.ok(covered.reserve[0] > 0 && covered.reserve[1] > 0 && covered.reserve[4] > 0);
+    assert.ok(covered.stats[1] > plain.stats[1]);
+});
+
+test('a multi-asset portfolio diversifies through its correlation matrix', async () => {
+    const assets = [{ weight: 0.5, growth: 0.08, volatility: 0.2 }, { weight: 0.5, growth: 0.08, volatility: 0.2 }];
+    const run = (correlation) => runEngine({
+        ...scenario, assets, assetCorrelations: [[1, correlation], [correlation, 1]], rebalanceMonths: 12
+    }, [1]).then(([sections]) => sections);
+    const [hedged, together] = [await run(-0.5), await run(0.9)];
+    // Mean drawdown (risk [+1]) and survival follow the correlation between the two assets
+    assert.ok(hedged.risk[1] < together.risk[1]);
+    assert.ok(hedged.stats[1] > together.stats[1]);
+    
+    // Riskless assets leave every path the same whatever the weights
+    const [riskless] = await runEngine({
+        ...scenario, assets: [{ weight: 3, growth: 0.05, volatility: 0 }, { weight: 1, growth: 0.05, volatility: 0 }],
+        assetCorrelations: [[1, 0], [0, 1]]
+    }, [1]);
+    assert.ok(riskless.wealth.every(wealth => wealth === riskless.wealth[0]));
+    
+    // A matrix with no Cholesky factor is rejected (status 3)
+    const invalid = buildStrategyInputs({ ...scenario, assets, assetCorrelations: [[1, 1.5], [1.5, 1]] })[1];
+    const [rejected] = await loadWorker().run([{ strategyIndex: 1, inputs: invalid }]);
+    assert.equal(rejected.status, 3);
+});
+
+test('the tax settings leave pre-tax results alone and net the taxes out of after-tax wealth', async () => {
+    const untaxed = await runEngine(scenario, [0, 10]);
+    const taxed = await runEngine({ ...scenario, taxMode: 'taxable', capitalGainsTaxRate: 0.2, interestDeductionRate: 0.3 }, [0, 10]);
+    const free = await runEngine({ ...scenario, taxMode: 'taxable', capitalGainsTaxRate: 0, interestDeductionRate: 0 }, [0, 10]);
+    untaxed.forEach((sections, i) => {
+        assert.ok(sections.tax.every(value => value === 0));
+        assert.equal(sections.afterTaxWealth.length, 0);
+        // Taxes are paid from outside the account
+        assertSameBits({ stats: taxed[i].stats, wealth: taxed[i].wealth }, { stats: sections.stats, wealth: sections.wealth }, `strategy ${[0, 10][i]}`);
+        assert.equal(taxed[i].tax[0], sections.stats[7]);
+        assert.equal(taxed[i].afterTaxWealth.length, sections.stats[7]);
+        // At zero rates after-tax wealth is pre-tax wealth
+        assert.deepEqual(Array.from(free[i].afterTaxWealth), Array.from(sections.wealth));
+    });
+    const [benchmark, leveraged] = taxed;
+    // The benchmark has no interest to deduct, so its tax only lowers wealth
+    assert.equal(benchmark.tax[5], 0);
+    assert.ok(benchmark.tax[6] > 0);
+    assert.ok(benchmark.afterTaxWealth.every((wealth, j) => wealth <= benchmark.wealth[j]));
+    assert.ok(benchmark.tax[1] < benchmark.stats[2]);
+    assert.ok(leveraged.tax[5] > 0 && leveraged.tax[6] > 0);
+});
+
+test('the fan chart bands are ordered and start from the opening position', async () => {
+    const [sections] = await runEngine(scenario, [1]);
+    const points = sections.stats[0] + 1;
+    const opening = { balanceBands: 50000, equityBands: 30000, ltvBands: 0.4 };
+    for (const [name, start] of Object.entries(opening)) {
+        const bands = sections[name];
+        assert.equal(bands.length, 5 * points, name);
+        for (let b = 0; b < 5; b++) assert.equal(bands[b * points], start, `${name} month 0`);
+        for (let month = 0; month < points; month++) {
+            const percentiles = [0, 1, 2, 3, 4].map(b => bands[b * points + month]);
+            if (name === 'ltvBands' && percentiles.every(Number.isNaN)) continue;
+            for (let b = 1; b < 5; b++) assert.ok(percentiles[b] >= percentiles[b - 1], `${name} month ${month}`);
+        }
+    }
+});
+
+test('the survival curve accounts for every ruined path by month', async () => {
+    for (const [sections] of [await runEngine(scenario, [1]), await runEngine({ ...scenario, years: 10 }, [1])]) {
+        const months = sections.stats[0];
+        const ruinMonths = Array.from(sections.ruinMonths);
+        assert.equal(ruinMonths.length, months);
+        assert.ok(ruinMonths.every(count => Number.isInteger(count) && count >= 0));
+        assert.equal(ruinMonths.reduce((sum, count) => sum + count, 0), sections.confidence[7] - sections.stats[7]);
+    }
+    // The benchmark carries no debt and is never margin-called
+    const [benchmark] = await runEngine(scenario, [0]);
+    assert.ok(benchmark.ruinMonths.every(count => count === 0));
+});
+
+test('the risk metrics stay within their bounds and their percentiles are ordered', async () => {
+    const [benchmark, leveraged] = await runEngine(scenario, [0, 1]);
+    // mean, p50, p75, p90, p95, p99 of one metric starting at risk [offset]
+    const metric = (sections, offset) => Array.from(sections.risk.subarray(offset, offset + 6));
+    for (const sections of [benchmark, leveraged]) {
+        const months = sections.stats[0];
+        for (const [offset, high] of [[1, 1], [7, scenario.marginCallLTV], [13, months]]) {
+            const [mean, ...percentiles] = metric(sections, offset);
+            assert.ok(mean >= 0 && mean <= high && percentiles[4] <= high, `risk [${offset}]`);
+            for (let p = 1; p < 5; p++) assert.ok(percentiles[p] >= percentiles[p - 1], `risk [${offset}] percentile ${p}`);
+        }
+        assert.ok(sections.risk[0] <= sections.stats[7]);
+    }
+    // Without debt there is no LTV to watch; with it every path opens at 20000 / 50000
+    assert.deepEqual([benchmark.risk[0], ...metric(benchmark, 7)], [0, 0, 0, 0, 0, 0, 0]);
+    assert.ok(metric(leveraged, 7).every(ltv => ltv >= 0.4));
+    assert.ok(leveraged.risk[0] > 0 && leveraged.risk[13] > 0);
+});
+
+test('the confidence intervals bracket their estimates and narrow with more paths', async () => {
+    const [small] = await runEngine({ ...scenario, maxSimulationCount: 500 }, [1]);
+    const [large] = await runEngine(scenario, [1]);
+    for (const sections of [small, large]) {
+        const [survivalLow, survivalHigh, medianLow, medianHigh, p90Low, p90High, stdError, pathsRun] = sections.confidence;
+        const stats = sections.stats;
+        assert.ok(survivalLow >= 0 && survivalLow <= stats[1] && stats[1] <= survivalHigh && survivalHigh <= 100);
+        assert.ok(medianLow <= stats[2] && stats[2] <= medianHigh);
+        assert.ok(p90Low <= stats[3] && stats[3] <= p90High);
+        // expectedWealth is the survivors' mean, so its standard error comes from their wealth
+        const wealth = Array.from(sections.wealth);
+        const count = wealth.length;
+        assert.ok(count > 0 && count <= pathsRun);
+        const mean = wealth.reduce((sum, value) => sum + value, 0) / count;
+        const variance = wealth.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1);
+        assert.ok(Math.abs(stdError / Math.sqrt(variance / count) - 1) < 1e-9);
+    }
+    const width = (sections, low) => sections.confidence[low + 1] - sections.confidence[low];
+    assert.ok(width(large, 0) < width(small, 0));
+    assert.ok(width(large, 2) < width(small, 2));
+    assert.ok(large.confidence[6] < small.confidence[6]);
+});
+
+test('adaptive sampling stops at a batch boundary once the survival interval is narrow enough', async () => {
+    const batchSize = page.get('SAMPLING_DEFAULTS').BATCH_SIZE;
+    const adaptive = { ...scenario, samplingMode: 'adaptive', samplingTolerance: 0.01, maxSimulationCount: 4 * batchSize };
+    const [stopped] = await runEngine(adaptive, [1]);
+    const pathsRun = stopped.confidence[7];
+    assert.ok(pathsRun < adaptive.maxSimulationCount && pathsRun % batchSize === 0);
+    assert.ok((stopped.confidence[1] - stopped.confidence[0]) / 2 <= 100 * adaptive.samplingTolerance);
+    // A tolerance it cannot reach runs every path it is allowed
+    const [capped] = await runEngine({ ...adaptive, samplingTolerance: 0.001 }, [1]);
+    assert.equal(capped.confidence[7], adaptive.maxSimulationCount);
+    // It ran the first pathsRun paths of the full run, so a fixed run of that size gives the same results
+    const [fixed] = await runEngine({ ...scenario, maxSimulationCount: pathsRun }, [1]);
+    assertSameBits(stopped, fixed, 'adaptive against fixed');
+});
+
+test('the engine reports progress per strategy and a cancelled run stops its workers', async () => {
+    const strategyInputs = buildStrategyInputs(scenario);
+    const adaptive = buildStrategyInputs({ ...scenario, samplingTolerance: 0.01, maxSimulationCount: 8000 })[1];
+    const worker = loadWorker();
+    const [, stopped] = await worker.run([{ strategyIndex: 4, inputs: strategyInputs[4] }, { strategyIndex: 1, inputs: adaptive }]);
+    const reports = (strategyIndex) => worker.posted
+        .filter(message => message.type === 'progress' && message.strategyIndex === strategyIndex)
+        .map(message => [message.pathsDone, message.pathsTotal]);
+    // Every 500 paths, then a last report once the strategy is done
+    assert.deepEqual(reports(4), [[500, 2000], [1000, 2000], [1500, 2000], [2000, 2000]]);
+    // Adaptive sampling counts against the most it may run until it stops early
+    const pathsRun = stopped.sections.confidence[7];
+    assert.ok(pathsRun < 8000);
+    assert.deepEqual(reports(1).at(-1), [pathsRun, pathsRun]);
+    assert.ok(reports(1).slice(0, -1).every(([pathsDone, pathsTotal]) => pathsDone < pathsRun && pathsTotal === 8000));
+    
+    // Cancelling on the first report rejects the run and terminates its workers
+    const pool = loadPool();
+    const SimulationWorkerPool = pool.get('SimulationWorkerPool');
+    const tasks = [4, 5, 6, 7].map(i => ({ strategyIndex: i, inputs: strategyInputs[i] }));
+    const controller = new AbortController();
+    await assert.rejects(
+        SimulationWorkerPool.runStrategies(tasks, { signal: controller.signal, onProgress: () => controller.abort() }),
+        { name: 'AbortError' }
+    );
+    assert.equal(SimulationWorkerPool.workerCount, 0);
+    assert.equal(SimulationWorkerPool.idle.length, 0);
+    // The next run starts new workers
+    const results = await SimulationWorkerPool.runStrategies(tasks);
+    assert.deepEqual(Array.from(results, result => result.status), [0, 0, 0, 0]);
+});
+
+test('interim outputs are the results so far and chunking leaves the final output unchanged', async () => {
+    const strategyInputs = buildStrategyInputs(scenario);
+    const worker = loadWorker();
+    const [chunked] = await worker.run([{ strategyIndex: 10, inputs: { ...strategyInputs[10], interimPaths: 500 } }]);
+    const [whole] = await loadWorker().run([{ strategyIndex: 10, inputs: strategyInputs[10] }]);
+    assertSameBits(chunked.sections, whole.sections, 'final output');
+    // One provisional output after each chunk but the last, each the same as a run that stopped there
+    const interims = worker.posted.filter(message => message.type === 'interim');
+    assert.deepEqual(interims.map(interim => interim.sections.confidence[7]), [500, 1000, 1500]);
+    for (const interim of interims) {
+        const paths = interim.sections.confidence[7];
+        const [shorter] = await loadWorker().run([{ strategyIndex: 10, inputs: { ...strategyInputs[10], simulationCount: paths } }]);
+        assertSameBits(interim.sections, shorter.sections, `after ${paths} paths`);
+    }
+});
+
+test('engine outputs carry the protocol header and a stale or foreign output is refused', async () => {
+    const protocol = page.get('ENGINE_PROTOCOL');
+    const strategyInputs = buildStrategyInputs(scenario);
+    const rejected = { ...strategyInputs[5], marginCallMode: page.get('MARGIN_CALL_MODE_CODES').deleverage, deleverageTargetLTV: 0.9 };
+    const [succeeded] = await loadWorker().run([{ strategyIndex: 4, inputs: strategyInputs[4] }, { strategyIndex: 5, inputs: rejected }]);
+    // Every section is a view into the one batch output: count, sizes, then the outputs
+    const batch = new Float64Array(succeeded.sections.stats.buffer);
+    assert.equal(batch[0], 2);
+    const [first, second] = [batch.subarray(3, 3 + batch[1]), batch.subarray(3 + batch[1], 3 + batch[1] + batch[2])];
+    assert.deepEqual(Array.from(first.subarray(0, 3)), [protocol.MAGIC, protocol.VERSION, 0]);
+    assert.equal(first[3], Object.keys(protocol.SECTIONS).length - 1); // no riskSamples outside a path range
+    // A failed run is only a header, with its status and no sections
+    assert.deepEqual(Array.from(second), [protocol.MAGIC, protocol.VERSION, 2, 0]);
+    
+    const decodeOutput = vm.runInContext('decodeOutput', loadWorkerScope(() => {}));
+    const altered = (index, value) => {
+        const output = first.slice();
+        output[index] = value;
+        return output;
+    };
+    assert.throws(() => decodeOutput(altered(0, 0)), /did not return a simulation output/);
+    assert.throws(() => decodeOutput(altered(1, protocol.VERSION + 1)), /writes output protocol version 2/);
+    assert.throws(() => decodeOutput(altered(protocol.HEADER_SIZE + 2, first.length)), /runs past the end of the output/);
+    // A section this page does not know is skipped, the others still found by id
+    const { sections } = decodeOutput(altered(protocol.HEADER_SIZE, 99));
+    assert.equal(sections.stats, undefined);
+    assertSameBits({ wealth: sections.wealth }, { wealth: succeeded.sections.wealth }, 'wealth');
+});
+
+test('the worker hands its results over in one transferred buffer', async () => {
+    const strategyInputs = buildStrategyInputs(scenario);
+    const messages = [];
+    const worker = loadWorkerScope((message, transfer = []) => messages.push({ message, transfer }));
+    worker.onmessage({ data: { type: 'init', module: engineModule } });
+    await worker.onmessage({ data: { id: 1, strategies: [
+        { strategyIndex: 4, inputs: { ...strategyInputs[4], interimPaths: 1000 } },
+        { strategyIndex: 5, inputs: strategyInputs[5] }
+    ] } });
+    const reply = messages.find(({ message }) => message.success);
+    assert.equal(reply.transfer.length, 1);
+    const [buffer] = reply.transfer;
+    const results = Array.from(reply.message.results);
+    const views = results.flatMap(result => Object.values(result.sections));
+    assert.ok(views.every(view => view.buffer === buffer));
+    // Each interim output is transferred on its own
+    const interims = messages.filter(({ message }) => message.type === 'interim');
+    assert.equal(interims.length, 1);
+    assert.ok(Object.values(interims[0].message.sections).every(view => view.buffer === interims[0].transfer[0]));
+    
+    // Posting moves the buffer: the worker's side is left empty, the page gets the same values
+    const expected = results.map(result => Object.fromEntries(Object.entries(result.sections).map(([name, view]) => [name, view.slice()])));
+    const received = structuredClone(reply.message, { transfer: reply.transfer });
+    assert.equal(buffer.byteLength, 0);
+    received.results.forEach((result, i) => assertSameBits(result.sections, expected[i], `strategy ${result.strategyIndex}`));
+});
+
+test('the pool compiles the engine once and shares the Module with every worker it keeps', async () => {
+    const pool = loadPool();
+    const posted = [];
+    pool.Worker = class extends pool.Worker {
+        postMessage(message, transfer) {
+            if (message.type === 'init') posted.push(message.module);
+            super.postMessage(message, transfer);
+        }
+    };
+    const SimulationWorkerPool = pool.get('SimulationWorkerPool');
+    const strategyInputs = buildStrategyInputs(scenario);
+    const tasks = [1, 2, 3, 4, 5, 6, 7, 8].map(i => ({ strategyIndex: i, inputs: strategyInputs[i] }));
+    const expected = await loadWorker().run(tasks);
+    for (let run = 0; run < 2; run++) {
+        const results = await SimulationWorkerPool.runStrategies(tasks);
+        results.forEach((result, i) => assertSameBits(result.sections, expected[i].sections, `run ${run}, strategy ${result.strategyIndex}`));
+        // One worker per reported core, each sent the page's Module once and kept for the next run
+        assert.equal(SimulationWorkerPool.workersCreated, 2);
+        assert.equal(posted.length, 2);
+        assert.ok(posted.every(module => module === pool.get('EngineModule').module));
+    }
+});